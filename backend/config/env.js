@@ -73,14 +73,85 @@ const ENV = {
   webOrigin: required('WEB_ORIGIN'),
 
   // Database
+  // DATA_STORE selects the repository implementation: 'postgres' or 'memory'
+  dataStore: optional('DATA_STORE', nodeEnv === 'production' ? 'postgres' : 'memory'),
   databaseUrl: required('DATABASE_URL'),
   pgPoolMax: toInt(optional('PG_POOL_MAX', '10'), 10),
   pgIdleTimeoutMs: toInt(optional('PG_IDLE_TIMEOUT_MS', '30000'), 30000),
 
   // Auth
   jwtSecret: required('JWT_SECRET'),
-  jwtExpiresIn: optional('JWT_EXPIRES_IN', '7d'),
+  // Access token lifetime; clients renew it with a refresh token
+  jwtExpiresIn: optional('JWT_EXPIRES_IN', '15m'),
+  // Refresh token lifetime, renewed on every refresh
   sessionTtlDays: toInt(optional('SESSION_TTL_DAYS', '30'), 30),
+  passwordResetTtlMinutes: toInt(optional('PASSWORD_RESET_TTL_MINUTES', '60'), 60),
+  emailVerificationTtlHours: toInt(optional('EMAIL_VERIFICATION_TTL_HOURS', '48'), 48),
+  // Reset/verification emails a single address may be sent per hour
+  authEmailHourlyLimit: toInt(optional('AUTH_EMAIL_HOURLY_LIMIT', '3'), 3),
+  // Encrypts admin TOTP secrets at rest; derived from JWT_SECRET when unset
+  mfaEncryptionKey: optional('MFA_ENCRYPTION_KEY', ''),
+
+  // Payments
+  // PAYMENT_PROVIDER: 'stub' (local Stripe-compatible simulator) or 'stripe'
+  paymentProvider: optional('PAYMENT_PROVIDER', 'stub'),
+  // Signs/verifies webhook events; derived from JWT_SECRET for the stub when unset
+  paymentWebhookSecret: optional('PAYMENT_WEBHOOK_SECRET', ''),
+  // Where the stub delivers its webhook events
+  paymentWebhookUrl: optional('PAYMENT_WEBHOOK_URL', `http://127.0.0.1:${toInt(optional('PORT', '3000'), 3000)}/api/payments/webhook`),
+  stripeSecretKey: optional('STRIPE_SECRET_KEY', ''),
+  stripePublishableKey: optional('STRIPE_PUBLISHABLE_KEY', ''),
+  // PAYOUT_PROVIDER: 'stub' (local simulator) or 'stripe' (Connect transfers)
+  payoutProvider: optional('PAYOUT_PROVIDER', 'stub'),
+  // Time zone of payout due dates for contractors without one of their own
+  payoutTimezone: optional('PAYOUT_TIMEZONE', 'America/Toronto'),
+  // How often the scheduler drafts due payout batches; 0 turns it off
+  payoutSchedulerIntervalMinutes: toInt(optional('PAYOUT_SCHEDULER_INTERVAL_MINUTES', '15'), 15),
+  // How long a contractor's quote stays open when they do not say
+  quoteValidityDays: toInt(optional('QUOTE_VALIDITY_DAYS', '7'), 7),
+  // Credit (whole dollars) each side of a referral gets once the referred customer's first job is completed
+  referralReferrerCredit: toInt(optional('REFERRAL_REFERRER_CREDIT', '25'), 25),
+  referralRefereeCredit: toInt(optional('REFERRAL_REFEREE_CREDIT', '25'), 25),
+  // Dispatch: contractors offered a new job at a time, how long each offer stands,
+  // and how many waves go out before the job opens to every matching contractor
+  dispatchWaveSize: toInt(optional('DISPATCH_WAVE_SIZE', '3'), 3),
+  dispatchOfferMinutes: toInt(optional('DISPATCH_OFFER_MINUTES', '15'), 15),
+  dispatchMaxWaves: toInt(optional('DISPATCH_MAX_WAVES', '3'), 3),
+  // How long a dispatched job may wait in the open pool before admins are alerted
+  dispatchEscalateMinutes: toInt(optional('DISPATCH_ESCALATE_MINUTES', '60'), 60),
+  // How often expired offers are moved on; 0 turns it off
+  dispatchIntervalSeconds: toInt(optional('DISPATCH_INTERVAL_SECONDS', '30'), 30),
+  // Appointments: slot length, how soon and how far ahead customers can book
+  appointmentSlotMinutes: toInt(optional('APPOINTMENT_SLOT_MINUTES', '120'), 120),
+  appointmentLeadHours: toInt(optional('APPOINTMENT_LEAD_HOURS', '2'), 2),
+  appointmentHorizonDays: toInt(optional('APPOINTMENT_HORIZON_DAYS', '14'), 14),
+  // Customers may move or cancel an appointment until this long before it, this many times
+  appointmentChangeCutoffHours: toInt(optional('APPOINTMENT_CHANGE_CUTOFF_HOURS', '24'), 24),
+  appointmentMaxReschedules: toInt(optional('APPOINTMENT_MAX_RESCHEDULES', '2'), 2),
+  // Check-ins: how far from the address an arrival may be, how late still counts as on time,
+  // and the speed assumed for an arrival estimate
+  checkInToleranceMeters: toInt(optional('CHECK_IN_TOLERANCE_METERS', '300'), 300),
+  checkInGraceMinutes: toInt(optional('CHECK_IN_GRACE_MINUTES', '15'), 15),
+  checkInSpeedKmh: toInt(optional('CHECK_IN_SPEED_KMH', '40'), 40),
+
+  // Job messages: how long after a job closes its thread takes replies, and when its
+  // text and photos are deleted (0 keeps them)
+  messageReplyDays: toInt(optional('MESSAGE_REPLY_DAYS', '14'), 14),
+  messageRetentionDays: toInt(optional('MESSAGE_RETENTION_DAYS', '365'), 365),
+
+  // Notifications: SMS goes out through Twilio or a stand-in ('console' prints it, 'file'
+  // appends it to NOTIFY_OUTBOX_DIR); web push has only the stand-ins so far
+  notifySmsMode: optional('NOTIFY_SMS_MODE', 'console'),
+  notifyPushMode: optional('NOTIFY_PUSH_MODE', 'console'),
+  notifyOutboxDir: optional('NOTIFY_OUTBOX_DIR', path.join(rootDir, 'storage')),
+  twilioAccountSid: optional('TWILIO_ACCOUNT_SID', ''),
+  twilioAuthToken: optional('TWILIO_AUTH_TOKEN', ''),
+  twilioFromNumber: optional('TWILIO_FROM_NUMBER', ''),
+  // Attempts before a delivery is given up, the wait before the first retry (doubling after),
+  // and how often due deliveries are sent; 0 turns the sweep off
+  notifyMaxAttempts: toInt(optional('NOTIFY_MAX_ATTEMPTS', '5'), 5),
+  notifyRetrySeconds: toInt(optional('NOTIFY_RETRY_SECONDS', '60'), 60),
+  notifyIntervalSeconds: toInt(optional('NOTIFY_INTERVAL_SECONDS', '60'), 60),
 
   // Rate limiting
   rateLimitWindowMs: toInt(optional('RATE_LIMIT_WINDOW_MS', '60000'), 60000),
@@ -88,6 +159,8 @@ const ENV = {
 
   // Logging
   logLevel: optional('LOG_LEVEL', 'info'),
+  // Append-only audit trail (JSONL); the tests point it at a temporary file
+  auditLogFile: optional('AUDIT_LOG_FILE', path.join(rootDir, 'data', 'audit.jsonl')),
 
   // Proxy (behind nginx)
   trustProxy: optional('TRUST_PROXY', '0'),
@@ -107,6 +180,81 @@ const ENV = {
 // ---------------------------------------------------------------------------
 // Post-load validation for conditional requirements
 // ---------------------------------------------------------------------------
+if (!['postgres', 'memory'].includes(ENV.dataStore)) {
+  throw new Error(`DATA_STORE must be 'postgres' or 'memory' (got '${ENV.dataStore}')`);
+}
+
+if (!['stub', 'stripe'].includes(ENV.paymentProvider)) {
+  throw new Error(`PAYMENT_PROVIDER must be 'stub' or 'stripe' (got '${ENV.paymentProvider}')`);
+}
+
+if (ENV.paymentProvider === 'stripe' && (!ENV.stripeSecretKey || !ENV.paymentWebhookSecret)) {
+  throw new Error('PAYMENT_PROVIDER=stripe requires STRIPE_SECRET_KEY and PAYMENT_WEBHOOK_SECRET');
+}
+
+if (!['stub', 'stripe'].includes(ENV.payoutProvider)) {
+  throw new Error(`PAYOUT_PROVIDER must be 'stub' or 'stripe' (got '${ENV.payoutProvider}')`);
+}
+
+if (ENV.payoutProvider === 'stripe' && !ENV.stripeSecretKey) {
+  throw new Error('PAYOUT_PROVIDER=stripe requires STRIPE_SECRET_KEY');
+}
+
+if (ENV.quoteValidityDays < 1 || ENV.quoteValidityDays > 30) {
+  throw new Error(`QUOTE_VALIDITY_DAYS must be between 1 and 30 (got ${ENV.quoteValidityDays})`);
+}
+
+if (ENV.referralReferrerCredit < 0 || ENV.referralRefereeCredit < 0) {
+  throw new Error('REFERRAL_REFERRER_CREDIT and REFERRAL_REFEREE_CREDIT cannot be negative');
+}
+
+if (ENV.dispatchWaveSize < 1 || ENV.dispatchOfferMinutes < 1 || ENV.dispatchMaxWaves < 1 || ENV.dispatchEscalateMinutes < 1) {
+  throw new Error('DISPATCH_WAVE_SIZE, DISPATCH_OFFER_MINUTES, DISPATCH_MAX_WAVES and DISPATCH_ESCALATE_MINUTES must be at least 1');
+}
+
+if (ENV.appointmentSlotMinutes < 15 || ENV.appointmentSlotMinutes > 480 || ENV.appointmentSlotMinutes % 15 !== 0) {
+  throw new Error(`APPOINTMENT_SLOT_MINUTES must be a multiple of 15 from 15 to 480 (got ${ENV.appointmentSlotMinutes})`);
+}
+
+if (ENV.appointmentLeadHours < 0 || ENV.appointmentHorizonDays < 1 || ENV.appointmentHorizonDays > 90) {
+  throw new Error('APPOINTMENT_LEAD_HOURS cannot be negative and APPOINTMENT_HORIZON_DAYS must be between 1 and 90');
+}
+
+if (ENV.appointmentChangeCutoffHours < 0 || ENV.appointmentMaxReschedules < 0) {
+  throw new Error('APPOINTMENT_CHANGE_CUTOFF_HOURS and APPOINTMENT_MAX_RESCHEDULES cannot be negative');
+}
+
+if (ENV.checkInToleranceMeters < 1 || ENV.checkInGraceMinutes < 0 || ENV.checkInSpeedKmh < 1) {
+  throw new Error('CHECK_IN_TOLERANCE_METERS and CHECK_IN_SPEED_KMH must be at least 1 and CHECK_IN_GRACE_MINUTES cannot be negative');
+}
+
+if (ENV.messageReplyDays < 0 || ENV.messageRetentionDays < 0
+  || (ENV.messageRetentionDays && ENV.messageRetentionDays < ENV.messageReplyDays)) {
+  throw new Error('MESSAGE_REPLY_DAYS and MESSAGE_RETENTION_DAYS cannot be negative, and MESSAGE_RETENTION_DAYS (unless 0) cannot be shorter than MESSAGE_REPLY_DAYS');
+}
+
+if (!['console', 'file', 'twilio'].includes(ENV.notifySmsMode)) {
+  throw new Error(`NOTIFY_SMS_MODE must be 'console', 'file' or 'twilio' (got '${ENV.notifySmsMode}')`);
+}
+
+if (ENV.notifySmsMode === 'twilio' && (!ENV.twilioAccountSid || !ENV.twilioAuthToken || !ENV.twilioFromNumber)) {
+  throw new Error('NOTIFY_SMS_MODE=twilio requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+}
+
+if (!['console', 'file'].includes(ENV.notifyPushMode)) {
+  throw new Error(`NOTIFY_PUSH_MODE must be 'console' or 'file' (got '${ENV.notifyPushMode}')`);
+}
+
+if (ENV.notifyMaxAttempts < 1 || ENV.notifyRetrySeconds < 1 || ENV.notifyIntervalSeconds < 0) {
+  throw new Error('NOTIFY_MAX_ATTEMPTS and NOTIFY_RETRY_SECONDS must be at least 1 and NOTIFY_INTERVAL_SECONDS cannot be negative');
+}
+
+try {
+  new Intl.DateTimeFormat('en-CA', { timeZone: ENV.payoutTimezone });
+} catch (error) {
+  throw new Error(`PAYOUT_TIMEZONE must be an IANA time zone such as America/Toronto (got '${ENV.payoutTimezone}')`);
+}
+
 if (ENV.emailMode === 'smtp' && (!ENV.emailUser || !ENV.emailPassword)) {
   throw new Error('EMAIL_MODE=smtp requires EMAIL_USER and EMAIL_PASSWORD');
 }
@@ -1,24 +1,39 @@
 #!/usr/bin/env node
 
 /**
- * PostgreSQL Team Applications Setup and Testing Script
+ * PostgreSQL Setup and Migration Script
  * 
  * Usage:
- *   node db-setup.js --migrate           # Run migrations only
+ *   node db-setup.js --migrate           # Run pending migrations
  *   node db-setup.js --seed              # Create test data
  *   node db-setup.js --verify            # Verify schema
  *   node db-setup.js --drop              # Drop and recreate database
  *   node db-setup.js --migrate --seed    # Run migrations and seed test data
+ *   node db-setup.js --status            # List applied/pending migrations
+ *   node db-setup.js --dry-run           # Show what --migrate would apply
+ *   node db-setup.js --rollback --steps 2  # Run the last two .down.sql scripts
  */
 
 const fs = require('fs');
 const path = require('path');
 const { Pool } = require('pg');
 const ENV = require('./config/env');
+const migrator = require('./db/migrator');
 const { URL } = require('url');
 
 const args = process.argv.slice(2);
 const autoMigrate = args.includes('--migrate');
+const dryRun = args.includes('--dry-run');
+const rollbackMode = args.includes('--rollback');
+const statusMode = args.includes('--status');
+const rollbackSteps = (() => {
+  const idx = args.indexOf('--steps');
+  const steps = idx === -1 ? 1 : parseInt(args[idx + 1], 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps must be a positive integer');
+  }
+  return steps;
+})();
 
 // Parse database name from DATABASE_URL
 const parsedUrl = (() => {
@@ -106,37 +121,101 @@ async function createDatabase() {
 }
 
 async function runMigrations(pool) {
-  const migrationsDir = path.join(__dirname, 'migrations');
+  const migrations = migrator.loadMigrations();
+  
+  if (migrations.length === 0) {
+    console.log(`⚠️  No migration files found in ${migrator.DEFAULT_DIR}`);
+    return;
+  }
   
-  if (!fs.existsSync(migrationsDir)) {
-    console.log('⚠️  No migrations directory found');
+  if (dryRun) {
+    const { pending } = await migrator.migrate(pool, { dryRun: true });
+    console.log(`\n🔎 Dry run: ${pending.length} pending migration(s)`);
+    pending.forEach(m => console.log(`  • ${m.file}`));
     return;
   }
   
-  const files = fs.readdirSync(migrationsDir)
-    .filter(f => f.endsWith('.sql'))
-    .sort();
+  console.log(`\n🚀 Running migrations (${migrations.length} on disk)...`);
+  
+  try {
+    const { applied } = await migrator.migrate(pool);
+    console.log(applied.length === 0 ? '✅ Schema is up to date' : `✅ Applied ${applied.length} migration(s)`);
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`);
+    throw error;
+  }
+}
+
+async function rollbackMigrations(pool) {
+  const verb = dryRun ? 'Would roll back' : 'Rolling back';
+  console.log(`\n↩️  ${verb} ${rollbackSteps} migration(s)...`);
   
-  if (files.length === 0) {
-    console.log('⚠️  No migration files found');
+  const { rolledBack } = await migrator.rollback(pool, { steps: rollbackSteps, dryRun });
+  if (rolledBack.length === 0) {
+    console.log('⚠️  No applied migrations to roll back');
     return;
   }
+  if (dryRun) {
+    rolledBack.forEach(m => console.log(`  • ${m.downFile}`));
+    return;
+  }
+  console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+}
+
+async function printStatus(pool) {
+  const state = await migrator.status(pool);
   
-  console.log(`\n🚀 Running ${files.length} migration(s)...`);
+  console.log(`\n📋 Migrations:`);
+  state.applied.forEach(m => {
+    const flag = state.modified.includes(m) ? '⚠️  modified since applied' : 'applied';
+    console.log(`  ✅ ${m.file} (${flag})`);
+  });
+  state.pending.forEach(m => console.log(`  ⏳ ${m.file} (pending)`));
+  state.missing.forEach(row => console.log(`  ❓ ${row.version}-${row.name} (in ledger, file missing)`));
   
-  for (const file of files) {
-    const filepath = path.join(migrationsDir, file);
-    const sql = fs.readFileSync(filepath, 'utf8');
-    
-    try {
-      console.log(`  📄 ${file}...`);
-      await pool.query(sql);
-      console.log(`  ✅ Done`);
-    } catch (error) {
-      console.error(`  ❌ Error: ${error.message}`);
-      throw error;
-    }
+  if (state.modified.length > 0) {
+    throw new Error('Applied migrations were edited; add a new migration instead');
+  }
+}
+
+async function seedServiceCatalog(pool) {
+  const taxonomyPath = path.join(__dirname, 'service-taxonomy.json');
+  if (!fs.existsSync(taxonomyPath)) {
+    console.log('⚠️  service-taxonomy.json not found; skipping service catalog');
+    return;
+  }
+  
+  const taxonomy = JSON.parse(fs.readFileSync(taxonomyPath, 'utf8'));
+  console.log(`\n🧰 Syncing service catalog (taxonomy v${taxonomy.version})...`);
+  
+  for (const category of taxonomy.categories || []) {
+    await pool.query(
+      `INSERT INTO service_categories (id, name, slug, icon, description, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, slug = EXCLUDED.slug, icon = EXCLUDED.icon,
+         description = EXCLUDED.description, sort_order = EXCLUDED.sort_order, is_active = EXCLUDED.is_active`,
+      [category.id, category.name, category.slug, category.icon || null, category.description || null,
+        category.sort_order || 0, category.is_active !== false]
+    );
+  }
+  
+  for (const type of taxonomy.serviceTypes || []) {
+    await pool.query(
+      `INSERT INTO service_types (id, category_id, name, slug, short_desc, is_emergency_supported,
+         requires_license, is_quote_only, tags, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (id) DO UPDATE SET category_id = EXCLUDED.category_id, name = EXCLUDED.name,
+         slug = EXCLUDED.slug, short_desc = EXCLUDED.short_desc,
+         is_emergency_supported = EXCLUDED.is_emergency_supported, requires_license = EXCLUDED.requires_license,
+         is_quote_only = EXCLUDED.is_quote_only, tags = EXCLUDED.tags, sort_order = EXCLUDED.sort_order,
+         is_active = EXCLUDED.is_active`,
+      [type.id, type.category_id, type.name, type.slug, type.short_desc || null,
+        Boolean(type.is_emergency_supported), Boolean(type.requires_license), Boolean(type.is_quote_only),
+        type.tags || [], type.sort_order || 0, type.is_active !== false]
+    );
   }
+  
+  console.log(`✅ ${(taxonomy.categories || []).length} categories, ${(taxonomy.serviceTypes || []).length} service types`);
 }
 
 async function seedTestData(pool) {
@@ -181,31 +260,63 @@ async function seedTestData(pool) {
   }
 }
 
+// Tables the app needs before it can run with DATA_STORE=postgres
+const REQUIRED_TABLES = [
+  'schema_migrations',
+  'customers',
+  'admins',
+  'contractors',
+  'service_categories',
+  'service_types',
+  'addresses',
+  'jobs',
+  'job_events',
+  'contractor_specialties',
+  'contractor_documents',
+  'contractor_payments',
+  'sessions',
+  'auth_tokens',
+  'platform_settings',
+  'payment_events',
+  'payments',
+  'refunds',
+  'payout_adjustments',
+  'ledger_entries',
+  'ledger_lines',
+  'payout_batches',
+  'payout_batch_lines',
+  'audit_logs',
+  'team_applications'
+];
+
 async function verifySchema(pool) {
   console.log(`\n🔍 Verifying schema...`);
   
   try {
-    // Check if team_applications table exists
     const result = await pool.query(
       `SELECT table_name FROM information_schema.tables 
-       WHERE table_schema = 'public' AND table_name = 'team_applications'`
+       WHERE table_schema = 'public' AND table_name = ANY($1)`,
+      [REQUIRED_TABLES]
     );
     
-    if (result.rows.length === 0) {
-      console.error(`❌ team_applications table not found`);
+    const found = new Set(result.rows.map(row => row.table_name));
+    const missing = REQUIRED_TABLES.filter(table => !found.has(table));
+    
+    if (missing.length > 0) {
+      console.error(`❌ Missing tables: ${missing.join(', ')}`);
       return false;
     }
     
-    console.log(`✅ team_applications table exists`);
+    console.log(`✅ ${REQUIRED_TABLES.length} required tables exist`);
     
     // Get column info
+    console.log(`\n📋 team_applications:`);
     const columns = await pool.query(
       `SELECT column_name, data_type FROM information_schema.columns 
        WHERE table_schema = 'public' AND table_name = 'team_applications'
        ORDER BY ordinal_position`
     );
     
-    console.log(`\n📋 Table Columns:`);
     columns.rows.forEach(row => {
       console.log(`  • ${row.column_name}: ${row.data_type}`);
     });
@@ -228,6 +339,23 @@ async function main() {
     console.log(`  Database: ${dbDisplay.database}`);
     console.log(`  User: ${dbDisplay.user}`);
     
+    // Status, dry runs and rollbacks never create or seed anything
+    if (statusMode || dryRun || rollbackMode) {
+      const pool = await connectToDatabase();
+      try {
+        if (rollbackMode) {
+          await rollbackMigrations(pool);
+        } else if (statusMode) {
+          await printStatus(pool);
+        } else {
+          await runMigrations(pool);
+        }
+      } finally {
+        await pool.end();
+      }
+      return;
+    }
+    
     // Step 1: Create database if it doesn't exist
     await createDatabase();
     
@@ -238,14 +366,17 @@ async function main() {
       // Step 3: Run migrations
       await runMigrations(pool);
       
-      // Step 4: Verify schema
+      // Step 4: Sync the service catalog from service-taxonomy.json
+      await seedServiceCatalog(pool);
+      
+      // Step 5: Verify schema
       const schemaValid = await verifySchema(pool);
       
       if (!schemaValid) {
         throw new Error('Schema validation failed');
       }
       
-      // Step 5: Optionally seed test data
+      // Step 6: Optionally seed test data
       if (autoMigrate || process.argv.includes('--seed')) {
         await seedTestData(pool);
       }
@@ -273,6 +404,10 @@ Usage: node db-setup.js [options]
 Options:
   --migrate     Auto-migrate using .env credentials
   --seed        Seed test data after migration
+  --status      List applied, pending and edited migrations
+  --dry-run     Show pending migrations (or, with --rollback, what would be undone)
+  --rollback    Run the .down.sql script of the latest applied migration
+  --steps N     Number of migrations to roll back (default: 1)
   --help        Show this help message
 
 Environment Variables:
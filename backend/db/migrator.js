@@ -0,0 +1,261 @@
+/**
+ * Versioned Migration Runner
+ *
+ * Usage:
+ *   const migrator = require('./db/migrator');
+ *   await migrator.migrate(pool);                      // apply pending
+ *   await migrator.migrate(pool, { dryRun: true });    // list only
+ *   await migrator.rollback(pool, { steps: 1 });       // run down scripts
+ *
+ * Migrations live in db/migrations as NNN-name.sql with an optional
+ * NNN-name.down.sql rollback script. Every applied version is recorded in the
+ * schema_migrations ledger together with a SHA-256 checksum of its up script,
+ * so a migration edited after it ran is reported instead of silently drifting
+ * away from what the database actually contains.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'db', 'migrations');
+
+// Arbitrary constant shared by every runner so two deploys never migrate at once
+const ADVISORY_LOCK_KEY = 724001;
+
+const MIGRATION_FILE = /^(\d+)-(.+?)(\.down)?\.sql$/;
+
+const LEDGER_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    execution_ms INTEGER,
+    applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )
+`;
+
+function checksum(sql) {
+  // Normalise line endings so a Windows checkout does not look like an edit
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read migration files from disk, pairing each up script with its down script
+ * @param {string} dir - Migrations directory
+ * @returns {Array<Object>} Migrations sorted by version
+ */
+function loadMigrations(dir = DEFAULT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const entry = byVersion.get(version) || { version, name: match[2] };
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    if (match[3]) {
+      entry.downFile = file;
+      entry.downSql = sql;
+    } else {
+      if (entry.file) {
+        throw new Error(`Duplicate migration version ${version}: ${entry.file} and ${file}`);
+      }
+      entry.file = file;
+      entry.name = match[2];
+      entry.sql = sql;
+      entry.checksum = checksum(sql);
+    }
+    byVersion.set(version, entry);
+  }
+
+  const migrations = Array.from(byVersion.values()).sort((a, b) => a.version - b.version);
+  const orphan = migrations.find(m => !m.file);
+  if (orphan) {
+    throw new Error(`Rollback script ${orphan.downFile} has no matching up migration`);
+  }
+  return migrations;
+}
+
+async function readLedger(client) {
+  const exists = await client.query("SELECT to_regclass('schema_migrations') AS ledger");
+  if (!exists.rows[0].ledger) return [];
+  const result = await client.query(
+    'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+/**
+ * Compare the files on disk with the ledger
+ * @param {Array<Object>} migrations - From loadMigrations()
+ * @param {Array<Object>} ledger - schema_migrations rows
+ * @returns {{ applied: Array, pending: Array, modified: Array, missing: Array }}
+ */
+function compare(migrations, ledger) {
+  const applied = new Map(ledger.map(row => [Number(row.version), row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: migrations.filter(m => applied.has(m.version)),
+    pending: migrations.filter(m => !applied.has(m.version)),
+    modified: migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum.trim() !== m.checksum),
+    missing: ledger.filter(row => !known.has(Number(row.version)))
+  };
+}
+
+function assertUnmodified(state) {
+  if (state.modified.length === 0) return;
+  const files = state.modified.map(m => m.file).join(', ');
+  throw new Error(
+    `Applied migration(s) changed since they ran: ${files}. ` +
+    'Add a new migration instead of editing one that has already been applied.'
+  );
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Report applied, pending, modified and missing migrations without changing anything
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { dir }
+ */
+async function status(pool, { dir = DEFAULT_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    return compare(migrations, await readLedger(client));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { dir, dryRun, log }
+ * @returns {Promise<{ applied: Array, pending: Array, dryRun: boolean }>}
+ */
+async function migrate(pool, { dir = DEFAULT_DIR, dryRun = false, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  if (dryRun) {
+    // Read-only: the ledger is not even created
+    const state = await status(pool, { dir });
+    assertUnmodified(state);
+    return { applied: [], pending: state.pending, dryRun: true };
+  }
+
+  return withLock(pool, async (client) => {
+    await client.query(LEDGER_SQL);
+    const state = compare(migrations, await readLedger(client));
+    assertUnmodified(state);
+
+    const applied = [];
+    for (const migration of state.pending) {
+      log(`  📄 ${migration.file}...`);
+      const start = Date.now();
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+            [migration.version, migration.name, migration.checksum, Date.now() - start]
+          );
+        });
+      } catch (error) {
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+      log(`  ✅ Done (${Date.now() - start}ms)`);
+      applied.push(migration);
+    }
+    return { applied, pending: [], dryRun: false };
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations using their .down.sql scripts
+ * @param {Pool} pool - pg pool
+ * @param {Object} options - { dir, steps, dryRun, log }
+ * @returns {Promise<{ rolledBack: Array, dryRun: boolean }>}
+ */
+async function rollback(pool, { dir = DEFAULT_DIR, steps = 1, dryRun = false, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  const plan = (ledger) => {
+    const state = compare(migrations, ledger);
+    assertUnmodified(state);
+    const targets = ledger
+      .map(row => Number(row.version))
+      .sort((a, b) => b - a)
+      .slice(0, steps)
+      .map(version => byVersion.get(version) || { version, name: `unknown (${version})` });
+    const unrollable = targets.filter(m => !m.downSql);
+    if (unrollable.length > 0) {
+      throw new Error(`No rollback script for: ${unrollable.map(m => m.file || m.name).join(', ')}`);
+    }
+    return targets;
+  };
+
+  if (dryRun) {
+    const client = await pool.connect();
+    try {
+      return { rolledBack: plan(await readLedger(client)), dryRun: true };
+    } finally {
+      client.release();
+    }
+  }
+
+  return withLock(pool, async (client) => {
+    const targets = plan(await readLedger(client));
+    for (const migration of targets) {
+      log(`  ↩️  ${migration.downFile}...`);
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(migration.downSql);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+      } catch (error) {
+        throw new Error(`Rollback ${migration.downFile} failed: ${error.message}`);
+      }
+      log(`  ✅ Done`);
+    }
+    return { rolledBack: targets, dryRun: false };
+  });
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  loadMigrations,
+  checksum,
+  status,
+  migrate,
+  rollback
+};
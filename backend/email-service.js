@@ -39,6 +39,10 @@ const initEmailService = () => {
   console.log(`📧 Email service initialized (${ENV.emailMode})`);
 };
 
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
+
 // Email templates
 const emailTemplates = {
   applicationApproved: (applicantName, cityName, reviewerNotes) => ({
@@ -212,6 +216,449 @@ const emailTemplates = {
         </body>
       </html>
     `
+  }),
+
+  passwordReset: (name, resetLink, ttlMinutes) => ({
+    subject: 'Reset your FirstClick password',
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .action-button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; margin-top: 15px; }
+            .link { word-break: break-all; color: #6b7280; font-size: 12px; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔑 Password Reset</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>We received a request to reset the password for your FirstClick account. Use the button below to choose a new one.</p>
+              
+              <a href="${resetLink}" class="action-button">Reset Password</a>
+              
+              <p>This link expires in ${ttlMinutes} minutes and can only be used once. Resetting your password signs you out on every device.</p>
+              
+              <p>If you did not ask for this, you can ignore this email; your password will not change.</p>
+              
+              <p class="link">${resetLink}</p>
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  emailVerification: (name, verifyLink) => ({
+    subject: 'Confirm your FirstClick email address',
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .action-button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; margin-top: 15px; }
+            .link { word-break: break-all; color: #6b7280; font-size: 12px; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📧 Confirm Your Email</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>Thanks for signing up with FirstClick! Please confirm that this is your email address.</p>
+              
+              <a href="${verifyLink}" class="action-button">Confirm Email</a>
+              
+              <p>If you did not create an account, you can ignore this email.</p>
+              
+              <p class="link">${verifyLink}</p>
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  refundIssued: (name, { amount, currency, jobReference, reasonLabel, fullRefund, totalRefunded, amountPaid }) => ({
+    subject: fullRefund ? 'Your FirstClick payment has been refunded' : 'You have received a partial refund from FirstClick',
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .amount { font-size: 20px; font-weight: bold; color: #2563eb; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>💳 Refund Issued</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>We have refunded ${fullRefund ? 'your payment' : 'part of your payment'} for job ${jobReference}.</p>
+              
+              <p class="amount">$${amount} ${currency}</p>
+              
+              <p><strong>Reason:</strong> ${reasonLabel}</p>
+              ${fullRefund ? '' : `<p>$${totalRefunded} of your $${amountPaid} ${currency} payment has now been refunded.</p>`}
+              
+              <p>Refunds go back to the card you paid with and usually appear on your statement within 5–10 business days.</p>
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  documentIssued: (name, { title, number, summary, amount, currency }) => ({
+    subject: `Your FirstClick ${title.toLowerCase()} ${number}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .amount { font-size: 20px; font-weight: bold; color: #2563eb; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📄 ${title} ${number}</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>${summary}</p>
+              
+              <p class="amount">$${amount} ${currency}</p>
+              
+              <p>The PDF is attached. You can also download it from your FirstClick account at any time.</p>
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  quoteUpdate: (name, { subject, heading, message, amount, currency, validUntil }) => ({
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .amount { font-size: 20px; font-weight: bold; color: #2563eb; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📝 ${escapeHtml(heading)}</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${escapeHtml(name || 'there')},</p>
+              
+              <p>${escapeHtml(message)}</p>
+              
+              <p class="amount">$${escapeHtml(amount)} ${escapeHtml(currency)} <span style="font-size: 13px; font-weight: normal; color: #666;">before tax</span></p>
+              ${validUntil ? `<p>This quote is valid until ${escapeHtml(validUntil)}.</p>` : ''}
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  changeOrderUpdate: (name, { subject, heading, message, amount, currency }) => ({
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .amount { font-size: 20px; font-weight: bold; color: #2563eb; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🛠️ ${escapeHtml(heading)}</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${escapeHtml(name || 'there')},</p>
+              
+              <p>${escapeHtml(message)}</p>
+              
+              <p class="amount">${Number(amount) < 0 ? '−' : '+'}$${Math.abs(Number(amount)).toFixed(2)} ${escapeHtml(currency)} <span style="font-size: 13px; font-weight: normal; color: #666;">price change before tax</span></p>
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  dispatchUpdate: (name, { subject, heading, message, deadline }) => ({
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f59e0b, #d97706); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .deadline { font-weight: bold; color: #b45309; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📍 ${heading}</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>${message}</p>
+              ${deadline ? `<p class="deadline">${deadline}</p>` : ''}
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  appointmentUpdate: (name, { subject, heading, message, when }) => ({
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #0ea5e9, #0369a1); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .when { font-size: 18px; font-weight: bold; color: #0369a1; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🗓️ ${heading}</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>${message}</p>
+              ${when ? `<p class="when">${when}</p>` : ''}
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  visitUpdate: (name, { subject, heading, message, detail }) => ({
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #22c55e, #15803d); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .detail { font-size: 18px; font-weight: bold; color: #15803d; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🚐 ${heading}</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>${message}</p>
+              ${detail ? `<p class="detail">${detail}</p>` : ''}
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  // Rendered and translated by services/notifications; plain text in, one paragraph per line
+  notification: ({ subject, message, lang }) => ({
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html lang="${lang || 'en'}">
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6, #1d4ed8); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${escapeHtml(subject)}</h1>
+            </div>
+            
+            <div class="content">
+              ${String(message).split('\n').filter(Boolean).map(line => `<p>${escapeHtml(line)}</p>`).join('')}
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  creditAdded: (name, { message, amount, balance, currency }) => ({
+    subject: `You have $${Number(amount).toFixed(2)} of FirstClick credit`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #10b981, #059669); color: white; padding: 20px; border-radius: 8px; text-align: center; margin-bottom: 20px; }
+            .header h1 { margin: 0; font-size: 24px; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+            .amount { font-size: 20px; font-weight: bold; color: #059669; }
+            .footer { text-align: center; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🎁 Credit added</h1>
+            </div>
+            
+            <div class="content">
+              <p>Hi ${name || 'there'},</p>
+              
+              <p>${message}</p>
+              
+              <p class="amount">+$${Number(amount).toFixed(2)} ${currency}</p>
+              <p>Your balance is now $${Number(balance).toFixed(2)} ${currency}. It comes off your next job at checkout.</p>
+            </div>
+            
+            <div class="footer">
+              <p>FirstClick | © 2026</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
   })
 };
 
@@ -281,9 +728,248 @@ const sendNewApplicationNotification = async (applicantName, applicantEmail, cit
   }
 };
 
+// Send password reset link
+const sendPasswordResetEmail = async (email, name, resetLink, ttlMinutes) => {
+  try {
+    const template = emailTemplates.passwordReset(name, resetLink, ttlMinutes);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Password reset email sent to ${email}`);
+    return { success: true, message: 'Password reset email sent' };
+  } catch (error) {
+    console.error('❌ Error sending password reset email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send email verification link
+const sendVerificationEmail = async (email, name, verifyLink) => {
+  try {
+    const template = emailTemplates.emailVerification(name, verifyLink);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Verification email sent to ${email}`);
+    return { success: true, message: 'Verification email sent' };
+  } catch (error) {
+    console.error('❌ Error sending verification email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send refund notification to the customer
+const sendRefundEmail = async (email, name, details) => {
+  try {
+    const template = emailTemplates.refundIssued(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Refund email sent to ${email}`);
+    return { success: true, message: 'Refund email sent' };
+  } catch (error) {
+    console.error('❌ Error sending refund email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an invoice or payout statement with its PDF attached
+const sendDocumentEmail = async (email, name, details, attachment) => {
+  try {
+    const template = emailTemplates.documentIssued(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      attachments: [{ filename: attachment.filename, content: attachment.content, contentType: 'application/pdf' }]
+    });
+    
+    console.log(`✅ ${details.title} ${details.number} emailed to ${email}`);
+    return { success: true, message: 'Document email sent' };
+  } catch (error) {
+    console.error('❌ Error sending document email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a quote notification (new quote to the customer, accepted quote to the contractor)
+const sendQuoteEmail = async (email, name, details) => {
+  try {
+    const template = emailTemplates.quoteUpdate(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Quote email sent to ${email}`);
+    return { success: true, message: 'Quote email sent' };
+  } catch (error) {
+    console.error('❌ Error sending quote email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a change order notification (approval request to the customer, decision to the contractor)
+const sendChangeOrderEmail = async (email, name, details) => {
+  try {
+    const template = emailTemplates.changeOrderUpdate(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Change order email sent to ${email}`);
+    return { success: true, message: 'Change order email sent' };
+  } catch (error) {
+    console.error('❌ Error sending change order email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell a customer credit was added to their account
+const sendCreditEmail = async (email, name, details) => {
+  try {
+    const template = emailTemplates.creditAdded(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Credit email sent to ${email}`);
+    return { success: true, message: 'Credit email sent' };
+  } catch (error) {
+    console.error('❌ Error sending credit email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a dispatch notice (a job offer to a contractor, an escalation to admins)
+const sendDispatchEmail = async (email, name, details) => {
+  try {
+    const template = emailTemplates.dispatchUpdate(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Dispatch email sent to ${email}`);
+    return { success: true, message: 'Dispatch email sent' };
+  } catch (error) {
+    console.error('❌ Error sending dispatch email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an appointment notice, with its calendar invite (.ics) attached when given
+const sendAppointmentEmail = async (email, name, details, invite = null) => {
+  try {
+    const template = emailTemplates.appointmentUpdate(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      ...(invite ? {
+        attachments: [{
+          filename: invite.filename,
+          content: invite.content,
+          contentType: `text/calendar; charset=utf-8; method=${invite.method}`
+        }]
+      } : {})
+    });
+    
+    console.log(`✅ Appointment email sent to ${email}`);
+    return { success: true, message: 'Appointment email sent' };
+  } catch (error) {
+    console.error('❌ Error sending appointment email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell a customer their contractor is on the way, has arrived or has left
+const sendVisitEmail = async (email, name, details) => {
+  try {
+    const template = emailTemplates.visitUpdate(name, details);
+    
+    await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Visit email sent to ${email}`);
+    return { success: true, message: 'Visit email sent' };
+  } catch (error) {
+    console.error('❌ Error sending visit email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a notification rendered by services/notifications
+const sendNotificationEmail = async (email, details) => {
+  try {
+    const template = emailTemplates.notification(details);
+    
+    const info = await transporter.sendMail({
+      from: ENV.emailFrom,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+    
+    console.log(`✅ Notification email sent to ${email}`);
+    return { success: true, message: 'Notification email sent', messageId: info && info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending notification email:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   initEmailService,
   sendApprovalEmail,
   sendRejectionEmail,
-  sendNewApplicationNotification
+  sendNewApplicationNotification,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendRefundEmail,
+  sendDocumentEmail,
+  sendQuoteEmail,
+  sendChangeOrderEmail,
+  sendCreditEmail,
+  sendDispatchEmail,
+  sendAppointmentEmail,
+  sendVisitEmail,
+  sendNotificationEmail
 };
@@ -0,0 +1,282 @@
+/**
+ * Financials – the one place job money is calculated
+ *
+ * Usage (Node):
+ *   const financials = require('./lib/financials');
+ *   const breakdown = financials.calculate({ finalPriceCents: 45000, materialCents: 12500, tier: 'gold' });
+ *   const row = financials.jobFinancials(job);      // dollars, for API responses
+ *
+ * Usage (browser): served by GET /api/financials/engine and exposed as
+ * window.FirstClickFinancials, so admin pages show exactly what the API computes.
+ *
+ * Rules, all in integer cents:
+ *   - Dollar inputs are parsed as decimal strings, never through float maths,
+ *     and rounded half-up to the cent.
+ *   - net amount        = max(0, final price − refunds − materials)
+ *   - processing fee    = 2.9% of the final price, half-up, + 30¢; nothing when
+ *                         the final price is zero. Refunds do not return it
+ *   - platform fee      = tier rate × net amount, half-up
+ *   - contractor payout = max(0, net amount − processing fee − platform fee)
+ *   - net platform revenue = platform fee
+ *   - Negative prices, materials or refunds, and refunds above the final price,
+ *     are rejected by calculate(); jobFinancials() treats a negative stored
+ *     price as missing and negative materials or refunds as zero.
+ *
+ * The golden table in API_QUICK_REFERENCE.md ("Financial Rules") lists
+ * worked cases and test/financials.test.js runs them (npm test); keep both
+ * in step with any change here.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FirstClickFinancials = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const CURRENCY = 'CAD';
+
+  // Platform fee per contractor tier, in basis points of the net amount
+  const CONTRACTOR_TIERS = {
+    bronze: { platformFeeBps: 2000, label: 'Bronze' },
+    silver: { platformFeeBps: 1500, label: 'Silver' },
+    gold: { platformFeeBps: 1000, label: 'Gold' }
+  };
+
+  const DEFAULT_TIER = 'bronze';
+
+  // Card processing (Stripe) fee charged on the final price
+  const PROCESSING_FEE = {
+    rateBps: 290,
+    fixedCents: 30,
+    description: '2.9% + $0.30 CAD'
+  };
+
+  class FinancialsError extends Error {
+    constructor(message, status = 400) {
+      super(message);
+      this.name = 'FinancialsError';
+      this.status = status;
+    }
+  }
+
+  /**
+   * Parse a dollar amount (number or string such as "$1,234.5") into cents
+   * @returns {number|null} Integer cents, or null when empty or unparsable
+   */
+  function toCents(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' && !Number.isFinite(value)) return null;
+    const text = String(value).replace(/[^0-9.eE-]/g, '');
+    // Plain decimals are split on the point; exponent forms go through Number
+    const match = text.match(/^(-)?(\d*)(?:\.(\d*))?$/);
+    if (!match) {
+      const parsed = Number(text);
+      return Number.isFinite(parsed) ? Math.round(parsed * 100) : null;
+    }
+    const [, sign, whole = '', fraction = ''] = match;
+    if (!whole && !fraction) return null;
+    const digits = `${fraction}000`;
+    let cents = Number(whole || 0) * 100 + Number(digits.slice(0, 2));
+    if (Number(digits[2]) >= 5) cents += 1;
+    return sign && cents !== 0 ? -cents : cents;
+  }
+
+  /**
+   * Cents to a dollar number for JSON responses (null stays null)
+   */
+  function toDollars(cents) {
+    return cents === null || cents === undefined ? null : cents / 100;
+  }
+
+  /**
+   * `bps` basis points of a non-negative cent amount, rounded half-up
+   */
+  function percentOf(cents, bps) {
+    return Math.floor((cents * bps + 5000) / 10000);
+  }
+
+  function normalizeTier(tier) {
+    const key = String(tier || DEFAULT_TIER).toLowerCase();
+    return CONTRACTOR_TIERS[key] ? key : DEFAULT_TIER;
+  }
+
+  function tierRateBps(tier) {
+    return CONTRACTOR_TIERS[normalizeTier(tier)].platformFeeBps;
+  }
+
+  function assertCents(value, name) {
+    if (!Number.isInteger(value)) {
+      throw new FinancialsError(`${name} must be a whole number of cents`);
+    }
+    if (value < 0) {
+      throw new FinancialsError(`${name} cannot be negative`);
+    }
+  }
+
+  /**
+   * Full breakdown for one job
+   * @param {Object} input - { finalPriceCents, materialCents = 0, tier = 'bronze', refundedCents = 0 }
+   * @returns {{ final_price, material_fees, refunded, net_amount, stripe_fee, platform_fee,
+   *             contractor_payout, net_platform_revenue }} All integer cents
+   */
+  function calculate({ finalPriceCents, materialCents = 0, tier = DEFAULT_TIER, refundedCents = 0 }) {
+    assertCents(finalPriceCents, 'Final price');
+    assertCents(materialCents, 'Material cost');
+    assertCents(refundedCents, 'Refund');
+    if (refundedCents > finalPriceCents) {
+      throw new FinancialsError('Refund cannot exceed the final price');
+    }
+
+    const netAmount = Math.max(0, finalPriceCents - refundedCents - materialCents);
+    const stripeFee = finalPriceCents > 0
+      ? percentOf(finalPriceCents, PROCESSING_FEE.rateBps) + PROCESSING_FEE.fixedCents
+      : 0;
+    const platformFee = percentOf(netAmount, tierRateBps(tier));
+    const contractorPayout = Math.max(0, netAmount - stripeFee - platformFee);
+
+    return {
+      final_price: finalPriceCents,
+      material_fees: materialCents,
+      refunded: refundedCents,
+      net_amount: netAmount,
+      stripe_fee: stripeFee,
+      platform_fee: platformFee,
+      contractor_payout: contractorPayout,
+      net_platform_revenue: platformFee
+    };
+  }
+
+  /**
+   * The final price, material cost and refunds a job's records settle on, in
+   * cents (price: completion payment first, then the job row, then the estimate)
+   */
+  function resolveJobAmounts(job) {
+    const completionReport = (job && job.completion_report) || {};
+    const completionPayment = completionReport.payment || {};
+    const estimate = (job && job.estimate) || {};
+    const price = [completionPayment.final_price, job && job.final_price, estimate.max, estimate.min]
+      .map(toCents)
+      .find(value => value !== null);
+    const materials = [job && job.material_fees, completionPayment.materials_cost, completionReport.material_costs]
+      .map(toCents)
+      .find(value => value !== null);
+    const finalPriceCents = price === undefined || price < 0 ? null : price;
+    const refunded = toCents(job && job.refunded_amount);
+    return {
+      finalPriceCents,
+      materialCents: materials === undefined || materials < 0 ? 0 : materials,
+      refundedCents: refunded === null || refunded < 0 ? 0 : Math.min(refunded, finalPriceCents || 0)
+    };
+  }
+
+  function toDollarBreakdown(breakdown) {
+    const dollars = {};
+    Object.keys(breakdown).forEach(key => {
+      dollars[key] = toDollars(breakdown[key]);
+    });
+    return dollars;
+  }
+
+  /**
+   * Breakdown for a stored job, in dollars, as the API returns it
+   * @param {Object} job - Job row (contractor_tier attached when known)
+   * @returns {Object} Dollar fields (null when the job has no price yet),
+   *   plus currency, contractor_tier and the same figures in `cents`
+   */
+  function jobFinancials(job) {
+    const tier = normalizeTier(job && (job.contractor_tier || job.contractorTier));
+    const { finalPriceCents, materialCents, refundedCents } = resolveJobAmounts(job);
+    if (finalPriceCents === null) {
+      return {
+        currency: CURRENCY,
+        contractor_tier: tier,
+        final_price: null,
+        material_fees: null,
+        refunded: null,
+        net_amount: null,
+        stripe_fee: null,
+        platform_fee: null,
+        contractor_payout: null,
+        net_platform_revenue: null,
+        cents: null
+      };
+    }
+    const cents = calculate({ finalPriceCents, materialCents, tier, refundedCents });
+    return { currency: CURRENCY, contractor_tier: tier, ...toDollarBreakdown(cents), cents };
+  }
+
+  /**
+   * Add up one field of many breakdowns in cents
+   * @param {Array<Object>} rows - jobFinancials() results
+   * @param {string} field - e.g. 'contractor_payout'
+   * @returns {number} Cents
+   */
+  function sumCents(rows, field) {
+    return rows.reduce((sum, row) => sum + ((row && row.cents && row.cents[field]) || 0), 0);
+  }
+
+  /**
+   * Add up a stored dollar column (e.g. refunds.amount) in cents
+   * @param {Array<Object>} rows - Database rows
+   * @param {string} field - Column name
+   * @returns {number} Cents; unparseable values count as zero
+   */
+  function sumAmountCents(rows, field) {
+    return rows.reduce((sum, row) => sum + (toCents(row && row[field]) || 0), 0);
+  }
+
+  /**
+   * Copy each job's contractor tier onto it from the contractors list
+   */
+  function attachContractorTier(jobs, contractors = []) {
+    if (!Array.isArray(jobs) || jobs.length === 0) return jobs;
+    const tierById = new Map(
+      (contractors || []).map(contractor => [
+        contractor.id,
+        contractor.contractor_tier || contractor.contractorTier || DEFAULT_TIER
+      ])
+    );
+    return jobs.map(job => {
+      if (!job) return job;
+      if (job.contractor_tier || job.contractorTier) return job;
+      const tier = tierById.get(job.contractor_id);
+      if (!tier) return job;
+      return { ...job, contractor_tier: tier };
+    });
+  }
+
+  /**
+   * Rates and labels for display (GET /api/financials/config)
+   */
+  function config() {
+    return {
+      currency: CURRENCY,
+      processing_fee: { ...PROCESSING_FEE },
+      tiers: Object.keys(CONTRACTOR_TIERS).map(key => ({
+        key,
+        label: CONTRACTOR_TIERS[key].label,
+        platform_fee_bps: CONTRACTOR_TIERS[key].platformFeeBps
+      }))
+    };
+  }
+
+  return {
+    CURRENCY,
+    CONTRACTOR_TIERS,
+    PROCESSING_FEE,
+    FinancialsError,
+    toCents,
+    toDollars,
+    percentOf,
+    normalizeTier,
+    tierRateBps,
+    calculate,
+    resolveJobAmounts,
+    jobFinancials,
+    sumCents,
+    sumAmountCents,
+    attachContractorTier,
+    config
+  };
+}));
@@ -0,0 +1,274 @@
+/**
+ * Minimal PDF writer – text, rules and simple tables on Letter pages
+ *
+ * Usage:
+ *   const pdf = require('./lib/pdf');
+ *   const doc = pdf.createDocument({ title: 'Invoice INV-000001' });
+ *   doc.text('Invoice', { size: 18, bold: true });
+ *   doc.row([{ text: 'Labour', width: 300 }, { text: '$450.00', width: 212, align: 'right' }]);
+ *   doc.rule();
+ *   const buffer = doc.toBuffer();
+ *
+ * Uses the standard Helvetica and Helvetica-Bold fonts (every PDF reader has
+ * them, so nothing is embedded) with WinAnsi encoding: accented Latin
+ * letters, dashes and curly quotes print; anything else prints as '?'.
+ * Content streams are deflated with zlib. Text is laid out top-down from a
+ * cursor and flows onto a new page when it reaches the bottom margin.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const LINE_GAP = 1.35;
+
+// Advance widths (1/1000 em) of characters 32–126, from the Adobe font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes for the characters outside Latin-1 it can print
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function encode(text) {
+  return Buffer.from([...String(text ?? '')].map(char => {
+    const code = char.codePointAt(0);
+    if (code === 9) return 32;
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+    return WIN_ANSI[char] || 63;
+  }));
+}
+
+/**
+ * Width of a string in points
+ */
+function measure(text, { size = 10, bold = false } = {}) {
+  const widths = WIDTHS[bold ? 'bold' : 'regular'];
+  const units = [...encode(text)].reduce((sum, code) =>
+    sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH), 0);
+  return (units * size) / 1000;
+}
+
+// Break text into lines no wider than `width` (a word longer than a line is cut)
+function wrap(text, width, font) {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate, font) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (measure(line, font) > width && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measure(line.slice(0, cut), font) > width) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function number(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * A new document
+ * @param {Object} [info] - { title, author }
+ */
+function createDocument(info = {}) {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  }
+
+  function ensureSpace(height) {
+    if (!ops || y - height < MARGIN) addPage();
+  }
+
+  function drawText(text, x, baseline, { size = 10, bold = false, color } = {}) {
+    const fill = color ? `${color.map(number).join(' ')} rg ` : '';
+    ops.push(`BT ${fill}/${bold ? 'F2' : 'F1'} ${number(size)} Tf ${number(x)} ${number(baseline)} Td <${encode(text).toString('hex')}> Tj ET`);
+  }
+
+  function alignedX(text, x, width, font, align) {
+    if (align === 'right') return x + width - measure(text, font);
+    if (align === 'center') return x + (width - measure(text, font)) / 2;
+    return x;
+  }
+
+  const doc = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    MARGIN,
+    CONTENT_WIDTH: PAGE_WIDTH - 2 * MARGIN,
+
+    /**
+     * A paragraph, wrapped to `width`
+     * @param {string} text
+     * @param {Object} [options] - { size (10), bold, align (left|right|center), x, width, color ([r, g, b] 0–1) }
+     */
+    text(text, options = {}) {
+      const font = { size: options.size || 10, bold: Boolean(options.bold) };
+      const x = options.x ?? MARGIN;
+      const width = options.width ?? PAGE_WIDTH - MARGIN - x;
+      const lineHeight = font.size * LINE_GAP;
+      wrap(text, width, font).forEach(line => {
+        ensureSpace(lineHeight);
+        y -= font.size;
+        drawText(line, alignedX(line, x, width, font, options.align), y, { ...font, color: options.color });
+        y -= lineHeight - font.size;
+      });
+      return doc;
+    },
+
+    /**
+     * One table row: cells side by side from the left margin; a cell wraps
+     * within its width and the row is as tall as its tallest cell
+     * @param {Array<{ text, width, align, bold }>} cells
+     * @param {Object} [options] - { size (10), bold, color }
+     */
+    row(cells, options = {}) {
+      const size = options.size || 10;
+      const lineHeight = size * LINE_GAP;
+      const wrapped = cells.map(cell => {
+        const font = { size, bold: Boolean(cell.bold ?? options.bold) };
+        return { ...cell, font, lines: wrap(cell.text, cell.width - 4, font) };
+      });
+      const height = Math.max(...wrapped.map(cell => cell.lines.length)) * lineHeight;
+      ensureSpace(height);
+      let x = MARGIN;
+      wrapped.forEach(cell => {
+        cell.lines.forEach((line, index) => {
+          const baseline = y - size - index * lineHeight;
+          const cellX = cell.align === 'right' ? x : x + 2;
+          drawText(line, alignedX(line, cellX, cell.width - 2, cell.font, cell.align), baseline, { ...cell.font, color: options.color });
+        });
+        x += cell.width;
+      });
+      y -= height;
+      return doc;
+    },
+
+    /**
+     * A horizontal line across the content width
+     * @param {Object} [options] - { weight (0.5), gap (4 points above and below) }
+     */
+    rule({ weight = 0.5, gap = 4 } = {}) {
+      ensureSpace(2 * gap);
+      y -= gap;
+      ops.push(`${number(weight)} w ${MARGIN} ${number(y)} m ${PAGE_WIDTH - MARGIN} ${number(y)} l S`);
+      y -= gap;
+      return doc;
+    },
+
+    space(points = 10) {
+      ensureSpace(points);
+      y -= points;
+      return doc;
+    },
+
+    addPage() {
+      addPage();
+      return doc;
+    },
+
+    /**
+     * The finished file
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      if (!pages.length) addPage();
+      const objects = [];
+      const add = body => {
+        objects.push(body);
+        return objects.length;
+      };
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+      const bold = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+      const pageIds = pages.map((pageOps, index) => {
+        const footer = `BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 40} 30 Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+        const stream = zlib.deflateSync(Buffer.from([...pageOps, footer].join('\n'), 'latin1'));
+        const content = add(Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+          stream,
+          Buffer.from('\nendstream')
+        ]));
+        return add(Buffer.from(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`));
+      });
+      objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+      objects[pageTree - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+      const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+      const infoId = add(Buffer.concat([
+        Buffer.from('<< /Title <'),
+        Buffer.from(encode(info.title || '').toString('hex')),
+        Buffer.from('> /Author <'),
+        Buffer.from(encode(info.author || 'FirstClick').toString('hex')),
+        Buffer.from(`> /Producer (FirstClick) /CreationDate (D:${created}Z) >>`)
+      ]));
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, index) => {
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+        chunks.push(chunk);
+        const start = offset;
+        offset += chunk.length;
+        return start;
+      });
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF'
+      ].join('\n');
+      chunks.push(Buffer.from(`${xref}\n`));
+      return Buffer.concat(chunks);
+    }
+  };
+  return doc;
+}
+
+module.exports = {
+  createDocument,
+  measure
+};
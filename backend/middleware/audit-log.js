@@ -1,4 +1,4 @@
-const { pool } = require('../mock-db');
+const { auditLogs } = require('../repositories');
 
 function scrubPayload(payload) {
   if (!payload || typeof payload !== 'object') return payload;
@@ -30,21 +30,18 @@ function auditLog() {
         };
         const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null;
         const userAgent = req.headers['user-agent'] || null;
-        await pool.query(
-          'INSERT INTO audit_logs (user_id, user_email, user_role, action, resource_type, resource_id, details, ip_address, user_agent, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)',
-          [
-            user.id || null,
-            user.email || null,
-            user.role || null,
-            action,
-            req.baseUrl.includes('users') ? 'user' : null,
-            req.params?.id || null,
-            details,
-            ip,
-            userAgent,
-            new Date().toISOString()
-          ]
-        );
+        await auditLogs.create({
+          user_id: user.id || null,
+          user_email: user.email || null,
+          user_role: user.role || null,
+          action,
+          resource_type: req.baseUrl.includes('users') ? 'user' : null,
+          resource_id: req.params?.id || null,
+          details,
+          ip_address: ip,
+          user_agent: userAgent,
+          created_at: new Date().toISOString()
+        });
       } catch (error) {
         // Non-blocking logging
       }
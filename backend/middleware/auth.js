@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
-const { pool } = require('../mock-db');
+const { sessions } = require('../repositories');
 const ENV = require('../config/env');
+const { MFA_SCOPE } = require('../services/mfa');
 
 const JWT_SECRET = ENV.jwtSecret;
 
@@ -15,10 +16,14 @@ async function authenticateToken(req, res, next) {
   }
   try {
     const payload = jwt.verify(token, JWT_SECRET);
+    // A password-only admin login is not a session until its second factor is checked
+    if (payload.scope === MFA_SCOPE) {
+      req.authError = new Error('Two-factor authentication pending');
+      return next();
+    }
     req.user = payload;
     if (payload.sid) {
-      const sessionResult = await pool.query('SELECT * FROM sessions WHERE id = $1', [payload.sid]);
-      const session = sessionResult.rows[0];
+      const session = await sessions.findById(payload.sid);
       const now = new Date();
       if (!session || session.revoked_at || (session.expires_at && new Date(session.expires_at) <= now)) {
         req.authError = new Error('Session revoked');
@@ -0,0 +1,108 @@
+/**
+ * Authorization Policies – who may touch which resource
+ *
+ * Usage:
+ *   app.get('/api/customer/jobs/:customerId', requireSelf('customerId'), handler);
+ *   app.post('/api/contractor/jobs/:jobId/start', requireJobParticipant('contractor'), handler);
+ *
+ * Identity always comes from the JWT verified by authenticateToken
+ * (req.user); ids in the body, query string or custom headers are never
+ * trusted to say who the caller is. Admin roles pass every check so the
+ * back office keeps working on behalf of users.
+ */
+
+const { jobs } = require('../repositories');
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+function isAdmin(user) {
+  return Boolean(user) && ADMIN_ROLES.includes(user.role);
+}
+
+// Send 401 and return true when the request has no valid identity
+function rejectUnauthenticated(req, res) {
+  if (req.authError) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+    return true;
+  }
+  if (!req.user) {
+    res.status(401).json({ error: 'Authentication required' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Allow only the listed roles
+ * @param {...string} roles - e.g. 'customer', 'contractor', 'admin', 'super_admin'
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (rejectUnauthenticated(req, res)) return;
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    return next();
+  };
+}
+
+/**
+ * Allow the user whose id is in req.params[param] (or an admin)
+ * @param {string} param - Route parameter holding the owner id
+ */
+function requireSelf(param) {
+  return (req, res, next) => {
+    if (rejectUnauthenticated(req, res)) return;
+    if (isAdmin(req.user) || sameId(req.params[param], req.user.id)) {
+      return next();
+    }
+    return res.status(403).json({ error: 'Access denied' });
+  };
+}
+
+/**
+ * Allow the job's customer and/or assigned contractor (or an admin).
+ * Loads the job into req.job.
+ * @param {...string} participants - 'customer' and/or 'contractor'; both when omitted
+ */
+function requireJobParticipant(...participants) {
+  const allowed = participants.length > 0 ? participants : ['customer', 'contractor'];
+
+  return async (req, res, next) => {
+    if (rejectUnauthenticated(req, res)) return;
+    try {
+      const job = await jobs.findById(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      const { role, id } = req.user;
+      const permitted = isAdmin(req.user)
+        || (role === 'customer' && allowed.includes('customer') && sameId(job.customer_id, id))
+        || (role === 'contractor' && allowed.includes('contractor') && sameId(job.contractor_id, id));
+
+      if (!permitted) {
+        // Same answer for "not yours" and "wrong role" so job ids cannot be probed
+        return res.status(403).json({ error: 'Not a participant in this job' });
+      }
+
+      req.job = job;
+      return next();
+    } catch (error) {
+      console.error('Job participant check error:', error);
+      return res.status(500).json({ error: 'Failed to authorize request' });
+    }
+  };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  isAdmin,
+  requireRole,
+  requireSelf,
+  requireJobParticipant
+};
@@ -0,0 +1,10 @@
+/**
+ * Values shared by both repository implementations
+ */
+
+// Job statuses that put an unassigned job in the contractor pool
+const OPEN_STATUSES = ['submitted', 'ready_to_assign'];
+
+module.exports = {
+  OPEN_STATUSES
+};
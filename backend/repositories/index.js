@@ -0,0 +1,59 @@
+/**
+ * Repository Layer – Data Access Entry Point
+ *
+ * Usage:
+ *   const { jobs, customers } = require('./repositories');
+ *   const job = await jobs.findById(jobId);
+ *
+ * ENV.dataStore selects the implementation:
+ *   postgres → repositories/postgres (backed by db/pool.js)
+ *   memory   → repositories/memory   (seeded arrays from mock-db.js; a
+ *              restart loses all data, so use it for local dev and tests)
+ *
+ * Both implementations expose the same functions with the same row shapes.
+ */
+
+const ENV = require('../config/env');
+
+const implementation = ENV.dataStore === 'postgres' ? 'postgres' : 'memory';
+
+function load(name) {
+  return require(`./${implementation}/${name}`);
+}
+
+module.exports = {
+  implementation,
+  jobs: load('jobs'),
+  jobEvents: load('job-events'),
+  customers: load('customers'),
+  contractors: load('contractors'),
+  admins: load('admins'),
+  sessions: load('sessions'),
+  authTokens: load('auth-tokens'),
+  platformSettings: load('platform-settings'),
+  payments: load('payments'),
+  paymentEvents: load('payment-events'),
+  refunds: load('refunds'),
+  payoutAdjustments: load('payout-adjustments'),
+  payoutBatches: load('payout-batches'),
+  documents: load('documents'),
+  quotes: load('quotes'),
+  changeOrders: load('change-orders'),
+  pricingVersions: load('pricing-versions'),
+  promoCodes: load('promo-codes'),
+  promoRedemptions: load('promo-redemptions'),
+  referrals: load('referrals'),
+  customerCredits: load('customer-credits'),
+  dispatchOffers: load('dispatch-offers'),
+  contractorBlackouts: load('contractor-blackouts'),
+  jobCheckIns: load('job-check-ins'),
+  jobMessages: load('job-messages'),
+  notificationPreferences: load('notification-preferences'),
+  pushSubscriptions: load('push-subscriptions'),
+  notificationDeliveries: load('notification-deliveries'),
+  ledger: load('ledger'),
+  addresses: load('addresses'),
+  specialties: load('specialties'),
+  services: load('services'),
+  auditLogs: load('audit-logs')
+};
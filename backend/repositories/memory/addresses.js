@@ -0,0 +1,32 @@
+/**
+ * Addresses Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { sameId, newId } = require('./helpers');
+
+async function findById(id) {
+  return db.addresses.find(a => sameId(a.id, id)) || null;
+}
+
+async function create(fields) {
+  const address = {
+    id: newId(),
+    address_line1: fields.address_line1,
+    address_line2: fields.address_line2,
+    city: fields.city,
+    province: fields.province,
+    postal_code: fields.postal_code,
+    property_type: fields.property_type,
+    latitude: fields.latitude ?? null,
+    longitude: fields.longitude ?? null,
+    created_at: new Date()
+  };
+  db.addresses.push(address);
+  return address;
+}
+
+module.exports = {
+  findById,
+  create
+};
@@ -0,0 +1,85 @@
+/**
+ * Admins Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'email',
+  'password_hash',
+  'full_name',
+  'role',
+  'tier',
+  'is_active',
+  'status',
+  'paused_at',
+  'resumed_at',
+  'terminated_at',
+  'termination_reason',
+  'mfa_secret',
+  'mfa_pending_secret',
+  'mfa_enabled_at',
+  'mfa_recovery_codes',
+  'mfa_last_step'
+];
+
+async function findById(id) {
+  return db.admins.find(a => sameId(a.id, id)) || null;
+}
+
+async function findByEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return db.admins.find(a => String(a.email || '').toLowerCase() === normalized) || null;
+}
+
+async function list() {
+  return db.admins;
+}
+
+async function create(fields) {
+  const admin = applyFields({
+    id: newId(),
+    role: 'admin',
+    is_active: true,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.admins.push(admin);
+  return admin;
+}
+
+async function update(id, fields) {
+  const admin = await findById(id);
+  if (!admin) return null;
+  return applyFields(admin, fields, COLUMNS);
+}
+
+/**
+ * Record a used TOTP time step; refuses steps at or before the last one
+ * @returns {Promise<boolean>} False when the code was already used
+ */
+async function recordMfaStep(id, step) {
+  const admin = await findById(id);
+  if (!admin || (admin.mfa_last_step !== null && admin.mfa_last_step !== undefined && admin.mfa_last_step >= step)) {
+    return false;
+  }
+  admin.mfa_last_step = step;
+  return true;
+}
+
+async function remove(id) {
+  const index = db.admins.findIndex(a => sameId(a.id, id));
+  if (index === -1) return null;
+  const [removed] = db.admins.splice(index, 1);
+  return removed;
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  list,
+  create,
+  update,
+  recordMfaStep,
+  remove
+};
@@ -0,0 +1,53 @@
+/**
+ * Audit Logs Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { sameId } = require('./helpers');
+
+async function create(fields) {
+  const log = {
+    id: db.audit_logs.length + 1,
+    user_id: fields.user_id ?? null,
+    user_email: fields.user_email ?? null,
+    user_role: fields.user_role ?? null,
+    action: fields.action,
+    resource_type: fields.resource_type ?? null,
+    resource_id: fields.resource_id ?? null,
+    details: fields.details ?? null,
+    ip_address: fields.ip_address ?? null,
+    user_agent: fields.user_agent ?? null,
+    created_at: fields.created_at || new Date().toISOString()
+  };
+  db.audit_logs.push(log);
+  return log;
+}
+
+async function list() {
+  return [...db.audit_logs].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+async function listRecentForSubject(subjectId, limit = 3) {
+  return db.audit_logs
+    .filter(log => sameId(log.user_id, subjectId) || sameId(log.resource_id, subjectId))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit)
+    .map(log => ({
+      id: log.id,
+      action: log.action,
+      details: log.details,
+      timestamp: log.created_at,
+      created_at: log.created_at
+    }));
+}
+
+async function listActions() {
+  return Array.from(new Set(db.audit_logs.map(log => log.action)));
+}
+
+module.exports = {
+  create,
+  list,
+  listRecentForSubject,
+  listActions
+};
@@ -0,0 +1,74 @@
+/**
+ * Auth Tokens Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { sameId, newId } = require('./helpers');
+
+async function create(fields) {
+  const token = {
+    id: fields.id || newId(),
+    user_id: fields.user_id,
+    user_role: fields.user_role,
+    purpose: fields.purpose,
+    email: fields.email,
+    token_hash: fields.token_hash,
+    requested_ip: fields.requested_ip || null,
+    expires_at: fields.expires_at,
+    used_at: null,
+    created_at: new Date()
+  };
+  db.auth_tokens.push(token);
+  return token;
+}
+
+async function findByHash(tokenHash) {
+  return db.auth_tokens.find(t => t.token_hash === tokenHash) || null;
+}
+
+/**
+ * Mark a token used if it is still unused and unexpired
+ * @returns {Promise<Object|null>} The token, or null if it could not be redeemed
+ */
+async function consume(id, usedAt = new Date()) {
+  const token = db.auth_tokens.find(t => sameId(t.id, id));
+  if (!token || token.used_at || new Date(token.expires_at) <= usedAt) return null;
+  token.used_at = usedAt;
+  return token;
+}
+
+/**
+ * Retire every outstanding token a user holds for `purpose`
+ */
+async function invalidateForUser(userId, purpose, usedAt = new Date()) {
+  const tokens = db.auth_tokens.filter(t => sameId(t.user_id, userId) && t.purpose === purpose && !t.used_at);
+  tokens.forEach(token => {
+    token.used_at = usedAt;
+  });
+  return tokens.length;
+}
+
+async function countRecent({ email, purpose, since }) {
+  const normalized = String(email || '').toLowerCase();
+  return db.auth_tokens.filter(t =>
+    String(t.email).toLowerCase() === normalized
+    && t.purpose === purpose
+    && new Date(t.created_at) >= since
+  ).length;
+}
+
+async function purgeInactive() {
+  const now = new Date();
+  const before = db.auth_tokens.length;
+  db.auth_tokens = db.auth_tokens.filter(t => !t.used_at && new Date(t.expires_at) > now);
+  return before - db.auth_tokens.length;
+}
+
+module.exports = {
+  create,
+  findByHash,
+  consume,
+  invalidateForUser,
+  countRecent,
+  purgeInactive
+};
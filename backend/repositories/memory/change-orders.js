@@ -0,0 +1,72 @@
+/**
+ * Change Orders Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'status',
+  'description',
+  'reason',
+  'amount',
+  'currency',
+  'photos',
+  'price_before',
+  'price_after',
+  'decided_at',
+  'decided_by',
+  'rejection_reason'
+];
+
+async function findById(id) {
+  return db.change_orders.find(co => sameId(co.id, id)) || null;
+}
+
+/**
+ * Change orders, oldest first
+ * @param {Object} [filters] - { jobId, statuses }
+ */
+async function list(filters = {}) {
+  return db.change_orders
+    .filter(co =>
+      (!filters.jobId || sameId(co.job_id, filters.jobId)) &&
+      (!Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(co.status))
+    )
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+async function create(fields) {
+  const changeOrder = applyFields({
+    id: newId(),
+    status: 'pending',
+    photos: [],
+    price_before: null,
+    price_after: null,
+    decided_at: null,
+    decided_by: null,
+    rejection_reason: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.change_orders.push(changeOrder);
+  return changeOrder;
+}
+
+/**
+ * Update a change order only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const changeOrder = await findById(id);
+  if (!changeOrder || changeOrder.status !== expectedStatus) return null;
+  return applyFields(changeOrder, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  transition
+};
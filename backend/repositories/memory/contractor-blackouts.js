@@ -0,0 +1,53 @@
+/**
+ * Contractor Blackouts Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = ['contractor_id', 'starts_on', 'ends_on', 'reason'];
+
+async function findById(id) {
+  return db.contractor_blackouts.find(b => sameId(b.id, id)) || null;
+}
+
+/**
+ * Blackouts, earliest first
+ * @param {Object} [filters] - { contractorId, contractorIds, from, to } ('YYYY-MM-DD';
+ *   from/to keep the blackouts touching that span)
+ */
+async function list(filters = {}) {
+  const contractorIds = Array.isArray(filters.contractorIds) ? filters.contractorIds.map(String) : null;
+  return db.contractor_blackouts
+    .filter(b =>
+      (!filters.contractorId || sameId(b.contractor_id, filters.contractorId)) &&
+      (!contractorIds || contractorIds.includes(String(b.contractor_id))) &&
+      (!filters.from || b.ends_on >= filters.from) &&
+      (!filters.to || b.starts_on <= filters.to)
+    )
+    .sort((a, b) => a.starts_on.localeCompare(b.starts_on) || new Date(a.created_at) - new Date(b.created_at));
+}
+
+async function create(fields) {
+  const blackout = applyFields({
+    id: newId(),
+    reason: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.contractor_blackouts.push(blackout);
+  return blackout;
+}
+
+async function remove(id) {
+  const index = db.contractor_blackouts.findIndex(b => sameId(b.id, id));
+  if (index === -1) return null;
+  const [removed] = db.contractor_blackouts.splice(index, 1);
+  return removed;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  remove
+};
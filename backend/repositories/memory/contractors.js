@@ -0,0 +1,127 @@
+/**
+ * Contractors Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'email',
+  'password_hash',
+  'email_verified_at',
+  'legal_name',
+  'business_name',
+  'phone',
+  'role',
+  'status',
+  'vetting_status',
+  'primary_trade',
+  'secondary_trades',
+  'service_types',
+  'experience_years',
+  'documents',
+  'admin_notes',
+  'contractor_tier',
+  'tier',
+  'gst_hst_number',
+  'qst_number',
+  'payment_schedule',
+  'payout_account_id',
+  'payout_timezone',
+  'payout_hold_reason',
+  'payout_held_at',
+  'payout_held_by',
+  'payout_last_run_on',
+  'base_city',
+  'base_province',
+  'base_latitude',
+  'base_longitude',
+  'service_radius_km',
+  'max_active_jobs',
+  'weekly_availability',
+  'calendar_feed_token_hash',
+  'calendar_feed_created_at',
+  'arrivals_on_time',
+  'arrivals_late',
+  'arrival_minutes_late',
+  'arrival_location_mismatches',
+  'approved_at',
+  'paused_at',
+  'resumed_at',
+  'terminated_at',
+  'termination_reason'
+];
+
+async function findById(id) {
+  return db.contractors.find(c => sameId(c.id, id)) || null;
+}
+
+async function findByEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return db.contractors.find(c => String(c.email || '').toLowerCase() === normalized) || null;
+}
+
+async function findByCalendarFeedToken(tokenHash) {
+  return db.contractors.find(c => tokenHash && c.calendar_feed_token_hash === tokenHash) || null;
+}
+
+/**
+ * @param {Object} [filters] - { vettingStatuses }
+ */
+async function list(filters = {}) {
+  const { vettingStatuses } = filters;
+  if (Array.isArray(vettingStatuses) && vettingStatuses.length > 0) {
+    return db.contractors.filter(c => vettingStatuses.includes(c.vetting_status));
+  }
+  return db.contractors;
+}
+
+async function create(fields) {
+  const contractor = applyFields({
+    id: newId(),
+    role: 'contractor',
+    vetting_status: 'UNDER_REVIEW',
+    status: 'pending_review',
+    payment_schedule: 'weekly',
+    service_radius_km: 40,
+    max_active_jobs: 5,
+    documents: null,
+    application_submitted_at: new Date(),
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.contractors.push(contractor);
+  return contractor;
+}
+
+async function update(id, fields) {
+  const contractor = await findById(id);
+  if (!contractor) return null;
+  return applyFields(contractor, fields, COLUMNS);
+}
+
+async function remove(id) {
+  const index = db.contractors.findIndex(c => sameId(c.id, id));
+  if (index === -1) return null;
+  const [removed] = db.contractors.splice(index, 1);
+  return removed;
+}
+
+async function listExpiringDocuments(before) {
+  const now = new Date();
+  return db.contractor_documents.filter(doc =>
+    doc.expiry_date &&
+    new Date(doc.expiry_date) > now &&
+    new Date(doc.expiry_date) < new Date(before)
+  );
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByCalendarFeedToken,
+  list,
+  create,
+  update,
+  remove,
+  listExpiringDocuments
+};
@@ -0,0 +1,53 @@
+/**
+ * Customer Credits Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'customer_id',
+  'kind',
+  'amount',
+  'currency',
+  'job_id',
+  'referral_id',
+  'reason',
+  'created_by'
+];
+
+/**
+ * Credit movements, oldest first
+ * @param {Object} [filters] - { customerId, jobId, kinds, from, to } (from inclusive, to exclusive)
+ */
+async function list(filters = {}) {
+  return db.customer_credits
+    .filter(c =>
+      (!filters.customerId || sameId(c.customer_id, filters.customerId)) &&
+      (!filters.jobId || sameId(c.job_id, filters.jobId)) &&
+      (!Array.isArray(filters.kinds) || filters.kinds.length === 0 || filters.kinds.includes(c.kind)) &&
+      (!filters.from || new Date(c.created_at) >= new Date(filters.from)) &&
+      (!filters.to || new Date(c.created_at) < new Date(filters.to))
+    )
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+async function create(fields) {
+  const credit = applyFields({
+    id: newId(),
+    currency: 'CAD',
+    job_id: null,
+    referral_id: null,
+    reason: null,
+    created_by: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  delete credit.updated_at;
+  db.customer_credits.push(credit);
+  return credit;
+}
+
+module.exports = {
+  list,
+  create
+};
@@ -0,0 +1,73 @@
+/**
+ * Customers Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'email',
+  'full_name',
+  'phone',
+  'password_hash',
+  'email_verified_at',
+  'role',
+  'status',
+  'paused_at',
+  'resumed_at',
+  'terminated_at',
+  'termination_reason',
+  'referral_code'
+];
+
+async function findById(id) {
+  return db.customers.find(c => sameId(c.id, id)) || null;
+}
+
+async function findByEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return db.customers.find(c => String(c.email || '').toLowerCase() === normalized) || null;
+}
+
+async function findByReferralCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return normalized ? db.customers.find(c => c.referral_code === normalized) || null : null;
+}
+
+async function list() {
+  return db.customers;
+}
+
+async function create(fields) {
+  const customer = applyFields({
+    id: newId(),
+    role: 'customer',
+    password_hash: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.customers.push(customer);
+  return customer;
+}
+
+async function update(id, fields) {
+  const customer = await findById(id);
+  if (!customer) return null;
+  return applyFields(customer, fields, COLUMNS);
+}
+
+async function remove(id) {
+  const index = db.customers.findIndex(c => sameId(c.id, id));
+  if (index === -1) return null;
+  const [removed] = db.customers.splice(index, 1);
+  return removed;
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByReferralCode,
+  list,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,74 @@
+/**
+ * Dispatch Offers Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'wave',
+  'rank',
+  'score',
+  'factors',
+  'distance_km',
+  'status',
+  'expires_at',
+  'responded_at',
+  'decline_reason'
+];
+
+async function findById(id) {
+  return db.dispatch_offers.find(o => sameId(o.id, id)) || null;
+}
+
+/**
+ * Offers, newest first
+ * @param {Object} [filters] - { jobId, contractorId, contractorIds, statuses, expiresBefore, since }
+ *   (expiresBefore bounds expires_at, since bounds created_at)
+ */
+async function list(filters = {}) {
+  const contractorIds = Array.isArray(filters.contractorIds) ? filters.contractorIds.map(String) : null;
+  return db.dispatch_offers
+    .filter(o =>
+      (!filters.jobId || sameId(o.job_id, filters.jobId)) &&
+      (!filters.contractorId || sameId(o.contractor_id, filters.contractorId)) &&
+      (!contractorIds || contractorIds.includes(String(o.contractor_id))) &&
+      (!Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(o.status)) &&
+      (!filters.expiresBefore || new Date(o.expires_at) <= new Date(filters.expiresBefore)) &&
+      (!filters.since || new Date(o.created_at) >= new Date(filters.since))
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || a.rank - b.rank);
+}
+
+async function create(fields) {
+  const offer = applyFields({
+    id: newId(),
+    status: 'offered',
+    factors: {},
+    distance_km: null,
+    responded_at: null,
+    decline_reason: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.dispatch_offers.push(offer);
+  return offer;
+}
+
+/**
+ * Update an offer only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const offer = await findById(id);
+  if (!offer || offer.status !== expectedStatus) return null;
+  return applyFields(offer, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  transition
+};
@@ -0,0 +1,104 @@
+/**
+ * Documents Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'kind',
+  'job_id',
+  'customer_id',
+  'contractor_id',
+  'period_start',
+  'period_end',
+  'currency',
+  'total_amount',
+  'data',
+  'pdf',
+  'revision',
+  'issued_at',
+  'emailed_to',
+  'emailed_at'
+];
+
+// Lists leave the PDF out, as the PostgreSQL implementation does
+function withoutPdf(document) {
+  const { pdf, ...rest } = document;
+  return rest;
+}
+
+async function findById(id) {
+  return db.documents.find(d => sameId(d.id, id)) || null;
+}
+
+async function findInvoiceForJob(jobId) {
+  return db.documents.find(d => d.kind === 'invoice' && sameId(d.job_id, jobId)) || null;
+}
+
+async function findStatement(contractorId, periodStart, periodEnd) {
+  return db.documents.find(d =>
+    d.kind === 'payout_statement' &&
+    sameId(d.contractor_id, contractorId) &&
+    d.period_start === periodStart &&
+    d.period_end === periodEnd
+  ) || null;
+}
+
+/**
+ * Documents without their PDF, newest first
+ * @param {Object} [filters] - { kind, jobId, customerId, contractorId, limit }
+ */
+async function list(filters = {}) {
+  const documents = db.documents
+    .filter(d =>
+      (!filters.kind || d.kind === filters.kind) &&
+      (!filters.jobId || sameId(d.job_id, filters.jobId)) &&
+      (!filters.customerId || sameId(d.customer_id, filters.customerId)) &&
+      (!filters.contractorId || sameId(d.contractor_id, filters.contractorId))
+    )
+    .sort((a, b) => new Date(b.issued_at) - new Date(a.issued_at) || b.sequence - a.sequence)
+    .map(withoutPdf);
+  return filters.limit ? documents.slice(0, filters.limit) : documents;
+}
+
+/**
+ * Issue a document under the next number of its kind
+ * @param {Object} fields - documents columns (kind required)
+ * @param {Object} options - { numberFor(sequence) → printed number }
+ */
+async function create(fields, { numberFor }) {
+  let counter = db.document_sequences.find(s => s.kind === fields.kind);
+  if (!counter) {
+    counter = { kind: fields.kind, last_value: 0 };
+    db.document_sequences.push(counter);
+  }
+  counter.last_value += 1;
+  const document = applyFields({
+    id: newId(),
+    sequence: counter.last_value,
+    number: numberFor(counter.last_value),
+    revision: 1,
+    issued_at: new Date(),
+    emailed_to: null,
+    emailed_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.documents.push(document);
+  return document;
+}
+
+async function update(id, fields) {
+  const document = await findById(id);
+  if (!document) return null;
+  return applyFields(document, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  findInvoiceForJob,
+  findStatement,
+  list,
+  create,
+  update
+};
@@ -0,0 +1,36 @@
+/**
+ * Shared helpers for the in-memory repositories
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Copy whitelisted, defined fields onto a row and bump updated_at
+ * @param {Object} row - Stored row (mutated)
+ * @param {Object} fields - Candidate column/value pairs
+ * @param {string[]} columns - Allowed column names
+ * @returns {Object} The mutated row
+ */
+function applyFields(row, fields, columns) {
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    if (columns.includes(key) && value !== undefined) {
+      row[key] = value;
+    }
+  });
+  row.updated_at = new Date();
+  return row;
+}
+
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  applyFields,
+  sameId,
+  newId
+};
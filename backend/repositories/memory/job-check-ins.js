@@ -0,0 +1,59 @@
+/**
+ * Job Check-ins Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'kind',
+  'recorded_at',
+  'latitude',
+  'longitude',
+  'accuracy_m',
+  'distance_m',
+  'location_check',
+  'eta',
+  'minutes_late',
+  'notes'
+];
+
+/**
+ * Check-ins, oldest first
+ * @param {Object} [filters] - { jobId, contractorId, kinds, since }
+ */
+async function list(filters = {}) {
+  return db.job_check_ins
+    .filter(c =>
+      (!filters.jobId || sameId(c.job_id, filters.jobId)) &&
+      (!filters.contractorId || sameId(c.contractor_id, filters.contractorId)) &&
+      (!Array.isArray(filters.kinds) || filters.kinds.includes(c.kind)) &&
+      (!filters.since || new Date(c.recorded_at) >= new Date(filters.since))
+    )
+    .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+}
+
+async function create(fields) {
+  const checkIn = applyFields({
+    id: newId(),
+    recorded_at: new Date(),
+    latitude: null,
+    longitude: null,
+    accuracy_m: null,
+    distance_m: null,
+    location_check: 'unknown',
+    eta: null,
+    minutes_late: null,
+    notes: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.job_check_ins.push(checkIn);
+  return checkIn;
+}
+
+module.exports = {
+  list,
+  create
+};
@@ -0,0 +1,34 @@
+/**
+ * Job Events Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { sameId } = require('./helpers');
+
+async function create(fields) {
+  const event = {
+    id: db.job_events.length + 1,
+    job_id: fields.job_id,
+    event: fields.event,
+    from_status: fields.from_status ?? null,
+    to_status: fields.to_status,
+    actor_role: fields.actor_role,
+    actor_id: fields.actor_id ?? null,
+    details: fields.details ?? null,
+    metadata: fields.metadata ?? null,
+    created_at: new Date()
+  };
+  db.job_events.push(event);
+  return event;
+}
+
+async function listForJob(jobId) {
+  return db.job_events
+    .filter(event => sameId(event.job_id, jobId))
+    .sort((a, b) => a.id - b.id);
+}
+
+module.exports = {
+  create,
+  listForJob
+};
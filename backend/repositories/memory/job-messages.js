@@ -0,0 +1,98 @@
+/**
+ * Job Messages Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'sender_role',
+  'sender_id',
+  'body',
+  'attachments',
+  'masked',
+  'read_at',
+  'purged_at'
+];
+
+async function findById(id) {
+  return db.job_messages.find(m => sameId(m.id, id)) || null;
+}
+
+/**
+ * Messages, oldest first
+ * @param {Object} [filters] - { jobId, unpurged }
+ */
+async function list(filters = {}) {
+  return db.job_messages
+    .filter(m =>
+      (!filters.jobId || sameId(m.job_id, filters.jobId)) &&
+      (!filters.unpurged || !m.purged_at)
+    )
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+async function create(fields) {
+  const message = applyFields({
+    id: newId(),
+    body: null,
+    attachments: [],
+    masked: false,
+    read_at: null,
+    purged_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.job_messages.push(message);
+  return message;
+}
+
+/**
+ * Mark the job's unread messages from senderRole, sent up to `at`, as read
+ * @returns {Promise<number>} How many were marked
+ */
+async function markRead(jobId, senderRole, at) {
+  const unread = db.job_messages.filter(m =>
+    sameId(m.job_id, jobId) && m.sender_role === senderRole && !m.read_at && new Date(m.created_at) <= at
+  );
+  unread.forEach(m => { m.read_at = at; });
+  return unread.length;
+}
+
+/**
+ * Unread messages from senderRole per job
+ * @returns {Promise<Object>} { [jobId]: count } for the jobs with any
+ */
+async function unreadCounts(jobIds, senderRole) {
+  const ids = (jobIds || []).map(String);
+  return db.job_messages
+    .filter(m => ids.includes(String(m.job_id)) && m.sender_role === senderRole && !m.read_at)
+    .reduce((counts, m) => ({ ...counts, [m.job_id]: (counts[m.job_id] || 0) + 1 }), {});
+}
+
+/**
+ * Jobs that still have messages the retention sweep has not cleared
+ */
+async function listJobIdsWithUnpurged() {
+  return [...new Set(db.job_messages.filter(m => !m.purged_at).map(m => String(m.job_id)))];
+}
+
+/**
+ * Clear the text and photos of the job's messages
+ * @returns {Promise<number>} How many were cleared
+ */
+async function purgeForJob(jobId, at) {
+  const messages = db.job_messages.filter(m => sameId(m.job_id, jobId) && !m.purged_at);
+  messages.forEach(m => applyFields(m, { body: null, attachments: [], purged_at: at }, COLUMNS));
+  return messages.length;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  markRead,
+  unreadCounts,
+  listJobIdsWithUnpurged,
+  purgeForJob
+};
@@ -0,0 +1,223 @@
+/**
+ * Jobs Repository – in-memory implementation (development/test double)
+ *
+ * Reads return enriched copies (category/type names, address fields,
+ * contractor name/tier, customer email) matching the PostgreSQL join.
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+const jobEvents = require('./job-events');
+const { OPEN_STATUSES } = require('../constants');
+
+const COLUMNS = [
+  'customer_id',
+  'contractor_id',
+  'service_category_id',
+  'service_type_id',
+  'address_id',
+  'description',
+  'urgency',
+  'time_window',
+  'status',
+  'payment_status',
+  'payout_status',
+  'payment_intent_id',
+  'final_price',
+  'accepted_quote_id',
+  'inspection_fee_status',
+  'inspection_fee_intent_id',
+  'material_fees',
+  'refunded_amount',
+  'sales_tax',
+  'refunded_tax',
+  'estimate',
+  'pricing_version_id',
+  'problem_photo',
+  'start_report',
+  'completion_report',
+  'cancellation',
+  'relist_count',
+  'taxonomy_snapshot',
+  'has_dispute',
+  'completed_at',
+  'dispatch_status',
+  'dispatch_wave',
+  'dispatch_opened_at',
+  'dispatch_escalated_at',
+  'dispatch_escalation_reason',
+  'customer_rating',
+  'customer_review',
+  'rated_at',
+  'appointment_start',
+  'appointment_end',
+  'appointment_time_zone',
+  'appointment_reschedules',
+  'calendar_sequence',
+  'calendar_invitees'
+];
+
+const ORDERABLE = ['created_at', 'updated_at', 'completed_at'];
+
+function enrich(job) {
+  const category = db.service_categories.find(c => c.id === job.service_category_id);
+  const type = db.service_types.find(t => t.id === job.service_type_id);
+  const address = db.addresses.find(a => sameId(a.id, job.address_id));
+  const contractor = job.contractor_id ? db.contractors.find(c => sameId(c.id, job.contractor_id)) : null;
+  const customer = db.customers.find(c => sameId(c.id, job.customer_id));
+
+  return {
+    ...job,
+    category_name: category?.name,
+    category_icon: category?.icon,
+    type_name: type?.name,
+    is_quote_only: type?.is_quote_only,
+    address_line1: address?.address_line1,
+    address_line2: address?.address_line2,
+    city: address?.city,
+    province: address?.province,
+    postal_code: address?.postal_code,
+    property_type: address?.property_type,
+    latitude: address?.latitude ?? null,
+    longitude: address?.longitude ?? null,
+    contractor_name: contractor?.business_name || contractor?.legal_name,
+    contractor_tier: contractor?.contractor_tier || contractor?.contractorTier || job.contractor_tier || 'bronze',
+    customer_email: customer?.email
+  };
+}
+
+function byNewest(column) {
+  return (a, b) => new Date(b[column] || 0) - new Date(a[column] || 0);
+}
+
+async function findById(id) {
+  const job = db.jobs.find(j => sameId(j.id, id));
+  return job ? enrich(job) : null;
+}
+
+/**
+ * @param {Object} [filters] - { statuses, customerId, contractorId, contractorIds, payoutStatus,
+ *   excludePayoutStatus, dispatchStatuses, appointmentsFrom, appointmentsTo, orderBy, limit }
+ *   (appointmentsFrom/appointmentsTo keep jobs whose appointment overlaps that span)
+ */
+async function list(filters = {}) {
+  const orderBy = ORDERABLE.includes(filters.orderBy) ? filters.orderBy : 'created_at';
+  const contractorIds = Array.isArray(filters.contractorIds) ? filters.contractorIds.map(String) : null;
+  const jobs = db.jobs
+    .filter(j =>
+      (!Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(j.status)) &&
+      (!filters.customerId || sameId(j.customer_id, filters.customerId)) &&
+      (!filters.contractorId || sameId(j.contractor_id, filters.contractorId)) &&
+      (!contractorIds || contractorIds.includes(String(j.contractor_id))) &&
+      (!filters.payoutStatus || j.payout_status === filters.payoutStatus) &&
+      (!filters.excludePayoutStatus || j.payout_status !== filters.excludePayoutStatus) &&
+      (!Array.isArray(filters.dispatchStatuses) || filters.dispatchStatuses.includes(j.dispatch_status)) &&
+      (!filters.appointmentsFrom || (j.appointment_end && new Date(j.appointment_end) > new Date(filters.appointmentsFrom))) &&
+      (!filters.appointmentsTo || (j.appointment_start && new Date(j.appointment_start) < new Date(filters.appointmentsTo)))
+    )
+    .sort(byNewest(orderBy))
+    .map(enrich);
+  return filters.limit ? jobs.slice(0, filters.limit) : jobs;
+}
+
+async function listOpenForContractor(contractorId, { limit = 100 } = {}) {
+  const specialties = db.contractor_specialties
+    .filter(cs => sameId(cs.contractor_id, contractorId))
+    .map(cs => cs.service_type_id);
+
+  return db.jobs
+    .filter(j =>
+      OPEN_STATUSES.includes(j.status) &&
+      !j.contractor_id &&
+      specialties.includes(j.service_type_id)
+    )
+    .sort(byNewest('created_at'))
+    .slice(0, limit)
+    .map(enrich);
+}
+
+async function countByStatus(statuses) {
+  return db.jobs.filter(j => statuses.includes(j.status)).length;
+}
+
+async function create(fields) {
+  const serviceType = db.service_types.find(st => st.id === fields.service_type_id);
+  const job = applyFields({
+    id: newId(),
+    contractor_id: null,
+    urgency: 'scheduled',
+    time_window: 'flexible',
+    status: 'submitted',
+    payment_status: 'unpaid',
+    payout_status: 'not_ready',
+    final_price: null,
+    accepted_quote_id: null,
+    inspection_fee_status: null,
+    pricing_version_id: null,
+    refunded_amount: 0,
+    taxonomy_snapshot: {
+      category_id: fields.service_category_id,
+      service_type_id: fields.service_type_id,
+      service_type_name: serviceType?.name,
+      is_emergency_supported: serviceType?.is_emergency_supported,
+      requires_license: serviceType?.requires_license,
+      is_quote_only: serviceType?.is_quote_only,
+      taxonomy_version: '1.0'
+    },
+    cancellation: null,
+    relist_count: 0,
+    dispatch_status: null,
+    dispatch_wave: 0,
+    appointment_start: null,
+    appointment_end: null,
+    appointment_time_zone: null,
+    appointment_reschedules: 0,
+    calendar_sequence: 0,
+    calendar_invitees: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.jobs.push(job);
+  return enrich(job);
+}
+
+// A missing field matches null, like SQL NULL in the PostgreSQL version
+function matches(row, match) {
+  return Object.entries(match).every(([key, value]) => (row[key] ?? null) === value);
+}
+
+/**
+ * Update a job, optionally only while it still matches `match`
+ * @param {Object} [options] - { match: { column: value } }
+ * @returns {Promise<Object|null>} The job, or null when it is unknown or did not match
+ */
+async function update(id, fields, { match = {} } = {}) {
+  const job = db.jobs.find(j => sameId(j.id, id));
+  if (!job || !matches(job, match)) return null;
+  applyFields(job, fields, COLUMNS);
+  return enrich(job);
+}
+
+async function removeByCustomer(customerId) {
+  const before = db.jobs.length;
+  db.jobs = db.jobs.filter(j => !sameId(j.customer_id, customerId));
+  return before - db.jobs.length;
+}
+
+async function transition(id, expectedStatus, fields, event) {
+  const job = db.jobs.find(j => sameId(j.id, id));
+  if (!job || job.status !== expectedStatus) return null;
+  applyFields(job, fields, COLUMNS);
+  const saved = await jobEvents.create(event);
+  return { job: enrich(job), event: saved };
+}
+
+module.exports = {
+  findById,
+  list,
+  listOpenForContractor,
+  countByStatus,
+  create,
+  update,
+  removeByCustomer,
+  transition
+};
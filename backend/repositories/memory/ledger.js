@@ -0,0 +1,127 @@
+/**
+ * Ledger Repository – in-memory implementation (development/test double)
+ *
+ * Entries and lines are only ever appended; nothing here updates or removes them.
+ */
+
+const { db } = require('../../mock-db');
+const financials = require('../../lib/financials');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const ENTRY_COLUMNS = [
+  'entry_type',
+  'description',
+  'job_id',
+  'contractor_id',
+  'source_type',
+  'source_id',
+  'idempotency_key',
+  'currency',
+  'actor',
+  'meta',
+  'occurred_at'
+];
+
+const LINE_COLUMNS = ['account', 'contractor_id', 'job_id', 'debit', 'credit', 'currency'];
+
+const GROUP_COLUMNS = ['account', 'contractor_id', 'job_id', 'day'];
+
+function withLines(entry) {
+  return { ...entry, lines: db.ledger_lines.filter(line => line.entry_id === entry.id) };
+}
+
+function inPeriod(entry, { from, to }) {
+  const at = new Date(entry.occurred_at);
+  return (!from || at >= new Date(from)) && (!to || at < new Date(to));
+}
+
+async function findByKey(idempotencyKey) {
+  const entry = db.ledger_entries.find(e => e.idempotency_key === idempotencyKey);
+  return entry ? withLines(entry) : null;
+}
+
+/**
+ * Append an entry and its lines (balanced by the caller)
+ * @param {Object} entry - ledger_entries columns (idempotency_key required)
+ * @param {Array<Object>} lines - ledger_lines columns
+ * @returns {Promise<{ entry: Object, duplicate: boolean }>} The existing entry when the key was seen before
+ */
+async function post(entry, lines) {
+  const existing = await findByKey(entry.idempotency_key);
+  if (existing) return { entry: existing, duplicate: true };
+
+  const row = applyFields({ id: newId(), occurred_at: new Date(), created_at: new Date() }, entry, ENTRY_COLUMNS);
+  delete row.updated_at;
+  db.ledger_entries.push(row);
+  lines.forEach(line => {
+    const saved = applyFields({ id: db.ledger_lines.length + 1, entry_id: row.id }, line, LINE_COLUMNS);
+    delete saved.updated_at;
+    db.ledger_lines.push(saved);
+  });
+  return { entry: withLines(row), duplicate: false };
+}
+
+/**
+ * Entries with their lines, newest first
+ * @param {Object} [filters] - { jobId, contractorId, entryType, from, to, limit }
+ */
+async function listEntries(filters = {}) {
+  const entries = db.ledger_entries
+    .filter(e =>
+      (!filters.jobId || sameId(e.job_id, filters.jobId)) &&
+      (!filters.contractorId || sameId(e.contractor_id, filters.contractorId) ||
+        db.ledger_lines.some(line => line.entry_id === e.id && sameId(line.contractor_id, filters.contractorId))) &&
+      (!filters.entryType || e.entry_type === filters.entryType) &&
+      inPeriod(e, filters)
+    )
+    .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at));
+  return (filters.limit ? entries.slice(0, filters.limit) : entries).map(withLines);
+}
+
+/**
+ * Debit and credit totals of the matching lines
+ * @param {Object} [filters] - { account, accounts, contractorId, jobId, entryType, from, to }
+ *   (period on the entry's occurred_at)
+ * @param {string[]} [groupBy] - Any of account, contractor_id, job_id, day (YYYY-MM-DD)
+ * @returns {Promise<Array<{ debit, credit }>>} One row per group (dollars), with the group columns
+ */
+async function sumLines(filters = {}, groupBy = ['account']) {
+  const columns = groupBy.filter(column => GROUP_COLUMNS.includes(column));
+  const entries = new Map(db.ledger_entries.map(entry => [entry.id, entry]));
+  const groups = new Map();
+  db.ledger_lines
+    .filter(line =>
+      (!filters.account || line.account === filters.account) &&
+      (!filters.accounts || filters.accounts.includes(line.account)) &&
+      (!filters.contractorId || sameId(line.contractor_id, filters.contractorId)) &&
+      (!filters.jobId || sameId(line.job_id, filters.jobId)) &&
+      (!filters.entryType || entries.get(line.entry_id).entry_type === filters.entryType) &&
+      inPeriod(entries.get(line.entry_id), filters)
+    )
+    .forEach(line => {
+      const values = columns.map(column => (column === 'day'
+        ? new Date(entries.get(line.entry_id).occurred_at).toISOString().slice(0, 10)
+        : line[column] ?? null));
+      const key = values.map(value => String(value ?? '')).join('|');
+      if (!groups.has(key)) {
+        const group = { debitCents: 0, creditCents: 0 };
+        columns.forEach((column, index) => { group[column] = values[index]; });
+        groups.set(key, group);
+      }
+      const group = groups.get(key);
+      group.debitCents += financials.toCents(line.debit) || 0;
+      group.creditCents += financials.toCents(line.credit) || 0;
+    });
+  return [...groups.values()].map(({ debitCents, creditCents, ...group }) => ({
+    ...group,
+    debit: financials.toDollars(debitCents),
+    credit: financials.toDollars(creditCents)
+  }));
+}
+
+module.exports = {
+  findByKey,
+  post,
+  listEntries,
+  sumLines
+};
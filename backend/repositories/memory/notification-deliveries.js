@@ -0,0 +1,105 @@
+/**
+ * Notification Deliveries Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'event_type',
+  'user_role',
+  'user_id',
+  'channel',
+  'address',
+  'locale',
+  'subject',
+  'body',
+  'entity_type',
+  'entity_id',
+  'dedupe_key',
+  'status',
+  'attempts',
+  'next_attempt_at',
+  'last_error',
+  'provider_message_id',
+  'sent_at'
+];
+
+function matches(row, match) {
+  return Object.entries(match).every(([key, value]) => row[key] === value);
+}
+
+async function findById(id) {
+  return db.notification_deliveries.find(d => sameId(d.id, id)) || null;
+}
+
+async function findByDedupeKey(dedupeKey) {
+  return db.notification_deliveries.find(d => d.dedupe_key === dedupeKey) || null;
+}
+
+/**
+ * Deliveries, newest first
+ * @param {Object} [filters] - { userRole, userId, status, eventType, channel, limit }
+ */
+async function list(filters = {}) {
+  const rows = db.notification_deliveries
+    .filter(d =>
+      (!filters.userRole || d.user_role === filters.userRole) &&
+      (!filters.userId || sameId(d.user_id, filters.userId)) &&
+      (!filters.status || d.status === filters.status) &&
+      (!filters.eventType || d.event_type === filters.eventType) &&
+      (!filters.channel || d.channel === filters.channel)
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return filters.limit ? rows.slice(0, filters.limit) : rows;
+}
+
+/**
+ * Pending deliveries due by `at`, the longest waiting first
+ */
+async function listDue(at, limit) {
+  return db.notification_deliveries
+    .filter(d => d.status === 'pending' && d.next_attempt_at && new Date(d.next_attempt_at) <= new Date(at))
+    .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+    .slice(0, limit);
+}
+
+async function create(fields) {
+  const delivery = applyFields({
+    id: newId(),
+    locale: 'en',
+    address: null,
+    entity_type: null,
+    entity_id: null,
+    dedupe_key: null,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: null,
+    last_error: null,
+    provider_message_id: null,
+    sent_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.notification_deliveries.push(delivery);
+  return delivery;
+}
+
+/**
+ * Update a delivery, optionally only while it still matches `match`
+ * (e.g. { status: 'pending', attempts: 1 }) so it is not sent twice
+ * @returns {Promise<Object|null>} The delivery, or null when it did not match
+ */
+async function update(id, fields, { match = {} } = {}) {
+  const delivery = await findById(id);
+  if (!delivery || !matches(delivery, match)) return null;
+  return applyFields(delivery, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  findByDedupeKey,
+  list,
+  listDue,
+  create,
+  update
+};
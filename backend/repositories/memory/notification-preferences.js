@@ -0,0 +1,43 @@
+/**
+ * Notification Preferences Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId } = require('./helpers');
+
+const COLUMNS = [
+  'locale',
+  'time_zone',
+  'quiet_start',
+  'quiet_end',
+  'channels'
+];
+
+async function findByUser(userRole, userId) {
+  return db.notification_preferences.find(p => p.user_role === userRole && sameId(p.user_id, userId)) || null;
+}
+
+/**
+ * Create or update the user's preferences
+ */
+async function upsert(userRole, userId, fields) {
+  const existing = await findByUser(userRole, userId);
+  if (existing) return applyFields(existing, fields, COLUMNS);
+  const preferences = applyFields({
+    user_role: userRole,
+    user_id: userId,
+    locale: 'en',
+    time_zone: null,
+    quiet_start: null,
+    quiet_end: null,
+    channels: {},
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.notification_preferences.push(preferences);
+  return preferences;
+}
+
+module.exports = {
+  findByUser,
+  upsert
+};
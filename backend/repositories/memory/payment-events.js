@@ -0,0 +1,45 @@
+/**
+ * Payment Events Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+
+async function findById(id) {
+  return db.payment_events.find(e => e.id === id) || null;
+}
+
+/**
+ * Store a verified webhook event; an id seen before is left as it was
+ * @returns {Promise<Object>} The stored row
+ */
+async function record({ id, provider, type, payload }) {
+  const existing = await findById(id);
+  if (existing) return existing;
+  const event = { id, provider, type, payload, received_at: new Date(), processed_at: null };
+  db.payment_events.push(event);
+  return event;
+}
+
+async function markProcessed(id) {
+  const event = await findById(id);
+  if (!event) return null;
+  event.processed_at = new Date();
+  return event;
+}
+
+/**
+ * @param {Object} [filters] - { type, limit }
+ */
+async function list(filters = {}) {
+  const events = db.payment_events
+    .filter(e => !filters.type || e.type === filters.type)
+    .sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+  return events.slice(0, filters.limit || 200);
+}
+
+module.exports = {
+  findById,
+  record,
+  markProcessed,
+  list
+};
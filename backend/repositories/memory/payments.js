@@ -0,0 +1,98 @@
+/**
+ * Payments Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'customer_id',
+  'job_id',
+  'purpose',
+  'amount',
+  'tax_amount',
+  'amount_refunded',
+  'currency',
+  'status',
+  'provider',
+  'payment_method',
+  'transaction_id',
+  'notes',
+  'paid_at',
+  'discount_amount',
+  'credit_amount'
+];
+
+async function findById(id) {
+  return db.payments.find(p => sameId(p.id, id)) || null;
+}
+
+/**
+ * @param {Object} [filters] - { customerId, jobId }
+ */
+async function list(filters = {}) {
+  return db.payments.filter(p =>
+    (!filters.customerId || sameId(p.customer_id, filters.customerId)) &&
+    (!filters.jobId || sameId(p.job_id, filters.jobId))
+  );
+}
+
+/**
+ * Payment for a provider transaction (payment intent id)
+ */
+async function findByTransaction(provider, transactionId) {
+  return db.payments.find(p => p.provider === provider && p.transaction_id === transactionId) || null;
+}
+
+/**
+ * Create or update the payment row for a provider transaction
+ */
+async function upsertByTransaction(provider, transactionId, fields) {
+  const existing = await findByTransaction(provider, transactionId);
+  if (existing) return applyFields(existing, fields, COLUMNS);
+  return create({ ...fields, provider, transaction_id: transactionId });
+}
+
+async function create(fields) {
+  const payment = applyFields({
+    id: fields.id || newId(),
+    purpose: 'job',
+    amount_refunded: 0,
+    discount_amount: 0,
+    credit_amount: 0,
+    paid_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.payments.push(payment);
+  return payment;
+}
+
+async function update(id, fields) {
+  const payment = await findById(id);
+  if (!payment) return null;
+  return applyFields(payment, fields, COLUMNS);
+}
+
+async function remove(id) {
+  const index = db.payments.findIndex(p => sameId(p.id, id));
+  if (index === -1) return null;
+  const [removed] = db.payments.splice(index, 1);
+  return removed;
+}
+
+async function removeByCustomer(customerId) {
+  const before = db.payments.length;
+  db.payments = db.payments.filter(p => !sameId(p.customer_id, customerId));
+  return before - db.payments.length;
+}
+
+module.exports = {
+  findById,
+  findByTransaction,
+  list,
+  create,
+  upsertByTransaction,
+  update,
+  remove,
+  removeByCustomer
+};
@@ -0,0 +1,72 @@
+/**
+ * Payout Adjustments Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'contractor_id',
+  'job_id',
+  'refund_id',
+  'amount',
+  'currency',
+  'reason',
+  'status',
+  'applied_payout_id',
+  'applied_at'
+];
+
+async function findById(id) {
+  return db.payout_adjustments.find(a => sameId(a.id, id)) || null;
+}
+
+/**
+ * @param {Object} [filters] - { contractorId, jobId, refundId, status, limit }
+ */
+async function list(filters = {}) {
+  const adjustments = db.payout_adjustments
+    .filter(a =>
+      (!filters.contractorId || sameId(a.contractor_id, filters.contractorId)) &&
+      (!filters.jobId || sameId(a.job_id, filters.jobId)) &&
+      (!filters.refundId || sameId(a.refund_id, filters.refundId)) &&
+      (!filters.status || a.status === filters.status)
+    )
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  return filters.limit ? adjustments.slice(0, filters.limit) : adjustments;
+}
+
+async function create(fields) {
+  const adjustment = applyFields({
+    id: newId(),
+    status: 'pending',
+    applied_payout_id: null,
+    applied_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.payout_adjustments.push(adjustment);
+  return adjustment;
+}
+
+/**
+ * Mark pending adjustments as taken off a payout
+ * @returns {Promise<Array>} The adjustments that were still pending
+ */
+async function markApplied(ids, payoutId) {
+  const applied = db.payout_adjustments.filter(a =>
+    a.status === 'pending' && ids.some(id => sameId(a.id, id))
+  );
+  applied.forEach(a => applyFields(a, {
+    status: 'applied',
+    applied_payout_id: payoutId,
+    applied_at: new Date()
+  }, COLUMNS));
+  return applied;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  markApplied
+};
@@ -0,0 +1,142 @@
+/**
+ * Payout Batches Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const BATCH_COLUMNS = [
+  'status',
+  'payment_schedule',
+  'scheduled_for',
+  'provider',
+  'currency',
+  'line_count',
+  'total_amount',
+  'note',
+  'prepared_by',
+  'approved_by',
+  'approved_at',
+  'executed_by',
+  'executed_at',
+  'completed_at',
+  'canceled_by',
+  'canceled_at'
+];
+
+const LINE_COLUMNS = [
+  'contractor_id',
+  'job_ids',
+  'gross_amount',
+  'adjustments',
+  'materials',
+  'amount',
+  'currency',
+  'status',
+  'destination',
+  'provider_payout_id',
+  'failure_code',
+  'failure_message',
+  'attempts',
+  'paid_at'
+];
+
+function linesOf(batchId) {
+  return db.payout_batch_lines
+    .filter(line => sameId(line.batch_id, batchId))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+function matches(row, match) {
+  return Object.entries(match).every(([key, value]) => row[key] === value);
+}
+
+/**
+ * Batch with its lines
+ */
+async function findById(id) {
+  const batch = db.payout_batches.find(b => sameId(b.id, id));
+  return batch ? { ...batch, lines: linesOf(batch.id) } : null;
+}
+
+/**
+ * Batches (without lines), newest first
+ * @param {Object} [filters] - { status, limit }
+ */
+async function list(filters = {}) {
+  const batches = db.payout_batches
+    .filter(b => !filters.status || b.status === filters.status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return filters.limit ? batches.slice(0, filters.limit) : batches;
+}
+
+/**
+ * Create a draft batch and its lines
+ * @param {Object} batch - payout_batches columns
+ * @param {Array<Object>} lines - payout_batch_lines columns
+ * @returns {Promise<Object>} The batch with its lines
+ */
+async function create(batch, lines) {
+  const row = applyFields({ id: newId(), status: 'draft', created_at: new Date() }, batch, BATCH_COLUMNS);
+  db.payout_batches.push(row);
+  lines.forEach(line => {
+    db.payout_batch_lines.push(applyFields({
+      id: newId(),
+      batch_id: row.id,
+      status: 'pending',
+      attempts: 0,
+      created_at: new Date()
+    }, line, LINE_COLUMNS));
+  });
+  return findById(row.id);
+}
+
+/**
+ * Update a batch, optionally only while it still matches `match`
+ * (e.g. { status: 'draft' }) so two admins cannot move it at once
+ * @returns {Promise<Object|null>} The batch row, or null when it did not match
+ */
+async function update(id, fields, { match = {} } = {}) {
+  const batch = db.payout_batches.find(b => sameId(b.id, id));
+  if (!batch || !matches(batch, match)) return null;
+  return applyFields(batch, fields, BATCH_COLUMNS);
+}
+
+async function findLineById(id) {
+  return db.payout_batch_lines.find(line => sameId(line.id, id)) || null;
+}
+
+/**
+ * Lines across batches, newest first
+ * @param {Object} [filters] - { batchId, contractorId, status, limit }
+ */
+async function listLines(filters = {}) {
+  const lines = db.payout_batch_lines
+    .filter(line =>
+      (!filters.batchId || sameId(line.batch_id, filters.batchId)) &&
+      (!filters.contractorId || sameId(line.contractor_id, filters.contractorId)) &&
+      (!filters.status || line.status === filters.status)
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return filters.limit ? lines.slice(0, filters.limit) : lines;
+}
+
+/**
+ * Update a line, optionally only while it still matches `match`
+ * @returns {Promise<Object|null>} The line, or null when it did not match
+ */
+async function updateLine(id, fields, { match = {} } = {}) {
+  const line = await findLineById(id);
+  if (!line || !matches(line, match)) return null;
+  return applyFields(line, fields, LINE_COLUMNS);
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  update,
+  findLineById,
+  listLines,
+  updateLine
+};
@@ -0,0 +1,30 @@
+/**
+ * Platform Settings Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+
+async function get(key) {
+  const setting = db.platform_settings.find(s => s.key === key);
+  return setting ? setting.value : null;
+}
+
+async function set(key, value, updatedBy = null) {
+  let setting = db.platform_settings.find(s => s.key === key);
+  if (!setting) {
+    setting = { key };
+    db.platform_settings.push(setting);
+  }
+  Object.assign(setting, { value, updated_by: updatedBy, updated_at: new Date() });
+  return setting;
+}
+
+async function list() {
+  return db.platform_settings;
+}
+
+module.exports = {
+  get,
+  set,
+  list
+};
@@ -0,0 +1,81 @@
+/**
+ * Pricing Versions Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'version',
+  'status',
+  'catalogue',
+  'notes',
+  'based_on',
+  'effective_from',
+  'created_by',
+  'published_by',
+  'published_at'
+];
+
+async function findById(id) {
+  return db.pricing_versions.find(v => sameId(v.id, id)) || null;
+}
+
+/**
+ * Pricing versions, newest version first
+ * @param {Object} [filters] - { statuses }
+ */
+async function list(filters = {}) {
+  return db.pricing_versions
+    .filter(v => !Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(v.status))
+    .sort((a, b) => b.version - a.version);
+}
+
+async function latestVersionNumber() {
+  return db.pricing_versions.reduce((max, v) => Math.max(max, v.version), 0);
+}
+
+async function create(fields) {
+  const version = applyFields({
+    id: newId(),
+    status: 'draft',
+    notes: null,
+    based_on: null,
+    effective_from: null,
+    created_by: null,
+    published_by: null,
+    published_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.pricing_versions.push(version);
+  return version;
+}
+
+/**
+ * Update a version only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const version = await findById(id);
+  if (!version || version.status !== expectedStatus) return null;
+  return applyFields(version, fields, COLUMNS);
+}
+
+/**
+ * Delete a draft
+ * @returns {Promise<boolean>} false when it is not a draft (or does not exist)
+ */
+async function removeDraft(id) {
+  const before = db.pricing_versions.length;
+  db.pricing_versions = db.pricing_versions.filter(v => !(sameId(v.id, id) && v.status === 'draft'));
+  return db.pricing_versions.length < before;
+}
+
+module.exports = {
+  findById,
+  list,
+  latestVersionNumber,
+  create,
+  transition,
+  removeDraft
+};
@@ -0,0 +1,98 @@
+/**
+ * Promo Codes Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'code',
+  'description',
+  'kind',
+  'value',
+  'max_discount',
+  'service_category_ids',
+  'first_job_only',
+  'max_redemptions',
+  'starts_at',
+  'expires_at',
+  'active',
+  'created_by'
+];
+
+async function findById(id) {
+  return db.promo_codes.find(promo => sameId(promo.id, id)) || null;
+}
+
+async function findByCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return db.promo_codes.find(promo => promo.code === normalized) || null;
+}
+
+/**
+ * Promo codes, newest first
+ * @param {Object} [filters] - { active }
+ */
+async function list(filters = {}) {
+  return db.promo_codes
+    .filter(promo => typeof filters.active !== 'boolean' || promo.active === filters.active)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+async function create(fields) {
+  const promo = applyFields({
+    id: newId(),
+    description: null,
+    max_discount: null,
+    service_category_ids: [],
+    first_job_only: false,
+    max_redemptions: null,
+    redemption_count: 0,
+    starts_at: null,
+    expires_at: null,
+    active: true,
+    created_by: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.promo_codes.push(promo);
+  return promo;
+}
+
+async function update(id, fields) {
+  const promo = await findById(id);
+  if (!promo) return null;
+  return applyFields(promo, fields, COLUMNS);
+}
+
+/**
+ * Count one more redemption unless the code is at its cap
+ * @returns {Promise<boolean>} false when the cap is reached
+ */
+async function reserve(id) {
+  const promo = await findById(id);
+  if (!promo) return false;
+  if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) return false;
+  promo.redemption_count += 1;
+  promo.updated_at = new Date();
+  return true;
+}
+
+/**
+ * Give back a redemption counted by reserve()
+ */
+async function unreserve(id) {
+  const promo = await findById(id);
+  if (!promo) return;
+  promo.redemption_count = Math.max(0, promo.redemption_count - 1);
+  promo.updated_at = new Date();
+}
+
+module.exports = {
+  findById,
+  findByCode,
+  list,
+  create,
+  update,
+  reserve,
+  unreserve
+};
@@ -0,0 +1,78 @@
+/**
+ * Promo Redemptions Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'promo_code_id',
+  'job_id',
+  'customer_id',
+  'status',
+  'amount',
+  'payment_id',
+  'redeemed_at',
+  'released_at'
+];
+
+async function findById(id) {
+  return db.promo_redemptions.find(r => sameId(r.id, id)) || null;
+}
+
+/**
+ * The job's redemption that is not released, if any
+ */
+async function findLiveForJob(jobId) {
+  return db.promo_redemptions.find(r => sameId(r.job_id, jobId) && r.status !== 'released') || null;
+}
+
+/**
+ * Redemptions, newest first
+ * @param {Object} [filters] - { promoCodeId, customerId, jobId, statuses, from, to }
+ *   (from/to bound redeemed_at; from inclusive, to exclusive)
+ */
+async function list(filters = {}) {
+  return db.promo_redemptions
+    .filter(r =>
+      (!filters.promoCodeId || sameId(r.promo_code_id, filters.promoCodeId)) &&
+      (!filters.customerId || sameId(r.customer_id, filters.customerId)) &&
+      (!filters.jobId || sameId(r.job_id, filters.jobId)) &&
+      (!Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(r.status)) &&
+      (!filters.from || (r.redeemed_at && new Date(r.redeemed_at) >= new Date(filters.from))) &&
+      (!filters.to || (r.redeemed_at && new Date(r.redeemed_at) < new Date(filters.to)))
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+async function create(fields) {
+  const redemption = applyFields({
+    id: newId(),
+    status: 'applied',
+    amount: null,
+    payment_id: null,
+    redeemed_at: null,
+    released_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.promo_redemptions.push(redemption);
+  return redemption;
+}
+
+/**
+ * Update a redemption only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const redemption = await findById(id);
+  if (!redemption || redemption.status !== expectedStatus) return null;
+  return applyFields(redemption, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  findLiveForJob,
+  list,
+  create,
+  transition
+};
@@ -0,0 +1,50 @@
+/**
+ * Push Subscriptions Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'user_role',
+  'user_id',
+  'endpoint',
+  'keys'
+];
+
+/**
+ * The user's subscriptions, oldest first
+ */
+async function listForUser(userRole, userId) {
+  return db.push_subscriptions
+    .filter(s => s.user_role === userRole && sameId(s.user_id, userId))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Save a subscription; an endpoint already saved moves to this user
+ */
+async function upsert(fields) {
+  const existing = db.push_subscriptions.find(s => s.endpoint === fields.endpoint);
+  if (existing) return applyFields(existing, fields, COLUMNS);
+  const subscription = applyFields({ id: newId(), keys: null, created_at: new Date() }, fields, COLUMNS);
+  db.push_subscriptions.push(subscription);
+  return subscription;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the user had that endpoint
+ */
+async function remove(userRole, userId, endpoint) {
+  const index = db.push_subscriptions.findIndex(s =>
+    s.user_role === userRole && sameId(s.user_id, userId) && s.endpoint === endpoint);
+  if (index === -1) return false;
+  db.push_subscriptions.splice(index, 1);
+  return true;
+}
+
+module.exports = {
+  listForUser,
+  upsert,
+  remove
+};
@@ -0,0 +1,89 @@
+/**
+ * Quotes Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'status',
+  'line_items',
+  'labour_amount',
+  'materials_amount',
+  'total_amount',
+  'currency',
+  'sales_tax',
+  'notes',
+  'valid_until',
+  'decided_at',
+  'decline_reason'
+];
+
+async function findById(id) {
+  return db.quotes.find(q => sameId(q.id, id)) || null;
+}
+
+/**
+ * Quotes, newest first
+ * @param {Object} [filters] - { jobId, contractorId, statuses, limit }
+ */
+async function list(filters = {}) {
+  const quotes = db.quotes
+    .filter(q =>
+      (!filters.jobId || sameId(q.job_id, filters.jobId)) &&
+      (!filters.contractorId || sameId(q.contractor_id, filters.contractorId)) &&
+      (!Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(q.status))
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return filters.limit ? quotes.slice(0, filters.limit) : quotes;
+}
+
+async function create(fields) {
+  const quote = applyFields({
+    id: newId(),
+    status: 'submitted',
+    labour_amount: 0,
+    materials_amount: 0,
+    decided_at: null,
+    decline_reason: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.quotes.push(quote);
+  return quote;
+}
+
+/**
+ * Update a quote only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const quote = await findById(id);
+  if (!quote || quote.status !== expectedStatus) return null;
+  return applyFields(quote, fields, COLUMNS);
+}
+
+/**
+ * Mark open quotes past their valid_until as expired
+ * @param {Date} at
+ * @param {Object} [filters] - { jobId }
+ * @returns {Promise<Array>} The quotes expired
+ */
+async function expireDue(at, { jobId } = {}) {
+  return db.quotes
+    .filter(q =>
+      q.status === 'submitted' &&
+      new Date(q.valid_until) <= at &&
+      (!jobId || sameId(q.job_id, jobId))
+    )
+    .map(q => applyFields(q, { status: 'expired', decided_at: at }, COLUMNS));
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  transition,
+  expireDue
+};
@@ -0,0 +1,69 @@
+/**
+ * Referrals Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'referrer_id',
+  'referee_id',
+  'status',
+  'reward_job_id',
+  'referrer_credit',
+  'referee_credit',
+  'rewarded_at'
+];
+
+async function findById(id) {
+  return db.referrals.find(r => sameId(r.id, id)) || null;
+}
+
+async function findByReferee(refereeId) {
+  return db.referrals.find(r => sameId(r.referee_id, refereeId)) || null;
+}
+
+/**
+ * Referrals, newest first
+ * @param {Object} [filters] - { referrerId, statuses }
+ */
+async function list(filters = {}) {
+  return db.referrals
+    .filter(r =>
+      (!filters.referrerId || sameId(r.referrer_id, filters.referrerId)) &&
+      (!Array.isArray(filters.statuses) || filters.statuses.length === 0 || filters.statuses.includes(r.status))
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+async function create(fields) {
+  const referral = applyFields({
+    id: newId(),
+    status: 'pending',
+    reward_job_id: null,
+    referrer_credit: null,
+    referee_credit: null,
+    rewarded_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.referrals.push(referral);
+  return referral;
+}
+
+/**
+ * Update a referral only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const referral = await findById(id);
+  if (!referral || referral.status !== expectedStatus) return null;
+  return applyFields(referral, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  findByReferee,
+  list,
+  create,
+  transition
+};
@@ -0,0 +1,91 @@
+/**
+ * Refunds Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { applyFields, sameId, newId } = require('./helpers');
+
+const COLUMNS = [
+  'payment_id',
+  'job_id',
+  'amount',
+  'tax_amount',
+  'currency',
+  'reason_code',
+  'note',
+  'status',
+  'requested_by',
+  'platform_fee_before',
+  'platform_fee_after',
+  'contractor_payout_before',
+  'contractor_payout_after',
+  'succeeded_at'
+];
+
+async function findById(id) {
+  return db.refunds.find(r => sameId(r.id, id)) || null;
+}
+
+/**
+ * Refund for a provider refund id
+ */
+async function findByProviderRefund(provider, providerRefundId) {
+  return db.refunds.find(r => r.provider === provider && r.provider_refund_id === providerRefundId) || null;
+}
+
+/**
+ * @param {Object} [filters] - { paymentId, jobId, status, limit }
+ */
+async function list(filters = {}) {
+  const refunds = db.refunds
+    .filter(r =>
+      (!filters.paymentId || sameId(r.payment_id, filters.paymentId)) &&
+      (!filters.jobId || sameId(r.job_id, filters.jobId)) &&
+      (!filters.status || r.status === filters.status)
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return filters.limit ? refunds.slice(0, filters.limit) : refunds;
+}
+
+/**
+ * Create or update the refund row for a provider refund
+ */
+async function upsertByProviderRefund(provider, providerRefundId, fields) {
+  const existing = await findByProviderRefund(provider, providerRefundId);
+  if (existing) return applyFields(existing, fields, COLUMNS);
+  const refund = applyFields({
+    id: newId(),
+    provider,
+    provider_refund_id: providerRefundId,
+    status: 'pending',
+    succeeded_at: null,
+    created_at: new Date()
+  }, fields, COLUMNS);
+  db.refunds.push(refund);
+  return refund;
+}
+
+/**
+ * Move a refund to succeeded, once
+ * @returns {Promise<Object|null>} The refund, or null when it had already succeeded
+ */
+async function markSucceeded(id, fields = {}) {
+  const refund = await findById(id);
+  if (!refund || refund.status === 'succeeded') return null;
+  return applyFields(refund, { ...fields, status: 'succeeded', succeeded_at: new Date() }, COLUMNS);
+}
+
+async function update(id, fields) {
+  const refund = await findById(id);
+  if (!refund) return null;
+  return applyFields(refund, fields, COLUMNS);
+}
+
+module.exports = {
+  findById,
+  findByProviderRefund,
+  list,
+  upsertByProviderRefund,
+  markSucceeded,
+  update
+};
@@ -0,0 +1,29 @@
+/**
+ * Service Catalog Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+
+async function listCategories() {
+  return db.service_categories.filter(c => c.is_active !== false);
+}
+
+/**
+ * @param {Object} [filters] - { categoryId }
+ */
+async function listTypes(filters = {}) {
+  const categoryId = filters.categoryId ? parseInt(filters.categoryId, 10) : null;
+  return db.service_types.filter(t =>
+    t.is_active !== false && (!categoryId || t.category_id === categoryId)
+  );
+}
+
+async function findType(id) {
+  return db.service_types.find(t => t.id === Number(id)) || null;
+}
+
+module.exports = {
+  listCategories,
+  listTypes,
+  findType
+};
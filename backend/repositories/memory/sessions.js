@@ -0,0 +1,117 @@
+/**
+ * Sessions Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { sameId } = require('./helpers');
+
+function isLive(session, now = new Date()) {
+  return !session.revoked_at && !(session.expires_at && new Date(session.expires_at) <= now);
+}
+
+function markRevoked(session, revokedAt, reason) {
+  session.revoked_at = revokedAt;
+  session.revoked_reason = reason;
+  session.updated_at = new Date();
+  return session;
+}
+
+async function create(fields) {
+  const createdAt = fields.created_at || new Date();
+  const session = {
+    id: fields.id,
+    family_id: fields.family_id || fields.id,
+    user_id: fields.user_id,
+    user_role: fields.user_role,
+    refresh_token_hash: fields.refresh_token_hash || null,
+    authenticated_at: fields.authenticated_at || createdAt,
+    created_at: createdAt,
+    expires_at: fields.expires_at || null,
+    rotated_at: null,
+    replaced_by: null,
+    revoked_at: fields.revoked_at || null,
+    revoked_reason: null,
+    ip: fields.ip || null,
+    user_agent: fields.user_agent || null
+  };
+  db.sessions.push(session);
+  return session;
+}
+
+async function findById(id) {
+  return db.sessions.find(s => sameId(s.id, id)) || null;
+}
+
+async function findByRefreshHash(hash) {
+  return db.sessions.find(s => s.refresh_token_hash && s.refresh_token_hash === hash) || null;
+}
+
+async function list() {
+  return db.sessions;
+}
+
+async function listActiveForUser(userId) {
+  const now = new Date();
+  return db.sessions
+    .filter(s => sameId(s.user_id, userId) && isLive(s, now))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Retire a live session in favour of `replacedBy`; null if it was already
+ * rotated or revoked (the caller treats that as refresh token reuse)
+ */
+async function rotate(id, replacedBy, rotatedAt = new Date()) {
+  const session = await findById(id);
+  if (!session || session.rotated_at || session.revoked_at) return null;
+  session.rotated_at = rotatedAt;
+  session.replaced_by = replacedBy;
+  return markRevoked(session, rotatedAt, 'rotated');
+}
+
+async function revoke(id, revokedAt = new Date(), reason = 'revoked') {
+  const session = await findById(id);
+  if (!session) return null;
+  return markRevoked(session, revokedAt, reason);
+}
+
+async function revokeFamily(familyId, revokedAt = new Date(), reason = 'revoked') {
+  return db.sessions
+    .filter(s => sameId(s.family_id, familyId) && !s.revoked_at)
+    .map(session => markRevoked(session, revokedAt, reason));
+}
+
+async function revokeForUser(userId, revokedAt = new Date(), reason = 'revoked') {
+  return db.sessions
+    .filter(s => sameId(s.user_id, userId) && !s.revoked_at)
+    .map(session => markRevoked(session, revokedAt, reason));
+}
+
+/**
+ * Delete expired sessions and revoked ones whose whole family has ended.
+ * Rotated rows of a live family are kept so a replayed refresh token is
+ * still recognised as reuse.
+ */
+async function purgeInactive() {
+  const now = new Date();
+  const liveFamilies = new Set(db.sessions.filter(s => isLive(s, now)).map(s => String(s.family_id)));
+  const before = db.sessions.length;
+  db.sessions = db.sessions.filter(session => {
+    const expired = session.expires_at && new Date(session.expires_at) <= now;
+    return !(expired || (session.revoked_at && !liveFamilies.has(String(session.family_id))));
+  });
+  return before - db.sessions.length;
+}
+
+module.exports = {
+  create,
+  findById,
+  findByRefreshHash,
+  list,
+  listActiveForUser,
+  rotate,
+  revoke,
+  revokeFamily,
+  revokeForUser,
+  purgeInactive
+};
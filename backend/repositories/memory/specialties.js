@@ -0,0 +1,63 @@
+/**
+ * Contractor Specialties Repository – in-memory implementation (development/test double)
+ */
+
+const { db } = require('../../mock-db');
+const { sameId } = require('./helpers');
+
+async function listForContractor(contractorId) {
+  return db.contractor_specialties
+    .filter(cs => sameId(cs.contractor_id, contractorId))
+    .map(cs => cs.service_type_id);
+}
+
+/**
+ * Contractors qualified for a service type: [{ contractor_id, is_verified }]
+ */
+async function listForServiceType(serviceTypeId) {
+  return db.contractor_specialties
+    .filter(cs => String(cs.service_type_id) === String(serviceTypeId))
+    .map(cs => ({ contractor_id: cs.contractor_id, is_verified: Boolean(cs.is_verified) }));
+}
+
+async function replaceForContractor(contractorId, serviceTypeIds) {
+  const ids = Array.from(new Set((serviceTypeIds || []).filter(id => id !== null && id !== undefined)));
+  db.contractor_specialties = db.contractor_specialties.filter(cs => !sameId(cs.contractor_id, contractorId));
+  const timestamp = new Date();
+  ids.forEach(service_type_id => {
+    db.contractor_specialties.push({
+      contractor_id: contractorId,
+      service_type_id,
+      is_verified: true,
+      created_at: timestamp
+    });
+  });
+  return ids;
+}
+
+async function removeForContractor(contractorId) {
+  const before = db.contractor_specialties.length;
+  db.contractor_specialties = db.contractor_specialties.filter(cs => !sameId(cs.contractor_id, contractorId));
+  return before - db.contractor_specialties.length;
+}
+
+async function listQualifiedServiceTypeIds() {
+  const approvedIds = new Set(
+    db.contractors
+      .filter(c => c.vetting_status === 'APPROVED_ACTIVE')
+      .map(c => String(c.id))
+  );
+  return new Set(
+    db.contractor_specialties
+      .filter(cs => approvedIds.has(String(cs.contractor_id)))
+      .map(cs => cs.service_type_id)
+  );
+}
+
+module.exports = {
+  listForContractor,
+  listForServiceType,
+  replaceForContractor,
+  removeForContractor,
+  listQualifiedServiceTypeIds
+};
@@ -0,0 +1,24 @@
+/**
+ * Addresses Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = ['address_line1', 'address_line2', 'city', 'province', 'postal_code', 'property_type', 'latitude', 'longitude'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM addresses WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function create(address) {
+  const { text, values } = buildInsert('addresses', address, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+module.exports = {
+  findById,
+  create
+};
@@ -0,0 +1,83 @@
+/**
+ * Admins Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'email',
+  'password_hash',
+  'full_name',
+  'role',
+  'tier',
+  'is_active',
+  'status',
+  'paused_at',
+  'resumed_at',
+  'terminated_at',
+  'termination_reason',
+  'mfa_secret',
+  'mfa_pending_secret',
+  'mfa_enabled_at',
+  'mfa_recovery_codes',
+  'mfa_last_step'
+];
+
+const JSON_COLUMNS = ['mfa_recovery_codes'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM admins WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByEmail(email) {
+  const result = await query('SELECT * FROM admins WHERE LOWER(email) = LOWER($1)', [String(email || '').trim()]);
+  return result.rows[0] || null;
+}
+
+async function list() {
+  const result = await query('SELECT * FROM admins ORDER BY created_at DESC');
+  return result.rows;
+}
+
+async function create(admin) {
+  const { text, values } = buildInsert('admins', admin, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('admins', id, fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a used TOTP time step; refuses steps at or before the last one
+ * @returns {Promise<boolean>} False when the code was already used
+ */
+async function recordMfaStep(id, step) {
+  const result = await query(
+    `UPDATE admins SET mfa_last_step = $1
+     WHERE id = $2 AND (mfa_last_step IS NULL OR mfa_last_step < $1)`,
+    [step, id]
+  );
+  return result.rowCount === 1;
+}
+
+async function remove(id) {
+  const result = await query('DELETE FROM admins WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  list,
+  create,
+  update,
+  recordMfaStep,
+  remove
+};
@@ -0,0 +1,60 @@
+/**
+ * Audit Logs Repository – PostgreSQL implementation
+ * (request-level audit_logs rows written by middleware/audit-log.js)
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'user_id',
+  'user_email',
+  'user_role',
+  'action',
+  'resource_type',
+  'resource_id',
+  'details',
+  'ip_address',
+  'user_agent',
+  'created_at'
+];
+
+async function create(entry) {
+  const { text, values } = buildInsert('audit_logs', entry, { columns: COLUMNS, jsonColumns: ['details'] });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function list() {
+  const result = await query('SELECT * FROM audit_logs ORDER BY created_at DESC');
+  return result.rows;
+}
+
+/**
+ * Most recent entries written by or about a subject
+ * @param {string} subjectId - User or resource ID
+ * @param {number} [limit=3]
+ */
+async function listRecentForSubject(subjectId, limit = 3) {
+  const result = await query(
+    `SELECT id, action, details, created_at AS timestamp, created_at
+       FROM audit_logs
+      WHERE user_id::text = $1 OR resource_id::text = $1
+      ORDER BY created_at DESC
+      LIMIT $2`,
+    [String(subjectId), limit]
+  );
+  return result.rows;
+}
+
+async function listActions() {
+  const result = await query('SELECT DISTINCT action FROM audit_logs ORDER BY action');
+  return result.rows.map(row => row.action);
+}
+
+module.exports = {
+  create,
+  list,
+  listRecentForSubject,
+  listActions
+};
@@ -0,0 +1,81 @@
+/**
+ * Auth Tokens Repository – PostgreSQL implementation
+ * (password reset and email verification tokens, stored hashed)
+ */
+
+const crypto = require('crypto');
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'id',
+  'user_id',
+  'user_role',
+  'purpose',
+  'email',
+  'token_hash',
+  'requested_ip',
+  'expires_at'
+];
+
+async function create(token) {
+  const { text, values } = buildInsert('auth_tokens', { id: crypto.randomUUID(), ...token }, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function findByHash(tokenHash) {
+  const result = await query('SELECT * FROM auth_tokens WHERE token_hash = $1', [tokenHash]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a token used if it is still unused and unexpired
+ * @returns {Promise<Object|null>} The token, or null if it could not be redeemed
+ */
+async function consume(id, usedAt = new Date()) {
+  const result = await query(
+    `UPDATE auth_tokens SET used_at = $1
+     WHERE id = $2 AND used_at IS NULL AND expires_at > $1
+     RETURNING *`,
+    [usedAt, id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Retire every outstanding token a user holds for `purpose`
+ */
+async function invalidateForUser(userId, purpose, usedAt = new Date()) {
+  const result = await query(
+    'UPDATE auth_tokens SET used_at = $1 WHERE user_id = $2 AND purpose = $3 AND used_at IS NULL',
+    [usedAt, userId, purpose]
+  );
+  return result.rowCount || 0;
+}
+
+async function countRecent({ email, purpose, since }) {
+  const result = await query(
+    'SELECT COUNT(*)::int AS count FROM auth_tokens WHERE LOWER(email) = LOWER($1) AND purpose = $2 AND created_at >= $3',
+    [email, purpose, since]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Delete used or expired tokens
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function purgeInactive() {
+  const result = await query('DELETE FROM auth_tokens WHERE used_at IS NOT NULL OR expires_at < NOW()');
+  return result.rowCount || 0;
+}
+
+module.exports = {
+  create,
+  findByHash,
+  consume,
+  invalidateForUser,
+  countRecent,
+  purgeInactive
+};
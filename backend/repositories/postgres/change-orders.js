@@ -0,0 +1,77 @@
+/**
+ * Change Orders Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'status',
+  'description',
+  'reason',
+  'amount',
+  'currency',
+  'photos',
+  'price_before',
+  'price_after',
+  'decided_at',
+  'decided_by',
+  'rejection_reason'
+];
+
+const JSON_COLUMNS = ['photos', 'decided_by'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM change_orders WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Change orders, oldest first
+ * @param {Object} [filters] - { jobId, statuses }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  if (filters.jobId) {
+    values.push(filters.jobId);
+    clauses.push(`job_id = $${values.length}`);
+  }
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) {
+    values.push(filters.statuses);
+    clauses.push(`status = ANY($${values.length})`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM change_orders ${where} ORDER BY created_at ASC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('change_orders', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update a change order only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const statement = buildUpdate('change_orders', id, fields, {
+    columns: COLUMNS,
+    jsonColumns: JSON_COLUMNS,
+    match: { status: expectedStatus }
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  transition
+};
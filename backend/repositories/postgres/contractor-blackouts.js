@@ -0,0 +1,52 @@
+/**
+ * Contractor Blackouts Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = ['contractor_id', 'starts_on', 'ends_on', 'reason'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM contractor_blackouts WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Blackouts, earliest first
+ * @param {Object} [filters] - { contractorId, contractorIds, from, to } ('YYYY-MM-DD';
+ *   from/to keep the blackouts touching that span)
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+  if (filters.contractorId) add('contractor_id = ?', filters.contractorId);
+  if (Array.isArray(filters.contractorIds)) add('contractor_id = ANY(?)', filters.contractorIds);
+  if (filters.from) add('ends_on >= ?', filters.from);
+  if (filters.to) add('starts_on <= ?', filters.to);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM contractor_blackouts ${where} ORDER BY starts_on ASC, created_at ASC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('contractor_blackouts', fields, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function remove(id) {
+  const result = await query('DELETE FROM contractor_blackouts WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  remove
+};
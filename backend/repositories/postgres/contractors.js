@@ -0,0 +1,130 @@
+/**
+ * Contractors Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'email',
+  'password_hash',
+  'email_verified_at',
+  'legal_name',
+  'business_name',
+  'phone',
+  'role',
+  'status',
+  'vetting_status',
+  'primary_trade',
+  'secondary_trades',
+  'service_types',
+  'experience_years',
+  'documents',
+  'admin_notes',
+  'contractor_tier',
+  'tier',
+  'gst_hst_number',
+  'qst_number',
+  'payment_schedule',
+  'payout_account_id',
+  'payout_timezone',
+  'payout_hold_reason',
+  'payout_held_at',
+  'payout_held_by',
+  'payout_last_run_on',
+  'base_city',
+  'base_province',
+  'base_latitude',
+  'base_longitude',
+  'service_radius_km',
+  'max_active_jobs',
+  'weekly_availability',
+  'calendar_feed_token_hash',
+  'calendar_feed_created_at',
+  'arrivals_on_time',
+  'arrivals_late',
+  'arrival_minutes_late',
+  'arrival_location_mismatches',
+  'approved_at',
+  'paused_at',
+  'resumed_at',
+  'terminated_at',
+  'termination_reason'
+];
+
+const JSON_COLUMNS = ['documents', 'payout_held_by', 'weekly_availability'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM contractors WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByEmail(email) {
+  const result = await query('SELECT * FROM contractors WHERE LOWER(email) = LOWER($1)', [String(email || '').trim()]);
+  return result.rows[0] || null;
+}
+
+async function findByCalendarFeedToken(tokenHash) {
+  const result = await query('SELECT * FROM contractors WHERE calendar_feed_token_hash = $1', [tokenHash]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List contractors
+ * @param {Object} [filters] - { vettingStatuses }
+ * @returns {Promise<Array>}
+ */
+async function list(filters = {}) {
+  const { vettingStatuses } = filters;
+  if (Array.isArray(vettingStatuses) && vettingStatuses.length > 0) {
+    const result = await query(
+      'SELECT * FROM contractors WHERE vetting_status = ANY($1) ORDER BY created_at DESC',
+      [vettingStatuses]
+    );
+    return result.rows;
+  }
+  const result = await query('SELECT * FROM contractors ORDER BY created_at DESC');
+  return result.rows;
+}
+
+async function create(contractor) {
+  const { text, values } = buildInsert('contractors', contractor, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('contractors', id, fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+async function remove(id) {
+  const result = await query('DELETE FROM contractors WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Contractor documents that expire between now and the given date
+ * @param {Date} before - Upper bound for expiry_date
+ * @returns {Promise<Array>}
+ */
+async function listExpiringDocuments(before) {
+  const result = await query(
+    'SELECT * FROM contractor_documents WHERE expiry_date > NOW() AND expiry_date < $1 ORDER BY expiry_date ASC',
+    [before]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByCalendarFeedToken,
+  list,
+  create,
+  update,
+  remove,
+  listExpiringDocuments
+};
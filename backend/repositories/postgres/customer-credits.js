@@ -0,0 +1,51 @@
+/**
+ * Customer Credits Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'customer_id',
+  'kind',
+  'amount',
+  'currency',
+  'job_id',
+  'referral_id',
+  'reason',
+  'created_by'
+];
+
+const JSON_COLUMNS = ['created_by'];
+
+/**
+ * Credit movements, oldest first
+ * @param {Object} [filters] - { customerId, jobId, kinds, from, to } (from inclusive, to exclusive)
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+  if (filters.customerId) add('customer_id = ?', filters.customerId);
+  if (filters.jobId) add('job_id = ?', filters.jobId);
+  if (Array.isArray(filters.kinds) && filters.kinds.length > 0) add('kind = ANY(?)', filters.kinds);
+  if (filters.from) add('created_at >= ?', filters.from);
+  if (filters.to) add('created_at < ?', filters.to);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM customer_credits ${where} ORDER BY created_at ASC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('customer_credits', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+module.exports = {
+  list,
+  create
+};
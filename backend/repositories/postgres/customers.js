@@ -0,0 +1,69 @@
+/**
+ * Customers Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'email',
+  'full_name',
+  'phone',
+  'password_hash',
+  'email_verified_at',
+  'role',
+  'status',
+  'paused_at',
+  'resumed_at',
+  'terminated_at',
+  'termination_reason',
+  'referral_code'
+];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM customers WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByEmail(email) {
+  const result = await query('SELECT * FROM customers WHERE LOWER(email) = LOWER($1)', [String(email || '').trim()]);
+  return result.rows[0] || null;
+}
+
+async function findByReferralCode(code) {
+  const result = await query('SELECT * FROM customers WHERE referral_code = $1', [String(code || '').trim().toUpperCase()]);
+  return result.rows[0] || null;
+}
+
+async function list() {
+  const result = await query('SELECT * FROM customers ORDER BY created_at DESC');
+  return result.rows;
+}
+
+async function create(customer) {
+  const { text, values } = buildInsert('customers', customer, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('customers', id, fields, { columns: COLUMNS });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+async function remove(id) {
+  const result = await query('DELETE FROM customers WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByReferralCode,
+  list,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,78 @@
+/**
+ * Dispatch Offers Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'wave',
+  'rank',
+  'score',
+  'factors',
+  'distance_km',
+  'status',
+  'expires_at',
+  'responded_at',
+  'decline_reason'
+];
+
+const JSON_COLUMNS = ['factors'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM dispatch_offers WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Offers, newest first
+ * @param {Object} [filters] - { jobId, contractorId, contractorIds, statuses, expiresBefore, since }
+ *   (expiresBefore bounds expires_at, since bounds created_at)
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+  if (filters.jobId) add('job_id = ?', filters.jobId);
+  if (filters.contractorId) add('contractor_id = ?', filters.contractorId);
+  if (Array.isArray(filters.contractorIds)) add('contractor_id = ANY(?)', filters.contractorIds);
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) add('status = ANY(?)', filters.statuses);
+  if (filters.expiresBefore) add('expires_at <= ?', filters.expiresBefore);
+  if (filters.since) add('created_at >= ?', filters.since);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM dispatch_offers ${where} ORDER BY created_at DESC, rank ASC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('dispatch_offers', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update an offer only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const statement = buildUpdate('dispatch_offers', id, fields, {
+    columns: COLUMNS,
+    jsonColumns: JSON_COLUMNS,
+    match: { status: expectedStatus }
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  transition
+};
@@ -0,0 +1,133 @@
+/**
+ * Documents Repository – PostgreSQL implementation
+ * (invoices and payout statements with their PDFs, numbered per kind)
+ */
+
+const { pool, query } = require('../../db/pool');
+const crypto = require('crypto');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'kind',
+  'job_id',
+  'customer_id',
+  'contractor_id',
+  'period_start',
+  'period_end',
+  'currency',
+  'total_amount',
+  'data',
+  'pdf',
+  'revision',
+  'issued_at',
+  'emailed_to',
+  'emailed_at'
+];
+
+const JSON_COLUMNS = ['data'];
+
+// Everything but the PDF, for lists
+const LIST_COLUMNS = [
+  'id', 'sequence', 'number', ...COLUMNS.filter(column => column !== 'pdf'), 'created_at', 'updated_at'
+].join(', ');
+
+const FILTERS = {
+  kind: 'kind',
+  jobId: 'job_id',
+  customerId: 'customer_id',
+  contractorId: 'contractor_id'
+};
+
+async function findById(id) {
+  const result = await query('SELECT * FROM documents WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findInvoiceForJob(jobId) {
+  const result = await query("SELECT * FROM documents WHERE kind = 'invoice' AND job_id = $1", [jobId]);
+  return result.rows[0] || null;
+}
+
+async function findStatement(contractorId, periodStart, periodEnd) {
+  const result = await query(
+    `SELECT * FROM documents
+     WHERE kind = 'payout_statement' AND contractor_id = $1 AND period_start = $2 AND period_end = $3`,
+    [contractorId, periodStart, periodEnd]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Documents without their PDF, newest first
+ * @param {Object} [filters] - { kind, jobId, customerId, contractorId, limit }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  Object.entries(FILTERS).forEach(([filter, column]) => {
+    if (!filters[filter]) return;
+    values.push(filters[filter]);
+    clauses.push(`${column} = $${values.length}`);
+  });
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(
+    `SELECT ${LIST_COLUMNS} FROM documents ${where} ORDER BY issued_at DESC, sequence DESC ${limit}`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Issue a document under the next number of its kind (the counter and the
+ * row are written in one transaction, so numbers never skip)
+ * @param {Object} fields - documents columns (kind required)
+ * @param {Object} options - { numberFor(sequence) → printed number }
+ */
+async function create(fields, { numberFor }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const counter = await client.query(
+      `INSERT INTO document_sequences (kind, last_value) VALUES ($1, 1)
+       ON CONFLICT (kind) DO UPDATE SET last_value = document_sequences.last_value + 1
+       RETURNING last_value`,
+      [fields.kind]
+    );
+    const sequence = counter.rows[0].last_value;
+    const insert = buildInsert('documents', {
+      ...fields,
+      id: crypto.randomUUID(),
+      sequence,
+      number: numberFor(sequence)
+    }, { columns: ['id', 'sequence', 'number', ...COLUMNS], jsonColumns: JSON_COLUMNS });
+    const saved = (await client.query(insert.text, insert.values)).rows[0];
+    await client.query('COMMIT');
+    return saved;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('documents', id, fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findInvoiceForJob,
+  findStatement,
+  list,
+  create,
+  update
+};
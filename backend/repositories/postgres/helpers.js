@@ -0,0 +1,84 @@
+/**
+ * Shared SQL builders for the PostgreSQL repositories
+ *
+ * Column names are never taken from user input: every builder filters the
+ * incoming fields against the repository's own column whitelist before any
+ * SQL text is produced.
+ */
+
+function serialize(column, value, jsonColumns) {
+  if (value === undefined) return null;
+  if (jsonColumns.includes(column)) {
+    return value === null ? null : JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Keep only whitelisted, defined fields
+ * @param {Object} fields - Candidate column/value pairs
+ * @param {string[]} columns - Allowed column names
+ * @returns {Array<[string, *]>} Filtered entries
+ */
+function pickColumns(fields, columns) {
+  return Object.entries(fields || {})
+    .filter(([key, value]) => columns.includes(key) && value !== undefined);
+}
+
+/**
+ * Build an INSERT ... RETURNING * statement
+ * @param {string} table - Target table
+ * @param {Object} row - Column/value pairs
+ * @param {Object} options - { columns, jsonColumns }
+ * @returns {{ text: string, values: Array }}
+ */
+function buildInsert(table, row, { columns, jsonColumns = [] }) {
+  const entries = pickColumns(row, columns);
+  const names = entries.map(([key]) => key);
+  const placeholders = entries.map((_, idx) => `$${idx + 1}`);
+  const values = entries.map(([key, value]) => serialize(key, value, jsonColumns));
+  return {
+    text: `INSERT INTO ${table} (${names.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    values
+  };
+}
+
+/**
+ * Build an UPDATE ... WHERE id = $n RETURNING * statement
+ * Returns null when no whitelisted field is present.
+ * `match` adds equality conditions (column names come from code, never
+ * from the request; null matches NULL) so a caller can update only if a
+ * row is unchanged.
+ * @param {string} table - Target table
+ * @param {string} id - Row id
+ * @param {Object} fields - Column/value pairs
+ * @param {Object} options - { columns, jsonColumns, touch, match }
+ * @returns {{ text: string, values: Array }|null}
+ */
+function buildUpdate(table, id, fields, { columns, jsonColumns = [], touch = true, match = {} }) {
+  const entries = pickColumns(fields, columns);
+  if (entries.length === 0) return null;
+  const setClauses = entries.map(([key], idx) => `${key} = $${idx + 1}`);
+  if (touch) setClauses.push('updated_at = NOW()');
+  const values = entries.map(([key, value]) => serialize(key, value, jsonColumns));
+  values.push(id);
+  const where = [`id = $${values.length}`];
+  Object.entries(match).forEach(([key, value]) => {
+    if (value === null) {
+      where.push(`${key} IS NULL`);
+      return;
+    }
+    values.push(value);
+    where.push(`${key} = $${values.length}`);
+  });
+  return {
+    text: `UPDATE ${table} SET ${setClauses.join(', ')} WHERE ${where.join(' AND ')} RETURNING *`,
+    values
+  };
+}
+
+module.exports = {
+  pickColumns,
+  buildInsert,
+  buildUpdate
+};
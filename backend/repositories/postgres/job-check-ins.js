@@ -0,0 +1,52 @@
+/**
+ * Job Check-ins Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'kind',
+  'recorded_at',
+  'latitude',
+  'longitude',
+  'accuracy_m',
+  'distance_m',
+  'location_check',
+  'eta',
+  'minutes_late',
+  'notes'
+];
+
+/**
+ * Check-ins, oldest first
+ * @param {Object} [filters] - { jobId, contractorId, kinds, since }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+  if (filters.jobId) add('job_id = ?', filters.jobId);
+  if (filters.contractorId) add('contractor_id = ?', filters.contractorId);
+  if (Array.isArray(filters.kinds)) add('kind = ANY(?)', filters.kinds);
+  if (filters.since) add('recorded_at >= ?', filters.since);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM job_check_ins ${where} ORDER BY recorded_at ASC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('job_check_ins', fields, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+module.exports = {
+  list,
+  create
+};
@@ -0,0 +1,39 @@
+/**
+ * Job Events Repository – PostgreSQL implementation
+ * (status history written by services/job-lifecycle.js)
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'event',
+  'from_status',
+  'to_status',
+  'actor_role',
+  'actor_id',
+  'details',
+  'metadata'
+];
+
+/**
+ * Insert an event row
+ * @param {Object} event - job_events columns
+ * @param {Object} [options] - { client } to join a caller's transaction
+ */
+async function create(event, { client } = {}) {
+  const { text, values } = buildInsert('job_events', event, { columns: COLUMNS, jsonColumns: ['metadata'] });
+  const result = client ? await client.query(text, values) : await query(text, values);
+  return result.rows[0];
+}
+
+async function listForJob(jobId) {
+  const result = await query('SELECT * FROM job_events WHERE job_id = $1 ORDER BY created_at ASC, id ASC', [jobId]);
+  return result.rows;
+}
+
+module.exports = {
+  create,
+  listForJob
+};
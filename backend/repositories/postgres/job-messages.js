@@ -0,0 +1,106 @@
+/**
+ * Job Messages Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'sender_role',
+  'sender_id',
+  'body',
+  'attachments',
+  'masked',
+  'read_at',
+  'purged_at'
+];
+
+const JSON_COLUMNS = ['attachments'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM job_messages WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Messages, oldest first
+ * @param {Object} [filters] - { jobId, unpurged }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  if (filters.jobId) {
+    values.push(filters.jobId);
+    clauses.push(`job_id = $${values.length}`);
+  }
+  if (filters.unpurged) clauses.push('purged_at IS NULL');
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM job_messages ${where} ORDER BY created_at ASC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('job_messages', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Mark the job's unread messages from senderRole, sent up to `at`, as read
+ * @returns {Promise<number>} How many were marked
+ */
+async function markRead(jobId, senderRole, at) {
+  const result = await query(
+    `UPDATE job_messages SET read_at = $3
+     WHERE job_id = $1 AND sender_role = $2 AND read_at IS NULL AND created_at <= $3`,
+    [jobId, senderRole, at]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Unread messages from senderRole per job
+ * @returns {Promise<Object>} { [jobId]: count } for the jobs with any
+ */
+async function unreadCounts(jobIds, senderRole) {
+  if (!jobIds || !jobIds.length) return {};
+  const result = await query(
+    `SELECT job_id, COUNT(*)::int AS unread FROM job_messages
+     WHERE job_id = ANY($1) AND sender_role = $2 AND read_at IS NULL
+     GROUP BY job_id`,
+    [jobIds, senderRole]
+  );
+  return Object.fromEntries(result.rows.map(row => [row.job_id, row.unread]));
+}
+
+/**
+ * Jobs that still have messages the retention sweep has not cleared
+ */
+async function listJobIdsWithUnpurged() {
+  const result = await query('SELECT DISTINCT job_id FROM job_messages WHERE purged_at IS NULL');
+  return result.rows.map(row => row.job_id);
+}
+
+/**
+ * Clear the text and photos of the job's messages
+ * @returns {Promise<number>} How many were cleared
+ */
+async function purgeForJob(jobId, at) {
+  const result = await query(
+    `UPDATE job_messages SET body = NULL, attachments = '[]', purged_at = $2
+     WHERE job_id = $1 AND purged_at IS NULL`,
+    [jobId, at]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  markRead,
+  unreadCounts,
+  listJobIdsWithUnpurged,
+  purgeForJob
+};
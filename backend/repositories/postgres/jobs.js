@@ -0,0 +1,240 @@
+/**
+ * Jobs Repository – PostgreSQL implementation
+ *
+ * Every read returns jobs enriched with category/type names, address fields,
+ * contractor name/tier and customer email so callers see the same shape as
+ * the in-memory implementation.
+ */
+
+const { pool, query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+const jobEvents = require('./job-events');
+const { OPEN_STATUSES } = require('../constants');
+
+const COLUMNS = [
+  'customer_id',
+  'contractor_id',
+  'service_category_id',
+  'service_type_id',
+  'address_id',
+  'description',
+  'urgency',
+  'time_window',
+  'status',
+  'payment_status',
+  'payout_status',
+  'payment_intent_id',
+  'final_price',
+  'accepted_quote_id',
+  'inspection_fee_status',
+  'inspection_fee_intent_id',
+  'material_fees',
+  'refunded_amount',
+  'sales_tax',
+  'refunded_tax',
+  'estimate',
+  'pricing_version_id',
+  'problem_photo',
+  'start_report',
+  'completion_report',
+  'cancellation',
+  'relist_count',
+  'taxonomy_snapshot',
+  'has_dispute',
+  'completed_at',
+  'dispatch_status',
+  'dispatch_wave',
+  'dispatch_opened_at',
+  'dispatch_escalated_at',
+  'dispatch_escalation_reason',
+  'customer_rating',
+  'customer_review',
+  'rated_at',
+  'appointment_start',
+  'appointment_end',
+  'appointment_time_zone',
+  'appointment_reschedules',
+  'calendar_sequence',
+  'calendar_invitees'
+];
+
+const JSON_COLUMNS = [
+  'estimate',
+  'problem_photo',
+  'start_report',
+  'completion_report',
+  'cancellation',
+  'taxonomy_snapshot',
+  'sales_tax',
+  'calendar_invitees'
+];
+
+const ORDERABLE = ['created_at', 'updated_at', 'completed_at'];
+
+const ENRICHED_SELECT = `
+  SELECT j.*,
+         sc.name AS category_name,
+         sc.icon AS category_icon,
+         st.name AS type_name,
+         st.is_quote_only,
+         a.address_line1,
+         a.address_line2,
+         a.city,
+         a.province,
+         a.postal_code,
+         a.property_type,
+         a.latitude,
+         a.longitude,
+         COALESCE(c.business_name, c.legal_name) AS contractor_name,
+         COALESCE(c.contractor_tier, 'bronze') AS contractor_tier,
+         cu.email AS customer_email
+    FROM jobs j
+    LEFT JOIN service_categories sc ON sc.id = j.service_category_id
+    LEFT JOIN service_types st ON st.id = j.service_type_id
+    LEFT JOIN addresses a ON a.id = j.address_id
+    LEFT JOIN contractors c ON c.id = j.contractor_id
+    LEFT JOIN customers cu ON cu.id = j.customer_id`;
+
+async function findById(id) {
+  const result = await query(`${ENRICHED_SELECT} WHERE j.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List jobs
+ * @param {Object} [filters]
+ * @param {string[]} [filters.statuses] - Match any of these statuses
+ * @param {string} [filters.customerId]
+ * @param {string} [filters.contractorId]
+ * @param {string[]} [filters.contractorIds] - Held by any of these contractors
+ * @param {string} [filters.payoutStatus] - Exact payout_status
+ * @param {string} [filters.excludePayoutStatus] - payout_status is distinct from this value
+ * @param {string[]} [filters.dispatchStatuses] - Match any of these dispatch statuses
+ * @param {Date} [filters.appointmentsFrom] - With filters.appointmentsTo: appointments overlapping this span
+ * @param {Date} [filters.appointmentsTo]
+ * @param {string} [filters.orderBy='created_at'] - created_at | updated_at | completed_at (descending)
+ * @param {number} [filters.limit]
+ * @returns {Promise<Array>}
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) add('j.status = ANY(?)', filters.statuses);
+  if (filters.customerId) add('j.customer_id = ?', filters.customerId);
+  if (filters.contractorId) add('j.contractor_id = ?', filters.contractorId);
+  if (Array.isArray(filters.contractorIds)) add('j.contractor_id = ANY(?)', filters.contractorIds);
+  if (filters.payoutStatus) add('j.payout_status = ?', filters.payoutStatus);
+  if (filters.excludePayoutStatus) add('j.payout_status IS DISTINCT FROM ?', filters.excludePayoutStatus);
+  if (Array.isArray(filters.dispatchStatuses)) add('j.dispatch_status = ANY(?)', filters.dispatchStatuses);
+  if (filters.appointmentsFrom) add('j.appointment_end > ?', filters.appointmentsFrom);
+  if (filters.appointmentsTo) add('j.appointment_start < ?', filters.appointmentsTo);
+
+  const orderBy = ORDERABLE.includes(filters.orderBy) ? filters.orderBy : 'created_at';
+  let text = `${ENRICHED_SELECT}${clauses.length ? ` WHERE ${clauses.join(' AND ')}` : ''} ORDER BY j.${orderBy} DESC NULLS LAST`;
+  if (filters.limit) {
+    values.push(filters.limit);
+    text += ` LIMIT $${values.length}`;
+  }
+
+  const result = await query(text, values);
+  return result.rows;
+}
+
+/**
+ * Unassigned open jobs matching the contractor's specialties
+ * @param {string} contractorId
+ * @param {Object} [options] - { limit }
+ */
+async function listOpenForContractor(contractorId, { limit = 100 } = {}) {
+  const result = await query(
+    `${ENRICHED_SELECT}
+      WHERE j.status = ANY($1)
+        AND j.contractor_id IS NULL
+        AND j.service_type_id IN (
+          SELECT service_type_id FROM contractor_specialties WHERE contractor_id = $2
+        )
+      ORDER BY j.created_at DESC
+      LIMIT $3`,
+    [OPEN_STATUSES, contractorId, limit]
+  );
+  return result.rows;
+}
+
+async function countByStatus(statuses) {
+  const result = await query('SELECT COUNT(*)::int AS count FROM jobs WHERE status = ANY($1)', [statuses]);
+  return result.rows[0].count;
+}
+
+async function create(job) {
+  const { text, values } = buildInsert('jobs', job, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return findById(result.rows[0].id);
+}
+
+/**
+ * Update a job, optionally only while it still matches `match`
+ * @param {Object} [options] - { match: { column: value } }
+ * @returns {Promise<Object|null>} The job, or null when it is unknown or did not match
+ */
+async function update(id, fields, { match = {} } = {}) {
+  const statement = buildUpdate('jobs', id, fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS, match });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  if (!result.rows[0]) return null;
+  return findById(id);
+}
+
+async function removeByCustomer(customerId) {
+  const result = await query('DELETE FROM jobs WHERE customer_id = $1', [customerId]);
+  return result.rowCount || 0;
+}
+
+/**
+ * Update a job only while it is still in expectedStatus, writing the
+ * job_events row in the same transaction
+ * @param {string} id - Job ID
+ * @param {string} expectedStatus - Status the caller validated against
+ * @param {Object} fields - Columns to update (including the new status)
+ * @param {Object} event - job_events row
+ * @returns {Promise<{ job: Object, event: Object }|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields, event) {
+  const statement = buildUpdate('jobs', id, fields, {
+    columns: COLUMNS,
+    jsonColumns: JSON_COLUMNS,
+    match: { status: expectedStatus }
+  });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(statement.text, statement.values);
+    if (!result.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const saved = await jobEvents.create(event, { client });
+    await client.query('COMMIT');
+    return { job: await findById(id), event: saved };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  findById,
+  list,
+  listOpenForContractor,
+  countByStatus,
+  create,
+  update,
+  removeByCustomer,
+  transition
+};
@@ -0,0 +1,188 @@
+/**
+ * Ledger Repository – PostgreSQL implementation
+ * (append-only double-entry books; a trigger rejects UPDATE and DELETE)
+ */
+
+const { pool, query } = require('../../db/pool');
+const crypto = require('crypto');
+const { buildInsert } = require('./helpers');
+
+const ENTRY_COLUMNS = [
+  'id',
+  'entry_type',
+  'description',
+  'job_id',
+  'contractor_id',
+  'source_type',
+  'source_id',
+  'idempotency_key',
+  'currency',
+  'actor',
+  'meta',
+  'occurred_at'
+];
+
+const ENTRY_JSON_COLUMNS = ['actor', 'meta'];
+
+const LINE_COLUMNS = ['entry_id', 'account', 'contractor_id', 'job_id', 'debit', 'credit', 'currency'];
+
+// Group-by name → SQL expression
+const GROUP_COLUMNS = {
+  account: 'l.account',
+  contractor_id: 'l.contractor_id',
+  job_id: 'l.job_id',
+  day: "TO_CHAR(e.occurred_at, 'YYYY-MM-DD')"
+};
+
+async function attachLines(entries) {
+  if (!entries.length) return [];
+  const result = await query(
+    'SELECT * FROM ledger_lines WHERE entry_id = ANY($1::uuid[]) ORDER BY id ASC',
+    [entries.map(entry => entry.id)]
+  );
+  return entries.map(entry => ({
+    ...entry,
+    lines: result.rows.filter(line => line.entry_id === entry.id)
+  }));
+}
+
+async function findByKey(idempotencyKey) {
+  const result = await query('SELECT * FROM ledger_entries WHERE idempotency_key = $1', [idempotencyKey]);
+  if (!result.rows[0]) return null;
+  const [entry] = await attachLines(result.rows);
+  return entry;
+}
+
+/**
+ * Append an entry and its lines (balanced by the caller) in one transaction
+ * @param {Object} entry - ledger_entries columns (idempotency_key required)
+ * @param {Array<Object>} lines - ledger_lines columns
+ * @returns {Promise<{ entry: Object, duplicate: boolean }>} The existing entry when the key was seen before
+ */
+async function post(entry, lines) {
+  const insert = buildInsert('ledger_entries', { id: crypto.randomUUID(), ...entry }, {
+    columns: ENTRY_COLUMNS,
+    jsonColumns: ENTRY_JSON_COLUMNS
+  });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      insert.text.replace(' RETURNING *', ' ON CONFLICT (idempotency_key) DO NOTHING RETURNING *'),
+      insert.values
+    );
+    const saved = result.rows[0];
+    if (!saved) {
+      await client.query('ROLLBACK');
+      return { entry: await findByKey(entry.idempotency_key), duplicate: true };
+    }
+    const savedLines = [];
+    for (const line of lines) {
+      const { text, values } = buildInsert('ledger_lines', { ...line, entry_id: saved.id }, { columns: LINE_COLUMNS });
+      savedLines.push((await client.query(text, values)).rows[0]);
+    }
+    await client.query('COMMIT');
+    return { entry: { ...saved, lines: savedLines }, duplicate: false };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function periodClauses(filters, values, column) {
+  const clauses = [];
+  if (filters.from) {
+    values.push(filters.from);
+    clauses.push(`${column} >= $${values.length}`);
+  }
+  if (filters.to) {
+    values.push(filters.to);
+    clauses.push(`${column} < $${values.length}`);
+  }
+  return clauses;
+}
+
+/**
+ * Entries with their lines, newest first
+ * @param {Object} [filters] - { jobId, contractorId, entryType, from, to, limit }
+ */
+async function listEntries(filters = {}) {
+  const values = [];
+  const clauses = periodClauses(filters, values, 'e.occurred_at');
+  if (filters.jobId) {
+    values.push(filters.jobId);
+    clauses.push(`e.job_id = $${values.length}`);
+  }
+  if (filters.contractorId) {
+    values.push(filters.contractorId);
+    clauses.push(`(e.contractor_id = $${values.length} OR EXISTS (
+      SELECT 1 FROM ledger_lines l WHERE l.entry_id = e.id AND l.contractor_id = $${values.length}))`);
+  }
+  if (filters.entryType) {
+    values.push(filters.entryType);
+    clauses.push(`e.entry_type = $${values.length}`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(
+    `SELECT e.* FROM ledger_entries e ${where} ORDER BY e.occurred_at DESC, e.created_at DESC ${limit}`,
+    values
+  );
+  return attachLines(result.rows);
+}
+
+/**
+ * Debit and credit totals of the matching lines
+ * @param {Object} [filters] - { account, accounts, contractorId, jobId, entryType, from, to }
+ *   (period on the entry's occurred_at)
+ * @param {string[]} [groupBy] - Any of account, contractor_id, job_id, day (YYYY-MM-DD)
+ * @returns {Promise<Array<{ debit, credit }>>} One row per group (dollars), with the group columns
+ */
+async function sumLines(filters = {}, groupBy = ['account']) {
+  const columns = groupBy.filter(column => GROUP_COLUMNS[column]);
+  const values = [];
+  const clauses = periodClauses(filters, values, 'e.occurred_at');
+  if (filters.account) {
+    values.push(filters.account);
+    clauses.push(`l.account = $${values.length}`);
+  }
+  if (filters.accounts) {
+    values.push(filters.accounts);
+    clauses.push(`l.account = ANY($${values.length}::text[])`);
+  }
+  if (filters.contractorId) {
+    values.push(filters.contractorId);
+    clauses.push(`l.contractor_id = $${values.length}`);
+  }
+  if (filters.jobId) {
+    values.push(filters.jobId);
+    clauses.push(`l.job_id = $${values.length}`);
+  }
+  if (filters.entryType) {
+    values.push(filters.entryType);
+    clauses.push(`e.entry_type = $${values.length}`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const select = columns.map(column => `${GROUP_COLUMNS[column]} AS ${column}, `).join('');
+  const group = columns.length ? `GROUP BY ${columns.map(column => GROUP_COLUMNS[column]).join(', ')}` : '';
+  const result = await query(
+    `SELECT ${select}COALESCE(SUM(l.debit), 0) AS debit, COALESCE(SUM(l.credit), 0) AS credit
+     FROM ledger_lines l JOIN ledger_entries e ON e.id = l.entry_id
+     ${where} ${group}`,
+    values
+  );
+  return result.rows;
+}
+
+module.exports = {
+  findByKey,
+  post,
+  listEntries,
+  sumLines
+};
@@ -0,0 +1,102 @@
+/**
+ * Notification Deliveries Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'event_type',
+  'user_role',
+  'user_id',
+  'channel',
+  'address',
+  'locale',
+  'subject',
+  'body',
+  'entity_type',
+  'entity_id',
+  'dedupe_key',
+  'status',
+  'attempts',
+  'next_attempt_at',
+  'last_error',
+  'provider_message_id',
+  'sent_at'
+];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM notification_deliveries WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByDedupeKey(dedupeKey) {
+  const result = await query('SELECT * FROM notification_deliveries WHERE dedupe_key = $1 LIMIT 1', [dedupeKey]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Deliveries, newest first
+ * @param {Object} [filters] - { userRole, userId, status, eventType, channel, limit }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (column, value) => {
+    values.push(value);
+    clauses.push(`${column} = $${values.length}`);
+  };
+  if (filters.userRole) add('user_role', filters.userRole);
+  if (filters.userId) add('user_id', filters.userId);
+  if (filters.status) add('status', filters.status);
+  if (filters.eventType) add('event_type', filters.eventType);
+  if (filters.channel) add('channel', filters.channel);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(`SELECT * FROM notification_deliveries ${where} ORDER BY created_at DESC ${limit}`, values);
+  return result.rows;
+}
+
+/**
+ * Pending deliveries due by `at`, the longest waiting first
+ */
+async function listDue(at, limit) {
+  const result = await query(
+    `SELECT * FROM notification_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= $1
+     ORDER BY next_attempt_at ASC LIMIT $2`,
+    [at, limit]
+  );
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('notification_deliveries', fields, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update a delivery, optionally only while it still matches `match`
+ * (e.g. { status: 'pending', attempts: 1 }) so it is not sent twice
+ * @returns {Promise<Object|null>} The delivery, or null when it did not match
+ */
+async function update(id, fields, { match = {} } = {}) {
+  const statement = buildUpdate('notification_deliveries', id, fields, { columns: COLUMNS, match });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findByDedupeKey,
+  list,
+  listDue,
+  create,
+  update
+};
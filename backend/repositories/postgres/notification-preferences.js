@@ -0,0 +1,49 @@
+/**
+ * Notification Preferences Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { pickColumns } = require('./helpers');
+
+const COLUMNS = [
+  'locale',
+  'time_zone',
+  'quiet_start',
+  'quiet_end',
+  'channels'
+];
+
+const JSON_COLUMNS = ['channels'];
+
+async function findByUser(userRole, userId) {
+  const result = await query(
+    'SELECT * FROM notification_preferences WHERE user_role = $1 AND user_id = $2',
+    [userRole, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create or update the user's preferences
+ */
+async function upsert(userRole, userId, fields) {
+  const entries = pickColumns(fields, COLUMNS);
+  const names = entries.map(([key]) => key);
+  const values = entries.map(([key, value]) => (JSON_COLUMNS.includes(key) ? JSON.stringify(value) : value));
+  const placeholders = names.map((_, idx) => `$${idx + 3}`);
+  const updates = names.map(name => `${name} = EXCLUDED.${name}`);
+  const result = await query(
+    `INSERT INTO notification_preferences (user_role, user_id${names.map(name => `, ${name}`).join('')})
+     VALUES ($1, $2${placeholders.map(p => `, ${p}`).join('')})
+     ON CONFLICT (user_role, user_id) DO UPDATE
+       SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+     RETURNING *`,
+    [userRole, userId, ...values]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  findByUser,
+  upsert
+};
@@ -0,0 +1,59 @@
+/**
+ * Payment Events Repository – PostgreSQL implementation
+ * (verified provider webhook events, one row per provider event id)
+ */
+
+const { query } = require('../../db/pool');
+
+async function findById(id) {
+  const result = await query('SELECT * FROM payment_events WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Store a verified webhook event; an id seen before is left as it was
+ * @returns {Promise<Object>} The stored row
+ */
+async function record({ id, provider, type, payload }) {
+  const result = await query(
+    `INSERT INTO payment_events (id, provider, type, payload)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (id) DO NOTHING
+     RETURNING *`,
+    [id, provider, type, JSON.stringify(payload)]
+  );
+  return result.rows[0] || findById(id);
+}
+
+async function markProcessed(id) {
+  const result = await query(
+    'UPDATE payment_events SET processed_at = NOW() WHERE id = $1 RETURNING *',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {Object} [filters] - { type, limit }
+ */
+async function list(filters = {}) {
+  const values = [];
+  let where = '';
+  if (filters.type) {
+    values.push(filters.type);
+    where = `WHERE type = $${values.length}`;
+  }
+  values.push(filters.limit || 200);
+  const result = await query(
+    `SELECT * FROM payment_events ${where} ORDER BY received_at DESC LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+module.exports = {
+  findById,
+  record,
+  markProcessed,
+  list
+};
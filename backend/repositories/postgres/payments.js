@@ -0,0 +1,124 @@
+/**
+ * Payments Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const crypto = require('crypto');
+const { pickColumns, buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'id',
+  'customer_id',
+  'job_id',
+  'purpose',
+  'amount',
+  'tax_amount',
+  'amount_refunded',
+  'currency',
+  'status',
+  'provider',
+  'payment_method',
+  'transaction_id',
+  'notes',
+  'paid_at',
+  'discount_amount',
+  'credit_amount'
+];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM payments WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List payments
+ * @param {Object} [filters] - { customerId, jobId }
+ * @returns {Promise<Array>}
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  if (filters.customerId) {
+    values.push(filters.customerId);
+    clauses.push(`customer_id = $${values.length}`);
+  }
+  if (filters.jobId) {
+    values.push(filters.jobId);
+    clauses.push(`job_id = $${values.length}`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM payments ${where} ORDER BY created_at DESC`, values);
+  return result.rows;
+}
+
+/**
+ * Payment for a provider transaction (payment intent id)
+ */
+async function findByTransaction(provider, transactionId) {
+  const result = await query(
+    'SELECT * FROM payments WHERE provider = $1 AND transaction_id = $2',
+    [provider, transactionId]
+  );
+  return result.rows[0] || null;
+}
+
+// Columns an upsert never overwrites on an existing row
+const UPSERT_KEYS = ['id', 'provider', 'transaction_id'];
+
+/**
+ * Create or update the payment row for a provider transaction
+ * (payments_provider_transaction_idx makes this one statement)
+ */
+async function upsertByTransaction(provider, transactionId, fields) {
+  const entries = pickColumns(
+    { id: crypto.randomUUID(), ...fields, provider, transaction_id: transactionId },
+    COLUMNS
+  );
+  const names = entries.map(([key]) => key);
+  const placeholders = entries.map((_, idx) => `$${idx + 1}`);
+  const updates = names
+    .filter(name => !UPSERT_KEYS.includes(name))
+    .map(name => `${name} = EXCLUDED.${name}`)
+    .concat('updated_at = NOW()');
+  const result = await query(
+    `INSERT INTO payments (${names.join(', ')}) VALUES (${placeholders.join(', ')})
+     ON CONFLICT (provider, transaction_id) DO UPDATE SET ${updates.join(', ')}
+     RETURNING *`,
+    entries.map(([, value]) => value)
+  );
+  return result.rows[0];
+}
+
+async function create(payment) {
+  const { text, values } = buildInsert('payments', payment, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('payments', id, fields, { columns: COLUMNS.filter(c => c !== 'id') });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+async function remove(id) {
+  const result = await query('DELETE FROM payments WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+async function removeByCustomer(customerId) {
+  const result = await query('DELETE FROM payments WHERE customer_id = $1', [customerId]);
+  return result.rowCount || 0;
+}
+
+module.exports = {
+  findById,
+  findByTransaction,
+  list,
+  create,
+  upsertByTransaction,
+  update,
+  remove,
+  removeByCustomer
+};
@@ -0,0 +1,86 @@
+/**
+ * Payout Adjustments Repository – PostgreSQL implementation
+ * (amounts taken off a contractor's next payout; negative for a clawback)
+ */
+
+const { query } = require('../../db/pool');
+const crypto = require('crypto');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'id',
+  'contractor_id',
+  'job_id',
+  'refund_id',
+  'amount',
+  'currency',
+  'reason',
+  'status',
+  'applied_payout_id',
+  'applied_at'
+];
+
+const FILTERS = {
+  contractorId: 'contractor_id',
+  jobId: 'job_id',
+  refundId: 'refund_id',
+  status: 'status'
+};
+
+async function findById(id) {
+  const result = await query('SELECT * FROM payout_adjustments WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {Object} [filters] - { contractorId, jobId, refundId, status, limit }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  Object.entries(FILTERS).forEach(([filter, column]) => {
+    if (!filters[filter]) return;
+    values.push(filters[filter]);
+    clauses.push(`${column} = $${values.length}`);
+  });
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(
+    `SELECT * FROM payout_adjustments ${where} ORDER BY created_at ASC ${limit}`,
+    values
+  );
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('payout_adjustments', { id: crypto.randomUUID(), ...fields }, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Mark pending adjustments as taken off a payout
+ * @returns {Promise<Array>} The adjustments that were still pending
+ */
+async function markApplied(ids, payoutId) {
+  if (!ids.length) return [];
+  const result = await query(
+    `UPDATE payout_adjustments
+     SET status = 'applied', applied_payout_id = $2, applied_at = NOW()
+     WHERE id = ANY($1::uuid[]) AND status = 'pending'
+     RETURNING *`,
+    [ids, payoutId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  markApplied
+};
@@ -0,0 +1,194 @@
+/**
+ * Payout Batches Repository – PostgreSQL implementation
+ * (payout_batches and their payout_batch_lines)
+ */
+
+const { pool, query } = require('../../db/pool');
+const crypto = require('crypto');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const BATCH_COLUMNS = [
+  'id',
+  'status',
+  'payment_schedule',
+  'scheduled_for',
+  'provider',
+  'currency',
+  'line_count',
+  'total_amount',
+  'note',
+  'prepared_by',
+  'approved_by',
+  'approved_at',
+  'executed_by',
+  'executed_at',
+  'completed_at',
+  'canceled_by',
+  'canceled_at'
+];
+
+const BATCH_JSON_COLUMNS = ['prepared_by', 'approved_by', 'executed_by', 'canceled_by'];
+
+const LINE_COLUMNS = [
+  'id',
+  'batch_id',
+  'contractor_id',
+  'job_ids',
+  'gross_amount',
+  'adjustments',
+  'materials',
+  'amount',
+  'currency',
+  'status',
+  'destination',
+  'provider_payout_id',
+  'failure_code',
+  'failure_message',
+  'attempts',
+  'paid_at'
+];
+
+const LINE_FILTERS = {
+  batchId: 'batch_id',
+  contractorId: 'contractor_id',
+  status: 'status'
+};
+
+// Fields a caller may change; ids and the batch a line belongs to are fixed
+const MUTABLE_BATCH_COLUMNS = BATCH_COLUMNS.filter(column => column !== 'id');
+const MUTABLE_LINE_COLUMNS = LINE_COLUMNS.filter(column => !['id', 'batch_id'].includes(column));
+
+/**
+ * Batch with its lines
+ */
+async function findById(id) {
+  const result = await query('SELECT * FROM payout_batches WHERE id = $1', [id]);
+  if (!result.rows[0]) return null;
+  const lines = await query(
+    'SELECT * FROM payout_batch_lines WHERE batch_id = $1 ORDER BY created_at ASC, id ASC',
+    [id]
+  );
+  return { ...result.rows[0], lines: lines.rows };
+}
+
+/**
+ * Batches (without lines), newest first
+ * @param {Object} [filters] - { status, limit }
+ */
+async function list(filters = {}) {
+  const values = [];
+  let where = '';
+  if (filters.status) {
+    values.push(filters.status);
+    where = `WHERE status = $${values.length}`;
+  }
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(`SELECT * FROM payout_batches ${where} ORDER BY created_at DESC ${limit}`, values);
+  return result.rows;
+}
+
+/**
+ * Create a draft batch and its lines in one transaction
+ * @param {Object} batch - payout_batches columns
+ * @param {Array<Object>} lines - payout_batch_lines columns
+ * @returns {Promise<Object>} The batch with its lines
+ */
+async function create(batch, lines) {
+  const batchId = crypto.randomUUID();
+  const insert = buildInsert('payout_batches', { ...batch, id: batchId }, {
+    columns: BATCH_COLUMNS,
+    jsonColumns: BATCH_JSON_COLUMNS
+  });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = (await client.query(insert.text, insert.values)).rows[0];
+    const savedLines = [];
+    for (const line of lines) {
+      const { text, values } = buildInsert('payout_batch_lines', {
+        ...line,
+        id: crypto.randomUUID(),
+        batch_id: batchId
+      }, { columns: LINE_COLUMNS });
+      savedLines.push((await client.query(text, values)).rows[0]);
+    }
+    await client.query('COMMIT');
+    return { ...saved, lines: savedLines };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update a batch, optionally only while it still matches `match`
+ * (e.g. { status: 'draft' }) so two admins cannot move it at once
+ * @returns {Promise<Object|null>} The batch row, or null when it did not match
+ */
+async function update(id, fields, { match = {} } = {}) {
+  const statement = buildUpdate('payout_batches', id, fields, {
+    columns: MUTABLE_BATCH_COLUMNS,
+    jsonColumns: BATCH_JSON_COLUMNS,
+    match
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+async function findLineById(id) {
+  const result = await query('SELECT * FROM payout_batch_lines WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Lines across batches, newest first
+ * @param {Object} [filters] - { batchId, contractorId, status, limit }
+ */
+async function listLines(filters = {}) {
+  const clauses = [];
+  const values = [];
+  Object.entries(LINE_FILTERS).forEach(([filter, column]) => {
+    if (!filters[filter]) return;
+    values.push(filters[filter]);
+    clauses.push(`${column} = $${values.length}`);
+  });
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(
+    `SELECT * FROM payout_batch_lines ${where} ORDER BY created_at DESC ${limit}`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Update a line, optionally only while it still matches `match`
+ * @returns {Promise<Object|null>} The line, or null when it did not match
+ */
+async function updateLine(id, fields, { match = {} } = {}) {
+  const statement = buildUpdate('payout_batch_lines', id, fields, { columns: MUTABLE_LINE_COLUMNS, match });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  update,
+  findLineById,
+  listLines,
+  updateLine
+};
@@ -0,0 +1,34 @@
+/**
+ * Platform Settings Repository – PostgreSQL implementation
+ * (key/value settings edited from the superadmin console)
+ */
+
+const { query } = require('../../db/pool');
+
+async function get(key) {
+  const result = await query('SELECT value FROM platform_settings WHERE key = $1', [key]);
+  return result.rows[0] ? result.rows[0].value : null;
+}
+
+async function set(key, value, updatedBy = null) {
+  const result = await query(
+    `INSERT INTO platform_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING *`,
+    [key, JSON.stringify(value), updatedBy]
+  );
+  return result.rows[0];
+}
+
+async function list() {
+  const result = await query('SELECT * FROM platform_settings ORDER BY key');
+  return result.rows;
+}
+
+module.exports = {
+  get,
+  set,
+  list
+};
@@ -0,0 +1,84 @@
+/**
+ * Pricing Versions Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'version',
+  'status',
+  'catalogue',
+  'notes',
+  'based_on',
+  'effective_from',
+  'created_by',
+  'published_by',
+  'published_at'
+];
+
+const JSON_COLUMNS = ['catalogue', 'created_by', 'published_by'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM pricing_versions WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Pricing versions, newest version first
+ * @param {Object} [filters] - { statuses }
+ */
+async function list(filters = {}) {
+  const values = [];
+  let where = '';
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) {
+    values.push(filters.statuses);
+    where = `WHERE status = ANY($${values.length})`;
+  }
+  const result = await query(`SELECT * FROM pricing_versions ${where} ORDER BY version DESC`, values);
+  return result.rows;
+}
+
+async function latestVersionNumber() {
+  const result = await query('SELECT COALESCE(MAX(version), 0) AS version FROM pricing_versions');
+  return Number(result.rows[0].version);
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('pricing_versions', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update a version only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const statement = buildUpdate('pricing_versions', id, fields, {
+    columns: COLUMNS,
+    jsonColumns: JSON_COLUMNS,
+    match: { status: expectedStatus }
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a draft
+ * @returns {Promise<boolean>} false when it is not a draft (or does not exist)
+ */
+async function removeDraft(id) {
+  const result = await query("DELETE FROM pricing_versions WHERE id = $1 AND status = 'draft'", [id]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  findById,
+  list,
+  latestVersionNumber,
+  create,
+  transition,
+  removeDraft
+};
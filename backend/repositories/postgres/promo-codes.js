@@ -0,0 +1,94 @@
+/**
+ * Promo Codes Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'code',
+  'description',
+  'kind',
+  'value',
+  'max_discount',
+  'service_category_ids',
+  'first_job_only',
+  'max_redemptions',
+  'starts_at',
+  'expires_at',
+  'active',
+  'created_by'
+];
+
+const JSON_COLUMNS = ['service_category_ids', 'created_by'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM promo_codes WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByCode(code) {
+  const result = await query('SELECT * FROM promo_codes WHERE code = $1', [String(code || '').trim().toUpperCase()]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Promo codes, newest first
+ * @param {Object} [filters] - { active }
+ */
+async function list(filters = {}) {
+  const values = [];
+  let where = '';
+  if (typeof filters.active === 'boolean') {
+    values.push(filters.active);
+    where = `WHERE active = $${values.length}`;
+  }
+  const result = await query(`SELECT * FROM promo_codes ${where} ORDER BY created_at DESC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('promo_codes', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('promo_codes', id, fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+/**
+ * Count one more redemption unless the code is at its cap
+ * @returns {Promise<boolean>} false when the cap is reached
+ */
+async function reserve(id) {
+  const result = await query(
+    `UPDATE promo_codes SET redemption_count = redemption_count + 1, updated_at = NOW()
+     WHERE id = $1 AND (max_redemptions IS NULL OR redemption_count < max_redemptions)`,
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Give back a redemption counted by reserve()
+ */
+async function unreserve(id) {
+  await query(
+    'UPDATE promo_codes SET redemption_count = GREATEST(redemption_count - 1, 0), updated_at = NOW() WHERE id = $1',
+    [id]
+  );
+}
+
+module.exports = {
+  findById,
+  findByCode,
+  list,
+  create,
+  update,
+  reserve,
+  unreserve
+};
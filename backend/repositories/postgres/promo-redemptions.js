@@ -0,0 +1,81 @@
+/**
+ * Promo Redemptions Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'promo_code_id',
+  'job_id',
+  'customer_id',
+  'status',
+  'amount',
+  'payment_id',
+  'redeemed_at',
+  'released_at'
+];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM promo_redemptions WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The job's redemption that is not released, if any
+ */
+async function findLiveForJob(jobId) {
+  const result = await query("SELECT * FROM promo_redemptions WHERE job_id = $1 AND status <> 'released'", [jobId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Redemptions, newest first
+ * @param {Object} [filters] - { promoCodeId, customerId, jobId, statuses, from, to }
+ *   (from/to bound redeemed_at; from inclusive, to exclusive)
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+  if (filters.promoCodeId) add('promo_code_id = ?', filters.promoCodeId);
+  if (filters.customerId) add('customer_id = ?', filters.customerId);
+  if (filters.jobId) add('job_id = ?', filters.jobId);
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) add('status = ANY(?)', filters.statuses);
+  if (filters.from) add('redeemed_at >= ?', filters.from);
+  if (filters.to) add('redeemed_at < ?', filters.to);
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM promo_redemptions ${where} ORDER BY created_at DESC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('promo_redemptions', fields, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update a redemption only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const statement = buildUpdate('promo_redemptions', id, fields, {
+    columns: COLUMNS,
+    match: { status: expectedStatus }
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findLiveForJob,
+  list,
+  create,
+  transition
+};
@@ -0,0 +1,48 @@
+/**
+ * Push Subscriptions Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+
+/**
+ * The user's subscriptions, oldest first
+ */
+async function listForUser(userRole, userId) {
+  const result = await query(
+    'SELECT * FROM push_subscriptions WHERE user_role = $1 AND user_id = $2 ORDER BY created_at ASC',
+    [userRole, userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Save a subscription; an endpoint already saved moves to this user
+ */
+async function upsert(fields) {
+  const result = await query(
+    `INSERT INTO push_subscriptions (user_role, user_id, endpoint, keys)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (endpoint) DO UPDATE
+       SET user_role = EXCLUDED.user_role, user_id = EXCLUDED.user_id, keys = EXCLUDED.keys, updated_at = NOW()
+     RETURNING *`,
+    [fields.user_role, fields.user_id, fields.endpoint, fields.keys ? JSON.stringify(fields.keys) : null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the user had that endpoint
+ */
+async function remove(userRole, userId, endpoint) {
+  const result = await query(
+    'DELETE FROM push_subscriptions WHERE user_role = $1 AND user_id = $2 AND endpoint = $3',
+    [userRole, userId, endpoint]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  listForUser,
+  upsert,
+  remove
+};
@@ -0,0 +1,104 @@
+/**
+ * Quotes Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'job_id',
+  'contractor_id',
+  'status',
+  'line_items',
+  'labour_amount',
+  'materials_amount',
+  'total_amount',
+  'currency',
+  'sales_tax',
+  'notes',
+  'valid_until',
+  'decided_at',
+  'decline_reason'
+];
+
+const JSON_COLUMNS = ['line_items', 'sales_tax'];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM quotes WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Quotes, newest first
+ * @param {Object} [filters] - { jobId, contractorId, statuses, limit }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+  if (filters.jobId) add('job_id = ?', filters.jobId);
+  if (filters.contractorId) add('contractor_id = ?', filters.contractorId);
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) add('status = ANY(?)', filters.statuses);
+
+  let text = `SELECT * FROM quotes${clauses.length ? ` WHERE ${clauses.join(' AND ')}` : ''} ORDER BY created_at DESC`;
+  if (filters.limit) {
+    values.push(filters.limit);
+    text += ` LIMIT $${values.length}`;
+  }
+  const result = await query(text, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('quotes', fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update a quote only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const statement = buildUpdate('quotes', id, fields, {
+    columns: COLUMNS,
+    jsonColumns: JSON_COLUMNS,
+    match: { status: expectedStatus }
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark open quotes past their valid_until as expired
+ * @param {Date} at
+ * @param {Object} [filters] - { jobId }
+ * @returns {Promise<Array>} The quotes expired
+ */
+async function expireDue(at, { jobId } = {}) {
+  const values = [at];
+  let jobClause = '';
+  if (jobId) {
+    values.push(jobId);
+    jobClause = ' AND job_id = $2';
+  }
+  const result = await query(
+    `UPDATE quotes SET status = 'expired', decided_at = $1, updated_at = NOW()
+     WHERE status = 'submitted' AND valid_until <= $1${jobClause}
+     RETURNING *`,
+    values
+  );
+  return result.rows;
+}
+
+module.exports = {
+  findById,
+  list,
+  create,
+  transition,
+  expireDue
+};
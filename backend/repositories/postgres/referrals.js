@@ -0,0 +1,74 @@
+/**
+ * Referrals Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'referrer_id',
+  'referee_id',
+  'status',
+  'reward_job_id',
+  'referrer_credit',
+  'referee_credit',
+  'rewarded_at'
+];
+
+async function findById(id) {
+  const result = await query('SELECT * FROM referrals WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByReferee(refereeId) {
+  const result = await query('SELECT * FROM referrals WHERE referee_id = $1', [refereeId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Referrals, newest first
+ * @param {Object} [filters] - { referrerId, statuses }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  if (filters.referrerId) {
+    values.push(filters.referrerId);
+    clauses.push(`referrer_id = $${values.length}`);
+  }
+  if (Array.isArray(filters.statuses) && filters.statuses.length > 0) {
+    values.push(filters.statuses);
+    clauses.push(`status = ANY($${values.length})`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const result = await query(`SELECT * FROM referrals ${where} ORDER BY created_at DESC`, values);
+  return result.rows;
+}
+
+async function create(fields) {
+  const { text, values } = buildInsert('referrals', fields, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+/**
+ * Update a referral only while it is still in expectedStatus
+ * @returns {Promise<Object|null>} null if the status changed meanwhile
+ */
+async function transition(id, expectedStatus, fields) {
+  const statement = buildUpdate('referrals', id, fields, {
+    columns: COLUMNS,
+    match: { status: expectedStatus }
+  });
+  if (!statement) return null;
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findByReferee,
+  list,
+  create,
+  transition
+};
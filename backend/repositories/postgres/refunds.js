@@ -0,0 +1,133 @@
+/**
+ * Refunds Repository – PostgreSQL implementation
+ * (one row per provider refund, written from verified webhook events)
+ */
+
+const { query } = require('../../db/pool');
+const crypto = require('crypto');
+const { pickColumns, buildUpdate } = require('./helpers');
+
+const COLUMNS = [
+  'payment_id',
+  'job_id',
+  'amount',
+  'tax_amount',
+  'currency',
+  'reason_code',
+  'note',
+  'status',
+  'requested_by',
+  'platform_fee_before',
+  'platform_fee_after',
+  'contractor_payout_before',
+  'contractor_payout_after',
+  'succeeded_at'
+];
+
+const JSON_COLUMNS = ['requested_by'];
+
+function serialize([key, value]) {
+  return JSON_COLUMNS.includes(key) && value !== null ? JSON.stringify(value) : value;
+}
+
+async function findById(id) {
+  const result = await query('SELECT * FROM refunds WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Refund for a provider refund id
+ */
+async function findByProviderRefund(provider, providerRefundId) {
+  const result = await query(
+    'SELECT * FROM refunds WHERE provider = $1 AND provider_refund_id = $2',
+    [provider, providerRefundId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {Object} [filters] - { paymentId, jobId, status, limit }
+ */
+async function list(filters = {}) {
+  const clauses = [];
+  const values = [];
+  if (filters.paymentId) {
+    values.push(filters.paymentId);
+    clauses.push(`payment_id = $${values.length}`);
+  }
+  if (filters.jobId) {
+    values.push(filters.jobId);
+    clauses.push(`job_id = $${values.length}`);
+  }
+  if (filters.status) {
+    values.push(filters.status);
+    clauses.push(`status = $${values.length}`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let limit = '';
+  if (filters.limit) {
+    values.push(filters.limit);
+    limit = `LIMIT $${values.length}`;
+  }
+  const result = await query(`SELECT * FROM refunds ${where} ORDER BY created_at DESC ${limit}`, values);
+  return result.rows;
+}
+
+/**
+ * Create or update the refund row for a provider refund
+ * (refunds_provider_refund_idx makes this one statement). The fields must
+ * be enough for a new row (amount, reason_code...): Postgres checks the
+ * insert before it finds the conflict; use update() for a known row.
+ */
+async function upsertByProviderRefund(provider, providerRefundId, fields) {
+  const entries = pickColumns(fields, COLUMNS);
+  const names = ['id', 'provider', 'provider_refund_id', ...entries.map(([key]) => key)];
+  const values = [crypto.randomUUID(), provider, providerRefundId, ...entries.map(serialize)];
+  const placeholders = values.map((_, idx) => `$${idx + 1}`);
+  const updates = entries
+    .map(([key]) => `${key} = EXCLUDED.${key}`)
+    .concat('updated_at = NOW()');
+  const result = await query(
+    `INSERT INTO refunds (${names.join(', ')}) VALUES (${placeholders.join(', ')})
+     ON CONFLICT (provider, provider_refund_id) DO UPDATE SET ${updates.join(', ')}
+     RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+/**
+ * Move a refund to succeeded, once
+ * @returns {Promise<Object|null>} The refund, or null when it had already succeeded
+ */
+async function markSucceeded(id, fields = {}) {
+  const entries = pickColumns(fields, COLUMNS.filter(c => !['status', 'succeeded_at'].includes(c)));
+  const sets = entries.map(([key], idx) => `${key} = $${idx + 1}`)
+    .concat("status = 'succeeded'", 'succeeded_at = NOW()');
+  const values = entries.map(serialize);
+  values.push(id);
+  const result = await query(
+    `UPDATE refunds SET ${sets.join(', ')}
+     WHERE id = $${values.length} AND status <> 'succeeded'
+     RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+async function update(id, fields) {
+  const statement = buildUpdate('refunds', id, fields, { columns: COLUMNS, jsonColumns: JSON_COLUMNS });
+  if (!statement) return findById(id);
+  const result = await query(statement.text, statement.values);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findById,
+  findByProviderRefund,
+  list,
+  upsertByProviderRefund,
+  markSucceeded,
+  update
+};
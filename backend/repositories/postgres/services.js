@@ -0,0 +1,37 @@
+/**
+ * Service Catalog Repository – PostgreSQL implementation
+ * (service_categories and service_types)
+ */
+
+const { query } = require('../../db/pool');
+
+async function listCategories() {
+  const result = await query('SELECT * FROM service_categories WHERE is_active IS NOT FALSE ORDER BY sort_order, id');
+  return result.rows;
+}
+
+/**
+ * @param {Object} [filters] - { categoryId }
+ */
+async function listTypes(filters = {}) {
+  if (filters.categoryId) {
+    const result = await query(
+      'SELECT * FROM service_types WHERE category_id = $1 AND is_active IS NOT FALSE ORDER BY sort_order, id',
+      [parseInt(filters.categoryId, 10)]
+    );
+    return result.rows;
+  }
+  const result = await query('SELECT * FROM service_types WHERE is_active IS NOT FALSE ORDER BY sort_order, id');
+  return result.rows;
+}
+
+async function findType(id) {
+  const result = await query('SELECT * FROM service_types WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  listCategories,
+  listTypes,
+  findType
+};
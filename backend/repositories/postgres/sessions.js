@@ -0,0 +1,121 @@
+/**
+ * Sessions Repository – PostgreSQL implementation
+ */
+
+const { query } = require('../../db/pool');
+const { buildInsert } = require('./helpers');
+
+const COLUMNS = [
+  'id',
+  'family_id',
+  'user_id',
+  'user_role',
+  'refresh_token_hash',
+  'authenticated_at',
+  'created_at',
+  'expires_at',
+  'revoked_at',
+  'ip',
+  'user_agent'
+];
+
+async function create(session) {
+  const { text, values } = buildInsert('sessions', { family_id: session.id, ...session }, { columns: COLUMNS });
+  const result = await query(text, values);
+  return result.rows[0];
+}
+
+async function findById(id) {
+  const result = await query('SELECT * FROM sessions WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findByRefreshHash(hash) {
+  const result = await query('SELECT * FROM sessions WHERE refresh_token_hash = $1', [hash]);
+  return result.rows[0] || null;
+}
+
+async function list() {
+  const result = await query('SELECT * FROM sessions ORDER BY created_at DESC');
+  return result.rows;
+}
+
+async function listActiveForUser(userId) {
+  const result = await query(
+    `SELECT * FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Retire a live session in favour of `replacedBy`; null if it was already
+ * rotated or revoked (the caller treats that as refresh token reuse)
+ */
+async function rotate(id, replacedBy, rotatedAt = new Date()) {
+  const result = await query(
+    `UPDATE sessions
+     SET rotated_at = $1, replaced_by = $2, revoked_at = $1, revoked_reason = 'rotated'
+     WHERE id = $3 AND rotated_at IS NULL AND revoked_at IS NULL
+     RETURNING *`,
+    [rotatedAt, replacedBy, id]
+  );
+  return result.rows[0] || null;
+}
+
+async function revoke(id, revokedAt = new Date(), reason = 'revoked') {
+  const result = await query(
+    'UPDATE sessions SET revoked_at = $1, revoked_reason = $2 WHERE id = $3 RETURNING *',
+    [revokedAt, reason, id]
+  );
+  return result.rows[0] || null;
+}
+
+async function revokeFamily(familyId, revokedAt = new Date(), reason = 'revoked') {
+  const result = await query(
+    'UPDATE sessions SET revoked_at = $1, revoked_reason = $2 WHERE family_id = $3 AND revoked_at IS NULL RETURNING *',
+    [revokedAt, reason, familyId]
+  );
+  return result.rows;
+}
+
+async function revokeForUser(userId, revokedAt = new Date(), reason = 'revoked') {
+  const result = await query(
+    'UPDATE sessions SET revoked_at = $1, revoked_reason = $2 WHERE user_id = $3 AND revoked_at IS NULL RETURNING *',
+    [revokedAt, reason, userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Delete expired sessions and revoked ones whose whole family has ended.
+ * Rotated rows of a live family are kept so a replayed refresh token is
+ * still recognised as reuse.
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function purgeInactive() {
+  const result = await query(
+    `DELETE FROM sessions s
+     WHERE s.expires_at < NOW()
+        OR (s.revoked_at IS NOT NULL AND NOT EXISTS (
+          SELECT 1 FROM sessions live
+          WHERE live.family_id = s.family_id AND live.revoked_at IS NULL AND live.expires_at > NOW()
+        ))`
+  );
+  return result.rowCount || 0;
+}
+
+module.exports = {
+  create,
+  findById,
+  findByRefreshHash,
+  list,
+  listActiveForUser,
+  rotate,
+  revoke,
+  revokeFamily,
+  revokeForUser,
+  purgeInactive
+};
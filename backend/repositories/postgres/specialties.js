@@ -0,0 +1,79 @@
+/**
+ * Contractor Specialties Repository – PostgreSQL implementation
+ */
+
+const { pool, query } = require('../../db/pool');
+
+async function listForContractor(contractorId) {
+  const result = await query(
+    'SELECT service_type_id FROM contractor_specialties WHERE contractor_id = $1 ORDER BY service_type_id',
+    [contractorId]
+  );
+  return result.rows.map(row => row.service_type_id);
+}
+
+/**
+ * Contractors qualified for a service type: [{ contractor_id, is_verified }]
+ */
+async function listForServiceType(serviceTypeId) {
+  const result = await query(
+    'SELECT contractor_id, is_verified FROM contractor_specialties WHERE service_type_id = $1',
+    [serviceTypeId]
+  );
+  return result.rows;
+}
+
+/**
+ * Replace a contractor's specialties in a single transaction
+ * @param {string} contractorId - Contractor ID
+ * @param {number[]} serviceTypeIds - New specialty list
+ * @returns {Promise<number[]>}
+ */
+async function replaceForContractor(contractorId, serviceTypeIds) {
+  const ids = Array.from(new Set((serviceTypeIds || []).filter(id => id !== null && id !== undefined)));
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM contractor_specialties WHERE contractor_id = $1', [contractorId]);
+    if (ids.length > 0) {
+      await client.query(
+        'INSERT INTO contractor_specialties (contractor_id, service_type_id, is_verified) SELECT $1, UNNEST($2::int[]), TRUE',
+        [contractorId, ids]
+      );
+    }
+    await client.query('COMMIT');
+    return ids;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function removeForContractor(contractorId) {
+  const result = await query('DELETE FROM contractor_specialties WHERE contractor_id = $1', [contractorId]);
+  return result.rowCount || 0;
+}
+
+/**
+ * Service types offered by at least one APPROVED_ACTIVE contractor
+ * @returns {Promise<Set<number>>}
+ */
+async function listQualifiedServiceTypeIds() {
+  const result = await query(
+    `SELECT DISTINCT cs.service_type_id
+       FROM contractor_specialties cs
+       JOIN contractors c ON c.id = cs.contractor_id
+      WHERE c.vetting_status = 'APPROVED_ACTIVE'`
+  );
+  return new Set(result.rows.map(row => row.service_type_id));
+}
+
+module.exports = {
+  listForContractor,
+  listForServiceType,
+  replaceForContractor,
+  removeForContractor,
+  listQualifiedServiceTypeIds
+};
@@ -1,6 +1,34 @@
 const express = require('express');
-const crypto = require('crypto');
-const { pool } = require('../mock-db');
+const {
+  jobs: jobsRepo,
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  payments: paymentsRepo,
+  paymentEvents: paymentEventsRepo,
+  refunds: refundsRepo,
+  payoutAdjustments: payoutAdjustmentsRepo,
+  ledger: ledgerRepo,
+  payoutBatches: payoutBatchesRepo,
+  documents: documentsRepo,
+  jobEvents: jobEventsRepo,
+  quotes: quotesRepo
+} = require('../repositories');
+const financials = require('../lib/financials');
+const { PaymentError, REFUND_REASONS, requestRefund } = require('../services/payments');
+const ledger = require('../services/ledger');
+const tax = require('../services/tax');
+const payouts = require('../services/payouts');
+const payoutScheduler = require('../services/payouts/scheduler');
+const documents = require('../services/documents');
+const changeOrders = require('../services/change-orders');
+const pricing = require('../services/pricing');
+const promotions = require('../services/promotions');
+const dispatch = require('../services/dispatch');
+const scheduling = require('../services/scheduling');
+const checkIns = require('../services/check-ins');
+const messages = require('../services/messages');
+const notifications = require('../services/notifications');
+const { readAuditEvents } = require('../storage/audit-store');
 
 const router = express.Router();
 
@@ -13,11 +41,13 @@ function isPaidStatus(status) {
   return ['paid', 'completed', 'success'].includes(status);
 }
 
+// Total of the payments in `statuses`, in dollars (added up in cents)
 function sumPayments(payments, statuses) {
   const allowed = new Set(statuses.map(s => s.toLowerCase()));
-  return payments
+  const cents = payments
     .filter(payment => allowed.has(String(payment.status || '').toLowerCase()))
-    .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0);
+    .reduce((sum, payment) => sum + (financials.toCents(payment.amount) || 0), 0);
+  return financials.toDollars(cents);
 }
 
 function buildJobStatusCounts(jobs) {
@@ -40,13 +70,9 @@ function buildJobStatusCounts(jobs) {
 
 router.get('/stats', async (req, res) => {
   try {
-    const customersResult = await pool.query('SELECT * FROM customers');
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const paymentsResult = await pool.query('SELECT * FROM payments');
-
-    const customers = customersResult.rows || [];
-    const jobs = jobsResult.rows || [];
-    const payments = paymentsResult.rows || [];
+    const customers = await customersRepo.list();
+    const jobs = await jobsRepo.list();
+    const payments = await paymentsRepo.list();
 
     const jobCounts = buildJobStatusCounts(jobs);
     const paymentCounts = {
@@ -64,7 +90,7 @@ router.get('/stats', async (req, res) => {
         jobs: jobCounts,
         payments: paymentCounts,
         revenue: {
-          total: Math.round(revenueTotal * 100) / 100
+          total: revenueTotal
         }
       }
     });
@@ -76,13 +102,9 @@ router.get('/stats', async (req, res) => {
 
 router.get('/customers', async (req, res) => {
   try {
-    const customersResult = await pool.query('SELECT * FROM customers');
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const paymentsResult = await pool.query('SELECT * FROM payments');
-
-    const customers = customersResult.rows || [];
-    const jobs = jobsResult.rows || [];
-    const payments = paymentsResult.rows || [];
+    const customers = await customersRepo.list();
+    const jobs = await jobsRepo.list();
+    const payments = await paymentsRepo.list();
 
     const payload = customers.map(customer => {
       const customerJobs = jobs.filter(job => String(job.customer_id) === String(customer.id));
@@ -101,7 +123,7 @@ router.get('/customers', async (req, res) => {
           jobs_completed: completedJobs.length,
           payments_total: customerPayments.length,
           payments_completed: customerPayments.filter(payment => isPaidStatus(normalizeStatus(payment.status))).length,
-          revenue_total: Math.round(completedPaymentsTotal * 100) / 100
+          revenue_total: completedPaymentsTotal
         }
       };
     });
@@ -116,13 +138,9 @@ router.get('/customers', async (req, res) => {
 router.get('/customers/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const customersResult = await pool.query('SELECT * FROM customers');
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const paymentsResult = await pool.query('SELECT * FROM payments');
-
-    const customers = customersResult.rows || [];
-    const jobs = jobsResult.rows || [];
-    const payments = paymentsResult.rows || [];
+    const customers = await customersRepo.list();
+    const jobs = await jobsRepo.list();
+    const payments = await paymentsRepo.list();
 
     const customer = customers.find(row => String(row.id) === String(id));
     if (!customer) {
@@ -142,7 +160,7 @@ router.get('/customers/:id', async (req, res) => {
         jobs_completed: customerJobs.filter(job => String(job.status || '').toLowerCase() === 'completed').length,
         payments_total: customerPayments.length,
         payments_completed: customerPayments.filter(payment => isPaidStatus(normalizeStatus(payment.status))).length,
-        revenue_total: Math.round(completedPaymentsTotal * 100) / 100
+        revenue_total: completedPaymentsTotal
       }
     });
   } catch (error) {
@@ -153,14 +171,42 @@ router.get('/customers/:id', async (req, res) => {
 
 router.get('/jobs', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM jobs');
-    res.json({ jobs: result.rows || [] });
+    const jobs = await jobsRepo.list();
+    res.json({ jobs });
   } catch (error) {
     console.error('Admin jobs error:', error);
     res.status(500).json({ error: 'Failed to fetch jobs' });
   }
 });
 
+// One job with its status history, quotes, change orders, promo code and audit trail
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const [events, quotes, changeOrderSummary, promo, auditEvents] = await Promise.all([
+      jobEventsRepo.listForJob(job.id),
+      quotesRepo.list({ jobId: job.id }),
+      changeOrders.summary(job.id),
+      promotions.jobPromo(job.id),
+      readAuditEvents({ entity_type: 'job', entity_id: job.id, limit: 200 })
+    ]);
+    res.json({
+      job,
+      events,
+      quotes,
+      ...changeOrderSummary,
+      promo,
+      audit_events: auditEvents
+    });
+  } catch (error) {
+    console.error('Admin job detail error:', error);
+    res.status(500).json({ error: 'Failed to fetch job details' });
+  }
+});
+
 router.patch('/jobs/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -172,31 +218,25 @@ router.patch('/jobs/:id', async (req, res) => {
       'service_category_id',
       'service_type_id',
       'contractor_id',
-      'assignedContractorId',
       'payment_status',
       'payout_status',
       'address_id',
       'customer_id'
     ];
 
-    const updates = Object.entries(req.body || {})
-      .filter(([key, value]) => allowedFields.includes(key) && value !== undefined);
+    const updates = Object.fromEntries(Object.entries(req.body || {})
+      .filter(([key, value]) => allowedFields.includes(key) && value !== undefined));
 
-    if (updates.length === 0) {
+    if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
-    const setClauses = updates.map(([key], index) => `${key} = $${index + 1}`);
-    const values = updates.map(([, value]) => value);
-    values.push(id);
-
-    const sql = `UPDATE jobs SET ${setClauses.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING * -- admin_update`;
-    const result = await pool.query(sql, values);
-    const job = result.rows[0];
+    const job = await jobsRepo.update(id, updates);
 
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
+    await ledger.recordJobPaidOutside(job, { actor: req.actor });
 
     res.json({ job });
   } catch (error) {
@@ -205,121 +245,109 @@ router.patch('/jobs/:id', async (req, res) => {
   }
 });
 
+// Payment rows are written from verified provider webhooks only (services/payments)
 router.get('/payments', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM payments');
-    res.json({ payments: result.rows || [] });
+    const payments = await paymentsRepo.list();
+    res.json({ payments });
   } catch (error) {
     console.error('Admin payments error:', error);
     res.status(500).json({ error: 'Failed to fetch payments' });
   }
 });
 
-router.post('/payments', async (req, res) => {
+// Webhook events received from the payment provider, newest first
+router.get('/payments/events', async (req, res) => {
   try {
-    const {
-      customer_id,
-      job_id,
-      amount,
-      currency,
-      status,
-      payment_method,
-      transaction_id,
-      notes
-    } = req.body || {};
-
-    if (!customer_id || amount === undefined || amount === null) {
-      return res.status(400).json({ error: 'customer_id and amount are required' });
-    }
-
-    const normalizedStatus = normalizeStatus(status, 'pending');
-    const paidAt = isPaidStatus(normalizedStatus) ? new Date().toISOString() : null;
-    const paymentId = crypto.randomUUID();
-
-    const result = await pool.query(
-      'INSERT INTO payments (id, customer_id, job_id, amount, currency, status, payment_method, transaction_id, notes, paid_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
-      [
-        paymentId,
-        customer_id,
-        job_id || null,
-        Number(amount),
-        currency || 'USD',
-        normalizedStatus,
-        payment_method || null,
-        transaction_id || null,
-        notes || null,
-        paidAt
-      ]
-    );
-
-    res.status(201).json({ payment: result.rows[0] });
+    const { type, limit } = req.query;
+    const events = await paymentEventsRepo.list({
+      type: type || undefined,
+      limit: Math.min(Number(limit) || 100, 500)
+    });
+    res.json({ events });
   } catch (error) {
-    console.error('Admin payment create error:', error);
-    res.status(500).json({ error: 'Failed to create payment' });
+    console.error('Admin payment events error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment events' });
   }
 });
 
-router.patch('/payments/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const allowedFields = [
-      'customer_id',
-      'job_id',
-      'amount',
-      'currency',
-      'status',
-      'payment_method',
-      'transaction_id',
-      'notes'
-    ];
-
-    const updates = Object.entries(req.body || {})
-      .filter(([key, value]) => allowedFields.includes(key) && value !== undefined);
-
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No valid fields to update' });
-    }
-
-    const statusEntry = updates.find(([key]) => key === 'status');
-    if (statusEntry) {
-      const normalizedStatus = normalizeStatus(statusEntry[1], 'pending');
-      statusEntry[1] = normalizedStatus;
-      if (isPaidStatus(normalizedStatus)) {
-        updates.push(['paid_at', new Date().toISOString()]);
-      }
-    }
-
-    const setClauses = updates.map(([key], index) => `${key} = $${index + 1}`);
-    const values = updates.map(([, value]) => value);
-    values.push(id);
-
-    const sql = `UPDATE payments SET ${setClauses.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING * -- admin_payment_update`;
-    const result = await pool.query(sql, values);
-    const payment = result.rows[0];
+function refundReasonList() {
+  return Object.entries(REFUND_REASONS).map(([code, { label }]) => ({ code, label }));
+}
 
+// Refunds of one payment, with what is left to refund
+router.get('/payments/:id/refunds', async (req, res) => {
+  try {
+    const payment = await paymentsRepo.findById(req.params.id);
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
-
-    res.json({ payment });
+    const refunds = await refundsRepo.list({ paymentId: payment.id });
+    const pendingCents = financials.sumAmountCents(refunds.filter(r => r.status === 'pending'), 'amount');
+    const remainingCents = (financials.toCents(payment.amount) || 0)
+      - (financials.toCents(payment.amount_refunded) || 0)
+      - pendingCents;
+    res.json({
+      payment,
+      refunds,
+      refundable_amount: financials.toDollars(Math.max(0, remainingCents)),
+      reasons: refundReasonList()
+    });
   } catch (error) {
-    console.error('Admin payment update error:', error);
-    res.status(500).json({ error: 'Failed to update payment' });
+    console.error('Admin payment refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
   }
 });
 
-router.delete('/payments/:id', async (req, res) => {
+// Refund (part of) a payment; the refund settles when the provider's event arrives
+router.post('/payments/:id/refunds', async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM payments WHERE id = $1 RETURNING *', [id]);
-    const payment = result.rows[0];
-    if (!payment) {
-      return res.status(404).json({ error: 'Payment not found' });
+    const { amount, reason_code, note } = req.body || {};
+    const refund = await requestRefund({
+      paymentId: req.params.id,
+      amount,
+      reasonCode: reason_code,
+      note,
+      actor: req.actor
+    });
+    res.status(202).json({ refund });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    res.json({ success: true, payment });
+    console.error('Admin refund error:', error);
+    res.status(500).json({ error: 'Failed to refund payment' });
+  }
+});
+
+// All refunds, newest first
+router.get('/refunds', async (req, res) => {
+  try {
+    const { status, job_id, limit } = req.query;
+    const refunds = await refundsRepo.list({
+      status: status || undefined,
+      jobId: job_id || undefined,
+      limit: Math.min(Number(limit) || 200, 500)
+    });
+    res.json({ refunds, reasons: refundReasonList() });
+  } catch (error) {
+    console.error('Admin refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// Clawbacks and other adjustments to contractor payouts
+router.get('/payout-adjustments', async (req, res) => {
+  try {
+    const { contractor_id, status } = req.query;
+    const adjustments = await payoutAdjustmentsRepo.list({
+      contractorId: contractor_id || undefined,
+      status: status || undefined
+    });
+    res.json({ adjustments, currency: financials.CURRENCY });
   } catch (error) {
-    console.error('Admin payment delete error:', error);
-    res.status(500).json({ error: 'Failed to delete payment' });
+    console.error('Admin payout adjustments error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout adjustments' });
   }
 });
 
@@ -327,13 +355,6 @@ router.delete('/payments/:id', async (req, res) => {
 // REVENUE & PAYOUTS ENDPOINTS
 // ============================================================================
 
-function toNumber(value) {
-  if (value === null || value === undefined) return null;
-  if (typeof value === 'number') return value;
-  const parsed = Number(String(value).replace(/[^0-9.-]/g, ''));
-  return Number.isNaN(parsed) ? null : parsed;
-}
-
 function parseMonthParam(monthParam) {
   if (!monthParam) return null;
   const match = String(monthParam).match(/^(\d{4})-(\d{2})$/);
@@ -349,103 +370,37 @@ function getMonthRange(monthParam) {
   return { start, end };
 }
 
-const CONTRACTOR_TIERS = {
-  bronze: { platformFee: 0.20 },
-  silver: { platformFee: 0.15 },
-  gold: { platformFee: 0.10 }
-};
-
-function getTierRate(tierKey) {
-  const key = String(tierKey || 'bronze').toLowerCase();
-  return (CONTRACTOR_TIERS[key] || CONTRACTOR_TIERS.bronze).platformFee;
-}
-
-function attachContractorTier(jobs, contractors = []) {
-  if (!Array.isArray(jobs) || jobs.length === 0) return jobs;
-  const tierById = new Map(
-    (contractors || []).map(contractor => [
-      contractor.id,
-      contractor.contractor_tier || contractor.contractorTier || 'bronze'
-    ])
-  );
-  return jobs.map(job => {
-    if (!job) return job;
-    if (job.contractor_tier || job.contractorTier) return job;
-    const tier = tierById.get(job.contractor_id);
-    if (!tier) return job;
-    return { ...job, contractor_tier: tier };
-  });
-}
-
-function computeFinancials(job) {
-  const completionPayment = job?.completion_report?.payment || {};
-  const completionReport = job?.completion_report || {};
-  const finalPrice = toNumber(completionPayment.final_price)
-    ?? toNumber(job.final_price)
-    ?? toNumber(job.estimate?.max)
-    ?? toNumber(job.estimate?.min)
-    ?? null;
-  if (finalPrice === null) {
-    return {
-      final_price: null,
-      material_fees: null,
-      platform_fee: null,
-      contractor_payout: null,
-      net_platform_revenue: null
-    };
-  }
-
-  const materialFees = toNumber(job.material_fees)
-    ?? toNumber(completionPayment.materials_cost)
-    ?? toNumber(completionReport.material_costs)
-    ?? 0;
-  const netAmount = Math.max(0, finalPrice - materialFees);
-  const tierRate = getTierRate(job.contractor_tier || job.contractorTier);
-  const platformFee = netAmount * tierRate;
-  const contractorPayout = netAmount - platformFee;
-  const netPlatformRevenue = platformFee;
-
-  return {
-    final_price: Math.round(finalPrice * 100) / 100,
-    material_fees: Math.round(materialFees * 100) / 100,
-    platform_fee: Math.round(platformFee * 100) / 100,
-    contractor_payout: Math.round(contractorPayout * 100) / 100,
-    net_platform_revenue: Math.round(netPlatformRevenue * 100) / 100
-  };
-}
-
 // Admin - Revenue MTD summary
 router.get('/revenue/mtd', async (req, res) => {
   try {
     const { month } = req.query;
     const { start, end } = getMonthRange(month);
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobs = attachContractorTier(jobsResult.rows || [], contractorsResult.rows || []);
+    const contractors = await contractorsRepo.list();
+    const jobs = financials.attachContractorTier(await jobsRepo.list(), contractors);
     const completedJobs = jobs.filter(job => {
       if (job.status !== 'completed') return false;
       const completedAt = new Date(job.completed_at || job.updated_at || job.created_at);
       return completedAt >= start && completedAt <= end;
     });
 
-    let gross = 0;
-    let platformFees = 0;
-    let contractorPayouts = 0;
-    completedJobs.forEach(job => {
-      const financials = computeFinancials(job);
-      if (financials.final_price != null) {
-        gross += financials.final_price;
-        platformFees += financials.platform_fee || 0;
-        contractorPayouts += financials.contractor_payout || 0;
-      }
-    });
+    const amounts = completedJobs.map(job => financials.jobFinancials(job));
+    const total = field => financials.toDollars(financials.sumCents(amounts, field));
+    const salesTaxCents = completedJobs.reduce((sum, job) => {
+      const { taxCents, refundedTaxCents } = tax.jobTaxCents(job);
+      return sum + taxCents - refundedTaxCents;
+    }, 0);
 
     res.json({
       month: month || `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`,
-      gross_revenue: Math.round(gross * 100) / 100,
-      platform_fees: Math.round(platformFees * 100) / 100,
-      contractor_payouts: Math.round(contractorPayouts * 100) / 100,
-      net_platform_revenue: Math.round(platformFees * 100) / 100,
+      currency: financials.CURRENCY,
+      gross_revenue: total('final_price'),
+      material_fees: total('material_fees'),
+      stripe_fees: total('stripe_fee'),
+      platform_fees: total('platform_fee'),
+      refunds: total('refunded'),
+      contractor_payouts: total('contractor_payout'),
+      net_platform_revenue: total('net_platform_revenue'),
+      sales_tax: financials.toDollars(salesTaxCents),
       completed_jobs: completedJobs.length
     });
   } catch (error) {
@@ -459,9 +414,8 @@ router.get('/revenue/jobs', async (req, res) => {
   try {
     const { month } = req.query;
     const { start, end } = getMonthRange(month);
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobs = attachContractorTier(jobsResult.rows || [], contractorsResult.rows || []);
+    const contractors = await contractorsRepo.list();
+    const jobs = financials.attachContractorTier(await jobsRepo.list(), contractors);
     const completedJobs = jobs.filter(job => {
       if (job.status !== 'completed') return false;
       const completedAt = new Date(job.completed_at || job.updated_at || job.created_at);
@@ -469,21 +423,28 @@ router.get('/revenue/jobs', async (req, res) => {
     });
 
     const payload = completedJobs.map(job => {
-      const financials = computeFinancials(job);
+      const amounts = financials.jobFinancials(job);
+      const { taxCents, refundedTaxCents } = tax.jobTaxCents(job);
       return {
         job_id: job.id,
         city: job.city || '—',
         category: job.category_name || job.category || '—',
-        final_price: financials.final_price,
-        material_fees: financials.material_fees ?? job.material_fees ?? 0,
+        currency: amounts.currency,
+        final_price: amounts.final_price,
+        material_fees: amounts.material_fees ?? 0,
+        refunded: amounts.refunded ?? 0,
+        stripe_fee: amounts.stripe_fee,
+        province: job.sales_tax?.province || job.province || null,
+        sales_tax: financials.toDollars(taxCents - refundedTaxCents),
+        tax_lines: job.sales_tax?.lines || [],
         completed_at: job.completed_at || job.updated_at || job.created_at,
         payment_status: job.payment_status || (job.status === 'completed' ? 'paid' : 'unpaid'),
         payout_status: job.payout_status || 'not_ready',
         contractor_id: job.contractor_id || null,
         contractor_name: job.contractor_name || null,
-        contractor_tier: job.contractor_tier || job.contractorTier || 'bronze',
-        platform_fee: financials.platform_fee,
-        contractor_payout: financials.contractor_payout
+        contractor_tier: amounts.contractor_tier,
+        platform_fee: amounts.platform_fee,
+        contractor_payout: amounts.contractor_payout
       };
     });
 
@@ -494,27 +455,128 @@ router.get('/revenue/jobs', async (req, res) => {
   }
 });
 
+// Net platform revenue (or another per-job amount) of the jobs in `revenueByJob`,
+// grouped by `key(job)` under `label`
+function revenueBreakdown(jobs, revenueByJob, label, key, field = 'revenue') {
+  const groups = new Map();
+  jobs.forEach(job => {
+    if (!revenueByJob.has(String(job.id))) return;
+    const name = key(job) || '—';
+    const group = groups.get(name) || { cents: 0, jobs: 0 };
+    group.cents += revenueByJob.get(String(job.id));
+    group.jobs += 1;
+    groups.set(name, group);
+  });
+  return [...groups.entries()]
+    .map(([name, group]) => ({ [label]: name, [field]: financials.toDollars(group.cents), jobs: group.jobs }))
+    .sort((a, b) => b[field] - a[field]);
+}
+
+function sumMap(map) {
+  return [...map.values()].reduce((sum, cents) => sum + cents, 0);
+}
+
+// Sales tax collected in the range, by tax code, from the jobs' tax snapshots
+function salesTaxByCode(jobs, taxByJob) {
+  const codes = new Map();
+  jobs.forEach(job => {
+    if (!taxByJob.has(String(job.id)) || !job.sales_tax) return;
+    const { taxCents, refundedTaxCents } = tax.jobTaxCents(job);
+    (job.sales_tax.lines || []).forEach(line => {
+      const lineCents = financials.toCents(line.amount) || 0;
+      // Refunded tax comes back from each line in proportion
+      const netCents = taxCents ? Math.round(lineCents * (taxCents - refundedTaxCents) / taxCents) : 0;
+      const entry = codes.get(line.code) || { code: line.code, label: line.label, cents: 0 };
+      entry.cents += netCents;
+      codes.set(line.code, entry);
+    });
+  });
+  return [...codes.values()]
+    .map(entry => ({ code: entry.code, label: entry.label, sales_tax: financials.toDollars(entry.cents) }))
+    .sort((a, b) => b.sales_tax - a.sales_tax);
+}
+
+// Admin - Revenue dashboard (net platform revenue from the ledger)
+router.get('/revenue/dashboard', async (req, res) => {
+  try {
+    const range = req.query.range === 'ytd' ? 'ytd' : 'mtd';
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const yearStart = new Date(now.getFullYear(), 0, 1);
+    const trendStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 29);
+
+    const mtdByJob = await ledger.netRevenueBy({ from: monthStart }, 'job_id');
+    const ytdByJob = await ledger.netRevenueBy({ from: yearStart }, 'job_id');
+    const byDay = await ledger.netRevenueBy({ from: trendStart }, 'day');
+    const taxMtdByJob = await ledger.salesTaxBy({ from: monthStart }, 'job_id');
+    const taxYtdByJob = await ledger.salesTaxBy({ from: yearStart }, 'job_id');
+    const discountMtdByJob = await ledger.discountCostBy({ from: monthStart }, 'job_id');
+    const discountYtdByJob = await ledger.discountCostBy({ from: yearStart }, 'job_id');
+    const owed = await ledger.contractorBalances();
+    const jobs = await jobsRepo.list();
+    const completedAt = job => new Date(job.completed_at || job.updated_at || job.created_at);
+    const completed = jobs.filter(job => job.status === 'completed');
+    const rangeByJob = range === 'ytd' ? ytdByJob : mtdByJob;
+    const rangeTaxByJob = range === 'ytd' ? taxYtdByJob : taxMtdByJob;
+
+    const dailyTrend = Array.from({ length: 30 }, (_, i) => {
+      const day = new Date(trendStart.getFullYear(), trendStart.getMonth(), trendStart.getDate() + i);
+      const date = day.toISOString().split('T')[0];
+      return {
+        date,
+        revenue: financials.toDollars(byDay.get(date) || 0),
+        jobs: completed.filter(job => completedAt(job).toISOString().split('T')[0] === date).length
+      };
+    });
+
+    res.json({
+      range,
+      currency: financials.CURRENCY,
+      mtd_revenue: financials.toDollars(sumMap(mtdByJob)),
+      ytd_revenue: financials.toDollars(sumMap(ytdByJob)),
+      sales_tax_mtd: financials.toDollars(sumMap(taxMtdByJob)),
+      sales_tax_ytd: financials.toDollars(sumMap(taxYtdByJob)),
+      // Promo discounts and credit given, paid by the platform on top of net revenue
+      discount_cost_mtd: financials.toDollars(sumMap(discountMtdByJob)),
+      discount_cost_ytd: financials.toDollars(sumMap(discountYtdByJob)),
+      pending_payouts: financials.toDollars(owed.reduce((sum, row) => sum + Math.max(0, financials.toCents(row.total) || 0), 0)),
+      completed_jobs_mtd: completed.filter(job => completedAt(job) >= monthStart).length,
+      by_city: revenueBreakdown(jobs, rangeByJob, 'city', job => job.city),
+      by_service: revenueBreakdown(jobs, rangeByJob, 'service', job => job.category_name || job.category),
+      sales_tax_by_province: revenueBreakdown(jobs, rangeTaxByJob, 'province',
+        job => job.sales_tax?.province || tax.normalizeProvince(job.province), 'sales_tax'),
+      sales_tax_by_code: salesTaxByCode(jobs, rangeTaxByJob),
+      daily_trend: dailyTrend
+    });
+  } catch (error) {
+    console.error('Revenue dashboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch revenue data' });
+  }
+});
+
 // Admin - Payouts pending
 router.get('/payouts/pending', async (req, res) => {
   try {
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobs = attachContractorTier(jobsResult.rows || [], contractorsResult.rows || []);
+    const contractors = await contractorsRepo.list();
+    const jobs = financials.attachContractorTier(await jobsRepo.list(), contractors);
     const readyJobs = jobs.filter(job => job.status === 'completed' && ['ready', 'processing'].includes(job.payout_status || 'not_ready'));
     const items = readyJobs.map(job => {
-      const financials = computeFinancials(job);
+      const amounts = financials.jobFinancials(job);
       return {
         job_id: job.id,
         contractor: job.contractor_name || 'Unassigned',
         city: job.city || '—',
         category: job.category_name || job.category || '—',
-        final_price: financials.final_price,
-        material_fees: financials.material_fees ?? job.material_fees ?? 0,
-        contractor_payout: financials.contractor_payout,
+        currency: amounts.currency,
+        final_price: amounts.final_price,
+        material_fees: amounts.material_fees ?? 0,
+        stripe_fee: amounts.stripe_fee,
+        platform_fee: amounts.platform_fee,
+        contractor_payout: amounts.contractor_payout,
         completed_at: job.completed_at || job.updated_at || job.created_at,
         payment_status: job.payment_status || 'paid',
         payout_status: job.payout_status || 'not_ready',
-        contractor_tier: job.contractor_tier || job.contractorTier || 'bronze'
+        contractor_tier: amounts.contractor_tier
       };
     });
 
@@ -528,24 +590,26 @@ router.get('/payouts/pending', async (req, res) => {
 // Admin - Payouts history
 router.get('/payouts/history', async (req, res) => {
   try {
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobs = attachContractorTier(jobsResult.rows || [], contractorsResult.rows || []);
+    const contractors = await contractorsRepo.list();
+    const jobs = financials.attachContractorTier(await jobsRepo.list(), contractors);
     const completedJobs = jobs.filter(job => job.status === 'completed');
     const items = completedJobs.map(job => {
-      const financials = computeFinancials(job);
+      const amounts = financials.jobFinancials(job);
       return {
         job_id: job.id,
         contractor: job.contractor_name || 'Unassigned',
         city: job.city || '—',
         category: job.category_name || job.category || '—',
-        final_price: financials.final_price,
-        material_fees: financials.material_fees ?? job.material_fees ?? 0,
-        contractor_payout: financials.contractor_payout,
+        currency: amounts.currency,
+        final_price: amounts.final_price,
+        material_fees: amounts.material_fees ?? 0,
+        stripe_fee: amounts.stripe_fee,
+        platform_fee: amounts.platform_fee,
+        contractor_payout: amounts.contractor_payout,
         completed_at: job.completed_at || job.updated_at || job.created_at,
         payment_status: job.payment_status || 'paid',
         payout_status: job.payout_status || 'not_ready',
-        contractor_tier: job.contractor_tier || job.contractorTier || 'bronze'
+        contractor_tier: amounts.contractor_tier
       };
     });
 
@@ -556,4 +620,704 @@ router.get('/payouts/history', async (req, res) => {
   }
 });
 
+// ============================================================================
+// LEDGER ENDPOINTS
+// ============================================================================
+
+/**
+ * { from, to } from ?month=YYYY-MM or ?from=&to= (to exclusive)
+ * @returns {Object|null} null when a date does not parse
+ */
+function periodFromQuery(query) {
+  if (query.month) {
+    const start = parseMonthParam(query.month);
+    if (!start) return null;
+    return { from: start, to: new Date(start.getFullYear(), start.getMonth() + 1, 1) };
+  }
+  const period = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) return null;
+    period[key] = date;
+  }
+  return period;
+}
+
+// Account balances for a period, with each contractor's payable and materials
+router.get('/ledger/balances', async (req, res) => {
+  try {
+    const period = periodFromQuery(req.query);
+    if (!period) {
+      return res.status(400).json({ error: 'Invalid period' });
+    }
+    const contractorId = req.query.contractor_id || undefined;
+    const accounts = await ledger.balances({ ...period, contractorId });
+    const balanceOf = account => financials.toCents(accounts.find(a => a.account === account).balance) || 0;
+    res.json({
+      currency: financials.CURRENCY,
+      from: period.from || null,
+      to: period.to || null,
+      accounts,
+      net_platform_revenue: financials.toDollars(
+        balanceOf(ledger.ACCOUNTS.PLATFORM_REVENUE) - balanceOf(ledger.ACCOUNTS.PROCESSING_FEES)
+      ),
+      contractors: await ledger.contractorBalances({ ...period, contractorId })
+    });
+  } catch (error) {
+    console.error('Ledger balances error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger balances' });
+  }
+});
+
+// Ledger entries with their lines, newest first
+router.get('/ledger/entries', async (req, res) => {
+  try {
+    const period = periodFromQuery(req.query);
+    if (!period) {
+      return res.status(400).json({ error: 'Invalid period' });
+    }
+    const { job_id, contractor_id, type, limit } = req.query;
+    const entries = await ledgerRepo.listEntries({
+      ...period,
+      jobId: job_id || undefined,
+      contractorId: contractor_id || undefined,
+      entryType: type || undefined,
+      limit: Math.min(Number(limit) || 100, 500)
+    });
+    res.json({ entries, currency: financials.CURRENCY });
+  } catch (error) {
+    console.error('Ledger entries error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger entries' });
+  }
+});
+
+// One contractor's account: balances, what is owed per job, and recent entries
+router.get('/ledger/contractors/:id', async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    const period = periodFromQuery(req.query);
+    if (!period) {
+      return res.status(400).json({ error: 'Invalid period' });
+    }
+    const accounts = (await ledger.balances({ ...period, contractorId: contractor.id }))
+      .filter(account => [ledger.ACCOUNTS.CONTRACTOR_PAYABLE, ledger.ACCOUNTS.MATERIALS_REIMBURSEMENT].includes(account.account));
+    const owed = (await ledger.owedByJob({ contractorId: contractor.id })).get(String(contractor.id)) || new Map();
+    res.json({
+      contractor_id: contractor.id,
+      currency: financials.CURRENCY,
+      accounts,
+      owed: [...owed.entries()].map(([jobId, balance]) => ({
+        job_id: jobId || null,
+        payable: financials.toDollars(balance.payable),
+        materials: financials.toDollars(balance.materials)
+      })),
+      entries: await ledgerRepo.listEntries({ ...period, contractorId: contractor.id, limit: 100 })
+    });
+  } catch (error) {
+    console.error('Ledger contractor error:', error);
+    res.status(500).json({ error: 'Failed to fetch contractor ledger' });
+  }
+});
+
+// ============================================================================
+// PAYOUT BATCHES
+// ============================================================================
+
+function idList(value) {
+  return Array.isArray(value) && value.length ? value.map(String) : undefined;
+}
+
+// Send a PayoutError as its status, anything else as a 500
+function payoutFailure(res, error, label, message) {
+  if (error instanceof payouts.PayoutError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: message });
+}
+
+// Batches, newest first
+router.get('/payout-batches', async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const batches = await payoutBatchesRepo.list({
+      status: status || undefined,
+      limit: Math.min(Number(limit) || 50, 200)
+    });
+    res.json({ batches, provider: payouts.provider.name, schedules: payouts.PAYMENT_SCHEDULES });
+  } catch (error) {
+    console.error('Payout batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout batches' });
+  }
+});
+
+// Draft a batch from ready jobs (optionally one schedule, some contractors or some jobs)
+router.post('/payout-batches', async (req, res) => {
+  try {
+    const { payment_schedule, contractor_ids, job_ids, note } = req.body || {};
+    const batch = await payouts.draftBatch({
+      paymentSchedule: payment_schedule || undefined,
+      contractorIds: idList(contractor_ids),
+      jobIds: idList(job_ids),
+      note,
+      actor: req.actor
+    });
+    res.status(201).json({ batch });
+  } catch (error) {
+    payoutFailure(res, error, 'Draft payout batch', 'Failed to draft payout batch');
+  }
+});
+
+router.get('/payout-batches/:id', async (req, res) => {
+  try {
+    const batch = await payoutBatchesRepo.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Payout batch not found' });
+    }
+    res.json({ batch });
+  } catch (error) {
+    console.error('Payout batch error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout batch' });
+  }
+});
+
+// Approve a draft (a different admin from the one who drafted it)
+router.post('/payout-batches/:id/approve', async (req, res) => {
+  try {
+    const batch = await payouts.approveBatch(req.params.id, req.actor);
+    res.json({ batch });
+  } catch (error) {
+    payoutFailure(res, error, 'Approve payout batch', 'Failed to approve payout batch');
+  }
+});
+
+// Send an approved batch through the payout provider
+router.post('/payout-batches/:id/execute', async (req, res) => {
+  try {
+    const batch = await payouts.executeBatch(req.params.id, req.actor);
+    res.json({ batch });
+  } catch (error) {
+    payoutFailure(res, error, 'Execute payout batch', 'Failed to execute payout batch');
+  }
+});
+
+// Send failed lines again (all of them, or line_ids)
+router.post('/payout-batches/:id/retry', async (req, res) => {
+  try {
+    const batch = await payouts.retryFailedLines(req.params.id, {
+      lineIds: idList((req.body || {}).line_ids),
+      actor: req.actor
+    });
+    res.json({ batch });
+  } catch (error) {
+    payoutFailure(res, error, 'Retry payout batch', 'Failed to retry payout batch');
+  }
+});
+
+// Cancel the unsent lines; their jobs become ready again
+router.post('/payout-batches/:id/cancel', async (req, res) => {
+  try {
+    const batch = await payouts.cancelBatch(req.params.id, {
+      reason: (req.body || {}).reason,
+      actor: req.actor
+    });
+    res.json({ batch });
+  } catch (error) {
+    payoutFailure(res, error, 'Cancel payout batch', 'Failed to cancel payout batch');
+  }
+});
+
+// Upcoming payout dates and who is due on each (?from=&to= YYYY-MM-DD)
+router.get('/payouts/calendar', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(await payoutScheduler.calendar({ from: from || undefined, to: to || undefined }));
+  } catch (error) {
+    payoutFailure(res, error, 'Payout calendar', 'Failed to fetch payout calendar');
+  }
+});
+
+// Draft the batches that are due now instead of waiting for the scheduler's next tick
+router.post('/payouts/run-scheduled', async (req, res) => {
+  try {
+    const { batches, skipped } = await payoutScheduler.runDue({ actor: req.actor });
+    res.json({
+      batches: batches.map(({ id, payment_schedule, scheduled_for, line_count, total_amount }) => ({
+        id, payment_schedule, scheduled_for, line_count, total_amount
+      })),
+      skipped
+    });
+  } catch (error) {
+    payoutFailure(res, error, 'Scheduled payout run', 'Failed to run scheduled payouts');
+  }
+});
+
+// Provider transfers vs. ledger payout entries, line by line
+router.get('/payout-batches/:id/reconciliation', async (req, res) => {
+  try {
+    res.json(await payouts.reconcileBatch(req.params.id));
+  } catch (error) {
+    payoutFailure(res, error, 'Payout reconciliation', 'Failed to reconcile payout batch');
+  }
+});
+
+function documentFailure(res, error, label, message) {
+  if (error instanceof documents.DocumentError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: message });
+}
+
+// Invoices and payout statements, newest first (?kind=&job_id=&customer_id=&contractor_id=&limit=)
+router.get('/documents', async (req, res) => {
+  try {
+    const { kind, job_id, customer_id, contractor_id, limit } = req.query;
+    const list = await documentsRepo.list({
+      kind: kind || undefined,
+      jobId: job_id || undefined,
+      customerId: customer_id || undefined,
+      contractorId: contractor_id || undefined,
+      limit: Math.min(Number(limit) || 50, 200)
+    });
+    res.json({ documents: list.map(documents.serialize), kinds: Object.keys(documents.KINDS) });
+  } catch (error) {
+    console.error('Documents error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+router.get('/documents/:id', async (req, res) => {
+  try {
+    const document = await documentsRepo.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ document: { ...documents.serialize(document), data: document.data } });
+  } catch (error) {
+    console.error('Document error:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+router.get('/documents/:id/pdf', async (req, res) => {
+  try {
+    const { document } = await documents.getPdf(req.params.id);
+    documents.sendPdf(res, document);
+  } catch (error) {
+    documentFailure(res, error, 'Document download', 'Failed to download document');
+  }
+});
+
+// Email a document again (to its customer or contractor, or to `to`)
+router.post('/documents/:id/email', async (req, res) => {
+  try {
+    const to = (req.body || {}).to;
+    if (to !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(to))) {
+      return res.status(400).json({ error: 'to must be an email address' });
+    }
+    const document = await documents.emailDocument(req.params.id, { to, actor: req.actor });
+    res.json({ success: true, document: documents.serialize(document) });
+  } catch (error) {
+    documentFailure(res, error, 'Document email', 'Failed to email document');
+  }
+});
+
+// Issue a completed job's invoice (jobs completed before invoicing began)
+router.post('/jobs/:id/invoice', async (req, res) => {
+  try {
+    const invoice = await documents.issueInvoice(req.params.id, {
+      email: (req.body || {}).email !== false,
+      actor: req.actor
+    });
+    if (!invoice) {
+      return res.status(409).json({ error: 'The job has no price to invoice' });
+    }
+    res.status(201).json({ document: documents.serialize(invoice) });
+  } catch (error) {
+    documentFailure(res, error, 'Issue invoice', 'Failed to issue invoice');
+  }
+});
+
+// Issue a contractor's payout statement for a month that has ended ({ month: 'YYYY-MM' })
+router.post('/contractors/:id/statements', async (req, res) => {
+  try {
+    const { month, email } = req.body || {};
+    const statement = await documents.issueStatement(req.params.id, month, {
+      email: email !== false,
+      actor: req.actor
+    });
+    res.status(201).json({ document: documents.serialize(statement) });
+  } catch (error) {
+    documentFailure(res, error, 'Issue statement', 'Failed to issue statement');
+  }
+});
+
+// Send a PricingError as its status, anything else as a 500
+function pricingFailure(res, error, label, message) {
+  if (error instanceof pricing.PricingError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: message });
+}
+
+// Pricing versions, newest first (without their catalogues), and the one in force now
+router.get('/pricing/versions', async (req, res) => {
+  try {
+    res.json(await pricing.listVersions());
+  } catch (error) {
+    pricingFailure(res, error, 'Pricing versions', 'Failed to fetch pricing versions');
+  }
+});
+
+// The version in force at ?at= (default now), with its catalogue
+router.get('/pricing/current', async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'at must be a date and time' });
+    }
+    res.json({ version: await pricing.versionAt(at) });
+  } catch (error) {
+    pricingFailure(res, error, 'Current pricing', 'Failed to fetch pricing');
+  }
+});
+
+router.get('/pricing/versions/:id', async (req, res) => {
+  try {
+    res.json({ version: await pricing.getVersion(req.params.id) });
+  } catch (error) {
+    pricingFailure(res, error, 'Pricing version', 'Failed to fetch pricing version');
+  }
+});
+
+// Start a draft from a version ({ based_on, notes }; default the one in force)
+router.post('/pricing/versions', async (req, res) => {
+  try {
+    const { based_on, notes } = req.body || {};
+    const version = await pricing.createDraft({ based_on, notes }, req.actor);
+    res.status(201).json({ version });
+  } catch (error) {
+    pricingFailure(res, error, 'Create pricing version', 'Failed to create pricing version');
+  }
+});
+
+router.patch('/pricing/versions/:id', async (req, res) => {
+  try {
+    const { notes, services, globalRules } = req.body || {};
+    const version = await pricing.updateDraft(req.params.id, { notes, services, globalRules }, req.actor);
+    res.json({ version });
+  } catch (error) {
+    pricingFailure(res, error, 'Update pricing version', 'Failed to update pricing version');
+  }
+});
+
+router.delete('/pricing/versions/:id', async (req, res) => {
+  try {
+    await pricing.discardDraft(req.params.id, req.actor);
+    res.json({ success: true });
+  } catch (error) {
+    pricingFailure(res, error, 'Discard pricing version', 'Failed to discard pricing version');
+  }
+});
+
+// Estimates today vs with this version, for jobs or sample requests
+router.post('/pricing/versions/:id/simulate', async (req, res) => {
+  try {
+    const { job_ids, samples } = req.body || {};
+    res.json(await pricing.simulate(req.params.id, { job_ids: idList(job_ids), samples }));
+  } catch (error) {
+    pricingFailure(res, error, 'Simulate pricing', 'Failed to simulate pricing');
+  }
+});
+
+// Publish a draft from { effective_from } on (default now)
+router.post('/pricing/versions/:id/publish', async (req, res) => {
+  try {
+    const version = await pricing.publish(req.params.id, { effective_from: (req.body || {}).effective_from }, req.actor);
+    res.json({ version });
+  } catch (error) {
+    pricingFailure(res, error, 'Publish pricing version', 'Failed to publish pricing version');
+  }
+});
+
+// Send a PromotionError as its status, anything else as a 500
+function promotionFailure(res, error, label, message) {
+  if (error instanceof promotions.PromotionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: message });
+}
+
+// Promo codes, newest first (?active=true|false)
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    res.json({ promo_codes: await promotions.listPromoCodes({ active }) });
+  } catch (error) {
+    promotionFailure(res, error, 'Promo codes', 'Failed to fetch promo codes');
+  }
+});
+
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const promoCode = await promotions.createPromoCode(req.body || {}, req.actor);
+    res.status(201).json({ promo_code: promoCode });
+  } catch (error) {
+    promotionFailure(res, error, 'Create promo code', 'Failed to create promo code');
+  }
+});
+
+// A promo code with its redemptions and what it has given away
+router.get('/promo-codes/:id', async (req, res) => {
+  try {
+    res.json({ promo_code: await promotions.getPromoCode(req.params.id) });
+  } catch (error) {
+    promotionFailure(res, error, 'Promo code', 'Failed to fetch promo code');
+  }
+});
+
+// Limits, dates and active; the code, kind and value are fixed
+router.patch('/promo-codes/:id', async (req, res) => {
+  try {
+    const promoCode = await promotions.updatePromoCode(req.params.id, req.body || {}, req.actor);
+    res.json({ promo_code: promoCode });
+  } catch (error) {
+    promotionFailure(res, error, 'Update promo code', 'Failed to update promo code');
+  }
+});
+
+router.get('/customers/:id/credit', async (req, res) => {
+  try {
+    const customer = await customersRepo.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(await promotions.customerCredit(customer.id));
+  } catch (error) {
+    promotionFailure(res, error, 'Customer credit', 'Failed to fetch credit');
+  }
+});
+
+// Goodwill credit: { amount (dollars), reason }
+router.post('/customers/:id/credit', async (req, res) => {
+  try {
+    const { amount, reason } = req.body || {};
+    const credit = await promotions.grantCredit(req.params.id, { amount, reason }, req.actor);
+    res.status(201).json({ credit, ...(await promotions.customerCredit(req.params.id)) });
+  } catch (error) {
+    promotionFailure(res, error, 'Grant credit', 'Failed to grant credit');
+  }
+});
+
+// What promo codes and credit cost the platform, ?month=YYYY-MM or ?from=&to=
+router.get('/reports/discounts', async (req, res) => {
+  try {
+    const period = periodFromQuery(req.query);
+    if (!period) {
+      return res.status(400).json({ error: 'Invalid period' });
+    }
+    res.json(await promotions.discountReport(period));
+  } catch (error) {
+    promotionFailure(res, error, 'Discount report', 'Failed to build discount report');
+  }
+});
+
+// Send a DispatchError as its status, anything else as a 500
+function dispatchFailure(res, error, label, message) {
+  if (error instanceof dispatch.DispatchError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: message });
+}
+
+// A job's offers and how the contractors not offered it yet rank
+router.get('/jobs/:id/dispatch', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job, dispatch: await dispatch.jobDispatch(job) });
+  } catch (error) {
+    dispatchFailure(res, error, 'Job dispatch', 'Failed to fetch job dispatch');
+  }
+});
+
+// Start a job's dispatch over from the first wave
+router.post('/jobs/:id/dispatch', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!dispatch.isDispatchable(job)) {
+      return res.status(409).json({ error: 'Only open, unassigned jobs with a fixed price can be dispatched' });
+    }
+    const { job: dispatched } = await dispatch.start(job, req.actor);
+    res.json({ job: dispatched, dispatch: await dispatch.jobDispatch(dispatched) });
+  } catch (error) {
+    dispatchFailure(res, error, 'Restart dispatch', 'Failed to dispatch job');
+  }
+});
+
+// Jobs nobody took in time, oldest escalation first
+router.get('/dispatch/escalated', async (req, res) => {
+  try {
+    res.json({ jobs: await dispatch.escalatedJobs() });
+  } catch (error) {
+    dispatchFailure(res, error, 'Escalated jobs', 'Failed to fetch escalated jobs');
+  }
+});
+
+// Send a SchedulingError as its status, anything else as a 500
+function schedulingFailure(res, error, label, message) {
+  if (error instanceof scheduling.SchedulingError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: message });
+}
+
+router.get('/contractors/:id/availability', async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.json(await scheduling.getAvailability(contractor));
+  } catch (error) {
+    schedulingFailure(res, error, 'Contractor availability', 'Failed to fetch availability');
+  }
+});
+
+// Turn off a contractor's calendar feed (a leaked URL, say); they can make a new one
+router.delete('/contractors/:id/calendar-feed', async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.json(await scheduling.feed.revoke(contractor, req.actor));
+  } catch (error) {
+    schedulingFailure(res, error, 'Revoke calendar feed', 'Failed to revoke calendar feed');
+  }
+});
+
+// Book or move a job's appointment, past the customer's cutoff and move limit: { appointment_start }
+router.put('/jobs/:id/appointment', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: await scheduling.reschedule(job, req.body?.appointment_start, req.actor) });
+  } catch (error) {
+    schedulingFailure(res, error, 'Admin reschedule', 'Failed to change appointment');
+  }
+});
+
+router.delete('/jobs/:id/appointment', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: await scheduling.cancelAppointment(job, req.actor) });
+  } catch (error) {
+    schedulingFailure(res, error, 'Admin cancel appointment', 'Failed to cancel appointment');
+  }
+});
+
+router.get('/jobs/:id/appointment/slots', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(await scheduling.jobSlots(job));
+  } catch (error) {
+    schedulingFailure(res, error, 'Admin appointment slots', 'Failed to fetch appointment slots');
+  }
+});
+
+// The job's depart, arrive and leave check-ins with positions, oldest first
+router.get('/jobs/:id/check-ins', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ check_ins: await checkIns.listForJob(job.id, req.actor) });
+  } catch (error) {
+    console.error('Admin check-ins error:', error);
+    res.status(500).json({ error: 'Failed to fetch check-ins' });
+  }
+});
+
+// The job's message thread, for disputes; each read is audited, and nothing is marked read
+router.get('/jobs/:id/messages', async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(await messages.thread(job, req.actor));
+  } catch (error) {
+    console.error('Admin job messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// A contractor's arrival record and their latest check-ins (?limit=, default 50)
+router.get('/contractors/:id/punctuality', async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.params.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({
+      punctuality: checkIns.punctuality(contractor),
+      check_ins: await checkIns.recentForContractor(contractor.id, limit)
+    });
+  } catch (error) {
+    console.error('Contractor punctuality error:', error);
+    res.status(500).json({ error: 'Failed to fetch punctuality' });
+  }
+});
+
+// The notification delivery log (?status=&event_type=&channel=&user_role=&user_id=&limit=)
+router.get('/notifications/deliveries', async (req, res) => {
+  try {
+    res.json({ deliveries: await notifications.listDeliveries(req.query) });
+  } catch (error) {
+    if (error instanceof notifications.NotificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Notification deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification deliveries' });
+  }
+});
+
+// Send a failed delivery once more
+router.post('/notifications/deliveries/:id/retry', async (req, res) => {
+  try {
+    res.json({ delivery: await notifications.retryDelivery(req.params.id, req.actor) });
+  } catch (error) {
+    if (error instanceof notifications.NotificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Retry notification error:', error);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+});
+
 module.exports = router;
@@ -4,7 +4,7 @@ const { logEvent } = require('../services/audit-service');
 
 const router = express.Router();
 
-// TODO: protect admin-only access
+// Mounted behind requireAdmin (server.js)
 router.get('/', async (req, res) => {
   try {
     const { entity_type, entity_id, limit } = req.query;
@@ -0,0 +1,290 @@
+/**
+ * Session, recovery and verification routes (mounted at /api/auth)
+ *
+ *   POST   /refresh                  { refreshToken }     → new access + refresh token
+ *   POST   /logout                   (access token, or { refreshToken } once it has expired)
+ *   POST   /logout-all               (signed in) → revokes every session of the caller
+ *   GET    /sessions                 (signed in) → the caller's signed-in devices
+ *   DELETE /sessions/:sessionId      (signed in) → sign one of them out
+ *   POST   /password-reset/request   { email, role }    → always 200, emails a link if the account exists
+ *   POST   /password-reset/confirm   { token, password } → sets the password, signs out every session
+ *   POST   /verify-email/confirm     { token }
+ *   POST   /verify-email/resend      (signed-in customer or contractor)
+ *
+ * Login and signup live in server.js; sessions are handled by services/sessions.js
+ * and emailed tokens by services/auth-tokens.js.
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+const {
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  admins: adminsRepo
+} = require('../repositories');
+const authTokens = require('../services/auth-tokens');
+const { AuthTokenError, PURPOSES } = authTokens;
+const sessions = require('../services/sessions');
+const { SessionError } = sessions;
+const { ADMIN_ROLES, requireRole } = require('../middleware/policies');
+const { logEvent } = require('../services/audit-service');
+
+const router = express.Router();
+
+// Account tables a token may point at, keyed by auth_tokens.user_role
+const ACCOUNT_REPOS = {
+  customer: customersRepo,
+  contractor: contractorsRepo,
+  admin: adminsRepo
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Per-IP cap on the unauthenticated endpoints; the per-email cap is
+// enforced from auth_tokens by services/auth-tokens.js
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests. Please try again later.' }
+});
+
+const requireSignedIn = requireRole('customer', 'contractor', ...ADMIN_ROLES);
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function accountRole(role) {
+  const value = String(role || 'customer').toLowerCase();
+  return ['super_admin', 'superadmin'].includes(value) ? 'admin' : value;
+}
+
+// Load the account a redeemed token belongs to; null if it is gone or its email changed
+async function findTokenOwner(record) {
+  const repo = ACCOUNT_REPOS[record.user_role];
+  const user = repo ? await repo.findById(record.user_id) : null;
+  if (!user || normalizeEmail(user.email) !== normalizeEmail(record.email)) return null;
+  return { user, repo };
+}
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken, expiresAt } = await sessions.refresh(req.body?.refreshToken, req.audit);
+    res.json({ token, refreshToken, refreshExpiresAt: expiresAt });
+  } catch (error) {
+    if (error instanceof SessionError) return res.status(error.status).json({ error: error.message });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Sign out the current session
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await sessions.logout({
+      sessionId: req.user?.sid,
+      refreshToken: req.body?.refreshToken
+    });
+    if (session) {
+      await logEvent({
+        action: 'auth.logout',
+        entity_type: 'session',
+        entity_id: session.family_id,
+        actor: req.actor || { role: session.user_role, id: session.user_id },
+        meta: req.audit || {}
+      });
+    }
+    // Succeeds even for an unknown or already-ended session
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Sign out every session of the caller, this one included
+router.post('/logout-all', requireSignedIn, async (req, res) => {
+  try {
+    const revoked = await sessions.logoutAll(req.user.id);
+    await logEvent({
+      action: 'auth.logout_all',
+      entity_type: req.user.role,
+      entity_id: req.user.id,
+      actor: req.actor,
+      meta: { ...(req.audit || {}), sessions_revoked: revoked }
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all sessions' });
+  }
+});
+
+// The caller's signed-in devices
+router.get('/sessions', requireSignedIn, async (req, res) => {
+  try {
+    const list = await sessions.listForUser(req.user.id, req.user.sid);
+    res.json({ sessions: list });
+  } catch (error) {
+    console.error('My sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out one of the caller's devices
+router.delete('/sessions/:sessionId', requireSignedIn, async (req, res) => {
+  try {
+    const list = await sessions.listForUser(req.user.id, req.user.sid);
+    const session = list.find(item => String(item.id) === String(req.params.sessionId));
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await sessions.revokeFamily(session.family_id, 'logout');
+    await logEvent({
+      action: 'auth.logout',
+      entity_type: 'session',
+      entity_id: session.family_id,
+      actor: req.actor,
+      meta: req.audit || {}
+    });
+    res.json({ success: true, current: session.current });
+  } catch (error) {
+    console.error('Revoke my session error:', error);
+    res.status(500).json({ error: 'Failed to sign out session' });
+  }
+});
+
+// Request a password reset link
+router.post('/password-reset/request', tokenLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const role = accountRole(req.body?.role);
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!ACCOUNT_REPOS[role]) {
+      return res.status(400).json({ error: 'Unknown account type' });
+    }
+
+    const user = await ACCOUNT_REPOS[role].findByEmail(email);
+    if (user) {
+      const result = await authTokens.sendPasswordReset(user, role, { ip: req.audit?.ip });
+      await logEvent({
+        action: 'auth.password_reset_requested',
+        entity_type: role,
+        entity_id: user.id,
+        actor: { role, id: user.id, email: user.email },
+        meta: { ...(req.audit || {}), sent: result.sent, throttled: Boolean(result.throttled) }
+      });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way.'
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password with an emailed token
+router.post('/password-reset/confirm', tokenLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const record = await authTokens.redeem(token, PURPOSES.PASSWORD_RESET);
+    const owner = await findTokenOwner(record);
+    if (!owner) {
+      return res.status(400).json({ error: 'This link is invalid or has expired. Please request a new one.' });
+    }
+    const { user, repo } = owner;
+
+    const now = new Date();
+    await repo.update(user.id, {
+      password_hash: await bcrypt.hash(String(password), 10),
+      // Following the emailed link proves the address belongs to the user
+      email_verified_at: record.user_role !== 'admin' && !user.email_verified_at ? now : undefined
+    });
+    const revoked = await sessions.logoutAll(user.id, 'password_reset');
+
+    await logEvent({
+      action: 'auth.password_reset',
+      entity_type: record.user_role,
+      entity_id: user.id,
+      actor: { role: record.user_role, id: user.id, email: user.email },
+      meta: { ...(req.audit || {}), sessions_revoked: revoked }
+    });
+
+    res.json({ success: true, role: record.user_role });
+  } catch (error) {
+    if (error instanceof AuthTokenError) return res.status(error.status).json({ error: error.message });
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address with an emailed token
+router.post('/verify-email/confirm', tokenLimiter, async (req, res) => {
+  try {
+    const record = await authTokens.redeem(req.body?.token, PURPOSES.EMAIL_VERIFICATION);
+    const owner = await findTokenOwner(record);
+    if (!owner) {
+      return res.status(400).json({ error: 'This link is invalid or has expired. Please request a new one.' });
+    }
+    const { user, repo } = owner;
+
+    if (!user.email_verified_at) {
+      await repo.update(user.id, { email_verified_at: new Date() });
+      await logEvent({
+        action: 'auth.email_verified',
+        entity_type: record.user_role,
+        entity_id: user.id,
+        actor: { role: record.user_role, id: user.id, email: user.email },
+        meta: req.audit || {}
+      });
+    }
+
+    res.json({ success: true, role: record.user_role, email: user.email });
+  } catch (error) {
+    if (error instanceof AuthTokenError) return res.status(error.status).json({ error: error.message });
+    console.error('Email verification confirm error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a fresh verification link to the signed-in user
+router.post('/verify-email/resend', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    const role = req.user.role;
+    const user = await ACCOUNT_REPOS[role].findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (user.email_verified_at) {
+      return res.json({ success: true, alreadyVerified: true });
+    }
+
+    const result = await authTokens.sendEmailVerification(user, role, { ip: req.audit?.ip });
+    if (result.throttled) {
+      return res.status(429).json({ error: 'Too many verification emails. Please try again later.' });
+    }
+    if (!result.sent) {
+      return res.status(502).json({ error: 'Could not send the verification email. Please try again shortly.' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Email verification resend error:', error);
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+module.exports = router;
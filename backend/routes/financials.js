@@ -0,0 +1,39 @@
+/**
+ * Shared financial rules for the browser (mounted at /api/financials)
+ *
+ *   GET /engine   lib/financials.js as a script; defines window.FirstClickFinancials
+ *   GET /config   { currency, processing_fee, tiers } as JSON
+ *   GET /tax-rates?date=YYYY-MM-DD   sales tax rates by province (default today)
+ *
+ * The engine path has no .js extension so nginx proxies it rather than
+ * looking for a static file.
+ */
+
+const express = require('express');
+const path = require('path');
+const financials = require('../lib/financials');
+const tax = require('../services/tax');
+
+const router = express.Router();
+
+const ENGINE_PATH = path.join(__dirname, '..', 'lib', 'financials.js');
+
+router.get('/engine', (req, res) => {
+  res.type('application/javascript');
+  res.sendFile(ENGINE_PATH, (error) => {
+    if (error && !res.headersSent) {
+      console.error('Financials engine error:', error);
+      res.status(500).json({ error: 'Failed to load financial rules' });
+    }
+  });
+});
+
+router.get('/config', (req, res) => {
+  res.json(financials.config());
+});
+
+router.get('/tax-rates', (req, res) => {
+  res.json({ currency: financials.CURRENCY, provinces: tax.rateTable(req.query.date) });
+});
+
+module.exports = router;
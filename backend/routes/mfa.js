@@ -0,0 +1,245 @@
+/**
+ * Two-factor authentication routes for admin accounts (mounted at /api/auth/mfa)
+ *
+ *   POST /verify            { mfaToken, code | recoveryCode } → access + refresh token
+ *   POST /enroll            (admin, or { mfaToken } during a forced setup) → { otpauthUrl, qrCode, secret }
+ *   POST /enroll/confirm    { code, mfaToken? } → recovery codes (+ tokens when signing in)
+ *   GET  /status            (admin) → { enabled, required, recovery_codes_remaining }
+ *   POST /recovery-codes    (admin) { code } → a fresh set of recovery codes
+ *   POST /disable           (admin) { password, code | recoveryCode }
+ *
+ * POST /api/auth/admin/login answers { mfaRequired, mfaToken } or
+ * { mfaSetupRequired, mfaToken } instead of a session when a second factor
+ * is due; the mfaToken only works here. TOTP logic lives in services/mfa.js.
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+const { admins: adminsRepo } = require('../repositories');
+const mfa = require('../services/mfa');
+const { MfaError } = mfa;
+const { issueToken } = require('../services/sessions');
+const { ADMIN_ROLES, requireRole } = require('../middleware/policies');
+const { logEvent } = require('../services/audit-service');
+
+const router = express.Router();
+
+const BLOCKED_STATUSES = ['paused', 'frozen'];
+
+// Per-IP cap on code guesses
+const codeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many attempts. Please try again later.' }
+});
+
+const requireAdminRole = requireRole(...ADMIN_ROLES);
+
+function adminUser(admin, role) {
+  return { id: admin.id, email: admin.email, full_name: admin.full_name, role, tier: admin.tier || null };
+}
+
+/**
+ * Admin behind an mfa_pending token; the account must still be usable
+ * @returns {Promise<{ admin, role }>}
+ */
+async function pendingAdmin(mfaToken) {
+  const payload = mfa.verifyMfaToken(mfaToken);
+  const admin = await adminsRepo.findById(payload.id);
+  if (!admin) {
+    throw new MfaError('Your sign-in has expired. Please start again.', 401);
+  }
+  if (BLOCKED_STATUSES.includes(admin.status)) {
+    throw new MfaError('Account temporarily disabled. Please contact support.', 403);
+  }
+  return { admin, role: payload.role };
+}
+
+/**
+ * The enrolling admin: a signed-in admin, or one finishing a forced setup at login
+ * @returns {Promise<{ admin, role, signingIn: boolean }>}
+ */
+async function enrollingAdmin(req) {
+  if (req.user && ADMIN_ROLES.includes(req.user.role)) {
+    const admin = await adminsRepo.findById(req.user.id);
+    if (!admin) throw new MfaError('Account not found', 404);
+    return { admin, role: req.user.role, signingIn: false };
+  }
+  if (req.body?.mfaToken) {
+    return { ...(await pendingAdmin(req.body.mfaToken)), signingIn: true };
+  }
+  throw new MfaError('Authentication required', 401);
+}
+
+async function logFailure(admin, role, req, method) {
+  await logEvent({
+    action: 'auth.mfa_failed',
+    entity_type: 'admin',
+    entity_id: admin.id,
+    actor: { role, id: admin.id, email: admin.email },
+    meta: { ...(req.audit || {}), method }
+  });
+}
+
+// Second step of an admin login
+router.post('/verify', codeLimiter, async (req, res) => {
+  let pending = null;
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+    pending = await pendingAdmin(mfaToken);
+    const { admin, role } = pending;
+
+    const result = await mfa.verify(admin, { code, recoveryCode });
+    const { token, refreshToken } = await issueToken(admin, role, req.audit);
+
+    await logEvent({
+      action: result.method === 'recovery_code' ? 'auth.mfa_recovery_code_used' : 'auth.mfa_verified',
+      entity_type: 'admin',
+      entity_id: admin.id,
+      actor: { role, id: admin.id, email: admin.email },
+      meta: { ...(req.audit || {}), recovery_codes_remaining: result.recoveryCodesRemaining }
+    });
+
+    res.json({
+      token,
+      refreshToken,
+      user: adminUser(admin, role),
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    });
+  } catch (error) {
+    if (error instanceof MfaError) {
+      if (pending && error.status === 401) {
+        await logFailure(pending.admin, pending.role, req, req.body?.recoveryCode ? 'recovery_code' : 'totp');
+      }
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('MFA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
+// Generate a secret and QR code to scan
+router.post('/enroll', codeLimiter, async (req, res) => {
+  try {
+    const { admin } = await enrollingAdmin(req);
+    const { secret, otpauthUrl, qrCode } = await mfa.startEnrollment(admin);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    if (error instanceof MfaError) return res.status(error.status).json({ error: error.message });
+    console.error('MFA enroll error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm the first code from the app and switch 2FA on
+router.post('/enroll/confirm', codeLimiter, async (req, res) => {
+  try {
+    const { admin, role, signingIn } = await enrollingAdmin(req);
+    const { recoveryCodes } = await mfa.confirmEnrollment(admin, req.body?.code);
+
+    await logEvent({
+      action: 'auth.mfa_enabled',
+      entity_type: 'admin',
+      entity_id: admin.id,
+      actor: { role, id: admin.id, email: admin.email },
+      meta: req.audit || {}
+    });
+
+    if (!signingIn) {
+      return res.json({ success: true, recoveryCodes });
+    }
+    const { token, refreshToken } = await issueToken(admin, role, req.audit);
+    res.json({ success: true, recoveryCodes, token, refreshToken, user: adminUser(admin, role) });
+  } catch (error) {
+    if (error instanceof MfaError) return res.status(error.status).json({ error: error.message });
+    console.error('MFA enroll confirm error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+router.get('/status', requireAdminRole, async (req, res) => {
+  try {
+    const admin = await adminsRepo.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json(await mfa.status(admin, req.user.role));
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Replace the recovery codes; needs a current authenticator code
+router.post('/recovery-codes', requireAdminRole, codeLimiter, async (req, res) => {
+  try {
+    const admin = await adminsRepo.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    try {
+      await mfa.verify(admin, { code: req.body?.code });
+    } catch (error) {
+      if (error instanceof MfaError && error.status === 401) await logFailure(admin, req.user.role, req, 'totp');
+      throw error;
+    }
+
+    const recoveryCodes = await mfa.regenerateRecoveryCodes(admin);
+    await logEvent({
+      action: 'auth.mfa_recovery_codes_regenerated',
+      entity_type: 'admin',
+      entity_id: admin.id,
+      actor: req.actor,
+      meta: req.audit || {}
+    });
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    if (error instanceof MfaError) return res.status(error.status).json({ error: error.message });
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Turn 2FA off; needs the password and a second factor, and the role must not require 2FA
+router.post('/disable', requireAdminRole, codeLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const admin = await adminsRepo.findById(req.user.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (await mfa.isRequired(req.user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+    if (!password || !await bcrypt.compare(String(password), admin.password_hash)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    try {
+      await mfa.verify(admin, { code, recoveryCode });
+    } catch (error) {
+      if (error instanceof MfaError && error.status === 401) {
+        await logFailure(admin, req.user.role, req, recoveryCode ? 'recovery_code' : 'totp');
+      }
+      throw error;
+    }
+
+    await mfa.reset(admin.id);
+    await logEvent({
+      action: 'auth.mfa_disabled',
+      entity_type: 'admin',
+      entity_id: admin.id,
+      actor: req.actor,
+      meta: req.audit || {}
+    });
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof MfaError) return res.status(error.status).json({ error: error.message });
+    console.error('MFA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Payment provider endpoints (mounted at /api/payments, ahead of the JSON
+ * body parser so webhook signatures can be checked against the raw body)
+ *
+ *   POST /webhook   signed provider events → { received: true }
+ *   GET  /config    { provider, currency, publishable_key | test_cards } for the checkout page
+ *
+ * Checkout itself lives under /api/customer/jobs/:jobId/checkout; the
+ * event handling is in services/payments.
+ */
+
+const express = require('express');
+const payments = require('../services/payments');
+const { PaymentError } = payments;
+
+const router = express.Router();
+
+router.post('/webhook', express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+  try {
+    const { event, duplicate } = await payments.handleWebhook(req.body, req.get(payments.SIGNATURE_HEADER));
+    res.json({ received: true, id: event.id, duplicate });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // Anything else is answered with 500 so the provider delivers the event again
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+router.get('/config', (req, res) => {
+  res.json(payments.publicConfig());
+});
+
+module.exports = router;
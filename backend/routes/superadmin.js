@@ -1,11 +1,37 @@
 const express = require('express');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const { pool, db } = require('../mock-db');
+const {
+  jobs: jobsRepo,
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  admins: adminsRepo,
+  sessions: sessionsRepo,
+  authTokens: authTokensRepo,
+  payments: paymentsRepo,
+  specialties: specialtiesRepo,
+  auditLogs: auditLogsRepo
+} = require('../repositories');
+const teamAppsDb = require('../services/team-applications-db');
+const jobLifecycle = require('../services/job-lifecycle');
+const sessionService = require('../services/sessions');
+const mfa = require('../services/mfa');
+const { MfaError } = mfa;
+const payoutScheduler = require('../services/payouts/scheduler');
+const { PayoutError } = require('../services/payouts/shared');
+const tax = require('../services/tax');
 const { auditLog } = require('../middleware/audit-log');
+const { logEvent } = require('../services/audit-service');
 
 const router = express.Router();
 
+// User tables managed from the superadmin console, keyed by table name
+const USER_REPOS = {
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  admins: adminsRepo
+};
+
 router.use(auditLog());
 
 function normalizeRole(role) {
@@ -25,66 +51,50 @@ function mapUser(record, role) {
     business_name: record.business_name || null,
     phone: record.phone || null,
     role,
+    mfa_enabled: Boolean(record.mfa_enabled_at),
     created_at: record.created_at || null,
     updated_at: record.updated_at || null
   };
 }
 
 async function fetchAllUsers() {
-  const [customersResult, contractorsResult, adminsResult] = await Promise.all([
-    pool.query('SELECT * FROM customers'),
-    pool.query('SELECT * FROM contractors'),
-    pool.query('SELECT * FROM admins')
+  const [customerRows, contractorRows, adminRows] = await Promise.all([
+    customersRepo.list(),
+    contractorsRepo.list(),
+    adminsRepo.list()
   ]);
 
-  const customers = (customersResult.rows || []).map(row => mapUser(row, row.role || 'customer'));
-  const contractors = (contractorsResult.rows || []).map(row => mapUser(row, row.role || 'contractor'));
-  const admins = (adminsResult.rows || []).map(row => mapUser(row, row.role || 'admin'));
+  const customers = customerRows.map(row => mapUser(row, row.role || 'customer'));
+  const contractors = contractorRows.map(row => mapUser(row, row.role || 'contractor'));
+  const admins = adminRows.map(row => mapUser(row, row.role || 'admin'));
 
   return [...customers, ...contractors, ...admins];
 }
 
 async function findUserById(id) {
-  const [customersResult, contractorsResult, adminsResult] = await Promise.all([
-    pool.query('SELECT * FROM customers'),
-    pool.query('SELECT * FROM contractors'),
-    pool.query('SELECT * FROM admins')
-  ]);
-
-  const customer = (customersResult.rows || []).find(row => String(row.id) === String(id));
+  const customer = await customersRepo.findById(id);
   if (customer) return { user: customer, role: customer.role || 'customer', table: 'customers' };
 
-  const contractor = (contractorsResult.rows || []).find(row => String(row.id) === String(id));
+  const contractor = await contractorsRepo.findById(id);
   if (contractor) return { user: contractor, role: contractor.role || 'contractor', table: 'contractors' };
 
-  const admin = (adminsResult.rows || []).find(row => String(row.id) === String(id));
+  const admin = await adminsRepo.findById(id);
   if (admin) return { user: admin, role: admin.role || 'admin', table: 'admins' };
 
   return null;
 }
 
 async function revokeSessionsByUser(userId) {
-  const sessions = db.sessions.filter(session => String(session.user_id) === String(userId));
-  sessions.forEach(session => {
-    session.revoked_at = new Date().toISOString();
-    session.updated_at = new Date();
-  });
-  await pool.query('UPDATE sessions SET revoked_at = $1 WHERE user_id = $2 RETURNING *', [new Date().toISOString(), userId]);
-  return sessions;
+  return sessionsRepo.revokeForUser(userId, new Date().toISOString(), 'admin_revoked');
 }
 
 router.get('/stats', async (req, res) => {
   try {
     const users = await fetchAllUsers();
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const paymentsResult = await pool.query('SELECT * FROM payments');
-    const auditResult = await pool.query('SELECT * FROM audit_logs');
-    const sessionsResult = await pool.query('SELECT * FROM sessions');
-
-    const jobs = jobsResult.rows || [];
-    const payments = paymentsResult.rows || [];
-    const auditLogs = auditResult.rows || [];
-    const sessions = sessionsResult.rows || [];
+    const jobs = await jobsRepo.list();
+    const payments = await paymentsRepo.list();
+    const auditLogs = await auditLogsRepo.list();
+    const sessions = await sessionsRepo.list();
 
     const roleCounts = users.reduce((acc, user) => {
       acc[user.role] = (acc[user.role] || 0) + 1;
@@ -120,13 +130,13 @@ router.get('/stats', async (req, res) => {
 
 router.get('/database/stats', async (req, res) => {
   try {
-    const customers = (await pool.query('SELECT * FROM customers')).rows || [];
-    const contractors = (await pool.query('SELECT * FROM contractors')).rows || [];
-    const admins = (await pool.query('SELECT * FROM admins')).rows || [];
-    const jobs = (await pool.query('SELECT * FROM jobs')).rows || [];
-    const payments = (await pool.query('SELECT * FROM payments')).rows || [];
-    const auditLogs = (await pool.query('SELECT * FROM audit_logs')).rows || [];
-    const sessions = (await pool.query('SELECT * FROM sessions')).rows || [];
+    const customers = await customersRepo.list();
+    const contractors = await contractorsRepo.list();
+    const admins = await adminsRepo.list();
+    const jobs = await jobsRepo.list();
+    const payments = await paymentsRepo.list();
+    const auditLogs = await auditLogsRepo.list();
+    const sessions = await sessionsRepo.list();
 
     res.json({
       tables: {
@@ -147,8 +157,11 @@ router.get('/database/stats', async (req, res) => {
 
 router.get('/sessions', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM sessions');
-    res.json({ sessions: result.rows || [] });
+    const rows = await sessionsRepo.list();
+    res.json({
+      sessions: rows.map(sessionService.toPublicSession),
+      families: sessionService.summarizeFamilies(rows)
+    });
   } catch (error) {
     console.error('Sessions list error:', error);
     res.status(500).json({ error: 'Failed to fetch sessions' });
@@ -172,8 +185,8 @@ router.get('/users/:id', async (req, res) => {
     if (!found) {
       return res.status(404).json({ error: 'User not found' });
     }
-    const auditLogsResult = await pool.query('SELECT * FROM audit_logs');
-    const auditLogs = (auditLogsResult.rows || []).filter(log =>
+    const allLogs = await auditLogsRepo.list();
+    const auditLogs = allLogs.filter(log =>
       String(log.user_id) === String(id) || String(log.user_email || '').toLowerCase() === String(found.user.email || '').toLowerCase()
     );
 
@@ -199,36 +212,34 @@ router.post('/users', async (req, res) => {
     const passwordHash = await bcrypt.hash(password, 10);
 
     if (normalizedRole === 'admin' || normalizedRole === 'super_admin') {
-      const result = await pool.query(
-        'INSERT INTO admins (email, password_hash, full_name, role) VALUES ($1, $2, $3, $4) RETURNING *',
-        [email, passwordHash, full_name || null, normalizedRole]
-      );
-      return res.status(201).json({ user: mapUser(result.rows[0], normalizedRole) });
+      const admin = await adminsRepo.create({
+        email,
+        password_hash: passwordHash,
+        full_name: full_name || null,
+        role: normalizedRole
+      });
+      return res.status(201).json({ user: mapUser(admin, normalizedRole) });
     }
 
     if (normalizedRole === 'contractor') {
-      const contractorResult = await pool.query(
-        'INSERT INTO contractors (email, password_hash, legal_name, business_name, phone, vetting_status, primary_trade, experience_years, documents) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-        [
-          email,
-          passwordHash,
-          legal_name || full_name || null,
-          business_name || null,
-          phone || null,
-          'APPLIED',
-          null,
-          null,
-          null
-        ]
-      );
-      return res.status(201).json({ user: mapUser(contractorResult.rows[0], 'contractor') });
+      const contractor = await contractorsRepo.create({
+        email,
+        password_hash: passwordHash,
+        legal_name: legal_name || full_name || null,
+        business_name: business_name || null,
+        phone: phone || null,
+        vetting_status: 'APPLIED'
+      });
+      return res.status(201).json({ user: mapUser(contractor, 'contractor') });
     }
 
-    const customerResult = await pool.query(
-      'INSERT INTO customers (email, full_name, phone, password_hash) VALUES ($1, $2, $3, $4) RETURNING *',
-      [email, full_name || null, phone || null, passwordHash]
-    );
-    return res.status(201).json({ user: mapUser(customerResult.rows[0], 'customer') });
+    const customer = await customersRepo.create({
+      email,
+      full_name: full_name || null,
+      phone: phone || null,
+      password_hash: passwordHash
+    });
+    return res.status(201).json({ user: mapUser(customer, 'customer') });
   } catch (error) {
     console.error('Create user error:', error);
     res.status(500).json({ error: 'Failed to create user' });
@@ -247,11 +258,9 @@ router.patch('/users/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot change your own super admin role' });
     }
 
-    const updates = [];
-    const values = [];
+    const updates = {};
     const pushUpdate = (field, value) => {
-      updates.push(`${field} = $${updates.length + 1}`);
-      values.push(value);
+      updates[field] = value;
     };
 
     if (email) pushUpdate('email', email);
@@ -265,26 +274,22 @@ router.patch('/users/:id', async (req, res) => {
     if (found.table === 'admins') {
       if (role) pushUpdate('role', requestedRole);
       if (full_name) pushUpdate('full_name', full_name);
-      if (updates.length === 0) {
+      if (Object.keys(updates).length === 0) {
         return res.status(400).json({ error: 'No fields to update' });
       }
-      values.push(id);
-      const sql = `UPDATE admins SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING * -- superadmin_update`;
-      const result = await pool.query(sql, values);
-      return res.json({ user: mapUser(result.rows[0], requestedRole) });
+      const admin = await adminsRepo.update(id, updates);
+      return res.json({ user: mapUser(admin, requestedRole) });
     }
 
     if (found.table === 'customers') {
       if (role) pushUpdate('role', requestedRole);
       if (full_name) pushUpdate('full_name', full_name);
       if (phone) pushUpdate('phone', phone);
-      if (updates.length === 0) {
+      if (Object.keys(updates).length === 0) {
         return res.status(400).json({ error: 'No fields to update' });
       }
-      values.push(id);
-      const sql = `UPDATE customers SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING * -- superadmin_update`;
-      const result = await pool.query(sql, values);
-      return res.json({ user: mapUser(result.rows[0], requestedRole) });
+      const customer = await customersRepo.update(id, updates);
+      return res.json({ user: mapUser(customer, requestedRole) });
     }
 
     if (found.table === 'contractors') {
@@ -292,13 +297,11 @@ router.patch('/users/:id', async (req, res) => {
       if (legal_name || full_name) pushUpdate('legal_name', legal_name || full_name);
       if (business_name) pushUpdate('business_name', business_name);
       if (phone) pushUpdate('phone', phone);
-      if (updates.length === 0) {
+      if (Object.keys(updates).length === 0) {
         return res.status(400).json({ error: 'No fields to update' });
       }
-      values.push(id);
-      const sql = `UPDATE contractors SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING * -- superadmin_update`;
-      const result = await pool.query(sql, values);
-      return res.json({ user: mapUser(result.rows[0], requestedRole) });
+      const contractor = await contractorsRepo.update(id, updates);
+      return res.json({ user: mapUser(contractor, requestedRole) });
     }
 
     return res.status(400).json({ error: 'Unsupported user type' });
@@ -322,28 +325,22 @@ router.delete('/users/:id', async (req, res) => {
     await revokeSessionsByUser(id);
 
     if (found.table === 'customers') {
-      db.jobs = db.jobs.filter(job => String(job.customer_id) !== String(id));
-      db.payments = db.payments.filter(payment => String(payment.customer_id) !== String(id));
-      const result = await pool.query('DELETE FROM customers WHERE id = $1 RETURNING *', [id]);
-      return res.json({ deleted: true, user: mapUser(result.rows[0], found.role) });
+      await jobsRepo.removeByCustomer(id);
+      await paymentsRepo.removeByCustomer(id);
+      const customer = await customersRepo.remove(id);
+      return res.json({ deleted: true, user: mapUser(customer, found.role) });
     }
 
     if (found.table === 'contractors') {
-      db.jobs.forEach(job => {
-        if (String(job.contractor_id) === String(id)) {
-          job.contractor_id = null;
-          job.assignedContractorId = null;
-          job.status = 'ready_to_assign';
-        }
-      });
-      db.contractor_specialties = db.contractor_specialties.filter(cs => String(cs.contractor_id) !== String(id));
-      const result = await pool.query('DELETE FROM contractors WHERE id = $1 RETURNING *', [id]);
-      return res.json({ deleted: true, user: mapUser(result.rows[0], found.role) });
+      await jobLifecycle.releaseContractorJobs(id, { actor: req.actor, details: 'Contractor account deleted' });
+      await specialtiesRepo.removeForContractor(id);
+      const contractor = await contractorsRepo.remove(id);
+      return res.json({ deleted: true, user: mapUser(contractor, found.role) });
     }
 
     if (found.table === 'admins') {
-      const result = await pool.query('DELETE FROM admins WHERE id = $1 RETURNING *', [id]);
-      return res.json({ deleted: true, user: mapUser(result.rows[0], found.role) });
+      const admin = await adminsRepo.remove(id);
+      return res.json({ deleted: true, user: mapUser(admin, found.role) });
     }
 
     res.status(400).json({ error: 'Unsupported user type' });
@@ -367,22 +364,7 @@ router.post('/reset-password/:id', async (req, res) => {
     const tempPassword = crypto.randomBytes(6).toString('hex');
     const passwordHash = await bcrypt.hash(tempPassword, 10);
 
-    if (found.table === 'admins') {
-      await pool.query(
-        'UPDATE admins SET password_hash = $1 WHERE id = $2 RETURNING * -- superadmin_update',
-        [passwordHash, id]
-      );
-    } else if (found.table === 'customers') {
-      await pool.query(
-        'UPDATE customers SET password_hash = $1 WHERE id = $2 RETURNING * -- superadmin_update',
-        [passwordHash, id]
-      );
-    } else if (found.table === 'contractors') {
-      await pool.query(
-        'UPDATE contractors SET password_hash = $1 WHERE id = $2 RETURNING * -- superadmin_update',
-        [passwordHash, id]
-      );
-    }
+    await USER_REPOS[found.table].update(id, { password_hash: passwordHash });
 
     await revokeSessionsByUser(id);
 
@@ -393,18 +375,140 @@ router.post('/reset-password/:id', async (req, res) => {
   }
 });
 
+// Roles that must sign in with two-factor authentication
+router.get('/security/mfa-policy', async (req, res) => {
+  try {
+    res.json({ required_roles: await mfa.getRequiredRoles(), available_roles: mfa.MFA_ROLES });
+  } catch (error) {
+    console.error('MFA policy error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor policy' });
+  }
+});
+
+router.put('/security/mfa-policy', async (req, res) => {
+  try {
+    const before = await mfa.getRequiredRoles();
+    const requiredRoles = await mfa.setRequiredRoles(req.body?.required_roles, req.user.id);
+    await logEvent({
+      action: 'security.mfa_policy_updated',
+      entity_type: 'platform_setting',
+      entity_id: 'mfa_required_roles',
+      actor: req.actor,
+      before: { required_roles: before },
+      after: { required_roles: requiredRoles },
+      meta: req.audit || {}
+    });
+    res.json({ success: true, required_roles: requiredRoles });
+  } catch (error) {
+    if (error instanceof MfaError) return res.status(error.status).json({ error: error.message });
+    console.error('MFA policy update error:', error);
+    res.status(500).json({ error: 'Failed to update two-factor policy' });
+  }
+});
+
+// Payout scheduler settings: the minimum payout and extra non-business days
+router.get('/payouts/settings', async (req, res) => {
+  try {
+    res.json(await payoutScheduler.getSettings());
+  } catch (error) {
+    console.error('Payout settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch payout settings' });
+  }
+});
+
+router.put('/payouts/settings', async (req, res) => {
+  try {
+    const before = await payoutScheduler.getSettings();
+    const settings = await payoutScheduler.updateSettings(req.body || {}, req.user.id);
+    await logEvent({
+      action: 'payout.settings_updated',
+      entity_type: 'platform_setting',
+      entity_id: 'payout_schedule',
+      actor: req.actor,
+      before,
+      after: settings,
+      meta: req.audit || {}
+    });
+    res.json({ success: true, ...settings });
+  } catch (error) {
+    if (error instanceof PayoutError) return res.status(error.status).json({ error: error.message });
+    console.error('Payout settings update error:', error);
+    res.status(500).json({ error: 'Failed to update payout settings' });
+  }
+});
+
+router.get('/tax/rules', async (req, res) => {
+  try {
+    res.json({ rules: await tax.getRules(), taxes: tax.TAXES });
+  } catch (error) {
+    console.error('Tax rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch tax rules' });
+  }
+});
+
+router.put('/tax/rules', async (req, res) => {
+  try {
+    const before = await tax.getRules();
+    const rules = await tax.updateRules(req.body || {}, req.user.id);
+    await logEvent({
+      action: 'tax.rules_updated',
+      entity_type: 'platform_setting',
+      entity_id: 'tax_rules',
+      actor: req.actor,
+      before,
+      after: rules,
+      meta: req.audit || {}
+    });
+    res.json({ success: true, rules });
+  } catch (error) {
+    if (error instanceof tax.TaxError) return res.status(error.status).json({ error: error.message });
+    console.error('Tax rules update error:', error);
+    res.status(500).json({ error: 'Failed to update tax rules' });
+  }
+});
+
+// Clear an admin's 2FA (lost device); they enroll again at next login if their role requires it
+router.post('/users/:id/mfa/reset', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const admin = await adminsRepo.findById(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    if (String(req.user.id) === String(id)) {
+      return res.status(400).json({ error: 'Cannot reset your own two-factor authentication from this endpoint' });
+    }
+
+    const wasEnabled = mfa.isEnabled(admin);
+    const user = await mfa.reset(id);
+    await revokeSessionsByUser(id);
+    await logEvent({
+      action: 'admin.mfa_reset',
+      entity_type: 'admin',
+      entity_id: id,
+      actor: req.actor,
+      before: { mfa_enabled: wasEnabled },
+      after: { mfa_enabled: false },
+      reason: req.body?.reason || null,
+      meta: req.audit || {}
+    });
+    res.json({ success: true, user: mapUser(user, normalizeRole(user.role)) });
+  } catch (error) {
+    console.error('MFA reset error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
 router.delete('/sessions/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query('UPDATE sessions SET revoked_at = $1 WHERE id = $2 RETURNING *', [
-      new Date().toISOString(),
-      id
-    ]);
-    const session = result.rows[0];
+    const session = await sessionsRepo.findById(id);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
-    res.json({ success: true, session });
+    // Ending the whole token family also kills its refresh token
+    const revoked = await sessionService.revokeFamily(session.family_id || session.id, 'admin_revoked');
+    res.json({ success: true, session: sessionService.toPublicSession(session), revoked: revoked.length });
   } catch (error) {
     console.error('Terminate session error:', error);
     res.status(500).json({ error: 'Failed to terminate session' });
@@ -413,8 +517,10 @@ router.delete('/sessions/:id', async (req, res) => {
 
 router.post('/sessions/cleanup', async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM sessions WHERE expires_at < NOW() OR revoked_at IS NOT NULL -- cleanup', []);
-    res.json({ success: true, deleted: result.deleted || 0 });
+    const deleted = await sessionsRepo.purgeInactive();
+    // Used and expired reset/verification tokens go with them
+    const deletedTokens = await authTokensRepo.purgeInactive();
+    res.json({ success: true, deleted, deletedTokens });
   } catch (error) {
     console.error('Cleanup sessions error:', error);
     res.status(500).json({ error: 'Failed to cleanup sessions' });
@@ -424,8 +530,7 @@ router.post('/sessions/cleanup', async (req, res) => {
 router.get('/audit-logs', async (req, res) => {
   try {
     const { action, user } = req.query;
-    const result = await pool.query('SELECT * FROM audit_logs');
-    let logs = result.rows || [];
+    let logs = await auditLogsRepo.list();
 
     if (action) {
       logs = logs.filter(log => String(log.action) === String(action));
@@ -447,8 +552,7 @@ router.get('/audit-logs', async (req, res) => {
 
 router.get('/audit-logs/actions', async (req, res) => {
   try {
-    const result = await pool.query('SELECT DISTINCT action FROM audit_logs');
-    const actions = (result.rows || []).map(row => row.action);
+    const actions = await auditLogsRepo.listActions();
     res.json({ actions });
   } catch (error) {
     console.error('Audit actions error:', error);
@@ -458,13 +562,9 @@ router.get('/audit-logs/actions', async (req, res) => {
 
 router.get('/customers', async (req, res) => {
   try {
-    const customersResult = await pool.query('SELECT * FROM customers');
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const paymentsResult = await pool.query('SELECT * FROM payments');
-
-    const customers = customersResult.rows || [];
-    const jobs = jobsResult.rows || [];
-    const payments = paymentsResult.rows || [];
+    const customers = await customersRepo.list();
+    const jobs = await jobsRepo.list();
+    const payments = await paymentsRepo.list();
 
     const payload = customers.map(customer => {
       const customerJobs = jobs.filter(job => String(job.customer_id) === String(customer.id));
@@ -494,20 +594,10 @@ router.get('/customers', async (req, res) => {
 // Team Applications endpoints
 router.get('/team/applications', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT * FROM team_applications 
-      ORDER BY submitted_at DESC
-    `);
-    
-    const applications = (result.rows || []).map(app => ({
-      ...app,
-      resume: app.resume ? JSON.parse(app.resume) : null,
-      location: app.location ? JSON.parse(app.location) : null,
-      roles: app.roles ? JSON.parse(app.roles) : [],
-      market_insights: app.market_insights ? JSON.parse(app.market_insights) : null,
-      trades_in_demand: app.trades_in_demand ? JSON.parse(app.trades_in_demand) : [],
-      contact: app.contact ? JSON.parse(app.contact) : null
-    }));
+    const applications = await teamAppsDb.getApplications({
+      city_id: req.query.city_id,
+      status: req.query.status
+    });
 
     res.json({ applications });
   } catch (error) {
@@ -522,42 +612,25 @@ router.post('/team/applications', async (req, res) => {
       city_id,
       city_name,
       roles,
-      contractor_trade,
-      trades_in_demand,
-      commitment_level,
-      market_insights,
-      location,
       contact,
       resume,
-      why,
-      submitted_at
+      why
     } = req.body;
 
-    const result = await pool.query(`
-      INSERT INTO team_applications (
-        city_id, city_name, roles, contractor_trade, trades_in_demand,
-        commitment_level, market_insights, location, contact, resume,
-        why, submitted_at, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'pending')
-      RETURNING *
-    `, [
+    const application = await teamAppsDb.createApplication({
       city_id,
       city_name,
-      JSON.stringify(roles || []),
-      contractor_trade,
-      JSON.stringify(trades_in_demand || []),
-      commitment_level,
-      JSON.stringify(market_insights || {}),
-      JSON.stringify(location || {}),
-      JSON.stringify(contact || {}),
-      JSON.stringify(resume || null),
+      name: contact?.name,
+      email: contact?.email,
+      phone: contact?.phone,
+      roles: roles || [],
       why,
-      submitted_at
-    ]);
+      resume
+    });
 
     res.status(201).json({ 
       success: true,
-      application: result.rows[0]
+      application
     });
   } catch (error) {
     console.error('Error creating team application:', error);
@@ -570,24 +643,16 @@ router.patch('/team/applications/:id/approve', async (req, res) => {
     const { id } = req.params;
     const { notes } = req.body;
 
-    const result = await pool.query(`
-      UPDATE team_applications 
-      SET status = 'approved', 
-          reviewed_at = NOW(),
-          reviewer_notes = $1
-      WHERE id = $2
-      RETURNING *
-    `, [notes, id]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
+    const application = await teamAppsDb.approveApplication(id, notes || '');
 
     res.json({ 
       success: true,
-      application: result.rows[0]
+      application
     });
   } catch (error) {
+    if (error.message === 'Application not found') {
+      return res.status(404).json({ error: 'Application not found' });
+    }
     console.error('Error approving application:', error);
     res.status(500).json({ error: 'Failed to approve application' });
   }
@@ -598,24 +663,16 @@ router.patch('/team/applications/:id/reject', async (req, res) => {
     const { id } = req.params;
     const { notes } = req.body;
 
-    const result = await pool.query(`
-      UPDATE team_applications 
-      SET status = 'rejected', 
-          reviewed_at = NOW(),
-          reviewer_notes = $1
-      WHERE id = $2
-      RETURNING *
-    `, [notes, id]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
+    const application = await teamAppsDb.rejectApplication(id, notes || '');
 
     res.json({ 
       success: true,
-      application: result.rows[0]
+      application
     });
   } catch (error) {
+    if (error.message === 'Application not found') {
+      return res.status(404).json({ error: 'Application not found' });
+    }
     console.error('Error rejecting application:', error);
     res.status(500).json({ error: 'Failed to reject application' });
   }
@@ -636,40 +693,31 @@ router.post('/users/:id/pause', async (req, res) => {
     const pausedAt = new Date().toISOString();
 
     if (found.table === 'customers') {
-      const result = await pool.query(
-        'UPDATE customers SET status = $1, paused_at = $2, updated_at = NOW() WHERE id = $3 RETURNING * -- superadmin_pause',
-        ['paused', pausedAt, id]
-      );
+      const user = await USER_REPOS.customers.update(id, { status: 'paused', paused_at: pausedAt });
       await revokeSessionsByUser(id);
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Customer account paused'
       });
     }
 
     if (found.table === 'contractors') {
-      const result = await pool.query(
-        'UPDATE contractors SET status = $1, paused_at = $2, updated_at = NOW() WHERE id = $3 RETURNING * -- superadmin_pause',
-        ['paused', pausedAt, id]
-      );
+      const user = await USER_REPOS.contractors.update(id, { status: 'paused', paused_at: pausedAt });
       await revokeSessionsByUser(id);
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Contractor account paused'
       });
     }
 
     if (found.table === 'admins') {
-      const result = await pool.query(
-        'UPDATE admins SET status = $1, paused_at = $2, updated_at = NOW() WHERE id = $3 RETURNING * -- superadmin_pause',
-        ['paused', pausedAt, id]
-      );
+      const user = await USER_REPOS.admins.update(id, { status: 'paused', paused_at: pausedAt });
       await revokeSessionsByUser(id);
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Admin account paused'
       });
     }
@@ -693,37 +741,28 @@ router.post('/users/:id/resume', async (req, res) => {
     const resumedAt = new Date().toISOString();
 
     if (found.table === 'customers') {
-      const result = await pool.query(
-        'UPDATE customers SET status = $1, paused_at = NULL, resumed_at = $2, updated_at = NOW() WHERE id = $3 RETURNING * -- superadmin_resume',
-        ['active', resumedAt, id]
-      );
+      const user = await USER_REPOS.customers.update(id, { status: 'active', paused_at: null, resumed_at: resumedAt });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Customer account resumed'
       });
     }
 
     if (found.table === 'contractors') {
-      const result = await pool.query(
-        'UPDATE contractors SET status = $1, paused_at = NULL, resumed_at = $2, updated_at = NOW() WHERE id = $3 RETURNING * -- superadmin_resume',
-        ['active', resumedAt, id]
-      );
+      const user = await USER_REPOS.contractors.update(id, { status: 'active', paused_at: null, resumed_at: resumedAt });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Contractor account resumed'
       });
     }
 
     if (found.table === 'admins') {
-      const result = await pool.query(
-        'UPDATE admins SET status = $1, paused_at = NULL, resumed_at = $2, updated_at = NOW() WHERE id = $3 RETURNING * -- superadmin_resume',
-        ['active', resumedAt, id]
-      );
+      const user = await USER_REPOS.admins.update(id, { status: 'active', paused_at: null, resumed_at: resumedAt });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Admin account resumed'
       });
     }
@@ -751,47 +790,44 @@ router.post('/users/:id/terminate', async (req, res) => {
     const terminatedAt = new Date().toISOString();
 
     if (found.table === 'customers') {
-      const result = await pool.query(
-        'UPDATE customers SET status = $1, terminated_at = $2, termination_reason = $3, updated_at = NOW() WHERE id = $4 RETURNING * -- superadmin_terminate',
-        ['frozen', terminatedAt, reason || null, id]
-      );
+      const user = await USER_REPOS.customers.update(id, {
+        status: 'frozen',
+        terminated_at: terminatedAt,
+        termination_reason: reason || null
+      });
       await revokeSessionsByUser(id);
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Customer account terminated and frozen for 30 days. It can be reversed during this period.'
       });
     }
 
     if (found.table === 'contractors') {
-      const result = await pool.query(
-        'UPDATE contractors SET status = $1, terminated_at = $2, termination_reason = $3, updated_at = NOW() WHERE id = $4 RETURNING * -- superadmin_terminate',
-        ['frozen', terminatedAt, reason || null, id]
-      );
-      await revokeSessionsByUser(id);
-      db.jobs.forEach(job => {
-        if (String(job.contractor_id) === String(id)) {
-          job.contractor_id = null;
-          job.assignedContractorId = null;
-          job.status = 'ready_to_assign';
-        }
+      const user = await USER_REPOS.contractors.update(id, {
+        status: 'frozen',
+        terminated_at: terminatedAt,
+        termination_reason: reason || null
       });
+      await revokeSessionsByUser(id);
+      await jobLifecycle.releaseContractorJobs(id, { actor: req.actor, details: 'Contractor account terminated' });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Contractor account terminated and frozen for 30 days. It can be reversed during this period.'
       });
     }
 
     if (found.table === 'admins') {
-      const result = await pool.query(
-        'UPDATE admins SET status = $1, terminated_at = $2, termination_reason = $3, updated_at = NOW() WHERE id = $4 RETURNING * -- superadmin_terminate',
-        ['frozen', terminatedAt, reason || null, id]
-      );
+      const user = await USER_REPOS.admins.update(id, {
+        status: 'frozen',
+        terminated_at: terminatedAt,
+        termination_reason: reason || null
+      });
       await revokeSessionsByUser(id);
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Admin account terminated and frozen for 30 days. It can be reversed during this period.'
       });
     }
@@ -812,7 +848,7 @@ router.post('/users/:id/unfreeze', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    if (found.status !== 'frozen') {
+    if (found.user.status !== 'frozen') {
       return res.status(400).json({ error: 'Account is not frozen' });
     }
 
@@ -827,37 +863,40 @@ router.post('/users/:id/unfreeze', async (req, res) => {
     const unfrozenAt = new Date().toISOString();
 
     if (found.table === 'customers') {
-      const result = await pool.query(
-        'UPDATE customers SET status = $1, terminated_at = NULL, termination_reason = NULL, updated_at = NOW() WHERE id = $2 RETURNING * -- superadmin_unfreeze',
-        ['active', id]
-      );
+      const user = await USER_REPOS.customers.update(id, {
+        status: 'active',
+        terminated_at: null,
+        termination_reason: null
+      });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Customer account has been unfrozen and restored'
       });
     }
 
     if (found.table === 'contractors') {
-      const result = await pool.query(
-        'UPDATE contractors SET status = $1, terminated_at = NULL, termination_reason = NULL, updated_at = NOW() WHERE id = $2 RETURNING * -- superadmin_unfreeze',
-        ['active', id]
-      );
+      const user = await USER_REPOS.contractors.update(id, {
+        status: 'active',
+        terminated_at: null,
+        termination_reason: null
+      });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Contractor account has been unfrozen and restored'
       });
     }
 
     if (found.table === 'admins') {
-      const result = await pool.query(
-        'UPDATE admins SET status = $1, terminated_at = NULL, termination_reason = NULL, updated_at = NOW() WHERE id = $2 RETURNING * -- superadmin_unfreeze',
-        ['active', id]
-      );
+      const user = await USER_REPOS.admins.update(id, {
+        status: 'active',
+        terminated_at: null,
+        termination_reason: null
+      });
       return res.json({ 
         success: true, 
-        user: mapUser(result.rows[0], found.role),
+        user: mapUser(user, found.role),
         message: 'Admin account has been unfrozen and restored'
       });
     }
@@ -888,15 +927,12 @@ router.patch('/contractors/:id/tier', async (req, res) => {
       return res.status(404).json({ error: 'Contractor not found' });
     }
 
-    const result = await pool.query(
-      'UPDATE contractors SET tier = $1, updated_at = NOW() WHERE id = $2 RETURNING * -- superadmin_tier_update',
-      [tier.toLowerCase(), id]
-    );
+    const contractor = await contractorsRepo.update(id, { tier: tier.toLowerCase() });
 
     res.json({ 
       success: true, 
       contractor: {
-        ...mapUser(result.rows[0], 'contractor'),
+        ...mapUser(contractor, 'contractor'),
         tier: tier.toLowerCase()
       },
       message: `Contractor tier updated to ${tier}`
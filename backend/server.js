@@ -4,29 +4,72 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const hpp = require('hpp');
 const pinoHttp = require('pino-http');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const ENV = require('./config/env');
 const logger = require('./lib/logger');
+const financials = require('./lib/financials');
 const { pool: dbPool, closePool: closeDbPool } = require('./db/pool');
 const { auditContext } = require('./middleware/audit-context');
 const { authenticateToken, requireAdmin, requireSuperAdmin } = require('./middleware/auth');
+const { ADMIN_ROLES, requireRole, requireSelf, requireJobParticipant } = require('./middleware/policies');
 const { auditLog } = require('./middleware/audit-log');
 const auditRoutes = require('./routes/audit');
+const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
+const financialsRoutes = require('./routes/financials');
+const paymentsRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 const superadminRoutes = require('./routes/superadmin');
 const { logEvent } = require('./services/audit-service');
+const jobLifecycle = require('./services/job-lifecycle');
+const authTokens = require('./services/auth-tokens');
+const { issueToken } = require('./services/sessions');
+const mfa = require('./services/mfa');
+const payments = require('./services/payments');
+const payoutAdjustments = require('./services/payout-adjustments');
+const ledger = require('./services/ledger');
+const tax = require('./services/tax');
+const documents = require('./services/documents');
+const quotes = require('./services/quotes');
+const pricing = require('./services/pricing');
+const changeOrders = require('./services/change-orders');
+const checkIns = require('./services/check-ins');
+const messages = require('./services/messages');
+const messageScheduler = require('./services/messages/scheduler');
+const notifications = require('./services/notifications');
+const notificationScheduler = require('./services/notifications/scheduler');
+const promotions = require('./services/promotions');
+const dispatch = require('./services/dispatch');
+const dispatchScheduler = require('./services/dispatch/scheduler');
+const geo = require('./services/dispatch/geo');
+const scheduling = require('./services/scheduling');
+const payouts = require('./services/payouts');
+const payoutScheduler = require('./services/payouts/scheduler');
+const payoutSchedule = require('./services/payouts/schedule');
+const { JobTransitionError } = jobLifecycle;
 const { diffObjects } = require('./utils/diff');
 const { initEmailService, sendApprovalEmail, sendRejectionEmail, sendNewApplicationNotification } = require('./email-service');
 
 // Import PostgreSQL team applications service
 const teamAppsDb = require('./services/team-applications-db');
 
-// Import mock database
-const { pool } = require('./mock-db');
+// Data access (PostgreSQL or in-memory, selected by DATA_STORE)
+const {
+  jobs: jobsRepo,
+  jobEvents: jobEventsRepo,
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  admins: adminsRepo,
+  addresses: addressesRepo,
+  specialties: specialtiesRepo,
+  services: servicesRepo,
+  payoutBatches: payoutBatchesRepo,
+  documents: documentsRepo,
+  auditLogs: auditLogsRepo
+} = require('./repositories');
 
 const app = express();
 const PORT = ENV.port;
@@ -34,39 +77,10 @@ const PORT = ENV.port;
 // Initialize email service
 initEmailService();
 
-const SESSION_TTL_DAYS = ENV.sessionTtlDays;
-const SESSION_TTL_MS = SESSION_TTL_DAYS * 24 * 60 * 60 * 1000;
-
-// Stripe payment processing fees (2.9% + $0.30 CAD per transaction)
-const STRIPE_FEES = {
-  percentage: 0.029,
-  fixedFee: 0.30,
-  description: '2.9% + $0.30 CAD'
-};
-
 function uuidv4() {
   return crypto.randomUUID();
 }
 
-async function createSession(user, role) {
-  const sessionId = crypto.randomUUID();
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
-  await pool.query(
-    'INSERT INTO sessions (id, user_id, user_role, created_at, expires_at, revoked_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-    [sessionId, user.id, role, now.toISOString(), expiresAt.toISOString(), null]
-  );
-  return { sessionId, expiresAt };
-}
-
-async function issueToken(user, role) {
-  const { sessionId, expiresAt } = await createSession(user, role);
-  const token = jwt.sign({ id: user.id, role, sid: sessionId, email: user.email }, ENV.jwtSecret, {
-    expiresIn: ENV.jwtExpiresIn
-  });
-  return { token, sessionId, expiresAt };
-}
-
 // ---------------------------------------------------------------------------
 // Production Hardening Middleware
 // ---------------------------------------------------------------------------
@@ -117,6 +131,9 @@ app.use(limiter);
 // Prevent HTTP Parameter Pollution
 app.use(hpp());
 
+// Payment webhooks are verified against the raw body, so they come before the JSON parser
+app.use('/api/payments', paymentsRoutes);
+
 // Body parsing with size limits to prevent payload abuse
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: false, limit: '1mb' }));
@@ -136,28 +153,21 @@ app.use(express.static(frontendPath, {
 
 app.use(authenticateToken);
 app.use(auditContext);
-app.use('/api/audit', auditRoutes);
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/audit', requireAdmin, auditRoutes);
+app.use('/api/financials', financialsRoutes);
 app.use('/api/admin', requireAdmin);
 app.use('/api/admin', auditLog());
 app.use('/api/admin', adminRoutes);
 app.use('/api/superadmin', requireSuperAdmin);
 app.use('/api/superadmin', superadminRoutes);
+app.use('/api/customer', requireRole('customer', ...ADMIN_ROLES));
+app.use('/api/contractor', requireRole('contractor', ...ADMIN_ROLES));
 
 const expansionProposals = [];
 const teamApplications = [];
 const contractorAuditLog = new Map();
-const contractorPayments = [];
-
-const CONTRACTOR_TIERS = {
-  bronze: { platformFee: 0.20 },
-  silver: { platformFee: 0.15 },
-  gold: { platformFee: 0.10 }
-};
-
-function getTierRate(tierKey) {
-  const key = String(tierKey || 'bronze').toLowerCase();
-  return (CONTRACTOR_TIERS[key] || CONTRACTOR_TIERS.bronze).platformFee;
-}
 
 function parseMonthParam(monthParam) {
   if (!monthParam) return null;
@@ -174,96 +184,83 @@ function getMonthRange(monthParam) {
   return { start, end };
 }
 
-function toNumber(value) {
-  if (value === null || value === undefined) return null;
-  if (typeof value === 'number') return value;
-  const parsed = Number(String(value).replace(/[^0-9.-]/g, ''));
-  return Number.isNaN(parsed) ? null : parsed;
+/**
+ * Material cost from a contractor form, in cents (blank means none)
+ * @throws {FinancialsError} When it is not a non-negative amount
+ */
+function parseMaterialCost(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const cents = financials.toCents(value);
+  if (cents === null || cents < 0) {
+    throw new financials.FinancialsError('Invalid material cost');
+  }
+  return cents;
 }
 
-function attachContractorTier(jobs, contractors = []) {
-  if (!Array.isArray(jobs) || jobs.length === 0) return jobs;
-  const tierById = new Map(
-    (contractors || []).map(contractor => [
-      contractor.id,
-      contractor.contractor_tier || contractor.contractorTier || 'bronze'
-    ])
-  );
-  return jobs.map(job => {
-    if (!job) return job;
-    if (job.contractor_tier || job.contractorTier) return job;
-    const tier = tierById.get(job.contractor_id);
-    if (!tier) return job;
-    return { ...job, contractor_tier: tier };
-  });
+/**
+ * Payment snapshot kept on a job's completion report
+ * @param {number|null} finalPriceCents - null when the job has no fixed price
+ * @param {number} materialCents
+ * @param {string} tier - Contractor tier
+ * @param {string} [source] - 'estimate' or 'quote' (the price is an accepted quote's)
+ */
+function buildCompletionPayment(finalPriceCents, materialCents, tier, source = 'estimate') {
+  const rateBps = financials.tierRateBps(tier);
+  const breakdown = finalPriceCents !== null
+    ? financials.calculate({ finalPriceCents, materialCents, tier })
+    : null;
+  const dollars = field => (breakdown ? financials.toDollars(breakdown[field]) : null);
+  return {
+    amount: dollars('contractor_payout'),
+    currency: financials.CURRENCY,
+    source,
+    final_price: dollars('final_price'),
+    materials_cost: financials.toDollars(materialCents),
+    net_amount: dollars('net_amount'),
+    stripe_fee: dollars('stripe_fee'),
+    platform_fee: dollars('platform_fee'),
+    contractor_share: (10000 - rateBps) / 10000,
+    company_share: rateBps / 10000,
+    company_amount: dollars('platform_fee'),
+    issued_at: new Date().toISOString()
+  };
 }
 
-function computeFinancials(job) {
-  const completionPayment = job?.completion_report?.payment || {};
-  const completionReport = job?.completion_report || {};
-  const finalPrice = toNumber(completionPayment.final_price)
-    ?? toNumber(job.final_price)
-    ?? toNumber(job.estimate?.max)
-    ?? toNumber(job.estimate?.min)
-    ?? null;
-  if (finalPrice === null) {
-    return {
-      final_price: null,
-      material_fees: null,
-      stripe_fee: null,
-      platform_fee: null,
-      contractor_payout: null,
-      net_platform_revenue: null
-    };
-  }
-
-  const materialFees = toNumber(job.material_fees)
-    ?? toNumber(completionPayment.materials_cost)
-    ?? toNumber(completionReport.material_costs)
-    ?? 0;
-  
-  // Calculate Stripe processing fees (2.9% + $0.30 per transaction)
-  const stripeFee = (finalPrice * STRIPE_FEES.percentage) + STRIPE_FEES.fixedFee;
-  
-  const netAmount = Math.max(0, finalPrice - materialFees);
-  const tierRate = getTierRate(job.contractor_tier || job.contractorTier);
-  const platformFee = netAmount * tierRate;
-  
-  // Contractor payout = net amount - stripe fees - platform fee
-  const contractorPayout = Math.max(0, netAmount - stripeFee - platformFee);
-  
-  // Net platform revenue = platform fee (net platform revenue after paying stripe)
-  const netPlatformRevenue = platformFee;
-
+/**
+ * A completion payment snapshot with the job's sales tax and what the
+ * customer owes in total
+ * @param {Object} payment - buildCompletionPayment() result
+ * @param {Object|null} salesTax - tax.forJob() result
+ */
+function withSalesTax(payment, salesTax) {
+  const taxCents = financials.toCents(salesTax && salesTax.total) || 0;
   return {
-    final_price: Math.round(finalPrice * 100) / 100,
-    material_fees: Math.round(materialFees * 100) / 100,
-    stripe_fee: Math.round(stripeFee * 100) / 100,
-    platform_fee: Math.round(platformFee * 100) / 100,
-    contractor_payout: Math.round(contractorPayout * 100) / 100,
-    net_platform_revenue: Math.round(netPlatformRevenue * 100) / 100
+    ...payment,
+    sales_tax: financials.toDollars(taxCents),
+    tax_lines: salesTax ? salesTax.lines : [],
+    total_due: payment.final_price === null
+      ? null
+      : financials.toDollars(financials.toCents(payment.final_price) + taxCents)
   };
 }
 
-function nextPaymentDate(schedule) {
-  const now = new Date();
-  const day = now.getDay();
-  const date = new Date(now);
-  if (schedule === 'per-job') return now;
-  if (schedule === 'weekly') {
-    const daysUntilFriday = (5 - day + 7) % 7 || 7;
-    date.setDate(now.getDate() + daysUntilFriday);
-    return date;
-  }
-  if (schedule === 'biweekly') {
-    const daysUntilFriday = (5 - day + 7) % 7 || 7;
-    date.setDate(now.getDate() + daysUntilFriday + 7);
-    return date;
-  }
-  if (schedule === 'monthly') {
-    return new Date(now.getFullYear(), now.getMonth() + 1, 0);
-  }
-  return now;
+/**
+ * Pending clawbacks for a contractor, as returned by the payout endpoints
+ */
+async function pendingAdjustmentsPayload(contractorId) {
+  const { adjustments, totalCents } = await payoutAdjustments.pendingFor(contractorId);
+  return {
+    total: financials.toDollars(totalCents),
+    total_cents: totalCents,
+    items: adjustments.map(adjustment => ({
+      id: adjustment.id,
+      job_id: adjustment.job_id,
+      refund_id: adjustment.refund_id,
+      reason: adjustment.reason,
+      amount: Number(adjustment.amount),
+      created_at: adjustment.created_at
+    }))
+  };
 }
 
 const UPLOAD_ROOT = path.join(__dirname, 'uploads', 'contractor-documents');
@@ -271,15 +268,6 @@ const JOB_PHOTO_ROOT = path.join(__dirname, 'uploads', 'job-photos');
 fs.mkdirSync(UPLOAD_ROOT, { recursive: true });
 fs.mkdirSync(JOB_PHOTO_ROOT, { recursive: true });
 
-let servicePricing = null;
-try {
-  const pricingPath = path.join(__dirname, 'service-pricing.json');
-  servicePricing = JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
-} catch (error) {
-  console.warn('Service pricing not loaded:', error.message);
-  servicePricing = { globalRules: { urgencyMultipliers: {} }, categories: [] };
-}
-
 function parseDataUrl(dataUrl) {
   const match = /^data:([^;]+);base64,(.+)$/.exec(dataUrl || '');
   if (!match) return null;
@@ -376,48 +364,50 @@ function saveJobPhoto(jobId, photo) {
   };
 }
 
-function getUrgencyMultiplier(urgency, timeWindow) {
-  const multipliers = (servicePricing && servicePricing.globalRules && servicePricing.globalRules.urgencyMultipliers) || {};
-  const urgencyKeyMap = {
-    'same-day': 'same_day',
-    'same_day': 'same_day',
-    'next-day': 'standard',
-    'next_day': 'standard',
-    'scheduled': 'standard',
-    'emergency': 'emergency'
-  };
-  const mapped = urgencyKeyMap[urgency] || null;
-  if (mapped && multipliers[mapped]) return multipliers[mapped];
-  if (timeWindow === 'flexible' && multipliers.flexible) return multipliers.flexible;
-  return multipliers.standard || 1.0;
+/**
+ * Price range for a service from the pricing catalogue (services/pricing.js),
+ * with the sales tax on it when the province and tax rules are given
+ * @param {Object} request - { service_type_id, urgency, time_window, property_type, province, city,
+ *   at (when the job was requested), versionId (the job's pricing version), taxRules }
+ */
+async function buildEstimate({ taxRules, ...request }) {
+  const estimate = await pricing.estimate(request);
+  const salesTax = request.province && taxRules
+    ? tax.forEstimate(estimate, request.province, taxRules, request.service_type_id)
+    : null;
+  return salesTax ? { ...estimate, tax: salesTax } : estimate;
 }
 
-function findServicePricing(serviceTypeId) {
-  const categories = (servicePricing && servicePricing.categories) || [];
-  for (const category of categories) {
-    const match = category.services.find(service => service.id === serviceTypeId);
-    if (match) return match.pricing;
-  }
-  return null;
+/**
+ * A job's estimate, priced with the version it was first priced with
+ */
+function buildJobEstimate(job, taxRules) {
+  return buildEstimate({
+    service_type_id: job.service_type_id,
+    urgency: job.urgency,
+    time_window: job.time_window,
+    property_type: job.property_type,
+    province: job.province,
+    city: job.city,
+    at: job.created_at,
+    versionId: job.pricing_version_id,
+    taxRules
+  });
 }
 
-function buildEstimate({ service_type_id, urgency, time_window }) {
-  const pricing = findServicePricing(service_type_id);
-  if (!pricing) {
-    return { mode: 'unknown', reason: 'No pricing available' };
-  }
-  if (pricing.quote_only) {
-    return { mode: 'quote_only' };
-  }
-  const multiplier = getUrgencyMultiplier(urgency, time_window);
-  const min = pricing.min ? Math.round(pricing.min * multiplier) : null;
-  const max = pricing.max ? Math.round(pricing.max * multiplier) : null;
-  return {
-    mode: 'fixed_range',
-    min,
-    max,
-    multiplier
-  };
+/**
+ * The price agreed for a job, in cents: the accepted quote's total (stored as
+ * final_price, with any approved change orders) or the top of its fixed
+ * range; null for a quoted job with no accepted quote
+ */
+async function agreedPriceCents(job) {
+  if (job.final_price !== null && job.final_price !== undefined) {
+    return financials.toCents(job.final_price);
+  }
+  const estimate = job.estimate && job.estimate.mode ? job.estimate : await buildJobEstimate(job);
+  return estimate && estimate.mode === 'fixed_range'
+    ? financials.toCents(estimate.max ?? estimate.min)
+    : null;
 }
 
 function maskStreetNumber(addressLine1) {
@@ -436,12 +426,21 @@ app.get('/api/services/estimate', async (req, res) => {
     const service_type_id = parseInt(req.query.service_type_id);
     const urgency = req.query.urgency || 'standard';
     const time_window = req.query.time_window || 'standard';
+    const { province, city, property_type } = req.query;
 
     if (!service_type_id || Number.isNaN(service_type_id)) {
       return res.status(400).json({ error: 'service_type_id is required' });
     }
 
-    const estimate = buildEstimate({ service_type_id, urgency, time_window });
+    const estimate = await buildEstimate({
+      service_type_id,
+      urgency,
+      time_window,
+      property_type,
+      province,
+      city,
+      taxRules: province ? await tax.getRules() : null
+    });
     res.json({ estimate });
   } catch (error) {
     console.error('Estimate error:', error);
@@ -449,12 +448,41 @@ app.get('/api/services/estimate', async (req, res) => {
   }
 });
 
+// Appointment slots open for a booking (at least one qualified contractor free)
+app.get('/api/appointments/slots', async (req, res) => {
+  try {
+    const service_type_id = parseInt(req.query.service_type_id);
+    if (!service_type_id || Number.isNaN(service_type_id)) {
+      return res.status(400).json({ error: 'service_type_id is required' });
+    }
+    const { city, province, latitude, longitude } = req.query;
+    res.json(await scheduling.slots({ service_type_id, city, province, latitude, longitude }));
+  } catch (error) {
+    console.error('Appointment slots error:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment slots' });
+  }
+});
+
+// A contractor's private calendar feed; the token in the URL is the only credential
+app.get('/api/calendar/:file', async (req, res) => {
+  try {
+    const contractor = await scheduling.feed.findContractor(req.params.file.replace(/\.ics$/i, ''));
+    if (!contractor) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.type('text/calendar; charset=utf-8').send(await scheduling.feed.render(contractor));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
 // Admin login
 app.post('/api/auth/admin/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const result = await pool.query('SELECT * FROM admins WHERE email = $1', [email]);
-    const admin = result.rows[0];
+    const admin = await adminsRepo.findByEmail(email);
     
     if (!admin || !await bcrypt.compare(password, admin.password_hash)) {
       return res.status(401).json({ error: 'Invalid credentials' });
@@ -474,7 +502,7 @@ app.post('/api/auth/admin/login', async (req, res) => {
         const daysLeft = Math.ceil((freezeEndDate - now) / (24 * 60 * 60 * 1000));
         return res.status(403).json({ error: `Account has been terminated and is frozen for ${daysLeft} more days. Contact support to reverse.` });
       } else {
-        await pool.query('DELETE FROM admins WHERE id = $1', [admin.id]);
+        await adminsRepo.remove(admin.id);
         return res.status(401).json({ error: 'Account has been permanently deleted.' });
       }
     }
@@ -489,9 +517,19 @@ app.post('/api/auth/admin/login', async (req, res) => {
     const role = (ENV.superadminEmail && admin.email && admin.email.toLowerCase() === ENV.superadminEmail.toLowerCase())
       ? 'super_admin'
       : normalizedRole;
-    const { token } = await issueToken(admin, role);
+
+    // Second factor: enrolled admins enter a code, others set one up if their role requires it
+    if (mfa.isEnabled(admin)) {
+      return res.json({ mfaRequired: true, mfaToken: mfa.signMfaToken(admin, role) });
+    }
+    if (await mfa.isRequired(role)) {
+      return res.json({ mfaSetupRequired: true, mfaToken: mfa.signMfaToken(admin, role) });
+    }
+
+    const { token, refreshToken } = await issueToken(admin, role, req.audit);
     res.json({
       token,
+      refreshToken,
       user: { id: admin.id, email: admin.email, full_name: admin.full_name, role, tier: admin.tier || null }
     });
   } catch (error) {
@@ -502,49 +540,49 @@ app.post('/api/auth/admin/login', async (req, res) => {
 // Customer auth - register
 app.post('/api/auth/customer/register', async (req, res) => {
   try {
-    const { email, password, full_name, phone } = req.body || {};
+    const { email, password, full_name, phone, referral_code } = req.body || {};
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
     const normalizedEmail = String(email).trim().toLowerCase();
-    const result = await pool.query('SELECT * FROM customers WHERE LOWER(email) = $1', [normalizedEmail]);
-    let customer = result.rows[0];
+    let customer = await customersRepo.findByEmail(normalizedEmail);
 
     if (customer && customer.password_hash) {
       return res.status(400).json({ error: 'Customer already registered' });
     }
-
-    const passwordHash = await bcrypt.hash(password, 10);
+    // A guest account (booked without a password) is claimed through the emailed link
     if (customer) {
-      const updateResult = await pool.query(
-        'UPDATE customers SET password_hash = $1, full_name = $2, phone = $3 WHERE id = $4 RETURNING *',
-        [
-          passwordHash,
-          full_name || customer.full_name || null,
-          phone || customer.phone || null,
-          customer.id
-        ]
-      );
-      customer = updateResult.rows[0];
-    } else {
-      const createResult = await pool.query(
-        'INSERT INTO customers (email, full_name, phone, password_hash) VALUES ($1, $2, $3, $4) RETURNING *',
-        [normalizedEmail, full_name || null, phone || null, passwordHash]
-      );
-      customer = createResult.rows[0];
+      await authTokens.sendPasswordReset(customer, 'customer', { ip: req.audit?.ip });
+      return res.status(400).json({
+        error: 'An account exists for this email. We have emailed you a link to set its password.'
+      });
+    }
+
+    customer = await customersRepo.create({
+      email: normalizedEmail,
+      full_name: full_name || null,
+      phone: phone || null,
+      password_hash: await bcrypt.hash(password, 10)
+    });
+
+    if (referral_code) {
+      await promotions.recordReferral(customer, referral_code);
     }
 
     const role = customer.role || 'customer';
-    const { token } = await issueToken(customer, role);
+    await authTokens.sendEmailVerification(customer, 'customer', { ip: req.audit?.ip });
+    const { token, refreshToken } = await issueToken(customer, role, req.audit);
     res.json({
       token,
+      refreshToken,
       user: {
         id: customer.id,
         email: customer.email,
         full_name: customer.full_name,
         phone: customer.phone || null,
-        role
+        role,
+        email_verified: Boolean(customer.email_verified_at)
       }
     });
   } catch (error) {
@@ -562,8 +600,7 @@ app.post('/api/auth/customer/login', async (req, res) => {
     }
 
     const normalizedEmail = String(email).trim().toLowerCase();
-    const result = await pool.query('SELECT * FROM customers WHERE LOWER(email) = $1', [normalizedEmail]);
-    const customer = result.rows[0];
+    const customer = await customersRepo.findByEmail(normalizedEmail);
 
     if (!customer) {
       return res.status(401).json({ error: 'Invalid credentials' });
@@ -591,22 +628,24 @@ app.post('/api/auth/customer/login', async (req, res) => {
         const daysLeft = Math.ceil((freezeEndDate - now) / (24 * 60 * 60 * 1000));
         return res.status(403).json({ error: `Account has been terminated and is frozen for ${daysLeft} more days. Contact support to reverse.` });
       } else {
-        await pool.query('DELETE FROM customers WHERE id = $1', [customer.id]);
+        await customersRepo.remove(customer.id);
         return res.status(401).json({ error: 'Account has been permanently deleted.' });
       }
     }
 
     const role = customer.role || 'customer';
-    const { token } = await issueToken(customer, role);
+    const { token, refreshToken } = await issueToken(customer, role, req.audit);
     res.json({
       token,
+      refreshToken,
       user: {
         id: customer.id,
         email: customer.email,
         full_name: customer.full_name,
         phone: customer.phone || null,
         role,
-        tier: customer.tier || null
+        tier: customer.tier || null,
+        email_verified: Boolean(customer.email_verified_at)
       }
     });
   } catch (error) {
@@ -615,38 +654,11 @@ app.post('/api/auth/customer/login', async (req, res) => {
   }
 });
 
-// Customer auth - reset password (demo)
-app.post('/api/auth/customer/reset-password', async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and new password are required' });
-    }
-
-    const normalizedEmail = String(email).trim().toLowerCase();
-    const result = await pool.query('SELECT * FROM customers WHERE LOWER(email) = $1', [normalizedEmail]);
-    const customer = result.rows[0];
-
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-
-    const passwordHash = await bcrypt.hash(password, 10);
-    await pool.query('UPDATE customers SET password_hash = $1 WHERE id = $2 RETURNING *', [passwordHash, customer.id]);
-
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Customer reset password error:', error);
-    res.status(500).json({ error: 'Failed to reset password' });
-  }
-});
-
 // Contractor login
 app.post('/api/auth/contractor/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const result = await pool.query('SELECT * FROM contractors WHERE email = $1', [email]);
-    const contractor = result.rows[0];
+    const contractor = await contractorsRepo.findByEmail(email);
     
     if (!contractor || !await bcrypt.compare(password, contractor.password_hash)) {
       return res.status(401).json({ error: 'Invalid credentials' });
@@ -666,15 +678,16 @@ app.post('/api/auth/contractor/login', async (req, res) => {
         const daysLeft = Math.ceil((freezeEndDate - now) / (24 * 60 * 60 * 1000));
         return res.status(403).json({ error: `Account has been terminated and is frozen for ${daysLeft} more days. Contact support to reverse.` });
       } else {
-        await pool.query('DELETE FROM contractors WHERE id = $1', [contractor.id]);
+        await contractorsRepo.remove(contractor.id);
         return res.status(401).json({ error: 'Account has been permanently deleted.' });
       }
     }
     
     const role = contractor.role || 'contractor';
-    const { token } = await issueToken(contractor, role);
+    const { token, refreshToken } = await issueToken(contractor, role, req.audit);
     res.json({
       token,
+      refreshToken,
       user: {
         id: contractor.id,
         email: contractor.email,
@@ -682,7 +695,8 @@ app.post('/api/auth/contractor/login', async (req, res) => {
         business_name: contractor.business_name,
         vetting_status: contractor.vetting_status,
         role,
-        tier: contractor.tier || 'bronze'
+        tier: contractor.tier || 'bronze',
+        email_verified: Boolean(contractor.email_verified_at)
       }
     });
   } catch (error) {
@@ -690,44 +704,23 @@ app.post('/api/auth/contractor/login', async (req, res) => {
   }
 });
 
-async function getQualifiedServiceTypeIds() {
-  const contractorsResult = await pool.query('SELECT * FROM contractors');
-  const approvedContractors = contractorsResult.rows.filter(
-    c => c.vetting_status === 'APPROVED_ACTIVE'
-  );
-
-  if (approvedContractors.length === 0) {
-    return new Set();
-  }
-
-  const specialtyResults = await Promise.all(
-    approvedContractors.map(contractor =>
-      pool.query('SELECT service_type_id FROM contractor_specialties WHERE contractor_id = $1', [contractor.id])
-    )
-  );
-
-  const typeIds = new Set();
-  specialtyResults.forEach(result => {
-    result.rows.forEach(row => typeIds.add(row.service_type_id));
-  });
-
-  return typeIds;
+function getQualifiedServiceTypeIds() {
+  return specialtiesRepo.listQualifiedServiceTypeIds();
 }
 
 // Service categories
 app.get('/api/services/categories', async (req, res) => {
   const qualifiedOnly = req.query.qualifiedOnly === 'true' || req.query.qualifiedOnly === '1';
-  const result = await pool.query('SELECT * FROM service_categories');
-  let categories = result.rows;
+  let categories = await servicesRepo.listCategories();
 
   if (qualifiedOnly) {
     const qualifiedTypeIds = await getQualifiedServiceTypeIds();
     if (qualifiedTypeIds.size === 0) {
       return res.json({ categories: [] });
     }
-    const typesResult = await pool.query('SELECT * FROM service_types');
+    const types = await servicesRepo.listTypes();
     const qualifiedCategoryIds = new Set(
-      typesResult.rows
+      types
         .filter(type => qualifiedTypeIds.has(type.id))
         .map(type => type.category_id)
     );
@@ -741,14 +734,12 @@ app.get('/api/services/categories', async (req, res) => {
 app.get('/api/services/types', async (req, res) => {
   const { categoryId } = req.query;
   const qualifiedOnly = req.query.qualifiedOnly === 'true' || req.query.qualifiedOnly === '1';
-  const result = categoryId
-    ? await pool.query('SELECT * FROM service_types WHERE category_id = $1', [categoryId])
-    : await pool.query('SELECT * FROM service_types');
+  const allTypes = await servicesRepo.listTypes({ categoryId });
 
   const qualifiedTypeIds = qualifiedOnly ? await getQualifiedServiceTypeIds() : null;
   const types = qualifiedOnly
-    ? result.rows.filter(type => qualifiedTypeIds.has(type.id))
-    : result.rows;
+    ? allTypes.filter(type => qualifiedTypeIds.has(type.id))
+    : allTypes;
 
   res.json({ types });
 });
@@ -759,37 +750,55 @@ app.post('/api/jobs/create', async (req, res) => {
     const auditMeta = req.audit || {};
     const { service_category_id, service_type_id, description, property_type,
             address_line1, address_line2, address_number, address_street,
-            city, province, postal_code, urgency, time_window, customer, problem_photo } = req.body;
+            city, province, postal_code, latitude, longitude, urgency, time_window, customer, problem_photo,
+            promo_code, referral_code, appointment_start } = req.body;
     
     const customerEmail = String(customer?.email || '').trim().toLowerCase();
     const customerPassword = customer?.password ? String(customer.password) : '';
-    let customerResult = await pool.query('SELECT * FROM customers WHERE email = $1', [customerEmail]);
-    let customerRecord = customerResult.rows[0];
-    
-    if (!customerRecord) {
-      if (customerPassword) {
-        const passwordHash = await bcrypt.hash(customerPassword, 10);
-        customerResult = await pool.query(
-          'INSERT INTO customers (email, full_name, phone, password_hash) VALUES ($1, $2, $3, $4) RETURNING *',
-          [customerEmail, customer.full_name, customer.phone, passwordHash]
-        );
-      } else {
-        customerResult = await pool.query(
-          'INSERT INTO customers (email, full_name, phone) VALUES ($1, $2, $3) RETURNING *',
-          [customerEmail, customer.full_name, customer.phone]
-        );
+    // A signed-in customer books as themselves; guests are matched by email
+    let customerRecord = req.user?.role === 'customer'
+      ? await customersRepo.findById(req.user.id)
+      : await customersRepo.findByEmail(customerEmail);
+
+    // Booking (and receiving a token) for an existing account needs its password.
+    // An account without one (an earlier guest booking) is claimed through the
+    // emailed set-password link, never by whoever knows the address.
+    if (customerRecord && req.user?.role !== 'customer') {
+      if (!customerRecord.password_hash) {
+        await authTokens.sendPasswordReset(customerRecord, 'customer', { ip: auditMeta.ip });
+        return res.status(401).json({
+          error: 'An account exists for this email. We have emailed you a link to set its password; please log in to book.'
+        });
       }
-      customerRecord = customerResult.rows[0];
-    } else if (customerPassword && !customerRecord.password_hash) {
-      const passwordHash = await bcrypt.hash(customerPassword, 10);
-      const updateResult = await pool.query(
-        'UPDATE customers SET password_hash = $1 WHERE id = $2 RETURNING *',
-        [passwordHash, customerRecord.id]
-      );
-      if (updateResult.rows[0]) {
-        customerRecord = updateResult.rows[0];
+      const passwordOk = customerPassword && await bcrypt.compare(customerPassword, customerRecord.password_hash);
+      if (!passwordOk) {
+        return res.status(401).json({ error: 'An account exists for this email. Please log in to book.' });
       }
     }
+
+    // A promo code that cannot apply stops the booking before anything is saved
+    if (promo_code) {
+      await promotions.checkCode(promo_code, { customerId: customerRecord?.id, serviceCategoryId: service_category_id });
+    }
+    // So does an appointment slot that has been taken meanwhile
+    const appointment = appointment_start
+      ? await scheduling.checkSlot({ service_type_id, city, province, latitude, longitude }, appointment_start)
+      : {};
+    
+    // Set when this booking also signs the customer up with a password
+    let accountCreated = false;
+    if (!customerRecord) {
+      customerRecord = await customersRepo.create({
+        email: customerEmail,
+        full_name: customer.full_name,
+        phone: customer.phone,
+        password_hash: customerPassword ? await bcrypt.hash(customerPassword, 10) : null
+      });
+      accountCreated = Boolean(customerPassword);
+    }
+    if (accountCreated && !customerRecord.email_verified_at) {
+      await authTokens.sendEmailVerification(customerRecord, 'customer', { ip: auditMeta.ip });
+    }
     
     const normalizedAddressLine1 = (() => {
       if (address_line1) return String(address_line1).trim();
@@ -798,56 +807,114 @@ app.post('/api/jobs/create', async (req, res) => {
       return `${numberPart} ${streetPart}`.trim();
     })();
 
-    const addressResult = await pool.query(
-      'INSERT INTO addresses (address_line1, address_line2, city, province, postal_code, property_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [normalizedAddressLine1, address_line2, city, province, postal_code, property_type]
-    );
+    // Coordinates from the booking form, when the browser could share them
+    const position = geo.point(latitude, longitude);
+    const address = await addressesRepo.create({
+      address_line1: normalizedAddressLine1,
+      address_line2,
+      city,
+      province,
+      postal_code,
+      property_type,
+      latitude: position ? position.latitude : null,
+      longitude: position ? position.longitude : null
+    });
     
-    const jobResult = await pool.query(
-      'INSERT INTO jobs (customer_id, service_category_id, service_type_id, address_id, description, urgency, time_window, status) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-      [customerRecord.id, service_category_id, service_type_id, addressResult.rows[0].id, description, urgency, time_window, 'submitted']
-    );
-    const job = jobResult.rows[0];
-    if (job) {
-      job.estimate = buildEstimate({
-        service_type_id: job.service_type_id,
-        urgency: job.urgency,
-        time_window: job.time_window
-      });
-      if (problem_photo) {
-        job.problem_photo = saveJobPhoto(job.id, problem_photo);
+    const createdJob = await jobsRepo.create({
+      customer_id: customerRecord.id,
+      service_category_id,
+      service_type_id,
+      address_id: address.id,
+      description,
+      urgency,
+      time_window,
+      status: 'submitted',
+      ...appointment
+    });
+    const estimate = await buildEstimate({
+      service_type_id: createdJob.service_type_id,
+      urgency: createdJob.urgency,
+      time_window: createdJob.time_window,
+      property_type: address.property_type,
+      province: address.province,
+      city: address.city,
+      at: createdJob.created_at,
+      taxRules: await tax.getRules()
+    });
+    const job = await jobsRepo.update(createdJob.id, {
+      estimate,
+      pricing_version_id: estimate.pricing_version.id,
+      inspection_fee_status: estimate.mode === 'inspection_fee' ? 'unpaid' : undefined,
+      problem_photo: problem_photo ? saveJobPhoto(createdJob.id, problem_photo) : undefined
+    });
+    
+    const creator = req.actor || { role: 'customer', id: customerRecord.id, email: customerRecord.email };
+    await jobLifecycle.recordCreated(job, creator);
+    if (referral_code) {
+      await promotions.recordReferral(customerRecord, referral_code, creator);
+    }
+    // The code was checked above; it can still run out in between, which does not undo the booking
+    let promo = null;
+    let promoError;
+    if (promo_code) {
+      try {
+        promo = await promotions.applyToJob(job, promo_code, creator);
+      } catch (error) {
+        if (!(error instanceof promotions.PromotionError)) throw error;
+        promoError = error.message;
       }
     }
-    
-    const { token } = await issueToken(customerRecord, 'customer');
+
+    // Offer the job to the best-ranked contractors; the booking stands if this fails
+    let dispatched = null;
+    try {
+      dispatched = await dispatch.start(job, creator);
+    } catch (error) {
+      console.error('Dispatch error:', error);
+    }
+    // The customer's calendar invite, when they booked an appointment
+    await scheduling.syncInvites(job);
+
+    const { token, refreshToken } = await issueToken(customerRecord, 'customer', auditMeta);
 
     await logEvent({
       action: 'job.created',
       entity_type: 'job',
       entity_id: job.id,
-      actor: req.actor || { role: 'customer', id: customerRecord.id, email: customerRecord.email },
+      actor: creator,
       after: job,
       meta: auditMeta
     });
     
     res.json({
-      job,
+      job: dispatched ? dispatched.job : job,
+      promo: promo ? promo.promo_code : null,
+      promo_error: promoError,
       customer: { id: customerRecord.id, email: customerRecord.email, full_name: customerRecord.full_name, role: 'customer' },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
+    if (error instanceof promotions.PromotionError || error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Failed to create job' });
   }
 });
 
 // Get customer jobs
-app.get('/api/customer/jobs/:customerId', async (req, res) => {
-  const result = await pool.query('SELECT * FROM jobs WHERE customer_id = $1', [req.params.customerId]);
-  res.json({ jobs: result.rows });
+app.get('/api/customer/jobs/:customerId', requireSelf('customerId'), async (req, res) => {
+  try {
+    const jobs = await jobsRepo.list({ customerId: req.params.customerId });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching customer jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch customer jobs' });
+  }
 });
 
-// Get customer jobs by email (no login required)
+// Get customer jobs by email (customers may only look up their own email)
 app.get('/api/customer/jobs-by-email', async (req, res) => {
   try {
     const { email } = req.query;
@@ -855,354 +922,941 @@ app.get('/api/customer/jobs-by-email', async (req, res) => {
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    const customerResult = await pool.query('SELECT * FROM customers WHERE LOWER(email) = $1', [String(email).trim().toLowerCase()]);
-    const customer = customerResult.rows[0];
+    const customer = await customersRepo.findByEmail(email);
+    if (req.user.role === 'customer' && (!customer || String(customer.id) !== String(req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const jobsResult = await pool.query('SELECT * FROM jobs WHERE customer_id = $1', [customer.id]);
-    res.json({ customer, jobs: jobsResult.rows });
+    const jobs = await jobsRepo.list({ customerId: customer.id });
+    res.json({
+      customer: { id: customer.id, email: customer.email, full_name: customer.full_name, phone: customer.phone },
+      jobs
+    });
   } catch (error) {
     console.error('Error fetching customer jobs by email:', error);
     res.status(500).json({ error: 'Failed to fetch customer jobs' });
   }
 });
 
-// Mock customer payment (demo only)
-app.post('/api/customer/jobs/:jobId/mock-pay', async (req, res) => {
-  try {
-    const { jobId } = req.params;
-    const auditMeta = req.audit || {};
-
-    const jobsResult = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const job = jobsResult.rows[0];
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+function checkoutPayload(intent) {
+  return {
+    provider: payments.provider.name,
+    payment_intent_id: intent.id,
+    client_secret: intent.client_secret,
+    status: intent.status,
+    amount: financials.toDollars(intent.amount),
+    discount: financials.toDollars(Number(intent.metadata?.discount_cents) || 0),
+    credit: financials.toDollars(Number(intent.metadata?.credit_cents) || 0),
+    currency: String(intent.currency || financials.CURRENCY).toUpperCase()
+  };
+}
 
-    if (job.status !== 'completed') {
-      return res.status(400).json({ error: 'Job must be completed before payment' });
+// Start paying for a completed job: opens (or reuses) a payment intent.
+// The job is marked paid by the provider's webhook, not by this route.
+app.post('/api/customer/jobs/:jobId/checkout', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const intent = await payments.startCheckout(req.job, req.actor);
+    res.json({ checkout: checkoutPayload(intent) });
+  } catch (error) {
+    if (error instanceof payments.PaymentError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
 
-    const updated = await pool.query(
-      'UPDATE jobs SET payment_status = $1, payout_status = $2 WHERE id = $3 RETURNING *',
-      ['paid', 'ready', jobId]
-    );
-    const updatedJob = updated.rows[0];
-
-    await logEvent({
-      action: 'payment.mocked',
-      entity_type: 'job',
-      entity_id: jobId,
-      actor: req.actor || { role: 'customer', id: job.customer_id || 'customer-unknown' },
-      after: { payment_status: 'paid', payout_status: 'ready' },
-      meta: auditMeta
-    });
+// Payment state as the webhooks have left it (polled by the checkout page)
+app.get('/api/customer/jobs/:jobId/checkout', requireJobParticipant('customer'), (req, res) => {
+  res.json({
+    payment_status: req.job.payment_status || 'unpaid',
+    payment_intent_id: req.job.payment_intent_id || null
+  });
+});
 
-    res.json({ success: true, job: updatedJob });
+// Confirm the open payment intent with a payment method
+app.post('/api/customer/jobs/:jobId/checkout/confirm', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const intent = await payments.confirmCheckout(req.job, req.body?.payment_method);
+    res.json({ checkout: checkoutPayload(intent) });
   } catch (error) {
-    console.error('Mock payment error:', error);
-    res.status(500).json({ error: 'Failed to process mock payment' });
+    if (error instanceof payments.PaymentError) {
+      return res.status(error.status).json({ error: error.message, code: error.code || undefined });
+    }
+    console.error('Checkout confirm error:', error);
+    res.status(500).json({ error: 'Failed to process payment' });
   }
 });
 
-// Get available jobs for contractors (filtered by their specialties)
-app.get('/api/contractor/available-jobs', async (req, res) => {
+// Promo code on the customer's job; it comes off the charge at checkout
+app.get('/api/customer/jobs/:jobId/promo', requireJobParticipant('customer'), async (req, res) => {
   try {
-    // Get contractor ID from auth token or query param
-    const contractor_id = req.user?.id || req.query.contractor_id;
-    
-    if (!contractor_id) {
-      return res.status(401).json({ error: 'Contractor ID required' });
-    }
-    
-    // Use custom query to filter by specialties
-    const result = await pool.query('SELECT * FROM jobs WHERE status IN ($1, $2) AND contractor_id IS NULL LIMIT 100 -- available jobs for contractor', 
-      [contractor_id, 'submitted', 'ready_to_assign']);
-    
-    const jobs = (result.rows || []).map(job => ({
-      ...job,
-      estimate: buildEstimate({
-        service_type_id: job.service_type_id,
-        urgency: job.urgency,
-        time_window: job.time_window
-      })
-    }));
-    res.json({ jobs });
+    const promo = await promotions.jobPromo(req.job.id);
+    res.json({ promo: promo ? { ...promo.promo_code, status: promo.redemption.status } : null });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: 'Failed to fetch available jobs' });
+    console.error('Job promo error:', error);
+    res.status(500).json({ error: 'Failed to fetch promo code' });
   }
 });
 
-// Accept job
-app.post('/api/jobs/:jobId/accept', async (req, res) => {
-  const result = await pool.query(
-    'UPDATE jobs SET contractor_id = $1, status = $2 WHERE id = $3 RETURNING *',
-    [req.body.contractor_id, 'assigned', req.params.jobId]
-  );
-  res.json({ job: result.rows[0] });
+app.post('/api/customer/jobs/:jobId/promo', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const { promo_code: promo, redemption } = await promotions.applyToJob(req.job, req.body?.code, req.actor);
+    res.json({ promo: { ...promo, status: redemption.status } });
+  } catch (error) {
+    if (error instanceof promotions.PromotionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Apply promo error:', error);
+    res.status(500).json({ error: 'Failed to apply promo code' });
+  }
 });
 
-// Get contractor's jobs (accepted/assigned jobs)
-app.get('/api/contractor/jobs/:contractorId', async (req, res) => {
+app.delete('/api/customer/jobs/:jobId/promo', requireJobParticipant('customer'), async (req, res) => {
   try {
-    const { contractorId } = req.params;
-    const result = await pool.query(
-      'SELECT * FROM jobs WHERE contractor_id = $1 ORDER BY updated_at DESC',
-      [contractorId]
-    );
-    const jobs = (result.rows || []).map(job => ({
-      ...job,
-      address_full: [job.address_line1, job.address_line2].filter(Boolean).join(', '),
-      estimate: buildEstimate({
-        service_type_id: job.service_type_id,
-        urgency: job.urgency,
-        time_window: job.time_window
-      })
-    }));
-    res.json({ jobs });
+    await promotions.removeFromJob(req.job, req.actor);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching contractor jobs:', error);
-    res.status(500).json({ error: 'Failed to fetch contractor jobs' });
+    if (error instanceof promotions.PromotionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Remove promo error:', error);
+    res.status(500).json({ error: 'Failed to remove promo code' });
   }
 });
 
-// Update job status
-app.patch('/api/jobs/:jobId/status', async (req, res) => {
-  const auditMeta = req.audit || {};
-  const beforeResult = await pool.query('SELECT * FROM jobs WHERE id = $1', [req.params.jobId]);
-  const beforeJob = beforeResult.rows[0] || null;
-  const result = await pool.query(
-    'UPDATE jobs SET status = $1 WHERE id = $2 RETURNING *',
-    [req.body.status, req.params.jobId]
-  );
-  const afterJob = result.rows[0];
-  if (afterJob) {
-    await logEvent({
-      action: 'job.status_changed',
-      entity_type: 'job',
-      entity_id: afterJob.id,
-      actor: req.actor || { role: 'system', id: null },
-      before: beforeJob ? { status: beforeJob.status } : null,
-      after: { status: afterJob.status },
-      reason: req.body.reason || null,
-      meta: auditMeta
-    });
+// The signed-in customer's credit balance and its history
+app.get('/api/customer/credit', requireRole('customer'), async (req, res) => {
+  try {
+    res.json(await promotions.customerCredit(req.user.id));
+  } catch (error) {
+    console.error('Customer credit error:', error);
+    res.status(500).json({ error: 'Failed to fetch credit' });
   }
-  res.json({ job: afterJob });
 });
 
-// ============================================================================
-// CONTRACTOR JOB CANCELLATION
-// ============================================================================
-
-// Contractor ends a job with cause
-app.post('/api/contractor/jobs/:jobId/end', async (req, res) => {
+// The signed-in customer's referral link and who has signed up through it
+app.get('/api/customer/referral', requireRole('customer'), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { causeCode, notes, end_photo } = req.body;
-    const contractorId = req.body.contractorId || req.headers['x-contractor-id'];
-
-    // Valid cause codes
-    const validCauses = ['customer_unavailable', 'scope_mismatch', 'safety_concern'];
-    if (!validCauses.includes(causeCode)) {
-      return res.status(400).json({ error: 'Invalid cause code' });
+    const customer = await customersRepo.findById(req.user.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
     }
+    res.json({ referral: await promotions.referralSummary(customer) });
+  } catch (error) {
+    console.error('Referral error:', error);
+    res.status(500).json({ error: 'Failed to fetch referral link' });
+  }
+});
 
-    // Find the job
-    const jobs = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const job = jobs.rows[0];
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
+// Inspection fee for services that charge one before contractors quote.
+// Marked paid by the provider's webhook, like the job's own checkout.
+app.post('/api/customer/jobs/:jobId/inspection-fee/checkout', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const intent = await payments.startInspectionFeeCheckout(req.job, req.actor);
+    res.json({ checkout: checkoutPayload(intent) });
+  } catch (error) {
+    if (error instanceof payments.PaymentError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Inspection fee checkout error:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
 
-    // Verify contractor is assigned to this job
-    if (job.assignedContractorId !== contractorId && job.contractor_id !== contractorId) {
-      return res.status(403).json({ error: 'Not assigned to this job' });
-    }
+app.get('/api/customer/jobs/:jobId/inspection-fee/checkout', requireJobParticipant('customer'), (req, res) => {
+  const feeCents = quotes.inspectionFeeCents(req.job);
+  res.json({
+    inspection_fee: feeCents ? financials.toDollars(feeCents) : null,
+    inspection_fee_status: req.job.inspection_fee_status || null,
+    payment_intent_id: req.job.inspection_fee_intent_id || null
+  });
+});
 
-    // Check if job is in a valid state to end
-    const normalizedStatus = String(job.status || '').trim().toLowerCase().replace(/[^a-z]/g, '');
-    if (normalizedStatus !== 'onsite') {
-      return res.status(400).json({ error: `Cannot end job with status ${job.status}` });
+app.post('/api/customer/jobs/:jobId/inspection-fee/checkout/confirm', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const intent = await payments.confirmInspectionFeeCheckout(req.job, req.body?.payment_method);
+    res.json({ checkout: checkoutPayload(intent) });
+  } catch (error) {
+    if (error instanceof payments.PaymentError) {
+      return res.status(error.status).json({ error: error.message, code: error.code || undefined });
     }
+    console.error('Inspection fee confirm error:', error);
+    res.status(500).json({ error: 'Failed to process payment' });
+  }
+});
 
-    const updated = await pool.query(
-      'UPDATE jobs SET status = $1, contractor_id = $2 WHERE id = $3 RETURNING * -- contractor_end',
-      ['cancel_requested', null, jobId]
-    );
-    const updatedJob = updated.rows[0];
+// Quotes on a quoted job, open ones cheapest first
+app.get('/api/customer/jobs/:jobId/quotes', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    res.json({ quotes: await quotes.listForJob(req.job.id) });
+  } catch (error) {
+    console.error('Quotes error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotes' });
+  }
+});
 
-    if (!updatedJob) {
-      return res.status(404).json({ error: 'Job not found' });
+// Accepting a quote assigns the job to its contractor at the quoted price
+app.post('/api/customer/jobs/:jobId/quotes/:quoteId/accept', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const { job, quote } = await quotes.accept(req.job.id, req.params.quoteId, req.actor, { job: req.job });
+    res.json({ job, quote });
+  } catch (error) {
+    if (error instanceof quotes.QuoteError || error instanceof JobTransitionError || error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Accept quote error:', error);
+    res.status(500).json({ error: 'Failed to accept quote' });
+  }
+});
 
-    // Update job with cancellation info
-    updatedJob.assignedContractorId = null;
-    updatedJob.cancellation = {
-      by: 'contractor',
-      causeCode,
-      notes,
-      at: new Date(),
-      photo: end_photo ? saveJobPhoto(jobId, end_photo) : null
-    };
-    if (Array.isArray(updatedJob.history)) {
-      updatedJob.history.push({
-        at: new Date(),
-        actorType: 'contractor',
-        actorId: contractorId,
-        action: 'END_REQUESTED',
-        details: `Contractor ended job: ${causeCode} - ${notes}`
-      });
+app.post('/api/customer/jobs/:jobId/quotes/:quoteId/decline', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const quote = await quotes.decline(req.job.id, req.params.quoteId, req.actor, req.body?.reason);
+    res.json({ quote });
+  } catch (error) {
+    if (error instanceof quotes.QuoteError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    updatedJob.updated_at = new Date();
+    console.error('Decline quote error:', error);
+    res.status(500).json({ error: 'Failed to decline quote' });
+  }
+});
 
-    console.log(`Contractor ${contractorId} requested to end job ${jobId}: ${causeCode}`);
-    res.json({ job: updatedJob });
+// Change orders the contractor raised on the customer's job
+app.get('/api/customer/jobs/:jobId/change-orders', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    res.json(await changeOrders.summary(req.job.id));
   } catch (error) {
-    console.error('Error ending job:', error);
-    res.status(500).json({ error: 'Failed to end job' });
+    console.error('Change orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch change orders' });
   }
 });
 
-// Contractor starts job with before photos
-app.post('/api/contractor/jobs/:jobId/start', async (req, res) => {
+// Approving adds the change order's amount to the job's final price
+app.post('/api/customer/jobs/:jobId/change-orders/:changeOrderId/approve', requireJobParticipant('customer'), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { notes, before_photos } = req.body;
-    const contractorId = req.body.contractorId || req.headers['x-contractor-id'];
-
-    const jobs = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const job = jobs.rows[0];
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
+    const { job, changeOrder } = await changeOrders.approve(req.job, req.params.changeOrderId, req.actor, {
+      agreedPriceCents: await agreedPriceCents(req.job)
+    });
+    res.json({ job, change_order: changeOrder });
+  } catch (error) {
+    if (error instanceof changeOrders.ChangeOrderError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Change order approve error:', error);
+    res.status(500).json({ error: 'Failed to approve change order' });
+  }
+});
 
-    if (job.assignedContractorId !== contractorId && job.contractor_id !== contractorId) {
-      return res.status(403).json({ error: 'Not assigned to this job' });
+app.post('/api/customer/jobs/:jobId/change-orders/:changeOrderId/reject', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const changeOrder = await changeOrders.reject(req.job, req.params.changeOrderId, req.actor, req.body?.reason);
+    res.json({ change_order: changeOrder });
+  } catch (error) {
+    if (error instanceof changeOrders.ChangeOrderError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Change order reject error:', error);
+    res.status(500).json({ error: 'Failed to reject change order' });
+  }
+});
+
+// Slots the job's appointment could move to
+app.get('/api/customer/jobs/:jobId/appointment/slots', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    res.json(await scheduling.jobSlots(req.job));
+  } catch (error) {
+    console.error('Appointment slots error:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment slots' });
+  }
+});
 
-    if (!['on_site', 'assigned', 'en_route'].includes(job.status)) {
-      return res.status(400).json({ error: `Cannot start job with status ${job.status}` });
+// Book or move the appointment: { appointment_start }
+app.post('/api/customer/jobs/:jobId/appointment', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const job = await scheduling.reschedule(req.job, req.body?.appointment_start, req.actor);
+    res.json({ job });
+  } catch (error) {
+    if (error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Reschedule appointment error:', error);
+    res.status(500).json({ error: 'Failed to change appointment' });
+  }
+});
 
-    const updated = await pool.query(
-      'UPDATE jobs SET status = $1 WHERE id = $2 RETURNING *',
-      ['in_progress', jobId]
-    );
-    const updatedJob = updated.rows[0];
-    if (!updatedJob) {
-      return res.status(404).json({ error: 'Job not found' });
+app.delete('/api/customer/jobs/:jobId/appointment', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const job = await scheduling.cancelAppointment(req.job, req.actor);
+    res.json({ job });
+  } catch (error) {
+    if (error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Cancel appointment error:', error);
+    res.status(500).json({ error: 'Failed to cancel appointment' });
+  }
+});
 
-    const startReport = {
-      at: new Date().toISOString(),
-      notes: notes || '',
-      before_photos: before_photos || []
-    };
+// Rate a completed job (once); ratings weigh in when jobs are dispatched
+app.post('/api/customer/jobs/:jobId/rating', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const job = await dispatch.rate(req.job, req.actor, req.body || {});
+    res.json({ job });
+  } catch (error) {
+    if (error instanceof dispatch.DispatchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Job rating error:', error);
+    res.status(500).json({ error: 'Failed to rate job' });
+  }
+});
 
-    await pool.query(
-      'UPDATE jobs SET start_report = $1 WHERE id = $2 RETURNING * -- job_start_report',
-      [startReport, jobId]
-    );
+// The job's invoice (issued when the job is completed)
+app.get('/api/customer/jobs/:jobId/invoice', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const invoice = await documentsRepo.findInvoiceForJob(req.job.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this job' });
+    }
+    res.json({ invoice: { ...documents.serialize(invoice), data: invoice.data } });
+  } catch (error) {
+    console.error('Invoice error:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
 
-    if (Array.isArray(updatedJob.history)) {
-      updatedJob.history.push({
-        at: new Date(),
-        actorType: 'contractor',
-        actorId: contractorId,
-        action: 'STARTED',
-        details: notes || 'Job started'
-      });
-      updatedJob.updated_at = new Date();
+app.get('/api/customer/jobs/:jobId/invoice/pdf', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const invoice = await documentsRepo.findInvoiceForJob(req.job.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this job' });
     }
+    documents.sendPdf(res, invoice);
+  } catch (error) {
+    console.error('Invoice download error:', error);
+    res.status(500).json({ error: 'Failed to download invoice' });
+  }
+});
 
-    res.json({ job: updatedJob });
+// Email the invoice to the customer's own address
+app.post('/api/customer/jobs/:jobId/invoice/email', requireJobParticipant('customer'), async (req, res) => {
+  try {
+    const invoice = await documentsRepo.findInvoiceForJob(req.job.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this job' });
+    }
+    const sent = await documents.emailDocument(invoice.id, { actor: req.actor });
+    res.json({ success: true, invoice: documents.serialize(sent) });
   } catch (error) {
-    console.error('Error starting job:', error);
-    res.status(500).json({ error: 'Failed to start job' });
+    if (error instanceof documents.DocumentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Invoice email error:', error);
+    res.status(500).json({ error: 'Failed to email invoice' });
   }
 });
 
-// Contractor completes job with details/photos
-app.post('/api/contractor/jobs/:jobId/complete', async (req, res) => {
+// Get available jobs for contractors (filtered by their specialties)
+app.get('/api/contractor/available-jobs', async (req, res) => {
+  try {
+    // Contractors see their own pool; admins may preview any contractor's
+    const contractor_id = req.user.role === 'contractor' ? req.user.id : req.query.contractor_id;
+    
+    if (!contractor_id) {
+      return res.status(400).json({ error: 'contractor_id is required' });
+    }
+    
+    // Open, unassigned jobs matching the contractor's specialties, less the ones offered to others
+    const openJobs = await dispatch.availableJobs(contractor_id, { limit: 100 });
+    const taxRules = await tax.getRules();
+    
+    const jobs = await Promise.all(openJobs.map(async job => ({
+      ...job,
+      estimate: await buildJobEstimate(job, taxRules)
+    })));
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: 'Failed to fetch available jobs' });
+  }
+});
+
+// Accept job (through the contractor's offer when they hold one)
+app.post('/api/jobs/:jobId/accept', requireRole('contractor'), async (req, res) => {
+  try {
+    const job = await dispatch.acceptJob(req.params.jobId, req.actor);
+    res.json({ job });
+  } catch (error) {
+    if (error instanceof JobTransitionError || error instanceof dispatch.DispatchError || error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Accept job error:', error);
+    res.status(500).json({ error: 'Failed to accept job' });
+  }
+});
+
+// Jobs offered to the signed-in contractor, soonest to expire first
+app.get('/api/contractor/offers', requireRole('contractor'), async (req, res) => {
+  try {
+    const taxRules = await tax.getRules();
+    const offers = await dispatch.offersFor(req.user.id);
+    res.json({
+      offers: await Promise.all(offers.map(async offer => ({
+        ...offer,
+        job: { ...offer.job, estimate: await buildJobEstimate(offer.job, taxRules) }
+      })))
+    });
+  } catch (error) {
+    console.error('Dispatch offers error:', error);
+    res.status(500).json({ error: 'Failed to fetch job offers' });
+  }
+});
+
+app.post('/api/contractor/offers/:offerId/accept', requireRole('contractor'), async (req, res) => {
+  try {
+    const { job, offer } = await dispatch.acceptOffer(req.params.offerId, req.actor);
+    res.json({ job, offer });
+  } catch (error) {
+    if (error instanceof JobTransitionError || error instanceof dispatch.DispatchError || error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Accept offer error:', error);
+    res.status(500).json({ error: 'Failed to accept job offer' });
+  }
+});
+
+app.post('/api/contractor/offers/:offerId/decline', requireRole('contractor'), async (req, res) => {
+  try {
+    const offer = await dispatch.declineOffer(req.params.offerId, req.actor, req.body?.reason);
+    res.json({ offer });
+  } catch (error) {
+    if (error instanceof dispatch.DispatchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Decline offer error:', error);
+    res.status(500).json({ error: 'Failed to decline job offer' });
+  }
+});
+
+// Weekly hours and days off, which decide the appointment slots customers see
+app.get('/api/contractor/availability', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.json(await scheduling.getAvailability(contractor));
+  } catch (error) {
+    console.error('Contractor availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// { weekly: { mon: [{ from, to }], ... } }, or { weekly: null } for the default hours
+app.put('/api/contractor/availability', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    if (!req.body || !('weekly' in req.body)) {
+      return res.status(400).json({ error: 'weekly is required' });
+    }
+    res.json(await scheduling.setWeeklyHours(contractor, req.body.weekly, req.actor));
+  } catch (error) {
+    if (error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update availability error:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// { starts_on, ends_on, reason }
+app.post('/api/contractor/blackouts', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.status(201).json(await scheduling.addBlackout(contractor, req.body || {}, req.actor));
+  } catch (error) {
+    if (error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Add blackout error:', error);
+    res.status(500).json({ error: 'Failed to add blackout' });
+  }
+});
+
+app.delete('/api/contractor/blackouts/:blackoutId', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    const blackout = await scheduling.removeBlackout(contractor, req.params.blackoutId, req.actor);
+    res.json({ blackout });
+  } catch (error) {
+    if (error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Remove blackout error:', error);
+    res.status(500).json({ error: 'Failed to remove blackout' });
+  }
+});
+
+// The private calendar feed: whether it is on, a new URL (shown once), or off
+app.get('/api/contractor/calendar-feed', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.json(scheduling.feed.status(contractor));
+  } catch (error) {
+    console.error('Calendar feed status error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+app.post('/api/contractor/calendar-feed', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.status(201).json(await scheduling.feed.issue(contractor, req.actor));
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+app.delete('/api/contractor/calendar-feed', requireRole('contractor'), async (req, res) => {
+  try {
+    const contractor = await contractorsRepo.findById(req.user.id);
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    res.json(await scheduling.feed.revoke(contractor, req.actor));
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// Quote on an open quoted job in one of the contractor's services
+app.post('/api/contractor/jobs/:jobId/quotes', requireRole('contractor'), async (req, res) => {
+  try {
+    const { line_items: lineItems, notes, valid_days: validDays } = req.body || {};
+    const quote = await quotes.submit(req.params.jobId, { lineItems, notes, validDays }, req.actor);
+    res.status(201).json({ quote });
+  } catch (error) {
+    if (error instanceof quotes.QuoteError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Submit quote error:', error);
+    res.status(500).json({ error: 'Failed to submit quote' });
+  }
+});
+
+app.post('/api/contractor/quotes/:quoteId/withdraw', requireRole('contractor'), async (req, res) => {
+  try {
+    const quote = await quotes.withdraw(req.params.quoteId, req.actor);
+    res.json({ quote });
+  } catch (error) {
+    if (error instanceof quotes.QuoteError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Withdraw quote error:', error);
+    res.status(500).json({ error: 'Failed to withdraw quote' });
+  }
+});
+
+// Get contractor's jobs (accepted/assigned jobs)
+app.get('/api/contractor/jobs/:contractorId', requireSelf('contractorId'), async (req, res) => {
+  try {
+    const { contractorId } = req.params;
+    const assignedJobs = await jobsRepo.list({ contractorId, orderBy: 'updated_at' });
+    const taxRules = await tax.getRules();
+    const jobs = await Promise.all(assignedJobs.map(async job => ({
+      ...job,
+      address_full: [job.address_line1, job.address_line2].filter(Boolean).join(', '),
+      estimate: await buildJobEstimate(job, taxRules)
+    })));
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching contractor jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch contractor jobs' });
+  }
+});
+
+// Update job status (any transition the caller's role allows from the current state)
+app.patch('/api/jobs/:jobId/status', requireJobParticipant('contractor'), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { tasks, materials, material_costs, notes, photos, receipts } = req.body;
-    const contractorId = req.body.contractorId || req.headers['x-contractor-id'];
     const auditMeta = req.audit || {};
+    const beforeJob = req.job;
+
+    // A contractor setting off or arriving is a check-in, so it is timed like one
+    const kind = req.actor.role === 'contractor' ? checkIns.kindForStatus(req.body.status) : null;
+    const { job: afterJob } = kind
+      ? await checkIns.record(kind, beforeJob, req.actor, req.body)
+      : await jobLifecycle.transitionTo(beforeJob.id, req.body.status, {
+        actor: req.actor,
+        job: beforeJob,
+        contractorId: req.body.contractor_id,
+        details: req.body.reason || null
+      });
+
+    await logEvent({
+      action: 'job.status_changed',
+      entity_type: 'job',
+      entity_id: afterJob.id,
+      actor: req.actor,
+      before: { status: beforeJob.status },
+      after: { status: afterJob.status },
+      reason: req.body.reason || null,
+      meta: auditMeta
+    });
+    res.json({ job: afterJob });
+  } catch (error) {
+    if (error instanceof JobTransitionError || error instanceof checkIns.CheckInError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Job status update error:', error);
+    res.status(500).json({ error: 'Failed to update job status' });
+  }
+});
+
+// Job status history, plus the transitions the caller may fire next
+app.get('/api/jobs/:jobId/events', requireJobParticipant(), async (req, res) => {
+  try {
+    const { job } = req;
+    const events = await jobEventsRepo.listForJob(job.id);
+    res.json({
+      status: job.status,
+      events,
+      available_transitions: jobLifecycle.availableTransitions(job, req.actor)
+    });
+  } catch (error) {
+    console.error('Job events error:', error);
+    res.status(500).json({ error: 'Failed to fetch job events' });
+  }
+});
+
+// Contractor sets off for the job (en_route), with an optional position and eta_minutes
+app.post('/api/contractor/jobs/:jobId/depart', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    res.status(201).json(await checkIns.record('depart', req.job, req.actor, req.body || {}));
+  } catch (error) {
+    if (error instanceof checkIns.CheckInError || error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Depart check-in error:', error);
+    res.status(500).json({ error: 'Failed to record departure' });
+  }
+});
+
+// Contractor arrives on site (on_site); the position is checked against the address
+app.post('/api/contractor/jobs/:jobId/arrive', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    res.status(201).json(await checkIns.record('arrive', req.job, req.actor, req.body || {}));
+  } catch (error) {
+    if (error instanceof checkIns.CheckInError || error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Arrive check-in error:', error);
+    res.status(500).json({ error: 'Failed to record arrival' });
+  }
+});
+
+// Contractor leaves the site after an arrive check-in
+app.post('/api/contractor/jobs/:jobId/leave', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    res.status(201).json(await checkIns.record('leave', req.job, req.actor, req.body || {}));
+  } catch (error) {
+    if (error instanceof checkIns.CheckInError || error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Leave check-in error:', error);
+    res.status(500).json({ error: 'Failed to record check-out' });
+  }
+});
+
+// The job's check-ins, oldest first
+app.get('/api/jobs/:jobId/check-ins', requireJobParticipant(), async (req, res) => {
+  try {
+    res.json({ check_ins: await checkIns.listForJob(req.job.id, req.actor) });
+  } catch (error) {
+    console.error('Check-ins error:', error);
+    res.status(500).json({ error: 'Failed to fetch check-ins' });
+  }
+});
+
+// ============================================================================
+// JOB MESSAGES
+// ============================================================================
 
-    const jobs = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const job = jobs.rows[0];
+const MESSAGE_READERS = ['customer', 'contractor', 'admin', 'super_admin'];
+
+// Unread messages per job for the signed-in customer or contractor
+app.get('/api/messages/unread', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    res.json(await messages.unreadCounts(req.actor));
+  } catch (error) {
+    console.error('Unread messages error:', error);
+    res.status(500).json({ error: 'Failed to count unread messages' });
+  }
+});
+
+// The job's thread; before assignment also open to contractors with a live offer or quote
+app.get('/api/jobs/:jobId/messages', requireRole(...MESSAGE_READERS), async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
+    res.json(await messages.thread(job, req.actor));
+  } catch (error) {
+    if (error instanceof messages.MessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Job messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
 
-    if (job.assignedContractorId !== contractorId && job.contractor_id !== contractorId) {
-      return res.status(403).json({ error: 'Not assigned to this job' });
+app.post('/api/jobs/:jobId/messages', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const { body, photos } = req.body || {};
+    res.status(201).json({ message: await messages.send(job, req.actor, { body, photos }) });
+  } catch (error) {
+    if (error instanceof messages.MessageError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
 
-    if (job.status !== 'in_progress') {
-      return res.status(400).json({ error: `Cannot complete job with status ${job.status}` });
+// Read receipts: everything the other side has sent so far
+app.post('/api/jobs/:jobId/messages/read', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
+    res.json(await messages.markRead(job, req.actor));
+  } catch (error) {
+    if (error instanceof messages.MessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Mark messages read error:', error);
+    res.status(500).json({ error: 'Failed to mark messages read' });
+  }
+});
 
-    const updated = await pool.query(
-      'UPDATE jobs SET status = $1 WHERE id = $2 RETURNING *',
-      ['completed', jobId]
-    );
-    const updatedJob = updated.rows[0];
-    if (!updatedJob) {
+app.get('/api/jobs/:jobId/messages/:messageId/attachments/:attachmentId', requireRole(...MESSAGE_READERS), async (req, res) => {
+  try {
+    const job = await jobsRepo.findById(req.params.jobId);
+    if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
+    const photo = await messages.attachment(job, req.actor, req.params.messageId, req.params.attachmentId);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(photo.mime);
+    return res.sendFile(photo.path);
+  } catch (error) {
+    if (error instanceof messages.MessageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Message photo error:', error);
+    res.status(500).json({ error: 'Failed to fetch photo' });
+  }
+});
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
 
-    const estimate = buildEstimate({
-      service_type_id: job.service_type_id,
-      urgency: job.urgency,
-      time_window: job.time_window
+// The signed-in user's recent notifications (?limit=, default 50)
+app.get('/api/notifications', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    res.json({ notifications: await notifications.listForUser(req.actor, req.query.limit) });
+  } catch (error) {
+    console.error('Notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.get('/api/notifications/preferences', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    res.json({ preferences: await notifications.preferences.get(req.actor) });
+  } catch (error) {
+    if (error instanceof notifications.NotificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Change channels per event, locale, time zone or quiet hours (only what is sent)
+app.put('/api/notifications/preferences', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    res.json({ preferences: await notifications.preferences.update(req.actor, req.body || {}) });
+  } catch (error) {
+    if (error instanceof notifications.NotificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Register this browser's PushSubscription
+app.post('/api/notifications/push-subscriptions', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    res.status(201).json(await notifications.preferences.addPushSubscription(req.actor, req.body || {}));
+  } catch (error) {
+    if (error instanceof notifications.NotificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Push subscription error:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+app.delete('/api/notifications/push-subscriptions', requireRole('customer', 'contractor'), async (req, res) => {
+  try {
+    res.json(await notifications.preferences.removePushSubscription(req.actor, req.body?.endpoint));
+  } catch (error) {
+    if (error instanceof notifications.NotificationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+// ============================================================================
+// CONTRACTOR JOB CANCELLATION
+// ============================================================================
+
+// Contractor ends a job with cause
+app.post('/api/contractor/jobs/:jobId/end', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { causeCode, notes, end_photo } = req.body;
+    const { job } = req;
+    const contractorId = req.actor.id;
+
+    // Valid cause codes
+    const validCauses = ['customer_unavailable', 'scope_mismatch', 'safety_concern'];
+    if (!validCauses.includes(causeCode)) {
+      return res.status(400).json({ error: 'Invalid cause code' });
+    }
+
+    // Validate before the photo is written to disk
+    const ctx = { actor: req.actor, job };
+    jobLifecycle.assertTransition(job, 'request_cancel', ctx);
+
+    // Release the job and record the cancellation info
+    const { job: updatedJob } = await jobLifecycle.transition(jobId, 'request_cancel', {
+      ...ctx,
+      fields: {
+        cancellation: {
+          by: 'contractor',
+          causeCode,
+          notes,
+          at: new Date(),
+          photo: end_photo ? saveJobPhoto(jobId, end_photo) : null
+        }
+      },
+      details: `Contractor ended job: ${causeCode} - ${notes}`,
+      metadata: { causeCode }
     });
-    let payoutAmount = null;
-    let materialCostValue = null;
-    let netAmount = null;
-    let companyAmount = null;
-    let tierRate = getTierRate('bronze');
+
+    console.log(`Contractor ${contractorId} requested to end job ${jobId}: ${causeCode}`);
+    res.json({ job: updatedJob });
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error ending job:', error);
+    res.status(500).json({ error: 'Failed to end job' });
+  }
+});
+
+// Contractor starts job with before photos
+app.post('/api/contractor/jobs/:jobId/start', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { notes, before_photos } = req.body;
+
+    const startReport = {
+      at: new Date().toISOString(),
+      notes: notes || '',
+      before_photos: before_photos || []
+    };
+
+    const { job: updatedJob } = await jobLifecycle.transition(jobId, 'start', {
+      actor: req.actor,
+      job: req.job,
+      fields: { start_report: startReport },
+      details: notes || 'Job started'
+    });
+
+    res.json({ job: updatedJob });
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error starting job:', error);
+    res.status(500).json({ error: 'Failed to start job' });
+  }
+});
+
+// Contractor completes job with details/photos
+app.post('/api/contractor/jobs/:jobId/complete', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { tasks, materials, material_costs, notes, photos, receipts } = req.body;
+    const { job } = req;
+    const contractorId = job.contractor_id;
+    const auditMeta = req.audit || {};
+
+    const ctx = { actor: req.actor, job };
+    jobLifecycle.assertTransition(job, 'complete', ctx);
+    await changeOrders.assertNonePending(job.id);
+
+    const materialCents = parseMaterialCost(material_costs);
+    let tier = 'bronze';
     try {
-      const contractorResult = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-      const contractorRow = contractorResult.rows[0];
-      tierRate = getTierRate(contractorRow?.contractor_tier || contractorRow?.contractorTier);
+      const contractorRow = await contractorsRepo.findById(contractorId);
+      tier = contractorRow?.contractor_tier || contractorRow?.contractorTier || tier;
     } catch (error) {
       console.warn('Unable to resolve contractor tier, defaulting to bronze');
     }
-    if (estimate && estimate.mode === 'fixed_range') {
-      const finalPrice = estimate.max ?? estimate.min ?? null;
-      const rawMaterialCost = typeof material_costs === 'string'
-        ? material_costs.replace(/[^0-9.-]/g, '')
-        : material_costs;
-      materialCostValue = material_costs !== undefined && material_costs !== null && material_costs !== ''
-        ? Number(rawMaterialCost)
-        : 0;
-      if (Number.isNaN(materialCostValue)) {
-        materialCostValue = 0;
-      }
-      netAmount = finalPrice !== null ? Math.max(0, finalPrice - (materialCostValue || 0)) : null;
-      payoutAmount = netAmount !== null ? Math.max(0, Math.round(netAmount * (1 - tierRate))) : null;
-      companyAmount = netAmount !== null ? Math.max(0, Math.round(netAmount * tierRate)) : null;
-    }
-
-    const payment = {
-      amount: payoutAmount,
-      currency: 'USD',
-      source: 'estimate',
-      final_price: estimate && estimate.mode === 'fixed_range' ? (estimate.max ?? estimate.min ?? null) : null,
-      materials_cost: materialCostValue,
-      net_amount: netAmount,
-      contractor_share: 1 - tierRate,
-      company_share: tierRate,
-      company_amount: companyAmount,
-      issued_at: new Date().toISOString()
-    };
+    const finalPriceCents = await agreedPriceCents(job);
+    const pretaxPayment = buildCompletionPayment(finalPriceCents, materialCents, tier, job.accepted_quote_id ? 'quote' : 'estimate');
+    // Tax is fixed now, at the rates of the day the job is completed
+    const salesTax = await tax.forJob({
+      ...job,
+      completion_report: { payment: pretaxPayment },
+      material_fees: pretaxPayment.materials_cost
+    });
+    const payment = withSalesTax(pretaxPayment, salesTax);
 
     const completionReport = {
       at: new Date().toISOString(),
@@ -1215,61 +1869,101 @@ app.post('/api/contractor/jobs/:jobId/complete', async (req, res) => {
       payment
     };
 
-    await pool.query(
-      'UPDATE jobs SET completion_report = $1 WHERE id = $2 RETURNING * -- job_completion_report',
-      [completionReport, jobId]
-    );
-
-    await pool.query(
-      'UPDATE jobs SET material_fees = $1 WHERE id = $2 RETURNING * -- job_material_fees',
-      [materialCostValue || 0, jobId]
-    );
-
-    if (Array.isArray(updatedJob.history)) {
-      updatedJob.history.push({
-        at: new Date(),
-        actorType: 'contractor',
-        actorId: contractorId,
-        action: 'COMPLETED',
-        details: notes || 'Job completed'
-      });
-      updatedJob.updated_at = new Date();
-    }
+    const { job: updatedJob } = await jobLifecycle.transition(jobId, 'complete', {
+      ...ctx,
+      fields: {
+        completion_report: completionReport,
+        material_fees: payment.materials_cost,
+        sales_tax: salesTax
+      },
+      details: notes || 'Job completed'
+    });
+    await ledger.accrueJob(updatedJob, { actor: req.actor });
+    // Emailed to the customer; a failure here does not undo the completion
+    await documents.issueInvoice(updatedJob.id, { actor: req.actor })
+      .catch(error => console.error('Invoice issue error:', error));
+    await promotions.rewardReferral(updatedJob)
+      .catch(error => console.error('Referral reward error:', error));
 
-    updatedJob.completion_report = completionReport;
-    updatedJob.material_fees = materialCostValue || 0;
     await logEvent({
       action: 'job.completed',
       entity_type: 'job',
       entity_id: updatedJob.id,
-      actor: req.actor || { role: 'contractor', id: contractorId },
+      actor: req.actor,
       before: { status: job.status },
       after: { status: updatedJob.status, completion_report: completionReport },
       meta: auditMeta
     });
     res.json({ job: updatedJob, payment });
   } catch (error) {
-    console.error('Error completing job:', error);
-    res.status(500).json({ error: 'Failed to complete job' });
+    if (error instanceof JobTransitionError || error instanceof changeOrders.ChangeOrderError ||
+        error instanceof financials.FinancialsError || error instanceof tax.TaxError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error completing job:', error);
+    res.status(500).json({ error: 'Failed to complete job' });
+  }
+});
+
+// Change orders on the contractor's job in progress
+app.get('/api/contractor/jobs/:jobId/change-orders', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    res.json(await changeOrders.summary(req.job.id));
+  } catch (error) {
+    console.error('Change orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch change orders' });
+  }
+});
+
+app.post('/api/contractor/jobs/:jobId/change-orders', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    const { description, reason, amount, photos } = req.body || {};
+    const changeOrder = await changeOrders.request(req.job, { description, reason, amount, photos }, req.actor);
+    res.status(201).json({ change_order: changeOrder });
+  } catch (error) {
+    if (error instanceof changeOrders.ChangeOrderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Change order request error:', error);
+    res.status(500).json({ error: 'Failed to raise change order' });
+  }
+});
+
+app.post('/api/contractor/jobs/:jobId/change-orders/:changeOrderId/withdraw', requireJobParticipant('contractor'), async (req, res) => {
+  try {
+    const changeOrder = await changeOrders.withdraw(req.job, req.params.changeOrderId, req.actor);
+    res.json({ change_order: changeOrder });
+  } catch (error) {
+    if (error instanceof changeOrders.ChangeOrderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Change order withdraw error:', error);
+    res.status(500).json({ error: 'Failed to withdraw change order' });
+  }
+});
+
+// A change order photo, for the job's customer, its contractor and admins
+app.get('/api/jobs/:jobId/change-orders/:changeOrderId/attachments/:attachmentId', requireJobParticipant(), async (req, res) => {
+  try {
+    const photo = await changeOrders.attachment(req.job, req.params.changeOrderId, req.params.attachmentId);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(photo.mime);
+    return res.sendFile(photo.path);
+  } catch (error) {
+    if (error instanceof changeOrders.ChangeOrderError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Change order photo error:', error);
+    res.status(500).json({ error: 'Failed to fetch photo' });
   }
 });
 
 // Contractor updates materials cost/receipts on a completed job
-app.post('/api/contractor/jobs/:jobId/materials', async (req, res) => {
+app.post('/api/contractor/jobs/:jobId/materials', requireJobParticipant('contractor'), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { material_costs, receipts } = req.body;
-    const contractorId = req.body.contractorId || req.headers['x-contractor-id'];
-
-    const jobs = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const job = jobs.rows[0];
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    if (job.assignedContractorId !== contractorId && job.contractor_id !== contractorId) {
-      return res.status(403).json({ error: 'Not assigned to this job' });
-    }
+    const { job } = req;
 
     if (job.status !== 'completed') {
       return res.status(400).json({ error: `Job must be completed to update materials` });
@@ -1280,77 +1974,48 @@ app.post('/api/contractor/jobs/:jobId/materials', async (req, res) => {
       return res.status(400).json({ error: 'Receipts are required to update materials cost' });
     }
 
-    const rawMaterialCost = typeof material_costs === 'string'
-      ? material_costs.replace(/[^0-9.-]/g, '')
-      : material_costs;
-    let materialCostValue = material_costs !== undefined && material_costs !== null && material_costs !== ''
-      ? Number(rawMaterialCost)
-      : 0;
-    if (Number.isNaN(materialCostValue) || materialCostValue < 0) {
-      return res.status(400).json({ error: 'Invalid material cost' });
-    }
+    const materialCents = parseMaterialCost(material_costs);
 
     const completionReport = job.completion_report || {};
     const updatedReport = {
       ...completionReport,
-      material_costs: String(material_costs ?? materialCostValue),
+      material_costs: String(material_costs ?? financials.toDollars(materialCents)),
       receipts
     };
 
     // Get contractor tier for payment calculations
-    let tierRate = getTierRate('bronze');
+    let tier = 'bronze';
     if (job.contractor_id) {
-      const contractorRow = await pool.query(
-        'SELECT contractor_tier AS tier FROM contractors WHERE id = $1',
-        [job.contractor_id]
-      );
-      if (contractorRow.rows?.[0]?.tier) {
-        tierRate = getTierRate(contractorRow.rows[0].tier);
-      }
+      const contractorRow = await contractorsRepo.findById(job.contractor_id);
+      tier = contractorRow?.contractor_tier || tier;
     }
 
-    const estimate = buildEstimate({
-      service_type_id: job.service_type_id,
-      urgency: job.urgency,
-      time_window: job.time_window
-    });
-    if (estimate && estimate.mode === 'fixed_range') {
-      const finalPrice = estimate.max ?? estimate.min ?? null;
-      const netAmount = finalPrice !== null ? Math.max(0, finalPrice - materialCostValue) : null;
-      const payoutAmount = netAmount !== null ? Math.max(0, Math.round(netAmount * (1 - tierRate))) : null;
-      const companyAmount = netAmount !== null ? Math.max(0, Math.round(netAmount * tierRate)) : null;
-      updatedReport.payment = {
-        amount: payoutAmount,
-        currency: 'USD',
-        source: 'estimate',
-        final_price: finalPrice,
-        materials_cost: materialCostValue,
-        net_amount: netAmount,
-        contractor_share: 1 - tierRate,
-        company_share: tierRate,
-        company_amount: companyAmount,
-        issued_at: new Date().toISOString()
-      };
+    const finalPriceCents = await agreedPriceCents(job);
+    if (finalPriceCents !== null) {
+      updatedReport.payment = buildCompletionPayment(finalPriceCents, materialCents, tier, job.accepted_quote_id ? 'quote' : 'estimate');
     }
 
-    await pool.query(
-      'UPDATE jobs SET completion_report = $1 WHERE id = $2 RETURNING * -- job_completion_report',
-      [updatedReport, jobId]
-    );
-    await pool.query(
-      'UPDATE jobs SET material_fees = $1 WHERE id = $2 RETURNING * -- job_material_fees',
-      [materialCostValue, jobId]
-    );
-
-    const refreshed = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const updatedJob = refreshed.rows[0];
-    if (updatedJob) {
-      updatedJob.completion_report = updatedReport;
-      updatedJob.material_fees = materialCostValue;
+    // Jobs completed before tax was charged stay untaxed; others keep their tax date
+    const salesTax = job.sales_tax
+      ? await tax.forJob({ ...job, completion_report: updatedReport, material_fees: financials.toDollars(materialCents) })
+      : null;
+    if (updatedReport.payment) {
+      updatedReport.payment = withSalesTax(updatedReport.payment, salesTax);
     }
 
+    const updatedJob = await jobsRepo.update(jobId, {
+      completion_report: updatedReport,
+      material_fees: financials.toDollars(materialCents),
+      sales_tax: job.sales_tax ? salesTax : undefined
+    });
+    await ledger.accrueJob(updatedJob, { actor: req.actor, reason: 'materials_updated' });
+    await documents.refreshInvoice(jobId);
+
     res.json({ job: updatedJob });
   } catch (error) {
+    if (error instanceof financials.FinancialsError || error instanceof tax.TaxError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update materials error:', error);
     res.status(500).json({ error: 'Failed to update materials' });
   }
@@ -1365,35 +2030,22 @@ app.post('/api/admin/jobs/:jobId/relist', async (req, res) => {
   try {
     const { jobId } = req.params;
     const { notes } = req.body;
-    const adminId = req.body.adminId || req.headers['x-admin-id'] || 'admin-001';
-
-    const updated = await pool.query(
-      'UPDATE jobs SET status = $1, contractor_id = $2 WHERE id = $3 RETURNING * -- relist',
-      ['open', null, jobId]
-    );
-    const job = updated.rows[0];
+    const adminId = req.user.id;
 
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+    const { job: relisted } = await jobLifecycle.transition(jobId, 'relist', {
+      actor: req.actor,
+      details: `Admin relisted job: ${notes || 'No notes'}`
+    });
+    const job = await scheduling.syncInvites(relisted);
 
-    job.assignedContractorId = null;
-    job.cancellation = null;
-    job.relistCount = (job.relistCount || 0) + 1;
-    if (Array.isArray(job.history)) {
-      job.history.push({
-        at: new Date(),
-        actorType: 'admin',
-        actorId: adminId,
-        action: 'RELISTED',
-        details: `Admin relisted job: ${notes || 'No notes'}`
-      });
-    }
-    job.updated_at = new Date();
+    const dispatched = await dispatch.start(job, req.actor);
 
-    console.log(`Admin ${adminId} relisted job ${jobId}. Relist count: ${job.relistCount}`);
-    res.json({ job });
+    console.log(`Admin ${adminId} relisted job ${jobId}. Relist count: ${job.relist_count}`);
+    res.json({ job: dispatched ? dispatched.job : job });
   } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error relisting job:', error);
     res.status(500).json({ error: 'Failed to relist job' });
   }
@@ -1404,35 +2056,28 @@ app.post('/api/admin/jobs/:jobId/cancel', async (req, res) => {
   try {
     const { jobId } = req.params;
     const { notes } = req.body;
-    const adminId = req.body.adminId || req.headers['x-admin-id'] || 'admin-001';
-
-    const jobs = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
-    const job = jobs.rows[0];
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    job.status = 'cancelled';
-    job.assignedContractorId = null;
-    job.contractor_id = null;
-    job.cancellation = {
-      by: 'admin',
-      notes: notes || 'No notes',
-      at: new Date()
-    };
-    job.history.push({
-      at: new Date(),
-      actorType: 'admin',
-      actorId: adminId,
-      action: 'CANCELLED',
+    const adminId = req.user.id;
+
+    const { job } = await jobLifecycle.transition(jobId, 'cancel', {
+      actor: req.actor,
+      fields: {
+        cancellation: {
+          by: 'admin',
+          notes: notes || 'No notes',
+          at: new Date()
+        }
+      },
       details: `Admin cancelled job: ${notes || 'No notes'}`
     });
-    job.updated_at = new Date();
+    await promotions.releaseForJob(job, req.actor);
+    const settled = await scheduling.syncInvites(await dispatch.settle(job));
 
     console.log(`Admin ${adminId} cancelled job ${jobId}`);
-    res.json({ job });
+    res.json({ job: settled });
   } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error cancelling job:', error);
     res.status(500).json({ error: 'Failed to cancel job' });
   }
@@ -1443,41 +2088,32 @@ app.post('/api/admin/jobs/:jobId/reassign', async (req, res) => {
   try {
     const { jobId } = req.params;
     const { contractorId, notes } = req.body;
-    const adminId = req.body.adminId || req.headers['x-admin-id'] || 'admin-001';
+    const adminId = req.user.id;
 
     // Verify contractor exists
-    const contractors = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    const contractor = contractors.rows[0];
+    const contractor = await contractorsRepo.findById(contractorId);
 
     if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
-
-    // Update job - reassign it in storage
-    const updated = await pool.query(
-      'UPDATE jobs SET contractor_id = $1, status = $2 WHERE id = $3 RETURNING *',
-      [contractorId, 'accepted', jobId]
-    );
-    const job = updated.rows[0];
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
+    const current = await jobsRepo.findById(jobId);
+    if (current) {
+      await scheduling.assertNoConflict(current, contractor.id);
     }
 
-    if (Array.isArray(job.history)) {
-      job.history.push({
-        at: new Date(),
-        actorType: 'admin',
-        actorId: adminId,
-        action: 'REASSIGNED',
-        details: `Admin reassigned job to ${contractor.business_name || contractor.legal_name}: ${notes || 'No notes'}`
-      });
-      job.updated_at = new Date();
-    }
+    const { job } = await jobLifecycle.transition(jobId, 'reassign', {
+      actor: req.actor,
+      contractorId: contractor.id,
+      details: `Admin reassigned job to ${contractor.business_name || contractor.legal_name}: ${notes || 'No notes'}`
+    });
+    const settled = await scheduling.syncInvites(await dispatch.settle(job));
 
     console.log(`Admin ${adminId} reassigned job ${jobId} to contractor ${contractorId}`);
-    res.json({ job });
+    res.json({ job: settled });
   } catch (error) {
+    if (error instanceof JobTransitionError || error instanceof scheduling.SchedulingError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error reassigning job:', error);
     res.status(500).json({ error: 'Failed to reassign job' });
   }
@@ -1487,37 +2123,33 @@ app.post('/api/admin/jobs/:jobId/reassign', async (req, res) => {
 app.post('/api/contractors/apply', async (req, res) => {
   try {
     const { legal_name, business_name, email, phone, password, primary_trade, experience_years, documents } = req.body;
-    const existing = await pool.query('SELECT * FROM contractors WHERE email = $1', [email]);
-    if (existing.rows.length > 0) {
+    const existing = await contractorsRepo.findByEmail(email);
+    if (existing) {
       return res.status(400).json({ error: 'Email already registered' });
     }
     
     const password_hash = await bcrypt.hash(password, 10);
-    const result = await pool.query(
-      'INSERT INTO contractors (email, password_hash, legal_name, business_name, phone, vetting_status, primary_trade, experience_years, documents) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-      [email, password_hash, legal_name, business_name, phone, 'UNDER_REVIEW', primary_trade || null, experience_years || null, documents || null]
-    );
-    const contractor = result.rows[0];
-    if (contractor) {
-      contractor.status = contractor.status || 'pending_review';
-      contractor.vetting_status = contractor.vetting_status || 'UNDER_REVIEW';
-      if (documents) {
-        const storedDocs = {
-          license: saveContractorDocument(contractor.id, 'license', documents.license),
-          insurance: saveContractorDocument(contractor.id, 'insurance', documents.insurance),
-          governmentId: saveContractorDocument(contractor.id, 'governmentId', documents.government_id)
-        };
-        const updatedDocs = await pool.query(
-          'UPDATE contractors SET documents = $1 WHERE id = $2 RETURNING *',
-          [storedDocs, contractor.id]
-        );
-        if (updatedDocs.rows[0]) {
-          contractor.documents = updatedDocs.rows[0].documents;
-        } else {
-          contractor.documents = storedDocs;
-        }
-      }
+    let contractor = await contractorsRepo.create({
+      email,
+      password_hash,
+      legal_name,
+      business_name,
+      phone,
+      vetting_status: 'UNDER_REVIEW',
+      status: 'pending_review',
+      primary_trade: primary_trade || null,
+      experience_years: experience_years || null,
+      documents: null
+    });
+    if (documents) {
+      const storedDocs = {
+        license: saveContractorDocument(contractor.id, 'license', documents.license),
+        insurance: saveContractorDocument(contractor.id, 'insurance', documents.insurance),
+        governmentId: saveContractorDocument(contractor.id, 'governmentId', documents.government_id)
+      };
+      contractor = await contractorsRepo.update(contractor.id, { documents: storedDocs });
     }
+    await authTokens.sendEmailVerification(contractor, 'contractor', { ip: req.audit?.ip });
     res.json({ contractor });
   } catch (error) {
     res.status(500).json({ error: 'Failed to submit application' });
@@ -1525,30 +2157,86 @@ app.post('/api/contractors/apply', async (req, res) => {
 });
 
 // Contractor profile (self-service)
-app.get('/api/contractors/:contractorId/profile', async (req, res) => {
+app.get('/api/contractors/:contractorId/profile', requireSelf('contractorId'), async (req, res) => {
   try {
     const { contractorId } = req.params;
-    const result = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    if (result.rows.length === 0) {
+    const contractor = await contractorsRepo.findById(contractorId);
+    if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
-    const contractor = result.rows[0];
-    res.json({ contractor });
+    res.json({ contractor: { ...contractor, punctuality: checkIns.punctuality(contractor) } });
   } catch (error) {
     console.error('Contractor profile error:', error);
     res.status(500).json({ error: 'Failed to fetch contractor profile' });
   }
 });
 
-app.get('/api/contractors/:contractorId/audit-logs', async (req, res) => {
+// The contractor's quotes, newest first (?status=submitted,accepted)
+app.get('/api/contractors/:contractorId/quotes', requireSelf('contractorId'), async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+    const list = await quotes.listForContractor(req.params.contractorId, { statuses, limit: 200 });
+    res.json({ quotes: list });
+  } catch (error) {
+    console.error('Contractor quotes error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotes' });
+  }
+});
+
+// Contractor payout statements (issued monthly)
+app.get('/api/contractors/:contractorId/statements', requireSelf('contractorId'), async (req, res) => {
+  try {
+    const statements = await documentsRepo.list({ kind: 'payout_statement', contractorId: req.params.contractorId });
+    res.json({ statements: statements.map(documents.serialize) });
+  } catch (error) {
+    console.error('Statements error:', error);
+    res.status(500).json({ error: 'Failed to fetch statements' });
+  }
+});
+
+// A statement of the contractor's own, or 404 (same answer for someone else's)
+async function findOwnStatement(req) {
+  const statement = await documentsRepo.findById(req.params.documentId);
+  const own = statement && statement.kind === 'payout_statement' &&
+    String(statement.contractor_id) === String(req.params.contractorId);
+  return own ? statement : null;
+}
+
+app.get('/api/contractors/:contractorId/statements/:documentId/pdf', requireSelf('contractorId'), async (req, res) => {
+  try {
+    const statement = await findOwnStatement(req);
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+    documents.sendPdf(res, statement);
+  } catch (error) {
+    console.error('Statement download error:', error);
+    res.status(500).json({ error: 'Failed to download statement' });
+  }
+});
+
+app.post('/api/contractors/:contractorId/statements/:documentId/email', requireSelf('contractorId'), async (req, res) => {
+  try {
+    const statement = await findOwnStatement(req);
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+    const sent = await documents.emailDocument(statement.id, { actor: req.actor });
+    res.json({ success: true, statement: documents.serialize(sent) });
+  } catch (error) {
+    if (error instanceof documents.DocumentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Statement email error:', error);
+    res.status(500).json({ error: 'Failed to email statement' });
+  }
+});
+
+app.get('/api/contractors/:contractorId/audit-logs', requireSelf('contractorId'), async (req, res) => {
   try {
     const { contractorId } = req.params;
-    // Fetch audit logs from the audit_logs table, ordered by timestamp descending, limited to last 3
-    const result = await pool.query(
-      'SELECT id, action, details, timestamp, created_at FROM audit_logs WHERE user_id = $1 OR entity_id = $1 ORDER BY created_at DESC LIMIT 3',
-      [contractorId]
-    );
-    const logs = result.rows || [];
+    // Last 3 audit log entries where the contractor is the actor or the subject
+    const logs = await auditLogsRepo.listRecentForSubject(contractorId, 3);
     res.json({ logs });
   } catch (error) {
     console.error('Audit logs error:', error);
@@ -1557,7 +2245,7 @@ app.get('/api/contractors/:contractorId/audit-logs', async (req, res) => {
   }
 });
 
-app.patch('/api/contractors/:contractorId/profile', async (req, res) => {
+app.patch('/api/contractors/:contractorId/profile', requireSelf('contractorId'), async (req, res) => {
   try {
     const { contractorId } = req.params;
     const auditMeta = req.audit || {};
@@ -1569,21 +2257,40 @@ app.patch('/api/contractors/:contractorId/profile', async (req, res) => {
       primary_trade,
       secondary_trades,
       service_types,
-      experience_years
+      experience_years,
+      gst_hst_number,
+      qst_number
     } = req.body;
-
-    const currentResult = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    const currentContractor = currentResult.rows[0] || null;
-
-    const result = await pool.query(
-      'UPDATE contractors SET legal_name = $1, business_name = $2, email = $3, phone = $4, primary_trade = $5, secondary_trades = $6, service_types = $7, experience_years = $8 WHERE id = $9 RETURNING *',
-      [legal_name, business_name, email, phone, primary_trade || null, secondary_trades || null, service_types || null, experience_years || null, contractorId]
-    );
-
-    const contractor = result.rows[0];
+    const registration = tax.normalizeRegistration({ gst_hst_number, qst_number });
+    // Where they work and how many jobs they take at once, for dispatch
+    const serviceArea = dispatch.serviceAreaFields(req.body);
+
+    const found = await contractorsRepo.findById(contractorId);
+    // Snapshot before updating: the in-memory store updates rows in place
+    const currentContractor = found ? { ...found } : null;
+    // A new address has to be verified again
+    const emailChanged = Boolean(email && currentContractor
+      && String(email).trim().toLowerCase() !== String(currentContractor.email || '').toLowerCase());
+
+    const contractor = await contractorsRepo.update(contractorId, {
+      legal_name,
+      business_name,
+      email,
+      email_verified_at: emailChanged ? null : undefined,
+      phone,
+      primary_trade: primary_trade || null,
+      secondary_trades: secondary_trades || null,
+      service_types: service_types || null,
+      experience_years: experience_years || null,
+      ...registration,
+      ...serviceArea
+    });
     if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
+    if (emailChanged) {
+      await authTokens.sendEmailVerification(contractor, 'contractor', { ip: auditMeta.ip });
+    }
 
     if (currentContractor) {
       const changes = [];
@@ -1595,7 +2302,15 @@ app.patch('/api/contractors/:contractorId/profile', async (req, res) => {
         ['primary_trade', 'Primary trade'],
         ['secondary_trades', 'Secondary trades'],
         ['service_types', 'Service types'],
-        ['experience_years', 'Experience years']
+        ['experience_years', 'Experience years'],
+        ['gst_hst_number', 'GST/HST number'],
+        ['qst_number', 'QST number'],
+        ['base_city', 'Base city'],
+        ['base_province', 'Base province'],
+        ['base_latitude', 'Base latitude'],
+        ['base_longitude', 'Base longitude'],
+        ['service_radius_km', 'Service radius (km)'],
+        ['max_active_jobs', 'Maximum active jobs']
       ];
 
       fields.forEach(([field, label]) => {
@@ -1631,7 +2346,7 @@ app.patch('/api/contractors/:contractorId/profile', async (req, res) => {
           action: 'contractor.profile_updated',
           entity_type: 'contractor',
           entity_id: contractorId,
-          actor: req.actor || { role: 'contractor', id: contractorId },
+          actor: req.actor,
           before: currentContractor,
           after: contractor,
           diff,
@@ -1641,19 +2356,15 @@ app.patch('/api/contractors/:contractorId/profile', async (req, res) => {
     }
 
     if (Array.isArray(service_types)) {
-      await pool.query('DELETE FROM contractor_specialties WHERE contractor_id = $1', [contractorId]);
-      if (service_types.length > 0) {
-        const values = service_types.map((_, idx) => `($1, $${idx + 2})`).join(',');
-        await pool.query(
-          `INSERT INTO contractor_specialties (contractor_id, service_type_id) VALUES ${values}`,
-          [contractorId, ...service_types]
-        );
-      }
+      await specialtiesRepo.replaceForContractor(contractorId, service_types);
       contractor.specialties = service_types;
     }
 
     res.json({ contractor });
   } catch (error) {
+    if (error instanceof tax.TaxError || error instanceof dispatch.DispatchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Contractor profile update error:', error);
     res.status(500).json({ error: 'Failed to update contractor profile' });
   }
@@ -1661,14 +2372,8 @@ app.patch('/api/contractors/:contractorId/profile', async (req, res) => {
 
 app.get('/api/admin/contractors/:contractorId/documents/:docType', async (req, res) => {
   try {
-    const adminId = req.headers['x-admin-id'];
-    if (!adminId) {
-      return res.status(401).json({ error: 'Admin access required' });
-    }
-
     const { contractorId, docType } = req.params;
-    const result = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    const contractor = result.rows[0];
+    const contractor = await contractorsRepo.findById(contractorId);
     if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
@@ -1692,41 +2397,38 @@ app.get('/api/admin/contractors/:contractorId/documents/:docType', async (req, r
 
 // Admin dashboard
 app.get('/api/admin/dashboard', async (req, res) => {
-  const activeJobs = await pool.query('SELECT COUNT(*) FROM jobs WHERE status IN ($1, $2)', ['assigned', 'in_progress']);
-  const pendingJobs = await pool.query('SELECT COUNT(*) FROM jobs WHERE status = $1', ['submitted']);
-  const approvedContractors = await pool.query('SELECT COUNT(*) FROM contractors WHERE vetting_status = $1', ['APPROVED_ACTIVE']);
-  const pendingContractors = await pool.query('SELECT COUNT(*) FROM contractors WHERE vetting_status IN ($1, $2)', ['APPLIED', 'UNDER_REVIEW']);
+  const activeJobs = await jobsRepo.countByStatus(['assigned', 'in_progress']);
+  const pendingJobs = await jobsRepo.countByStatus(['submitted']);
+  const approvedContractors = await contractorsRepo.list({ vettingStatuses: ['APPROVED_ACTIVE'] });
+  const pendingContractors = await contractorsRepo.list({ vettingStatuses: ['APPLIED', 'UNDER_REVIEW'] });
   
   res.json({
     stats: {
-      active_jobs: parseInt(activeJobs.rows[0].count),
-      pending_jobs: parseInt(pendingJobs.rows[0].count),
-      approved_contractors: parseInt(approvedContractors.rows[0].count),
-      pending_contractors: parseInt(pendingContractors.rows[0].count)
+      active_jobs: activeJobs,
+      pending_jobs: pendingJobs,
+      approved_contractors: approvedContractors.length,
+      pending_contractors: pendingContractors.length
     }
   });
 });
 
 // Update payout status for a job
-app.patch('/api/jobs/:jobId/payout-status', async (req, res) => {
+app.patch('/api/jobs/:jobId/payout-status', requireAdmin, async (req, res) => {
   try {
     const { jobId } = req.params;
     const { payout_status } = req.body;
     const auditMeta = req.audit || {};
-    const result = await pool.query(
-      'UPDATE jobs SET payout_status = $1 WHERE id = $2 RETURNING *',
-      [payout_status, jobId]
-    );
-    const job = result.rows[0];
+    const job = await jobsRepo.update(jobId, { payout_status });
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
+    await ledger.recordJobPaidOutside(job, { actor: req.actor });
 
     await logEvent({
       action: payout_status === 'ready' ? 'payout.marked_ready' : 'payout.status_updated',
       entity_type: 'job',
       entity_id: jobId,
-      actor: req.actor || { role: 'admin', id: 'admin-001' },
+      actor: req.actor,
       after: { payout_status },
       meta: auditMeta
     });
@@ -1741,27 +2443,26 @@ app.patch('/api/jobs/:jobId/payout-status', async (req, res) => {
 // Get all pending payouts (jobs ready for payment)
 app.get('/api/admin/payouts/pending', async (req, res) => {
   try {
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobsResult = await pool.query('SELECT * FROM jobs WHERE payout_status != $1 ORDER BY completed_at DESC', ['paid']);
-    
-    const contractors = contractorsResult.rows || [];
-    const jobs = attachContractorTier(jobsResult.rows || [], contractors);
+    const contractors = await contractorsRepo.list();
+    const unpaidJobs = await jobsRepo.list({ excludePayoutStatus: 'paid', orderBy: 'completed_at' });
+    const jobs = financials.attachContractorTier(unpaidJobs, contractors);
 
     const payouts = jobs.map(job => {
       const contractor = contractors.find(c => c.id === job.contractor_id);
-      const financials = computeFinancials(job);
+      const amounts = financials.jobFinancials(job);
       return {
         job_id: job.id,
         contractor_id: job.contractor_id,
         contractor: contractor?.business_name || contractor?.legal_name || contractor?.email || '—',
-        contractor_tier: job.contractor_tier || 'bronze',
+        contractor_tier: amounts.contractor_tier,
         city: job.city || '—',
         category: job.category_name || job.category || '—',
-        final_price: job.final_price || 0,
-        material_fees: job.material_fees || 0,
-        stripe_fee: job.stripe_fee || financials.stripe_fee,
-        platform_fee: job.platform_fee || financials.platform_fee,
-        contractor_payout: job.contractor_payout || financials.contractor_payout,
+        currency: amounts.currency,
+        final_price: amounts.final_price ?? 0,
+        material_fees: amounts.material_fees ?? 0,
+        stripe_fee: amounts.stripe_fee,
+        platform_fee: amounts.platform_fee,
+        contractor_payout: amounts.contractor_payout,
         completed_at: job.completed_at || job.updated_at || job.created_at,
         payment_status: job.payment_status || 'unpaid',
         payout_status: job.payout_status || 'not_ready'
@@ -1778,27 +2479,26 @@ app.get('/api/admin/payouts/pending', async (req, res) => {
 // Get payouts history (completed/paid payouts)
 app.get('/api/admin/payouts/history', async (req, res) => {
   try {
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobsResult = await pool.query('SELECT * FROM jobs WHERE payout_status = $1 ORDER BY completed_at DESC LIMIT 100', ['paid']);
-    
-    const contractors = contractorsResult.rows || [];
-    const jobs = attachContractorTier(jobsResult.rows || [], contractors);
+    const contractors = await contractorsRepo.list();
+    const paidJobs = await jobsRepo.list({ payoutStatus: 'paid', orderBy: 'completed_at', limit: 100 });
+    const jobs = financials.attachContractorTier(paidJobs, contractors);
 
     const history = jobs.map(job => {
       const contractor = contractors.find(c => c.id === job.contractor_id);
-      const financials = computeFinancials(job);
+      const amounts = financials.jobFinancials(job);
       return {
         job_id: job.id,
         contractor_id: job.contractor_id,
         contractor: contractor?.business_name || contractor?.legal_name || contractor?.email || '—',
-        contractor_tier: job.contractor_tier || 'bronze',
+        contractor_tier: amounts.contractor_tier,
         city: job.city || '—',
         category: job.category_name || job.category || '—',
-        final_price: job.final_price || 0,
-        material_fees: job.material_fees || 0,
-        stripe_fee: job.stripe_fee || financials.stripe_fee,
-        platform_fee: job.platform_fee || financials.platform_fee,
-        contractor_payout: job.contractor_payout || financials.contractor_payout,
+        currency: amounts.currency,
+        final_price: amounts.final_price ?? 0,
+        material_fees: amounts.material_fees ?? 0,
+        stripe_fee: amounts.stripe_fee,
+        platform_fee: amounts.platform_fee,
+        contractor_payout: amounts.contractor_payout,
         completed_at: job.completed_at || job.updated_at || job.created_at,
         payment_status: job.payment_status || 'paid',
         payout_status: job.payout_status || 'paid'
@@ -1812,70 +2512,75 @@ app.get('/api/admin/payouts/history', async (req, res) => {
   }
 });
 
-// Batch process payouts
+// Batch process payouts: drafts a payout batch for the selected jobs, to be
+// approved by another admin and executed from /api/admin/payout-batches
 app.post('/api/admin/payouts/batch-process', async (req, res) => {
   try {
     const { job_ids } = req.body;
-    const auditMeta = req.audit || {};
     if (!Array.isArray(job_ids) || job_ids.length === 0) {
       return res.status(400).json({ error: 'job_ids is required' });
     }
-    const processed = [];
-    for (const jobId of job_ids) {
-      const result = await pool.query(
-        'UPDATE jobs SET payout_status = $1 WHERE id = $2 RETURNING *',
-        ['paid', jobId]
-      );
-      if (result.rows[0]) processed.push(jobId);
-    }
-
-    await logEvent({
-      action: 'payout.paid',
-      entity_type: 'batch',
-      entity_id: null,
-      actor: req.actor || { role: 'admin', id: 'admin-001' },
-      after: { job_ids: processed },
-      meta: auditMeta
+    const batch = await payouts.draftBatch({ jobIds: job_ids.map(String), actor: req.actor });
+    res.status(201).json({
+      success: true,
+      batch_id: batch.id,
+      status: batch.status,
+      job_ids: batch.lines.flatMap(line => line.job_ids),
+      total_amount: Number(batch.total_amount),
+      payouts: batch.lines.map(({ id, contractor_id, gross_amount, adjustments, materials, amount }) => ({
+        line_id: id, contractor_id, gross_amount, adjustments, materials, amount
+      })),
+      message: 'Payout batch drafted; another admin must approve it before it is sent'
     });
-
-    res.json({ success: true, processed: processed.length, job_ids: processed, payout_status: 'paid' });
   } catch (error) {
+    if (error instanceof payouts.PayoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Batch payout error:', error);
     res.status(500).json({ error: 'Failed to process payouts' });
   }
 });
 
-// Admin - Contractors payouts overview
+// Admin - Contractors payouts overview (balances from the ledger)
 app.get('/api/admin/contractors/payouts', async (req, res) => {
   try {
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const contractors = contractorsResult.rows || [];
-    const jobs = attachContractorTier(jobsResult.rows || [], contractors);
+    const contractors = await contractorsRepo.list();
+    const jobs = await jobsRepo.list({ payoutStatus: 'ready' });
+    const owed = await ledger.owedByJob();
+    const { extra_holidays: extraHolidays } = await payoutScheduler.getSettings();
 
     const payload = contractors.map(contractor => {
-      const contractorJobs = jobs.filter(job => job.contractor_id === contractor.id && job.payout_status === 'ready');
+      const contractorJobs = jobs.filter(job => job.contractor_id === contractor.id);
+      const balances = owed.get(String(contractor.id)) || new Map();
+      const due = ledger.payableNow(balances, contractorJobs.map(job => job.id));
       const jobItems = contractorJobs.map(job => {
-        const financials = computeFinancials(job);
+        const balance = balances.get(String(job.id)) || { payable: 0, materials: 0 };
         return {
           job_id: job.id,
           city: job.city || '—',
           category: job.category_name || job.category || '—',
-          contractor_payout: financials.contractor_payout,
+          contractor_payout: financials.toDollars(balance.payable),
+          materials: financials.toDollars(balance.materials),
           completed_at: job.completed_at || job.updated_at || job.created_at,
           payout_status: job.payout_status || 'not_ready'
         };
       });
-      const totalPending = jobItems.reduce((sum, item) => sum + (item.contractor_payout || 0), 0);
-      const schedule = contractor.payment_schedule || 'weekly';
       return {
         contractor_id: contractor.id,
         name: contractor.business_name || contractor.legal_name || contractor.email,
         email: contractor.email || null,
         phone: contractor.phone || null,
-        payment_schedule: schedule,
-        next_payment_date: nextPaymentDate(schedule).toISOString(),
-        total_pending: Math.round(totalPending * 100) / 100,
+        payment_schedule: contractor.payment_schedule || payoutSchedule.DEFAULT_SCHEDULE,
+        payout_timezone: contractor.payout_timezone || ENV.payoutTimezone,
+        next_payment_date: payoutScheduler.nextDueDateFor(contractor, extraHolidays),
+        payout_on_hold: Boolean(contractor.payout_held_at),
+        payout_hold_reason: contractor.payout_hold_reason || null,
+        currency: financials.CURRENCY,
+        gross_pending: financials.toDollars(due.gross),
+        pending_adjustments: financials.toDollars(due.adjustments),
+        pending_materials: financials.toDollars(due.materials),
+        total_pending: financials.toDollars(due.net),
+        balance: financials.toDollars(due.outstanding),
         jobs: jobItems
       };
     });
@@ -1887,104 +2592,242 @@ app.get('/api/admin/contractors/payouts', async (req, res) => {
   }
 });
 
-// Admin - Process contractor payouts
+// Admin - Process contractor payouts: drafts a one-contractor payout batch
+// (the amount comes from the ledger, not from the request)
 app.post('/api/admin/payouts/process', async (req, res) => {
   try {
-    const { contractor_id, amount, job_ids, payment_schedule, payment_method } = req.body || {};
-    const auditMeta = req.audit || {};
+    const { contractor_id, job_ids, payment_schedule } = req.body || {};
     if (!contractor_id || !Array.isArray(job_ids) || job_ids.length === 0) {
       return res.status(400).json({ error: 'contractor_id and job_ids are required' });
     }
+    const batch = await payouts.draftBatch({
+      contractorIds: [String(contractor_id)],
+      jobIds: job_ids.map(String),
+      paymentSchedule: payment_schedule || undefined,
+      actor: req.actor
+    });
+    const [line] = batch.lines;
 
-    const paymentId = crypto.randomUUID();
-    const payment = {
-      payment_id: paymentId,
+    res.status(201).json({
+      success: true,
+      batch_id: batch.id,
+      line_id: line.id,
       contractor_id,
-      amount: Number(amount) || 0,
-      job_ids,
-      payment_schedule: payment_schedule || 'weekly',
-      payment_method: payment_method || 'bank_transfer',
-      status: 'processing',
-      initiated_at: new Date().toISOString()
+      currency: line.currency,
+      gross_amount: Number(line.gross_amount),
+      adjustments: Number(line.adjustments),
+      materials: Number(line.materials),
+      amount: Number(line.amount),
+      job_ids: line.job_ids,
+      status: batch.status,
+      message: 'Payout batch drafted; another admin must approve it before it is sent'
+    });
+  } catch (error) {
+    if (error instanceof payouts.PayoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Process payout error:', error);
+    res.status(500).json({ error: 'Failed to process payout' });
+  }
+});
+
+// Admin - Update contractor payment schedule (and optionally the time zone its dates are in;
+// null goes back to PAYOUT_TIMEZONE)
+app.patch('/api/admin/contractors/:contractorId/payment-schedule', async (req, res) => {
+  try {
+    const { contractorId } = req.params;
+    const { payment_schedule, timezone } = req.body || {};
+    const auditMeta = req.audit || {};
+    if (!payoutSchedule.SCHEDULES.includes(payment_schedule)) {
+      return res.status(400).json({ error: `payment_schedule must be one of ${payoutSchedule.SCHEDULES.join(', ')}` });
+    }
+    if (timezone && !payoutSchedule.isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as America/Vancouver' });
+    }
+    const existing = await contractorsRepo.findById(contractorId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    const before = {
+      payment_schedule: existing.payment_schedule || null,
+      payout_timezone: existing.payout_timezone || null
     };
-    contractorPayments.push(payment);
+    const changes = { payment_schedule };
+    if (timezone !== undefined) changes.payout_timezone = timezone || null;
+    const contractor = await contractorsRepo.update(contractorId, changes);
 
-    for (const jobId of job_ids) {
-      await pool.query(
-        'UPDATE jobs SET payout_status = $1 WHERE id = $2 RETURNING *',
-        ['paid', jobId]
-      );
+    await logEvent({
+      action: 'contractor.payment_schedule_updated',
+      entity_type: 'contractor',
+      entity_id: contractorId,
+      actor: req.actor || { role: 'admin', id: 'admin-001' },
+      before,
+      after: { payment_schedule, payout_timezone: contractor.payout_timezone || null },
+      meta: auditMeta
+    });
+
+    const { extra_holidays: extraHolidays } = await payoutScheduler.getSettings();
+    res.json({
+      success: true,
+      contractor_id: contractorId,
+      payment_schedule,
+      payout_timezone: contractor.payout_timezone || ENV.payoutTimezone,
+      next_payment_date: payoutScheduler.nextDueDateFor(contractor, extraHolidays)
+    });
+  } catch (error) {
+    console.error('Payment schedule update error:', error);
+    res.status(500).json({ error: 'Failed to update payment schedule' });
+  }
+});
+
+// Admin - Set where a contractor's payouts are sent (the payout provider's account id)
+app.patch('/api/admin/contractors/:contractorId/payout-account', async (req, res) => {
+  try {
+    const { contractorId } = req.params;
+    const payoutAccountId = String((req.body || {}).payout_account_id || '').trim();
+    const auditMeta = req.audit || {};
+    if (payoutAccountId.length > 120) {
+      return res.status(400).json({ error: 'payout_account_id is too long' });
+    }
+    const existing = await contractorsRepo.findById(contractorId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Contractor not found' });
     }
+    const before = { payout_account_id: existing.payout_account_id || null };
+    const contractor = await contractorsRepo.update(contractorId, { payout_account_id: payoutAccountId || null });
 
     await logEvent({
-      action: 'payout.paid',
+      action: 'contractor.payout_account_updated',
       entity_type: 'contractor',
-      entity_id: contractor_id,
+      entity_id: contractorId,
       actor: req.actor || { role: 'admin', id: 'admin-001' },
-      after: payment,
+      before,
+      after: { payout_account_id: contractor.payout_account_id || null },
       meta: auditMeta
     });
 
     res.json({
       success: true,
-      payment_id: paymentId,
-      contractor_id,
-      amount: payment.amount,
-      processed_at: payment.initiated_at,
-      job_ids,
-      status: 'paid'
+      contractor_id: contractorId,
+      payout_account_id: contractor.payout_account_id || null
     });
   } catch (error) {
-    console.error('Process payout error:', error);
-    res.status(500).json({ error: 'Failed to process payout' });
+    console.error('Payout account update error:', error);
+    res.status(500).json({ error: 'Failed to update payout account' });
   }
 });
 
-// Admin - Update contractor payment schedule
-app.patch('/api/admin/contractors/:contractorId/payment-schedule', async (req, res) => {
+// Admin - Put a contractor's payouts on hold: the scheduler and new batches leave them out,
+// and lines already in a batch are canceled when it is sent
+app.post('/api/admin/contractors/:contractorId/payout-hold', async (req, res) => {
   try {
     const { contractorId } = req.params;
-    const { payment_schedule } = req.body;
+    const reason = String((req.body || {}).reason || '').trim();
     const auditMeta = req.audit || {};
-    const result = await pool.query(
-      'UPDATE contractors SET payment_schedule = $1 WHERE id = $2 RETURNING *',
-      [payment_schedule, contractorId]
-    );
-    const contractor = result.rows[0];
-    if (!contractor) {
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    const existing = await contractorsRepo.findById(contractorId);
+    if (!existing) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
+    if (existing.payout_held_at) {
+      return res.status(409).json({ error: 'Payouts are already on hold for this contractor' });
+    }
+    const contractor = await contractorsRepo.update(contractorId, {
+      payout_hold_reason: reason.slice(0, 500),
+      payout_held_at: new Date(),
+      payout_held_by: req.actor || null
+    });
 
     await logEvent({
-      action: 'contractor.payment_schedule_updated',
+      action: 'contractor.payout_hold_placed',
       entity_type: 'contractor',
       entity_id: contractorId,
       actor: req.actor || { role: 'admin', id: 'admin-001' },
-      after: { payment_schedule },
+      reason: contractor.payout_hold_reason,
+      after: { payout_held_at: contractor.payout_held_at },
       meta: auditMeta
     });
 
     res.json({
       success: true,
       contractor_id: contractorId,
-      payment_schedule,
-      next_payment_date: nextPaymentDate(payment_schedule).toISOString()
+      payout_hold_reason: contractor.payout_hold_reason,
+      payout_held_at: contractor.payout_held_at
     });
   } catch (error) {
-    console.error('Payment schedule update error:', error);
-    res.status(500).json({ error: 'Failed to update payment schedule' });
+    console.error('Payout hold error:', error);
+    res.status(500).json({ error: 'Failed to hold payouts' });
+  }
+});
+
+// Admin - Release a payout hold; ready jobs go out on the contractor's next due date
+app.delete('/api/admin/contractors/:contractorId/payout-hold', async (req, res) => {
+  try {
+    const { contractorId } = req.params;
+    const auditMeta = req.audit || {};
+    const existing = await contractorsRepo.findById(contractorId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    if (!existing.payout_held_at) {
+      return res.status(409).json({ error: 'Payouts are not on hold for this contractor' });
+    }
+    const before = {
+      payout_hold_reason: existing.payout_hold_reason || null,
+      payout_held_at: existing.payout_held_at,
+      payout_held_by: existing.payout_held_by || null
+    };
+    await contractorsRepo.update(contractorId, {
+      payout_hold_reason: null,
+      payout_held_at: null,
+      payout_held_by: null
+    });
+
+    await logEvent({
+      action: 'contractor.payout_hold_released',
+      entity_type: 'contractor',
+      entity_id: contractorId,
+      actor: req.actor || { role: 'admin', id: 'admin-001' },
+      reason: (req.body || {}).reason || null,
+      before,
+      meta: auditMeta
+    });
+
+    res.json({ success: true, contractor_id: contractorId });
+  } catch (error) {
+    console.error('Payout hold release error:', error);
+    res.status(500).json({ error: 'Failed to release payout hold' });
   }
 });
 
-// Admin - Contractor payment history
+// Admin - Contractor payment history (payout batch lines)
 app.get('/api/admin/contractors/:contractorId/payment-history', async (req, res) => {
   try {
     const { contractorId } = req.params;
-    const payments = contractorPayments.filter(payment => String(payment.contractor_id) === String(contractorId));
-    const totalPaid = payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+    const lines = await payoutBatchesRepo.listLines({ contractorId });
+    const payments = lines.map(line => ({
+      payment_id: line.id,
+      batch_id: line.batch_id,
+      contractor_id: line.contractor_id,
+      currency: line.currency,
+      gross_amount: Number(line.gross_amount),
+      adjustments: Number(line.adjustments),
+      materials: Number(line.materials),
+      amount: Number(line.amount),
+      job_ids: line.job_ids,
+      status: line.status,
+      provider_payout_id: line.provider_payout_id || null,
+      failure_message: line.failure_message || null,
+      initiated_at: line.created_at,
+      paid_at: line.paid_at || null
+    }));
+    const paid = lines.filter(line => line.status === 'paid');
     res.json({
       contractor_id: contractorId,
-      total_paid: Math.round(totalPaid * 100) / 100,
+      currency: financials.CURRENCY,
+      total_paid: financials.toDollars(financials.sumAmountCents(paid, 'amount')),
       payments
     });
   } catch (error) {
@@ -1999,32 +2842,28 @@ app.get('/api/admin/contractors/:contractorId/payouts', async (req, res) => {
     const { contractorId } = req.params;
     
     // Get contractor info
-    const contractorResult = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    if (contractorResult.rows.length === 0) {
+    const contractor = await contractorsRepo.findById(contractorId);
+    if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
     
-    const contractor = contractorResult.rows[0];
-    
     // Get pending payouts for this contractor
-    const pendingResult = await pool.query(
-      'SELECT * FROM jobs WHERE contractor_id = $1 AND payout_status != $2 ORDER BY completed_at DESC',
-      [contractorId, 'paid']
+    const pendingJobs = financials.attachContractorTier(
+      await jobsRepo.list({ contractorId, excludePayoutStatus: 'paid', orderBy: 'completed_at' }),
+      [contractor]
     );
     
     // Get paid payouts for this contractor
-    const paidResult = await pool.query(
-      'SELECT * FROM jobs WHERE contractor_id = $1 AND payout_status = $2 ORDER BY completed_at DESC LIMIT 50',
-      [contractorId, 'paid']
+    const paidJobs = financials.attachContractorTier(
+      await jobsRepo.list({ contractorId, payoutStatus: 'paid', orderBy: 'completed_at', limit: 50 }),
+      [contractor]
     );
     
-    const pendingJobs = pendingResult.rows || [];
-    const paidJobs = paidResult.rows || [];
-    
     // Calculate totals
-    const totalPending = pendingJobs.reduce((sum, job) => sum + (job.contractor_payout || 0), 0);
-    const totalPaid = paidJobs.reduce((sum, job) => sum + (job.contractor_payout || 0), 0);
+    const pendingAmounts = pendingJobs.map(job => financials.jobFinancials(job));
+    const paidAmounts = paidJobs.map(job => financials.jobFinancials(job));
     const readyCount = pendingJobs.filter(job => job.payout_status === 'ready').length;
+    const adjustments = await pendingAdjustmentsPayload(contractorId);
     
     res.json({
       contractor: {
@@ -2033,41 +2872,51 @@ app.get('/api/admin/contractors/:contractorId/payouts', async (req, res) => {
         email: contractor.email,
         phone: contractor.phone,
         tier: contractor.contractor_tier || 'bronze',
-        payment_schedule: contractor.payment_schedule || 'weekly',
-        next_payment_date: contractor.next_payment_date
+        payment_schedule: contractor.payment_schedule || payoutSchedule.DEFAULT_SCHEDULE,
+        payout_timezone: contractor.payout_timezone || ENV.payoutTimezone,
+        next_payment_date: payoutScheduler.nextDueDateFor(contractor, (await payoutScheduler.getSettings()).extra_holidays),
+        payout_on_hold: Boolean(contractor.payout_held_at),
+        payout_hold_reason: contractor.payout_hold_reason || null
       },
       payouts: {
         pending: {
-          total_amount: Math.round(totalPending * 100) / 100,
+          total_amount: financials.toDollars(financials.sumCents(pendingAmounts, 'contractor_payout')),
+          adjustments: adjustments.total,
+          net_amount: financials.toDollars(
+            Math.max(0, financials.sumCents(pendingAmounts, 'contractor_payout') + adjustments.total_cents)
+          ),
           job_count: pendingJobs.length,
           ready_count: readyCount,
-          jobs: pendingJobs.map(job => ({
+          jobs: pendingJobs.map((job, index) => ({
             job_id: job.id,
             category: job.category_name || job.category,
             city: job.city,
-            final_price: job.final_price,
-            material_fees: job.material_fees,
-            stripe_fee: job.stripe_fee,
-            platform_fee: job.platform_fee,
-            contractor_payout: job.contractor_payout,
+            final_price: pendingAmounts[index].final_price,
+            material_fees: pendingAmounts[index].material_fees,
+            refunded: pendingAmounts[index].refunded,
+            stripe_fee: pendingAmounts[index].stripe_fee,
+            platform_fee: pendingAmounts[index].platform_fee,
+            contractor_payout: pendingAmounts[index].contractor_payout,
             completed_at: job.completed_at,
             status: job.payout_status
           }))
         },
         history: {
-          total_amount: Math.round(totalPaid * 100) / 100,
+          total_amount: financials.toDollars(financials.sumCents(paidAmounts, 'contractor_payout')),
           job_count: paidJobs.length,
-          jobs: paidJobs.map(job => ({
+          jobs: paidJobs.map((job, index) => ({
             job_id: job.id,
             category: job.category_name || job.category,
             city: job.city,
-            final_price: job.final_price,
-            material_fees: job.material_fees,
-            contractor_payout: job.contractor_payout,
+            final_price: paidAmounts[index].final_price,
+            material_fees: paidAmounts[index].material_fees,
+            refunded: paidAmounts[index].refunded,
+            contractor_payout: paidAmounts[index].contractor_payout,
             completed_at: job.completed_at,
             paid_at: job.updated_at
           }))
-        }
+        },
+        adjustments: adjustments.items
       }
     });
   } catch (error) {
@@ -2078,32 +2927,41 @@ app.get('/api/admin/contractors/:contractorId/payouts', async (req, res) => {
 
 // Admin - all jobs
 app.get('/api/admin/jobs', async (req, res) => {
-  const result = await pool.query('SELECT * FROM jobs');
-  res.json({ jobs: result.rows });
+  const jobs = await jobsRepo.list();
+  res.json({ jobs });
 });
 
 // Admin - all contractors
 app.get('/api/admin/contractors', async (req, res) => {
-  const result = await pool.query('SELECT * FROM contractors');
-  res.json({ contractors: result.rows });
+  const contractors = await contractorsRepo.list();
+  res.json({ contractors });
 });
 
 // Admin - assign job
 app.post('/api/admin/jobs/:jobId/assign', async (req, res) => {
-  const result = await pool.query(
-    'UPDATE jobs SET contractor_id = $1, status = $2 WHERE id = $3 RETURNING *',
-    [req.body.contractor_id, 'assigned', req.params.jobId]
-  );
-  res.json({ job: result.rows[0] });
+  try {
+    const { job } = await jobLifecycle.transition(req.params.jobId, 'assign', {
+      actor: req.actor,
+      contractorId: req.body.contractor_id,
+      details: 'Admin assigned job'
+    });
+    res.json({ job });
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Assign job error:', error);
+    res.status(500).json({ error: 'Failed to assign job' });
+  }
 });
 
 // Admin - update contractor status
 app.patch('/api/admin/contractors/:contractorId/status', async (req, res) => {
-  const result = await pool.query(
-    'UPDATE contractors SET vetting_status = $1 WHERE id = $2 RETURNING *',
-    [req.body.vetting_status, req.params.contractorId]
-  );
-  res.json({ contractor: result.rows[0] });
+  const contractor = await contractorsRepo.update(req.params.contractorId, {
+    vetting_status: req.body.vetting_status,
+    approved_at: req.body.vetting_status === 'APPROVED_ACTIVE' ? new Date() : undefined
+  });
+  res.json({ contractor });
 });
 
 // Admin - update contractor tier
@@ -2116,12 +2974,7 @@ app.patch('/api/admin/contractors/:contractorId/tier', async (req, res) => {
       return res.status(400).json({ error: 'Invalid contractor tier' });
     }
 
-    const result = await pool.query(
-      'UPDATE contractors SET contractor_tier = $1 WHERE id = $2 RETURNING *',
-      [tier, contractorId]
-    );
-
-    const contractor = result.rows[0];
+    const contractor = await contractorsRepo.update(contractorId, { contractor_tier: tier });
     if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
@@ -2145,23 +2998,58 @@ app.patch('/api/admin/contractors/:contractorId/tier', async (req, res) => {
 // ADMIN DASHBOARD ENDPOINTS
 // ============================================================================
 
+async function buildDashboardMetrics(jobs, contractors) {
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const docsWindowEnd = new Date(now.getTime() + 90 * 24 * 60 * 60 * 1000);
+  const docsExpiring = await contractorsRepo.listExpiringDocuments(docsWindowEnd);
+
+  const mtdAmounts = jobs
+    .filter(j => j.status === 'completed' && new Date(j.completed_at || j.created_at) >= monthStart)
+    .map(job => financials.jobFinancials(job));
+
+  const recentActivity = [...jobs]
+    .sort((a, b) => new Date(b.updated_at || b.created_at || 0) - new Date(a.updated_at || a.created_at || 0))
+    .slice(0, 10)
+    .map(j => ({
+      id: j.id,
+      type: 'job',
+      action: `Job ${j.status}`,
+      description: `${j.type_name} - ${j.city}`,
+      timestamp: j.updated_at
+    }));
+
+  return {
+    active_jobs: jobs.filter(j => ['assigned', 'en_route', 'on_site'].includes(j.status)).length,
+    pending_review: jobs.filter(j => ['completed_pending_review', 'cancel_requested'].includes(j.status)).length,
+    unassigned_jobs: jobs.filter(j =>
+      !j.contractor_id &&
+      ['submitted', 'confirmed', 'ready_to_assign', 'open', 'cancel_requested'].includes(j.status)
+    ).length,
+    total_jobs: jobs.length,
+    completed_jobs: jobs.filter(j => j.status === 'completed').length,
+    vetting_queue: contractors.filter(c => ['APPLIED', 'UNDER_REVIEW', 'PENDING_DOCUMENTS'].includes(c.vetting_status)).length,
+    approved_contractors: contractors.filter(c => c.vetting_status === 'APPROVED_ACTIVE').length,
+    docs_expiring_soon: docsExpiring.length,
+    total_contractors: contractors.length,
+    mtd_revenue: financials.toDollars(financials.sumCents(mtdAmounts, 'final_price')),
+    disputes_open: jobs.filter(j => j.has_dispute === true).length,
+    recent_activity: recentActivity,
+    last_updated: now
+  };
+}
+
 // Admin Dashboard Metrics
 app.get('/api/admin/metrics/dashboard', async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM admin_dashboard_metrics');
-    const metrics = result.rows[0] || {};
+    const contractors = await contractorsRepo.list();
+    const jobs = financials.attachContractorTier(await jobsRepo.list(), contractors);
+    const metrics = await buildDashboardMetrics(jobs, contractors);
 
     // Ensure pending payouts align with Contractor Payouts page (ready only)
-    const jobsResult = await pool.query('SELECT * FROM jobs');
-    const contractorsResult = await pool.query('SELECT * FROM contractors');
-    const jobs = attachContractorTier(jobsResult.rows || [], contractorsResult.rows || []);
     const readyJobs = jobs.filter(job => job.status === 'completed' && (job.payout_status || 'not_ready') === 'ready');
-    const pendingPayouts = readyJobs.reduce((sum, job) => {
-      const financials = computeFinancials(job);
-      return sum + (financials.contractor_payout || 0);
-    }, 0);
-
-    metrics.pending_payouts = Math.round(pendingPayouts * 100) / 100;
+    const readyAmounts = readyJobs.map(job => financials.jobFinancials(job));
+    metrics.pending_payouts = financials.toDollars(financials.sumCents(readyAmounts, 'contractor_payout'));
 
     res.json({
       metrics,
@@ -2182,14 +3070,9 @@ app.get('/api/admin/jobs/filtered', async (req, res) => {
     
     if (status) {
       const statuses = status.split(',');
-      const result = await pool.query(
-        'SELECT * FROM jobs WHERE status IN ($1, $2, $3, $4, $5)',
-        statuses.slice(0, 5) // Max 5 statuses
-      );
-      jobs = result.rows;
+      jobs = await jobsRepo.list({ statuses: statuses.slice(0, 5) }); // Max 5 statuses
     } else {
-      const result = await pool.query('SELECT * FROM jobs');
-      jobs = result.rows;
+      jobs = await jobsRepo.list();
     }
     
     // Apply additional filters
@@ -2219,19 +3102,15 @@ app.get('/api/admin/contractors/filtered', async (req, res) => {
     
     if (status) {
       const statuses = status.split(',');
-      const result = await pool.query(
-        'SELECT * FROM contractors WHERE vetting_status IN ($1, $2, $3)',
-        statuses.slice(0, 3)
-      );
-      contractors = result.rows;
+      contractors = await contractorsRepo.list({ vettingStatuses: statuses.slice(0, 3) });
     } else {
-      const result = await pool.query('SELECT * FROM contractors');
-      contractors = result.rows;
+      contractors = await contractorsRepo.list();
     }
     
     if (docs_expiring === 'true') {
-      const docsResult = await pool.query('SELECT * FROM contractor_documents WHERE expiry < NOW()');
-      const contractorIds = [...new Set(docsResult.rows.map(d => d.contractor_id))];
+      const docsWindowEnd = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+      const docs = await contractorsRepo.listExpiringDocuments(docsWindowEnd);
+      const contractorIds = [...new Set(docs.map(d => d.contractor_id))];
       contractors = contractors.filter(c => contractorIds.includes(c.id));
     }
     
@@ -2246,13 +3125,13 @@ app.get('/api/admin/contractors/filtered', async (req, res) => {
 app.get('/api/admin/jobs/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
-    const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+    const job = await jobsRepo.findById(jobId);
     
-    if (result.rows.length === 0) {
+    if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
     
-    res.json({ job: result.rows[0] });
+    res.json({ job });
   } catch (error) {
     console.error('Job detail error:', error);
     res.status(500).json({ error: 'Failed to fetch job details' });
@@ -2263,19 +3142,16 @@ app.get('/api/admin/jobs/:jobId', async (req, res) => {
 app.get('/api/admin/contractors/:contractorId', async (req, res) => {
   try {
     const { contractorId } = req.params;
-    const result = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
+    const found = await contractorsRepo.findById(contractorId);
     
-    if (result.rows.length === 0) {
+    if (!found) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
     
     // Get contractor specialties
-    const specialtiesResult = await pool.query(
-      'SELECT service_type_id FROM contractor_specialties WHERE contractor_id = $1',
-      [contractorId]
-    );
+    const specialties = await specialtiesRepo.listForContractor(contractorId);
     
-    const contractor = result.rows[0];
+    const contractor = { ...found };
     contractor.primary_trade = contractor.primary_trade || contractor.primaryTrade || null;
     const combinedSecondary = []
       .concat(contractor.secondary_trades || [])
@@ -2288,7 +3164,8 @@ app.get('/api/admin/contractors/:contractorId', async (req, res) => {
       .filter(v => v !== null && v !== undefined);
     contractor.service_types = combinedServices.length > 0 ? Array.from(new Set(combinedServices.map(Number))) : null;
     contractor.experience_years = contractor.experience_years || contractor.experienceYears || null;
-    contractor.specialties = specialtiesResult.rows.map(r => r.service_type_id);
+    contractor.specialties = specialties;
+    contractor.punctuality = checkIns.punctuality(found);
     const logFromProfile = Array.isArray(contractor.auditLog) ? contractor.auditLog : [];
     const logFromStore = contractorAuditLog.get(contractorId) || [];
     contractor.auditLog = [...logFromProfile, ...logFromStore].sort((a, b) => new Date(b.at) - new Date(a.at));
@@ -2317,16 +3194,15 @@ app.post('/api/admin/contractors/:contractorId/status', async (req, res) => {
     const { status, reason } = req.body;
     const auditMeta = req.audit || {};
     
-    const result = await pool.query(
-      'UPDATE contractors SET status = $1, vetting_status = $2 WHERE id = $3 RETURNING *',
-      [status, status.toUpperCase(), contractorId]
-    );
+    const contractor = await contractorsRepo.update(contractorId, {
+      status,
+      vetting_status: status.toUpperCase(),
+      approved_at: status.toUpperCase() === 'APPROVED_ACTIVE' ? new Date() : undefined
+    });
     
-    if (result.rows.length === 0) {
+    if (!contractor) {
       return res.status(404).json({ error: 'Contractor not found' });
     }
-
-    const contractor = result.rows[0];
     
     // Add audit log entry
     const auditEntry = {
@@ -2391,41 +3267,6 @@ app.post('/api/admin/contractors/:contractorId/notes', async (req, res) => {
   }
 });
 
-// Admin - Revenue Dashboard
-app.get('/api/admin/revenue/dashboard', async (req, res) => {
-  try {
-    const { range = 'mtd' } = req.query;
-    
-    // Mock revenue data
-    const revenueData = {
-      mtd_revenue: 45600,
-      ytd_revenue: 425000,
-      pending_payouts: 12400,
-      completed_jobs_mtd: 130,
-      by_city: [
-        { city: 'Toronto', revenue: 28000, jobs: 80 },
-        { city: 'Mississauga', revenue: 12600, jobs: 36 },
-        { city: 'Brampton', revenue: 5000, jobs: 14 }
-      ],
-      by_service: [
-        { service: 'Plumbing', revenue: 18500, jobs: 53 },
-        { service: 'Electrical', revenue: 15200, jobs: 43 },
-        { service: 'HVAC', revenue: 11900, jobs: 34 }
-      ],
-      daily_trend: Array.from({ length: 30 }, (_, i) => ({
-        date: new Date(Date.now() - (29 - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        revenue: Math.floor(Math.random() * 3000) + 1000,
-        jobs: Math.floor(Math.random() * 10) + 3
-      }))
-    };
-    
-    res.json(revenueData);
-  } catch (error) {
-    console.error('Revenue dashboard error:', error);
-    res.status(500).json({ error: 'Failed to fetch revenue data' });
-  }
-});
-
 app.get('/health', (req, res) => {
   res.json({ status: 'OK' });
 });
@@ -2690,15 +3531,13 @@ app.get('/admin/contractor-profile/:contractorId', async (req, res) => {
     console.log(`📄 Rendering profile for contractor ID: ${contractorId}`);
     
     // Fetch contractor from database
-    const result = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    console.log(`   Query returned ${result.rows.length} row(s)`);
+    const contractor = await contractorsRepo.findById(contractorId);
     
-    if (result.rows.length === 0) {
+    if (!contractor) {
       console.log(`   ❌ Contractor not found`);
       return res.status(404).send('<h1>Contractor not found</h1>');
     }
     
-    const contractor = result.rows[0];
     console.log(`   ✅ Found: ${contractor.business_name} (${contractor.id})`);
     
     // Generate HTML page specific to this contractor
@@ -2771,6 +3610,14 @@ app.get('/admin/contractor-profile/:contractorId', async (req, res) => {
                     <span class="info-label">Contractor ID:</span>
                     <span class="info-value">${contractor.id || 'N/A'}</span>
                 </div>
+                <div class="info-row">
+                    <span class="info-label">GST/HST Number:</span>
+                    <span class="info-value">${contractor.gst_hst_number || 'Not registered'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">QST Number:</span>
+                    <span class="info-value">${contractor.qst_number || 'Not registered'}</span>
+                </div>
             </div>
             
             <!-- Professional Details -->
@@ -2875,13 +3722,11 @@ app.get('/contractor-profile/:contractorId', async (req, res) => {
   try {
     const { contractorId } = req.params;
     
-    const result = await pool.query('SELECT * FROM contractors WHERE id = $1', [contractorId]);
-    if (result.rows.length === 0) {
+    const contractor = await contractorsRepo.findById(contractorId);
+    if (!contractor) {
       return res.status(404).send('<h1>Contractor not found</h1>');
     }
     
-    const contractor = result.rows[0];
-    
     const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -2991,6 +3836,26 @@ const server = app.listen(PORT, async () => {
   } catch (error) {
     logger.warn({ err: error }, 'PostgreSQL connection failed (using mock DB fallback)');
   }
+
+  // Post money that moved before the ledger existed (a no-op once done)
+  try {
+    const { entries } = await ledger.backfill();
+    if (entries) logger.info({ entries }, 'Ledger backfilled');
+  } catch (error) {
+    logger.error({ err: error }, 'Ledger backfill failed');
+  }
+
+  // Draft payout batches as contractors fall due
+  payoutScheduler.start(logger);
+
+  // Expire job offers and send the next waves
+  dispatchScheduler.start(logger);
+
+  // Clear job messages past MESSAGE_RETENTION_DAYS
+  messageScheduler.start(logger);
+
+  // Retry notifications, send those held for quiet hours, remind of expiring documents
+  notificationScheduler.start(logger);
 });
 
 // ---------------------------------------------------------------------------
@@ -2998,6 +3863,10 @@ const server = app.listen(PORT, async () => {
 // ---------------------------------------------------------------------------
 const shutdown = async (signal) => {
   logger.info({ signal }, 'Shutdown signal received, closing connections...');
+  payoutScheduler.stop();
+  dispatchScheduler.stop();
+  messageScheduler.stop();
+  notificationScheduler.stop();
   
   server.close(async () => {
     try {
@@ -3022,3 +3891,5 @@ const shutdown = async (signal) => {
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
+
+module.exports = { app, server };
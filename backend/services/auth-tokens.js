@@ -0,0 +1,176 @@
+/**
+ * Auth Tokens – single-use links for password reset and email verification
+ *
+ * Usage:
+ *   const authTokens = require('./services/auth-tokens');
+ *   const { token } = await authTokens.issue(customer, 'customer', authTokens.PURPOSES.PASSWORD_RESET);
+ *   // ...email a link containing `token`...
+ *   const record = await authTokens.redeem(token, authTokens.PURPOSES.PASSWORD_RESET);
+ *
+ *   // or issue and email in one step:
+ *   await authTokens.sendEmailVerification(contractor, 'contractor', { ip });
+ *
+ * The raw token only ever leaves the server inside the email. The database
+ * keeps its SHA-256 hash, so a leaked auth_tokens table cannot be replayed.
+ * Issuing a new token retires the user's earlier ones for the same purpose,
+ * and redeeming marks the token used in the same statement that checks it.
+ */
+
+const crypto = require('crypto');
+const ENV = require('../config/env');
+const { authTokens } = require('../repositories');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../email-service');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TTL_MS = {
+  [PURPOSES.PASSWORD_RESET]: ENV.passwordResetTtlMinutes * 60 * 1000,
+  [PURPOSES.EMAIL_VERIFICATION]: ENV.emailVerificationTtlHours * 60 * 60 * 1000
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class AuthTokenError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * True when `email` has already been sent the hourly maximum of `purpose` tokens
+ * @param {string} email
+ * @param {string} purpose - One of PURPOSES
+ * @returns {Promise<boolean>}
+ */
+async function isThrottled(email, purpose) {
+  const since = new Date(Date.now() - HOUR_MS);
+  const recent = await authTokens.countRecent({ email, purpose, since });
+  return recent >= ENV.authEmailHourlyLimit;
+}
+
+/**
+ * Create a token for a user, retiring any earlier one for the same purpose
+ * @param {Object} user - Account row (needs id and email)
+ * @param {string} role - customer, contractor or admin
+ * @param {string} purpose - One of PURPOSES
+ * @param {Object} [options] - { ip }
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function issue(user, role, purpose, { ip = null } = {}) {
+  if (!TTL_MS[purpose]) {
+    throw new Error(`Unknown auth token purpose: ${purpose}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TTL_MS[purpose]);
+
+  await authTokens.invalidateForUser(user.id, purpose);
+  await authTokens.create({
+    user_id: user.id,
+    user_role: role,
+    purpose,
+    email: user.email,
+    token_hash: hashToken(token),
+    requested_ip: ip,
+    expires_at: expiresAt
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Validate and use up a token
+ * @param {string} token - Raw token from the emailed link
+ * @param {string} purpose - One of PURPOSES
+ * @returns {Promise<Object>} The auth_tokens row (user_id, user_role, email, ...)
+ */
+async function redeem(token, purpose) {
+  if (!token || typeof token !== 'string') {
+    throw new AuthTokenError('Token is required');
+  }
+
+  const record = await authTokens.findByHash(hashToken(token));
+  // One message for unknown, wrong-purpose, used and expired tokens
+  const consumed = record && record.purpose === purpose
+    ? await authTokens.consume(record.id)
+    : null;
+  if (!consumed) {
+    throw new AuthTokenError('This link is invalid or has expired. Please request a new one.');
+  }
+  return consumed;
+}
+
+/**
+ * Frontend URL that handles an emailed token (frontend/account.html)
+ * @param {Object} params - Query string values
+ */
+function accountLink(params) {
+  return `${ENV.webOrigin.replace(/\/+$/, '')}/account.html?${new URLSearchParams(params).toString()}`;
+}
+
+/**
+ * Issue a reset token and email the link, unless the address is throttled
+ * @param {Object} user - Account row
+ * @param {string} role - customer, contractor or admin
+ * @param {Object} [options] - { ip }
+ * @returns {Promise<{ sent: boolean, throttled?: boolean }>}
+ */
+async function sendPasswordReset(user, role, { ip = null } = {}) {
+  if (await isThrottled(user.email, PURPOSES.PASSWORD_RESET)) {
+    return { sent: false, throttled: true };
+  }
+  const { token } = await issue(user, role, PURPOSES.PASSWORD_RESET, { ip });
+  const name = user.full_name || user.legal_name || user.business_name;
+  const result = await sendPasswordResetEmail(user.email, name, accountLink({ reset_token: token }), ENV.passwordResetTtlMinutes);
+  return { sent: result.success };
+}
+
+/**
+ * Issue a verification token and email the link, unless the address is throttled.
+ * Never throws: a signup must not fail because the email could not go out.
+ * @param {Object} user - Account row
+ * @param {string} role - customer or contractor
+ * @param {Object} [options] - { ip }
+ * @returns {Promise<{ sent: boolean, throttled?: boolean }>}
+ */
+async function sendEmailVerification(user, role, { ip = null } = {}) {
+  try {
+    if (await isThrottled(user.email, PURPOSES.EMAIL_VERIFICATION)) {
+      return { sent: false, throttled: true };
+    }
+    const { token } = await issue(user, role, PURPOSES.EMAIL_VERIFICATION, { ip });
+    const name = user.full_name || user.legal_name || user.business_name;
+    const result = await sendVerificationEmail(user.email, name, accountLink({ verify_token: token }));
+    return { sent: result.success };
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return { sent: false };
+  }
+}
+
+/**
+ * Retire a user's outstanding tokens for `purpose` (e.g. after a password change)
+ */
+async function revokeForUser(userId, purpose) {
+  return authTokens.invalidateForUser(userId, purpose);
+}
+
+module.exports = {
+  PURPOSES,
+  AuthTokenError,
+  hashToken,
+  isThrottled,
+  issue,
+  redeem,
+  revokeForUser,
+  sendPasswordReset,
+  sendEmailVerification
+};
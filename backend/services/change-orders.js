@@ -0,0 +1,339 @@
+/**
+ * Change orders – scope changes on a job in progress
+ *
+ * Usage:
+ *   const changeOrders = require('./services/change-orders');
+ *   const order = await changeOrders.request(job, { description, reason, amount, photos }, contractorActor);
+ *   await changeOrders.approve(job, order.id, customerActor, { agreedPriceCents });
+ *   await changeOrders.reject(job, order.id, customerActor, 'Not needed');
+ *
+ * While a job is in_progress its contractor can raise change orders: extra
+ * (or reduced) scope with a pre-tax price delta, the reason and photos.
+ * Photos are checked and stored like message photos (messages/attachments.js)
+ * and served only through attachment(), behind the job's access checks.
+ * The customer approves or rejects each one. Approving adds the delta to
+ * the job's final_price (starting from the agreed price: the accepted
+ * quote or the top of the estimate range), which completion, sales tax,
+ * checkout and the financial engine then use. A job cannot be completed
+ * while a change order is pending; the contractor can withdraw it.
+ * The price is written only if the job is still in progress at the price
+ * the approval started from, so two approvals at once cannot lose a change.
+ *
+ * pending → approved | rejected | withdrawn
+ */
+
+const financials = require('../lib/financials');
+const {
+  jobs: jobsRepo,
+  changeOrders: changeOrdersRepo,
+  contractors: contractorsRepo,
+  customers: customersRepo
+} = require('../repositories');
+const { logEvent } = require('./audit-service');
+const { sendChangeOrderEmail } = require('../email-service');
+const attachments = require('./messages/attachments');
+
+const STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn'
+};
+const MAX_PHOTOS = 10;
+const TEXT_MAX_LENGTH = 500;
+const DESCRIPTION_MAX_LENGTH = 2000;
+
+class ChangeOrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChangeOrderError';
+    this.status = status;
+  }
+}
+
+function cleanText(value, maxLength = TEXT_MAX_LENGTH) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function jobRef(job) {
+  return `#${String(job.id).slice(0, 8)}`;
+}
+
+function assertInProgress(job, action) {
+  if (job.status !== 'in_progress') {
+    throw new ChangeOrderError(`Change orders can only be ${action} while the job is in progress`, 409);
+  }
+}
+
+// The change order as the API shows it: photos as URLs instead of paths
+function present(order) {
+  return {
+    ...order,
+    photos: (order.photos || []).filter(photo => photo && photo.id).map(({ id, filename, mime, size }) => ({
+      id,
+      filename,
+      mime,
+      size,
+      url: `/api/jobs/${order.job_id}/change-orders/${order.id}/attachments/${id}`
+    }))
+  };
+}
+
+async function loadOrder(job, changeOrderId) {
+  const order = await changeOrdersRepo.findById(changeOrderId);
+  if (!order || String(order.job_id) !== String(job.id)) {
+    throw new ChangeOrderError('Change order not found', 404);
+  }
+  return order;
+}
+
+async function logChange(action, order, actor, extra = {}) {
+  await logEvent({
+    action: `change_order.${action}`,
+    entity_type: 'job',
+    entity_id: order.job_id,
+    actor,
+    ...extra,
+    after: {
+      change_order_id: order.id,
+      status: order.status,
+      amount: Number(order.amount),
+      ...(extra.after || {})
+    }
+  });
+}
+
+/**
+ * A job's change orders, oldest first
+ */
+async function listForJob(jobId) {
+  return (await changeOrdersRepo.list({ jobId })).map(present);
+}
+
+/**
+ * Total of the change orders in a status, in cents
+ */
+function sumCents(orders, status) {
+  return financials.sumAmountCents(orders.filter(order => order.status === status), 'amount');
+}
+
+/**
+ * Refuse to complete a job that has a change order waiting on the customer
+ * @throws {ChangeOrderError} 409
+ */
+async function assertNonePending(jobId) {
+  const pending = await changeOrdersRepo.list({ jobId, statuses: [STATUSES.PENDING] });
+  if (pending.length) {
+    throw new ChangeOrderError('A change order is waiting for the customer; wait for their decision or withdraw it before completing the job', 409);
+  }
+}
+
+/**
+ * The contractor raises a change order on their job in progress
+ * @param {Object} job - Job row (the caller's)
+ * @param {Object} input - { description, reason, amount (dollars, negative for less scope),
+ *   photos: [{ filename, dataUrl }] }
+ * @param {Object} actor - The contractor
+ * @returns {Promise<Object>} The change order
+ * @throws {ChangeOrderError} 409 job not in progress, 400 missing description, bad amount or bad photos
+ */
+async function request(job, { description, reason, amount, photos } = {}, actor) {
+  assertInProgress(job, 'raised');
+  const scope = cleanText(description, DESCRIPTION_MAX_LENGTH);
+  if (!scope) {
+    throw new ChangeOrderError('Describe the change in scope');
+  }
+  const amountCents = financials.toCents(amount);
+  if (amountCents === null || amountCents === 0) {
+    throw new ChangeOrderError('amount must be a non-zero price change in dollars');
+  }
+  const photoList = photos === undefined || photos === null ? [] : photos;
+  if (!Array.isArray(photoList) || photoList.length > MAX_PHOTOS) {
+    throw new ChangeOrderError(`photos must be a list of at most ${MAX_PHOTOS} photos`);
+  }
+  const images = photoList.map(attachments.read);
+  if (images.some(image => !image)) {
+    throw new ChangeOrderError(`Photos must be JPEG, PNG, WebP or GIF images of at most ${attachments.MAX_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const order = await changeOrdersRepo.create({
+    job_id: job.id,
+    contractor_id: job.contractor_id,
+    status: STATUSES.PENDING,
+    description: scope,
+    reason: cleanText(reason),
+    amount: financials.toDollars(amountCents),
+    currency: financials.CURRENCY,
+    photos: images.map(image => attachments.save(job.id, image))
+  });
+  await logChange('requested', order, actor, { reason: order.reason });
+
+  const customer = job.customer_id ? await customersRepo.findById(job.customer_id) : null;
+  const email = customer?.email || job.customer_email;
+  if (email) {
+    await sendChangeOrderEmail(email, customer?.full_name, {
+      subject: `Change order on your ${job.type_name || 'job'} needs your approval`,
+      heading: 'Change order to approve',
+      message: `Your contractor has asked to change the work on job ${jobRef(job)}: ${order.description}${order.reason ? ` (${order.reason})` : ''}. Approve or reject it in your FirstClick account.`,
+      amount: Number(order.amount).toFixed(2),
+      currency: order.currency
+    });
+  }
+  return present(order);
+}
+
+/**
+ * The contractor takes back a pending change order
+ * @throws {ChangeOrderError} 404 unknown, 409 no longer pending
+ */
+async function withdraw(job, changeOrderId, actor) {
+  const order = await loadOrder(job, changeOrderId);
+  const withdrawn = await changeOrdersRepo.transition(order.id, STATUSES.PENDING, {
+    status: STATUSES.WITHDRAWN,
+    decided_at: new Date(),
+    decided_by: actor
+  });
+  if (!withdrawn) {
+    throw new ChangeOrderError(`This change order is already ${order.status}`, 409);
+  }
+  await logChange('withdrawn', withdrawn, actor);
+  return present(withdrawn);
+}
+
+async function notifyContractor(job, order) {
+  const contractor = job.contractor_id ? await contractorsRepo.findById(job.contractor_id) : null;
+  if (!contractor || !contractor.email) return;
+  const approved = order.status === STATUSES.APPROVED;
+  await sendChangeOrderEmail(contractor.email, contractor.business_name || contractor.legal_name, {
+    subject: `Change order ${approved ? 'approved' : 'rejected'}`,
+    heading: `Change order ${approved ? 'approved' : 'rejected'}`,
+    message: approved
+      ? `The customer approved your change order on job ${jobRef(job)}. The job's price is now ${Number(order.price_after).toFixed(2)} ${order.currency} before tax.`
+      : `The customer rejected your change order on job ${jobRef(job)}${order.rejection_reason ? `: ${order.rejection_reason}` : ''}.`,
+    amount: Number(order.amount).toFixed(2),
+    currency: order.currency
+  });
+}
+
+/**
+ * The customer (or an admin) approves a pending change order: its amount is
+ * added to the job's final price
+ * @param {Object} job - Job row
+ * @param {string} changeOrderId
+ * @param {Object} actor
+ * @param {Object} pricing - { agreedPriceCents: the job's price before any change order
+ *   (used when final_price is not set yet) }
+ * @returns {Promise<{ job: Object, changeOrder: Object }>}
+ * @throws {ChangeOrderError} 404 unknown, 409 job not in progress / no price / not pending /
+ *   job changed meanwhile (the change order stays pending), 400 when the price would drop to
+ *   zero or below
+ */
+async function approve(job, changeOrderId, actor, { agreedPriceCents } = {}) {
+  assertInProgress(job, 'decided');
+  const order = await loadOrder(job, changeOrderId);
+  if (order.status !== STATUSES.PENDING) {
+    throw new ChangeOrderError(`This change order is already ${order.status}`, 409);
+  }
+  const priceBeforeCents = job.final_price !== null && job.final_price !== undefined
+    ? financials.toCents(job.final_price)
+    : agreedPriceCents;
+  if (priceBeforeCents === null || priceBeforeCents === undefined) {
+    throw new ChangeOrderError('This job has no agreed price to change', 409);
+  }
+  const priceAfterCents = priceBeforeCents + financials.toCents(order.amount);
+  if (priceAfterCents <= 0) {
+    throw new ChangeOrderError('The change would bring the job price to zero or below', 400);
+  }
+
+  const approved = await changeOrdersRepo.transition(order.id, STATUSES.PENDING, {
+    status: STATUSES.APPROVED,
+    price_before: financials.toDollars(priceBeforeCents),
+    price_after: financials.toDollars(priceAfterCents),
+    decided_at: new Date(),
+    decided_by: actor
+  });
+  if (!approved) {
+    throw new ChangeOrderError('This change order changed while the request was processed; reload and try again', 409);
+  }
+  const updatedJob = await jobsRepo.update(job.id, { final_price: approved.price_after }, {
+    match: { status: 'in_progress', final_price: job.final_price ?? null }
+  });
+  if (!updatedJob) {
+    await changeOrdersRepo.transition(approved.id, STATUSES.APPROVED, {
+      status: STATUSES.PENDING,
+      price_before: null,
+      price_after: null,
+      decided_at: null,
+      decided_by: null
+    });
+    throw new ChangeOrderError('The job changed while the change order was being approved; reload and try again', 409);
+  }
+  await logChange('approved', approved, actor, {
+    before: { final_price: approved.price_before },
+    after: { final_price: approved.price_after }
+  });
+  await notifyContractor(job, approved);
+  return { job: updatedJob, changeOrder: present(approved) };
+}
+
+/**
+ * The customer (or an admin) turns down a pending change order
+ * @throws {ChangeOrderError} 404 unknown, 409 job not in progress / not pending
+ */
+async function reject(job, changeOrderId, actor, reason) {
+  assertInProgress(job, 'decided');
+  const order = await loadOrder(job, changeOrderId);
+  const rejected = await changeOrdersRepo.transition(order.id, STATUSES.PENDING, {
+    status: STATUSES.REJECTED,
+    rejection_reason: cleanText(reason),
+    decided_at: new Date(),
+    decided_by: actor
+  });
+  if (!rejected) {
+    throw new ChangeOrderError(`This change order is already ${order.status}`, 409);
+  }
+  await logChange('rejected', rejected, actor, { reason: rejected.rejection_reason });
+  await notifyContractor(job, rejected);
+  return present(rejected);
+}
+
+/**
+ * A change order photo's file (the caller has checked access to the job)
+ * @returns {Promise<{ path: string, mime: string, filename: string }>}
+ * @throws {ChangeOrderError} 404 when the change order or photo is unknown
+ */
+async function attachment(job, changeOrderId, attachmentId) {
+  const order = await loadOrder(job, changeOrderId);
+  const found = (order.photos || []).find(photo => photo && photo.id && String(photo.id) === String(attachmentId));
+  const filePath = attachments.resolve(found);
+  if (!filePath) {
+    throw new ChangeOrderError('Photo not found', 404);
+  }
+  return { path: filePath, mime: found.mime, filename: found.filename };
+}
+
+/**
+ * A job's change orders with their totals, as the API returns them
+ */
+async function summary(jobId) {
+  const orders = await listForJob(jobId);
+  return {
+    change_orders: orders,
+    approved_total: financials.toDollars(sumCents(orders, STATUSES.APPROVED)),
+    pending_total: financials.toDollars(sumCents(orders, STATUSES.PENDING))
+  };
+}
+
+module.exports = {
+  STATUSES,
+  ChangeOrderError,
+  listForJob,
+  summary,
+  assertNonePending,
+  request,
+  withdraw,
+  approve,
+  reject,
+  attachment
+};
@@ -0,0 +1,333 @@
+/**
+ * Check-ins – the contractor setting off, arriving and leaving
+ *
+ * Usage:
+ *   const checkIns = require('./services/check-ins');
+ *   const { job, check_in } = await checkIns.record('depart', job, contractorActor, { latitude, longitude, eta_minutes });
+ *   await checkIns.record('arrive', job, contractorActor, { latitude, longitude, accuracy_m });
+ *   await checkIns.record('leave', job, contractorActor, { notes });
+ *
+ * depart moves an assigned job to en_route and arrive moves it to on_site
+ * (job-lifecycle); leave changes nothing and marks the end of the visit.
+ * Each records the time and, when the phone shares it, the position.
+ *
+ * On departure the arrival time is estimated: the contractor's eta_minutes,
+ * or the straight-line distance at CHECK_IN_SPEED_KMH. On arrival the
+ * position is checked against the address: within CHECK_IN_TOLERANCE_METERS
+ * (plus the reported accuracy, up to the same again) is verified, further
+ * is a mismatch, and a job placed only by its city cannot be checked.
+ * Lateness is measured from the appointment start; an arrival up to
+ * CHECK_IN_GRACE_MINUTES after it is on time. Jobs without an appointment
+ * are not counted for punctuality.
+ *
+ * The customer is emailed when the contractor arrives and leaves; setting
+ * off reaches them as a contractor_en_route notification, with the
+ * estimate, once the lifecycle records the depart. Arrivals at jobs with an
+ * appointment add to the contractor's arrivals_on_time / arrivals_late
+ * (and arrival_minutes_late); every mismatch adds to
+ * arrival_location_mismatches.
+ */
+
+const ENV = require('../config/env');
+const {
+  jobCheckIns: checkInsRepo,
+  contractors: contractorsRepo,
+  customers: customersRepo
+} = require('../repositories');
+const jobLifecycle = require('./job-lifecycle');
+const { logEvent } = require('./audit-service');
+const { sendVisitEmail } = require('../email-service');
+const geo = require('./dispatch/geo');
+const calendar = require('./scheduling/calendar');
+
+const KINDS = {
+  DEPART: 'depart',
+  ARRIVE: 'arrive',
+  LEAVE: 'leave'
+};
+// The lifecycle event each check-in fires; leave fires none
+const TRANSITION_FOR = {
+  [KINDS.DEPART]: 'depart',
+  [KINDS.ARRIVE]: 'arrive'
+};
+const STATUS_KINDS = {
+  en_route: KINDS.DEPART,
+  on_site: KINDS.ARRIVE
+};
+const LEAVE_STATUSES = ['on_site', 'in_progress', 'completed'];
+const LOCATION_CHECKS = { VERIFIED: 'verified', MISMATCH: 'mismatch', UNKNOWN: 'unknown' };
+const AUDIT_ACTIONS = {
+  [KINDS.DEPART]: 'job.contractor_departed',
+  [KINDS.ARRIVE]: 'job.contractor_arrived',
+  [KINDS.LEAVE]: 'job.contractor_left'
+};
+const MAX_ETA_MINUTES = 12 * 60;
+const NOTES_MAX_LENGTH = 500;
+const MINUTE_MS = 60 * 1000;
+
+class CheckInError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckInError';
+    this.status = status;
+  }
+}
+
+function jobRef(job) {
+  return String(job.id).slice(0, 8).toUpperCase();
+}
+
+/**
+ * The check-in a status change stands for (PATCH /api/jobs/:jobId/status), or null
+ */
+function kindForStatus(status) {
+  return STATUS_KINDS[jobLifecycle.normalizeStatus(status)] || null;
+}
+
+// { latitude, longitude, accuracy_m }, all null when no position was sent
+function readPosition(body) {
+  const { latitude, longitude, accuracy_m } = body;
+  const sent = [latitude, longitude].filter(value => value !== undefined && value !== null && value !== '');
+  if (!sent.length) return { latitude: null, longitude: null, accuracy_m: null };
+  const position = geo.point(latitude, longitude);
+  if (sent.length < 2 || !position) {
+    throw new CheckInError('latitude and longitude must be sent together as valid coordinates');
+  }
+  let accuracy = null;
+  if (accuracy_m !== undefined && accuracy_m !== null && accuracy_m !== '') {
+    accuracy = Number(accuracy_m);
+    if (!Number.isFinite(accuracy) || accuracy < 0) {
+      throw new CheckInError('accuracy_m must be a number of metres');
+    }
+  }
+  return { ...position, accuracy_m: accuracy === null ? null : Math.round(accuracy * 10) / 10 };
+}
+
+function readEtaMinutes(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ETA_MINUTES) {
+    throw new CheckInError(`eta_minutes must be a whole number of minutes from 0 to ${MAX_ETA_MINUTES}`);
+  }
+  return minutes;
+}
+
+/**
+ * How far a reported position is from the job, and whether that can be trusted
+ * @returns {{ distance_m: number|null, location_check: string }}
+ */
+function compareWithJob(job, position) {
+  const place = geo.locateJob(job);
+  if (position.latitude === null || !place) {
+    return { distance_m: null, location_check: LOCATION_CHECKS.UNKNOWN };
+  }
+  const distance = Math.round(geo.distanceKm(position, place) * 1000);
+  if (place.source !== 'address') {
+    return { distance_m: distance, location_check: LOCATION_CHECKS.UNKNOWN };
+  }
+  const allowance = ENV.checkInToleranceMeters + Math.min(position.accuracy_m || 0, ENV.checkInToleranceMeters);
+  return {
+    distance_m: distance,
+    location_check: distance <= allowance ? LOCATION_CHECKS.VERIFIED : LOCATION_CHECKS.MISMATCH
+  };
+}
+
+// When a departing contractor should arrive: their estimate, else the distance at CHECK_IN_SPEED_KMH
+function estimateArrival(job, position, etaMinutes, at) {
+  if (etaMinutes !== null) return new Date(at.getTime() + etaMinutes * MINUTE_MS);
+  const place = geo.locateJob(job);
+  if (position.latitude === null || !place) return null;
+  const minutes = Math.ceil(geo.distanceKm(position, place) / ENV.checkInSpeedKmh * 60);
+  return new Date(at.getTime() + minutes * MINUTE_MS);
+}
+
+// Minutes after the appointment start, never below 0; null without an appointment
+function minutesLate(job, at) {
+  if (!job.appointment_start || !at) return null;
+  return Math.max(0, Math.round((at.getTime() - new Date(job.appointment_start).getTime()) / MINUTE_MS));
+}
+
+function isOnTime(minutes) {
+  return minutes <= ENV.checkInGraceMinutes;
+}
+
+function timeZoneOf(job) {
+  return job.appointment_time_zone || calendar.timeZoneFor(job.province);
+}
+
+function clock(at, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }).format(at);
+}
+
+async function notifyCustomer(job, checkIn, contractor) {
+  const customer = await customersRepo.findById(job.customer_id);
+  if (!customer?.email) return;
+  const who = contractor?.business_name || contractor?.legal_name || 'Your contractor';
+  const title = `${job.category_name || 'Service'}${job.type_name ? ` – ${job.type_name}` : ''}`;
+  const zone = timeZoneOf(job);
+  const notices = {
+    [KINDS.ARRIVE]: {
+      subject: `Arrived: job ${jobRef(job)}`,
+      heading: 'Your contractor has arrived',
+      message: `${who} has arrived for job ${jobRef(job)} (${title}).`,
+      detail: `Arrived at ${clock(new Date(checkIn.recorded_at), zone)}`
+    },
+    [KINDS.LEAVE]: {
+      subject: `Visit ended: job ${jobRef(job)}`,
+      heading: 'Your contractor has left',
+      message: `${who} has checked out of job ${jobRef(job)} (${title}).`,
+      detail: `Left at ${clock(new Date(checkIn.recorded_at), zone)}`
+    }
+  };
+  await sendVisitEmail(customer.email, customer.full_name, notices[checkIn.kind]);
+}
+
+// Punctuality counts on the contractor record
+async function countArrival(contractor, checkIn) {
+  const fields = {};
+  if (checkIn.minutes_late !== null) {
+    if (isOnTime(checkIn.minutes_late)) {
+      fields.arrivals_on_time = (Number(contractor.arrivals_on_time) || 0) + 1;
+    } else {
+      fields.arrivals_late = (Number(contractor.arrivals_late) || 0) + 1;
+      fields.arrival_minutes_late = (Number(contractor.arrival_minutes_late) || 0) + checkIn.minutes_late;
+    }
+  }
+  if (checkIn.location_check === LOCATION_CHECKS.MISMATCH) {
+    fields.arrival_location_mismatches = (Number(contractor.arrival_location_mismatches) || 0) + 1;
+  }
+  if (Object.keys(fields).length) await contractorsRepo.update(contractor.id, fields);
+}
+
+async function assertCanLeave(job) {
+  if (!LEAVE_STATUSES.includes(jobLifecycle.normalizeStatus(job.status))) {
+    throw new CheckInError(`You can only check out once you are on site (the job is ${job.status})`, 409);
+  }
+  const visits = await checkInsRepo.list({ jobId: job.id, contractorId: job.contractor_id, kinds: [KINDS.ARRIVE, KINDS.LEAVE] });
+  const last = visits[visits.length - 1];
+  if (!last || last.kind !== KINDS.ARRIVE) {
+    throw new CheckInError('You have not checked in on site for this job', 409);
+  }
+  return last;
+}
+
+/**
+ * Record a check-in for the job's contractor
+ * @param {string} kind - depart, arrive or leave
+ * @param {Object} job - Enriched job row
+ * @param {Object} actor - The contractor (or an admin acting for them)
+ * @param {Object} [body] - { latitude, longitude, accuracy_m, eta_minutes (depart), notes }
+ * @returns {Promise<{ job: Object, check_in: Object, minutes_on_site?: number }>}
+ * @throws {CheckInError} 400 bad input, 409 out of order; JobTransitionError from the lifecycle
+ */
+async function record(kind, job, actor, body = {}, at = new Date()) {
+  if (!Object.values(KINDS).includes(kind)) {
+    throw new CheckInError(`Unknown check-in: ${kind}`);
+  }
+  const position = readPosition(body || {});
+  const etaMinutes = kind === KINDS.DEPART ? readEtaMinutes(body?.eta_minutes) : null;
+  const notes = body?.notes === undefined || body?.notes === null ? '' : String(body.notes).trim();
+  const transition = TRANSITION_FOR[kind];
+  if (transition) {
+    jobLifecycle.assertTransition(job, transition, { actor, job });
+  }
+  const arrival = kind === KINDS.LEAVE ? await assertCanLeave(job) : null;
+
+  const eta = kind === KINDS.DEPART ? estimateArrival(job, position, etaMinutes, at) : null;
+  const comparison = compareWithJob(job, position);
+  const fields = {
+    job_id: job.id,
+    contractor_id: job.contractor_id,
+    kind,
+    recorded_at: at,
+    ...position,
+    distance_m: comparison.distance_m,
+    // Setting off from elsewhere is expected, so only arrivals and departures from site are checked
+    location_check: kind === KINDS.DEPART ? LOCATION_CHECKS.UNKNOWN : comparison.location_check,
+    eta,
+    minutes_late: kind === KINDS.LEAVE ? null : minutesLate(job, kind === KINDS.DEPART ? eta : at),
+    notes: notes ? notes.slice(0, NOTES_MAX_LENGTH) : null
+  };
+  let updated = job;
+  if (transition) {
+    ({ job: updated } = await jobLifecycle.transition(job.id, transition, {
+      actor,
+      job,
+      details: fields.notes || null,
+      metadata: { location_check: fields.location_check, distance_m: fields.distance_m, minutes_late: fields.minutes_late, eta: fields.eta }
+    }));
+  }
+  const checkIn = await checkInsRepo.create(fields);
+
+  const contractor = await contractorsRepo.findById(job.contractor_id);
+  if (kind === KINDS.ARRIVE && contractor) {
+    await countArrival(contractor, checkIn);
+  }
+  await logEvent({
+    action: AUDIT_ACTIONS[kind],
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    after: {
+      check_in_id: checkIn.id,
+      location_check: checkIn.location_check,
+      distance_m: checkIn.distance_m,
+      eta: checkIn.eta,
+      minutes_late: checkIn.minutes_late
+    }
+  });
+  if (kind !== KINDS.DEPART) {
+    await notifyCustomer(updated, checkIn, contractor);
+  }
+
+  const result = { job: updated, check_in: checkIn };
+  if (arrival) {
+    result.minutes_on_site = Math.round((at.getTime() - new Date(arrival.recorded_at).getTime()) / MINUTE_MS);
+  }
+  return result;
+}
+
+/**
+ * The job's check-ins, oldest first; customers do not see where the contractor was
+ */
+async function listForJob(jobId, actor = null) {
+  const checkIns = await checkInsRepo.list({ jobId });
+  if (actor?.role !== 'customer') return checkIns;
+  return checkIns.map(({ latitude, longitude, accuracy_m, distance_m, notes, ...rest }) => rest);
+}
+
+/**
+ * A contractor's latest check-ins, newest first
+ */
+async function recentForContractor(contractorId, limit = 50) {
+  return (await checkInsRepo.list({ contractorId })).slice(-limit).reverse();
+}
+
+/**
+ * A contractor's punctuality from the counts on their record
+ * @returns {{ arrivals: number, on_time: number, late: number, on_time_rate: number|null,
+ *   average_minutes_late: number|null, location_mismatches: number }}
+ */
+function punctuality(contractor) {
+  const onTime = Number(contractor.arrivals_on_time) || 0;
+  const late = Number(contractor.arrivals_late) || 0;
+  const arrivals = onTime + late;
+  return {
+    arrivals,
+    on_time: onTime,
+    late,
+    on_time_rate: arrivals ? Math.round((onTime / arrivals) * 1000) / 1000 : null,
+    average_minutes_late: late ? Math.round((Number(contractor.arrival_minutes_late) || 0) / late) : null,
+    location_mismatches: Number(contractor.arrival_location_mismatches) || 0
+  };
+}
+
+module.exports = {
+  KINDS,
+  CheckInError,
+  kindForStatus,
+  record,
+  listForJob,
+  recentForContractor,
+  punctuality
+};
@@ -0,0 +1,150 @@
+/**
+ * Dispatch geography – where a job and a contractor are, and how far apart
+ *
+ * Addresses carry coordinates when the booking sent them; otherwise, like
+ * contractors without base coordinates, they are placed at the centre of
+ * their city. Cities outside CITY_CENTRES have no position: ranking then
+ * treats the distance as unknown rather than guessing.
+ */
+
+const tax = require('../tax');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Centres of the cities FirstClick serves, by province
+const CITY_CENTRES = {
+  ON: {
+    toronto: [43.6532, -79.3832],
+    scarborough: [43.7764, -79.2318],
+    'north york': [43.7615, -79.4111],
+    etobicoke: [43.6205, -79.5132],
+    mississauga: [43.589, -79.6441],
+    brampton: [43.7315, -79.7624],
+    vaughan: [43.8361, -79.4983],
+    markham: [43.8561, -79.337],
+    'richmond hill': [43.8828, -79.4403],
+    newmarket: [44.0592, -79.4613],
+    oakville: [43.4675, -79.6877],
+    burlington: [43.3255, -79.799],
+    hamilton: [43.2557, -79.8711],
+    pickering: [43.8384, -79.0868],
+    ajax: [43.8509, -79.0204],
+    whitby: [43.8975, -78.9429],
+    oshawa: [43.8971, -78.8658],
+    kitchener: [43.4516, -80.4925],
+    waterloo: [43.4643, -80.5204],
+    guelph: [43.5448, -80.2482],
+    london: [42.9849, -81.2453],
+    windsor: [42.3149, -83.0364],
+    kingston: [44.2312, -76.486],
+    ottawa: [45.4215, -75.6972]
+  },
+  QC: {
+    montreal: [45.5019, -73.5674],
+    laval: [45.6066, -73.7124],
+    longueuil: [45.5312, -73.5181],
+    gatineau: [45.4765, -75.7013],
+    quebec: [46.8139, -71.208],
+    'quebec city': [46.8139, -71.208]
+  },
+  BC: {
+    vancouver: [49.2827, -123.1207],
+    burnaby: [49.2488, -122.9805],
+    surrey: [49.1913, -122.849],
+    richmond: [49.1666, -123.1336],
+    victoria: [48.4284, -123.3656]
+  },
+  AB: {
+    calgary: [51.0447, -114.0719],
+    edmonton: [53.5461, -113.4938]
+  },
+  MB: { winnipeg: [49.8951, -97.1384] },
+  SK: {
+    regina: [50.4452, -104.6189],
+    saskatoon: [52.1579, -106.6702]
+  },
+  NS: { halifax: [44.6488, -63.5752] },
+  NB: {
+    moncton: [46.0878, -64.7782],
+    fredericton: [45.9636, -66.6431]
+  },
+  PE: { charlottetown: [46.2382, -63.1311] },
+  NL: { "st. john's": [47.5615, -52.7126], 'st johns': [47.5615, -52.7126] }
+};
+
+function normalizeCity(city) {
+  return String(city || '').trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+function coordinate(value, limit) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+/**
+ * A valid { latitude, longitude } pair, or null
+ */
+function point(latitude, longitude) {
+  const lat = coordinate(latitude, 90);
+  const lng = coordinate(longitude, 180);
+  return lat === null || lng === null ? null : { latitude: lat, longitude: lng };
+}
+
+/**
+ * The centre of a city, or null when it is not one we know
+ * @param {string} city
+ * @param {string} [province] - Code or name; without it the city must be unambiguous
+ */
+function cityCentre(city, province) {
+  const key = normalizeCity(city);
+  if (!key) return null;
+  const code = tax.normalizeProvince(province);
+  const matches = Object.entries(CITY_CENTRES)
+    .filter(([provinceCode, cities]) => (!code || provinceCode === code) && cities[key])
+    .map(([, cities]) => cities[key]);
+  return matches.length === 1 ? { latitude: matches[0][0], longitude: matches[0][1] } : null;
+}
+
+/**
+ * Where a job is: its address's coordinates, else its city's centre
+ * @param {Object} job - Enriched job row (latitude, longitude, city, province)
+ * @returns {{ latitude: number, longitude: number, source: string }|null}
+ */
+function locateJob(job) {
+  const exact = point(job.latitude, job.longitude);
+  if (exact) return { ...exact, source: 'address' };
+  const centre = cityCentre(job.city, job.province);
+  return centre ? { ...centre, source: 'city' } : null;
+}
+
+/**
+ * Where a contractor works from: their base coordinates, else their base city's centre
+ * @returns {{ latitude: number, longitude: number, source: string }|null}
+ */
+function locateContractor(contractor) {
+  const exact = point(contractor.base_latitude, contractor.base_longitude);
+  if (exact) return { ...exact, source: 'base' };
+  const centre = cityCentre(contractor.base_city, contractor.base_province);
+  return centre ? { ...centre, source: 'city' } : null;
+}
+
+/**
+ * Great-circle distance in kilometres
+ */
+function distanceKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  point,
+  cityCentre,
+  locateJob,
+  locateContractor,
+  distanceKm
+};
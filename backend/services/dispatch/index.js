@@ -0,0 +1,602 @@
+/**
+ * Dispatch – offering new jobs to the best-ranked contractors
+ *
+ * Usage:
+ *   const dispatch = require('./services/dispatch');
+ *   await dispatch.start(job, actor);                          // when a job is created
+ *   const offers = await dispatch.offersFor(contractorId);
+ *   await dispatch.acceptOffer(offerId, contractorActor);
+ *   await dispatch.declineOffer(offerId, contractorActor, 'Too far this week');
+ *   await dispatch.sweep();                                    // scheduler.js, on every tick
+ *   await dispatch.rate(job, customerActor, { rating: 5, review });
+ *
+ * A new job is offered to the DISPATCH_WAVE_SIZE best-ranked contractors
+ * (ranking.js) at once. Each offer stands for DISPATCH_OFFER_MINUTES; the
+ * first of them to accept gets the job and the other offers are withdrawn.
+ * When every offer in a wave has been declined or has expired, the next
+ * wave goes to the next contractors down the ranking. After
+ * DISPATCH_MAX_WAVES waves, or when nobody is left to offer it to, the job
+ * opens to every matching contractor (the pool of
+ * /api/contractor/available-jobs). A job in the pool is escalated to admins
+ * when it has waited DISPATCH_ESCALATE_MINUTES, at once when nobody could
+ * be offered it at all, and at once for emergencies.
+ *
+ * A job booked for an appointment is only offered to contractors free at
+ * that time (scheduling), and nobody can take it over another job of
+ * theirs booked for the same time. Taking it sends the contractor and the
+ * customer a calendar invite.
+ *
+ * Jobs priced by quote are not dispatched: contractors quote on them from
+ * the pool as before. A job that returns to the pool after it was assigned
+ * (relisted, or its contractor released) is dispatched again.
+ *
+ * job dispatch_status: offering → open → escalated, any of them → assigned
+ * offer: offered → accepted | declined | expired | withdrawn
+ */
+
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  dispatchOffers: offersRepo
+} = require('../../repositories');
+const { OPEN_STATUSES } = require('../../repositories/constants');
+const jobLifecycle = require('../job-lifecycle');
+const { logEvent } = require('../audit-service');
+const { sendDispatchEmail } = require('../../email-service');
+const ranking = require('./ranking');
+const geo = require('./geo');
+const scheduling = require('../scheduling');
+
+const STATUSES = {
+  OFFERING: 'offering',
+  OPEN: 'open',
+  ESCALATED: 'escalated',
+  ASSIGNED: 'assigned'
+};
+
+const OFFER_STATUSES = {
+  OFFERED: 'offered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  WITHDRAWN: 'withdrawn'
+};
+
+const SYSTEM_ACTOR = { role: 'system', id: 'dispatch' };
+const REASON_MAX_LENGTH = 500;
+const REVIEW_MAX_LENGTH = 2000;
+const MAX_RADIUS_KM = 500;
+const MAX_ACTIVE_JOBS = 50;
+
+class DispatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DispatchError';
+    this.status = status;
+  }
+}
+
+function jobRef(job) {
+  return `#${String(job.id).slice(0, 8)}`;
+}
+
+function jobTitle(job) {
+  return [job.type_name || job.category_name || 'Job', job.city].filter(Boolean).join(' in ');
+}
+
+/**
+ * Whether a job is waiting for a contractor and goes through dispatch
+ * (open, unassigned and not priced by quote)
+ */
+function isDispatchable(job) {
+  return Boolean(job) &&
+    OPEN_STATUSES.includes(jobLifecycle.normalizeStatus(job.status)) &&
+    !job.contractor_id &&
+    !jobLifecycle.isQuoted(job);
+}
+
+function isLive(offer, at = new Date()) {
+  return offer.status === OFFER_STATUSES.OFFERED && new Date(offer.expires_at) > at;
+}
+
+async function logDispatch(action, job, actor, extra = {}) {
+  await logEvent({
+    action: `dispatch.${action}`,
+    entity_type: 'job',
+    entity_id: job.id,
+    actor: actor || SYSTEM_ACTOR,
+    ...extra
+  });
+}
+
+// Withdraw the job's offers still out (all of them, or all but one)
+async function withdrawOffers(jobId, { exceptId = null, at = new Date() } = {}) {
+  const live = await offersRepo.list({ jobId, statuses: [OFFER_STATUSES.OFFERED] });
+  let withdrawn = 0;
+  for (const offer of live) {
+    if (exceptId && String(offer.id) === String(exceptId)) continue;
+    if (await offersRepo.transition(offer.id, OFFER_STATUSES.OFFERED, { status: OFFER_STATUSES.WITHDRAWN, responded_at: at })) {
+      withdrawn += 1;
+    }
+  }
+  return withdrawn;
+}
+
+async function notifyOffer(job, offer) {
+  const contractor = await contractorsRepo.findById(offer.contractor_id);
+  if (!contractor || !contractor.email) return;
+  const distance = offer.distance_km === null || offer.distance_km === undefined ? '' : ` about ${Number(offer.distance_km)} km from you`;
+  await sendDispatchEmail(contractor.email, contractor.business_name || contractor.legal_name, {
+    subject: `New job offer: ${jobTitle(job)}`,
+    heading: 'New job offer',
+    message: `You are one of the first contractors offered job ${jobRef(job)}: ${jobTitle(job)}${distance}. Accept it in your FirstClick dashboard to take it.`,
+    deadline: `You have ${ENV.dispatchOfferMinutes} minutes to accept it before it goes to the next contractor.`
+  });
+}
+
+/**
+ * Flag a job to admins: it is still in the open pool and nobody has taken it
+ * @param {Object} job
+ * @param {string} reason
+ * @param {Object} [actor]
+ */
+async function escalate(job, reason, actor, at = new Date()) {
+  const escalated = await jobsRepo.update(job.id, {
+    dispatch_status: STATUSES.ESCALATED,
+    dispatch_escalated_at: at,
+    dispatch_escalation_reason: reason
+  });
+  await logDispatch('escalated', job, actor, { reason, after: { dispatch_status: STATUSES.ESCALATED } });
+  if (ENV.superadminEmail) {
+    await sendDispatchEmail(ENV.superadminEmail, 'FirstClick admin', {
+      subject: `Job ${jobRef(job)} needs a contractor`,
+      heading: 'Job needs a contractor',
+      message: `Job ${jobRef(job)} (${jobTitle(job)}, ${job.urgency || 'scheduled'}) has no contractor: ${reason}. Assign it from the admin jobs page.`
+    });
+  }
+  return escalated;
+}
+
+// Rank as ranking.rank() does, leaving out contractors not free at the job's appointment
+async function rankFor(job, options) {
+  const { candidates, excluded } = await ranking.rank(job, options);
+  if (!job.appointment_start) return { candidates, excluded };
+  const free = await scheduling.freeAt(candidates.map(candidate => candidate.contractor_id), job);
+  return {
+    candidates: candidates.filter(candidate => free.has(String(candidate.contractor_id))),
+    excluded: [
+      ...excluded,
+      ...candidates
+        .filter(candidate => !free.has(String(candidate.contractor_id)))
+        .map(candidate => ({
+          contractor_id: candidate.contractor_id,
+          name: candidate.name,
+          reason: 'not_available',
+          distance_km: candidate.distance_km,
+          active_jobs: candidate.active_jobs
+        }))
+    ]
+  };
+}
+
+// Open the job to every matching contractor
+async function openPool(job, reason, actor, at = new Date()) {
+  const opened = await jobsRepo.update(job.id, { dispatch_status: STATUSES.OPEN, dispatch_opened_at: at });
+  await logDispatch('opened', job, actor, { reason, after: { dispatch_status: STATUSES.OPEN, waves: job.dispatch_wave || 0 } });
+  if (!job.dispatch_wave) {
+    return escalate(opened, reason, actor, at);
+  }
+  if (job.urgency === 'emergency') {
+    return escalate(opened, `${reason} (emergency)`, actor, at);
+  }
+  return opened;
+}
+
+/**
+ * Send the job's next wave of offers, or open it to the pool when the waves
+ * are used up or nobody is left to offer it to
+ * @returns {Promise<{ job: Object, offers: Array<Object> }>}
+ */
+async function sendWave(job, actor, at = new Date()) {
+  const wave = (Number(job.dispatch_wave) || 0) + 1;
+  if (wave > ENV.dispatchMaxWaves) {
+    const opened = await openPool(job, `No contractor accepted in ${ENV.dispatchMaxWaves} waves of offers`, actor, at);
+    return { job: opened, offers: [] };
+  }
+
+  const previous = await offersRepo.list({ jobId: job.id });
+  const { candidates } = await rankFor(job, { excludeIds: previous.map(offer => offer.contractor_id), at });
+  if (!candidates.length) {
+    const reason = previous.length
+      ? 'Every eligible contractor has been offered the job'
+      : 'No eligible contractor for this service and area';
+    const opened = await openPool(job, reason, actor, at);
+    return { job: opened, offers: [] };
+  }
+
+  const expiresAt = new Date(at.getTime() + ENV.dispatchOfferMinutes * 60 * 1000);
+  const offers = [];
+  for (const [index, candidate] of candidates.slice(0, ENV.dispatchWaveSize).entries()) {
+    offers.push(await offersRepo.create({
+      job_id: job.id,
+      contractor_id: candidate.contractor_id,
+      wave,
+      rank: previous.length + index + 1,
+      score: candidate.score,
+      factors: candidate.factors,
+      distance_km: candidate.distance_km,
+      status: OFFER_STATUSES.OFFERED,
+      expires_at: expiresAt
+    }));
+  }
+  const updated = await jobsRepo.update(job.id, { dispatch_status: STATUSES.OFFERING, dispatch_wave: wave });
+  await logDispatch('wave_sent', job, actor, {
+    after: {
+      wave,
+      expires_at: expiresAt,
+      offers: offers.map(offer => ({ contractor_id: offer.contractor_id, rank: offer.rank, score: Number(offer.score) }))
+    }
+  });
+  for (const offer of offers) {
+    await notifyOffer(updated, offer);
+  }
+  return { job: updated, offers };
+}
+
+/**
+ * Start (or restart) dispatching a job from its first wave
+ * @param {Object} job - Job row
+ * @param {Object} [actor]
+ * @returns {Promise<{ job: Object, offers: Array<Object> }|null>} null when the job does not
+ *   go through dispatch (assigned, closed or priced by quote)
+ */
+async function start(job, actor, at = new Date()) {
+  if (!isDispatchable(job)) return null;
+  await withdrawOffers(job.id, { at });
+  const reset = await jobsRepo.update(job.id, {
+    dispatch_status: STATUSES.OFFERING,
+    dispatch_wave: 0,
+    dispatch_opened_at: null,
+    dispatch_escalated_at: null,
+    dispatch_escalation_reason: null
+  });
+  await logDispatch('started', job, actor);
+  return sendWave(reset, actor, at);
+}
+
+/**
+ * Bring a job's dispatch state in line after it was assigned or closed some
+ * other way (admin reassign, cancellation): withdraw its offers
+ * @returns {Promise<Object>} The job
+ */
+async function settle(job, at = new Date()) {
+  if (!job || !job.dispatch_status) return job;
+  await withdrawOffers(job.id, { at });
+  const status = job.contractor_id ? STATUSES.ASSIGNED : null;
+  if (job.dispatch_status === status) return job;
+  return jobsRepo.update(job.id, { dispatch_status: status });
+}
+
+/**
+ * A contractor's live offers, soonest to expire first, each with its job
+ */
+async function offersFor(contractorId, at = new Date()) {
+  const live = (await offersRepo.list({ contractorId, statuses: [OFFER_STATUSES.OFFERED] }))
+    .filter(offer => isLive(offer, at));
+  const offers = [];
+  for (const offer of live) {
+    const job = await jobsRepo.findById(offer.job_id);
+    if (isDispatchable(job)) offers.push({ ...offer, job });
+  }
+  return offers.sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+}
+
+/**
+ * The contractor's pool: open jobs in their specialties, less the jobs still
+ * being offered to others. Jobs offered to them carry their `offer` and come first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function availableJobs(contractorId, { limit = 100 } = {}) {
+  const contractor = await contractorsRepo.findById(contractorId);
+  if (!contractor || !ranking.isAvailable(contractor)) return [];
+  const offers = new Map((await offersFor(contractorId)).map(offer => [String(offer.job_id), offer]));
+  const jobs = (await jobsRepo.listOpenForContractor(contractorId, { limit }))
+    .filter(job => job.dispatch_status !== STATUSES.OFFERING || offers.has(String(job.id)))
+    .map(job => {
+      const offer = offers.get(String(job.id));
+      return { ...job, offer: offer ? { id: offer.id, wave: offer.wave, expires_at: offer.expires_at, distance_km: offer.distance_km } : null };
+    });
+  return jobs.sort((a, b) => Number(Boolean(b.offer)) - Number(Boolean(a.offer)));
+}
+
+async function loadOffer(offerId, actor) {
+  const offer = await offersRepo.findById(offerId);
+  if (!offer || (actor?.role === 'contractor' && String(offer.contractor_id) !== String(actor.id))) {
+    throw new DispatchError('Offer not found', 404);
+  }
+  return offer;
+}
+
+/**
+ * The contractor accepts their offer: the job is assigned to them and the
+ * other offers are withdrawn
+ * @returns {Promise<{ job: Object, offer: Object }>}
+ * @throws {DispatchError} 404 unknown, 409 no longer open or expired;
+ *   JobTransitionError when the job cannot be assigned any more
+ */
+async function acceptOffer(offerId, actor, at = new Date()) {
+  const offer = await loadOffer(offerId, actor);
+  if (offer.status !== OFFER_STATUSES.OFFERED) {
+    throw new DispatchError(`This offer was ${offer.status}`, 409);
+  }
+  if (!isLive(offer, at)) {
+    await expireOffer(offer, at);
+    throw new DispatchError('This offer has expired', 409);
+  }
+  await scheduling.assertNoConflict(await jobsRepo.findById(offer.job_id), offer.contractor_id);
+
+  let assigned;
+  try {
+    assigned = await jobLifecycle.transition(offer.job_id, 'assign', {
+      actor,
+      contractorId: offer.contractor_id,
+      details: `Contractor accepted dispatch offer (wave ${offer.wave})`,
+      metadata: { offer_id: offer.id }
+    });
+  } catch (error) {
+    if (error instanceof jobLifecycle.JobTransitionError && error.status === 409) {
+      await offersRepo.transition(offer.id, OFFER_STATUSES.OFFERED, { status: OFFER_STATUSES.WITHDRAWN, responded_at: at });
+    }
+    throw error;
+  }
+
+  const accepted = await offersRepo.transition(offer.id, OFFER_STATUSES.OFFERED, {
+    status: OFFER_STATUSES.ACCEPTED,
+    responded_at: at
+  }) || offer;
+  await withdrawOffers(offer.job_id, { exceptId: offer.id, at });
+  const job = await jobsRepo.update(offer.job_id, { dispatch_status: STATUSES.ASSIGNED });
+  await logDispatch('offer_accepted', job, actor, {
+    after: { offer_id: offer.id, contractor_id: offer.contractor_id, wave: offer.wave, rank: offer.rank }
+  });
+  return { job: await scheduling.syncInvites(job), offer: accepted };
+}
+
+/**
+ * A contractor takes a job from their pool (POST /api/jobs/:jobId/accept):
+ * through their offer when they hold one; a job still being offered to
+ * others cannot be taken
+ * @throws {DispatchError} 403 contractor not approved and active, 409 the job is being
+ *   offered to other contractors
+ */
+async function acceptJob(jobId, actor) {
+  const contractor = await contractorsRepo.findById(actor.id);
+  if (!contractor || !ranking.isAvailable(contractor)) {
+    throw new DispatchError('Only approved, active contractors can take jobs', 403);
+  }
+  const job = await jobsRepo.findById(jobId);
+  if (!job) {
+    throw new jobLifecycle.JobTransitionError('Job not found', 404);
+  }
+  const offer = (await offersRepo.list({ jobId, contractorId: actor.id, statuses: [OFFER_STATUSES.OFFERED] }))
+    .find(candidate => isLive(candidate));
+  if (offer) {
+    return (await acceptOffer(offer.id, actor)).job;
+  }
+  if (job.dispatch_status === STATUSES.OFFERING && isDispatchable(job)) {
+    throw new DispatchError('This job is being offered to other contractors first', 409);
+  }
+  await scheduling.assertNoConflict(job, actor.id);
+  const { job: assigned } = await jobLifecycle.transition(job.id, 'assign', {
+    actor,
+    job,
+    contractorId: actor.id,
+    details: 'Contractor accepted job'
+  });
+  return scheduling.syncInvites(await settle(assigned));
+}
+
+/**
+ * The contractor turns their offer down; when nobody in the wave is left
+ * to answer, the next wave goes out
+ * @throws {DispatchError} 404 unknown, 409 no longer open
+ */
+async function declineOffer(offerId, actor, reason, at = new Date()) {
+  const offer = await loadOffer(offerId, actor);
+  const text = reason === undefined || reason === null ? '' : String(reason).trim();
+  const declined = await offersRepo.transition(offer.id, OFFER_STATUSES.OFFERED, {
+    status: OFFER_STATUSES.DECLINED,
+    responded_at: at,
+    decline_reason: text ? text.slice(0, REASON_MAX_LENGTH) : null
+  });
+  if (!declined) {
+    throw new DispatchError(`This offer was ${offer.status}`, 409);
+  }
+  const job = await jobsRepo.findById(offer.job_id);
+  await logDispatch('offer_declined', job, actor, {
+    reason: declined.decline_reason,
+    after: { offer_id: offer.id, contractor_id: offer.contractor_id, wave: offer.wave }
+  });
+  await advance(job, at);
+  return declined;
+}
+
+async function expireOffer(offer, at) {
+  return offersRepo.transition(offer.id, OFFER_STATUSES.OFFERED, { status: OFFER_STATUSES.EXPIRED, responded_at: at });
+}
+
+// Send the next wave once the current one has nobody left to answer
+async function advance(job, at = new Date()) {
+  if (!job || job.dispatch_status !== STATUSES.OFFERING) return null;
+  if (!isDispatchable(job)) return settle(job, at);
+  const live = (await offersRepo.list({ jobId: job.id, statuses: [OFFER_STATUSES.OFFERED] }))
+    .filter(offer => isLive(offer, at));
+  if (live.length) return null;
+  return sendWave(job, SYSTEM_ACTOR, at);
+}
+
+/**
+ * Move dispatch along: expire offers past their time, send next waves,
+ * escalate jobs that waited too long in the pool and dispatch again jobs
+ * that came back to it
+ * @param {Object} [options] - { at }
+ * @returns {Promise<{ expired: number, waves: number, escalated: number, restarted: number }>}
+ */
+async function sweep({ at = new Date() } = {}) {
+  const summary = { expired: 0, waves: 0, escalated: 0, restarted: 0 };
+  for (const offer of await offersRepo.list({ statuses: [OFFER_STATUSES.OFFERED], expiresBefore: at })) {
+    if (await expireOffer(offer, at)) summary.expired += 1;
+  }
+
+  for (const job of await jobsRepo.list({ dispatchStatuses: [STATUSES.OFFERING] })) {
+    const result = await advance(job, at);
+    if (result && result.offers && result.offers.length) summary.waves += 1;
+  }
+
+  const cutoff = new Date(at.getTime() - ENV.dispatchEscalateMinutes * 60 * 1000);
+  for (const job of await jobsRepo.list({ dispatchStatuses: [STATUSES.OPEN, STATUSES.ESCALATED] })) {
+    if (!isDispatchable(job)) {
+      await settle(job, at);
+    } else if (job.dispatch_status === STATUSES.OPEN && new Date(job.dispatch_opened_at) <= cutoff) {
+      await escalate(job, `Waiting in the open pool for over ${ENV.dispatchEscalateMinutes} minutes`, SYSTEM_ACTOR, at);
+      summary.escalated += 1;
+    }
+  }
+
+  // Relisted or released jobs
+  for (const job of await jobsRepo.list({ dispatchStatuses: [STATUSES.ASSIGNED], statuses: OPEN_STATUSES })) {
+    if (isDispatchable(job) && await start(job, SYSTEM_ACTOR, at)) summary.restarted += 1;
+  }
+  return summary;
+}
+
+/**
+ * A job's dispatch as admins see it: its state, every offer, and the
+ * ranking of the contractors not offered it yet
+ */
+async function jobDispatch(job) {
+  const offers = await offersRepo.list({ jobId: job.id });
+  const names = new Map();
+  for (const offer of offers) {
+    if (!names.has(String(offer.contractor_id))) {
+      const contractor = await contractorsRepo.findById(offer.contractor_id);
+      names.set(String(offer.contractor_id), contractor ? contractor.business_name || contractor.legal_name : null);
+    }
+  }
+  const { candidates, excluded } = await rankFor(job, { excludeIds: offers.map(offer => offer.contractor_id) });
+  return {
+    dispatch_status: job.dispatch_status || null,
+    wave: Number(job.dispatch_wave) || 0,
+    opened_at: job.dispatch_opened_at || null,
+    escalated_at: job.dispatch_escalated_at || null,
+    escalation_reason: job.dispatch_escalation_reason || null,
+    dispatchable: isDispatchable(job),
+    offers: offers.map(offer => ({ ...offer, name: names.get(String(offer.contractor_id)) })),
+    candidates,
+    excluded: excluded.filter(entry => entry.reason !== 'already_offered')
+  };
+}
+
+/**
+ * Check the service-area fields a contractor sends with their profile
+ * @param {Object} input - { base_city, base_province, base_latitude, base_longitude,
+ *   service_radius_km, max_active_jobs }, each optional
+ * @returns {Object} The columns to write (only the fields given)
+ * @throws {DispatchError} 400 invalid values
+ */
+function serviceAreaFields(input = {}) {
+  const fields = {};
+  ['base_city', 'base_province'].forEach(field => {
+    if (input[field] === undefined) return;
+    const text = input[field] === null ? '' : String(input[field]).trim();
+    fields[field] = text ? text.slice(0, 100) : null;
+  });
+  if (input.base_latitude !== undefined || input.base_longitude !== undefined) {
+    const cleared = [input.base_latitude, input.base_longitude].every(value => value === null || value === '');
+    const position = geo.point(input.base_latitude, input.base_longitude);
+    if (!cleared && !position) {
+      throw new DispatchError('base_latitude and base_longitude must be given together as coordinates');
+    }
+    fields.base_latitude = position ? position.latitude : null;
+    fields.base_longitude = position ? position.longitude : null;
+  }
+  if (input.service_radius_km !== undefined) {
+    const radius = Number(input.service_radius_km);
+    if (!Number.isInteger(radius) || radius < 1 || radius > MAX_RADIUS_KM) {
+      throw new DispatchError(`service_radius_km must be a whole number of kilometres from 1 to ${MAX_RADIUS_KM}`);
+    }
+    fields.service_radius_km = radius;
+  }
+  if (input.max_active_jobs !== undefined) {
+    const max = Number(input.max_active_jobs);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_ACTIVE_JOBS) {
+      throw new DispatchError(`max_active_jobs must be a whole number from 1 to ${MAX_ACTIVE_JOBS}`);
+    }
+    fields.max_active_jobs = max;
+  }
+  return fields;
+}
+
+/**
+ * Record the customer's rating of a completed job; ranking averages them per contractor
+ * @param {Object} job
+ * @param {Object} actor - The customer
+ * @param {Object} input - { rating: 1–5, review }
+ * @throws {DispatchError} 400 invalid rating, 409 not completed or already rated
+ */
+async function rate(job, actor, { rating, review } = {}) {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new DispatchError('rating must be a whole number from 1 to 5');
+  }
+  if (jobLifecycle.normalizeStatus(job.status) !== 'completed') {
+    throw new DispatchError('Only completed jobs can be rated', 409);
+  }
+  if (job.customer_rating !== null && job.customer_rating !== undefined) {
+    throw new DispatchError('This job has already been rated', 409);
+  }
+  const text = review === undefined || review === null ? '' : String(review).trim();
+  const rated = await jobsRepo.update(job.id, {
+    customer_rating: value,
+    customer_review: text ? text.slice(0, REVIEW_MAX_LENGTH) : null,
+    rated_at: new Date()
+  });
+  await logEvent({
+    action: 'job.rated',
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    after: { rating: value, contractor_id: job.contractor_id || null }
+  });
+  return rated;
+}
+
+/**
+ * Jobs escalated to admins and still without a contractor, oldest first
+ */
+async function escalatedJobs() {
+  return (await jobsRepo.list({ dispatchStatuses: [STATUSES.ESCALATED] }))
+    .filter(isDispatchable)
+    .sort((a, b) => new Date(a.dispatch_escalated_at) - new Date(b.dispatch_escalated_at));
+}
+
+module.exports = {
+  STATUSES,
+  OFFER_STATUSES,
+  DispatchError,
+  isDispatchable,
+  start,
+  settle,
+  offersFor,
+  availableJobs,
+  acceptOffer,
+  acceptJob,
+  declineOffer,
+  sweep,
+  rate,
+  escalate,
+  jobDispatch,
+  escalatedJobs,
+  serviceAreaFields
+};
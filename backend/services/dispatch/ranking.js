@@ -0,0 +1,212 @@
+/**
+ * Dispatch ranking – which contractors to offer a job, best first
+ *
+ * Usage:
+ *   const ranking = require('./services/dispatch/ranking');
+ *   const { candidates, excluded } = await ranking.rank(job, { excludeIds });
+ *
+ * A contractor is eligible when they are APPROVED_ACTIVE and not paused,
+ * frozen or terminated, list the job's service type among their
+ * specialties, work within service_radius_km of the job (when both places
+ * are known) and hold fewer than max_active_jobs active jobs. Eligible
+ * contractors are scored from 0 to 1 as the weighted sum of:
+ *
+ *   specialty   1 for a verified specialty, 0.7 otherwise
+ *   distance    1 at the job's door, 0 at the edge of their radius (0.5 unknown)
+ *   tier        gold 1, silver 0.67, bronze 0.33 (contractor_tier)
+ *   rating      the customers' average rating, 1–5 mapped to 0–1; averaged
+ *               with RATING_PRIOR_COUNT ratings of RATING_PRIOR so a few
+ *               ratings cannot dominate
+ *   workload    1 with no active jobs, falling to 0 at max_active_jobs
+ *   acceptance  share of offers accepted in the last ACCEPTANCE_DAYS days,
+ *               (accepted + 1) / (answered + 2) so a new contractor starts at 0.5
+ *
+ * Ties go to the nearer contractor. Every score comes back with its factors
+ * so admins can see why a contractor was (or was not) offered a job.
+ */
+
+const {
+  contractors: contractorsRepo,
+  specialties: specialtiesRepo,
+  jobs: jobsRepo,
+  dispatchOffers: offersRepo
+} = require('../../repositories');
+const { TRANSITIONS } = require('../job-lifecycle');
+const geo = require('./geo');
+
+const WEIGHTS = {
+  specialty: 0.25,
+  distance: 0.25,
+  tier: 0.1,
+  rating: 0.15,
+  workload: 0.15,
+  acceptance: 0.1
+};
+const TIER_SCORES = { gold: 1, silver: 0.67, bronze: 0.33 };
+const UNVERIFIED_SPECIALTY = 0.7;
+const UNKNOWN_DISTANCE = 0.5;
+const RATING_PRIOR = 4;
+const RATING_PRIOR_COUNT = 3;
+const ACCEPTANCE_DAYS = 90;
+const DEFAULT_RADIUS_KM = 40;
+const DEFAULT_MAX_ACTIVE_JOBS = 5;
+const UNAVAILABLE_STATUSES = ['paused', 'frozen', 'terminated'];
+// Jobs a contractor is holding: the ones a release would take back
+const ACTIVE_STATUSES = TRANSITIONS.release.from;
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function radiusOf(contractor) {
+  const radius = Number(contractor.service_radius_km);
+  return Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_RADIUS_KM;
+}
+
+function capacityOf(contractor) {
+  const max = Number(contractor.max_active_jobs);
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_ACTIVE_JOBS;
+}
+
+/**
+ * Whether a contractor can be offered work at all
+ */
+function isAvailable(contractor) {
+  return contractor.vetting_status === 'APPROVED_ACTIVE' && !UNAVAILABLE_STATUSES.includes(contractor.status);
+}
+
+function countBy(rows, key) {
+  const counts = new Map();
+  rows.forEach(row => {
+    const id = String(row[key] ?? '');
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return counts;
+}
+
+// Customer ratings per contractor: { total, count }
+async function ratingsByContractor() {
+  const ratings = new Map();
+  (await jobsRepo.list({ statuses: ['completed'] })).forEach(job => {
+    const rating = Number(job.customer_rating);
+    if (!job.contractor_id || !(rating >= 1 && rating <= 5)) return;
+    const entry = ratings.get(String(job.contractor_id)) || { total: 0, count: 0 };
+    entry.total += rating;
+    entry.count += 1;
+    ratings.set(String(job.contractor_id), entry);
+  });
+  return ratings;
+}
+
+// Offers answered per contractor over the last ACCEPTANCE_DAYS: { accepted, answered }
+async function historyByContractor(contractorIds, at) {
+  const since = new Date(at.getTime() - ACCEPTANCE_DAYS * 24 * 60 * 60 * 1000);
+  const offers = await offersRepo.list({ contractorIds, statuses: ['accepted', 'declined', 'expired'], since });
+  const history = new Map();
+  offers.forEach(offer => {
+    const entry = history.get(String(offer.contractor_id)) || { accepted: 0, answered: 0 };
+    entry.answered += 1;
+    if (offer.status === 'accepted') entry.accepted += 1;
+    history.set(String(offer.contractor_id), entry);
+  });
+  return history;
+}
+
+/**
+ * Score one eligible contractor
+ * @returns {{ score: number, factors: Object }}
+ */
+function score({ verified, distanceKm, radiusKm, tier, rating, activeJobs, capacity, history }) {
+  const averageRating = (rating.total + RATING_PRIOR * RATING_PRIOR_COUNT) / (rating.count + RATING_PRIOR_COUNT);
+  const factors = {
+    specialty: verified ? 1 : UNVERIFIED_SPECIALTY,
+    distance: distanceKm === null ? UNKNOWN_DISTANCE : clamp(1 - distanceKm / radiusKm),
+    tier: TIER_SCORES[String(tier || 'bronze').toLowerCase()] ?? TIER_SCORES.bronze,
+    rating: clamp((averageRating - 1) / 4),
+    workload: clamp(1 - activeJobs / capacity),
+    acceptance: (history.accepted + 1) / (history.answered + 2)
+  };
+  const total = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * factors[key], 0);
+  Object.keys(factors).forEach(key => { factors[key] = round(factors[key]); });
+  return { score: round(total), factors };
+}
+
+/**
+ * Rank the contractors who could take a job
+ * @param {Object} job - Enriched job row
+ * @param {Object} [options] - { excludeIds: contractor ids already offered the job, at }
+ * @returns {Promise<{ candidates: Array<Object>, excluded: Array<Object> }>} candidates best
+ *   first ({ contractor_id, name, score, factors, distance_km, active_jobs, rating, rating_count });
+ *   excluded are the specialists left out, with the reason (unavailable, out_of_area,
+ *   at_capacity, already_offered)
+ */
+async function rank(job, { excludeIds = [], at = new Date() } = {}) {
+  const specialists = await specialtiesRepo.listForServiceType(job.service_type_id);
+  const verified = new Map(specialists.map(row => [String(row.contractor_id), Boolean(row.is_verified)]));
+  const contractors = (await contractorsRepo.list()).filter(contractor => verified.has(String(contractor.id)));
+  if (!contractors.length) return { candidates: [], excluded: [] };
+
+  const active = countBy(await jobsRepo.list({ statuses: ACTIVE_STATUSES }), 'contractor_id');
+  const ratings = await ratingsByContractor();
+  const history = await historyByContractor(contractors.map(contractor => contractor.id), at);
+  const offered = new Set(excludeIds.map(String));
+  const jobPlace = geo.locateJob(job);
+
+  const candidates = [];
+  const excluded = [];
+  contractors.forEach(contractor => {
+    const id = String(contractor.id);
+    const name = contractor.business_name || contractor.legal_name || null;
+    const base = geo.locateContractor(contractor);
+    const distanceKm = jobPlace && base ? round(geo.distanceKm(jobPlace, base), 1) : null;
+    const activeJobs = active.get(id) || 0;
+    const capacity = capacityOf(contractor);
+    const exclude = reason => excluded.push({ contractor_id: contractor.id, name, reason, distance_km: distanceKm, active_jobs: activeJobs });
+
+    if (!isAvailable(contractor)) return exclude('unavailable');
+    if (offered.has(id)) return exclude('already_offered');
+    if (distanceKm !== null && distanceKm > radiusOf(contractor)) return exclude('out_of_area');
+    if (activeJobs >= capacity) return exclude('at_capacity');
+
+    const rating = ratings.get(id) || { total: 0, count: 0 };
+    const result = score({
+      verified: verified.get(id),
+      distanceKm,
+      radiusKm: radiusOf(contractor),
+      tier: contractor.contractor_tier,
+      rating,
+      activeJobs,
+      capacity,
+      history: history.get(id) || { accepted: 0, answered: 0 }
+    });
+    candidates.push({
+      contractor_id: contractor.id,
+      name,
+      score: result.score,
+      factors: result.factors,
+      distance_km: distanceKm,
+      active_jobs: activeJobs,
+      rating: rating.count ? round(rating.total / rating.count, 2) : null,
+      rating_count: rating.count
+    });
+  });
+
+  candidates.sort((a, b) =>
+    b.score - a.score ||
+    (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) ||
+    String(a.contractor_id).localeCompare(String(b.contractor_id)));
+  return { candidates, excluded };
+}
+
+module.exports = {
+  WEIGHTS,
+  ACTIVE_STATUSES,
+  isAvailable,
+  score,
+  rank
+};
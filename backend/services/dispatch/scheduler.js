@@ -0,0 +1,54 @@
+/**
+ * Dispatch scheduler – keeps offers moving without anyone watching
+ *
+ * Usage:
+ *   const scheduler = require('./services/dispatch/scheduler');
+ *   scheduler.start(logger);                               // on server start
+ *
+ * Every DISPATCH_INTERVAL_SECONDS it runs dispatch.sweep(): offers past
+ * their time expire, the next wave goes out, jobs left in the open pool are
+ * escalated and jobs back in the pool are dispatched again. Declines move
+ * a job on straight away; the sweep catches everything that happens by
+ * the clock.
+ */
+
+const ENV = require('../../config/env');
+const dispatch = require('./index');
+
+let timer = null;
+let running = false;
+
+async function tick(logger) {
+  if (running) return;
+  running = true;
+  try {
+    const summary = await dispatch.sweep();
+    if (summary.expired || summary.waves || summary.escalated || summary.restarted) {
+      logger.info(summary, 'Dispatch swept');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Dispatch sweep failed');
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Sweep now and then every DISPATCH_INTERVAL_SECONDS (does nothing when that is 0)
+ */
+function start(logger) {
+  if (timer || !ENV.dispatchIntervalSeconds) return;
+  timer = setInterval(() => tick(logger), ENV.dispatchIntervalSeconds * 1000);
+  timer.unref();
+  tick(logger);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  start,
+  stop
+};
@@ -0,0 +1,332 @@
+/**
+ * Documents – customer invoices and contractor payout statements as PDFs
+ *
+ * Usage:
+ *   const documents = require('./services/documents');
+ *   await documents.issueInvoice(jobId);                    // on completion; emails the customer
+ *   await documents.refreshInvoice(jobId);                  // after a payment, refund or materials change
+ *   await documents.issueStatement(contractorId, '2026-09');
+ *   const { document, pdf } = await documents.getPdf(documentId);
+ *
+ * Each kind is numbered on its own, sequentially and without gaps
+ * (INV-000001, PST-000001). A document is stored with the figures it shows
+ * (data) and its PDF. A job has one invoice: when its payments, refunds or
+ * materials change it is rendered again as a new revision under the same
+ * number and issue date. A statement covers the payout batch lines paid to
+ * a contractor in a calendar month (in PAYOUT_TIMEZONE); last month's are
+ * issued and emailed by the payout scheduler on its first run of a month.
+ */
+
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  payments: paymentsRepo,
+  refunds: refundsRepo,
+  payoutBatches: batchesRepo,
+  documents: documentsRepo
+} = require('../../repositories');
+const { sendDocumentEmail } = require('../../email-service');
+const { logEvent } = require('../audit-service');
+const tax = require('../tax');
+const schedule = require('../payouts/schedule');
+const invoice = require('./invoice');
+const statement = require('./statement');
+
+const KINDS = {
+  invoice: { prefix: 'INV', title: 'Invoice' },
+  payout_statement: { prefix: 'PST', title: 'Payout statement' }
+};
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const SYSTEM_ACTOR = { role: 'system', id: 'documents' };
+
+class DocumentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+function numberFor(kind) {
+  return sequence => `${KINDS[kind].prefix}-${String(sequence).padStart(6, '0')}`;
+}
+
+function today(timeZone = ENV.payoutTimezone) {
+  return schedule.localDate(timeZone);
+}
+
+function jobTimeZone(job) {
+  const province = tax.normalizeProvince(job && job.province);
+  return province ? tax.PROVINCES[province].timeZone : ENV.payoutTimezone;
+}
+
+/**
+ * A document without its PDF, for API responses
+ */
+function serialize(document) {
+  if (!document) return null;
+  const { pdf, data, sequence, ...rest } = document;
+  return {
+    ...rest,
+    title: KINDS[document.kind]?.title || document.kind,
+    period_start: schedule.toDateString(document.period_start),
+    period_end: schedule.toDateString(document.period_end),
+    total_amount: Number(document.total_amount) || 0,
+    filename: `${document.number}.pdf`
+  };
+}
+
+async function invoiceData(job) {
+  const [customer, contractor, payments, refunds] = await Promise.all([
+    job.customer_id ? customersRepo.findById(job.customer_id) : null,
+    job.contractor_id ? contractorsRepo.findById(job.contractor_id) : null,
+    paymentsRepo.list({ jobId: job.id }),
+    refundsRepo.list({ jobId: job.id })
+  ]);
+  return invoice.build({ job, customer, contractor, payments, refunds, timeZone: jobTimeZone(job) });
+}
+
+async function logIssued(document, actor) {
+  await logEvent({
+    action: `document.${document.kind}_issued`,
+    entity_type: document.kind === 'invoice' ? 'job' : 'contractor',
+    entity_id: document.kind === 'invoice' ? document.job_id : document.contractor_id,
+    actor,
+    after: { document_id: document.id, number: document.number, total_amount: Number(document.total_amount) },
+    meta: document.kind === 'invoice' ? {} : { period_start: document.period_start, period_end: document.period_end }
+  });
+}
+
+/**
+ * Email a document to `to` (default: its customer or contractor)
+ * @param {Object} [options] - { to, actor }
+ * @returns {Promise<Object>} The document, with emailed_to/emailed_at set when sent
+ * @throws {DocumentError} 404 unknown document, 400 no address, 502 the email failed
+ */
+async function emailDocument(id, { to, actor = SYSTEM_ACTOR } = {}) {
+  const document = await documentsRepo.findById(id);
+  if (!document) {
+    throw new DocumentError('Document not found', 404);
+  }
+  const recipient = document.kind === 'invoice'
+    ? document.data.customer
+    : document.data.contractor;
+  const email = to || recipient.email;
+  if (!email) {
+    throw new DocumentError('No email address to send the document to');
+  }
+  const result = await sendDocumentEmail(email, recipient.name, {
+    title: KINDS[document.kind].title,
+    number: document.number,
+    summary: document.kind === 'invoice'
+      ? `Here is your invoice for ${document.data.job.service}.`
+      : `Here is your payout statement for ${document.data.period.start} to ${document.data.period.end}.`,
+    amount: (Number(document.total_amount) || 0).toFixed(2),
+    currency: document.currency
+  }, { filename: `${document.number}.pdf`, content: Buffer.from(document.pdf) });
+  if (!result.success) {
+    throw new DocumentError('The email could not be sent', 502);
+  }
+  await logEvent({
+    action: 'document.emailed',
+    entity_type: document.kind === 'invoice' ? 'job' : 'contractor',
+    entity_id: document.kind === 'invoice' ? document.job_id : document.contractor_id,
+    actor,
+    after: { document_id: document.id, number: document.number, emailed_to: email }
+  });
+  return documentsRepo.update(document.id, { emailed_to: email, emailed_at: new Date() });
+}
+
+// Issuing goes ahead when the email fails; the document can be sent again
+async function emailQuietly(document, actor) {
+  try {
+    return await emailDocument(document.id, { actor });
+  } catch (error) {
+    console.error(`Emailing ${document.number} failed:`, error.message);
+    return document;
+  }
+}
+
+/**
+ * Issue a completed job's invoice (or bring the existing one up to date)
+ * @param {string} jobId
+ * @param {Object} [options] - { email: false to skip emailing a new invoice to the customer, actor }
+ * @returns {Promise<Object|null>} The invoice; null when the job has no price yet
+ * @throws {DocumentError} 404 unknown job, 409 job not completed
+ */
+async function issueInvoice(jobId, { email = true, actor = SYSTEM_ACTOR } = {}) {
+  const job = await jobsRepo.findById(jobId);
+  if (!job) {
+    throw new DocumentError('Job not found', 404);
+  }
+  if (job.status !== 'completed') {
+    throw new DocumentError('Only a completed job can be invoiced', 409);
+  }
+  const existing = await documentsRepo.findInvoiceForJob(job.id);
+  if (existing) return refreshInvoice(job.id);
+
+  const data = await invoiceData(job);
+  if (!data) return null;
+  const issuedOn = today(jobTimeZone(job));
+  const created = await documentsRepo.create({
+    kind: 'invoice',
+    job_id: job.id,
+    customer_id: job.customer_id,
+    contractor_id: job.contractor_id || null,
+    currency: data.currency,
+    total_amount: data.total,
+    data: { ...data, issued_on: issuedOn },
+    pdf: Buffer.alloc(0)
+  }, { numberFor: numberFor('invoice') });
+  const document = await documentsRepo.update(created.id, {
+    pdf: invoice.render(data, { number: created.number, issued_on: issuedOn, revision: 1 })
+  });
+  await logIssued(document, actor);
+  return email ? emailQuietly(document, actor) : document;
+}
+
+/**
+ * Render a job's invoice again if its figures have changed (a new revision).
+ * Never throws: a document problem must not fail the payment or refund it describes.
+ * @returns {Promise<Object|null>} The invoice, or null when the job has none
+ */
+async function refreshInvoice(jobId) {
+  try {
+    const existing = await documentsRepo.findInvoiceForJob(jobId);
+    const job = existing && await jobsRepo.findById(jobId);
+    if (!job) return existing || null;
+    const data = await invoiceData(job);
+    if (!data) return existing;
+    const { issued_on: issuedOn, revised_on: revisedBefore, ...before } = existing.data;
+    if (JSON.stringify(before) === JSON.stringify(data)) return existing;
+    const revision = (existing.revision || 1) + 1;
+    const revisedOn = today(jobTimeZone(job));
+    return await documentsRepo.update(existing.id, {
+      total_amount: data.total,
+      data: { ...data, issued_on: issuedOn, revised_on: revisedOn },
+      revision,
+      pdf: invoice.render(data, { number: existing.number, issued_on: issuedOn, revision, revised_on: revisedOn })
+    });
+  } catch (error) {
+    console.error(`Invoice refresh for job ${jobId} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * First and last day of a 'YYYY-MM' month
+ * @throws {DocumentError} 400 malformed month
+ */
+function monthPeriod(month) {
+  const match = MONTH_PATTERN.exec(String(month || ''));
+  if (!match) {
+    throw new DocumentError('month must be YYYY-MM');
+  }
+  const nextMonth = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1)).toISOString().slice(0, 10);
+  return { start: `${match[1]}-${match[2]}-01`, end: schedule.addDays(nextMonth, -1) };
+}
+
+/**
+ * Issue a contractor's payout statement for a month (once; asking again
+ * returns the statement already issued)
+ * @param {string} contractorId
+ * @param {string} month - 'YYYY-MM', a month that has ended
+ * @param {Object} [options] - { email: false to skip emailing a new statement, actor }
+ * @returns {Promise<Object>} The statement
+ * @throws {DocumentError} 400 malformed or unfinished month, 404 unknown contractor
+ */
+async function issueStatement(contractorId, month, { email = true, actor = SYSTEM_ACTOR } = {}) {
+  const { start, end } = monthPeriod(month);
+  if (end >= today()) {
+    throw new DocumentError('A statement can only be issued for a month that has ended');
+  }
+  const contractor = await contractorsRepo.findById(contractorId);
+  if (!contractor) {
+    throw new DocumentError('Contractor not found', 404);
+  }
+  const existing = await documentsRepo.findStatement(contractor.id, start, end);
+  if (existing) return existing;
+
+  const paidOn = line => schedule.localDate(ENV.payoutTimezone, new Date(line.paid_at));
+  const lines = (await batchesRepo.listLines({ contractorId: contractor.id, status: 'paid' }))
+    .filter(line => line.paid_at && paidOn(line) >= start && paidOn(line) <= end);
+  const jobs = new Map();
+  for (const jobId of lines.flatMap(line => line.job_ids || [])) {
+    const job = await jobsRepo.findById(jobId);
+    if (job) jobs.set(String(job.id), job);
+  }
+  const data = statement.build({ contractor, periodStart: start, periodEnd: end, lines, jobs, timeZone: ENV.payoutTimezone });
+  const issuedOn = today();
+  const created = await documentsRepo.create({
+    kind: 'payout_statement',
+    contractor_id: contractor.id,
+    period_start: start,
+    period_end: end,
+    currency: data.currency,
+    total_amount: data.totals.paid,
+    data: { ...data, issued_on: issuedOn },
+    pdf: Buffer.alloc(0)
+  }, { numberFor: numberFor('payout_statement') });
+  const document = await documentsRepo.update(created.id, {
+    pdf: statement.render(data, { number: created.number, issued_on: issuedOn })
+  });
+  await logIssued(document, actor);
+  return email ? emailQuietly(document, actor) : document;
+}
+
+/**
+ * Issue last month's statements for every contractor paid in it
+ * (what the payout scheduler runs; safe to run again)
+ * @returns {Promise<Array<Object>>} The statements issued now
+ */
+async function issueMonthlyStatements({ at = new Date() } = {}) {
+  const thisMonth = schedule.localDate(ENV.payoutTimezone, at).slice(0, 7);
+  const month = schedule.addDays(`${thisMonth}-01`, -1).slice(0, 7);
+  const { start, end } = monthPeriod(month);
+  const paidOn = line => schedule.localDate(ENV.payoutTimezone, new Date(line.paid_at));
+  const contractorIds = new Set((await batchesRepo.listLines({ status: 'paid' }))
+    .filter(line => line.paid_at && paidOn(line) >= start && paidOn(line) <= end)
+    .map(line => String(line.contractor_id)));
+
+  const issued = [];
+  for (const contractorId of contractorIds) {
+    if (await documentsRepo.findStatement(contractorId, start, end)) continue;
+    issued.push(await issueStatement(contractorId, month));
+  }
+  return issued;
+}
+
+/**
+ * A document and its PDF
+ * @throws {DocumentError} 404 unknown document
+ */
+async function getPdf(id) {
+  const document = await documentsRepo.findById(id);
+  if (!document) {
+    throw new DocumentError('Document not found', 404);
+  }
+  return { document, pdf: Buffer.from(document.pdf) };
+}
+
+/**
+ * Send a stored document as a PDF download
+ */
+function sendPdf(res, document) {
+  res.set('Content-Disposition', `attachment; filename="${document.number}.pdf"`);
+  res.type('application/pdf').send(Buffer.from(document.pdf));
+}
+
+module.exports = {
+  KINDS,
+  DocumentError,
+  serialize,
+  issueInvoice,
+  refreshInvoice,
+  issueStatement,
+  issueMonthlyStatements,
+  emailDocument,
+  getPdf,
+  sendPdf
+};
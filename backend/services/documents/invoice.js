@@ -0,0 +1,171 @@
+/**
+ * Customer invoice for a completed job: what was done, the price split into
+ * labour and materials, the sales tax charged, and the payments and refunds
+ * received so far (an inspection fee paid before quoting is one of them,
+ * credited against the total), with any promo discount and account credit
+ * that came off the charge. All amounts in dollars.
+ */
+
+const financials = require('../../lib/financials');
+const tax = require('../tax');
+const { localDate } = require('../payouts/schedule');
+const layout = require('./layout');
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * The figures an invoice shows
+ * @param {Object} input - { job (with its address and final price), customer, contractor,
+ *   payments (the job's payment rows), refunds (the job's refund rows), timeZone }
+ * @returns {Object|null} null when the job has no price yet
+ */
+function build({ job, customer, contractor, payments = [], refunds = [], timeZone }) {
+  const { finalPriceCents, materialCents } = financials.resolveJobAmounts(job);
+  if (finalPriceCents === null) return null;
+  const salesTax = job.sales_tax || null;
+  const taxCents = tax.jobTaxCents(job).taxCents;
+  const totalCents = finalPriceCents + taxCents;
+  const day = value => (value ? localDate(timeZone, new Date(value)) : null);
+
+  const received = payments
+    .filter(payment => PAID_STATUSES.includes(payment.status))
+    .map(payment => ({
+      date: day(payment.paid_at || payment.created_at),
+      method: payment.payment_method || 'card',
+      inspection_fee: payment.purpose === 'inspection_fee',
+      amount: Number(payment.amount) || 0
+    }));
+  const returned = refunds
+    .filter(refund => refund.status === 'succeeded')
+    .map(refund => ({
+      date: day(refund.succeeded_at || refund.created_at),
+      reason: refund.reason_code || null,
+      amount: Number(refund.amount) || 0,
+      tax_amount: Number(refund.tax_amount) || 0
+    }));
+  const settled = payments.filter(payment => PAID_STATUSES.includes(payment.status));
+  const allowances = [
+    ...settled.filter(payment => Number(payment.discount_amount) > 0)
+      .map(payment => ({ description: 'Promo discount', amount: Number(payment.discount_amount) })),
+    ...settled.filter(payment => Number(payment.credit_amount) > 0)
+      .map(payment => ({ description: 'FirstClick credit', amount: Number(payment.credit_amount) }))
+  ];
+  const allowanceCents = financials.sumAmountCents(allowances, 'amount');
+  const paidCents = financials.sumAmountCents(received, 'amount');
+  const refundedCents = financials.sumAmountCents(returned, 'amount');
+  // Refunds that came off the price (not an inspection fee returned before completion)
+  const priceRefundedCents = (financials.toCents(job.refunded_amount) || 0) + tax.jobTaxCents(job).refundedTaxCents;
+  const materials = Math.min(materialCents, finalPriceCents);
+
+  return {
+    currency: financials.CURRENCY,
+    job: {
+      id: job.id,
+      service: [job.category_name, job.type_name].filter(Boolean).join(' – ') || 'Home service',
+      address: [job.address_line1, job.city, job.province, job.postal_code].filter(Boolean).join(', '),
+      completed_on: day(job.completed_at),
+      tasks: job.completion_report?.tasks || '',
+      materials: job.completion_report?.materials || ''
+    },
+    customer: {
+      name: customer?.full_name || null,
+      email: customer?.email || job.customer_email || null
+    },
+    contractor: {
+      name: contractor ? (contractor.business_name || contractor.legal_name) : (job.contractor_name || null),
+      gst_hst_number: salesTax ? salesTax.gst_hst_number : (contractor?.gst_hst_number || null),
+      qst_number: salesTax ? salesTax.qst_number : (contractor?.qst_number || null)
+    },
+    lines: [
+      { description: 'Labour', amount: financials.toDollars(finalPriceCents - materials) },
+      ...(materials > 0 ? [{ description: 'Materials', amount: financials.toDollars(materials) }] : [])
+    ],
+    subtotal: financials.toDollars(finalPriceCents),
+    taxes: (salesTax?.lines || []).map(line => ({
+      code: line.code,
+      label: line.label,
+      rate: line.rate,
+      taxable: line.taxable,
+      amount: line.amount
+    })),
+    tax_date: salesTax?.tax_date || null,
+    total: financials.toDollars(totalCents),
+    payments: received,
+    allowances,
+    refunds: returned,
+    amount_paid: financials.toDollars(paidCents - refundedCents),
+    refunded: financials.toDollars(refundedCents),
+    balance_due: financials.toDollars(Math.max(0, totalCents - priceRefundedCents - allowanceCents - (paidCents - refundedCents)))
+  };
+}
+
+/**
+ * Render an invoice
+ * @param {Object} data - build() result
+ * @param {Object} document - { number, issued_on, revision, revised_on }
+ * @returns {Buffer}
+ */
+function render(data, { number, issued_on: issuedOn, revision, revised_on: revisedOn }) {
+  const details = [['Issued', issuedOn], ['Job', String(data.job.id)]];
+  if (revision > 1) details.push(['Revised', `${revisedOn} (revision ${revision})`]);
+  const doc = layout.createDocument({ title: 'Invoice', number, details });
+  const half = doc.CONTENT_WIDTH / 2;
+
+  doc.row([
+    { text: 'Bill to', width: half, bold: true },
+    { text: 'Service by', width: half, bold: true }
+  ], { size: 9 });
+  doc.row([
+    { text: [data.customer.name, data.customer.email].filter(Boolean).join('\n') || '—', width: half },
+    { text: data.contractor.name || '—', width: half }
+  ]);
+  const registrations = [
+    data.contractor.gst_hst_number && `GST/HST ${data.contractor.gst_hst_number}`,
+    data.contractor.qst_number && `QST ${data.contractor.qst_number}`
+  ].filter(Boolean);
+  if (registrations.length) {
+    doc.row([{ text: '', width: half }, { text: registrations.join('\n'), width: half }], { size: 9, color: layout.GREY });
+  }
+
+  layout.sectionTitle(doc, data.job.service);
+  if (data.job.address) doc.text(data.job.address, { size: 9, color: layout.GREY });
+  if (data.job.completed_on) doc.text(`Completed ${data.job.completed_on}`, { size: 9, color: layout.GREY });
+  if (data.job.tasks) doc.space(4).text(`Work done: ${data.job.tasks}`, { size: 9 });
+  if (data.job.materials) doc.text(`Materials: ${data.job.materials}`, { size: 9 });
+
+  layout.sectionTitle(doc, 'Charges');
+  data.lines.forEach(line => layout.amountRow(doc, line.description, line.amount));
+  doc.rule();
+  layout.amountRow(doc, 'Subtotal', data.subtotal);
+  data.taxes.forEach(line => layout.amountRow(doc, `${line.label} ${layout.percent(line.rate)} on ${layout.money(line.taxable)}`, line.amount));
+  if (!data.taxes.length && data.tax_date) layout.amountRow(doc, 'Sales tax', 0);
+  doc.rule();
+  layout.amountRow(doc, `Total (${data.currency})`, data.total, { bold: true, size: 11 });
+
+  layout.sectionTitle(doc, 'Payments');
+  if (!data.payments.length && !data.refunds.length && !(data.allowances || []).length) {
+    doc.text('No payments received yet.', { size: 9, color: layout.GREY });
+  }
+  data.payments.forEach(payment => layout.amountRow(
+    doc,
+    `${payment.date} – ${payment.inspection_fee ? 'inspection fee, credited' : 'payment'} (${payment.method})`,
+    payment.amount
+  ));
+  (data.allowances || []).forEach(allowance => layout.amountRow(doc, allowance.description, allowance.amount));
+  data.refunds.forEach(refund => layout.amountRow(
+    doc,
+    `${refund.date} – refund${refund.tax_amount ? ` (incl. ${layout.money(refund.tax_amount)} tax)` : ''}`,
+    -refund.amount
+  ));
+  doc.rule();
+  layout.amountRow(doc, 'Amount paid', data.amount_paid);
+  layout.amountRow(doc, 'Balance due', data.balance_due, { bold: true, size: 11 });
+
+  doc.space(16).text('Thank you for choosing FirstClick.', { size: 9, color: layout.GREY });
+  return doc.toBuffer();
+}
+
+module.exports = {
+  build,
+  render
+};
@@ -0,0 +1,70 @@
+/**
+ * Shared layout for the PDF documents: money and date formats, the page
+ * header and the label/amount rows both documents are built from
+ */
+
+const pdf = require('../../lib/pdf');
+
+const COMPANY = {
+  name: 'FirstClick Home Services',
+  website: 'firstclick.com'
+};
+
+const GREY = [0.4, 0.4, 0.4];
+
+function money(dollars) {
+  if (dollars === null || dollars === undefined) return '—';
+  const amount = Math.abs(Number(dollars)).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${Number(dollars) < 0 ? '-' : ''}$${amount}`;
+}
+
+function percent(rate) {
+  return `${Number(rate).toLocaleString('en-CA', { maximumFractionDigits: 3 })}%`;
+}
+
+/**
+ * A document with the company name on the left and the title, number and
+ * dates on the right
+ * @param {Object} heading - { title, number, details: [[label, value]] }
+ */
+function createDocument({ title, number, details = [] }) {
+  const doc = pdf.createDocument({ title: `${title} ${number}`, author: COMPANY.name });
+  const half = doc.CONTENT_WIDTH / 2;
+  doc.row([
+    { text: COMPANY.name, width: half, bold: true },
+    { text: title.toUpperCase(), width: half, align: 'right', bold: true }
+  ], { size: 16 });
+  doc.row([
+    { text: COMPANY.website, width: half },
+    { text: number, width: half, align: 'right', bold: true }
+  ], { size: 10, color: GREY });
+  details.forEach(([label, value]) => {
+    doc.row([{ text: '', width: half }, { text: `${label}: ${value}`, width: half, align: 'right' }], { size: 9, color: GREY });
+  });
+  doc.rule({ weight: 1, gap: 8 });
+  return doc;
+}
+
+/**
+ * Label on the left, amount on the right
+ */
+function amountRow(doc, label, dollars, { bold = false, size = 10 } = {}) {
+  doc.row([
+    { text: label, width: doc.CONTENT_WIDTH - 120 },
+    { text: money(dollars), width: 120, align: 'right' }
+  ], { bold, size });
+}
+
+function sectionTitle(doc, text) {
+  doc.space(8).text(text, { size: 11, bold: true }).space(2);
+}
+
+module.exports = {
+  COMPANY,
+  GREY,
+  money,
+  percent,
+  createDocument,
+  amountRow,
+  sectionTitle
+};
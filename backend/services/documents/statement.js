@@ -0,0 +1,177 @@
+/**
+ * Contractor payout statement for a period: each payout sent (a paid payout
+ * batch line) with the jobs it covered – price, refunds, materials,
+ * processing fee, platform fee at the contractor's tier and their share –
+ * then the clawbacks taken off and the total paid. All amounts in dollars.
+ */
+
+const financials = require('../../lib/financials');
+const { localDate } = require('../payouts/schedule');
+const layout = require('./layout');
+
+/**
+ * The figures a statement shows
+ * @param {Object} input - { contractor, periodStart, periodEnd ('YYYY-MM-DD'), lines (paid
+ *   payout batch lines in the period), jobs (Map of job id → job row), timeZone }
+ */
+function build({ contractor, periodStart, periodEnd, lines, jobs, timeZone }) {
+  const jobRows = [];
+  const payouts = lines
+    .slice()
+    .sort((a, b) => new Date(a.paid_at) - new Date(b.paid_at))
+    .map(line => {
+      const covered = (line.job_ids || []).map(jobId => {
+        const job = jobs.get(String(jobId));
+        const amounts = job ? financials.jobFinancials(job) : null;
+        const row = {
+          job_id: jobId,
+          service: job ? ([job.category_name, job.type_name].filter(Boolean).join(' – ') || 'Home service') : '—',
+          completed_on: job && job.completed_at ? localDate(timeZone, new Date(job.completed_at)) : null,
+          tier: amounts ? amounts.contractor_tier : null,
+          final_price: amounts ? amounts.final_price : null,
+          refunded: amounts ? amounts.refunded : null,
+          materials: amounts ? amounts.material_fees : null,
+          stripe_fee: amounts ? amounts.stripe_fee : null,
+          platform_fee: amounts ? amounts.platform_fee : null,
+          contractor_payout: amounts ? amounts.contractor_payout : null,
+          cents: amounts ? amounts.cents : null
+        };
+        jobRows.push(row);
+        return row;
+      });
+      return {
+        line_id: line.id,
+        batch_id: line.batch_id,
+        paid_on: localDate(timeZone, new Date(line.paid_at)),
+        reference: line.provider_payout_id || null,
+        gross_amount: Number(line.gross_amount) || 0,
+        adjustments: Number(line.adjustments) || 0,
+        materials: Number(line.materials) || 0,
+        amount: Number(line.amount) || 0,
+        jobs: covered.map(({ cents, ...row }) => row)
+      };
+    });
+
+  const byTier = new Map();
+  jobRows.filter(row => row.cents).forEach(row => {
+    const entry = byTier.get(row.tier) || { jobs: 0, cents: 0 };
+    entry.jobs += 1;
+    entry.cents += row.cents.platform_fee;
+    byTier.set(row.tier, entry);
+  });
+
+  return {
+    currency: financials.CURRENCY,
+    period: { start: periodStart, end: periodEnd },
+    contractor: {
+      id: contractor.id,
+      name: contractor.business_name || contractor.legal_name || null,
+      email: contractor.email || null,
+      gst_hst_number: contractor.gst_hst_number || null,
+      qst_number: contractor.qst_number || null
+    },
+    payouts,
+    platform_fee_by_tier: [...byTier.entries()].map(([tier, entry]) => ({
+      tier,
+      label: financials.CONTRACTOR_TIERS[tier]?.label || tier,
+      rate: financials.tierRateBps(tier) / 100,
+      jobs: entry.jobs,
+      platform_fee: financials.toDollars(entry.cents)
+    })),
+    totals: {
+      jobs: jobRows.length,
+      final_price: financials.toDollars(financials.sumCents(jobRows, 'final_price')),
+      refunded: financials.toDollars(financials.sumCents(jobRows, 'refunded')),
+      stripe_fees: financials.toDollars(financials.sumCents(jobRows, 'stripe_fee')),
+      platform_fees: financials.toDollars(financials.sumCents(jobRows, 'platform_fee')),
+      labour: financials.toDollars(financials.sumAmountCents(payouts, 'gross_amount')),
+      adjustments: financials.toDollars(financials.sumAmountCents(payouts, 'adjustments')),
+      materials: financials.toDollars(financials.sumAmountCents(payouts, 'materials')),
+      paid: financials.toDollars(financials.sumAmountCents(payouts, 'amount'))
+    }
+  };
+}
+
+const JOB_COLUMNS = [
+  { key: 'job', label: 'Job', width: 142 },
+  { key: 'final_price', label: 'Price', width: 62 },
+  { key: 'refunded', label: 'Refunds', width: 56 },
+  { key: 'materials', label: 'Materials', width: 60 },
+  { key: 'stripe_fee', label: 'Card fee', width: 56 },
+  { key: 'platform_fee', label: 'Platform fee', width: 68 },
+  { key: 'contractor_payout', label: 'Your share', width: 68 }
+];
+
+/**
+ * Render a statement
+ * @param {Object} data - build() result
+ * @param {Object} document - { number, issued_on }
+ * @returns {Buffer}
+ */
+function render(data, { number, issued_on: issuedOn }) {
+  const doc = layout.createDocument({
+    title: 'Payout statement',
+    number,
+    details: [['Issued', issuedOn], ['Period', `${data.period.start} to ${data.period.end}`]]
+  });
+
+  doc.text(data.contractor.name || '—', { bold: true });
+  if (data.contractor.email) doc.text(data.contractor.email, { size: 9, color: layout.GREY });
+  const registrations = [
+    data.contractor.gst_hst_number && `GST/HST ${data.contractor.gst_hst_number}`,
+    data.contractor.qst_number && `QST ${data.contractor.qst_number}`
+  ].filter(Boolean);
+  if (registrations.length) doc.text(registrations.join('   '), { size: 9, color: layout.GREY });
+
+  if (!data.payouts.length) {
+    doc.space(12).text('No payouts were sent in this period.', { color: layout.GREY });
+  }
+  data.payouts.forEach(payout => {
+    layout.sectionTitle(doc, `Payout sent ${payout.paid_on}${payout.reference ? ` – ${payout.reference}` : ''}`);
+    doc.row(JOB_COLUMNS.map(column => ({
+      text: column.label,
+      width: column.width,
+      align: column.key === 'job' ? 'left' : 'right'
+    })), { size: 8, bold: true });
+    payout.jobs.forEach(job => {
+      const label = `${job.service}\n${String(job.job_id).slice(0, 8)}${job.completed_on ? ` · ${job.completed_on}` : ''}${job.tier ? ` · ${job.tier}` : ''}`;
+      doc.row(JOB_COLUMNS.map(column => ({
+        text: column.key === 'job' ? label : layout.money(job[column.key]),
+        width: column.width,
+        align: column.key === 'job' ? 'left' : 'right'
+      })), { size: 8 });
+    });
+    doc.rule();
+    layout.amountRow(doc, 'Labour', payout.gross_amount);
+    if (payout.adjustments) layout.amountRow(doc, 'Refund clawbacks', payout.adjustments);
+    if (payout.materials) layout.amountRow(doc, 'Materials reimbursed', payout.materials);
+    layout.amountRow(doc, 'Paid', payout.amount, { bold: true });
+  });
+
+  layout.sectionTitle(doc, 'Summary');
+  layout.amountRow(doc, `Job prices (${data.totals.jobs} jobs)`, data.totals.final_price);
+  if (data.totals.refunded) layout.amountRow(doc, 'Refunds', -data.totals.refunded);
+  layout.amountRow(doc, 'Card processing fees', -data.totals.stripe_fees);
+  data.platform_fee_by_tier.forEach(tier => layout.amountRow(
+    doc,
+    `Platform fee – ${tier.label} ${layout.percent(tier.rate)} (${tier.jobs} jobs)`,
+    -tier.platform_fee
+  ));
+  doc.rule();
+  layout.amountRow(doc, 'Labour', data.totals.labour);
+  if (data.totals.adjustments) layout.amountRow(doc, 'Refund clawbacks', data.totals.adjustments);
+  layout.amountRow(doc, 'Materials reimbursed', data.totals.materials);
+  doc.rule();
+  layout.amountRow(doc, `Total paid (${data.currency})`, data.totals.paid, { bold: true, size: 11 });
+
+  doc.space(16).text(
+    'Job figures are as they stand today; the amounts paid are those sent. A refund after a payout is taken off a later payout as a clawback.',
+    { size: 8, color: layout.GREY }
+  );
+  return doc.toBuffer();
+}
+
+module.exports = {
+  build,
+  render
+};
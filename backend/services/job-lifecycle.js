@@ -0,0 +1,378 @@
+/**
+ * Job Lifecycle – the only code path that changes jobs.status
+ *
+ * Usage:
+ *   const jobLifecycle = require('./services/job-lifecycle');
+ *   const { job } = await jobLifecycle.transition(jobId, 'start', {
+ *     actor: { role: 'contractor', id: contractorId },
+ *     fields: { start_report: report }
+ *   });
+ *
+ * Each transition declares the states it may leave, the state it enters,
+ * the actor roles allowed to fire it, an optional guard and the columns it
+ * sets as a side effect. The status update and its job_events row are
+ * written together, and only if the job is still in the state that was
+ * validated, so two concurrent requests cannot both move the same job.
+ * Once written, the change is passed to services/notifications, which tells
+ * the customer and contractor about the ones they hear about.
+ */
+
+const { jobs, jobEvents } = require('../repositories');
+const notifications = require('./notifications');
+
+const STATUSES = {
+  SUBMITTED: 'submitted',
+  READY_TO_ASSIGN: 'ready_to_assign',
+  ASSIGNED: 'assigned',
+  EN_ROUTE: 'en_route',
+  ON_SITE: 'on_site',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCEL_REQUESTED: 'cancel_requested',
+  CANCELLED: 'cancelled'
+};
+
+// Values written by older code paths, read as their lifecycle equivalent
+const LEGACY_STATUSES = {
+  open: STATUSES.READY_TO_ASSIGN,
+  confirmed: STATUSES.READY_TO_ASSIGN,
+  accepted: STATUSES.ASSIGNED,
+  onsite: STATUSES.ON_SITE,
+  canceled: STATUSES.CANCELLED
+};
+
+const ADMINS = ['admin', 'super_admin'];
+
+// Pricing modes whose jobs go to the contractor whose quote the customer accepts
+const QUOTED_MODES = ['quote_only', 'inspection_fee'];
+
+/**
+ * Whether a job is priced by quotes rather than its estimate
+ */
+function isQuoted(job) {
+  return QUOTED_MODES.includes(job && job.estimate && job.estimate.mode);
+}
+
+const requireContractor = (job, ctx) => (ctx.contractorId ? null : 'A contractor is required');
+
+// Contractors quote on quoted jobs instead of accepting them (admins may still assign)
+const requireAcceptable = (job, ctx) => {
+  if (ctx.actor?.role === 'contractor' && isQuoted(job)) {
+    return 'This job is priced by quote: submit a quote and the customer will choose';
+  }
+  return requireContractor(job, ctx);
+};
+
+// A quoted job that goes back to the pool needs a new quote accepted
+const clearAcceptedQuote = (job) => (job.accepted_quote_id ? { accepted_quote_id: null, final_price: null } : {});
+
+const TRANSITIONS = {
+  publish: {
+    from: [STATUSES.SUBMITTED],
+    to: STATUSES.READY_TO_ASSIGN,
+    roles: [...ADMINS, 'system']
+  },
+  assign: {
+    from: [STATUSES.SUBMITTED, STATUSES.READY_TO_ASSIGN],
+    to: STATUSES.ASSIGNED,
+    roles: ['contractor', ...ADMINS, 'system'],
+    guard: requireAcceptable,
+    effects: (job, ctx) => ({ contractor_id: ctx.contractorId })
+  },
+  // The customer accepts a quote: the job goes to its contractor at its price
+  accept_quote: {
+    from: [STATUSES.SUBMITTED, STATUSES.READY_TO_ASSIGN],
+    to: STATUSES.ASSIGNED,
+    roles: ['customer', ...ADMINS],
+    guard: (job, ctx) => (ctx.quote ? null : 'A quote is required'),
+    effects: (job, ctx) => ({
+      contractor_id: ctx.quote.contractor_id,
+      accepted_quote_id: ctx.quote.id,
+      final_price: ctx.quote.total_amount
+    })
+  },
+  reassign: {
+    from: [
+      STATUSES.SUBMITTED,
+      STATUSES.READY_TO_ASSIGN,
+      STATUSES.ASSIGNED,
+      STATUSES.EN_ROUTE,
+      STATUSES.ON_SITE,
+      STATUSES.CANCEL_REQUESTED
+    ],
+    to: STATUSES.ASSIGNED,
+    roles: ADMINS,
+    guard: requireContractor,
+    effects: (job, ctx) => ({ contractor_id: ctx.contractorId, cancellation: null })
+  },
+  depart: {
+    from: [STATUSES.ASSIGNED],
+    to: STATUSES.EN_ROUTE,
+    roles: ['contractor', ...ADMINS]
+  },
+  arrive: {
+    from: [STATUSES.ASSIGNED, STATUSES.EN_ROUTE],
+    to: STATUSES.ON_SITE,
+    roles: ['contractor', ...ADMINS]
+  },
+  start: {
+    from: [STATUSES.ASSIGNED, STATUSES.EN_ROUTE, STATUSES.ON_SITE],
+    to: STATUSES.IN_PROGRESS,
+    roles: ['contractor', ...ADMINS]
+  },
+  complete: {
+    from: [STATUSES.IN_PROGRESS],
+    to: STATUSES.COMPLETED,
+    roles: ['contractor', ...ADMINS],
+    effects: () => ({ completed_at: new Date() })
+  },
+  request_cancel: {
+    from: [STATUSES.ON_SITE],
+    to: STATUSES.CANCEL_REQUESTED,
+    roles: ['contractor'],
+    effects: () => ({ contractor_id: null })
+  },
+  cancel: {
+    from: [
+      STATUSES.SUBMITTED,
+      STATUSES.READY_TO_ASSIGN,
+      STATUSES.ASSIGNED,
+      STATUSES.EN_ROUTE,
+      STATUSES.ON_SITE,
+      STATUSES.IN_PROGRESS,
+      STATUSES.CANCEL_REQUESTED
+    ],
+    to: STATUSES.CANCELLED,
+    roles: ADMINS,
+    effects: () => ({ contractor_id: null })
+  },
+  relist: {
+    from: [STATUSES.CANCEL_REQUESTED, STATUSES.CANCELLED],
+    to: STATUSES.READY_TO_ASSIGN,
+    roles: ADMINS,
+    effects: (job) => ({
+      contractor_id: null,
+      cancellation: null,
+      relist_count: (job.relist_count || 0) + 1,
+      ...clearAcceptedQuote(job)
+    })
+  },
+  // Contractor removed from the platform (terminated or frozen)
+  release: {
+    from: [STATUSES.ASSIGNED, STATUSES.EN_ROUTE, STATUSES.ON_SITE, STATUSES.IN_PROGRESS],
+    to: STATUSES.READY_TO_ASSIGN,
+    roles: [...ADMINS, 'system'],
+    effects: (job) => ({ contractor_id: null, ...clearAcceptedQuote(job) })
+  }
+};
+
+class JobTransitionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Map a stored or requested status onto a lifecycle state
+ * ('On Site', 'on-site' and legacy values such as 'open' included)
+ * @param {string} status
+ * @returns {string}
+ */
+function normalizeStatus(status) {
+  const value = String(status || '').trim().toLowerCase().replace(/[^a-z]+/g, '_');
+  return LEGACY_STATUSES[value] || LEGACY_STATUSES[value.replace(/_/g, '')] || value;
+}
+
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+/**
+ * Throw unless `actor` may fire `event` on `job` right now
+ * @param {Object} job - Current job row
+ * @param {string} event - Key of TRANSITIONS
+ * @param {Object} ctx - { actor, contractorId }
+ */
+function assertTransition(job, event, ctx = {}) {
+  const definition = TRANSITIONS[event];
+  if (!definition) {
+    throw new JobTransitionError(`Unknown job transition: ${event}`, 400);
+  }
+
+  const role = ctx.actor?.role;
+  if (!role) {
+    throw new JobTransitionError('Authentication required', 401);
+  }
+  if (!definition.roles.includes(role)) {
+    throw new JobTransitionError(`A ${role} cannot ${event.replace(/_/g, ' ')} a job`, 403);
+  }
+
+  // Contractors act only on their own jobs, and only accept jobs for themselves
+  if (role === 'contractor') {
+    const ownerId = event === 'assign' ? ctx.contractorId : job.contractor_id;
+    if (!sameId(ownerId, ctx.actor.id)) {
+      throw new JobTransitionError('Not assigned to this job', 403);
+    }
+  }
+  if (role === 'customer' && !sameId(job.customer_id, ctx.actor.id)) {
+    throw new JobTransitionError('Not your job', 403);
+  }
+
+  const current = normalizeStatus(job.status);
+  if (!definition.from.includes(current)) {
+    throw new JobTransitionError(`Cannot ${event.replace(/_/g, ' ')} job with status ${job.status}`, 409);
+  }
+
+  const problem = definition.guard ? definition.guard(job, ctx) : null;
+  if (problem) {
+    throw new JobTransitionError(problem, 400);
+  }
+  return definition;
+}
+
+/**
+ * Events `actor` could fire on `job` in its current state
+ * @param {Object} job
+ * @param {Object} actor - { role, id }
+ * @returns {string[]}
+ */
+function availableTransitions(job, actor) {
+  // Guards depend on request input, so only role, state and ownership count here
+  const current = normalizeStatus(job.status);
+  return Object.keys(TRANSITIONS).filter(event => {
+    const definition = TRANSITIONS[event];
+    if (!definition.roles.includes(actor?.role) || !definition.from.includes(current)) return false;
+    if (actor.role === 'customer') return sameId(job.customer_id, actor.id);
+    return actor.role !== 'contractor' || event === 'assign' || sameId(job.contractor_id, actor.id);
+  });
+}
+
+/**
+ * Fire a lifecycle event on a job
+ * @param {string} jobId - Job ID
+ * @param {string} event - Key of TRANSITIONS
+ * @param {Object} ctx
+ * @param {Object} ctx.actor - { role, id }
+ * @param {string} [ctx.contractorId] - For assign/reassign
+ * @param {Object} [ctx.quote] - For accept_quote
+ * @param {Object} [ctx.fields] - Extra columns to write (reports, cancellation, ...)
+ * @param {string} [ctx.details] - Free-text note stored on the event
+ * @param {Object} [ctx.metadata] - Structured data stored on the event
+ * @param {Object} [ctx.job] - Already-loaded job, to skip the lookup
+ * @returns {Promise<{ job: Object, event: Object }>}
+ */
+async function transition(jobId, event, ctx = {}) {
+  const job = ctx.job || await jobs.findById(jobId);
+  if (!job) {
+    throw new JobTransitionError('Job not found', 404);
+  }
+
+  const definition = assertTransition(job, event, ctx);
+  const changes = {
+    ...(ctx.fields || {}),
+    ...(definition.effects ? definition.effects(job, ctx) : {}),
+    status: definition.to
+  };
+
+  const result = await jobs.transition(job.id, job.status, changes, {
+    job_id: job.id,
+    event,
+    from_status: job.status,
+    to_status: definition.to,
+    actor_role: ctx.actor.role,
+    actor_id: ctx.actor.id ?? null,
+    details: ctx.details || null,
+    metadata: ctx.metadata || null
+  });
+
+  if (!result) {
+    throw new JobTransitionError('Job status changed while this request was processed; reload and try again', 409);
+  }
+  await notifications.jobTransitioned(result.job, result.event);
+  return result;
+}
+
+/**
+ * Move a job to `status` using whichever transition the actor may fire from
+ * the job's current state (PATCH /api/jobs/:jobId/status)
+ * @param {string} jobId
+ * @param {string} status - Requested target status
+ * @param {Object} ctx - As for transition()
+ */
+async function transitionTo(jobId, status, ctx = {}) {
+  const target = normalizeStatus(status);
+  if (!Object.values(STATUSES).includes(target)) {
+    throw new JobTransitionError(`Unknown job status: ${status}`, 400);
+  }
+
+  const job = ctx.job || await jobs.findById(jobId);
+  if (!job) {
+    throw new JobTransitionError('Job not found', 404);
+  }
+
+  const current = normalizeStatus(job.status);
+  const candidates = Object.keys(TRANSITIONS).filter(event => TRANSITIONS[event].to === target);
+  const permitted = candidates.filter(event => TRANSITIONS[event].roles.includes(ctx.actor?.role));
+  const event = permitted.find(name => TRANSITIONS[name].from.includes(current));
+
+  if (!event) {
+    // Let assertTransition produce the specific refusal (auth, role or state)
+    assertTransition(job, permitted[0] || candidates[0], ctx);
+    throw new JobTransitionError(`Cannot move job from ${job.status} to ${target}`, 409);
+  }
+  return transition(jobId, event, { ...ctx, job });
+}
+
+/**
+ * Record the creation of a job as its first event
+ * @param {Object} job - Newly created job
+ * @param {Object} actor - { role, id }
+ */
+async function recordCreated(job, actor) {
+  return jobEvents.create({
+    job_id: job.id,
+    event: 'create',
+    from_status: null,
+    to_status: job.status,
+    actor_role: actor?.role || 'system',
+    actor_id: actor?.id ?? null,
+    details: 'Job created'
+  });
+}
+
+/**
+ * Return every active job held by a contractor to the assignment pool
+ * @param {string} contractorId
+ * @param {Object} ctx - { actor, details }
+ * @returns {Promise<number>} Jobs released
+ */
+async function releaseContractorJobs(contractorId, ctx = {}) {
+  const held = await jobs.list({ contractorId, statuses: TRANSITIONS.release.from });
+  let released = 0;
+  for (const job of held) {
+    try {
+      await transition(job.id, 'release', { ...ctx, job });
+      released += 1;
+    } catch (error) {
+      // A job that moved on concurrently is no longer ours to release
+      if (!(error instanceof JobTransitionError) || error.status !== 409) throw error;
+    }
+  }
+  return released;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  JobTransitionError,
+  isQuoted,
+  normalizeStatus,
+  assertTransition,
+  availableTransitions,
+  transition,
+  transitionTo,
+  recordCreated,
+  releaseContractorJobs
+};
@@ -0,0 +1,635 @@
+/**
+ * Ledger – append-only double-entry books for job money
+ *
+ * Usage:
+ *   const ledger = require('./services/ledger');
+ *   await ledger.accrueJob(job);                  // on completion and material changes
+ *   await ledger.recordPaymentCaptured(payment);
+ *   await ledger.recordRefund(refund, job);
+ *   await ledger.recordCreditGranted(credit);    // referral or goodwill credit
+ *   await ledger.recordJobPaidOutside(job);      // payout_status set to 'paid' by hand
+ *   const rows = await ledger.balances({ from, to, contractorId });
+ *
+ * Accounts (the contractor ones carry contractor_id on every line):
+ *   customer_receivables     asset      what customers owe for completed jobs
+ *   processor_clearing       asset      money held by the payment processor
+ *   processing_fees          expense    the processor's card fees
+ *   platform_revenue         revenue    what the platform keeps from each job
+ *   contractor_payable       liability  labour owed to a contractor
+ *   materials_reimbursement  liability  materials owed back to a contractor
+ *   sales_tax_payable        liability  sales tax collected for the governments
+ *   customer_discounts       expense    promo discounts and credit given to customers
+ *   customer_credit          liability  credit customers can still spend at checkout
+ *
+ * Postings (P final price less refunds, C contractor payout, M materials,
+ * all from lib/financials.js; T sales tax less tax refunded, services/tax.js):
+ *   job_accrual       Dr receivables P + T   Cr payable C, materials M, revenue P − C − M,
+ *                                            sales_tax_payable T
+ *   payment_captured  Dr clearing X − fee, Dr processing_fees fee,   Cr receivables X + D + K
+ *                     Dr customer_discounts D, Dr customer_credit K
+ *                     (X the amount charged, tax included; D the promo discount and
+ *                     K the credit spent, services/promotions.js)
+ *   credit_granted    Dr customer_discounts A                       Cr customer_credit A
+ *   refund            Dr receivables X       Cr clearing X (after re-accruing the job)
+ *   payout            Dr payable, Dr materials for each job paid     Cr clearing
+ *                     (clawbacks the payout settles are credited back to payable)
+ *
+ * An accrual posts only the difference from what the job already has on the
+ * books, so a refund or a material change is just another accrual. Every
+ * entry balances to the cent and has an idempotency key; entries are never
+ * edited. Net platform revenue is platform_revenue − processing_fees, and a
+ * contractor's payable plus materials balance is what they are owed
+ * (negative after a clawback). Discounts never touch the accrual: the
+ * contractor is owed the same on a discounted job, and what the platform
+ * gives away is the customer_discounts balance.
+ */
+
+const financials = require('../lib/financials');
+const tax = require('./tax');
+const {
+  ledger: ledgerRepo,
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  payments: paymentsRepo,
+  refunds: refundsRepo,
+  payoutAdjustments: adjustmentsRepo
+} = require('../repositories');
+
+const ACCOUNTS = {
+  CUSTOMER_RECEIVABLES: 'customer_receivables',
+  PROCESSOR_CLEARING: 'processor_clearing',
+  PROCESSING_FEES: 'processing_fees',
+  PLATFORM_REVENUE: 'platform_revenue',
+  CONTRACTOR_PAYABLE: 'contractor_payable',
+  MATERIALS_REIMBURSEMENT: 'materials_reimbursement',
+  SALES_TAX_PAYABLE: 'sales_tax_payable',
+  CUSTOMER_DISCOUNTS: 'customer_discounts',
+  CUSTOMER_CREDIT: 'customer_credit'
+};
+
+// Account → type, the side that increases it, and a display label
+const ACCOUNT_TYPES = {
+  customer_receivables: { type: 'asset', normal: 'debit', label: 'Customer receivables' },
+  processor_clearing: { type: 'asset', normal: 'debit', label: 'Processor clearing' },
+  processing_fees: { type: 'expense', normal: 'debit', label: 'Processing fees' },
+  platform_revenue: { type: 'revenue', normal: 'credit', label: 'Platform revenue' },
+  contractor_payable: { type: 'liability', normal: 'credit', label: 'Contractor payable' },
+  materials_reimbursement: { type: 'liability', normal: 'credit', label: 'Materials reimbursement' },
+  sales_tax_payable: { type: 'liability', normal: 'credit', label: 'Sales tax payable' },
+  customer_discounts: { type: 'expense', normal: 'debit', label: 'Customer discounts' },
+  customer_credit: { type: 'liability', normal: 'credit', label: 'Customer credit' }
+};
+
+const CONTRACTOR_ACCOUNTS = [ACCOUNTS.CONTRACTOR_PAYABLE, ACCOUNTS.MATERIALS_REIMBURSEMENT];
+
+const ENTRY_TYPES = {
+  JOB_ACCRUAL: 'job_accrual',
+  PAYMENT_CAPTURED: 'payment_captured',
+  REFUND: 'refund',
+  PAYOUT: 'payout',
+  CREDIT_GRANTED: 'credit_granted'
+};
+
+const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const SETTLED_JOB_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const SYSTEM_ACTOR = { role: 'system', id: 'ledger' };
+
+class LedgerError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+function jobRef(jobId) {
+  return `#${String(jobId).slice(0, 8)}`;
+}
+
+/**
+ * Balance of a sumLines() row in the account's normal direction, in cents
+ */
+function balanceCents(account, row) {
+  const debit = financials.toCents(row.debit) || 0;
+  const credit = financials.toCents(row.credit) || 0;
+  return ACCOUNT_TYPES[account].normal === 'debit' ? debit - credit : credit - debit;
+}
+
+/**
+ * Post one balanced entry
+ * @param {Object} entry - { type, key, description, jobId, contractorId, sourceType, sourceId, occurredAt, actor, meta }
+ * @param {Array<Object>} lines - { account, cents, contractorId, jobId }; cents > 0 debits, < 0 credits.
+ *   Lines on the same account, contractor and job are netted; zero lines are dropped.
+ * @returns {Promise<Object|null>} The entry with its lines (duplicate: true when its key was
+ *   posted before), or null when nothing is left to post
+ * @throws {LedgerError} Unknown account, fractional cents or lines that do not balance
+ */
+async function postEntry(entry, lines) {
+  const merged = new Map();
+  lines.forEach(line => {
+    if (!ACCOUNT_TYPES[line.account]) {
+      throw new LedgerError(`Unknown ledger account: ${line.account}`);
+    }
+    if (!Number.isInteger(line.cents)) {
+      throw new LedgerError(`Ledger amounts must be whole cents (${line.account})`);
+    }
+    const contractorId = line.contractorId ?? null;
+    const jobId = line.jobId ?? null;
+    const key = [line.account, contractorId ?? '', jobId ?? ''].join('|');
+    const current = merged.get(key) || { account: line.account, contractorId, jobId, cents: 0 };
+    current.cents += line.cents;
+    merged.set(key, current);
+  });
+  const kept = [...merged.values()].filter(line => line.cents !== 0);
+  const imbalance = kept.reduce((sum, line) => sum + line.cents, 0);
+  if (imbalance !== 0) {
+    throw new LedgerError(`Ledger entry ${entry.key} is out of balance by ${imbalance} cents`);
+  }
+  if (!kept.length) return null;
+
+  const { entry: saved, duplicate } = await ledgerRepo.post({
+    entry_type: entry.type,
+    description: entry.description || null,
+    job_id: entry.jobId || null,
+    contractor_id: entry.contractorId || null,
+    source_type: entry.sourceType || null,
+    source_id: entry.sourceId ? String(entry.sourceId) : null,
+    idempotency_key: entry.key,
+    currency: financials.CURRENCY,
+    actor: entry.actor || SYSTEM_ACTOR,
+    meta: entry.meta || null,
+    occurred_at: entry.occurredAt ? new Date(entry.occurredAt) : new Date()
+  }, kept.map(line => ({
+    account: line.account,
+    contractor_id: line.contractorId,
+    job_id: line.jobId,
+    debit: line.cents > 0 ? financials.toDollars(line.cents) : 0,
+    credit: line.cents < 0 ? financials.toDollars(-line.cents) : 0,
+    currency: financials.CURRENCY
+  })));
+  return { ...saved, duplicate };
+}
+
+async function withTier(job) {
+  if (job.contractor_tier || job.contractorTier || !job.contractor_id) return job;
+  const contractor = await contractorsRepo.findById(job.contractor_id);
+  return financials.attachContractorTier([job], contractor ? [contractor] : [])[0];
+}
+
+/**
+ * What a completed job should have on the books, in cents per account.
+ * Materials stay owed to the contractor after a refund; a refund larger
+ * than the labour share comes out of platform revenue. Sales tax is owed
+ * on to the governments, less what was refunded.
+ */
+function accrualTarget(job) {
+  const amounts = financials.jobFinancials(job);
+  if (!amounts.cents) return null;
+  const { final_price: price, refunded, material_fees: materials, contractor_payout: payout } = amounts.cents;
+  const { taxCents, refundedTaxCents } = tax.jobTaxCents(job);
+  const charged = price - refunded;
+  const salesTax = taxCents - refundedTaxCents;
+  return {
+    [ACCOUNTS.CUSTOMER_RECEIVABLES]: charged + salesTax,
+    [ACCOUNTS.CONTRACTOR_PAYABLE]: payout,
+    [ACCOUNTS.MATERIALS_REIMBURSEMENT]: materials,
+    [ACCOUNTS.PLATFORM_REVENUE]: charged - payout - materials,
+    [ACCOUNTS.SALES_TAX_PAYABLE]: salesTax
+  };
+}
+
+/**
+ * Bring a completed job's accrual in line with its current amounts
+ * @param {Object} job - Job row
+ * @param {Object} [options] - { occurredAt, actor, reason }
+ * @returns {Promise<Object|null>} The accrual entry, or null when nothing changed
+ */
+async function accrueJob(job, { occurredAt, actor, reason = 'completed' } = {}) {
+  if (!job || job.status !== 'completed') return null;
+  const target = accrualTarget(await withTier(job));
+  if (!target) return null;
+
+  const posted = await ledgerRepo.sumLines({ jobId: job.id, entryType: ENTRY_TYPES.JOB_ACCRUAL }, ['account']);
+  const lines = Object.keys(target).map(account => {
+    const row = posted.find(r => r.account === account);
+    const delta = target[account] - (row ? balanceCents(account, row) : 0);
+    return {
+      account,
+      cents: ACCOUNT_TYPES[account].normal === 'debit' ? delta : -delta,
+      jobId: job.id,
+      contractorId: CONTRACTOR_ACCOUNTS.includes(account) ? job.contractor_id : null
+    };
+  });
+  if (lines.every(line => line.cents === 0)) return null;
+
+  // Numbered so that a job can return to an earlier set of amounts
+  const previous = await ledgerRepo.listEntries({ jobId: job.id, entryType: ENTRY_TYPES.JOB_ACCRUAL });
+  return postEntry({
+    type: ENTRY_TYPES.JOB_ACCRUAL,
+    key: `job:${job.id}:accrual:${previous.length + 1}`,
+    description: `Job ${jobRef(job.id)} ${previous.length ? 're-accrued' : 'completed'}`,
+    jobId: job.id,
+    contractorId: job.contractor_id,
+    sourceType: 'job',
+    sourceId: job.id,
+    occurredAt,
+    actor,
+    meta: { reason }
+  }, lines);
+}
+
+function captureLines(jobId, cents, { discountCents = 0, creditCents = 0 } = {}) {
+  const fee = financials.calculate({ finalPriceCents: cents }).stripe_fee;
+  return [
+    { account: ACCOUNTS.PROCESSOR_CLEARING, cents: cents - fee, jobId },
+    { account: ACCOUNTS.PROCESSING_FEES, cents: fee, jobId },
+    { account: ACCOUNTS.CUSTOMER_DISCOUNTS, cents: discountCents, jobId },
+    { account: ACCOUNTS.CUSTOMER_CREDIT, cents: creditCents, jobId },
+    { account: ACCOUNTS.CUSTOMER_RECEIVABLES, cents: -(cents + discountCents + creditCents), jobId }
+  ];
+}
+
+/**
+ * Record a customer payment the processor has captured, with the promo
+ * discount and credit that came off it
+ * @param {Object} payment - Payment row (completed or later)
+ * @param {Object} [options] - { occurredAt }
+ */
+async function recordPaymentCaptured(payment, { occurredAt } = {}) {
+  if (!payment || !SETTLED_PAYMENT_STATUSES.includes(payment.status)) return null;
+  const cents = financials.toCents(payment.amount) || 0;
+  if (cents <= 0) return null;
+  return postEntry({
+    type: ENTRY_TYPES.PAYMENT_CAPTURED,
+    key: `payment:${payment.id}:captured`,
+    description: `Customer payment for job ${jobRef(payment.job_id)}`,
+    jobId: payment.job_id,
+    sourceType: 'payment',
+    sourceId: payment.id,
+    occurredAt: occurredAt || payment.paid_at,
+    meta: { provider: payment.provider || null, transaction_id: payment.transaction_id || null }
+  }, captureLines(payment.job_id, cents, {
+    discountCents: financials.toCents(payment.discount_amount) || 0,
+    creditCents: financials.toCents(payment.credit_amount) || 0
+  }));
+}
+
+/**
+ * Record credit given to a customer (a referral reward or a goodwill grant):
+ * the platform's cost now, a balance the customer can spend later
+ * @param {Object} credit - customer_credits row with a positive amount
+ */
+async function recordCreditGranted(credit) {
+  const cents = financials.toCents(credit?.amount) || 0;
+  if (cents <= 0) return null;
+  return postEntry({
+    type: ENTRY_TYPES.CREDIT_GRANTED,
+    key: `credit:${credit.id}`,
+    description: `${credit.kind === 'referral' ? 'Referral' : 'Goodwill'} credit for a customer`,
+    jobId: credit.job_id || null,
+    sourceType: 'customer_credit',
+    sourceId: credit.id,
+    occurredAt: credit.created_at,
+    actor: credit.created_by || undefined,
+    meta: { customer_id: credit.customer_id, kind: credit.kind }
+  }, [
+    { account: ACCOUNTS.CUSTOMER_DISCOUNTS, cents, jobId: credit.job_id || null },
+    { account: ACCOUNTS.CUSTOMER_CREDIT, cents: -cents, jobId: credit.job_id || null }
+  ]);
+}
+
+/**
+ * Record a succeeded refund: re-accrue the job at its reduced price, then
+ * return the money from the processor
+ * @param {Object} refund - Refund row (succeeded)
+ * @param {Object|null} job - The job with refunded_amount already updated
+ */
+async function recordRefund(refund, job) {
+  if (job) {
+    await accrueJob(job, { occurredAt: refund.succeeded_at, reason: 'refund' });
+  }
+  const cents = financials.toCents(refund.amount) || 0;
+  if (cents <= 0) return null;
+  return postEntry({
+    type: ENTRY_TYPES.REFUND,
+    key: `refund:${refund.id}`,
+    description: `Refund on job ${jobRef(refund.job_id)}`,
+    jobId: refund.job_id,
+    sourceType: 'refund',
+    sourceId: refund.id,
+    occurredAt: refund.succeeded_at,
+    meta: { payment_id: refund.payment_id, reason_code: refund.reason_code }
+  }, [
+    { account: ACCOUNTS.CUSTOMER_RECEIVABLES, cents, jobId: refund.job_id },
+    { account: ACCOUNTS.PROCESSOR_CLEARING, cents: -cents, jobId: refund.job_id }
+  ]);
+}
+
+/**
+ * What the books say contractors are owed, per contractor and job, in cents
+ * @param {Object} [filters] - { contractorId }
+ * @returns {Promise<Map<string, Map<string, { payable, materials }>>>} contractor id → job id
+ *   ('' for lines not tied to a job) → balances
+ */
+async function owedByJob({ contractorId } = {}) {
+  const rows = await ledgerRepo.sumLines(
+    { accounts: CONTRACTOR_ACCOUNTS, contractorId },
+    ['contractor_id', 'job_id', 'account']
+  );
+  const owed = new Map();
+  rows.forEach(row => {
+    const contractorKey = String(row.contractor_id ?? '');
+    const jobKey = String(row.job_id ?? '');
+    if (!owed.has(contractorKey)) owed.set(contractorKey, new Map());
+    const jobs = owed.get(contractorKey);
+    const current = jobs.get(jobKey) || { payable: 0, materials: 0 };
+    const field = row.account === ACCOUNTS.CONTRACTOR_PAYABLE ? 'payable' : 'materials';
+    current[field] += balanceCents(row.account, row);
+    jobs.set(jobKey, current);
+  });
+  return owed;
+}
+
+/**
+ * Split a contractor's balances into what can be paid out now
+ * @param {Map<string, { payable, materials }>} jobs - One contractor's entry from owedByJob()
+ * @param {Array<string>} readyJobIds - Jobs whose customer payment is in
+ * @returns {{ gross, materials, adjustments, net, outstanding }} Cents. Negative balances on
+ *   any job (clawbacks) come off the labour; materials are paid in full.
+ */
+function payableNow(jobs = new Map(), readyJobIds = []) {
+  const ready = new Set(readyJobIds.map(String));
+  let gross = 0;
+  let materials = 0;
+  let adjustments = 0;
+  let outstanding = 0;
+  jobs.forEach((balance, jobId) => {
+    outstanding += balance.payable + balance.materials;
+    if (balance.payable < 0) adjustments += balance.payable;
+    if (ready.has(jobId)) {
+      gross += Math.max(0, balance.payable);
+      materials += Math.max(0, balance.materials);
+    }
+  });
+  return { gross, materials, adjustments, net: Math.max(0, gross + adjustments) + materials, outstanding };
+}
+
+/**
+ * Record money sent to a contractor
+ * @param {Object} payout - { payoutId, contractorId, jobIds, owed (that contractor's owedByJob() map),
+ *   applied (adjustments settled), carriedForward (adjustment or null), amountCents, actor }
+ */
+async function recordPayout({ payoutId, contractorId, jobIds, owed, applied = [], carriedForward = null, amountCents, actor }) {
+  const lines = [];
+  jobIds.forEach(jobId => {
+    const balance = owed.get(String(jobId)) || { payable: 0, materials: 0 };
+    lines.push(
+      { account: ACCOUNTS.CONTRACTOR_PAYABLE, cents: Math.max(0, balance.payable), contractorId, jobId },
+      { account: ACCOUNTS.MATERIALS_REIMBURSEMENT, cents: Math.max(0, balance.materials), contractorId, jobId }
+    );
+  });
+  // Clawbacks are negative; settling one credits payable back up to zero
+  applied.forEach(adjustment => {
+    lines.push({
+      account: ACCOUNTS.CONTRACTOR_PAYABLE,
+      cents: financials.toCents(adjustment.amount) || 0,
+      contractorId,
+      jobId: adjustment.job_id || null
+    });
+  });
+  // What the payout could not absorb stays owed, no longer tied to a job
+  if (carriedForward) {
+    lines.push({
+      account: ACCOUNTS.CONTRACTOR_PAYABLE,
+      cents: -(financials.toCents(carriedForward.amount) || 0),
+      contractorId,
+      jobId: null
+    });
+  }
+  lines.push({ account: ACCOUNTS.PROCESSOR_CLEARING, cents: -amountCents });
+
+  return postEntry({
+    type: ENTRY_TYPES.PAYOUT,
+    key: `payout:${payoutId}`,
+    description: `Payout to contractor for ${jobIds.length} job${jobIds.length === 1 ? '' : 's'}`,
+    contractorId,
+    sourceType: 'payout',
+    sourceId: payoutId,
+    actor,
+    meta: { job_ids: jobIds, adjustment_ids: applied.map(adjustment => adjustment.id) }
+  }, lines);
+}
+
+/**
+ * Record that a job's contractor was paid outside a payout batch (a job
+ * marked paid by hand, or paid before the ledger existed): they were settled
+ * for the job in full, less any clawback on it that is still pending
+ * @param {Object} job - Job row with payout_status 'paid'
+ * @param {Object} [options] - { actor, reason }
+ * @returns {Promise<Object|null>} The payout entry; null when the job already has one
+ */
+async function recordJobPaidOutside(job, { actor, reason = 'marked_paid' } = {}) {
+  if (!job || job.payout_status !== 'paid' || !job.contractor_id) return null;
+  const paidOut = await ledgerRepo.sumLines({ jobId: job.id, entryType: ENTRY_TYPES.PAYOUT }, ['account']);
+  if (paidOut.some(row => (financials.toCents(row.debit) || 0) > 0)) return null;
+
+  const owed = (await owedByJob({ contractorId: job.contractor_id })).get(String(job.contractor_id)) || new Map();
+  const balance = owed.get(String(job.id)) || { payable: 0, materials: 0 };
+  const pending = await adjustmentsRepo.list({ jobId: job.id, status: 'pending' });
+  const payableCents = balance.payable - financials.sumAmountCents(pending, 'amount');
+  return postEntry({
+    type: ENTRY_TYPES.PAYOUT,
+    key: `job:${job.id}:payout`,
+    description: `Payout for job ${jobRef(job.id)} made outside the payout run`,
+    jobId: job.id,
+    contractorId: job.contractor_id,
+    sourceType: 'job',
+    sourceId: job.id,
+    occurredAt: reason === 'backfill' ? job.updated_at : undefined,
+    actor,
+    meta: { reason }
+  }, [
+    { account: ACCOUNTS.CONTRACTOR_PAYABLE, cents: payableCents, contractorId: job.contractor_id, jobId: job.id },
+    { account: ACCOUNTS.MATERIALS_REIMBURSEMENT, cents: balance.materials, contractorId: job.contractor_id, jobId: job.id },
+    { account: ACCOUNTS.PROCESSOR_CLEARING, cents: -(payableCents + balance.materials) }
+  ]);
+}
+
+/**
+ * Account balances, optionally for one contractor and/or period
+ * @param {Object} [filters] - { contractorId, from, to } (from inclusive, to exclusive)
+ * @returns {Promise<Array<{ account, type, label, debit, credit, balance }>>} Dollars;
+ *   balance is in the account's normal direction
+ */
+async function balances(filters = {}) {
+  const rows = await ledgerRepo.sumLines(filters, ['account']);
+  return Object.keys(ACCOUNT_TYPES).map(account => {
+    const row = rows.find(r => r.account === account) || { debit: 0, credit: 0 };
+    return {
+      account,
+      type: ACCOUNT_TYPES[account].type,
+      label: ACCOUNT_TYPES[account].label,
+      debit: financials.toDollars(financials.toCents(row.debit) || 0),
+      credit: financials.toDollars(financials.toCents(row.credit) || 0),
+      balance: financials.toDollars(balanceCents(account, row))
+    };
+  });
+}
+
+/**
+ * Payable and materials balances per contractor
+ * @param {Object} [filters] - { from, to }
+ * @returns {Promise<Array<{ contractor_id, payable, materials, total }>>} Dollars
+ */
+async function contractorBalances(filters = {}) {
+  const rows = await ledgerRepo.sumLines(
+    { ...filters, accounts: CONTRACTOR_ACCOUNTS },
+    ['contractor_id', 'account']
+  );
+  const byContractor = new Map();
+  rows.forEach(row => {
+    const key = String(row.contractor_id ?? '');
+    const current = byContractor.get(key) || { contractor_id: row.contractor_id ?? null, payable: 0, materials: 0 };
+    current[row.account === ACCOUNTS.CONTRACTOR_PAYABLE ? 'payable' : 'materials'] += balanceCents(row.account, row);
+    byContractor.set(key, current);
+  });
+  return [...byContractor.values()].map(balance => ({
+    contractor_id: balance.contractor_id,
+    payable: financials.toDollars(balance.payable),
+    materials: financials.toDollars(balance.materials),
+    total: financials.toDollars(balance.payable + balance.materials)
+  }));
+}
+
+/**
+ * Net platform revenue (platform_revenue − processing_fees) in cents, grouped
+ * @param {Object} [filters] - { from, to }
+ * @param {string} groupBy - 'job_id' or 'day'
+ * @returns {Promise<Map<string, number>>}
+ */
+async function netRevenueBy(filters, groupBy) {
+  const rows = await ledgerRepo.sumLines(
+    { ...filters, accounts: [ACCOUNTS.PLATFORM_REVENUE, ACCOUNTS.PROCESSING_FEES] },
+    [groupBy, 'account']
+  );
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = String(row[groupBy] ?? '');
+    const cents = balanceCents(row.account, row);
+    const signed = row.account === ACCOUNTS.PLATFORM_REVENUE ? cents : -cents;
+    totals.set(key, (totals.get(key) || 0) + signed);
+  });
+  return totals;
+}
+
+/**
+ * Sales tax owed (sales_tax_payable) in cents, grouped
+ * @param {Object} [filters] - { from, to }
+ * @param {string} groupBy - 'job_id' or 'day'
+ * @returns {Promise<Map<string, number>>}
+ */
+async function salesTaxBy(filters, groupBy) {
+  const rows = await ledgerRepo.sumLines(
+    { ...filters, accounts: [ACCOUNTS.SALES_TAX_PAYABLE] },
+    [groupBy, 'account']
+  );
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = String(row[groupBy] ?? '');
+    totals.set(key, (totals.get(key) || 0) + balanceCents(row.account, row));
+  });
+  return totals;
+}
+
+/**
+ * What discounts and credit grants cost the platform (customer_discounts) in cents, grouped
+ * @param {Object} [filters] - { from, to }
+ * @param {string} groupBy - 'job_id' or 'day'
+ * @returns {Promise<Map<string, number>>}
+ */
+async function discountCostBy(filters, groupBy) {
+  const rows = await ledgerRepo.sumLines(
+    { ...filters, accounts: [ACCOUNTS.CUSTOMER_DISCOUNTS] },
+    [groupBy, 'account']
+  );
+  const totals = new Map();
+  rows.forEach(row => {
+    const key = String(row[groupBy] ?? '');
+    totals.set(key, (totals.get(key) || 0) + balanceCents(row.account, row));
+  });
+  return totals;
+}
+
+/**
+ * Post entries for money that moved before the ledger existed. Safe to run
+ * on every start: each posting has the same key as the live one would, and
+ * accruals only post a difference.
+ * @returns {Promise<{ entries: number }>} How many entries were added
+ */
+async function backfill() {
+  let entries = 0;
+  const count = entry => { if (entry && !entry.duplicate) entries += 1; };
+
+  const contractors = await contractorsRepo.list();
+  const jobs = financials.attachContractorTier(await jobsRepo.list(), contractors);
+  const payments = await paymentsRepo.list();
+  const jobsWithPayments = new Set(payments.map(payment => String(payment.job_id)));
+
+  for (const job of jobs) {
+    count(await accrueJob(job, { occurredAt: job.completed_at || job.updated_at, reason: 'backfill' }));
+  }
+  for (const payment of payments) {
+    count(await recordPaymentCaptured(payment, { occurredAt: payment.paid_at || payment.created_at }));
+  }
+
+  // Jobs marked paid without a payment row (seed and imported data)
+  for (const job of jobs) {
+    if (job.status !== 'completed' || !SETTLED_JOB_PAYMENT_STATUSES.includes(job.payment_status)) continue;
+    if (jobsWithPayments.has(String(job.id))) continue;
+    const amounts = financials.jobFinancials(job);
+    if (!amounts.cents || amounts.cents.final_price <= 0) continue;
+    count(await postEntry({
+      type: ENTRY_TYPES.PAYMENT_CAPTURED,
+      key: `job:${job.id}:captured`,
+      description: `Customer payment for job ${jobRef(job.id)} (recorded before the ledger)`,
+      jobId: job.id,
+      sourceType: 'job',
+      sourceId: job.id,
+      occurredAt: job.completed_at || job.updated_at,
+      meta: { backfill: true }
+    }, captureLines(job.id, amounts.cents.final_price)));
+  }
+
+  for (const refund of await refundsRepo.list({ status: 'succeeded' })) {
+    count(await recordRefund(refund, null));
+  }
+
+  // Jobs paid out before the ledger
+  for (const job of jobs) {
+    count(await recordJobPaidOutside(job, { reason: 'backfill' }));
+  }
+
+  return { entries };
+}
+
+module.exports = {
+  ACCOUNTS,
+  ACCOUNT_TYPES,
+  ENTRY_TYPES,
+  LedgerError,
+  postEntry,
+  accrueJob,
+  recordPaymentCaptured,
+  recordRefund,
+  recordCreditGranted,
+  recordPayout,
+  recordJobPaidOutside,
+  owedByJob,
+  payableNow,
+  balances,
+  contractorBalances,
+  netRevenueBy,
+  salesTaxBy,
+  discountCostBy,
+  backfill
+};
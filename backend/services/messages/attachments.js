@@ -0,0 +1,82 @@
+/**
+ * Message photos on disk
+ *
+ * Usage:
+ *   const attachments = require('./services/messages/attachments');
+ *   const photo = attachments.read({ filename, dataUrl });   // null when not an accepted image
+ *   const stored = attachments.save(jobId, photo);           // { id, filename, mime, size, path }
+ *   attachments.remove(stored);
+ *
+ * Photos arrive as data URLs (like job photos) and are written under
+ * uploads/message-photos/<job id>/. Only the path is kept on the message or
+ * change order; the file is served through that thread's or job's access
+ * checks. Change order photos (change-orders.js) are stored the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..', '..', 'uploads', 'message-photos');
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+const MAX_BYTES = 1024 * 1024;
+
+function sanitizeFilename(name) {
+  return String(name || 'photo')
+    .replace(/[^a-zA-Z0-9._-]/g, '_')
+    .slice(0, 120);
+}
+
+/**
+ * A photo from the request body, or null when it is not an accepted image
+ * @param {Object} photo - { filename, dataUrl | data_url }
+ * @returns {{ filename: string, mime: string, buffer: Buffer }|null}
+ */
+function read(photo) {
+  const dataUrl = photo && (photo.dataUrl || photo.data_url);
+  const match = /^data:([^;]+);base64,(.+)$/.exec(dataUrl || '');
+  if (!match || !IMAGE_TYPES[match[1]]) return null;
+  const buffer = Buffer.from(match[2], 'base64');
+  if (!buffer.length || buffer.length > MAX_BYTES) return null;
+  return { filename: sanitizeFilename(photo.filename), mime: match[1], buffer };
+}
+
+/**
+ * Write a photo from read() and describe it for the message
+ */
+function save(jobId, photo) {
+  const id = crypto.randomUUID();
+  const jobDir = path.join(ROOT, String(jobId));
+  fs.mkdirSync(jobDir, { recursive: true });
+  const filePath = path.join(jobDir, `${id}.${IMAGE_TYPES[photo.mime]}`);
+  fs.writeFileSync(filePath, photo.buffer);
+  return { id, filename: photo.filename, mime: photo.mime, size: photo.buffer.length, path: filePath };
+}
+
+/**
+ * The stored file's path, or null when it is missing or outside the photo folder
+ */
+function resolve(attachment) {
+  if (!attachment || !attachment.path) return null;
+  const resolved = path.resolve(attachment.path);
+  if (!resolved.startsWith(ROOT + path.sep) || !fs.existsSync(resolved)) return null;
+  return resolved;
+}
+
+function remove(attachment) {
+  const resolved = resolve(attachment);
+  if (resolved) fs.rmSync(resolved, { force: true });
+}
+
+module.exports = {
+  MAX_BYTES,
+  read,
+  save,
+  resolve,
+  remove
+};
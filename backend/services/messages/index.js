@@ -0,0 +1,283 @@
+/**
+ * Job messages – one thread per job between the customer and the contractor
+ *
+ * Usage:
+ *   const messages = require('./services/messages');
+ *   const { messages: list, can_post } = await messages.thread(job, actor);
+ *   const message = await messages.send(job, actor, { body, photos });
+ *   await messages.markRead(job, actor);                  // when the thread is opened
+ *   const { total, jobs } = await messages.unreadCounts(actor);
+ *
+ * The thread belongs to the job's customer and its contractor. Before a
+ * contractor is assigned, contractors holding a live offer or a submitted
+ * quote can read it and ask questions; phone numbers and email addresses
+ * written then are masked (masking.js) and the original text is not kept.
+ * A job released back to the pool keeps its thread, so a prospect reads
+ * every message masked, including those written while it was assigned.
+ * Admins can read any thread, for disputes, but not post; each read is
+ * audited.
+ *
+ * A message is read once someone on the other side opens the thread
+ * (read_at). The thread takes replies until MESSAGE_REPLY_DAYS after the
+ * job is completed or cancelled; MESSAGE_RETENTION_DAYS after that the
+ * retention sweep (scheduler.js) clears the text and deletes the photos,
+ * unless the job is disputed.
+ */
+
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  jobMessages: messagesRepo,
+  dispatchOffers: offersRepo,
+  quotes: quotesRepo
+} = require('../../repositories');
+const { STATUSES } = require('../job-lifecycle');
+const { logEvent } = require('../audit-service');
+const masking = require('./masking');
+const attachments = require('./attachments');
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+const BODY_MAX_LENGTH = 2000;
+const MAX_PHOTOS = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = { role: 'system', id: 'messages' };
+
+class MessageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MessageError';
+    this.status = status;
+  }
+}
+
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+/**
+ * When the job was completed or cancelled, or null while it is open
+ */
+function closedAt(job) {
+  if (job.status === STATUSES.COMPLETED) return new Date(job.completed_at || job.updated_at);
+  if (job.status === STATUSES.CANCELLED) return new Date(job.cancellation?.at || job.updated_at);
+  return null;
+}
+
+function canPost(job, at = new Date()) {
+  const closed = closedAt(job);
+  return !closed || at - closed < ENV.messageReplyDays * DAY_MS;
+}
+
+// A contractor who could still take an unassigned job: a live offer or a submitted quote
+async function isProspect(job, contractorId, at) {
+  const offers = await offersRepo.list({ jobId: job.id, contractorId, statuses: ['offered'] });
+  if (offers.some(offer => new Date(offer.expires_at) > at)) return true;
+  const quotes = await quotesRepo.list({ jobId: job.id, contractorId, statuses: ['submitted'] });
+  return quotes.length > 0;
+}
+
+/**
+ * The side the actor reads the thread from: customer, contractor or admin
+ * @throws {MessageError} 403 when they have no part in the job
+ */
+async function sideOf(job, actor, at = new Date()) {
+  if (ADMIN_ROLES.includes(actor?.role)) return 'admin';
+  if (actor?.role === 'customer' && sameId(job.customer_id, actor.id)) return 'customer';
+  if (actor?.role === 'contractor') {
+    if (sameId(job.contractor_id, actor.id)) return 'contractor';
+    if (!job.contractor_id && await isProspect(job, actor.id, at)) return 'contractor';
+  }
+  throw new MessageError('Not a participant in this job', 403);
+}
+
+// The message as the API shows it: photos as URLs instead of paths, and
+// contact details masked for a contractor who does not hold the job
+function present(message, actor, { mask = false } = {}) {
+  const body = mask && message.body && !message.masked ? masking.mask(message.body) : null;
+  return {
+    id: message.id,
+    job_id: message.job_id,
+    sender_role: message.sender_role,
+    mine: message.sender_role === actor.role && sameId(message.sender_id, actor.id),
+    body: body ? body.text : message.body,
+    attachments: (message.attachments || []).map(({ id, filename, mime, size }) => ({
+      id,
+      filename,
+      mime,
+      size,
+      url: `/api/jobs/${message.job_id}/messages/${message.id}/attachments/${id}`
+    })),
+    masked: Boolean(message.masked || body?.masked),
+    read_at: message.read_at || null,
+    purged: Boolean(message.purged_at),
+    created_at: message.created_at
+  };
+}
+
+/**
+ * The job's messages, oldest first
+ * @returns {Promise<{ side: string, can_post: boolean, masking: boolean, messages: Array<Object> }>}
+ * @throws {MessageError} 403 for non-participants
+ */
+async function thread(job, actor, at = new Date()) {
+  const side = await sideOf(job, actor, at);
+  const list = await messagesRepo.list({ jobId: job.id });
+  if (side === 'admin') {
+    await logEvent({
+      action: 'job.messages_viewed',
+      entity_type: 'job',
+      entity_id: job.id,
+      actor,
+      meta: { messages: list.length }
+    });
+  }
+  const prospect = side === 'contractor' && !job.contractor_id;
+  return {
+    side,
+    can_post: side !== 'admin' && canPost(job, at),
+    masking: !job.contractor_id,
+    messages: list.map(message => present(message, actor, { mask: prospect }))
+  };
+}
+
+/**
+ * Post a message with up to MAX_PHOTOS photos
+ * @param {Object} input - { body, photos: [{ filename, dataUrl }] }
+ * @throws {MessageError} 400 bad input, 403 not a participant or an admin, 409 thread closed
+ */
+async function send(job, actor, { body, photos } = {}, at = new Date()) {
+  const side = await sideOf(job, actor, at);
+  if (side === 'admin') {
+    throw new MessageError('Admins can read job messages but not post them', 403);
+  }
+  if (!canPost(job, at)) {
+    throw new MessageError('This job is closed to new messages', 409);
+  }
+
+  const text = body === undefined || body === null ? '' : String(body).trim();
+  if (text.length > BODY_MAX_LENGTH) {
+    throw new MessageError(`Messages can be at most ${BODY_MAX_LENGTH} characters`);
+  }
+  const photoList = photos === undefined || photos === null ? [] : photos;
+  if (!Array.isArray(photoList) || photoList.length > MAX_PHOTOS) {
+    throw new MessageError(`photos must be a list of at most ${MAX_PHOTOS} photos`);
+  }
+  const images = photoList.map(attachments.read);
+  if (images.some(image => !image)) {
+    throw new MessageError(`Photos must be JPEG, PNG, WebP or GIF images of at most ${attachments.MAX_BYTES / (1024 * 1024)} MB`);
+  }
+  if (!text && !images.length) {
+    throw new MessageError('Write a message or attach a photo');
+  }
+
+  const { text: safeText, masked } = job.contractor_id ? { text, masked: false } : masking.mask(text);
+  const message = await messagesRepo.create({
+    job_id: job.id,
+    sender_role: side,
+    sender_id: actor.id,
+    body: safeText || null,
+    attachments: images.map(image => attachments.save(job.id, image)),
+    masked
+  });
+  await logEvent({
+    action: 'job.message_sent',
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    after: { message_id: message.id, photos: images.length, masked }
+  });
+  return present(message, actor);
+}
+
+/**
+ * Mark what the other side has sent so far as read (admins leave it unread)
+ * @returns {Promise<{ marked: number }>}
+ */
+async function markRead(job, actor, at = new Date()) {
+  const side = await sideOf(job, actor, at);
+  if (side === 'admin') return { marked: 0 };
+  const other = side === 'customer' ? 'contractor' : 'customer';
+  return { marked: await messagesRepo.markRead(job.id, other, at) };
+}
+
+/**
+ * A photo's file, once the actor's access to the thread is checked
+ * @returns {Promise<{ path: string, mime: string, filename: string }>}
+ * @throws {MessageError} 403, or 404 when the photo is unknown or deleted
+ */
+async function attachment(job, actor, messageId, attachmentId) {
+  await sideOf(job, actor);
+  const message = await messagesRepo.findById(messageId);
+  const found = message && sameId(message.job_id, job.id)
+    ? (message.attachments || []).find(item => sameId(item.id, attachmentId))
+    : null;
+  const filePath = attachments.resolve(found);
+  if (!filePath) {
+    throw new MessageError('Photo not found', 404);
+  }
+  return { path: filePath, mime: found.mime, filename: found.filename };
+}
+
+/**
+ * Unread messages from the other side, per job, for a customer or contractor
+ * @returns {Promise<{ total: number, jobs: Object }>} jobs: { [jobId]: count }
+ */
+async function unreadCounts(actor, at = new Date()) {
+  let jobIds;
+  if (actor.role === 'customer') {
+    jobIds = (await jobsRepo.list({ customerId: actor.id })).map(job => job.id);
+  } else {
+    const held = (await jobsRepo.list({ contractorId: actor.id })).map(job => job.id);
+    const offered = (await offersRepo.list({ contractorId: actor.id, statuses: ['offered'] }))
+      .filter(offer => new Date(offer.expires_at) > at)
+      .map(offer => offer.job_id);
+    const quoted = (await quotesRepo.list({ contractorId: actor.id, statuses: ['submitted'] }))
+      .map(quote => quote.job_id);
+    jobIds = [...new Set([...held, ...offered, ...quoted].map(String))];
+  }
+  const counts = await messagesRepo.unreadCounts(jobIds, actor.role === 'customer' ? 'contractor' : 'customer');
+  return {
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    jobs: counts
+  };
+}
+
+/**
+ * Clear the text and photos of threads past MESSAGE_RETENTION_DAYS
+ * (nothing when it is 0); disputed jobs are kept
+ * @returns {Promise<{ jobs: number, messages: number }>}
+ */
+async function purgeExpired(at = new Date()) {
+  const summary = { jobs: 0, messages: 0 };
+  if (!ENV.messageRetentionDays) return summary;
+  for (const jobId of await messagesRepo.listJobIdsWithUnpurged()) {
+    const job = await jobsRepo.findById(jobId);
+    const closed = job ? closedAt(job) : null;
+    if (!closed || job.has_dispute || at - closed < ENV.messageRetentionDays * DAY_MS) continue;
+
+    const expired = await messagesRepo.list({ jobId, unpurged: true });
+    expired.forEach(message => (message.attachments || []).forEach(attachments.remove));
+    const purged = await messagesRepo.purgeForJob(jobId, at);
+    await logEvent({
+      action: 'job.messages_purged',
+      entity_type: 'job',
+      entity_id: jobId,
+      actor: SYSTEM_ACTOR,
+      reason: `Retention: ${ENV.messageRetentionDays} days after the job closed`,
+      meta: { messages: purged }
+    });
+    summary.jobs += 1;
+    summary.messages += purged;
+  }
+  return summary;
+}
+
+module.exports = {
+  MessageError,
+  thread,
+  send,
+  markRead,
+  attachment,
+  unreadCounts,
+  purgeExpired
+};
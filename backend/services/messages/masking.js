@@ -0,0 +1,51 @@
+/**
+ * Contact masking – takes phone numbers and email addresses out of message text
+ *
+ * Usage:
+ *   const masking = require('./services/messages/masking');
+ *   const { text, masked } = masking.mask('Call me on 416-555-0123');
+ *   // text: 'Call me on [phone hidden]', masked: true
+ *
+ * Used on messages written before a contractor is assigned, so neither side
+ * can take the job off the platform first. Emails are caught with '@' or
+ * written as '(at)' / '[at]'. Phone numbers are runs of digits, spaces,
+ * dots, dashes and brackets with at least 10 digits, or a local 555-0123.
+ * Numbers spelled out in words are not caught.
+ */
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+\s*(?:@|\(at\)|\[at\])\s*[A-Z0-9-]+(?:(?:\.|\s*(?:\(dot\)|\[dot\])\s*)[A-Z0-9-]+)+/gi;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const LOCAL_PHONE_PATTERN = /^\d{3}[\s.-]\d{4}$/;
+const MIN_PHONE_DIGITS = 10;
+
+const EMAIL_MASK = '[email hidden]';
+const PHONE_MASK = '[phone hidden]';
+
+function isPhoneNumber(candidate) {
+  const digits = candidate.replace(/\D/g, '').length;
+  return digits >= MIN_PHONE_DIGITS || LOCAL_PHONE_PATTERN.test(candidate.trim());
+}
+
+/**
+ * The text with contact details replaced, and whether anything was
+ * @param {string} text
+ * @returns {{ text: string, masked: boolean }}
+ */
+function mask(text) {
+  let masked = false;
+  const result = String(text ?? '')
+    .replace(EMAIL_PATTERN, () => {
+      masked = true;
+      return EMAIL_MASK;
+    })
+    .replace(PHONE_PATTERN, candidate => {
+      if (!isPhoneNumber(candidate)) return candidate;
+      masked = true;
+      return PHONE_MASK;
+    });
+  return { text: result, masked };
+}
+
+module.exports = {
+  mask
+};
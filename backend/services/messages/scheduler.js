@@ -0,0 +1,53 @@
+/**
+ * Message retention scheduler – clears old threads without anyone watching
+ *
+ * Usage:
+ *   const scheduler = require('./services/messages/scheduler');
+ *   scheduler.start(logger);                               // on server start
+ *
+ * Runs messages.purgeExpired() on start and every few hours after. Does
+ * nothing when MESSAGE_RETENTION_DAYS is 0.
+ */
+
+const ENV = require('../../config/env');
+const messages = require('./index');
+
+const INTERVAL_HOURS = 6;
+
+let timer = null;
+let running = false;
+
+async function tick(logger) {
+  if (running) return;
+  running = true;
+  try {
+    const summary = await messages.purgeExpired();
+    if (summary.messages) {
+      logger.info(summary, 'Job messages past retention cleared');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Message retention sweep failed');
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Sweep now and then every INTERVAL_HOURS (does nothing when MESSAGE_RETENTION_DAYS is 0)
+ */
+function start(logger) {
+  if (timer || !ENV.messageRetentionDays) return;
+  timer = setInterval(() => tick(logger), INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  tick(logger);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  start,
+  stop
+};
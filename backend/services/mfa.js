@@ -0,0 +1,351 @@
+/**
+ * MFA – TOTP two-factor authentication for admin and super admin accounts
+ *
+ * Usage:
+ *   const mfa = require('./services/mfa');
+ *   const { otpauthUrl, qrCode } = await mfa.startEnrollment(admin);
+ *   const { recoveryCodes } = await mfa.confirmEnrollment(admin, '123456');
+ *   await mfa.verify(admin, { code: '654321' });          // or { recoveryCode }
+ *
+ * Codes follow RFC 6238 (HMAC-SHA1, 30 second steps, 6 digits), so any
+ * authenticator app works. Secrets are stored AES-256-GCM encrypted and
+ * recovery codes as SHA-256 hashes. The last accepted time step is kept on
+ * the admin row so a code cannot be used twice.
+ *
+ * Password login hands out a short-lived "mfa_pending" token instead of a
+ * session while a second factor is outstanding; authenticateToken ignores
+ * those, and only routes/mfa.js accepts them.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const ENV = require('../config/env');
+const { admins, platformSettings } = require('../repositories');
+
+const ISSUER = 'FirstClick';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are still accepted (clock drift)
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_SCOPE = 'mfa_pending';
+const MFA_TOKEN_TTL = '5m';
+const POLICY_KEY = 'mfa_required_roles';
+const MFA_ROLES = ['admin', 'super_admin'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(ENV.mfaEncryptionKey || `mfa:${ENV.jwtSecret}`)
+  .digest();
+
+class MfaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MfaError';
+    this.status = status;
+  }
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * TOTP code for a base32 secret at a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Math.floor(unixSeconds / 30)
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Time step `code` is valid for, or null
+ */
+function matchStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+  const step = currentStep(now);
+  for (let offset = -WINDOW; offset <= WINDOW; offset += 1) {
+    if (safeEqual(generateCode(secret, step + offset), normalized)) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function newRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code), used_at: null }))
+  };
+}
+
+function isEnabled(admin) {
+  return Boolean(admin && admin.mfa_enabled_at && admin.mfa_secret);
+}
+
+/**
+ * Roles that must use 2FA (superadmin setting, empty by default)
+ * @returns {Promise<string[]>}
+ */
+async function getRequiredRoles() {
+  const roles = await platformSettings.get(POLICY_KEY);
+  return Array.isArray(roles) ? roles.filter(role => MFA_ROLES.includes(role)) : [];
+}
+
+/**
+ * Replace the list of roles that must use 2FA
+ * @param {string[]} roles - Subset of admin, super_admin
+ * @param {string} [updatedBy] - Admin id
+ */
+async function setRequiredRoles(roles, updatedBy = null) {
+  if (!Array.isArray(roles) || roles.some(role => !MFA_ROLES.includes(role))) {
+    throw new MfaError(`required_roles must be a list drawn from: ${MFA_ROLES.join(', ')}`);
+  }
+  const unique = [...new Set(roles)];
+  await platformSettings.set(POLICY_KEY, unique, updatedBy);
+  return unique;
+}
+
+async function isRequired(role) {
+  return (await getRequiredRoles()).includes(role);
+}
+
+/**
+ * Short-lived token proving the password step of an admin login
+ * @param {Object} admin - Admin row
+ * @param {string} role - Resolved login role (admin or super_admin)
+ */
+function signMfaToken(admin, role) {
+  return jwt.sign({ id: admin.id, role, email: admin.email, scope: MFA_SCOPE }, ENV.jwtSecret, {
+    expiresIn: MFA_TOKEN_TTL
+  });
+}
+
+/**
+ * @returns {{ id, role, email }} Payload of a valid mfa_pending token
+ */
+function verifyMfaToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), ENV.jwtSecret);
+    if (payload.scope !== MFA_SCOPE) throw new Error('Wrong token scope');
+    return payload;
+  } catch (error) {
+    throw new MfaError('Your sign-in has expired. Please start again.', 401);
+  }
+}
+
+/**
+ * Generate a new secret and park it until confirmEnrollment
+ * @param {Object} admin - Admin row
+ * @returns {Promise<{ secret, otpauthUrl, qrCode }>} qrCode is a PNG data URL
+ */
+async function startEnrollment(admin) {
+  if (isEnabled(admin)) {
+    throw new MfaError('Two-factor authentication is already enabled', 409);
+  }
+  const secret = base32Encode(crypto.randomBytes(20));
+  await admins.update(admin.id, { mfa_pending_secret: encryptSecret(secret) });
+
+  const label = encodeURIComponent(`${ISSUER}:${admin.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Turn 2FA on once the admin proves their app produces codes for the pending secret
+ * @returns {Promise<{ recoveryCodes: string[] }>} Shown once; only hashes are kept
+ */
+async function confirmEnrollment(admin, code) {
+  if (isEnabled(admin)) {
+    throw new MfaError('Two-factor authentication is already enabled', 409);
+  }
+  if (!admin.mfa_pending_secret) {
+    throw new MfaError('Start enrollment first');
+  }
+  const secret = decryptSecret(admin.mfa_pending_secret);
+  const step = matchStep(secret, code);
+  if (step === null) {
+    throw new MfaError('Invalid authentication code', 401);
+  }
+
+  const { codes, stored } = newRecoveryCodes();
+  await admins.update(admin.id, {
+    mfa_secret: admin.mfa_pending_secret,
+    mfa_pending_secret: null,
+    mfa_enabled_at: new Date(),
+    mfa_recovery_codes: stored,
+    mfa_last_step: step
+  });
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Check a second factor: an authenticator code or an unused recovery code
+ * @param {Object} admin - Admin row with 2FA enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<{ method: string, recoveryCodesRemaining: number }>}
+ */
+async function verify(admin, { code, recoveryCode } = {}) {
+  if (!isEnabled(admin)) {
+    throw new MfaError('Two-factor authentication is not enabled');
+  }
+  const saved = Array.isArray(admin.mfa_recovery_codes) ? admin.mfa_recovery_codes : [];
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const match = saved.find(entry => !entry.used_at && safeEqual(entry.hash, hash));
+    if (!match) {
+      throw new MfaError('Invalid recovery code', 401);
+    }
+    const remaining = saved.map(entry => (entry === match ? { ...entry, used_at: new Date() } : entry));
+    await admins.update(admin.id, { mfa_recovery_codes: remaining });
+    return {
+      method: 'recovery_code',
+      recoveryCodesRemaining: remaining.filter(entry => !entry.used_at).length
+    };
+  }
+
+  const step = matchStep(decryptSecret(admin.mfa_secret), code);
+  if (step === null || !(await admins.recordMfaStep(admin.id, step))) {
+    throw new MfaError('Invalid authentication code', 401);
+  }
+  return {
+    method: 'totp',
+    recoveryCodesRemaining: saved.filter(entry => !entry.used_at).length
+  };
+}
+
+/**
+ * Replace every recovery code (the old ones stop working)
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(admin) {
+  const { codes, stored } = newRecoveryCodes();
+  await admins.update(admin.id, { mfa_recovery_codes: stored });
+  return codes;
+}
+
+/**
+ * Remove an admin's 2FA enrollment (self-service disable or superadmin reset)
+ */
+async function reset(adminId) {
+  return admins.update(adminId, {
+    mfa_secret: null,
+    mfa_pending_secret: null,
+    mfa_enabled_at: null,
+    mfa_recovery_codes: [],
+    mfa_last_step: null
+  });
+}
+
+/**
+ * 2FA state safe to show the admin or the superadmin console
+ */
+async function status(admin, role) {
+  const saved = Array.isArray(admin.mfa_recovery_codes) ? admin.mfa_recovery_codes : [];
+  return {
+    enabled: isEnabled(admin),
+    enabled_at: admin.mfa_enabled_at || null,
+    required: await isRequired(role || admin.role),
+    recovery_codes_remaining: saved.filter(entry => !entry.used_at).length
+  };
+}
+
+module.exports = {
+  MFA_ROLES,
+  MFA_SCOPE,
+  MfaError,
+  generateCode,
+  isEnabled,
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequired,
+  signMfaToken,
+  verifyMfaToken,
+  startEnrollment,
+  confirmEnrollment,
+  verify,
+  regenerateRecoveryCodes,
+  reset,
+  status
+};
@@ -0,0 +1,20 @@
+/**
+ * Email channel – through email-service.js (SMTP, or the local catcher
+ * in EMAIL_MODE=console)
+ */
+
+const { sendNotificationEmail } = require('../../../email-service');
+
+async function send({ to, subject, body, locale }) {
+  const result = await sendNotificationEmail(to, { subject, message: body, lang: locale });
+  if (!result.success) {
+    throw new Error(result.error || 'The email could not be sent');
+  }
+  return { id: result.messageId || null };
+}
+
+module.exports = {
+  name: 'email',
+  mode: 'smtp',
+  send
+};
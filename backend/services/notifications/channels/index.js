@@ -0,0 +1,26 @@
+/**
+ * Notification channels, by name
+ *
+ * A channel sends one rendered notification:
+ *   send({ to, subject, body, locale }) → { id }
+ * where `to` is an email address, an E.164 phone number or a push
+ * subscription endpoint. A send that fails throws; the delivery is retried.
+ */
+
+const ENV = require('../../../config/env');
+
+const channels = {
+  email: require('./email'),
+  sms: require('./sms'),
+  push: require('./push')
+};
+
+if (ENV.isProduction) {
+  Object.values(channels)
+    .filter(channel => ['console', 'file'].includes(channel.mode))
+    .forEach(channel => {
+      console.warn(`⚠️  NOTIFY_${channel.name.toUpperCase()}_MODE=${channel.mode} in production; ${channel.name} notifications only go to the ${channel.mode === 'file' ? 'outbox file' : 'server log'}.`);
+    });
+}
+
+module.exports = channels;
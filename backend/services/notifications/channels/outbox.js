@@ -0,0 +1,23 @@
+/**
+ * File stand-in for channels without a provider: one JSON line per message
+ * in NOTIFY_OUTBOX_DIR/<channel>-outbox.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ENV = require('../../../config/env');
+
+function append(channel, message) {
+  const id = `${channel}_${crypto.randomUUID()}`;
+  fs.mkdirSync(ENV.notifyOutboxDir, { recursive: true });
+  fs.appendFileSync(
+    path.join(ENV.notifyOutboxDir, `${channel}-outbox.jsonl`),
+    `${JSON.stringify({ id, at: new Date().toISOString(), ...message })}\n`
+  );
+  return { id };
+}
+
+module.exports = {
+  append
+};
@@ -0,0 +1,24 @@
+/**
+ * Web push channel – NOTIFY_PUSH_MODE picks a stand-in
+ *
+ *   console → printed to the server log
+ *   file    → appended to NOTIFY_OUTBOX_DIR/push-outbox.jsonl
+ *
+ * `to` is the subscription's endpoint. Sending to browsers needs a push
+ * service adapter with VAPID keys, which is not written yet.
+ */
+
+const ENV = require('../../../config/env');
+const outbox = require('./outbox');
+
+async function send({ to, subject, body }) {
+  if (ENV.notifyPushMode === 'file') return outbox.append('push', { to, title: subject, body });
+  console.log(`🔔 Push to ${to}: ${subject} – ${body}`);
+  return { id: null };
+}
+
+module.exports = {
+  name: 'push',
+  mode: ENV.notifyPushMode,
+  send
+};
@@ -0,0 +1,60 @@
+/**
+ * SMS channel – NOTIFY_SMS_MODE picks Twilio or a stand-in
+ *
+ *   console → printed to the server log
+ *   file    → appended to NOTIFY_OUTBOX_DIR/sms-outbox.jsonl
+ *   twilio  → Twilio's Messages API, from TWILIO_FROM_NUMBER
+ *
+ * Phone numbers are sent in E.164; ten-digit numbers are taken as North
+ * American (+1).
+ */
+
+const ENV = require('../../../config/env');
+const outbox = require('./outbox');
+
+const TWILIO_API = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * The number in E.164 (+14165550123), or null when it cannot be one
+ */
+function toE164(phone) {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+') && digits.length >= 8 && digits.length <= 15) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+async function sendWithTwilio(to, text) {
+  const response = await fetch(`${TWILIO_API}/Accounts/${encodeURIComponent(ENV.twilioAccountSid)}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${ENV.twilioAccountSid}:${ENV.twilioAuthToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: to, From: ENV.twilioFromNumber, Body: text }).toString()
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(payload.message || `Twilio returned ${response.status}`);
+    error.code = payload.code ? `twilio_${payload.code}` : `http_${response.status}`;
+    throw error;
+  }
+  return { id: payload.sid || null };
+}
+
+async function send({ to, body }) {
+  const text = `FirstClick: ${body}`;
+  if (ENV.notifySmsMode === 'twilio') return sendWithTwilio(to, text);
+  if (ENV.notifySmsMode === 'file') return outbox.append('sms', { to, text });
+  console.log(`📱 SMS to ${to}: ${text}`);
+  return { id: null };
+}
+
+module.exports = {
+  name: 'sms',
+  mode: ENV.notifySmsMode,
+  toE164,
+  send
+};
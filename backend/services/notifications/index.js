@@ -0,0 +1,383 @@
+/**
+ * Notifications – tell customers and contractors about their jobs, payments,
+ * payouts and documents by email, SMS and web push
+ *
+ * Usage:
+ *   const notifications = require('./services/notifications');
+ *   await notifications.jobTransitioned(job, event);     // from the job lifecycle
+ *   await notifications.paymentReceived(payment);
+ *   await notifications.payoutSent(line);
+ *   await notifications.remindExpiringDocuments();       // daily, from scheduler.js
+ *   await notifications.deliverDue();                    // retries, from scheduler.js
+ *
+ * notify() renders an event in the recipient's locale (templates.js) and
+ * writes one delivery per channel they chose for it (preferences.js), one
+ * per device for push. Deliveries due now are sent straight away; SMS and
+ * push in the recipient's quiet hours wait for them to end, or are skipped
+ * for events that would be stale by then. A failed send is retried after
+ * NOTIFY_RETRY_SECONDS, doubling each time, until NOTIFY_MAX_ATTEMPTS.
+ * Channels without an address (no phone number, no push device) are
+ * logged as skipped, so the delivery log shows why nothing went out.
+ *
+ * Notifying never fails the action that caused it: errors are logged.
+ */
+
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  customers: customersRepo,
+  contractors: contractorsRepo,
+  pushSubscriptions: subscriptionsRepo,
+  notificationDeliveries: deliveriesRepo
+} = require('../../repositories');
+const { logEvent } = require('../audit-service');
+const calendar = require('../scheduling/calendar');
+const channels = require('./channels');
+const preferences = require('./preferences');
+const quietHours = require('./quiet-hours');
+const templates = require('./templates');
+const { QUIET_CHANNELS, EVENT_TYPES, NotificationError } = require('./shared');
+
+const STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+const ASSIGN_EVENTS = ['assign', 'accept_quote', 'reassign'];
+const DOCUMENT_REMINDER_DAYS = [30, 7];
+const DUE_BATCH_SIZE = 100;
+const LIST_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function jobRef(job) {
+  return String(job.id).slice(0, 8).toUpperCase();
+}
+
+function jobData(job, contractor) {
+  return {
+    job_ref: jobRef(job),
+    service: [job.category_name, job.type_name].filter(Boolean).join(' – ') || null,
+    city: job.city || null,
+    contractor_name: contractor ? contractor.business_name || contractor.legal_name : job.contractor_name || null,
+    time_zone: job.appointment_time_zone || calendar.timeZoneFor(job.province)
+  };
+}
+
+async function recipientFor(role, id) {
+  if (role === 'customer') {
+    const customer = id ? await customersRepo.findById(id) : null;
+    return customer && { name: customer.full_name, email: customer.email, phone: customer.phone, time_zone: null };
+  }
+  const contractor = id ? await contractorsRepo.findById(id) : null;
+  return contractor && {
+    name: contractor.business_name || contractor.legal_name,
+    email: contractor.email,
+    phone: contractor.phone,
+    time_zone: contractor.payout_timezone || null
+  };
+}
+
+// Where each channel sends to: [null] when there is nowhere, so the skip is logged
+async function addressesFor(channel, role, id, recipient) {
+  if (channel === 'email') return [recipient.email || null];
+  if (channel === 'sms') return [channels.sms.toE164(recipient.phone)];
+  const subscriptions = await subscriptionsRepo.listForUser(role, id);
+  return subscriptions.length ? subscriptions.map(subscription => subscription.endpoint) : [null];
+}
+
+const MISSING_ADDRESS = {
+  email: 'No email address',
+  sms: 'No mobile number',
+  push: 'No device registered for push'
+};
+
+function retryDelayMs(attempts) {
+  return ENV.notifyRetrySeconds * 1000 * 2 ** (attempts - 1);
+}
+
+/**
+ * Send a pending delivery once. The attempt is counted and the next one
+ * scheduled before sending, so two workers cannot both send it and a crash
+ * mid-send is retried.
+ * @returns {Promise<Object>} The delivery after the attempt
+ */
+async function attempt(delivery, at = new Date()) {
+  const attempts = (Number(delivery.attempts) || 0) + 1;
+  const claimed = await deliveriesRepo.update(delivery.id, {
+    attempts,
+    next_attempt_at: new Date(at.getTime() + retryDelayMs(attempts))
+  }, { match: { status: STATUSES.PENDING, attempts: Number(delivery.attempts) || 0 } });
+  if (!claimed) return deliveriesRepo.findById(delivery.id);
+
+  try {
+    const sent = await channels[delivery.channel].send({
+      to: delivery.address,
+      subject: delivery.subject,
+      body: delivery.body,
+      locale: delivery.locale
+    });
+    return deliveriesRepo.update(delivery.id, {
+      status: STATUSES.SENT,
+      sent_at: new Date(),
+      provider_message_id: sent?.id || null,
+      last_error: null,
+      next_attempt_at: null
+    });
+  } catch (error) {
+    const exhausted = attempts >= ENV.notifyMaxAttempts;
+    return deliveriesRepo.update(delivery.id, {
+      status: exhausted ? STATUSES.FAILED : STATUSES.PENDING,
+      last_error: String(error.message || error).slice(0, 500),
+      next_attempt_at: exhausted ? null : claimed.next_attempt_at
+    });
+  }
+}
+
+/**
+ * Notify one customer or contractor of an event
+ * @param {string} type - Event type (shared.EVENT_TYPES)
+ * @param {{ role: string, id: string }} to - The recipient
+ * @param {Object} data - What the event's template needs
+ * @param {Object} [options] - { entity_type, entity_id, dedupe_key, at }
+ * @returns {Promise<Array<Object>>} The deliveries written (none for a repeated dedupe_key)
+ */
+async function notify(type, to, data = {}, { entity_type = null, entity_id = null, dedupe_key = null, at = new Date() } = {}) {
+  try {
+    if (!EVENT_TYPES[type] || !EVENT_TYPES[type].roles.includes(to.role)) {
+      throw new Error(`${to.role}s do not receive ${type} notifications`);
+    }
+    if (dedupe_key && await deliveriesRepo.findByDedupeKey(dedupe_key)) return [];
+    const recipient = await recipientFor(to.role, to.id);
+    if (!recipient) return [];
+
+    const prefs = await preferences.forUser(to.role, to.id);
+    const timeZone = prefs.time_zone || data.time_zone || recipient.time_zone || ENV.payoutTimezone;
+    const text = templates.render(type, to.role, prefs.locale, {
+      ...data,
+      name: recipient.name,
+      time_zone: data.time_zone || timeZone
+    });
+    const quiet = quietHours.isQuiet(prefs.quiet_hours, at, timeZone);
+
+    const deliveries = [];
+    for (const channel of preferences.channelsFor(prefs, type)) {
+      for (const address of await addressesFor(channel, to.role, to.id, recipient)) {
+        const fields = {
+          event_type: type,
+          user_role: to.role,
+          user_id: to.id,
+          channel,
+          address,
+          locale: text.locale,
+          subject: text.subject,
+          body: channel === 'email' ? `${text.greeting}\n${text.body}` : text.body,
+          entity_type,
+          entity_id: entity_id === null ? null : String(entity_id),
+          dedupe_key,
+          status: STATUSES.PENDING,
+          next_attempt_at: at
+        };
+        if (!address) {
+          Object.assign(fields, { status: STATUSES.SKIPPED, last_error: MISSING_ADDRESS[channel], next_attempt_at: null });
+        } else if (quiet && QUIET_CHANNELS.includes(channel)) {
+          Object.assign(fields, EVENT_TYPES[type].quietHours === 'skip'
+            ? { status: STATUSES.SKIPPED, last_error: 'Quiet hours', next_attempt_at: null }
+            : { next_attempt_at: quietHours.endsAt(prefs.quiet_hours, at, timeZone) });
+        }
+        deliveries.push(await deliveriesRepo.create(fields));
+      }
+    }
+
+    const results = [];
+    for (const delivery of deliveries) {
+      const due = delivery.status === STATUSES.PENDING && new Date(delivery.next_attempt_at) <= at;
+      results.push(due ? await attempt(delivery, at) : delivery);
+    }
+    return results;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return [];
+  }
+}
+
+/**
+ * Job status changes people hear about: assignment (customer and
+ * contractor), the contractor setting off and completion (customer)
+ * @param {Object} job - The job after the transition
+ * @param {Object} event - Its job_events row
+ */
+async function jobTransitioned(job, event) {
+  try {
+    const kind = event.event;
+    if (!ASSIGN_EVENTS.includes(kind) && kind !== 'depart' && kind !== 'complete') return;
+    const contractor = job.contractor_id ? await contractorsRepo.findById(job.contractor_id) : null;
+    const data = jobData(job, contractor);
+    const options = { entity_type: 'job', entity_id: job.id };
+    const customer = { role: 'customer', id: job.customer_id };
+
+    if (ASSIGN_EVENTS.includes(kind)) {
+      await notify('job_assigned', customer, data, options);
+      if (contractor) await notify('job_assigned', { role: 'contractor', id: contractor.id }, data, options);
+    } else if (kind === 'depart') {
+      // Set off late enough to miss the appointment by more than the grace: say sorry
+      const minutesLate = Number(event.metadata?.minutes_late);
+      await notify('contractor_en_route', customer, {
+        ...data,
+        eta: event.metadata?.eta || null,
+        minutes_late: minutesLate > ENV.checkInGraceMinutes ? minutesLate : null
+      }, options);
+    } else {
+      await notify('job_completed', customer, data, options);
+    }
+  } catch (error) {
+    console.error('Job notification error:', error);
+  }
+}
+
+/**
+ * A payment was captured: thank the customer (once per payment)
+ */
+async function paymentReceived(payment) {
+  try {
+    const job = await jobsRepo.findById(payment.job_id);
+    await notify('payment_received', { role: 'customer', id: payment.customer_id }, {
+      ...(job ? jobData(job, null) : { job_ref: String(payment.job_id).slice(0, 8).toUpperCase() }),
+      amount: Number(payment.amount),
+      currency: payment.currency
+    }, { entity_type: 'job', entity_id: payment.job_id, dedupe_key: `payment_received:${payment.id}` });
+  } catch (error) {
+    console.error('Payment notification error:', error);
+  }
+}
+
+/**
+ * A payout line was paid: tell the contractor (once per line)
+ */
+async function payoutSent(line) {
+  await notify('payout_sent', { role: 'contractor', id: line.contractor_id }, {
+    amount: Number(line.amount),
+    currency: line.currency,
+    jobs: (line.job_ids || []).length
+  }, { entity_type: 'contractor', entity_id: line.contractor_id, dedupe_key: `payout_sent:${line.id}` });
+}
+
+/**
+ * Remind contractors of documents expiring within DOCUMENT_REMINDER_DAYS:
+ * once 30 days ahead and again 7 days ahead
+ * @returns {Promise<{ reminded: number }>}
+ */
+async function remindExpiringDocuments(at = new Date()) {
+  const horizon = new Date(at.getTime() + Math.max(...DOCUMENT_REMINDER_DAYS) * DAY_MS);
+  let reminded = 0;
+  for (const document of await contractorsRepo.listExpiringDocuments(horizon)) {
+    const expiresOn = new Date(document.expiry_date).toISOString().slice(0, 10);
+    const daysLeft = Math.max(1, Math.ceil((new Date(document.expiry_date) - at) / DAY_MS));
+    const window = Math.min(...DOCUMENT_REMINDER_DAYS.filter(days => days >= daysLeft));
+    const deliveries = await notify('document_expiring', { role: 'contractor', id: document.contractor_id }, {
+      document: document.doc_type,
+      expires_on: expiresOn,
+      days_left: daysLeft
+    }, {
+      entity_type: 'contractor',
+      entity_id: document.contractor_id,
+      dedupe_key: `document_expiring:${document.id}:${expiresOn}:${window}`,
+      at
+    });
+    if (deliveries.length) reminded += 1;
+  }
+  return { reminded };
+}
+
+/**
+ * Send the pending deliveries that are due (retries and the end of quiet hours)
+ * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+ */
+async function deliverDue(at = new Date()) {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  for (const delivery of await deliveriesRepo.listDue(at, DUE_BATCH_SIZE)) {
+    const result = await attempt(delivery, at);
+    if (result?.status === STATUSES.SENT) summary.sent += 1;
+    else if (result?.status === STATUSES.FAILED) summary.failed += 1;
+    else if (result?.status === STATUSES.PENDING) summary.retrying += 1;
+  }
+  return summary;
+}
+
+function readLimit(value) {
+  const limit = Number.parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, LIST_MAX_LIMIT) : LIST_LIMIT;
+}
+
+/**
+ * The delivery log, newest first (admins)
+ * @param {Object} [filters] - { status, event_type, channel, user_role, user_id, limit }
+ */
+async function listDeliveries(filters = {}) {
+  if (filters.status && !Object.values(STATUSES).includes(filters.status)) {
+    throw new NotificationError(`status must be one of: ${Object.values(STATUSES).join(', ')}`);
+  }
+  return deliveriesRepo.list({
+    status: filters.status || undefined,
+    eventType: filters.event_type || undefined,
+    channel: filters.channel || undefined,
+    userRole: filters.user_role || undefined,
+    userId: filters.user_id || undefined,
+    limit: readLimit(filters.limit)
+  });
+}
+
+/**
+ * The signed-in user's recent notifications, without addresses or errors
+ */
+async function listForUser(actor, limit) {
+  const deliveries = await deliveriesRepo.list({ userRole: actor.role, userId: actor.id, limit: readLimit(limit) });
+  return deliveries.map(({ id, event_type, channel, subject, body, status, sent_at, created_at }) => ({
+    id, event_type, channel, subject, body, status, sent_at, created_at
+  }));
+}
+
+/**
+ * Try a failed delivery again now (admins)
+ * @throws {NotificationError} 404 unknown, 409 not failed
+ */
+async function retryDelivery(id, actor) {
+  const delivery = await deliveriesRepo.findById(id);
+  if (!delivery) {
+    throw new NotificationError('Delivery not found', 404);
+  }
+  if (delivery.status !== STATUSES.FAILED) {
+    throw new NotificationError(`Only failed deliveries can be retried (this one is ${delivery.status})`, 409);
+  }
+  const reopened = await deliveriesRepo.update(delivery.id, { status: STATUSES.PENDING, next_attempt_at: new Date() }, {
+    match: { status: STATUSES.FAILED }
+  });
+  if (!reopened) {
+    throw new NotificationError('The delivery changed while this request was processed; reload and try again', 409);
+  }
+  const result = await attempt(reopened);
+  await logEvent({
+    action: 'notification.retried',
+    entity_type: 'notification_delivery',
+    entity_id: delivery.id,
+    actor,
+    before: { status: delivery.status, attempts: delivery.attempts },
+    after: { status: result.status, attempts: result.attempts, last_error: result.last_error }
+  });
+  return result;
+}
+
+module.exports = {
+  NotificationError,
+  notify,
+  jobTransitioned,
+  paymentReceived,
+  payoutSent,
+  remindExpiringDocuments,
+  deliverDue,
+  listDeliveries,
+  listForUser,
+  retryDelivery,
+  preferences
+};
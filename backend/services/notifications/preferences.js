@@ -0,0 +1,207 @@
+/**
+ * Notification preferences and push subscriptions of customers and contractors
+ *
+ * Usage:
+ *   const preferences = require('./services/notifications/preferences');
+ *   const prefs = await preferences.get(req.actor);
+ *   await preferences.update(req.actor, { locale: 'fr', quiet_hours: { start: '21:00', end: '08:00' } });
+ *   preferences.channelsFor(prefs, 'job_assigned');   // ['email', 'push']
+ *
+ * Users who never changed anything get each event on its default channels
+ * (shared.EVENT_TYPES), in English, with no quiet hours.
+ */
+
+const {
+  notificationPreferences: preferencesRepo,
+  pushSubscriptions: subscriptionsRepo
+} = require('../../repositories');
+const { logEvent } = require('../audit-service');
+const quietHours = require('./quiet-hours');
+const {
+  CHANNELS,
+  LOCALES,
+  DEFAULT_LOCALE,
+  EVENT_TYPES,
+  NotificationError,
+  eventTypesFor
+} = require('./shared');
+
+const ROLES = ['customer', 'contractor'];
+const ENDPOINT_MAX_LENGTH = 2000;
+
+function assertRole(actor) {
+  if (!ROLES.includes(actor?.role)) {
+    throw new NotificationError('Only customers and contractors have notification preferences', 403);
+  }
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A stored row (or none) as the preferences that apply
+ */
+function resolve(role, row) {
+  const stored = row?.channels || {};
+  return {
+    locale: LOCALES[row?.locale] ? row.locale : DEFAULT_LOCALE,
+    time_zone: row?.time_zone || null,
+    quiet_hours: row?.quiet_start && row?.quiet_end ? { start: row.quiet_start, end: row.quiet_end } : null,
+    channels: Object.fromEntries(eventTypesFor(role).map(type => [
+      type,
+      Array.isArray(stored[type]) ? stored[type] : EVENT_TYPES[type].channels
+    ]))
+  };
+}
+
+/**
+ * The preferences that apply to a user
+ * @returns {Promise<{ locale, time_zone, quiet_hours, channels }>}
+ */
+async function forUser(role, userId) {
+  return resolve(role, await preferencesRepo.findByUser(role, userId));
+}
+
+/**
+ * The signed-in user's preferences, with what they can choose from
+ * @throws {NotificationError} 403 for other roles
+ */
+async function get(actor) {
+  assertRole(actor);
+  const [prefs, subscriptions] = await Promise.all([
+    forUser(actor.role, actor.id),
+    subscriptionsRepo.listForUser(actor.role, actor.id)
+  ]);
+  return {
+    ...prefs,
+    push_devices: subscriptions.length,
+    options: { event_types: eventTypesFor(actor.role), channels: CHANNELS, locales: Object.keys(LOCALES) }
+  };
+}
+
+function readChannels(role, input, current) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new NotificationError('channels must map event types to lists of channels');
+  }
+  const allowed = eventTypesFor(role);
+  const channels = { ...current };
+  Object.entries(input).forEach(([type, list]) => {
+    if (!allowed.includes(type)) {
+      throw new NotificationError(`Unknown notification for ${role}s: ${type}`);
+    }
+    if (!Array.isArray(list) || list.some(channel => !CHANNELS.includes(channel))) {
+      throw new NotificationError(`channels.${type} must be a list of: ${CHANNELS.join(', ')}`);
+    }
+    channels[type] = CHANNELS.filter(channel => list.includes(channel));
+  });
+  return channels;
+}
+
+/**
+ * Change some of the signed-in user's preferences
+ * @param {Object} input - { locale?, time_zone?, quiet_hours?: { start, end } | null, channels?: { [type]: [channel] } }
+ * @throws {NotificationError} 400 bad input, 403 for other roles
+ */
+async function update(actor, input = {}) {
+  assertRole(actor);
+  const row = await preferencesRepo.findByUser(actor.role, actor.id);
+  const before = resolve(actor.role, row);
+  const fields = {};
+
+  if (input.locale !== undefined) {
+    if (!LOCALES[input.locale]) {
+      throw new NotificationError(`locale must be one of: ${Object.keys(LOCALES).join(', ')}`);
+    }
+    fields.locale = input.locale;
+  }
+  if (input.time_zone !== undefined) {
+    const zone = input.time_zone ? String(input.time_zone).trim() : null;
+    if (zone && !isTimeZone(zone)) {
+      throw new NotificationError('time_zone must be an IANA time zone such as America/Toronto');
+    }
+    fields.time_zone = zone;
+  }
+  if (input.quiet_hours !== undefined) {
+    const window = input.quiet_hours;
+    if (window === null) {
+      fields.quiet_start = null;
+      fields.quiet_end = null;
+    } else {
+      const start = quietHours.toMinutes(window?.start);
+      const end = quietHours.toMinutes(window?.end);
+      if (start === null || end === null || start === end) {
+        throw new NotificationError('quiet_hours needs a different start and end as HH:MM, or null to turn them off');
+      }
+      fields.quiet_start = window.start;
+      fields.quiet_end = window.end;
+    }
+  }
+  if (input.channels !== undefined) {
+    fields.channels = readChannels(actor.role, input.channels, row?.channels || {});
+  }
+  if (!Object.keys(fields).length) {
+    throw new NotificationError('Nothing to change');
+  }
+
+  const after = resolve(actor.role, await preferencesRepo.upsert(actor.role, actor.id, fields));
+  await logEvent({
+    action: 'notification.preferences_updated',
+    entity_type: actor.role,
+    entity_id: actor.id,
+    actor,
+    before,
+    after
+  });
+  return get(actor);
+}
+
+/**
+ * The channels an event goes out on for a user with these preferences
+ */
+function channelsFor(prefs, type) {
+  return prefs.channels[type] || EVENT_TYPES[type].channels;
+}
+
+/**
+ * Register this browser for web push (the PushSubscription from the page)
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @throws {NotificationError} 400 bad subscription, 403 for other roles
+ */
+async function addPushSubscription(actor, subscription = {}) {
+  assertRole(actor);
+  const endpoint = String(subscription.endpoint || '').trim();
+  if (!/^https:\/\//.test(endpoint) || endpoint.length > ENDPOINT_MAX_LENGTH) {
+    throw new NotificationError('endpoint must be the https URL of a push subscription');
+  }
+  const keys = subscription.keys && typeof subscription.keys === 'object'
+    ? { p256dh: String(subscription.keys.p256dh || ''), auth: String(subscription.keys.auth || '') }
+    : null;
+  await subscriptionsRepo.upsert({ user_role: actor.role, user_id: actor.id, endpoint, keys });
+  return { push_devices: (await subscriptionsRepo.listForUser(actor.role, actor.id)).length };
+}
+
+/**
+ * @throws {NotificationError} 404 when the user has no such subscription
+ */
+async function removePushSubscription(actor, endpoint) {
+  assertRole(actor);
+  if (!await subscriptionsRepo.remove(actor.role, actor.id, String(endpoint || '').trim())) {
+    throw new NotificationError('Push subscription not found', 404);
+  }
+  return { push_devices: (await subscriptionsRepo.listForUser(actor.role, actor.id)).length };
+}
+
+module.exports = {
+  forUser,
+  get,
+  update,
+  channelsFor,
+  addPushSubscription,
+  removePushSubscription
+};
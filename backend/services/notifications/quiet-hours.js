@@ -0,0 +1,59 @@
+/**
+ * Quiet hours – a nightly window in the user's time zone
+ *
+ * Usage:
+ *   const quietHours = require('./quiet-hours');
+ *   const window = { start: '21:00', end: '08:00' };
+ *   if (quietHours.isQuiet(window, new Date(), 'America/Toronto')) {
+ *     const sendAt = quietHours.endsAt(window, new Date(), 'America/Toronto');
+ *   }
+ *
+ * Times are HH:MM on a 24-hour clock. A window whose start is after its end
+ * runs overnight. The end is found by counting minutes on the local clock,
+ * so on the night the clocks change it can be an hour out.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MINUTES = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes after midnight, or null when `value` is not HH:MM
+ */
+function toMinutes(value) {
+  const match = TIME_PATTERN.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function localMinutes(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(at);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+/**
+ * @param {{ start: string, end: string }|null} window
+ */
+function isQuiet(window, at, timeZone) {
+  const start = toMinutes(window?.start);
+  const end = toMinutes(window?.end);
+  if (start === null || end === null || start === end) return false;
+  const now = localMinutes(at, timeZone);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * When the window that `at` falls in ends
+ */
+function endsAt(window, at, timeZone) {
+  const minutes = (toMinutes(window.end) - localMinutes(at, timeZone) + DAY_MINUTES) % DAY_MINUTES;
+  const wholeMinute = new Date(at.getTime() - (at.getTime() % MINUTE_MS));
+  return new Date(wholeMinute.getTime() + minutes * MINUTE_MS);
+}
+
+module.exports = {
+  toMinutes,
+  isQuiet,
+  endsAt
+};
@@ -0,0 +1,62 @@
+/**
+ * Notification scheduler – sends what is due without anyone watching
+ *
+ * Usage:
+ *   const scheduler = require('./services/notifications/scheduler');
+ *   scheduler.start(logger);                               // on server start
+ *
+ * Every NOTIFY_INTERVAL_SECONDS it runs notifications.deliverDue(): failed
+ * sends whose retry is due and SMS and push held back for quiet hours. On
+ * the first run of each day it also reminds contractors of expiring
+ * documents. Does nothing when NOTIFY_INTERVAL_SECONDS is 0.
+ */
+
+const ENV = require('../../config/env');
+const notifications = require('./index');
+
+let timer = null;
+let running = false;
+let documentsCheckedOn = null;
+
+async function tick(logger) {
+  if (running) return;
+  running = true;
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    if (documentsCheckedOn !== today) {
+      const { reminded } = await notifications.remindExpiringDocuments();
+      documentsCheckedOn = today;
+      if (reminded) {
+        logger.info({ reminded }, 'Contractors reminded of expiring documents');
+      }
+    }
+    const summary = await notifications.deliverDue();
+    if (summary.sent || summary.retrying || summary.failed) {
+      logger.info(summary, 'Notifications delivered');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Notification sweep failed');
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Sweep now and then every NOTIFY_INTERVAL_SECONDS (does nothing when that is 0)
+ */
+function start(logger) {
+  if (timer || !ENV.notifyIntervalSeconds) return;
+  timer = setInterval(() => tick(logger), ENV.notifyIntervalSeconds * 1000);
+  timer.unref();
+  tick(logger);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  start,
+  stop
+};
@@ -0,0 +1,54 @@
+/**
+ * Notification event types, channels and locales
+ */
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+// Channels held back during a user's quiet hours (email waits in the inbox anyway)
+const QUIET_CHANNELS = ['sms', 'push'];
+
+// Locale codes users can pick, with the Intl locale their dates and amounts are written in
+const LOCALES = {
+  en: 'en-CA',
+  fr: 'fr-CA'
+};
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Who hears about each event, on which channels unless they choose others,
+ * and what quiet hours do to its SMS and push: 'defer' sends them when the
+ * quiet hours end, 'skip' drops them (an "on the way" text is no use later)
+ */
+const EVENT_TYPES = {
+  job_assigned: { roles: ['customer', 'contractor'], channels: ['email', 'push'], quietHours: 'defer' },
+  contractor_en_route: { roles: ['customer'], channels: ['email', 'sms', 'push'], quietHours: 'skip' },
+  job_completed: { roles: ['customer'], channels: ['push'], quietHours: 'defer' },
+  payment_received: { roles: ['customer'], channels: ['email'], quietHours: 'defer' },
+  payout_sent: { roles: ['contractor'], channels: ['email', 'push'], quietHours: 'defer' },
+  document_expiring: { roles: ['contractor'], channels: ['email', 'sms'], quietHours: 'defer' }
+};
+
+class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+  }
+}
+
+/**
+ * The event types a customer or contractor can receive
+ */
+function eventTypesFor(role) {
+  return Object.keys(EVENT_TYPES).filter(type => EVENT_TYPES[type].roles.includes(role));
+}
+
+module.exports = {
+  CHANNELS,
+  QUIET_CHANNELS,
+  LOCALES,
+  DEFAULT_LOCALE,
+  EVENT_TYPES,
+  NotificationError,
+  eventTypesFor
+};
@@ -0,0 +1,167 @@
+/**
+ * Notification templates – the text of each event, per locale
+ *
+ * Usage:
+ *   const templates = require('./templates');
+ *   const { subject, greeting, body } = templates.render('contractor_en_route', 'customer', 'fr', {
+ *     name: 'Ana', job_ref: '1A2B3C4D', service: 'Plumbing – Leak repair',
+ *     contractor_name: 'Smith Plumbing', eta: '2026-10-19T14:30:00Z', time_zone: 'America/Toronto'
+ *   });
+ *
+ * Each template turns the event's data into a subject (email subject and
+ * push title) and a body (email and push text, and the whole SMS); emails
+ * open with the locale's greeting. Dates and amounts are written for the
+ * locale (LOCALES) and times in data.time_zone. A locale missing a
+ * template falls back to English.
+ */
+
+const { LOCALES, DEFAULT_LOCALE } = require('./shared');
+
+const DOCUMENT_NAMES = {
+  en: { license: 'licence', insurance: 'insurance certificate', governmentId: 'government ID' },
+  fr: { license: 'licence', insurance: "certificat d'assurance", governmentId: "pièce d'identité" }
+};
+
+function formatters(locale, data) {
+  const intl = LOCALES[locale];
+  return {
+    time: value => new Intl.DateTimeFormat(intl, {
+      timeZone: data.time_zone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    }).format(new Date(value)),
+    // Calendar dates (YYYY-MM-DD) are the same day everywhere
+    date: value => new Intl.DateTimeFormat(intl, { timeZone: 'UTC', dateStyle: 'long' })
+      .format(new Date(`${String(value).slice(0, 10)}T00:00:00Z`)),
+    money: amount => new Intl.NumberFormat(intl, { style: 'currency', currency: data.currency || 'CAD' })
+      .format(Number(amount) || 0)
+  };
+}
+
+function jobLabel(word, data) {
+  return `${word} ${data.job_ref}${data.service ? ` (${data.service})` : ''}`;
+}
+
+const TEMPLATES = {
+  en: {
+    greeting: data => `Hi ${data.name || 'there'},`,
+    job_assigned: {
+      customer: data => ({
+        subject: `Contractor assigned: job ${data.job_ref}`,
+        body: `${data.contractor_name || 'A contractor'} will take care of ${jobLabel('job', data)}.`
+      }),
+      contractor: data => ({
+        subject: `New job: ${data.job_ref}`,
+        body: `${jobLabel('Job', data)}${data.city ? ` in ${data.city}` : ''} has been assigned to you. Open your dashboard for the details.`
+      })
+    },
+    contractor_en_route: {
+      customer: (data, f) => ({
+        subject: `On the way: job ${data.job_ref}`,
+        body: [
+          `${data.contractor_name || 'Your contractor'} has set off for ${jobLabel('job', data)}.`,
+          data.eta ? ` Expected around ${f.time(data.eta)}.` : '',
+          data.eta && data.minutes_late ? ` That is about ${data.minutes_late} minutes after your appointment; we are sorry for the wait.` : ''
+        ].join('')
+      })
+    },
+    job_completed: {
+      customer: data => ({
+        subject: `Job ${data.job_ref} is complete`,
+        body: `${data.contractor_name || 'Your contractor'} has finished ${jobLabel('job', data)}. You can pay and rate the work from your dashboard.`
+      })
+    },
+    payment_received: {
+      customer: (data, f) => ({
+        subject: `Payment received: job ${data.job_ref}`,
+        body: `We received your payment of ${f.money(data.amount)} for ${jobLabel('job', data)}. Thank you!`
+      })
+    },
+    payout_sent: {
+      contractor: (data, f) => ({
+        subject: `Payout sent: ${f.money(data.amount)}`,
+        body: `We sent you ${f.money(data.amount)} for ${data.jobs} ${data.jobs === 1 ? 'job' : 'jobs'}. It should reach your account within a few business days.`
+      })
+    },
+    document_expiring: {
+      contractor: (data, f) => {
+        const document = DOCUMENT_NAMES.en[data.document] || 'document';
+        return {
+          subject: `Your ${document} expires soon`,
+          body: `The ${document} on file expires on ${f.date(data.expires_on)} (in ${data.days_left} ${data.days_left === 1 ? 'day' : 'days'}). Upload a renewed copy to keep receiving jobs.`
+        };
+      }
+    }
+  },
+
+  fr: {
+    greeting: data => (data.name ? `Bonjour ${data.name},` : 'Bonjour,'),
+    job_assigned: {
+      customer: data => ({
+        subject: `Entrepreneur assigné : travail ${data.job_ref}`,
+        body: `${data.contractor_name || 'Un entrepreneur'} s'occupera du ${jobLabel('travail', data)}.`
+      }),
+      contractor: data => ({
+        subject: `Nouveau travail : ${data.job_ref}`,
+        body: `Le ${jobLabel('travail', data)}${data.city ? ` à ${data.city}` : ''} vous a été confié. Consultez votre tableau de bord pour les détails.`
+      })
+    },
+    contractor_en_route: {
+      customer: (data, f) => ({
+        subject: `En route : travail ${data.job_ref}`,
+        body: [
+          `${data.contractor_name || 'Votre entrepreneur'} est en route pour le ${jobLabel('travail', data)}.`,
+          data.eta ? ` Arrivée prévue vers ${f.time(data.eta)}.` : '',
+          data.eta && data.minutes_late ? ` C'est environ ${data.minutes_late} minutes après l'heure de votre rendez-vous; nous sommes désolés de ce retard.` : ''
+        ].join('')
+      })
+    },
+    job_completed: {
+      customer: data => ({
+        subject: `Travail ${data.job_ref} terminé`,
+        body: `${data.contractor_name || 'Votre entrepreneur'} a terminé le ${jobLabel('travail', data)}. Vous pouvez payer et évaluer le travail depuis votre tableau de bord.`
+      })
+    },
+    payment_received: {
+      customer: (data, f) => ({
+        subject: `Paiement reçu : travail ${data.job_ref}`,
+        body: `Nous avons bien reçu votre paiement de ${f.money(data.amount)} pour le ${jobLabel('travail', data)}. Merci!`
+      })
+    },
+    payout_sent: {
+      contractor: (data, f) => ({
+        subject: `Versement envoyé : ${f.money(data.amount)}`,
+        body: `Nous vous avons versé ${f.money(data.amount)} pour ${data.jobs} ${data.jobs === 1 ? 'travail' : 'travaux'}. Les fonds devraient arriver dans votre compte d'ici quelques jours ouvrables.`
+      })
+    },
+    document_expiring: {
+      contractor: (data, f) => {
+        const document = DOCUMENT_NAMES.fr[data.document] || 'document';
+        return {
+          subject: `Votre ${document} expire bientôt`,
+          body: `Votre ${document} au dossier expire le ${f.date(data.expires_on)} (dans ${data.days_left} ${data.days_left === 1 ? 'jour' : 'jours'}). Téléversez une copie renouvelée pour continuer à recevoir des travaux.`
+        };
+      }
+    }
+  }
+};
+
+/**
+ * The text of one event for one recipient
+ * @param {string} type - Event type (shared.EVENT_TYPES)
+ * @param {string} role - customer or contractor
+ * @param {string} locale - en or fr
+ * @param {Object} data - The event's data, with the recipient's name and time zone
+ * @returns {{ locale: string, subject: string, greeting: string, body: string }}
+ */
+function render(type, role, locale, data) {
+  const chosen = TEMPLATES[locale]?.[type]?.[role] ? locale : DEFAULT_LOCALE;
+  const template = TEMPLATES[chosen][type]?.[role];
+  if (!template) {
+    throw new Error(`No ${type} notification for ${role}s`);
+  }
+  const { subject, body } = template(data, formatters(chosen, data));
+  return { locale: chosen, subject, greeting: TEMPLATES[chosen].greeting(data), body };
+}
+
+module.exports = {
+  render
+};
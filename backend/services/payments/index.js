@@ -0,0 +1,439 @@
+/**
+ * Payments – checkout and provider webhook handling
+ *
+ * Usage:
+ *   const payments = require('./services/payments');
+ *   const intent = await payments.startCheckout(job, req.actor);
+ *   await payments.confirmCheckout(job, 'pm_card_visa');
+ *   await payments.startInspectionFeeCheckout(job, req.actor);   // before quoting
+ *   await payments.confirmInspectionFeeCheckout(job, 'pm_card_visa');
+ *   await payments.handleWebhook(req.body, req.get('stripe-signature'));
+ *   await payments.requestRefund({ paymentId, amount, reasonCode, actor });
+ *
+ * PAYMENT_PROVIDER picks the provider: the local stub (stub-provider.js) or
+ * Stripe (stripe-provider.js). Both expose
+ *   createPaymentIntent, retrievePaymentIntent, confirmPaymentIntent,
+ *   capturePaymentIntent, cancelPaymentIntent, createRefund,
+ *   constructEvent (webhook verification) and publicConfig
+ * and return Stripe-shaped objects with amounts in cents.
+ *
+ * Checkout only opens payment intents. Payment rows and the job's
+ * payment_status are written from verified webhook events alone, each
+ * event applied once (payment_events). Refunds work the same way
+ * (refunds.js). A captured payment is posted to the ledger (services/ledger.js),
+ * shown on the job's invoice (services/documents) and acknowledged to the
+ * customer (services/notifications).
+ * The customer pays the job's final price plus the sales tax fixed on it at
+ * completion (services/tax.js); the payment row records that tax.
+ * Jobs whose service charges an inspection fee (services/quotes.js) take it
+ * as a separate payment (purpose 'inspection_fee', no tax of its own) that
+ * only sets the job's inspection_fee_status; what is left of it after
+ * refunds comes off the amount charged at checkout.
+ * A promo code on the job and the customer's credit also come off the
+ * charge (services/promotions.js); the intent carries both amounts in its
+ * metadata and the payment row records them once it is captured.
+ */
+
+const financials = require('../../lib/financials');
+const { jobs: jobsRepo, payments: paymentsRepo, paymentEvents } = require('../../repositories');
+const { logEvent } = require('../audit-service');
+const ledger = require('../ledger');
+const documents = require('../documents');
+const tax = require('../tax');
+const { inspectionFeeCents } = require('../quotes');
+const promotions = require('../promotions');
+const notifications = require('../notifications');
+const { PaymentError, PURPOSES, SIGNATURE_HEADER } = require('./shared');
+const provider = require('./provider');
+const refunds = require('./refunds');
+
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation'];
+const BUSY_INTENT_STATUSES = ['processing', 'requires_action', 'requires_capture', 'succeeded'];
+const SETTLED_JOB_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const CAPTURED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const FEE_PAYABLE_JOB_STATUSES = ['submitted', 'ready_to_assign'];
+
+// A later event never moves a payment back to an earlier state (events can arrive out of order)
+const PAYMENT_STATUS_RANK = {
+  pending: 0,
+  processing: 1,
+  failed: 1,
+  authorized: 2,
+  canceled: 3,
+  completed: 4,
+  partially_refunded: 5,
+  refunded: 6
+};
+
+// Payment row status → job payment_status
+const JOB_PAYMENT_STATUS = {
+  processing: 'processing',
+  failed: 'failed',
+  authorized: 'authorized',
+  canceled: 'unpaid',
+  completed: 'paid',
+  partially_refunded: 'partially_refunded',
+  refunded: 'refunded'
+};
+
+// Payment row status → job inspection_fee_status (refunds set it in refunds.js)
+const INSPECTION_FEE_STATUS = {
+  processing: 'processing',
+  failed: 'failed',
+  authorized: 'processing',
+  canceled: 'unpaid',
+  completed: 'paid'
+};
+
+const SYSTEM_ACTOR = { role: 'system', id: `payments:${provider.name}` };
+
+/**
+ * What is left of a job's captured inspection fee after refunds, in cents
+ */
+async function inspectionFeeCreditCents(jobId) {
+  const fees = (await paymentsRepo.list({ jobId }))
+    .filter(payment => payment.purpose === PURPOSES.INSPECTION_FEE && CAPTURED_PAYMENT_STATUSES.includes(payment.status));
+  return fees.reduce((sum, payment) => (
+    sum + (financials.toCents(payment.amount) || 0) - (financials.toCents(payment.amount_refunded) || 0)
+  ), 0);
+}
+
+/**
+ * Reuse the job's open intent for this purpose when its amounts still
+ * match, else open a new one and keep its id on the job
+ * @param {Object} job - Job row
+ * @param {Object} checkout - { intentField ('payment_intent_id' or 'inspection_fee_intent_id'),
+ *   purpose, amountCents, taxCents, discountCents, creditCents, actor }
+ */
+async function openIntent(job, { intentField, purpose, amountCents, taxCents, discountCents = 0, creditCents = 0, actor }) {
+  const previousId = job[intentField];
+  if (previousId) {
+    const current = await provider.retrievePaymentIntent(previousId).catch(error => {
+      if (error instanceof PaymentError && error.status === 404) return null;
+      throw error;
+    });
+    if (current && BUSY_INTENT_STATUSES.includes(current.status)) {
+      throw new PaymentError('A payment for this job is already in progress', 409);
+    }
+    if (current && REUSABLE_INTENT_STATUSES.includes(current.status)) {
+      const sameAllowances = Number(current.metadata?.discount_cents || 0) === discountCents &&
+        Number(current.metadata?.credit_cents || 0) === creditCents;
+      if (current.amount === amountCents && sameAllowances) return current;
+      await provider.cancelPaymentIntent(current.id);
+    }
+  }
+
+  const metadata = { job_id: String(job.id), customer_id: String(job.customer_id), tax_cents: String(taxCents) };
+  if (purpose !== PURPOSES.JOB) metadata.purpose = purpose;
+  if (discountCents) metadata.discount_cents = String(discountCents);
+  if (creditCents) metadata.credit_cents = String(creditCents);
+  const intent = await provider.createPaymentIntent({
+    amountCents,
+    currency: financials.CURRENCY,
+    metadata,
+    // One intent per job, purpose and previous attempt, even when the button is pressed twice
+    idempotencyKey: purpose === PURPOSES.JOB
+      ? `checkout:${job.id}:${previousId || 'first'}`
+      : `checkout:${purpose}:${job.id}:${previousId || 'first'}`
+  });
+  await jobsRepo.update(job.id, { [intentField]: intent.id });
+
+  await logEvent({
+    action: 'payment.checkout_started',
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    after: {
+      payment_intent_id: intent.id,
+      purpose,
+      amount: financials.toDollars(amountCents),
+      tax_amount: financials.toDollars(taxCents),
+      discount_amount: discountCents ? financials.toDollars(discountCents) : undefined,
+      credit_amount: creditCents ? financials.toDollars(creditCents) : undefined,
+      currency: financials.CURRENCY
+    },
+    meta: { provider: provider.name }
+  });
+  return intent;
+}
+
+async function confirmIntent(intentId, paymentMethod) {
+  if (!intentId) {
+    throw new PaymentError('Start the checkout before paying');
+  }
+  if (!paymentMethod) {
+    throw new PaymentError('A payment method is required');
+  }
+  const intent = await provider.confirmPaymentIntent(intentId, { paymentMethod });
+  if (intent.status === 'requires_payment_method' && intent.last_payment_error) {
+    throw new PaymentError(intent.last_payment_error.message, 402, intent.last_payment_error.code);
+  }
+  return intent;
+}
+
+/**
+ * Open (or reuse) the payment intent for a completed job: its price and
+ * sales tax, less anything already refunded, the inspection fee credit,
+ * the job's promo discount and the customer's credit
+ * @param {Object} job - Job row
+ * @param {Object} actor - Customer starting the checkout
+ * @returns {Promise<Object>} Payment intent (client_secret included)
+ */
+async function startCheckout(job, actor) {
+  if (job.status !== 'completed') {
+    throw new PaymentError('Job must be completed before payment');
+  }
+  if (SETTLED_JOB_PAYMENT_STATUSES.includes(job.payment_status)) {
+    throw new PaymentError('This job has already been paid', 409);
+  }
+  const amounts = financials.jobFinancials(job);
+  const priceCents = amounts.cents ? amounts.cents.final_price : 0;
+  if (!priceCents) {
+    throw new PaymentError('This job has no price to pay yet');
+  }
+  const { taxCents, refundedTaxCents } = tax.jobTaxCents(job);
+  const refundedCents = financials.toCents(job.refunded_amount) || 0;
+  const feeCreditCents = await inspectionFeeCreditCents(job.id);
+  const dueCents = priceCents + taxCents - refundedCents - refundedTaxCents - feeCreditCents;
+  if (dueCents <= 0) {
+    throw new PaymentError('Nothing is left to pay on this job', 409);
+  }
+  const { discountCents, creditCents } = await promotions.checkoutAllowances(job, {
+    priceCents: priceCents - refundedCents,
+    dueCents,
+    pretaxDueCents: Math.max(0, priceCents - refundedCents - feeCreditCents)
+  }, actor);
+  return openIntent(job, {
+    intentField: 'payment_intent_id',
+    purpose: PURPOSES.JOB,
+    amountCents: dueCents - discountCents - creditCents,
+    taxCents: taxCents - refundedTaxCents,
+    discountCents,
+    creditCents,
+    actor
+  });
+}
+
+/**
+ * Confirm the job's open intent with a payment method (server-side confirmation)
+ * @throws {PaymentError} 402 with the provider's message when the card is declined
+ */
+async function confirmCheckout(job, paymentMethod) {
+  return confirmIntent(job.payment_intent_id, paymentMethod);
+}
+
+/**
+ * Open (or reuse) the payment intent for an open job's inspection fee
+ * @param {Object} job - Job row
+ * @param {Object} actor - Customer starting the checkout
+ * @returns {Promise<Object>} Payment intent (client_secret included)
+ * @throws {PaymentError} 400 no fee on this job, 409 already paid or job no longer open
+ */
+async function startInspectionFeeCheckout(job, actor) {
+  const feeCents = inspectionFeeCents(job);
+  if (!feeCents) {
+    throw new PaymentError('This job has no inspection fee');
+  }
+  if (job.inspection_fee_status === 'paid') {
+    throw new PaymentError('The inspection fee has already been paid', 409);
+  }
+  if (!FEE_PAYABLE_JOB_STATUSES.includes(job.status)) {
+    throw new PaymentError('This job is no longer open', 409);
+  }
+  return openIntent(job, {
+    intentField: 'inspection_fee_intent_id',
+    purpose: PURPOSES.INSPECTION_FEE,
+    amountCents: feeCents,
+    taxCents: 0,
+    actor
+  });
+}
+
+/**
+ * Confirm the job's open inspection fee intent with a payment method
+ * @throws {PaymentError} 402 with the provider's message when the card is declined
+ */
+async function confirmInspectionFeeCheckout(job, paymentMethod) {
+  return confirmIntent(job.inspection_fee_intent_id, paymentMethod);
+}
+
+/**
+ * "visa •••• 4242" for the card that paid: the intent's charge (fetched when
+ * the event carries only its id) or expanded payment method; a failed attempt
+ * carries its card on last_payment_error
+ */
+async function cardLabel(intent) {
+  let charge = intent.latest_charge;
+  if (typeof charge === 'string') {
+    try {
+      charge = await provider.retrieveCharge(charge);
+    } catch (error) {
+      if (!(error instanceof PaymentError)) throw error;
+      console.warn(`Could not fetch charge ${charge} for ${intent.id}: ${error.message}`);
+      charge = null;
+    }
+  }
+  const paymentMethod = intent.payment_method && typeof intent.payment_method === 'object' ? intent.payment_method : null;
+  const card = charge?.payment_method_details?.card
+    || paymentMethod?.card
+    || intent.last_payment_error?.payment_method?.card;
+  return card ? `${card.brand} •••• ${card.last4}` : (intent.payment_method_types || ['card'])[0];
+}
+
+/**
+ * Write the payment row and the job's payment_status for one intent/charge
+ */
+async function applyPaymentState({ transactionId, jobId, customerId, purpose, status, amountCents, taxCents, discountCents, creditCents, currency, paymentMethod, notes, event }) {
+  if (!jobId || !customerId) {
+    console.warn(`Payment event ${event.id} has no job/customer metadata; skipped`);
+    return null;
+  }
+  const existing = await paymentsRepo.findByTransaction(provider.name, transactionId);
+  if (existing && (PAYMENT_STATUS_RANK[existing.status] ?? 0) > PAYMENT_STATUS_RANK[status]) {
+    return existing;
+  }
+
+  const payment = await paymentsRepo.upsertByTransaction(provider.name, transactionId, {
+    customer_id: customerId,
+    job_id: jobId,
+    purpose,
+    amount: financials.toDollars(amountCents),
+    tax_amount: financials.toDollars(taxCents),
+    discount_amount: financials.toDollars(discountCents),
+    credit_amount: financials.toDollars(creditCents),
+    currency: String(currency || financials.CURRENCY).toUpperCase(),
+    status,
+    payment_method: paymentMethod,
+    notes,
+    paid_at: status === 'completed' && !existing?.paid_at ? new Date().toISOString() : undefined
+  });
+
+  const job = await jobsRepo.findById(jobId);
+  if (job && purpose === PURPOSES.INSPECTION_FEE) {
+    await jobsRepo.update(jobId, { inspection_fee_status: INSPECTION_FEE_STATUS[status] });
+  } else if (job) {
+    const updates = { payment_status: JOB_PAYMENT_STATUS[status] };
+    if (status === 'completed' && (!job.payout_status || job.payout_status === 'not_ready')) {
+      updates.payout_status = 'ready';
+    }
+    const updated = await jobsRepo.update(jobId, updates);
+    if (status === 'completed') {
+      await ledger.accrueJob(updated);
+      await promotions.recordRedeemed(payment);
+    }
+  }
+  if (status === 'completed') {
+    await ledger.recordPaymentCaptured(payment);
+    await documents.refreshInvoice(jobId);
+    await notifications.paymentReceived(payment);
+  }
+
+  await logEvent({
+    action: `payment.${status}`,
+    entity_type: 'job',
+    entity_id: jobId,
+    actor: SYSTEM_ACTOR,
+    before: existing ? { status: existing.status } : null,
+    after: { status, purpose, amount: payment.amount, currency: payment.currency },
+    meta: { provider: provider.name, event_id: event.id, payment_intent: transactionId, payment_id: payment.id }
+  });
+  return payment;
+}
+
+async function intentState(event, status, extra = {}) {
+  const intent = event.data.object;
+  return {
+    transactionId: intent.id,
+    jobId: intent.metadata?.job_id,
+    customerId: intent.metadata?.customer_id,
+    purpose: intent.metadata?.purpose === PURPOSES.INSPECTION_FEE ? PURPOSES.INSPECTION_FEE : PURPOSES.JOB,
+    status,
+    amountCents: status === 'completed' ? intent.amount_received : intent.amount,
+    taxCents: Number(intent.metadata?.tax_cents) || 0,
+    discountCents: Number(intent.metadata?.discount_cents) || 0,
+    creditCents: Number(intent.metadata?.credit_cents) || 0,
+    currency: intent.currency,
+    paymentMethod: await cardLabel(intent),
+    notes: null,
+    event,
+    ...extra
+  };
+}
+
+async function applyEvent(event) {
+  switch (event.type) {
+    case 'payment_intent.processing':
+      return applyPaymentState(await intentState(event, 'processing'));
+    case 'payment_intent.amount_capturable_updated':
+      return applyPaymentState(await intentState(event, 'authorized'));
+    case 'payment_intent.succeeded':
+      return applyPaymentState(await intentState(event, 'completed'));
+    case 'payment_intent.payment_failed':
+      return applyPaymentState(await intentState(event, 'failed', {
+        notes: event.data.object.last_payment_error?.message || null
+      }));
+    case 'payment_intent.canceled': {
+      // Only payments that got as far as a row are marked; unpaid checkouts just close
+      const existing = await paymentsRepo.findByTransaction(provider.name, event.data.object.id);
+      return existing ? applyPaymentState(await intentState(event, 'canceled')) : null;
+    }
+    case 'charge.refunded': {
+      const list = event.data.object.refunds;
+      for (const refund of (list && list.data) || []) {
+        await refunds.applyRefund(refund, event);
+      }
+      return null;
+    }
+    case 'refund.created':
+    case 'refund.updated':
+    case 'refund.failed':
+    case 'charge.refund.updated':
+      return refunds.applyRefund(event.data.object, event);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Verify and apply a webhook delivery
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header
+ * @returns {Promise<{ event: Object, duplicate: boolean }>}
+ * @throws {PaymentError} 400 for an unverifiable delivery
+ */
+async function handleWebhook(rawBody, signature) {
+  const event = provider.constructEvent(rawBody, signature);
+  if (!event || !event.id || !event.type || !event.data) {
+    throw new PaymentError('Invalid webhook payload');
+  }
+  const stored = await paymentEvents.record({
+    id: event.id,
+    provider: provider.name,
+    type: event.type,
+    payload: event
+  });
+  if (stored.processed_at) {
+    return { event, duplicate: true };
+  }
+  await applyEvent(event);
+  await paymentEvents.markProcessed(event.id);
+  return { event, duplicate: false };
+}
+
+function publicConfig() {
+  return { ...provider.publicConfig(), currency: financials.CURRENCY };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  PaymentError,
+  provider,
+  startCheckout,
+  confirmCheckout,
+  startInspectionFeeCheckout,
+  confirmInspectionFeeCheckout,
+  handleWebhook,
+  requestRefund: refunds.requestRefund,
+  REFUND_REASONS: refunds.REFUND_REASONS,
+  publicConfig
+};
@@ -0,0 +1,18 @@
+/**
+ * The payment provider selected by PAYMENT_PROVIDER
+ *
+ * Its own module so the checkout and refund services share one instance
+ * without requiring each other.
+ */
+
+const ENV = require('../../config/env');
+
+const provider = ENV.paymentProvider === 'stripe'
+  ? require('./stripe-provider')
+  : require('./stub-provider');
+
+if (provider.name === 'stub' && ENV.isProduction) {
+  console.warn('⚠️  PAYMENT_PROVIDER=stub in production; no real money will move.');
+}
+
+module.exports = provider;
@@ -0,0 +1,336 @@
+/**
+ * Refunds – admin-initiated full and partial refunds of a job's payment
+ *
+ * Usage:
+ *   const { requestRefund } = require('./services/payments');
+ *   const refund = await requestRefund({ paymentId, amount: '50.00', reasonCode: 'service_quality', actor });
+ *
+ * requestRefund asks the provider for the refund and records it as pending.
+ * Money only counts as returned once the provider's refund event arrives
+ * (applyRefund, called from the webhook handler). A succeeded refund is
+ * settled exactly once:
+ *   - payments.amount_refunded is re-added from the payment's succeeded
+ *     refunds and split into price and sales tax in the proportion the
+ *     payment carried tax; the refund's share is added to jobs.refunded_amount
+ *     and jobs.refunded_tax (a job can have an inspection fee payment as well
+ *     as its final one) and stored as the refund's tax_amount, and the
+ *     payment/job status becomes partially_refunded or refunded
+ *   - an inspection fee refunded before the job is completed only changes
+ *     the job's inspection_fee_status: the fee was never part of a price, and
+ *     checkout credits whatever is left of it
+ *   - the job's platform fee and contractor payout are recalculated by the
+ *     financial engine (the refund comes off the net amount; the processing
+ *     fee is not returned) and stored on the refund row
+ *   - if the contractor was already paid for the job, the payout drop
+ *     becomes a clawback on their next payout (services/payout-adjustments)
+ *   - the job is re-accrued and the refund posted to the ledger, and the
+ *     job's invoice is revised to show it (services/documents)
+ *   - the customer is emailed and payment.refunded is audited
+ */
+
+const financials = require('../../lib/financials');
+const {
+  jobs: jobsRepo,
+  payments: paymentsRepo,
+  refunds: refundsRepo,
+  customers: customersRepo
+} = require('../../repositories');
+const { logEvent } = require('../audit-service');
+const { sendRefundEmail } = require('../../email-service');
+const payoutAdjustments = require('../payout-adjustments');
+const ledger = require('../ledger');
+const documents = require('../documents');
+const tax = require('../tax');
+const { PaymentError, PURPOSES } = require('./shared');
+const provider = require('./provider');
+
+// Reason code → label and the reason Stripe accepts for it
+const REFUND_REASONS = {
+  requested_by_customer: { label: 'Requested by the customer', provider_reason: 'requested_by_customer' },
+  duplicate: { label: 'Duplicate payment', provider_reason: 'duplicate' },
+  fraudulent: { label: 'Fraudulent payment', provider_reason: 'fraudulent' },
+  service_not_completed: { label: 'Service not completed', provider_reason: 'requested_by_customer' },
+  service_quality: { label: 'Service quality issue', provider_reason: 'requested_by_customer' },
+  pricing_error: { label: 'Pricing error', provider_reason: 'requested_by_customer' },
+  goodwill: { label: 'Goodwill gesture', provider_reason: 'requested_by_customer' }
+};
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+const NOTE_MAX_LENGTH = 500;
+const SYSTEM_ACTOR = { role: 'system', id: `payments:${provider.name}` };
+
+// Provider refund status → refunds.status
+const REFUND_STATUS = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+function reasonFromProvider(reason) {
+  return reason === 'duplicate' || reason === 'fraudulent' ? reason : 'requested_by_customer';
+}
+
+/**
+ * Ask the provider to refund (part of) a payment
+ * @param {Object} input - { paymentId, amount (dollars; omit for the full remainder), reasonCode, note, actor }
+ * @returns {Promise<Object>} The pending refund row
+ * @throws {PaymentError} 404 unknown payment, 409 not refundable, 400 bad amount/reason
+ */
+async function requestRefund({ paymentId, amount, reasonCode, note, actor }) {
+  const payment = await paymentsRepo.findById(paymentId);
+  if (!payment) {
+    throw new PaymentError('Payment not found', 404);
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new PaymentError('Only a completed payment can be refunded', 409);
+  }
+  if (payment.provider !== provider.name || !payment.transaction_id) {
+    throw new PaymentError(`This payment was not taken through ${provider.name} and cannot be refunded here`, 409);
+  }
+  if (!REFUND_REASONS[reasonCode]) {
+    throw new PaymentError('A valid reason code is required');
+  }
+  const cleanNote = note ? String(note).trim().slice(0, NOTE_MAX_LENGTH) : null;
+
+  const pending = await refundsRepo.list({ paymentId: payment.id, status: 'pending' });
+  const committedCents = (financials.toCents(payment.amount_refunded) || 0) + financials.sumAmountCents(pending, 'amount');
+  const remainingCents = (financials.toCents(payment.amount) || 0) - committedCents;
+  if (remainingCents <= 0) {
+    throw new PaymentError('Nothing is left to refund on this payment', 409);
+  }
+
+  const amountCents = amount === undefined || amount === null || amount === ''
+    ? remainingCents
+    : financials.toCents(amount);
+  if (amountCents === null || amountCents <= 0) {
+    throw new PaymentError('Invalid refund amount');
+  }
+  if (amountCents > remainingCents) {
+    throw new PaymentError(`At most ${financials.toDollars(remainingCents).toFixed(2)} ${payment.currency} can be refunded`);
+  }
+
+  const refund = await provider.createRefund({
+    paymentIntentId: payment.transaction_id,
+    amountCents,
+    reason: REFUND_REASONS[reasonCode].provider_reason,
+    metadata: {
+      payment_id: String(payment.id),
+      job_id: String(payment.job_id),
+      reason_code: reasonCode,
+      requested_by: actor ? `${actor.role}:${actor.id}` : ''
+    },
+    // A double-submitted form gets the same refund back instead of a second one
+    idempotencyKey: `refund:${payment.id}:${committedCents}:${amountCents}`
+  });
+
+  // Status is left to the provider's events; this only records who asked and why
+  const row = await refundsRepo.upsertByProviderRefund(provider.name, refund.id, {
+    payment_id: payment.id,
+    job_id: payment.job_id,
+    amount: financials.toDollars(refund.amount),
+    currency: String(refund.currency || payment.currency).toUpperCase(),
+    reason_code: reasonCode,
+    note: cleanNote,
+    requested_by: actor || null
+  });
+
+  await logEvent({
+    action: 'payment.refund_requested',
+    entity_type: 'job',
+    entity_id: payment.job_id,
+    actor,
+    reason: reasonCode,
+    after: { refund_id: row.id, amount: row.amount, currency: row.currency, note: cleanNote },
+    meta: { provider: provider.name, payment_id: payment.id, provider_refund_id: refund.id }
+  });
+  return row;
+}
+
+async function notifyCustomer(payment, job, refund, totalRefundedCents) {
+  const customer = await customersRepo.findById(payment.customer_id);
+  if (!customer || !customer.email) return;
+  const paidCents = financials.toCents(payment.amount) || 0;
+  await sendRefundEmail(customer.email, customer.full_name, {
+    amount: Number(refund.amount).toFixed(2),
+    currency: refund.currency,
+    jobReference: job ? `#${String(job.id).slice(0, 8)}` : 'your job',
+    reasonLabel: (REFUND_REASONS[refund.reason_code] || REFUND_REASONS.requested_by_customer).label,
+    fullRefund: totalRefundedCents >= paidCents,
+    totalRefunded: financials.toDollars(totalRefundedCents).toFixed(2),
+    amountPaid: financials.toDollars(paidCents).toFixed(2)
+  });
+}
+
+/**
+ * Settle a refund that has just succeeded (no-op when already settled)
+ */
+async function settleRefund(row, payment, event) {
+  const job = payment.job_id ? await jobsRepo.findById(payment.job_id) : null;
+  const succeeded = (await refundsRepo.list({ paymentId: payment.id, status: 'succeeded' }))
+    .filter(refund => String(refund.id) !== String(row.id));
+  const paymentRefundedCents = financials.sumAmountCents(succeeded, 'amount') + financials.toCents(row.amount);
+  const paidCents = financials.toCents(payment.amount) || 0;
+  const paymentTaxCents = financials.toCents(payment.tax_amount) || 0;
+  const split = tax.splitRefund({ paidCents, taxCents: paymentTaxCents, refundedCents: paymentRefundedCents });
+  const splitBefore = tax.splitRefund({
+    paidCents,
+    taxCents: paymentTaxCents,
+    refundedCents: paymentRefundedCents - financials.toCents(row.amount)
+  });
+
+  // An inspection fee refunded before completion is not a refund of the job's price
+  const priced = Boolean(job) && (payment.purpose !== PURPOSES.INSPECTION_FEE || job.status === 'completed');
+  const refundedCents = priced
+    ? (financials.toCents(job.refunded_amount) || 0) + split.priceCents - splitBefore.priceCents
+    : null;
+  const refundedTaxCents = priced
+    ? (financials.toCents(job.refunded_tax) || 0) + split.taxCents - splitBefore.taxCents
+    : null;
+  const before = priced ? financials.jobFinancials(job) : null;
+  const after = priced
+    ? financials.jobFinancials({ ...job, refunded_amount: financials.toDollars(refundedCents) })
+    : null;
+
+  const settled = await refundsRepo.markSucceeded(row.id, {
+    tax_amount: financials.toDollars(split.taxCents - splitBefore.taxCents),
+    platform_fee_before: before?.platform_fee ?? null,
+    platform_fee_after: after?.platform_fee ?? null,
+    contractor_payout_before: before?.contractor_payout ?? null,
+    contractor_payout_after: after?.contractor_payout ?? null
+  });
+  if (!settled) return row;
+
+  const status = paymentRefundedCents >= paidCents ? 'refunded' : 'partially_refunded';
+  await paymentsRepo.update(payment.id, {
+    amount_refunded: financials.toDollars(paymentRefundedCents),
+    status
+  });
+
+  let clawback = null;
+  let updatedJob = null;
+  if (job && payment.purpose === PURPOSES.INSPECTION_FEE) {
+    await jobsRepo.update(job.id, { inspection_fee_status: status === 'refunded' ? 'refunded' : 'paid' });
+  }
+  if (priced) {
+    const jobStatus = payment.purpose === PURPOSES.INSPECTION_FEE
+      ? (job.payment_status === 'paid' ? 'partially_refunded' : undefined)
+      : status;
+    updatedJob = await jobsRepo.update(job.id, {
+      refunded_amount: financials.toDollars(refundedCents),
+      refunded_tax: financials.toDollars(refundedTaxCents),
+      payment_status: jobStatus
+    });
+    const payoutDropCents = (before.cents?.contractor_payout || 0) - (after.cents?.contractor_payout || 0);
+    if (job.payout_status === 'paid' && payoutDropCents > 0) {
+      clawback = await payoutAdjustments.createClawback({
+        contractorId: job.contractor_id,
+        jobId: job.id,
+        refundId: settled.id,
+        amountCents: payoutDropCents
+      });
+      if (clawback) {
+        await logEvent({
+          action: 'payout.clawback_created',
+          entity_type: 'contractor',
+          entity_id: job.contractor_id,
+          actor: SYSTEM_ACTOR,
+          reason: settled.reason_code,
+          after: { adjustment_id: clawback.id, amount: clawback.amount, currency: clawback.currency },
+          meta: { job_id: job.id, refund_id: settled.id }
+        });
+      }
+    }
+  }
+
+  await ledger.recordRefund(settled, updatedJob);
+  if (payment.job_id) await documents.refreshInvoice(payment.job_id);
+
+  await logEvent({
+    action: 'payment.refunded',
+    entity_type: 'job',
+    entity_id: payment.job_id,
+    actor: SYSTEM_ACTOR,
+    reason: settled.reason_code,
+    before: {
+      amount_refunded: Number(payment.amount_refunded) || 0,
+      platform_fee: before?.platform_fee ?? null,
+      contractor_payout: before?.contractor_payout ?? null
+    },
+    after: {
+      status,
+      amount_refunded: financials.toDollars(paymentRefundedCents),
+      platform_fee: after?.platform_fee ?? null,
+      contractor_payout: after?.contractor_payout ?? null
+    },
+    meta: {
+      provider: provider.name,
+      event_id: event.id,
+      payment_id: payment.id,
+      refund_id: settled.id,
+      refund_amount: settled.amount,
+      refund_tax_amount: settled.tax_amount,
+      clawback_id: clawback ? clawback.id : null
+    }
+  });
+
+  await notifyCustomer(payment, job, settled, paymentRefundedCents);
+  return settled;
+}
+
+/**
+ * Apply a provider refund object from a webhook event
+ * @param {Object} refund - Stripe-shaped refund (amount in cents)
+ * @param {Object} event - The event it arrived in
+ */
+async function applyRefund(refund, event) {
+  const payment = await paymentsRepo.findByTransaction(provider.name, refund.payment_intent);
+  if (!payment) {
+    console.warn(`Refund ${refund.id} (event ${event.id}) has no matching payment; skipped`);
+    return null;
+  }
+  const existing = await refundsRepo.findByProviderRefund(provider.name, refund.id);
+  if (existing && existing.status === 'succeeded') return existing;
+
+  const status = REFUND_STATUS[refund.status] || 'pending';
+  const metadata = refund.metadata || {};
+  const fields = {
+    payment_id: payment.id,
+    job_id: payment.job_id,
+    amount: financials.toDollars(refund.amount),
+    currency: String(refund.currency || payment.currency).toUpperCase(),
+    status: status === 'succeeded' ? undefined : status
+  };
+  let row;
+  if (existing) {
+    // A plain update: the row already has its reason code and requester
+    row = await refundsRepo.update(existing.id, fields);
+  } else {
+    // Refunds made outside this API (e.g. the provider's dashboard) carry no reason code
+    fields.reason_code = REFUND_REASONS[metadata.reason_code] ? metadata.reason_code : reasonFromProvider(refund.reason);
+    row = await refundsRepo.upsertByProviderRefund(provider.name, refund.id, fields);
+  }
+
+  if (status === 'succeeded') {
+    return settleRefund(row, payment, event);
+  }
+  if ((status === 'failed' || status === 'canceled') && existing?.status !== status) {
+    await logEvent({
+      action: `payment.refund_${status}`,
+      entity_type: 'job',
+      entity_id: payment.job_id,
+      actor: SYSTEM_ACTOR,
+      reason: row.reason_code,
+      after: { refund_id: row.id, amount: row.amount, status },
+      meta: { provider: provider.name, event_id: event.id, payment_id: payment.id, failure_reason: refund.failure_reason || null }
+    });
+  }
+  return row;
+}
+
+module.exports = {
+  REFUND_REASONS,
+  requestRefund,
+  applyRefund
+};
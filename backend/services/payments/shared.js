@@ -0,0 +1,92 @@
+/**
+ * Pieces shared by the payment providers: the error type and Stripe's
+ * webhook signature scheme, which the stub reproduces.
+ *
+ * A signed event carries a header of the form
+ *   Stripe-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * and is rejected when the timestamp is further than TOLERANCE_SECONDS away.
+ */
+
+const crypto = require('crypto');
+const ENV = require('../../config/env');
+
+const SIGNATURE_HEADER = 'stripe-signature';
+
+// What a payment is for: the job's price, or the inspection fee collected
+// before quoting (credited against the price)
+const PURPOSES = {
+  JOB: 'job',
+  INSPECTION_FEE: 'inspection_fee'
+};
+const TOLERANCE_SECONDS = 5 * 60;
+
+class PaymentError extends Error {
+  /**
+   * @param {string} message - Safe to show to the customer
+   * @param {number} [status=400]
+   * @param {string} [code] - Provider error code, e.g. 'card_declined'
+   */
+  constructor(message, status = 400, code = null) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function webhookSecret() {
+  return ENV.paymentWebhookSecret || `payments:${ENV.jwtSecret}`;
+}
+
+function hmac(timestamp, payload, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * Signature header value for a raw event body
+ */
+function signPayload(payload, secret = webhookSecret(), timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(timestamp, payload, secret)}`;
+}
+
+/**
+ * Check a signature header against the raw body and parse the event
+ * @param {Buffer|string} rawBody - The request body exactly as received
+ * @param {string} header - Signature header value
+ * @returns {Object} The event
+ * @throws {PaymentError} 400 when the signature is missing, stale or wrong
+ */
+function verifySignature(rawBody, header, secret = webhookSecret()) {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  const parts = String(header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    throw new PaymentError('Missing webhook signature');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > TOLERANCE_SECONDS) {
+    throw new PaymentError('Webhook timestamp outside the tolerance window');
+  }
+  const expected = Buffer.from(hmac(timestamp, payload, secret), 'hex');
+  const valid = signatures.some(signature => {
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!valid) {
+    throw new PaymentError('Invalid webhook signature');
+  }
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    throw new PaymentError('Invalid webhook payload');
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  PURPOSES,
+  PaymentError,
+  webhookSecret,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,125 @@
+/**
+ * Stripe payment provider – calls the Stripe REST API directly
+ *
+ * Same interface as the stub; objects come back exactly as Stripe returns
+ * them. Webhooks are verified with PAYMENT_WEBHOOK_SECRET (the endpoint's
+ * "whsec_..." signing secret).
+ */
+
+const ENV = require('../../config/env');
+const { PaymentError, verifySignature } = require('./shared');
+
+const NAME = 'stripe';
+const API_BASE = 'https://api.stripe.com/v1';
+
+/**
+ * Stripe's form encoding, including nested keys (metadata[job_id]=...)
+ */
+function formEncode(params, prefix = '', pairs = []) {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      formEncode(value, name, pairs);
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  });
+  return pairs.join('&');
+}
+
+async function request(method, path, params = null, idempotencyKey = null) {
+  const headers = { Authorization: `Bearer ${ENV.stripeSecretKey}` };
+  if (params) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: params ? formEncode(params) : undefined
+    });
+  } catch (error) {
+    console.error('Stripe request failed:', error.message);
+    throw new PaymentError('The payment service is unavailable. Please try again.', 502);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const stripeError = body.error || {};
+    const status = stripeError.type === 'card_error' ? 402 : response.status >= 500 ? 502 : 400;
+    throw new PaymentError(stripeError.message || 'Payment request failed', status, stripeError.code || null);
+  }
+  return body;
+}
+
+async function createPaymentIntent({ amountCents, currency, metadata = {}, captureMethod = 'automatic', idempotencyKey }) {
+  return request('POST', '/payment_intents', {
+    amount: amountCents,
+    currency: String(currency).toLowerCase(),
+    capture_method: captureMethod,
+    metadata,
+    payment_method_types: ['card']
+  }, idempotencyKey);
+}
+
+async function retrievePaymentIntent(id) {
+  return request('GET', `/payment_intents/${encodeURIComponent(id)}`);
+}
+
+async function retrieveCharge(id) {
+  return request('GET', `/charges/${encodeURIComponent(id)}`);
+}
+
+async function confirmPaymentIntent(id, { paymentMethod } = {}) {
+  return request('POST', `/payment_intents/${encodeURIComponent(id)}/confirm`, {
+    payment_method: paymentMethod
+  });
+}
+
+async function capturePaymentIntent(id, { amountCents } = {}) {
+  return request('POST', `/payment_intents/${encodeURIComponent(id)}/capture`, {
+    amount_to_capture: amountCents
+  });
+}
+
+async function cancelPaymentIntent(id) {
+  return request('POST', `/payment_intents/${encodeURIComponent(id)}/cancel`, {});
+}
+
+async function createRefund({ paymentIntentId, amountCents, reason = null, metadata = {}, idempotencyKey }) {
+  return request('POST', '/refunds', {
+    payment_intent: paymentIntentId,
+    amount: amountCents,
+    reason,
+    metadata
+  }, idempotencyKey);
+}
+
+function constructEvent(rawBody, signature) {
+  return verifySignature(rawBody, signature);
+}
+
+function publicConfig() {
+  return {
+    provider: NAME,
+    test_mode: ENV.stripePublishableKey.startsWith('pk_test_'),
+    publishable_key: ENV.stripePublishableKey
+  };
+}
+
+module.exports = {
+  name: NAME,
+  createPaymentIntent,
+  retrievePaymentIntent,
+  retrieveCharge,
+  confirmPaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  constructEvent,
+  publicConfig,
+  // Shared with the payout provider, which talks to the same API
+  request
+};
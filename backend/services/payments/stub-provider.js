@@ -0,0 +1,306 @@
+/**
+ * Stub payment provider – a local stand-in for Stripe
+ *
+ * Keeps payment intents in memory and walks them through Stripe's
+ * lifecycle:
+ *
+ *   requires_payment_method → (confirm) → succeeded
+ *                                       → requires_capture → (capture) → succeeded
+ *                           → (declined card) → requires_payment_method
+ *   any open state → (cancel) → canceled
+ *
+ * Every change is announced the way Stripe does it: a signed event POSTed
+ * to PAYMENT_WEBHOOK_URL (this API's /api/payments/webhook by default),
+ * retried a few times on failure. Objects and events use Stripe's field
+ * names so code written against the stub works against Stripe.
+ *
+ * Payment methods are Stripe's test ids (see TEST_PAYMENT_METHODS); the
+ * checkout page maps Stripe's test card numbers onto them.
+ * Intents are lost on restart.
+ */
+
+const crypto = require('crypto');
+const ENV = require('../../config/env');
+const { PaymentError, SIGNATURE_HEADER, signPayload, verifySignature } = require('./shared');
+
+const NAME = 'stub';
+const API_VERSION = '2024-06-20';
+const DELIVERY_ATTEMPTS = 4;
+const RETRY_DELAY_MS = 2000;
+
+const TEST_PAYMENT_METHODS = {
+  pm_card_visa: { brand: 'visa', last4: '4242' },
+  pm_card_mastercard: { brand: 'mastercard', last4: '4444' },
+  pm_card_chargeDeclined: { brand: 'visa', last4: '0002', declineCode: 'generic_decline' },
+  pm_card_chargeDeclinedInsufficientFunds: { brand: 'visa', last4: '9995', declineCode: 'insufficient_funds' }
+};
+
+const OPEN_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_capture'];
+
+const intents = new Map();
+const charges = new Map();
+const idempotentResults = new Map();
+
+function stubId(prefix) {
+  return `${prefix}_stub_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function snapshot(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * Same key, same result – as Stripe's Idempotency-Key header
+ */
+function idempotent(key, create) {
+  if (!key) return create();
+  if (!idempotentResults.has(key)) {
+    idempotentResults.set(key, create());
+  }
+  return idempotentResults.get(key);
+}
+
+async function deliver(event, attempt = 1) {
+  const payload = JSON.stringify(event);
+  try {
+    const response = await fetch(ENV.paymentWebhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(payload) },
+      body: payload
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    if (attempt >= DELIVERY_ATTEMPTS) {
+      console.error(`Stub webhook ${event.type} (${event.id}) not delivered:`, error.message);
+      return;
+    }
+    setTimeout(() => deliver(event, attempt + 1), RETRY_DELAY_MS * attempt).unref();
+  }
+}
+
+function emit(type, object) {
+  const event = {
+    id: stubId('evt'),
+    object: 'event',
+    api_version: API_VERSION,
+    created: now(),
+    livemode: false,
+    type,
+    data: { object: snapshot(object) }
+  };
+  setImmediate(() => deliver(event));
+  return event;
+}
+
+function findIntent(id) {
+  const intent = intents.get(id);
+  if (!intent) {
+    throw new PaymentError(`No such payment_intent: '${id}'`, 404, 'resource_missing');
+  }
+  return intent;
+}
+
+function unexpectedState(intent, action) {
+  return new PaymentError(
+    `You cannot ${action} this PaymentIntent because it has a status of ${intent.status}.`,
+    400,
+    'payment_intent_unexpected_state'
+  );
+}
+
+async function createPaymentIntent({ amountCents, currency, metadata = {}, captureMethod = 'automatic', idempotencyKey }) {
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    throw new PaymentError('Amount must be a positive number of cents', 400, 'parameter_invalid_integer');
+  }
+  return snapshot(idempotent(idempotencyKey, () => {
+    const id = stubId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount: amountCents,
+      amount_capturable: 0,
+      amount_received: 0,
+      currency: String(currency).toLowerCase(),
+      capture_method: captureMethod,
+      client_secret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      created: now(),
+      latest_charge: null,
+      last_payment_error: null,
+      livemode: false,
+      metadata: { ...metadata },
+      payment_method: null,
+      payment_method_types: ['card'],
+      status: 'requires_payment_method'
+    };
+    intents.set(id, intent);
+    emit('payment_intent.created', intent);
+    return intent;
+  }));
+}
+
+async function retrievePaymentIntent(id) {
+  return snapshot(findIntent(id));
+}
+
+async function retrieveCharge(id) {
+  const charge = charges.get(id);
+  if (!charge) {
+    throw new PaymentError(`No such charge: '${id}'`, 404, 'resource_missing');
+  }
+  return snapshot(charge);
+}
+
+async function confirmPaymentIntent(id, { paymentMethod } = {}) {
+  const intent = findIntent(id);
+  if (!['requires_payment_method', 'requires_confirmation'].includes(intent.status)) {
+    throw unexpectedState(intent, 'confirm');
+  }
+  const card = TEST_PAYMENT_METHODS[paymentMethod];
+  if (!card) {
+    throw new PaymentError(`No such PaymentMethod: '${paymentMethod}'`, 400, 'resource_missing');
+  }
+
+  intent.payment_method = paymentMethod;
+  if (card.declineCode) {
+    intent.status = 'requires_payment_method';
+    intent.last_payment_error = {
+      type: 'card_error',
+      code: 'card_declined',
+      decline_code: card.declineCode,
+      message: card.declineCode === 'insufficient_funds' ? 'Your card has insufficient funds.' : 'Your card was declined.',
+      payment_method: { id: paymentMethod, card: { brand: card.brand, last4: card.last4 } }
+    };
+    emit('payment_intent.payment_failed', intent);
+    return snapshot(intent);
+  }
+
+  const charge = {
+    id: stubId('ch'),
+    object: 'charge',
+    amount: intent.amount,
+    amount_captured: 0,
+    amount_refunded: 0,
+    currency: intent.currency,
+    payment_intent: intent.id,
+    payment_method: paymentMethod,
+    payment_method_details: { type: 'card', card: { brand: card.brand, last4: card.last4 } },
+    captured: false,
+    refunded: false,
+    metadata: { ...intent.metadata },
+    created: now()
+  };
+  charges.set(charge.id, charge);
+  intent.latest_charge = charge.id;
+  intent.last_payment_error = null;
+
+  if (intent.capture_method === 'manual') {
+    intent.status = 'requires_capture';
+    intent.amount_capturable = intent.amount;
+    emit('payment_intent.amount_capturable_updated', intent);
+  } else {
+    charge.captured = true;
+    charge.amount_captured = intent.amount;
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount;
+    emit('payment_intent.succeeded', intent);
+  }
+  return snapshot(intent);
+}
+
+async function capturePaymentIntent(id, { amountCents } = {}) {
+  const intent = findIntent(id);
+  if (intent.status !== 'requires_capture') {
+    throw unexpectedState(intent, 'capture');
+  }
+  const amount = amountCents ?? intent.amount_capturable;
+  if (!Number.isInteger(amount) || amount <= 0 || amount > intent.amount_capturable) {
+    throw new PaymentError('Amount to capture must be between 1 and the capturable amount', 400, 'amount_too_large');
+  }
+  const charge = charges.get(intent.latest_charge);
+  charge.captured = true;
+  charge.amount_captured = amount;
+  intent.status = 'succeeded';
+  intent.amount_capturable = 0;
+  intent.amount_received = amount;
+  emit('payment_intent.succeeded', intent);
+  return snapshot(intent);
+}
+
+async function cancelPaymentIntent(id) {
+  const intent = findIntent(id);
+  if (!OPEN_STATUSES.includes(intent.status)) {
+    throw unexpectedState(intent, 'cancel');
+  }
+  intent.status = 'canceled';
+  intent.amount_capturable = 0;
+  intent.canceled_at = now();
+  emit('payment_intent.canceled', intent);
+  return snapshot(intent);
+}
+
+async function createRefund({ paymentIntentId, amountCents, reason = null, metadata = {}, idempotencyKey }) {
+  const intent = findIntent(paymentIntentId);
+  if (intent.status !== 'succeeded') {
+    throw new PaymentError('Only a succeeded payment can be refunded', 400, 'charge_not_refundable');
+  }
+  return snapshot(idempotent(idempotencyKey, () => {
+    const charge = charges.get(intent.latest_charge);
+    const refundable = charge.amount_captured - charge.amount_refunded;
+    const amount = amountCents ?? refundable;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+      throw new PaymentError('Refund amount is more than the amount left to refund', 400, 'amount_too_large');
+    }
+    const refund = {
+      id: stubId('re'),
+      object: 'refund',
+      amount,
+      charge: charge.id,
+      currency: charge.currency,
+      payment_intent: intent.id,
+      reason,
+      metadata: { ...metadata },
+      status: 'succeeded',
+      created: now()
+    };
+    charge.amount_refunded += amount;
+    charge.refunded = charge.amount_refunded >= charge.amount_captured;
+    charge.refunds = { object: 'list', data: [refund, ...((charge.refunds && charge.refunds.data) || [])] };
+    emit('refund.created', refund);
+    emit('charge.refunded', charge);
+    return refund;
+  }));
+}
+
+function constructEvent(rawBody, signature) {
+  return verifySignature(rawBody, signature);
+}
+
+function publicConfig() {
+  return {
+    provider: NAME,
+    test_mode: true,
+    test_cards: [
+      { number: '4242 4242 4242 4242', payment_method: 'pm_card_visa', outcome: 'Succeeds' },
+      { number: '5555 5555 5555 4444', payment_method: 'pm_card_mastercard', outcome: 'Succeeds' },
+      { number: '4000 0000 0000 0002', payment_method: 'pm_card_chargeDeclined', outcome: 'Declined' },
+      { number: '4000 0000 0000 9995', payment_method: 'pm_card_chargeDeclinedInsufficientFunds', outcome: 'Insufficient funds' }
+    ]
+  };
+}
+
+module.exports = {
+  name: NAME,
+  createPaymentIntent,
+  retrievePaymentIntent,
+  retrieveCharge,
+  confirmPaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
+  createRefund,
+  constructEvent,
+  publicConfig
+};
@@ -0,0 +1,87 @@
+/**
+ * Payout Adjustments – amounts taken off a contractor's next payout
+ *
+ * Usage:
+ *   const payoutAdjustments = require('./services/payout-adjustments');
+ *   await payoutAdjustments.createClawback({ contractorId, jobId, refundId, amountCents });
+ *   const net = await payoutAdjustments.applyToPayout(contractorId, grossCents, payoutId);
+ *
+ * A refund on a job whose payout already went out leaves the contractor
+ * owing the difference. That is recorded here as a negative adjustment and
+ * settled by the contractor's next payout. A payout never goes below zero:
+ * whatever it cannot absorb is carried forward as a new pending adjustment.
+ */
+
+const financials = require('../lib/financials');
+const { payoutAdjustments: adjustmentsRepo } = require('../repositories');
+
+const REASONS = {
+  REFUND_CLAWBACK: 'refund_clawback',
+  CARRIED_FORWARD: 'carried_forward'
+};
+
+/**
+ * Record what a contractor owes back after a refund
+ * @param {Object} input - { contractorId, jobId, refundId, amountCents } (amountCents > 0)
+ * @returns {Promise<Object|null>} The adjustment (the existing one for a refund seen before)
+ */
+async function createClawback({ contractorId, jobId, refundId, amountCents }) {
+  if (!contractorId || !Number.isInteger(amountCents) || amountCents <= 0) return null;
+  const [existing] = await adjustmentsRepo.list({ refundId, limit: 1 });
+  if (existing) return existing;
+  return adjustmentsRepo.create({
+    contractor_id: contractorId,
+    job_id: jobId,
+    refund_id: refundId,
+    amount: financials.toDollars(-amountCents),
+    currency: financials.CURRENCY,
+    reason: REASONS.REFUND_CLAWBACK
+  });
+}
+
+/**
+ * A contractor's pending adjustments and their total, in cents
+ */
+async function pendingFor(contractorId) {
+  const adjustments = await adjustmentsRepo.list({ contractorId, status: 'pending' });
+  return { adjustments, totalCents: financials.sumAmountCents(adjustments, 'amount') };
+}
+
+/**
+ * Settle a contractor's pending adjustments against a payout
+ * @param {string} contractorId
+ * @param {number} grossCents - Payout before adjustments
+ * @param {string} payoutId - Recorded on each applied adjustment
+ * @returns {Promise<{ gross_cents, adjustment_cents, net_cents, applied, carried_forward }>}
+ */
+async function applyToPayout(contractorId, grossCents, payoutId) {
+  const { adjustments } = await pendingFor(contractorId);
+  const applied = await adjustmentsRepo.markApplied(adjustments.map(a => a.id), payoutId);
+  const adjustmentCents = financials.sumAmountCents(applied, 'amount');
+  const totalCents = grossCents + adjustmentCents;
+
+  let carriedForward = null;
+  if (totalCents < 0) {
+    carriedForward = await adjustmentsRepo.create({
+      contractor_id: contractorId,
+      amount: financials.toDollars(totalCents),
+      currency: financials.CURRENCY,
+      reason: REASONS.CARRIED_FORWARD
+    });
+  }
+
+  return {
+    gross_cents: grossCents,
+    adjustment_cents: carriedForward ? -grossCents : adjustmentCents,
+    net_cents: Math.max(0, totalCents),
+    applied,
+    carried_forward: carriedForward
+  };
+}
+
+module.exports = {
+  REASONS,
+  createClawback,
+  pendingFor,
+  applyToPayout
+};
@@ -0,0 +1,566 @@
+/**
+ * Payouts – contractor payout batches
+ *
+ * Usage:
+ *   const payouts = require('./services/payouts');
+ *   const batch = await payouts.draftBatch({ paymentSchedule: 'weekly', actor });
+ *   await payouts.approveBatch(batch.id, otherAdmin);
+ *   await payouts.executeBatch(batch.id, actor);
+ *   await payouts.retryFailedLines(batch.id, { actor });
+ *   const report = await payouts.reconcileBatch(batch.id);
+ *
+ * A batch has one line per contractor. A line pays the contractor's ready
+ * jobs: what the ledger says is owed for their labour, less pending
+ * clawbacks (never below zero), plus materials. Drafting fixes each line's
+ * amount and moves its jobs to payout_status 'processing' so no other batch
+ * takes them. Contractors whose payouts are on hold are left out, and a hold
+ * placed after drafting cancels their line. Batches are drafted by hand or,
+ * on each contractor's due dates, by the scheduler (scheduler.js).
+ *
+ *   draft → approved → processing → completed | partially_failed | failed
+ *   draft, approved → canceled
+ *
+ * A different admin from the one who prepared the batch must approve it.
+ * Executing sends each line through the payout provider (provider.js).
+ * A line is settled (clawbacks applied, ledger payout entry keyed
+ * payout:<line id>, jobs marked paid, the contractor notified) only after
+ * its transfer succeeds. A rejected transfer fails the line and leaves its
+ * jobs in the batch, to be retried. A line whose amount no longer matches the books when it is sent
+ * (a refund, a job marked paid by hand) is canceled and its jobs go back to
+ * 'ready' for the next batch.
+ */
+
+const financials = require('../../lib/financials');
+const {
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  payoutBatches: batchesRepo,
+  ledger: ledgerRepo
+} = require('../../repositories');
+const { logEvent } = require('../audit-service');
+const payoutAdjustments = require('../payout-adjustments');
+const ledger = require('../ledger');
+const notifications = require('../notifications');
+const { PayoutError } = require('./shared');
+const provider = require('./provider');
+const { SCHEDULES: PAYMENT_SCHEDULES, DEFAULT_SCHEDULE } = require('./schedule');
+
+const CANCELABLE_STATUSES = ['draft', 'approved', 'partially_failed', 'failed'];
+const RETRYABLE_STATUSES = ['partially_failed', 'failed'];
+
+function sameActor(a, b) {
+  return Boolean(a && b) && a.role === b.role && String(a.id) === String(b.id);
+}
+
+async function loadBatch(id) {
+  const batch = await batchesRepo.findById(id);
+  if (!batch) {
+    throw new PayoutError('Payout batch not found', 404);
+  }
+  return batch;
+}
+
+/**
+ * What a contractor is due for `jobs` right now, in cents
+ * (the same arithmetic as payoutAdjustments.applyToPayout)
+ * @param {Object} [options] - { accrue: false to read the books as they are, without posting }
+ */
+async function dueFor(contractorId, jobs, { accrue = true } = {}) {
+  if (accrue) {
+    for (const job of jobs) {
+      await ledger.accrueJob(job);
+    }
+  }
+  const owed = (await ledger.owedByJob({ contractorId })).get(String(contractorId)) || new Map();
+  const due = ledger.payableNow(owed, jobs.map(job => job.id));
+  const { totalCents: pendingCents } = await payoutAdjustments.pendingFor(contractorId);
+  const adjustmentCents = Math.max(pendingCents, -due.gross);
+  return {
+    owed,
+    grossCents: due.gross,
+    adjustmentCents,
+    materialsCents: due.materials,
+    amountCents: due.gross + adjustmentCents + due.materials
+  };
+}
+
+/**
+ * What a contractor would be paid for `jobs` if a batch were drafted now,
+ * read from the books without posting anything
+ * @returns {Promise<number>} Cents
+ */
+async function estimateDue(contractorId, jobs) {
+  return (await dueFor(contractorId, jobs, { accrue: false })).amountCents;
+}
+
+async function setPayoutStatus(jobIds, payoutStatus, { onlyFrom } = {}) {
+  for (const jobId of jobIds) {
+    const job = await jobsRepo.findById(jobId);
+    if (job && (!onlyFrom || job.payout_status === onlyFrom)) {
+      await jobsRepo.update(job.id, { payout_status: payoutStatus });
+    }
+  }
+}
+
+/**
+ * Draft a batch from ready jobs, one line per contractor
+ * @param {Object} input - { paymentSchedule (contractors on that schedule only), contractorIds,
+ *   jobIds (limit to these jobs), minimumCents (leave out smaller payouts), scheduledFor
+ *   (the due date of a scheduled run), note, actor }
+ * @returns {Promise<Object>} The draft batch with its lines, and `skipped`: the contractors
+ *   left out for being under the minimum
+ * @throws {PayoutError} 400 unknown schedule, 409 nothing to pay
+ */
+async function draftBatch({ paymentSchedule, contractorIds, jobIds, minimumCents = 0, scheduledFor, note, actor } = {}) {
+  if (paymentSchedule && !PAYMENT_SCHEDULES.includes(paymentSchedule)) {
+    throw new PayoutError(`payment_schedule must be one of ${PAYMENT_SCHEDULES.join(', ')}`);
+  }
+  const wantedJobs = jobIds ? new Set(jobIds.map(String)) : null;
+  const wantedContractors = contractorIds ? new Set(contractorIds.map(String)) : null;
+  const contractors = new Map((await contractorsRepo.list()).map(contractor => [String(contractor.id), contractor]));
+
+  const jobsByContractor = new Map();
+  (await jobsRepo.list({ payoutStatus: 'ready' })).forEach(job => {
+    const contractor = contractors.get(String(job.contractor_id ?? ''));
+    if (!contractor || contractor.payout_held_at) return;
+    if (wantedJobs && !wantedJobs.has(String(job.id))) return;
+    if (wantedContractors && !wantedContractors.has(String(contractor.id))) return;
+    if (paymentSchedule && (contractor.payment_schedule || DEFAULT_SCHEDULE) !== paymentSchedule) return;
+    if (!jobsByContractor.has(contractor.id)) jobsByContractor.set(contractor.id, []);
+    jobsByContractor.get(contractor.id).push(job);
+  });
+  if (jobsByContractor.size === 0) {
+    throw new PayoutError('No ready jobs to pay out', 409);
+  }
+
+  const lines = [];
+  const skipped = [];
+  for (const [contractorId, jobs] of jobsByContractor) {
+    const due = await dueFor(contractorId, jobs);
+    if (due.amountCents < minimumCents) {
+      skipped.push({ contractor_id: contractorId, amount: financials.toDollars(due.amountCents), reason: 'below_minimum' });
+      continue;
+    }
+    lines.push({
+      contractor_id: contractorId,
+      job_ids: jobs.map(job => job.id),
+      gross_amount: financials.toDollars(due.grossCents),
+      adjustments: financials.toDollars(due.adjustmentCents),
+      materials: financials.toDollars(due.materialsCents),
+      amount: financials.toDollars(due.amountCents),
+      currency: financials.CURRENCY
+    });
+  }
+  if (lines.length === 0) {
+    throw new PayoutError(`No payout reaches the minimum of ${financials.toDollars(minimumCents).toFixed(2)}`, 409);
+  }
+
+  const batch = await batchesRepo.create({
+    status: 'draft',
+    payment_schedule: paymentSchedule || null,
+    scheduled_for: scheduledFor || null,
+    provider: provider.name,
+    currency: financials.CURRENCY,
+    line_count: lines.length,
+    total_amount: financials.toDollars(financials.sumAmountCents(lines, 'amount')),
+    note: note ? String(note).trim().slice(0, 500) : null,
+    prepared_by: actor
+  }, lines);
+  await setPayoutStatus(lines.flatMap(line => line.job_ids), 'processing');
+
+  await logEvent({
+    action: 'payout.batch_drafted',
+    entity_type: 'payout_batch',
+    entity_id: batch.id,
+    actor,
+    after: { status: batch.status, line_count: batch.line_count, total_amount: batch.total_amount },
+    meta: {
+      payment_schedule: batch.payment_schedule,
+      scheduled_for: scheduledFor || null,
+      job_ids: lines.flatMap(line => line.job_ids),
+      skipped
+    }
+  });
+  return { ...batch, skipped };
+}
+
+/**
+ * Approve a draft batch
+ * @throws {PayoutError} 403 when the approver prepared the batch, 409 not a draft
+ */
+async function approveBatch(id, actor) {
+  const batch = await loadBatch(id);
+  if (batch.status !== 'draft') {
+    throw new PayoutError('Only a draft batch can be approved', 409);
+  }
+  if (sameActor(batch.prepared_by, actor)) {
+    throw new PayoutError('A payout batch must be approved by a different admin from the one who prepared it', 403);
+  }
+  const approved = await batchesRepo.update(batch.id, {
+    status: 'approved',
+    approved_by: actor,
+    approved_at: new Date()
+  }, { match: { status: 'draft' } });
+  if (!approved) {
+    throw new PayoutError('The batch changed while it was being approved', 409);
+  }
+
+  await logEvent({
+    action: 'payout.batch_approved',
+    entity_type: 'payout_batch',
+    entity_id: batch.id,
+    actor,
+    before: { status: 'draft' },
+    after: { status: 'approved', total_amount: batch.total_amount },
+    meta: { prepared_by: batch.prepared_by }
+  });
+  return loadBatch(batch.id);
+}
+
+async function cancelLine(line, code, message, actor) {
+  const canceled = await batchesRepo.updateLine(line.id, {
+    status: 'canceled',
+    failure_code: code,
+    failure_message: message
+  }, { match: { status: line.status } });
+  if (!canceled) return line;
+  await setPayoutStatus(line.job_ids, 'ready', { onlyFrom: 'processing' });
+
+  await logEvent({
+    action: 'payout.line_canceled',
+    entity_type: 'contractor',
+    entity_id: line.contractor_id,
+    actor,
+    reason: code,
+    after: { line_id: line.id, amount: Number(line.amount), message },
+    meta: { batch_id: line.batch_id, job_ids: line.job_ids }
+  });
+  return canceled;
+}
+
+/**
+ * Send one line's transfer and settle it
+ * @returns {Promise<Object>} The line, now paid, failed or canceled
+ */
+async function payLine(batch, line, actor) {
+  const jobs = (await Promise.all(line.job_ids.map(jobId => jobsRepo.findById(jobId)))).filter(Boolean);
+  const stillInBatch = jobs.length === line.job_ids.length && jobs.every(job =>
+    job.payout_status === 'processing' && String(job.contractor_id) === String(line.contractor_id));
+  if (!stillInBatch) {
+    return cancelLine(line, 'jobs_changed', 'A job on this line was paid, reassigned or removed since the batch was drafted', actor);
+  }
+
+  const contractor = await contractorsRepo.findById(line.contractor_id);
+  if (contractor?.payout_held_at) {
+    return cancelLine(line, 'on_hold', `The contractor's payouts are on hold: ${contractor.payout_hold_reason || 'no reason given'}`, actor);
+  }
+
+  const due = await dueFor(line.contractor_id, jobs);
+  const approvedCents = financials.toCents(line.amount) || 0;
+  if (due.amountCents !== approvedCents) {
+    return cancelLine(line, 'amount_changed',
+      `The contractor is now owed ${financials.toDollars(due.amountCents).toFixed(2)}, not the approved ${financials.toDollars(approvedCents).toFixed(2)}; draft a new batch`,
+      actor);
+  }
+
+  const attempt = (Number(line.attempts) || 0) + 1;
+  const claimed = await batchesRepo.updateLine(line.id, {
+    status: 'processing',
+    attempts: attempt,
+    destination: contractor?.payout_account_id || null,
+    failure_code: null,
+    failure_message: null
+  }, { match: { status: line.status } });
+  if (!claimed) return batchesRepo.findLineById(line.id);
+
+  let transfer = null;
+  if (approvedCents > 0) {
+    try {
+      transfer = await provider.createTransfer({
+        amountCents: approvedCents,
+        currency: line.currency,
+        destination: claimed.destination,
+        metadata: { batch_id: String(batch.id), line_id: String(line.id), contractor_id: String(line.contractor_id) },
+        transferGroup: `payout_batch:${batch.id}`,
+        // A retry is a new attempt; the same attempt sent twice is one transfer
+        idempotencyKey: `payout-line:${line.id}:${attempt}`
+      });
+    } catch (error) {
+      const failed = await batchesRepo.updateLine(line.id, {
+        status: 'failed',
+        failure_code: error.code || 'provider_error',
+        failure_message: error.message
+      });
+      await logEvent({
+        action: 'payout.failed',
+        entity_type: 'contractor',
+        entity_id: line.contractor_id,
+        actor,
+        reason: failed.failure_code,
+        after: { line_id: line.id, amount: Number(line.amount), attempt, message: error.message },
+        meta: { batch_id: batch.id, provider: provider.name, destination: claimed.destination }
+      });
+      return failed;
+    }
+    // Kept before settling so reconciliation can find the transfer if settling fails
+    await batchesRepo.updateLine(line.id, { provider_payout_id: transfer.id });
+  }
+
+  const settlement = await payoutAdjustments.applyToPayout(line.contractor_id, due.grossCents, line.id);
+  await ledger.recordPayout({
+    payoutId: line.id,
+    contractorId: line.contractor_id,
+    jobIds: line.job_ids,
+    owed: due.owed,
+    applied: settlement.applied,
+    carriedForward: settlement.carried_forward,
+    amountCents: approvedCents,
+    actor
+  });
+  await setPayoutStatus(line.job_ids, 'paid');
+  const paid = await batchesRepo.updateLine(line.id, { status: 'paid', paid_at: new Date() });
+
+  await logEvent({
+    action: 'payout.paid',
+    entity_type: 'contractor',
+    entity_id: line.contractor_id,
+    actor,
+    after: {
+      line_id: line.id,
+      gross_amount: Number(line.gross_amount),
+      adjustments: Number(line.adjustments),
+      materials: Number(line.materials),
+      amount: Number(line.amount),
+      job_ids: line.job_ids
+    },
+    meta: {
+      batch_id: batch.id,
+      provider: provider.name,
+      provider_payout_id: transfer ? transfer.id : null,
+      adjustment_ids: settlement.applied.map(adjustment => adjustment.id)
+    }
+  });
+  await notifications.payoutSent(paid);
+  return paid;
+}
+
+/**
+ * Status a batch ends in once none of its lines are being sent
+ */
+function settledStatus(lines) {
+  const failed = lines.filter(line => line.status === 'failed').length;
+  const paid = lines.filter(line => line.status === 'paid').length;
+  if (failed) return paid ? 'partially_failed' : 'failed';
+  return paid ? 'completed' : 'canceled';
+}
+
+async function sendLines(batch, lines, actor) {
+  for (const line of lines) {
+    await payLine(batch, line, actor);
+  }
+  const refreshed = await loadBatch(batch.id);
+  const status = settledStatus(refreshed.lines);
+  await batchesRepo.update(batch.id, {
+    status,
+    completed_at: status === 'completed' ? new Date() : undefined
+  });
+  return loadBatch(batch.id);
+}
+
+function lineSummary(lines) {
+  const count = status => lines.filter(line => line.status === status).length;
+  return { paid: count('paid'), failed: count('failed'), canceled: count('canceled') };
+}
+
+/**
+ * Send every line of an approved batch
+ * @throws {PayoutError} 409 when the batch is not approved
+ */
+async function executeBatch(id, actor) {
+  const batch = await loadBatch(id);
+  if (batch.status !== 'approved') {
+    throw new PayoutError('Only an approved batch can be executed', 409);
+  }
+  const started = await batchesRepo.update(batch.id, {
+    status: 'processing',
+    executed_by: actor,
+    executed_at: new Date()
+  }, { match: { status: 'approved' } });
+  if (!started) {
+    throw new PayoutError('The batch is already being executed', 409);
+  }
+
+  const executed = await sendLines(batch, batch.lines.filter(line => line.status === 'pending'), actor);
+  await logEvent({
+    action: 'payout.batch_executed',
+    entity_type: 'payout_batch',
+    entity_id: batch.id,
+    actor,
+    before: { status: 'approved' },
+    after: { status: executed.status, ...lineSummary(executed.lines) },
+    meta: { provider: provider.name }
+  });
+  return executed;
+}
+
+/**
+ * Send a batch's failed lines again (all of them, or those in lineIds)
+ * @throws {PayoutError} 409 when the batch has no failed lines
+ */
+async function retryFailedLines(id, { lineIds, actor } = {}) {
+  const batch = await loadBatch(id);
+  if (!RETRYABLE_STATUSES.includes(batch.status)) {
+    throw new PayoutError('Only a batch with failed lines can be retried', 409);
+  }
+  const wanted = lineIds ? new Set(lineIds.map(String)) : null;
+  const lines = batch.lines.filter(line => line.status === 'failed' && (!wanted || wanted.has(String(line.id))));
+  if (!lines.length) {
+    throw new PayoutError('None of those lines failed', 409);
+  }
+  const started = await batchesRepo.update(batch.id, { status: 'processing' }, { match: { status: batch.status } });
+  if (!started) {
+    throw new PayoutError('The batch is already being executed', 409);
+  }
+
+  const retried = await sendLines(batch, lines, actor);
+  const outcome = retried.lines.filter(line => lines.some(l => String(l.id) === String(line.id)));
+  await logEvent({
+    action: 'payout.batch_retried',
+    entity_type: 'payout_batch',
+    entity_id: batch.id,
+    actor,
+    before: { status: batch.status },
+    after: { status: retried.status, ...lineSummary(outcome) },
+    meta: { provider: provider.name, line_ids: lines.map(line => line.id) }
+  });
+  return retried;
+}
+
+/**
+ * Cancel a batch's unsent lines and give their jobs back to 'ready'
+ * (a batch with paid lines ends completed, otherwise canceled)
+ * @throws {PayoutError} 409 once the batch is processing or settled
+ */
+async function cancelBatch(id, { actor, reason } = {}) {
+  const batch = await loadBatch(id);
+  if (!CANCELABLE_STATUSES.includes(batch.status)) {
+    throw new PayoutError(`A ${batch.status.replace('_', ' ')} batch cannot be canceled`, 409);
+  }
+  const message = reason ? String(reason).trim().slice(0, 500) : 'Batch canceled';
+  for (const line of batch.lines.filter(l => ['pending', 'failed'].includes(l.status))) {
+    await cancelLine(line, 'batch_canceled', message, actor);
+  }
+  const lines = (await loadBatch(batch.id)).lines;
+  const status = settledStatus(lines);
+  const canceled = await batchesRepo.update(batch.id, {
+    status,
+    canceled_by: actor,
+    canceled_at: new Date(),
+    completed_at: status === 'completed' ? new Date() : undefined
+  }, { match: { status: batch.status } });
+  if (!canceled) {
+    throw new PayoutError('The batch changed while it was being canceled', 409);
+  }
+
+  await logEvent({
+    action: 'payout.batch_canceled',
+    entity_type: 'payout_batch',
+    entity_id: batch.id,
+    actor,
+    reason: reason ? message : null,
+    before: { status: batch.status },
+    after: { status, ...lineSummary(lines) }
+  });
+  return loadBatch(batch.id);
+}
+
+/**
+ * Compare each line with the provider's transfer and the ledger's payout entry
+ * @returns {Promise<Object>} { batch_id, status, provider, currency, reconciled, totals, lines }
+ *   where each line lists its issues (none when the three agree)
+ */
+async function reconcileBatch(id) {
+  const batch = await loadBatch(id);
+  const sameProvider = batch.provider === provider.name;
+  const totals = { approved: 0, paid: 0, provider: 0, ledger: 0 };
+
+  const lines = [];
+  for (const line of batch.lines) {
+    const amountCents = financials.toCents(line.amount) || 0;
+    const issues = [];
+    const issue = (code, message) => issues.push({ code, message });
+
+    let transfer = null;
+    if (line.provider_payout_id && sameProvider) {
+      try {
+        transfer = await provider.retrieveTransfer(line.provider_payout_id);
+      } catch (error) {
+        issue('provider_missing', `The provider has no transfer ${line.provider_payout_id} (${error.message})`);
+      }
+    } else if (line.provider_payout_id) {
+      issue('provider_unavailable', `The batch was sent through ${batch.provider}, not ${provider.name}`);
+    }
+    const transferCents = transfer && !transfer.reversed ? transfer.amount : 0;
+
+    const entry = await ledgerRepo.findByKey(`payout:${line.id}`);
+    const ledgerCents = entry
+      ? entry.lines
+        .filter(l => l.account === ledger.ACCOUNTS.PROCESSOR_CLEARING)
+        .reduce((sum, l) => sum + (financials.toCents(l.credit) || 0) - (financials.toCents(l.debit) || 0), 0)
+      : 0;
+
+    if (line.status === 'paid') {
+      if (amountCents > 0 && !line.provider_payout_id) issue('provider_missing', 'The line is paid but has no provider transfer');
+      if (transfer && transfer.reversed) issue('provider_reversed', 'The provider reversed the transfer');
+      if (transfer && transfer.amount !== amountCents) {
+        issue('provider_amount_mismatch', `The provider sent ${financials.toDollars(transfer.amount).toFixed(2)}`);
+      }
+      if (!entry) issue('ledger_missing', 'The ledger has no payout entry for this line');
+      else if (ledgerCents !== amountCents) {
+        issue('ledger_amount_mismatch', `The ledger paid out ${financials.toDollars(ledgerCents).toFixed(2)}`);
+      }
+    } else {
+      if (transfer && !transfer.reversed) issue('provider_paid_unsettled', `The provider sent a transfer but the line is ${line.status}`);
+      if (entry) issue('ledger_unexpected', `The ledger has a payout entry but the line is ${line.status}`);
+    }
+
+    totals.approved += line.status === 'canceled' ? 0 : amountCents;
+    totals.paid += line.status === 'paid' ? amountCents : 0;
+    totals.provider += transferCents;
+    totals.ledger += ledgerCents;
+    lines.push({
+      line_id: line.id,
+      contractor_id: line.contractor_id,
+      status: line.status,
+      amount: financials.toDollars(amountCents),
+      provider_transfer: transfer
+        ? { id: transfer.id, amount: financials.toDollars(transfer.amount), reversed: Boolean(transfer.reversed) }
+        : null,
+      ledger_entry: entry ? { id: entry.id, amount: financials.toDollars(ledgerCents), occurred_at: entry.occurred_at } : null,
+      issues
+    });
+  }
+
+  return {
+    batch_id: batch.id,
+    status: batch.status,
+    provider: batch.provider,
+    currency: batch.currency,
+    reconciled: lines.every(line => line.issues.length === 0),
+    totals: Object.fromEntries(Object.entries(totals).map(([key, cents]) => [key, financials.toDollars(cents)])),
+    lines
+  };
+}
+
+module.exports = {
+  PAYMENT_SCHEDULES,
+  PayoutError,
+  provider,
+  estimateDue,
+  draftBatch,
+  approveBatch,
+  executeBatch,
+  retryFailedLines,
+  cancelBatch,
+  reconcileBatch
+};
@@ -0,0 +1,22 @@
+/**
+ * The payout provider selected by PAYOUT_PROVIDER
+ *
+ * A provider sends money to a contractor's payout account and returns a
+ * Stripe-shaped transfer:
+ *   createTransfer({ amountCents, currency, destination, metadata, transferGroup, idempotencyKey })
+ *   retrieveTransfer(id)
+ * A transfer that cannot be made throws (with the provider's error code);
+ * one that comes back has been sent.
+ */
+
+const ENV = require('../../config/env');
+
+const provider = ENV.payoutProvider === 'stripe'
+  ? require('./stripe-provider')
+  : require('./stub-provider');
+
+if (provider.name === 'stub' && ENV.isProduction) {
+  console.warn('⚠️  PAYOUT_PROVIDER=stub in production; contractors will not be paid.');
+}
+
+module.exports = provider;
@@ -0,0 +1,232 @@
+/**
+ * Payout schedule – when each payment schedule falls due
+ *
+ * Usage:
+ *   const schedule = require('./services/payouts/schedule');
+ *   const today = schedule.localDate('America/Toronto');          // '2026-10-19'
+ *   schedule.nextDueDate('biweekly', today, extraHolidays);       // '2026-10-30'
+ *   schedule.dueDates('weekly', '2026-12-01', '2026-12-31');      // ['2026-12-04', ...]
+ *
+ * Dates are calendar days ('YYYY-MM-DD') in the contractor's time zone.
+ *   per-job   every business day
+ *   weekly    every Friday
+ *   biweekly  every other Friday (counted from BIWEEKLY_ANCHOR)
+ *   monthly   the last day of the month
+ * A due date on a weekend or a bank holiday moves back to the business day
+ * before it, so contractors are paid early rather than late. Bank holidays
+ * are the days Canadian banks do not settle payments (HOLIDAYS below, moved
+ * to the Monday when they fall on a weekend), plus any extra dates the
+ * admins add.
+ */
+
+const SCHEDULES = ['per-job', 'weekly', 'biweekly', 'monthly'];
+const DEFAULT_SCHEDULE = 'weekly';
+const FRIDAY = 5;
+const BIWEEKLY_ANCHOR = '2024-01-05';
+// Far enough ahead for the next due date of any schedule, holidays included
+const LOOKAHEAD_DAYS = 40;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parse(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function format(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return format(new Date(parse(date).getTime() + days * DAY_MS));
+}
+
+function weekday(date) {
+  return parse(date).getUTCDay();
+}
+
+function daysBetween(from, to) {
+  return Math.round((parse(to) - parse(from)) / DAY_MS);
+}
+
+/**
+ * A calendar date as 'YYYY-MM-DD' (DATE columns come back from pg as local midnight)
+ */
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && format(parse(value)) === value;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Today's date (or `at`'s) in a time zone
+ */
+function localDate(timeZone, at = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(at).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return format(new Date(Date.UTC(year, month - 1, day)));
+}
+
+function nthWeekday(year, month, targetDay, n) {
+  const first = format(new Date(Date.UTC(year, month - 1, 1)));
+  return addDays(first, ((targetDay - weekday(first) + 7) % 7) + (n - 1) * 7);
+}
+
+// Weekend holidays are observed on the next weekday not already a holiday
+function observe(dates) {
+  const observed = [];
+  dates.forEach(date => {
+    let day = date;
+    while ([0, 6].includes(weekday(day)) || observed.includes(day)) day = addDays(day, 1);
+    observed.push(day);
+  });
+  return observed;
+}
+
+const HOLIDAYS = {
+  "New Year's Day": year => `${year}-01-01`,
+  'Good Friday': year => addDays(easterSunday(year), -2),
+  'Victoria Day': year => addDays(`${year}-05-25`, -(((weekday(`${year}-05-25`) + 6) % 7) || 7)),
+  'Canada Day': year => `${year}-07-01`,
+  'Civic Holiday': year => nthWeekday(year, 8, 1, 1),
+  'Labour Day': year => nthWeekday(year, 9, 1, 1),
+  'National Day for Truth and Reconciliation': year => (year >= 2021 ? `${year}-09-30` : null),
+  'Thanksgiving Day': year => nthWeekday(year, 10, 1, 2),
+  'Remembrance Day': year => `${year}-11-11`,
+  'Christmas Day': year => `${year}-12-25`,
+  'Boxing Day': year => `${year}-12-26`
+};
+
+const holidayCache = new Map();
+
+/**
+ * Bank holidays in a year, as observed
+ * @returns {Array<{ date, name }>} In date order
+ */
+function bankHolidays(year) {
+  if (!holidayCache.has(year)) {
+    const named = Object.entries(HOLIDAYS)
+      .map(([name, rule]) => ({ name, date: rule(year) }))
+      .filter(holiday => holiday.date);
+    const dates = observe(named.map(holiday => holiday.date));
+    holidayCache.set(year, named
+      .map((holiday, index) => ({ name: holiday.name, date: dates[index] }))
+      .sort((a, b) => a.date.localeCompare(b.date)));
+  }
+  return holidayCache.get(year);
+}
+
+function isBusinessDay(date, extraHolidays = []) {
+  if ([0, 6].includes(weekday(date))) return false;
+  if (extraHolidays.includes(date)) return false;
+  return !bankHolidays(Number(date.slice(0, 4))).some(holiday => holiday.date === date);
+}
+
+function previousBusinessDay(date, extraHolidays = []) {
+  let day = date;
+  while (!isBusinessDay(day, extraHolidays)) day = addDays(day, -1);
+  return day;
+}
+
+// The unadjusted due dates of a schedule between two dates (inclusive)
+function nominalDates(schedule, from, to) {
+  const dates = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const isFriday = weekday(day) === FRIDAY;
+    if (schedule === 'per-job') dates.push(day);
+    else if (schedule === 'weekly' && isFriday) dates.push(day);
+    else if (schedule === 'biweekly' && isFriday && daysBetween(BIWEEKLY_ANCHOR, day) % 14 === 0) dates.push(day);
+    else if (schedule === 'monthly' && addDays(day, 1).slice(8) === '01') dates.push(day);
+  }
+  return dates;
+}
+
+/**
+ * Due dates of a schedule between two dates (inclusive), after moving
+ * weekends and holidays back to the business day before
+ * @param {string} schedule - One of SCHEDULES
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @param {Array<string>} [extraHolidays] - Further non-business days
+ */
+function dueDates(schedule, from, to, extraHolidays = []) {
+  // A nominal date up to a week past `to` can move back into the range
+  const dates = new Set(
+    nominalDates(schedule, from, addDays(to, 7))
+      .map(date => previousBusinessDay(date, extraHolidays))
+      .filter(date => date >= from && date <= to)
+  );
+  return [...dates].sort();
+}
+
+/**
+ * The latest due date on or before `date`
+ */
+function lastDueDate(schedule, date, extraHolidays = []) {
+  const dates = dueDates(schedule, addDays(date, -LOOKAHEAD_DAYS), date, extraHolidays);
+  return dates.length ? dates[dates.length - 1] : null;
+}
+
+/**
+ * The first due date on or after `date`
+ */
+function nextDueDate(schedule, date, extraHolidays = []) {
+  return dueDates(schedule, date, addDays(date, LOOKAHEAD_DAYS), extraHolidays)[0] || null;
+}
+
+module.exports = {
+  SCHEDULES,
+  DEFAULT_SCHEDULE,
+  addDays,
+  daysBetween,
+  toDateString,
+  isDate,
+  isValidTimeZone,
+  localDate,
+  bankHolidays,
+  isBusinessDay,
+  previousBusinessDay,
+  dueDates,
+  lastDueDate,
+  nextDueDate
+};
@@ -0,0 +1,289 @@
+/**
+ * Payout scheduler – drafts payout batches when contractors fall due
+ *
+ * Usage:
+ *   const scheduler = require('./services/payouts/scheduler');
+ *   scheduler.start(logger);                               // on server start
+ *   const summary = await scheduler.runDue();              // what start() runs on each tick
+ *   const calendar = await scheduler.calendar({ from, to });
+ *   await scheduler.updateSettings({ minimum_amount: 25 }, adminId);
+ *
+ * Each contractor is due on their payment schedule's dates (schedule.js), in
+ * their own time zone (contractors.payout_timezone, else PAYOUT_TIMEZONE).
+ * On a tick the scheduler finds contractors with ready jobs whose latest due
+ * date has not been run yet, and drafts one batch per schedule and due date
+ * (scheduled_for). contractors.payout_last_run_on records the due date last
+ * run, so a restart or a missed tick catches up once and never twice.
+ * Contractors on hold are not run; ready jobs under the minimum payout stay
+ * ready and roll into the next due date. Scheduled batches are drafts like
+ * any other: an admin still approves and executes them.
+ * Each tick also issues last month's payout statements (services/documents)
+ * that have not been issued yet.
+ */
+
+const financials = require('../../lib/financials');
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  platformSettings
+} = require('../../repositories');
+const { PayoutError } = require('./shared');
+const payouts = require('./index');
+const schedule = require('./schedule');
+const documents = require('../documents');
+
+const SETTINGS_KEYS = {
+  minimumAmount: 'payout_minimum_amount',
+  extraHolidays: 'payout_extra_holidays'
+};
+const SYSTEM_ACTOR = { role: 'system', id: 'payout-scheduler' };
+const MAX_CALENDAR_DAYS = 366;
+
+let timer = null;
+let running = false;
+
+/**
+ * Scheduler settings (superadmin-editable)
+ * @returns {Promise<{ minimum_amount: number, extra_holidays: Array<string> }>}
+ */
+async function getSettings() {
+  const [minimum, holidays] = await Promise.all([
+    platformSettings.get(SETTINGS_KEYS.minimumAmount),
+    platformSettings.get(SETTINGS_KEYS.extraHolidays)
+  ]);
+  return {
+    minimum_amount: Number(minimum) || 0,
+    extra_holidays: Array.isArray(holidays) ? holidays.filter(schedule.isDate).sort() : []
+  };
+}
+
+/**
+ * Change the minimum payout and/or the extra non-business days
+ * @param {Object} changes - { minimum_amount (dollars, >= 0), extra_holidays ('YYYY-MM-DD' list) }
+ * @param {string} [updatedBy] - Admin id
+ * @throws {PayoutError} 400 invalid values
+ */
+async function updateSettings(changes = {}, updatedBy = null) {
+  const { minimum_amount: minimumAmount, extra_holidays: extraHolidays } = changes;
+  if (minimumAmount !== undefined) {
+    const cents = financials.toCents(minimumAmount);
+    if (cents === null || cents < 0) {
+      throw new PayoutError('minimum_amount must be a non-negative amount');
+    }
+    await platformSettings.set(SETTINGS_KEYS.minimumAmount, financials.toDollars(cents), updatedBy);
+  }
+  if (extraHolidays !== undefined) {
+    if (!Array.isArray(extraHolidays) || !extraHolidays.every(schedule.isDate)) {
+      throw new PayoutError('extra_holidays must be a list of YYYY-MM-DD dates');
+    }
+    await platformSettings.set(SETTINGS_KEYS.extraHolidays, [...new Set(extraHolidays)].sort(), updatedBy);
+  }
+  return getSettings();
+}
+
+function timeZoneOf(contractor) {
+  return contractor.payout_timezone || ENV.payoutTimezone;
+}
+
+function scheduleOf(contractor) {
+  return contractor.payment_schedule || schedule.DEFAULT_SCHEDULE;
+}
+
+/**
+ * A contractor's next due date ('YYYY-MM-DD'): today or later in their time
+ * zone, and after the due date last run for them
+ * @param {Object} contractor - Contractor row
+ * @param {Array<string>} [extraHolidays] - From getSettings()
+ */
+function nextDueDateFor(contractor, extraHolidays = [], at = new Date()) {
+  const paymentSchedule = scheduleOf(contractor);
+  const next = schedule.nextDueDate(paymentSchedule, schedule.localDate(timeZoneOf(contractor), at), extraHolidays);
+  const lastRun = schedule.toDateString(contractor.payout_last_run_on);
+  if (next && lastRun && lastRun >= next) {
+    return schedule.nextDueDate(paymentSchedule, schedule.addDays(lastRun, 1), extraHolidays);
+  }
+  return next;
+}
+
+// Contractors with ready jobs, each with those jobs
+async function contractorsWithReadyJobs() {
+  const contractors = new Map((await contractorsRepo.list()).map(contractor => [String(contractor.id), contractor]));
+  const ready = new Map();
+  (await jobsRepo.list({ payoutStatus: 'ready' })).forEach(job => {
+    const contractor = contractors.get(String(job.contractor_id ?? ''));
+    if (!contractor) return;
+    if (!ready.has(contractor.id)) ready.set(contractor.id, { contractor, jobs: [] });
+    ready.get(contractor.id).jobs.push(job);
+  });
+  return [...ready.values()];
+}
+
+/**
+ * Draft batches for every contractor whose due date has come
+ * @param {Object} [options] - { at (the time to run as, default now), actor }
+ * @returns {Promise<{ batches: Array<Object>, skipped: Array<Object> }>} The batches drafted,
+ *   and the contractors considered but not paid (below_minimum or nothing_to_pay)
+ */
+async function runDue({ at = new Date(), actor = SYSTEM_ACTOR } = {}) {
+  const { minimum_amount: minimumAmount, extra_holidays: extraHolidays } = await getSettings();
+  const groups = new Map();
+  for (const { contractor } of await contractorsWithReadyJobs()) {
+    if (contractor.payout_held_at) continue;
+    const today = schedule.localDate(timeZoneOf(contractor), at);
+    const due = schedule.lastDueDate(scheduleOf(contractor), today, extraHolidays);
+    const lastRun = schedule.toDateString(contractor.payout_last_run_on);
+    if (!due || (lastRun && lastRun >= due)) continue;
+    const key = `${scheduleOf(contractor)}|${due}`;
+    if (!groups.has(key)) groups.set(key, { paymentSchedule: scheduleOf(contractor), due, contractorIds: [] });
+    groups.get(key).contractorIds.push(contractor.id);
+  }
+
+  const batches = [];
+  const skipped = [];
+  for (const { paymentSchedule, due, contractorIds } of groups.values()) {
+    try {
+      const batch = await payouts.draftBatch({
+        paymentSchedule,
+        contractorIds,
+        scheduledFor: due,
+        minimumCents: financials.toCents(minimumAmount),
+        note: `Scheduled ${paymentSchedule} payout due ${due}`,
+        actor
+      });
+      batches.push(batch);
+      skipped.push(...batch.skipped.map(entry => ({ ...entry, scheduled_for: due })));
+    } catch (error) {
+      if (!(error instanceof PayoutError) || error.status !== 409) throw error;
+      skipped.push(...contractorIds.map(contractorId => ({
+        contractor_id: contractorId,
+        scheduled_for: due,
+        reason: 'nothing_to_pay',
+        message: error.message
+      })));
+    }
+    for (const contractorId of contractorIds) {
+      await contractorsRepo.update(contractorId, { payout_last_run_on: due });
+    }
+  }
+  return { batches, skipped };
+}
+
+/**
+ * Upcoming payouts: each day in the range with the contractors due on it
+ * @param {Object} [range] - { from, to } 'YYYY-MM-DD' (default today to 60 days out, at most 366 days)
+ * @returns {Promise<Object>} { from, to, minimum_amount, days: [{ date, contractors, estimated_total }],
+ *   holidays } – a contractor's ready jobs are estimated on their next due date only; later dates
+ *   list them with nothing estimated yet
+ * @throws {PayoutError} 400 invalid range
+ */
+async function calendar({ from, to } = {}) {
+  const start = from || schedule.localDate(ENV.payoutTimezone);
+  const end = to || schedule.addDays(start, 60);
+  if (!schedule.isDate(start) || !schedule.isDate(end)) {
+    throw new PayoutError('from and to must be YYYY-MM-DD dates');
+  }
+  if (end < start || schedule.daysBetween(start, end) > MAX_CALENDAR_DAYS) {
+    throw new PayoutError(`to must be on or after from, and at most ${MAX_CALENDAR_DAYS} days later`);
+  }
+
+  const { minimum_amount: minimumAmount, extra_holidays: extraHolidays } = await getSettings();
+  const minimumCents = financials.toCents(minimumAmount);
+  const ready = new Map((await contractorsWithReadyJobs()).map(entry => [String(entry.contractor.id), entry.jobs]));
+  const days = new Map();
+
+  for (const contractor of await contractorsRepo.list()) {
+    if (contractor.status !== 'approved' && !ready.has(String(contractor.id))) continue;
+    const paymentSchedule = scheduleOf(contractor);
+    const next = nextDueDateFor(contractor, extraHolidays);
+    const jobs = ready.get(String(contractor.id)) || [];
+    const estimatedCents = jobs.length ? await payouts.estimateDue(contractor.id, jobs) : 0;
+
+    schedule.dueDates(paymentSchedule, start, end, extraHolidays).forEach(date => {
+      const isNext = date === next;
+      const entry = {
+        contractor_id: contractor.id,
+        name: contractor.business_name || contractor.legal_name || null,
+        payment_schedule: paymentSchedule,
+        time_zone: timeZoneOf(contractor),
+        ready_jobs: isNext ? jobs.length : 0,
+        estimated_amount: isNext ? financials.toDollars(estimatedCents) : 0,
+        on_hold: Boolean(contractor.payout_held_at),
+        below_minimum: isNext && jobs.length > 0 && estimatedCents < minimumCents
+      };
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(entry);
+    });
+  }
+
+  const years = [];
+  for (let year = Number(start.slice(0, 4)); year <= Number(end.slice(0, 4)); year++) years.push(year);
+  const holidays = [
+    ...years.flatMap(year => schedule.bankHolidays(year)),
+    ...extraHolidays.map(date => ({ date, name: 'Platform holiday' }))
+  ].filter(holiday => holiday.date >= start && holiday.date <= end)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    from: start,
+    to: end,
+    minimum_amount: minimumAmount,
+    days: [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, contractors]) => ({
+      date,
+      contractors,
+      estimated_total: financials.toDollars(contractors
+        .filter(entry => !entry.on_hold && !entry.below_minimum)
+        .reduce((sum, entry) => sum + financials.toCents(entry.estimated_amount), 0))
+    })),
+    holidays
+  };
+}
+
+async function tick(logger) {
+  if (running) return;
+  running = true;
+  try {
+    const { batches, skipped } = await runDue();
+    if (batches.length || skipped.length) {
+      logger.info({ batches: batches.map(batch => batch.id), skipped: skipped.length }, 'Scheduled payouts drafted');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Payout scheduler run failed');
+  }
+  try {
+    const statements = await documents.issueMonthlyStatements();
+    if (statements.length) {
+      logger.info({ statements: statements.map(document => document.number) }, 'Payout statements issued');
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Payout statements run failed');
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the scheduler now and then every PAYOUT_SCHEDULER_INTERVAL_MINUTES
+ * (does nothing when that is 0)
+ */
+function start(logger) {
+  if (timer || !ENV.payoutSchedulerIntervalMinutes) return;
+  timer = setInterval(() => tick(logger), ENV.payoutSchedulerIntervalMinutes * 60 * 1000);
+  timer.unref();
+  tick(logger);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  runDue,
+  nextDueDateFor,
+  calendar,
+  start,
+  stop
+};
@@ -0,0 +1,21 @@
+/**
+ * Error type shared by the payout batch service and the payout providers
+ */
+
+class PayoutError extends Error {
+  /**
+   * @param {string} message - Safe to show to an admin
+   * @param {number} [status=400]
+   * @param {string} [code] - Provider error code, e.g. 'account_closed'
+   */
+  constructor(message, status = 400, code = null) {
+    super(message);
+    this.name = 'PayoutError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  PayoutError
+};
@@ -0,0 +1,31 @@
+/**
+ * Stripe payout provider – Connect transfers to the contractor's account
+ *
+ * The destination is the contractor's connected account id ("acct_...").
+ * Stripe either makes a transfer or rejects the request, so there are no
+ * payout webhooks to handle.
+ */
+
+const { request } = require('../payments/stripe-provider');
+
+const NAME = 'stripe';
+
+async function createTransfer({ amountCents, currency, destination, metadata = {}, transferGroup, idempotencyKey }) {
+  return request('POST', '/transfers', {
+    amount: amountCents,
+    currency: String(currency).toLowerCase(),
+    destination,
+    metadata,
+    transfer_group: transferGroup
+  }, idempotencyKey);
+}
+
+async function retrieveTransfer(id) {
+  return request('GET', `/transfers/${encodeURIComponent(id)}`);
+}
+
+module.exports = {
+  name: NAME,
+  createTransfer,
+  retrieveTransfer
+};
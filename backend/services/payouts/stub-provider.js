@@ -0,0 +1,69 @@
+/**
+ * Stub payout provider – a local stand-in for Stripe Connect transfers
+ *
+ * Transfers are kept in memory and lost on restart. A contractor without a
+ * payout account is paid into a default test account; these test accounts
+ * make the transfer fail the way Stripe would:
+ *   acct_stub_closed     account_closed
+ *   acct_stub_invalid    invalid_account_number
+ */
+
+const crypto = require('crypto');
+const { PayoutError } = require('./shared');
+
+const NAME = 'stub';
+const DEFAULT_DESTINATION = 'acct_stub_default';
+
+const TEST_FAILURES = {
+  acct_stub_closed: { code: 'account_closed', message: 'The bank account has been closed.' },
+  acct_stub_invalid: { code: 'invalid_account_number', message: 'The bank account number is invalid.' }
+};
+
+const transfers = new Map();
+const idempotentResults = new Map();
+
+function snapshot(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+async function createTransfer({ amountCents, currency, destination, metadata = {}, transferGroup = null, idempotencyKey }) {
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    throw new PayoutError('Amount must be a positive number of cents', 400, 'parameter_invalid_integer');
+  }
+  if (idempotencyKey && idempotentResults.has(idempotencyKey)) {
+    return snapshot(idempotentResults.get(idempotencyKey));
+  }
+  const account = destination || DEFAULT_DESTINATION;
+  const failure = TEST_FAILURES[account];
+  if (failure) {
+    throw new PayoutError(failure.message, 400, failure.code);
+  }
+  const transfer = {
+    id: `tr_stub_${crypto.randomBytes(12).toString('hex')}`,
+    object: 'transfer',
+    amount: amountCents,
+    currency: String(currency).toLowerCase(),
+    destination: account,
+    metadata: { ...metadata },
+    transfer_group: transferGroup,
+    reversed: false,
+    created: Math.floor(Date.now() / 1000)
+  };
+  transfers.set(transfer.id, transfer);
+  if (idempotencyKey) idempotentResults.set(idempotencyKey, transfer);
+  return snapshot(transfer);
+}
+
+async function retrieveTransfer(id) {
+  const transfer = transfers.get(id);
+  if (!transfer) {
+    throw new PayoutError(`No such transfer: '${id}'`, 404, 'resource_missing');
+  }
+  return snapshot(transfer);
+}
+
+module.exports = {
+  name: NAME,
+  createTransfer,
+  retrieveTransfer
+};
@@ -0,0 +1,597 @@
+/**
+ * Pricing catalogue – versioned service prices and pricing rules
+ *
+ * Usage:
+ *   const pricing = require('./services/pricing');
+ *   const estimate = await pricing.estimate({ service_type_id: 1, urgency: 'emergency', property_type: 'house', province: 'ON', city: 'Toronto' });
+ *   const draft = await pricing.createDraft({ notes: 'Spring prices' }, adminActor);
+ *   await pricing.updateDraft(draft.id, { services: [{ id: 1, pricing: { min: 275, max: 650 } }] }, adminActor);
+ *   const preview = await pricing.simulate(draft.id);   // estimates today vs with the draft
+ *   await pricing.publish(draft.id, { effective_from: '2026-11-01T05:00:00Z' }, adminActor);
+ *
+ * A version's catalogue has the shape of service-pricing.json (which seeds
+ * version 1): each service is priced as { min, max }, { quote_only: true }
+ * or { inspection_fee }, and globalRules holds the multipliers. A fixed
+ * range is the service's range (or its city/province override) times
+ *   urgency × property type × time of day × weekend × region
+ * with the clock read in the province's time zone at the moment the job is
+ * requested; each end is rounded to the dollar.
+ *
+ * Admins edit drafts and publish them with the moment they take effect
+ * (now or later); published versions never change. The version in force at
+ * a moment is the published one with the latest effective_from at or
+ * before it. A job records the version behind its estimate
+ * (jobs.pricing_version_id) and is priced with it from then on.
+ *
+ * draft → published
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pricingVersions: versionsRepo, jobs: jobsRepo } = require('../repositories');
+const { logEvent } = require('./audit-service');
+const tax = require('./tax');
+
+const SEED_PATH = path.join(__dirname, '..', 'service-pricing.json');
+
+const STATUSES = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published'
+};
+
+const URGENCY_KEYS = ['flexible', 'standard', 'same_day', 'emergency'];
+const PROPERTY_TYPES = ['house', 'townhouse', 'condo', 'apartment', 'commercial'];
+const DEFAULT_TIME_ZONE = 'America/Toronto';
+const MAX_MULTIPLIER = 10;
+const MAX_TIME_OF_DAY_RULES = 12;
+const MAX_REGION_OVERRIDES = 200;
+const MAX_SAMPLES = 50;
+const DEFAULT_SAMPLE_JOBS = 20;
+const CACHE_TTL_MS = 60 * 1000;
+// Publishing is not backdated; a little slack covers clock drift between servers
+const PUBLISH_SLACK_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class PricingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+  }
+}
+
+// Published versions, newest effective_from first
+let publishedCache = null;
+
+function invalidateCache() {
+  publishedCache = null;
+}
+
+async function seed() {
+  if (await versionsRepo.latestVersionNumber() > 0) return;
+  const catalogue = JSON.parse(fs.readFileSync(SEED_PATH, 'utf8'));
+  await versionsRepo.create({
+    version: 1,
+    status: STATUSES.PUBLISHED,
+    catalogue,
+    notes: 'Initial prices from service-pricing.json',
+    effective_from: new Date(0),
+    published_at: new Date()
+  });
+}
+
+async function publishedVersions() {
+  if (publishedCache && Date.now() - publishedCache.loadedAt < CACHE_TTL_MS) {
+    return publishedCache.versions;
+  }
+  let versions = await versionsRepo.list({ statuses: [STATUSES.PUBLISHED] });
+  if (!versions.length) {
+    await seed();
+    versions = await versionsRepo.list({ statuses: [STATUSES.PUBLISHED] });
+  }
+  versions = versions.slice().sort((a, b) => new Date(b.effective_from) - new Date(a.effective_from));
+  publishedCache = { loadedAt: Date.now(), versions };
+  return versions;
+}
+
+/**
+ * The published version in force at a moment (the first version for
+ * moments before it)
+ */
+async function versionAt(at = new Date()) {
+  const versions = await publishedVersions();
+  const moment = new Date(at || Date.now());
+  return versions.find(version => new Date(version.effective_from) <= moment) || versions[versions.length - 1];
+}
+
+async function findVersion(id) {
+  const cached = (await publishedVersions()).find(version => String(version.id) === String(id));
+  return cached || versionsRepo.findById(id);
+}
+
+/**
+ * A version by id
+ * @throws {PricingError} 404 unknown
+ */
+async function getVersion(id) {
+  const version = await findVersion(id);
+  if (!version) {
+    throw new PricingError('Pricing version not found', 404);
+  }
+  return version;
+}
+
+function findService(catalogue, serviceTypeId) {
+  for (const category of catalogue.categories || []) {
+    const match = (category.services || []).find(service => Number(service.id) === Number(serviceTypeId));
+    if (match) return match;
+  }
+  return null;
+}
+
+function urgencyMultiplier(rules, urgency, timeWindow) {
+  const multipliers = rules.urgencyMultipliers || {};
+  const urgencyKeyMap = {
+    'same-day': 'same_day',
+    'same_day': 'same_day',
+    'next-day': 'standard',
+    'next_day': 'standard',
+    'scheduled': 'standard',
+    'emergency': 'emergency'
+  };
+  const mapped = urgencyKeyMap[urgency] || null;
+  if (mapped && multipliers[mapped]) return multipliers[mapped];
+  if (timeWindow === 'flexible' && multipliers.flexible) return multipliers.flexible;
+  return multipliers.standard || 1.0;
+}
+
+/**
+ * Minutes past midnight and whether it is a Saturday or Sunday, in a time zone
+ */
+function localClock(timeZone, at) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(at).map(part => [part.type, part.value]));
+  return {
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekend: parts.weekday === 'Sat' || parts.weekday === 'Sun'
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// A window may run past midnight ('18:00' to '08:00'); `to` is exclusive
+function inWindow(minutes, { from, to }) {
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function normalizeCity(city) {
+  return String(city || '').trim().toLowerCase();
+}
+
+/**
+ * The most specific override for the job's place and service: a city beats
+ * a whole province, a single service beats every service
+ */
+function regionOverride(rules, serviceTypeId, province, city) {
+  const code = tax.normalizeProvince(province);
+  if (!code) return null;
+  const cityKey = normalizeCity(city);
+  let best = null;
+  let bestScore = -1;
+  (rules.regionOverrides || []).forEach(override => {
+    if (override.province !== code) return;
+    if (override.city && normalizeCity(override.city) !== cityKey) return;
+    const hasService = override.serviceTypeId !== undefined && override.serviceTypeId !== null;
+    if (hasService && Number(override.serviceTypeId) !== Number(serviceTypeId)) return;
+    const score = (override.city ? 2 : 0) + (hasService ? 1 : 0);
+    if (score > bestScore) {
+      best = override;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function roundMultiplier(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Price a request with a catalogue
+ * @param {Object} catalogue - A version's catalogue
+ * @param {Object} input - { service_type_id, urgency, time_window, property_type, province, city,
+ *   at (when the job is requested; default now) }
+ * @returns {Object} { mode, ... }: fixed_range { min, max, multiplier, adjustments },
+ *   quote_only, inspection_fee { inspection_fee } or unknown { reason }
+ */
+function price(catalogue, { service_type_id, urgency, time_window, property_type, province, city, at } = {}) {
+  const service = findService(catalogue, service_type_id);
+  const pricing = service && service.pricing;
+  if (!pricing) {
+    return { mode: 'unknown', reason: 'No pricing available' };
+  }
+  if (pricing.quote_only) {
+    return { mode: 'quote_only' };
+  }
+  if (pricing.inspection_fee) {
+    return { mode: 'inspection_fee', inspection_fee: pricing.inspection_fee };
+  }
+
+  const rules = catalogue.globalRules || {};
+  const code = tax.normalizeProvince(province);
+  const clock = localClock(code ? tax.PROVINCES[code].timeZone : DEFAULT_TIME_ZONE, new Date(at || Date.now()));
+  const timeOfDay = (rules.timeOfDayMultipliers || []).find(window => inWindow(clock.minutes, window));
+  const override = regionOverride(rules, service_type_id, province, city);
+  const adjustments = {
+    urgency: urgencyMultiplier(rules, urgency, time_window),
+    property_type: (rules.propertyTypeMultipliers || {})[property_type] || 1.0,
+    time_of_day: timeOfDay ? timeOfDay.multiplier : 1.0,
+    weekend: clock.weekend ? rules.weekendMultiplier || 1.0 : 1.0,
+    region: override && override.multiplier ? override.multiplier : 1.0
+  };
+  const multiplier = roundMultiplier(Object.values(adjustments).reduce((product, value) => product * value, 1));
+  const base = override && override.min ? override : pricing;
+  const min = base.min ? Math.round(base.min * multiplier) : null;
+  const max = base.max ? Math.round(base.max * multiplier) : null;
+  return {
+    mode: 'fixed_range',
+    min,
+    max,
+    multiplier,
+    adjustments
+  };
+}
+
+function versionRef(version) {
+  return { id: version.id, version: version.version };
+}
+
+/**
+ * Estimate for a service with the version in force when the job is
+ * requested, or the version given (a job's own)
+ * @param {Object} input - price() input plus versionId
+ * @returns {Promise<Object>} price() result with pricing_version { id, version }
+ */
+async function estimate({ versionId, ...input } = {}) {
+  const version = (versionId && await findVersion(versionId)) || await versionAt(input.at);
+  return { ...price(version.catalogue, input), pricing_version: versionRef(version) };
+}
+
+function summarize(version) {
+  const { catalogue, ...rest } = version;
+  const services = (catalogue.categories || []).reduce((count, category) => count + (category.services || []).length, 0);
+  return { ...rest, services };
+}
+
+/**
+ * Every version, newest first, without their catalogues
+ * @returns {Promise<{ versions: Array, current: Object }>}
+ */
+async function listVersions() {
+  const current = await versionAt();
+  const versions = await versionsRepo.list();
+  return { versions: versions.map(summarize), current: versionRef(current) };
+}
+
+/**
+ * Start a draft from a version (default: the one in force now)
+ * @param {Object} input - { based_on, notes }
+ * @throws {PricingError} 404 unknown based_on
+ */
+async function createDraft({ based_on: basedOn, notes } = {}, actor = null) {
+  const source = basedOn ? await getVersion(basedOn) : await versionAt();
+  const draft = await versionsRepo.create({
+    version: await versionsRepo.latestVersionNumber() + 1,
+    status: STATUSES.DRAFT,
+    catalogue: JSON.parse(JSON.stringify(source.catalogue)),
+    notes: notes ? String(notes).trim().slice(0, 1000) : null,
+    based_on: source.id,
+    created_by: actor
+  });
+  await logEvent({
+    action: 'pricing.version_created',
+    entity_type: 'pricing_version',
+    entity_id: draft.id,
+    actor,
+    after: { version: draft.version, based_on: source.version }
+  });
+  return draft;
+}
+
+function isMultiplier(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= MAX_MULTIPLIER;
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function checkMultiplierMap(name, map, keys) {
+  const valid = map && typeof map === 'object' && !Array.isArray(map) &&
+    Object.entries(map).every(([key, value]) => keys.includes(key) && isMultiplier(value));
+  if (!valid) {
+    throw new PricingError(`${name} must map ${keys.join(', ')} to multipliers above 0 and at most ${MAX_MULTIPLIER}`);
+  }
+  return { ...map };
+}
+
+function checkServicePricing(id, pricing) {
+  const keys = Object.keys(pricing || {}).sort().join(',');
+  if (keys === 'max,min' && isAmount(pricing.min) && isAmount(pricing.max) && pricing.min <= pricing.max) {
+    return { min: pricing.min, max: pricing.max };
+  }
+  if (keys === 'quote_only' && pricing.quote_only === true) return { quote_only: true };
+  if (keys === 'inspection_fee' && isAmount(pricing.inspection_fee)) return { inspection_fee: pricing.inspection_fee };
+  throw new PricingError(`Service ${id}: pricing must be { min, max } (0 < min ≤ max), { quote_only: true } or { inspection_fee }`);
+}
+
+function checkTimeOfDay(windows) {
+  if (!Array.isArray(windows) || windows.length > MAX_TIME_OF_DAY_RULES) {
+    throw new PricingError(`timeOfDayMultipliers must be a list of at most ${MAX_TIME_OF_DAY_RULES} windows`);
+  }
+  return windows.map(window => {
+    const valid = window && TIME_PATTERN.test(window.from) && TIME_PATTERN.test(window.to) &&
+      window.from !== window.to && isMultiplier(window.multiplier);
+    if (!valid) {
+      throw new PricingError('Each time-of-day window is { from: "HH:MM", to: "HH:MM", multiplier }');
+    }
+    return { from: window.from, to: window.to, multiplier: window.multiplier };
+  });
+}
+
+function checkRegionOverrides(overrides, catalogue) {
+  if (!Array.isArray(overrides) || overrides.length > MAX_REGION_OVERRIDES) {
+    throw new PricingError(`regionOverrides must be a list of at most ${MAX_REGION_OVERRIDES} overrides`);
+  }
+  return overrides.map(override => {
+    const province = tax.normalizeProvince(override && override.province);
+    if (!province) {
+      throw new PricingError('Each region override needs a province code (e.g. ON)');
+    }
+    const result = { province };
+    if (override.city) result.city = String(override.city).trim().slice(0, 100);
+    if (override.serviceTypeId !== undefined && override.serviceTypeId !== null) {
+      if (!findService(catalogue, override.serviceTypeId)) {
+        throw new PricingError(`Region override for unknown service ${override.serviceTypeId}`);
+      }
+      result.serviceTypeId = Number(override.serviceTypeId);
+    }
+    if (override.multiplier !== undefined) {
+      if (!isMultiplier(override.multiplier)) {
+        throw new PricingError(`Region override multipliers must be above 0 and at most ${MAX_MULTIPLIER}`);
+      }
+      result.multiplier = override.multiplier;
+    }
+    if (override.min !== undefined || override.max !== undefined) {
+      const valid = result.serviceTypeId !== undefined && isAmount(override.min) && isAmount(override.max) &&
+        override.min <= override.max;
+      if (!valid) {
+        throw new PricingError('A region override range needs a serviceTypeId and 0 < min ≤ max');
+      }
+      result.min = override.min;
+      result.max = override.max;
+    }
+    if (result.multiplier === undefined && result.min === undefined) {
+      throw new PricingError('A region override needs a multiplier or a min/max range');
+    }
+    return result;
+  });
+}
+
+async function loadDraft(id) {
+  const version = await getVersion(id);
+  if (version.status !== STATUSES.DRAFT) {
+    throw new PricingError(`Version ${version.version} is ${version.status} and can no longer be changed`, 409);
+  }
+  return version;
+}
+
+/**
+ * Change a draft (only the parts given; each globalRules key given replaces
+ * the draft's)
+ * @param {string} id
+ * @param {Object} changes - { notes, services: [{ id, pricing }], globalRules: { urgencyMultipliers,
+ *   propertyTypeMultipliers, timeOfDayMultipliers, weekendMultiplier, regionOverrides } }
+ * @throws {PricingError} 404 unknown, 409 not a draft, 400 invalid values
+ */
+async function updateDraft(id, changes = {}, actor = null) {
+  const draft = await loadDraft(id);
+  const catalogue = JSON.parse(JSON.stringify(draft.catalogue));
+  const rules = { ...(catalogue.globalRules || {}) };
+  const changed = [];
+
+  if (changes.services !== undefined) {
+    if (!Array.isArray(changes.services)) {
+      throw new PricingError('services must be a list of { id, pricing }');
+    }
+    changes.services.forEach(({ id: serviceId, pricing } = {}) => {
+      const service = findService(catalogue, serviceId);
+      if (!service) {
+        throw new PricingError(`Unknown service ${serviceId}`);
+      }
+      service.pricing = checkServicePricing(serviceId, pricing);
+      changed.push(`service ${service.id}`);
+    });
+  }
+
+  const globalRules = changes.globalRules || {};
+  if (globalRules.urgencyMultipliers !== undefined) {
+    rules.urgencyMultipliers = checkMultiplierMap('urgencyMultipliers', globalRules.urgencyMultipliers, URGENCY_KEYS);
+  }
+  if (globalRules.propertyTypeMultipliers !== undefined) {
+    rules.propertyTypeMultipliers = checkMultiplierMap('propertyTypeMultipliers', globalRules.propertyTypeMultipliers, PROPERTY_TYPES);
+  }
+  if (globalRules.timeOfDayMultipliers !== undefined) {
+    rules.timeOfDayMultipliers = checkTimeOfDay(globalRules.timeOfDayMultipliers);
+  }
+  if (globalRules.weekendMultiplier !== undefined) {
+    if (!isMultiplier(globalRules.weekendMultiplier)) {
+      throw new PricingError(`weekendMultiplier must be above 0 and at most ${MAX_MULTIPLIER}`);
+    }
+    rules.weekendMultiplier = globalRules.weekendMultiplier;
+  }
+  if (globalRules.regionOverrides !== undefined) {
+    rules.regionOverrides = checkRegionOverrides(globalRules.regionOverrides, catalogue);
+  }
+  Object.keys(globalRules).forEach(key => {
+    if (rules[key] !== undefined) changed.push(key);
+  });
+  catalogue.globalRules = rules;
+
+  const updated = await versionsRepo.transition(draft.id, STATUSES.DRAFT, {
+    catalogue,
+    notes: changes.notes !== undefined ? String(changes.notes || '').trim().slice(0, 1000) || null : undefined
+  });
+  if (!updated) {
+    throw new PricingError('This version was published while the request was processed', 409);
+  }
+  await logEvent({
+    action: 'pricing.version_updated',
+    entity_type: 'pricing_version',
+    entity_id: updated.id,
+    actor,
+    before: { catalogue: draft.catalogue },
+    after: { catalogue: updated.catalogue },
+    meta: { version: updated.version, changed }
+  });
+  return updated;
+}
+
+/**
+ * Publish a draft from a moment on (default now)
+ * @param {Object} options - { effective_from }
+ * @throws {PricingError} 404 unknown, 409 not a draft, 400 a date in the past
+ */
+async function publish(id, { effective_from: effectiveFrom } = {}, actor = null) {
+  const draft = await loadDraft(id);
+  const now = new Date();
+  const from = effectiveFrom ? new Date(effectiveFrom) : now;
+  if (Number.isNaN(from.getTime())) {
+    throw new PricingError('effective_from must be a date and time');
+  }
+  if (from.getTime() < now.getTime() - PUBLISH_SLACK_MS) {
+    throw new PricingError('effective_from cannot be in the past; jobs already priced keep their version');
+  }
+  const published = await versionsRepo.transition(draft.id, STATUSES.DRAFT, {
+    status: STATUSES.PUBLISHED,
+    effective_from: from < now ? now : from,
+    published_by: actor,
+    published_at: now
+  });
+  if (!published) {
+    throw new PricingError('This version was published while the request was processed', 409);
+  }
+  invalidateCache();
+  await logEvent({
+    action: 'pricing.version_published',
+    entity_type: 'pricing_version',
+    entity_id: published.id,
+    actor,
+    after: { version: published.version, effective_from: published.effective_from }
+  });
+  return published;
+}
+
+/**
+ * Throw a draft away
+ * @throws {PricingError} 404 unknown, 409 not a draft
+ */
+async function discardDraft(id, actor = null) {
+  const draft = await loadDraft(id);
+  if (!await versionsRepo.removeDraft(draft.id)) {
+    throw new PricingError('This version was published while the request was processed', 409);
+  }
+  await logEvent({
+    action: 'pricing.version_discarded',
+    entity_type: 'pricing_version',
+    entity_id: draft.id,
+    actor,
+    before: { version: draft.version }
+  });
+}
+
+function sampleFromJob(job) {
+  return {
+    job_id: job.id,
+    service_type_id: job.service_type_id,
+    urgency: job.urgency,
+    time_window: job.time_window,
+    property_type: job.property_type,
+    province: job.province,
+    city: job.city,
+    at: job.created_at
+  };
+}
+
+function rangeChange(current, proposed) {
+  const diff = key => (current[key] !== null && current[key] !== undefined && proposed[key] !== null && proposed[key] !== undefined
+    ? proposed[key] - current[key]
+    : null);
+  return { min: diff('min'), max: diff('max') };
+}
+
+/**
+ * Compare estimates from the version in force now with a version's, for
+ * sample requests: the jobs given, the requests given, or recent jobs
+ * @param {string} id - Version to try (usually a draft)
+ * @param {Object} [options] - { job_ids, samples: [price() inputs] }
+ * @returns {Promise<Object>} { version, current_version, samples: [{ job_id, input, current, proposed, change }] }
+ * @throws {PricingError} 404 unknown version, 400 too many samples
+ */
+async function simulate(id, { job_ids: jobIds, samples } = {}) {
+  const version = await getVersion(id);
+  const current = await versionAt();
+  let inputs;
+  if (Array.isArray(samples) && samples.length) {
+    if (samples.length > MAX_SAMPLES) throw new PricingError(`At most ${MAX_SAMPLES} samples`);
+    inputs = samples.map(sample => ({ ...sample, service_type_id: Number(sample.service_type_id) }));
+  } else if (Array.isArray(jobIds) && jobIds.length) {
+    if (jobIds.length > MAX_SAMPLES) throw new PricingError(`At most ${MAX_SAMPLES} jobs`);
+    const jobs = await Promise.all(jobIds.map(jobId => jobsRepo.findById(jobId)));
+    inputs = jobs.filter(Boolean).map(sampleFromJob);
+  } else {
+    inputs = (await jobsRepo.list({ limit: DEFAULT_SAMPLE_JOBS })).map(sampleFromJob);
+  }
+
+  return {
+    version: versionRef(version),
+    current_version: versionRef(current),
+    samples: inputs.map(({ job_id: jobId, ...input }) => {
+      const before = price(current.catalogue, input);
+      const after = price(version.catalogue, input);
+      return {
+        job_id: jobId || null,
+        input,
+        current: before,
+        proposed: after,
+        change: before.mode === 'fixed_range' && after.mode === 'fixed_range' ? rangeChange(before, after) : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  STATUSES,
+  PROPERTY_TYPES,
+  PricingError,
+  price,
+  estimate,
+  versionAt,
+  getVersion,
+  listVersions,
+  createDraft,
+  updateDraft,
+  publish,
+  discardDraft,
+  simulate
+};
@@ -0,0 +1,846 @@
+/**
+ * Promotions – promo codes, referral credit and the customer credit balance
+ *
+ * Usage:
+ *   const promotions = require('./services/promotions');
+ *   await promotions.createPromoCode({ code: 'SPRING20', kind: 'percent', value: 20, max_discount: 100 }, adminActor);
+ *   await promotions.applyToJob(job, 'SPRING20', customerActor);
+ *   await promotions.recordReferral(newCustomer, 'K7WQ2M9X');      // at sign-up through ?ref=
+ *   await promotions.rewardReferral(completedJob);                 // referee's first completed job
+ *   await promotions.grantCredit(customerId, { amount: 20, reason: 'Late arrival' }, adminActor);
+ *   const { discountCents, creditCents } = await promotions.checkoutAllowances(job, amounts);
+ *
+ * A promo code takes a percentage (optionally capped) or a fixed amount
+ * off a job's price before tax. It can be limited to service categories,
+ * to a customer's first job, to a number of redemptions and to a window
+ * of dates; each customer uses a code once. The code has to be valid when
+ * it is applied to a job (at booking or later, until the job is paid) and
+ * is then honoured at checkout; cancelling the job releases it.
+ *
+ * Every customer has a referral code. Someone who signs up through a
+ * referral link is the referee; once their first job is completed both
+ * customers get credit (REFERRAL_REFERRER_CREDIT / REFERRAL_REFEREE_CREDIT).
+ * Admins can grant credit too. Credit is spent at checkout, after the promo
+ * discount: checkoutAllowances() holds it for the job (customer_credits
+ * 'applied') and gives back whatever a later checkout no longer needs
+ * ('released').
+ *
+ * The platform pays for all of it. The sales tax and the contractor's
+ * payout are still worked out on the full price (lib/financials.js); only
+ * the card charge is smaller, and the difference is posted to the
+ * customer_discounts and customer_credit ledger accounts at capture
+ * (services/ledger.js). The card is always charged at least the processor's
+ * minimum and at least the tax.
+ *
+ * redemption: applied → redeemed | released
+ * referral:   pending → rewarded
+ */
+
+const crypto = require('crypto');
+const ENV = require('../config/env');
+const financials = require('../lib/financials');
+const {
+  promoCodes: promoCodesRepo,
+  promoRedemptions: redemptionsRepo,
+  referrals: referralsRepo,
+  customerCredits: creditsRepo,
+  customers: customersRepo,
+  jobs: jobsRepo,
+  payments: paymentsRepo
+} = require('../repositories');
+const { logEvent } = require('./audit-service');
+const ledger = require('./ledger');
+const { sendCreditEmail } = require('../email-service');
+
+const KINDS = {
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+};
+
+const REDEMPTION_STATUSES = {
+  APPLIED: 'applied',
+  REDEEMED: 'redeemed',
+  RELEASED: 'released'
+};
+
+const REFERRAL_STATUSES = {
+  PENDING: 'pending',
+  REWARDED: 'rewarded'
+};
+
+const CREDIT_KINDS = {
+  REFERRAL: 'referral',
+  GRANT: 'grant',
+  APPLIED: 'applied',
+  RELEASED: 'released'
+};
+
+// Stripe's smallest CAD charge
+const MIN_CHARGE_CENTS = 50;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+const TEXT_MAX_LENGTH = 500;
+const MAX_GRANT_CENTS = 100000;
+const PAID_JOB_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const PROMO_FIELDS = [
+  'description',
+  'max_discount',
+  'service_category_ids',
+  'first_job_only',
+  'max_redemptions',
+  'starts_at',
+  'expires_at',
+  'active'
+];
+
+class PromotionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+  }
+}
+
+function cleanText(value, maxLength = TEXT_MAX_LENGTH) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function jobRef(job) {
+  return `#${String(job.id).slice(0, 8)}`;
+}
+
+function optionalDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new PromotionError(`${field} must be a date and time`);
+  }
+  return date;
+}
+
+function optionalPositiveInteger(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new PromotionError(`${field} must be a whole number of at least 1`);
+  }
+  return number;
+}
+
+function optionalDollars(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const cents = financials.toCents(value);
+  if (cents === null || cents <= 0) {
+    throw new PromotionError(`${field} must be a positive amount in dollars`);
+  }
+  return financials.toDollars(cents);
+}
+
+/**
+ * The editable promo code fields in input, checked
+ */
+function parsePromoFields(input) {
+  const fields = {
+    description: input.description === undefined ? undefined : cleanText(input.description),
+    max_discount: optionalDollars(input.max_discount, 'max_discount'),
+    max_redemptions: optionalPositiveInteger(input.max_redemptions, 'max_redemptions'),
+    starts_at: optionalDate(input.starts_at, 'starts_at'),
+    expires_at: optionalDate(input.expires_at, 'expires_at')
+  };
+  if (input.service_category_ids !== undefined) {
+    const ids = input.service_category_ids === null ? [] : input.service_category_ids;
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id)) || Number(id) < 1)) {
+      throw new PromotionError('service_category_ids must be a list of service category ids');
+    }
+    fields.service_category_ids = [...new Set(ids.map(Number))];
+  }
+  ['first_job_only', 'active'].forEach(field => {
+    if (input[field] === undefined) return;
+    if (typeof input[field] !== 'boolean') {
+      throw new PromotionError(`${field} must be true or false`);
+    }
+    fields[field] = input[field];
+  });
+  return fields;
+}
+
+function assertWindow(startsAt, expiresAt) {
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    throw new PromotionError('expires_at must be after starts_at');
+  }
+}
+
+/**
+ * What a customer is told about a code
+ */
+function publicPromo(promo) {
+  return {
+    code: promo.code,
+    description: promo.description || null,
+    kind: promo.kind,
+    value: Number(promo.value),
+    max_discount: promo.max_discount === null || promo.max_discount === undefined ? null : Number(promo.max_discount),
+    expires_at: promo.expires_at || null
+  };
+}
+
+/**
+ * Promo codes, newest first
+ * @param {Object} [filters] - { active }
+ */
+async function listPromoCodes(filters = {}) {
+  return promoCodesRepo.list(filters);
+}
+
+/**
+ * A promo code with its redemptions
+ * @throws {PromotionError} 404
+ */
+async function getPromoCode(id) {
+  const promo = await promoCodesRepo.findById(id);
+  if (!promo) {
+    throw new PromotionError('Promo code not found', 404);
+  }
+  const redemptions = await redemptionsRepo.list({ promoCodeId: promo.id });
+  return {
+    ...promo,
+    redemptions,
+    discount_total: financials.toDollars(financials.sumAmountCents(
+      redemptions.filter(r => r.status === REDEMPTION_STATUSES.REDEEMED), 'amount'
+    ))
+  };
+}
+
+/**
+ * Create a promo code
+ * @param {Object} input - { code, kind ('percent' | 'fixed'), value (percent or dollars), description,
+ *   max_discount, service_category_ids, first_job_only, max_redemptions, starts_at, expires_at, active }
+ * @param {Object} actor - Admin
+ * @throws {PromotionError} 400 invalid input, 409 code taken
+ */
+async function createPromoCode(input = {}, actor) {
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    throw new PromotionError('code must be 3–40 letters, digits, dashes or underscores');
+  }
+  if (!Object.values(KINDS).includes(input.kind)) {
+    throw new PromotionError(`kind must be one of: ${Object.values(KINDS).join(', ')}`);
+  }
+  const value = Number(input.value);
+  const valueOk = input.kind === KINDS.PERCENT
+    ? Number.isFinite(value) && value > 0 && value <= 100
+    : (financials.toCents(input.value) || 0) > 0;
+  if (!valueOk) {
+    throw new PromotionError(input.kind === KINDS.PERCENT
+      ? 'value must be a percentage above 0 and at most 100'
+      : 'value must be a positive amount in dollars');
+  }
+  const fields = parsePromoFields(input);
+  assertWindow(fields.starts_at, fields.expires_at);
+  if (await promoCodesRepo.findByCode(code)) {
+    throw new PromotionError(`Promo code ${code} already exists`, 409);
+  }
+
+  const promo = await promoCodesRepo.create({
+    ...fields,
+    code,
+    kind: input.kind,
+    value: input.kind === KINDS.PERCENT ? Math.round(value * 100) / 100 : financials.toDollars(financials.toCents(input.value)),
+    created_by: actor
+  });
+  await logEvent({
+    action: 'promo_code.created',
+    entity_type: 'promo_code',
+    entity_id: promo.id,
+    actor,
+    after: promo
+  });
+  return promo;
+}
+
+/**
+ * Change a promo code's limits or switch it off. Its code, kind and value
+ * stay as created (make a new code instead), so jobs it is already on get
+ * the discount they were shown.
+ * @throws {PromotionError} 404 unknown, 400 invalid input
+ */
+async function updatePromoCode(id, input = {}, actor) {
+  const promo = await promoCodesRepo.findById(id);
+  if (!promo) {
+    throw new PromotionError('Promo code not found', 404);
+  }
+  const changed = {
+    code: input.code !== undefined && normalizeCode(input.code) !== promo.code,
+    kind: input.kind !== undefined && input.kind !== promo.kind,
+    value: input.value !== undefined && Number(input.value) !== Number(promo.value)
+  };
+  const locked = Object.keys(changed).find(field => changed[field]);
+  if (locked) {
+    throw new PromotionError(`A promo code's ${locked} cannot change; create a new code instead`);
+  }
+  const fields = parsePromoFields(input);
+  assertWindow(
+    fields.starts_at === undefined ? promo.starts_at : fields.starts_at,
+    fields.expires_at === undefined ? promo.expires_at : fields.expires_at
+  );
+  if (fields.max_redemptions && fields.max_redemptions < promo.redemption_count) {
+    throw new PromotionError(`This code is already on ${promo.redemption_count} jobs; max_redemptions cannot be lower`);
+  }
+
+  const before = PROMO_FIELDS.reduce((picked, field) => ({ ...picked, [field]: promo[field] }), {});
+  const updated = await promoCodesRepo.update(promo.id, fields);
+  await logEvent({
+    action: 'promo_code.updated',
+    entity_type: 'promo_code',
+    entity_id: promo.id,
+    actor,
+    before,
+    after: PROMO_FIELDS.reduce((picked, field) => ({ ...picked, [field]: updated[field] }), {})
+  });
+  return updated;
+}
+
+/**
+ * Why a code cannot go on a job, or nothing when it can
+ * @param {Object} promo - Promo code row (or null)
+ * @param {Object} context - { customerId, serviceCategoryId, jobId }
+ * @throws {PromotionError}
+ */
+async function assertEligible(promo, { customerId, serviceCategoryId, jobId }) {
+  const now = new Date();
+  if (!promo || !promo.active) {
+    throw new PromotionError('This promo code is not valid', 404);
+  }
+  if (promo.starts_at && new Date(promo.starts_at) > now) {
+    throw new PromotionError('This promo code is not active yet');
+  }
+  if (promo.expires_at && new Date(promo.expires_at) <= now) {
+    throw new PromotionError('This promo code has expired');
+  }
+  const categories = promo.service_category_ids || [];
+  if (categories.length && !categories.includes(Number(serviceCategoryId))) {
+    throw new PromotionError('This promo code does not apply to this service');
+  }
+  if (promo.max_redemptions !== null && promo.max_redemptions !== undefined &&
+      promo.redemption_count >= promo.max_redemptions) {
+    throw new PromotionError('This promo code has been fully redeemed', 409);
+  }
+  if (!customerId) return;
+  if (promo.first_job_only) {
+    const jobs = await jobsRepo.list({ customerId });
+    const others = jobs.filter(job => String(job.id) !== String(jobId) && job.status !== 'cancelled');
+    if (others.length) {
+      throw new PromotionError('This promo code is for a first job only');
+    }
+  }
+  const used = await redemptionsRepo.list({
+    promoCodeId: promo.id,
+    customerId,
+    statuses: [REDEMPTION_STATUSES.APPLIED, REDEMPTION_STATUSES.REDEEMED]
+  });
+  if (used.some(redemption => String(redemption.job_id) !== String(jobId))) {
+    throw new PromotionError('You have already used this promo code', 409);
+  }
+}
+
+/**
+ * Check a code before a job exists (booking form)
+ * @param {string} code
+ * @param {Object} context - { customerId (null for a new customer), serviceCategoryId }
+ * @returns {Promise<Object>} The code as customers see it
+ * @throws {PromotionError}
+ */
+async function checkCode(code, { customerId, serviceCategoryId } = {}) {
+  const promo = await promoCodesRepo.findByCode(normalizeCode(code));
+  await assertEligible(promo, { customerId, serviceCategoryId, jobId: null });
+  return publicPromo(promo);
+}
+
+/**
+ * Put a promo code on a job (its customer's)
+ * @param {Object} job - Job row
+ * @param {string} code
+ * @param {Object} actor
+ * @returns {Promise<{ redemption: Object, promo_code: Object }>}
+ * @throws {PromotionError} 409 job paid or cancelled / another code on it / cap reached,
+ *   404 unknown code, 400 not valid for this job
+ */
+async function applyToJob(job, code, actor) {
+  if (job.status === 'cancelled' || PAID_JOB_PAYMENT_STATUSES.includes(job.payment_status)) {
+    throw new PromotionError('Promo codes can only be added before the job is paid', 409);
+  }
+  const promo = await promoCodesRepo.findByCode(normalizeCode(code));
+  const live = await redemptionsRepo.findLiveForJob(job.id);
+  if (live && promo && String(live.promo_code_id) === String(promo.id)) {
+    return { redemption: live, promo_code: publicPromo(promo) };
+  }
+  if (live) {
+    throw new PromotionError('This job already has a promo code; remove it first', 409);
+  }
+  await assertEligible(promo, { customerId: job.customer_id, serviceCategoryId: job.service_category_id, jobId: job.id });
+  if (!await promoCodesRepo.reserve(promo.id)) {
+    throw new PromotionError('This promo code has been fully redeemed', 409);
+  }
+
+  let redemption;
+  try {
+    redemption = await redemptionsRepo.create({
+      promo_code_id: promo.id,
+      job_id: job.id,
+      customer_id: job.customer_id,
+      status: REDEMPTION_STATUSES.APPLIED
+    });
+  } catch (error) {
+    await promoCodesRepo.unreserve(promo.id);
+    throw error;
+  }
+  await logEvent({
+    action: 'promo_code.applied',
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    after: { redemption_id: redemption.id, promo_code_id: promo.id, code: promo.code }
+  });
+  return { redemption, promo_code: publicPromo(promo) };
+}
+
+async function releaseRedemption(redemption, actor, action) {
+  const released = await redemptionsRepo.transition(redemption.id, REDEMPTION_STATUSES.APPLIED, {
+    status: REDEMPTION_STATUSES.RELEASED,
+    released_at: new Date()
+  });
+  if (!released) return null;
+  await promoCodesRepo.unreserve(released.promo_code_id);
+  await logEvent({
+    action: `promo_code.${action}`,
+    entity_type: 'job',
+    entity_id: released.job_id,
+    actor,
+    after: { redemption_id: released.id, promo_code_id: released.promo_code_id, status: released.status }
+  });
+  return released;
+}
+
+/**
+ * Take the promo code off a job that is not paid yet
+ * @throws {PromotionError} 404 no code on the job, 409 already redeemed
+ */
+async function removeFromJob(job, actor) {
+  const live = await redemptionsRepo.findLiveForJob(job.id);
+  if (!live) {
+    throw new PromotionError('This job has no promo code', 404);
+  }
+  const released = await releaseRedemption(live, actor, 'removed');
+  if (!released) {
+    throw new PromotionError('The promo code was redeemed when the job was paid', 409);
+  }
+  return released;
+}
+
+/**
+ * A job's promo code, if it has one
+ * @returns {Promise<{ redemption: Object, promo_code: Object }|null>}
+ */
+async function jobPromo(jobId) {
+  const live = await redemptionsRepo.findLiveForJob(jobId);
+  if (!live) return null;
+  const promo = await promoCodesRepo.findById(live.promo_code_id);
+  return { redemption: live, promo_code: promo ? publicPromo(promo) : null };
+}
+
+/**
+ * The promo discount on a price, in cents
+ * @param {Object} promo - Promo code row
+ * @param {number} priceCents - Pre-tax price the discount comes off
+ */
+function discountCents(promo, priceCents) {
+  if (!promo || priceCents <= 0) return 0;
+  let cents = promo.kind === KINDS.PERCENT
+    ? Math.round(priceCents * Number(promo.value) / 100)
+    : financials.toCents(promo.value) || 0;
+  const capCents = financials.toCents(promo.max_discount);
+  if (capCents) cents = Math.min(cents, capCents);
+  return Math.max(0, Math.min(cents, priceCents));
+}
+
+/**
+ * A customer's credit balance, in cents
+ */
+async function creditBalanceCents(customerId) {
+  return financials.sumAmountCents(await creditsRepo.list({ customerId }), 'amount');
+}
+
+/**
+ * Credit held for a job's checkout, in cents
+ */
+async function heldCreditCents(customerId, jobId) {
+  const moves = await creditsRepo.list({
+    customerId,
+    jobId,
+    kinds: [CREDIT_KINDS.APPLIED, CREDIT_KINDS.RELEASED]
+  });
+  return -financials.sumAmountCents(moves, 'amount');
+}
+
+/**
+ * Hold exactly targetCents of the customer's credit for the job
+ */
+async function holdCredit(job, targetCents, actor) {
+  const heldCents = await heldCreditCents(job.customer_id, job.id);
+  const deltaCents = targetCents - heldCents;
+  if (deltaCents === 0) return;
+  await creditsRepo.create({
+    customer_id: job.customer_id,
+    kind: deltaCents > 0 ? CREDIT_KINDS.APPLIED : CREDIT_KINDS.RELEASED,
+    amount: financials.toDollars(-deltaCents),
+    currency: financials.CURRENCY,
+    job_id: job.id,
+    reason: deltaCents > 0 ? `Checkout for job ${jobRef(job)}` : `Released from job ${jobRef(job)}`,
+    created_by: actor || null
+  });
+}
+
+/**
+ * What comes off the card charge for a job at checkout: its promo discount
+ * first, then the customer's credit, neither more than the pre-tax amount
+ * due and leaving at least the processor's minimum to charge. Holds the
+ * credit for the job (and gives back a previous hold it no longer needs).
+ * @param {Object} job - Job row
+ * @param {Object} amounts - { priceCents (final price less refunds), dueCents (everything still
+ *   owed, tax included), pretaxDueCents (the part of dueCents that is not tax) }
+ * @param {Object} actor
+ * @returns {Promise<{ discountCents: number, creditCents: number, code: string|null }>}
+ */
+async function checkoutAllowances(job, { priceCents, dueCents, pretaxDueCents }, actor) {
+  let roomCents = Math.max(0, Math.min(pretaxDueCents, dueCents - MIN_CHARGE_CENTS));
+
+  const live = await redemptionsRepo.findLiveForJob(job.id);
+  const promo = live && live.status === REDEMPTION_STATUSES.APPLIED
+    ? await promoCodesRepo.findById(live.promo_code_id)
+    : null;
+  const discount = Math.min(discountCents(promo, priceCents), roomCents);
+  roomCents -= discount;
+
+  let credit = 0;
+  if (job.customer_id) {
+    const availableCents = await creditBalanceCents(job.customer_id) + await heldCreditCents(job.customer_id, job.id);
+    credit = Math.max(0, Math.min(availableCents, roomCents));
+    await holdCredit(job, credit, actor);
+  }
+  return { discountCents: discount, creditCents: credit, code: promo ? promo.code : null };
+}
+
+/**
+ * Mark the job's promo code redeemed once its payment is captured
+ * @param {Object} payment - Payment row with discount_amount
+ */
+async function recordRedeemed(payment) {
+  const live = await redemptionsRepo.findLiveForJob(payment.job_id);
+  if (!live || live.status !== REDEMPTION_STATUSES.APPLIED) return null;
+  const redeemed = await redemptionsRepo.transition(live.id, REDEMPTION_STATUSES.APPLIED, {
+    status: REDEMPTION_STATUSES.REDEEMED,
+    amount: financials.toDollars(financials.toCents(payment.discount_amount) || 0),
+    payment_id: payment.id,
+    redeemed_at: new Date()
+  });
+  if (redeemed) {
+    await logEvent({
+      action: 'promo_code.redeemed',
+      entity_type: 'job',
+      entity_id: redeemed.job_id,
+      actor: { role: 'system', id: 'promotions' },
+      after: { redemption_id: redeemed.id, promo_code_id: redeemed.promo_code_id, amount: Number(redeemed.amount) }
+    });
+  }
+  return redeemed;
+}
+
+/**
+ * Give back a cancelled job's promo code and held credit
+ */
+async function releaseForJob(job, actor) {
+  const live = await redemptionsRepo.findLiveForJob(job.id);
+  if (live) await releaseRedemption(live, actor, 'released');
+  if (job.customer_id) await holdCredit(job, 0, actor);
+}
+
+async function addCredit(customer, { kind, amountCents, jobId, referralId, reason }, actor) {
+  const credit = await creditsRepo.create({
+    customer_id: customer.id,
+    kind,
+    amount: financials.toDollars(amountCents),
+    currency: financials.CURRENCY,
+    job_id: jobId || null,
+    referral_id: referralId || null,
+    reason,
+    created_by: actor || null
+  });
+  await ledger.recordCreditGranted(credit);
+  await logEvent({
+    action: `customer_credit.${kind === CREDIT_KINDS.REFERRAL ? 'referral' : 'granted'}`,
+    entity_type: 'customer',
+    entity_id: customer.id,
+    actor: actor || { role: 'system', id: 'promotions' },
+    reason,
+    after: { credit_id: credit.id, amount: Number(credit.amount), job_id: credit.job_id }
+  });
+  if (customer.email) {
+    await sendCreditEmail(customer.email, customer.full_name, {
+      message: reason,
+      amount: Number(credit.amount).toFixed(2),
+      balance: financials.toDollars(await creditBalanceCents(customer.id)).toFixed(2),
+      currency: financials.CURRENCY
+    });
+  }
+  return credit;
+}
+
+/**
+ * An admin gives a customer credit (goodwill, a service recovery)
+ * @param {string} customerId
+ * @param {Object} input - { amount (dollars), reason }
+ * @param {Object} actor - Admin
+ * @throws {PromotionError} 404 unknown customer, 400 bad amount or no reason
+ */
+async function grantCredit(customerId, { amount, reason } = {}, actor) {
+  const customer = await customersRepo.findById(customerId);
+  if (!customer) {
+    throw new PromotionError('Customer not found', 404);
+  }
+  const amountCents = financials.toCents(amount);
+  if (amountCents === null || amountCents <= 0 || amountCents > MAX_GRANT_CENTS) {
+    throw new PromotionError(`amount must be a positive amount in dollars, at most ${financials.toDollars(MAX_GRANT_CENTS)}`);
+  }
+  const why = cleanText(reason);
+  if (!why) {
+    throw new PromotionError('A reason is required');
+  }
+  return addCredit(customer, { kind: CREDIT_KINDS.GRANT, amountCents, reason: why }, actor);
+}
+
+/**
+ * A customer's credit balance and its movements, newest first
+ */
+async function customerCredit(customerId) {
+  const moves = await creditsRepo.list({ customerId });
+  return {
+    balance: financials.toDollars(financials.sumAmountCents(moves, 'amount')),
+    currency: financials.CURRENCY,
+    entries: moves.slice().reverse().map(move => ({
+      id: move.id,
+      kind: move.kind,
+      amount: Number(move.amount),
+      job_id: move.job_id || null,
+      reason: move.reason || null,
+      created_at: move.created_at
+    }))
+  };
+}
+
+function randomReferralCode() {
+  const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+  return Array.from(bytes, byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * The customer's referral code, created the first time it is asked for
+ */
+async function referralCode(customer) {
+  if (customer.referral_code) return customer.referral_code;
+  let code = randomReferralCode();
+  while (await customersRepo.findByReferralCode(code)) {
+    code = randomReferralCode();
+  }
+  const updated = await customersRepo.update(customer.id, { referral_code: code });
+  return updated.referral_code;
+}
+
+/**
+ * A customer's referral link and the people who signed up through it
+ */
+async function referralSummary(customer) {
+  const code = await referralCode(customer);
+  const referrals = await referralsRepo.list({ referrerId: customer.id });
+  const referees = await Promise.all(referrals.map(referral => customersRepo.findById(referral.referee_id)));
+  return {
+    code,
+    link: `${ENV.webOrigin.replace(/\/+$/, '')}/?ref=${code}`,
+    referrer_credit: ENV.referralReferrerCredit,
+    referee_credit: ENV.referralRefereeCredit,
+    currency: financials.CURRENCY,
+    referrals: referrals.map((referral, index) => ({
+      id: referral.id,
+      // First name only; the referrer sees who joined, not their account
+      name: String(referees[index]?.full_name || '').trim().split(/\s+/)[0] || null,
+      status: referral.status,
+      credit: referral.referrer_credit === null ? null : Number(referral.referrer_credit),
+      created_at: referral.created_at,
+      rewarded_at: referral.rewarded_at || null
+    }))
+  };
+}
+
+/**
+ * Link a customer to whoever referred them (at sign-up or first booking).
+ * Quietly does nothing for an unknown or own code, a customer who was
+ * already referred, or one who has had a job completed.
+ * @param {Object} customer - The new customer
+ * @param {string} code - Referral code from the link
+ * @returns {Promise<Object|null>} The referral
+ */
+async function recordReferral(customer, code, actor) {
+  const normalized = normalizeCode(code);
+  if (!customer || !normalized) return null;
+  const referrer = await customersRepo.findByReferralCode(normalized);
+  if (!referrer || String(referrer.id) === String(customer.id)) return null;
+  if (await referralsRepo.findByReferee(customer.id)) return null;
+  const jobs = await jobsRepo.list({ customerId: customer.id });
+  if (jobs.some(job => job.status === 'completed')) return null;
+
+  const referral = await referralsRepo.create({
+    referrer_id: referrer.id,
+    referee_id: customer.id,
+    status: REFERRAL_STATUSES.PENDING
+  });
+  await logEvent({
+    action: 'referral.recorded',
+    entity_type: 'customer',
+    entity_id: customer.id,
+    actor: actor || { role: 'customer', id: customer.id, email: customer.email },
+    after: { referral_id: referral.id, referrer_id: referrer.id }
+  });
+  return referral;
+}
+
+/**
+ * Credit both customers of a pending referral when the referee's first job
+ * is completed. Called on every completion; only the first one pays.
+ * @param {Object} job - The completed job
+ * @returns {Promise<Object|null>} The rewarded referral
+ */
+async function rewardReferral(job) {
+  if (!job || job.status !== 'completed' || !job.customer_id) return null;
+  const referral = await referralsRepo.findByReferee(job.customer_id);
+  if (!referral || referral.status !== REFERRAL_STATUSES.PENDING) return null;
+
+  const referrerCents = ENV.referralReferrerCredit * 100;
+  const refereeCents = ENV.referralRefereeCredit * 100;
+  const rewarded = await referralsRepo.transition(referral.id, REFERRAL_STATUSES.PENDING, {
+    status: REFERRAL_STATUSES.REWARDED,
+    reward_job_id: job.id,
+    referrer_credit: financials.toDollars(referrerCents),
+    referee_credit: financials.toDollars(refereeCents),
+    rewarded_at: new Date()
+  });
+  if (!rewarded) return null;
+
+  const referrer = await customersRepo.findById(rewarded.referrer_id);
+  const referee = await customersRepo.findById(rewarded.referee_id);
+  if (referrer && referrerCents > 0) {
+    const name = String(referee?.full_name || '').trim().split(/\s+/)[0] || 'A friend you referred';
+    await addCredit(referrer, {
+      kind: CREDIT_KINDS.REFERRAL,
+      amountCents: referrerCents,
+      jobId: job.id,
+      referralId: rewarded.id,
+      reason: `${name} had their first FirstClick job done. Thanks for the referral!`
+    });
+  }
+  if (referee && refereeCents > 0) {
+    await addCredit(referee, {
+      kind: CREDIT_KINDS.REFERRAL,
+      amountCents: refereeCents,
+      jobId: job.id,
+      referralId: rewarded.id,
+      reason: 'Welcome credit for joining FirstClick through a referral.'
+    });
+  }
+  return rewarded;
+}
+
+/**
+ * What discounts and credit cost the platform over a period
+ * @param {Object} [filters] - { from, to } (from inclusive, to exclusive)
+ * @returns {Promise<Object>} Dollars: promo discounts redeemed (by code), credit granted (by
+ *   kind) and spent, the customer_discounts expense from the ledger, and the credit customers
+ *   still hold
+ */
+async function discountReport({ from, to } = {}) {
+  const redemptions = await redemptionsRepo.list({ statuses: [REDEMPTION_STATUSES.REDEEMED], from, to });
+  const promos = await promoCodesRepo.list();
+  const byCode = new Map();
+  redemptions.forEach(redemption => {
+    const promo = promos.find(p => String(p.id) === String(redemption.promo_code_id));
+    const key = promo ? promo.code : String(redemption.promo_code_id);
+    const current = byCode.get(key) || { code: key, redemptions: 0, cents: 0 };
+    current.redemptions += 1;
+    current.cents += financials.toCents(redemption.amount) || 0;
+    byCode.set(key, current);
+  });
+
+  const granted = await creditsRepo.list({ kinds: [CREDIT_KINDS.REFERRAL, CREDIT_KINDS.GRANT], from, to });
+  const grantedCents = kind => financials.sumAmountCents(granted.filter(credit => credit.kind === kind), 'amount');
+  const payments = (await paymentsRepo.list())
+    .filter(payment => payment.paid_at &&
+      (!from || new Date(payment.paid_at) >= new Date(from)) &&
+      (!to || new Date(payment.paid_at) < new Date(to)));
+  const books = await ledger.balances({ from, to });
+  const allTime = await ledger.balances();
+  const account = (rows, name) => rows.find(row => row.account === name);
+
+  const promoCents = [...byCode.values()].reduce((sum, entry) => sum + entry.cents, 0);
+  return {
+    from: from || null,
+    to: to || null,
+    currency: financials.CURRENCY,
+    promo_discounts: {
+      total: financials.toDollars(promoCents),
+      redemptions: redemptions.length,
+      by_code: [...byCode.values()]
+        .map(entry => ({ code: entry.code, redemptions: entry.redemptions, discount: financials.toDollars(entry.cents) }))
+        .sort((a, b) => b.discount - a.discount)
+    },
+    credit_granted: {
+      referral: financials.toDollars(grantedCents(CREDIT_KINDS.REFERRAL)),
+      grant: financials.toDollars(grantedCents(CREDIT_KINDS.GRANT)),
+      total: financials.toDollars(grantedCents(CREDIT_KINDS.REFERRAL) + grantedCents(CREDIT_KINDS.GRANT))
+    },
+    credit_spent: financials.toDollars(financials.sumAmountCents(payments, 'credit_amount')),
+    discount_cost: account(books, ledger.ACCOUNTS.CUSTOMER_DISCOUNTS).balance,
+    credit_outstanding: account(allTime, ledger.ACCOUNTS.CUSTOMER_CREDIT).balance
+  };
+}
+
+module.exports = {
+  KINDS,
+  REDEMPTION_STATUSES,
+  CREDIT_KINDS,
+  MIN_CHARGE_CENTS,
+  PromotionError,
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  checkCode,
+  applyToJob,
+  removeFromJob,
+  jobPromo,
+  checkoutAllowances,
+  recordRedeemed,
+  releaseForJob,
+  grantCredit,
+  customerCredit,
+  referralSummary,
+  recordReferral,
+  rewardReferral,
+  discountReport
+};
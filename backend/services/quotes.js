@@ -0,0 +1,451 @@
+/**
+ * Quotes – contractor quotes on jobs priced by quote
+ *
+ * Usage:
+ *   const quotes = require('./services/quotes');
+ *   const quote = await quotes.submit(jobId, { lineItems, notes, validDays }, contractorActor);
+ *   const list = await quotes.listForJob(jobId);
+ *   const { job, quote } = await quotes.accept(jobId, quoteId, customerActor);
+ *
+ * Jobs whose service is quote_only or inspection_fee (service-pricing.json)
+ * have no price range. Contractors who offer the service submit line-item
+ * quotes (labour and materials); the customer compares them and accepts
+ * one, which assigns the job to that contractor (the accept_quote lifecycle
+ * transition) and makes the quote's total the job's final_price, the price
+ * the financial engine, sales tax and checkout use. The other open quotes
+ * are declined.
+ *
+ * A quote is open for QUOTE_VALIDITY_DAYS unless the contractor sets its
+ * own validity (1–30 days); open quotes past valid_until are expired when
+ * the job's quotes are next read or accepted. For inspection_fee jobs the
+ * customer pays the fee (services/payments) before contractors can quote,
+ * every quote must be more than the fee, and the fee is credited against the
+ * final payment. A quote cannot be accepted while its contractor has another
+ * job booked over the job's appointment.
+ *
+ * submitted → accepted | declined | withdrawn | expired
+ */
+
+const ENV = require('../config/env');
+const financials = require('../lib/financials');
+const {
+  jobs: jobsRepo,
+  quotes: quotesRepo,
+  contractors: contractorsRepo,
+  customers: customersRepo,
+  specialties: specialtiesRepo
+} = require('../repositories');
+const { logEvent } = require('./audit-service');
+const { sendQuoteEmail } = require('../email-service');
+const jobLifecycle = require('./job-lifecycle');
+const tax = require('./tax');
+const scheduling = require('./scheduling');
+const { OPEN_STATUSES } = require('../repositories/constants');
+
+const STATUSES = {
+  SUBMITTED: 'submitted',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn',
+  EXPIRED: 'expired'
+};
+const LINE_KINDS = ['labour', 'materials'];
+const MAX_LINE_ITEMS = 50;
+const MAX_VALIDITY_DAYS = 30;
+const TEXT_MAX_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = { role: 'system', id: 'quotes' };
+
+class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+function cleanText(value, maxLength = TEXT_MAX_LENGTH) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * The fee an inspection_fee job collects before quoting, in cents (0 for other jobs)
+ */
+function inspectionFeeCents(job) {
+  const estimate = (job && job.estimate) || {};
+  return estimate.mode === 'inspection_fee' ? financials.toCents(estimate.inspection_fee) || 0 : 0;
+}
+
+/**
+ * Check and price a quote's line items
+ * @param {Array<Object>} lineItems - { description, kind ('labour' default), quantity (1 default), unit_price (dollars) }
+ * @returns {{ lines: Array<Object>, labourCents: number, materialCents: number }}
+ * @throws {QuoteError} 400 for a missing or malformed line
+ */
+function priceLines(lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw new QuoteError('A quote needs at least one line item');
+  }
+  if (lineItems.length > MAX_LINE_ITEMS) {
+    throw new QuoteError(`A quote can have at most ${MAX_LINE_ITEMS} line items`);
+  }
+  let labourCents = 0;
+  let materialCents = 0;
+  const lines = lineItems.map((item, index) => {
+    const label = `Line ${index + 1}`;
+    const description = cleanText(item && item.description, 200);
+    if (!description) {
+      throw new QuoteError(`${label}: a description is required`);
+    }
+    const kind = item.kind === undefined || item.kind === null ? 'labour' : item.kind;
+    if (!LINE_KINDS.includes(kind)) {
+      throw new QuoteError(`${label}: kind must be ${LINE_KINDS.join(' or ')}`);
+    }
+    const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0 || quantity > 10000 || Math.round(quantity * 100) !== quantity * 100) {
+      throw new QuoteError(`${label}: quantity must be a positive number with at most two decimals`);
+    }
+    const unitCents = financials.toCents(item.unit_price);
+    if (unitCents === null || unitCents < 0) {
+      throw new QuoteError(`${label}: unit_price must be an amount in dollars`);
+    }
+    const amountCents = Math.round(unitCents * quantity);
+    if (kind === 'materials') materialCents += amountCents;
+    else labourCents += amountCents;
+    return {
+      description,
+      kind,
+      quantity,
+      unit_price: financials.toDollars(unitCents),
+      amount: financials.toDollars(amountCents)
+    };
+  });
+  return { lines, labourCents, materialCents };
+}
+
+/**
+ * Sales tax on a quote as it would be charged today under the quoting
+ * contractor's registration, in dollars; null when the job's province is unknown
+ */
+async function estimateTax(job, contractorId, totalCents, materialCents) {
+  try {
+    return await tax.forJob(
+      { ...job, contractor_id: contractorId, final_price: financials.toDollars(totalCents), sales_tax: null },
+      { materialCents }
+    );
+  } catch (error) {
+    if (error instanceof tax.TaxError) return null;
+    throw error;
+  }
+}
+
+async function loadJob(jobId, job) {
+  const found = job || await jobsRepo.findById(jobId);
+  if (!found) {
+    throw new QuoteError('Job not found', 404);
+  }
+  return found;
+}
+
+async function logQuote(action, quote, actor, extra = {}) {
+  await logEvent({
+    action: `quote.${action}`,
+    entity_type: 'job',
+    entity_id: quote.job_id,
+    actor,
+    ...extra,
+    after: {
+      quote_id: quote.id,
+      contractor_id: quote.contractor_id,
+      status: quote.status,
+      total_amount: Number(quote.total_amount),
+      ...(extra.after || {})
+    }
+  });
+}
+
+/**
+ * Expire the open quotes past their validity
+ * @param {Object} [options] - { jobId, at }
+ * @returns {Promise<Array>} The quotes expired
+ */
+async function expireStale({ jobId, at = new Date() } = {}) {
+  const expired = await quotesRepo.expireDue(at, { jobId });
+  for (const quote of expired) {
+    await logQuote('expired', quote, SYSTEM_ACTOR);
+  }
+  return expired;
+}
+
+/**
+ * A quote as the API returns it, with its contractor's name and tier
+ */
+async function serialize(quote, contractors = new Map()) {
+  if (!quote) return null;
+  const key = String(quote.contractor_id);
+  if (!contractors.has(key)) {
+    contractors.set(key, await contractorsRepo.findById(quote.contractor_id));
+  }
+  const contractor = contractors.get(key);
+  return {
+    ...quote,
+    labour_amount: Number(quote.labour_amount) || 0,
+    materials_amount: Number(quote.materials_amount) || 0,
+    total_amount: Number(quote.total_amount) || 0,
+    total_with_tax: financials.toDollars(
+      financials.toCents(quote.total_amount) + (financials.toCents(quote.sales_tax && quote.sales_tax.total) || 0)
+    ),
+    contractor_name: contractor ? (contractor.business_name || contractor.legal_name) : null,
+    contractor_tier: contractor ? (contractor.contractor_tier || 'bronze') : null
+  };
+}
+
+async function serializeAll(quotes) {
+  const contractors = new Map();
+  const result = [];
+  for (const quote of quotes) {
+    result.push(await serialize(quote, contractors));
+  }
+  return result;
+}
+
+/**
+ * A job's quotes for the customer to compare: open ones first, cheapest first
+ * @param {string} jobId
+ * @returns {Promise<Array>}
+ */
+async function listForJob(jobId) {
+  await expireStale({ jobId });
+  const quotes = await quotesRepo.list({ jobId });
+  const open = quotes.filter(quote => quote.status === STATUSES.SUBMITTED)
+    .sort((a, b) => Number(a.total_amount) - Number(b.total_amount));
+  const closed = quotes.filter(quote => quote.status !== STATUSES.SUBMITTED);
+  return serializeAll([...open, ...closed]);
+}
+
+/**
+ * A contractor's quotes, newest first
+ * @param {string} contractorId
+ * @param {Object} [filters] - { statuses, limit }
+ */
+async function listForContractor(contractorId, { statuses, limit } = {}) {
+  await expireStale();
+  return serializeAll(await quotesRepo.list({ contractorId, statuses, limit }));
+}
+
+async function notify(email, name, details) {
+  if (!email) return;
+  await sendQuoteEmail(email, name, details);
+}
+
+/**
+ * Submit a quote on a quoted job
+ * @param {string} jobId
+ * @param {Object} input - { lineItems, notes, validDays }
+ * @param {Object} actor - The contractor
+ * @returns {Promise<Object>} The quote
+ * @throws {QuoteError} 404 unknown job, 403 not one of the contractor's services,
+ *   409 job not open for quotes / fee unpaid / quote already open, 400 bad lines
+ */
+async function submit(jobId, { lineItems, notes, validDays } = {}, actor) {
+  const job = await loadJob(jobId);
+  if (!jobLifecycle.isQuoted(job)) {
+    throw new QuoteError('This job has a fixed price range; accept it instead of quoting', 409);
+  }
+  if (!OPEN_STATUSES.includes(job.status) || job.contractor_id) {
+    throw new QuoteError('This job is no longer open for quotes', 409);
+  }
+  const services = await specialtiesRepo.listForContractor(actor.id);
+  if (!services.map(String).includes(String(job.service_type_id))) {
+    throw new QuoteError('You do not offer this service', 403);
+  }
+  const feeCents = inspectionFeeCents(job);
+  if (feeCents > 0 && job.inspection_fee_status !== 'paid') {
+    throw new QuoteError('The customer has not paid the inspection fee yet', 409);
+  }
+  await expireStale({ jobId: job.id });
+  const open = await quotesRepo.list({ jobId: job.id, contractorId: actor.id, statuses: [STATUSES.SUBMITTED] });
+  if (open.length) {
+    throw new QuoteError('You already have an open quote on this job; withdraw it to send a new one', 409);
+  }
+
+  const days = validDays === undefined || validDays === null || validDays === '' ? ENV.quoteValidityDays : Number(validDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_VALIDITY_DAYS) {
+    throw new QuoteError(`valid_days must be a whole number from 1 to ${MAX_VALIDITY_DAYS}`);
+  }
+  const priced = priceLines(lineItems);
+  const totalCents = priced.labourCents + priced.materialCents;
+  if (totalCents <= 0) {
+    throw new QuoteError('A quote must total more than zero');
+  }
+  if (feeCents > 0 && totalCents <= feeCents) {
+    throw new QuoteError(`A quote must be more than the ${financials.toDollars(feeCents).toFixed(2)} inspection fee it is credited against`);
+  }
+
+  const contractor = await contractorsRepo.findById(actor.id);
+  const quote = await quotesRepo.create({
+    job_id: job.id,
+    contractor_id: actor.id,
+    status: STATUSES.SUBMITTED,
+    line_items: priced.lines,
+    labour_amount: financials.toDollars(priced.labourCents),
+    materials_amount: financials.toDollars(priced.materialCents),
+    total_amount: financials.toDollars(totalCents),
+    currency: financials.CURRENCY,
+    sales_tax: await estimateTax(job, actor.id, totalCents, priced.materialCents),
+    notes: cleanText(notes),
+    valid_until: new Date(Date.now() + days * DAY_MS)
+  });
+  await logQuote('submitted', quote, actor, { after: { valid_until: quote.valid_until } });
+
+  const customer = job.customer_id ? await customersRepo.findById(job.customer_id) : null;
+  await notify(customer?.email || job.customer_email, customer?.full_name, {
+    subject: `New quote for your ${job.type_name || 'job'}`,
+    heading: 'You have a new quote',
+    message: `${contractor?.business_name || contractor?.legal_name || 'A contractor'} has quoted on job #${String(job.id).slice(0, 8)}. Compare your quotes and accept the one you want in your FirstClick account.`,
+    amount: Number(quote.total_amount).toFixed(2),
+    currency: quote.currency,
+    validUntil: new Date(quote.valid_until).toLocaleDateString('en-CA')
+  });
+  return serialize(quote);
+}
+
+async function loadQuote(quoteId) {
+  const quote = await quotesRepo.findById(quoteId);
+  if (!quote) {
+    throw new QuoteError('Quote not found', 404);
+  }
+  return quote;
+}
+
+/**
+ * Close an open quote (withdrawn by its contractor or declined by the customer)
+ */
+async function close(quote, status, actor, reason = null) {
+  if (quote.status !== STATUSES.SUBMITTED) {
+    throw new QuoteError(`This quote is already ${quote.status}`, 409);
+  }
+  const closed = await quotesRepo.transition(quote.id, STATUSES.SUBMITTED, {
+    status,
+    decided_at: new Date(),
+    decline_reason: reason
+  });
+  if (!closed) {
+    throw new QuoteError('This quote changed while the request was processed; reload and try again', 409);
+  }
+  await logQuote(status, closed, actor, { reason });
+  return closed;
+}
+
+/**
+ * The contractor takes back their open quote
+ * @throws {QuoteError} 404 unknown quote or not theirs, 409 not open
+ */
+async function withdraw(quoteId, actor) {
+  const quote = await loadQuote(quoteId);
+  if (actor.role === 'contractor' && String(quote.contractor_id) !== String(actor.id)) {
+    throw new QuoteError('Quote not found', 404);
+  }
+  return serialize(await close(quote, STATUSES.WITHDRAWN, actor));
+}
+
+/**
+ * The customer turns down an open quote on their job
+ * @throws {QuoteError} 404 unknown quote or another job's, 409 not open
+ */
+async function decline(jobId, quoteId, actor, reason) {
+  const quote = await loadQuote(quoteId);
+  if (String(quote.job_id) !== String(jobId)) {
+    throw new QuoteError('Quote not found', 404);
+  }
+  await expireStale({ jobId });
+  return serialize(await close(await loadQuote(quoteId), STATUSES.DECLINED, actor, cleanText(reason)));
+}
+
+/**
+ * The customer accepts a quote: the job is assigned to its contractor at its
+ * total, and every other open quote on the job is declined
+ * @param {string} jobId
+ * @param {string} quoteId
+ * @param {Object} actor - The customer (or an admin on their behalf)
+ * @param {Object} [options] - { job } already loaded
+ * @returns {Promise<{ job: Object, quote: Object }>}
+ * @throws {QuoteError} 404 unknown quote, 409 quote not open / fee unpaid;
+ *   JobTransitionError when the job can no longer be assigned
+ */
+async function accept(jobId, quoteId, actor, { job: loaded } = {}) {
+  const job = await loadJob(jobId, loaded);
+  const found = await loadQuote(quoteId);
+  if (String(found.job_id) !== String(job.id)) {
+    throw new QuoteError('Quote not found', 404);
+  }
+  await expireStale({ jobId: job.id });
+  const quote = await loadQuote(quoteId);
+  if (quote.status !== STATUSES.SUBMITTED) {
+    throw new QuoteError(`This quote is ${quote.status} and can no longer be accepted`, 409);
+  }
+  if (inspectionFeeCents(job) > 0 && job.inspection_fee_status !== 'paid') {
+    throw new QuoteError('Pay the inspection fee before accepting a quote', 409);
+  }
+  jobLifecycle.assertTransition(job, 'accept_quote', { actor, quote });
+  await scheduling.assertNoConflict(job, quote.contractor_id);
+
+  // The quote is claimed first so a withdrawal cannot slip in between
+  const decidedAt = new Date();
+  const accepted = await quotesRepo.transition(quote.id, STATUSES.SUBMITTED, {
+    status: STATUSES.ACCEPTED,
+    decided_at: decidedAt
+  });
+  if (!accepted) {
+    throw new QuoteError('This quote changed while the request was processed; reload and try again', 409);
+  }
+  let assigned;
+  try {
+    assigned = await jobLifecycle.transition(job.id, 'accept_quote', {
+      actor,
+      job,
+      quote: accepted,
+      details: `Customer accepted quote ${String(accepted.id).slice(0, 8)} (${Number(accepted.total_amount).toFixed(2)} ${accepted.currency})`,
+      metadata: { quote_id: accepted.id }
+    });
+  } catch (error) {
+    await quotesRepo.transition(quote.id, STATUSES.ACCEPTED, { status: STATUSES.SUBMITTED, decided_at: null });
+    throw error;
+  }
+  await logQuote('accepted', accepted, actor);
+
+  const others = await quotesRepo.list({ jobId: job.id, statuses: [STATUSES.SUBMITTED] });
+  for (const other of others) {
+    const declined = await quotesRepo.transition(other.id, STATUSES.SUBMITTED, {
+      status: STATUSES.DECLINED,
+      decided_at: decidedAt,
+      decline_reason: 'Another quote was accepted'
+    });
+    if (declined) await logQuote('declined', declined, SYSTEM_ACTOR, { reason: 'another_quote_accepted' });
+  }
+
+  const contractor = await contractorsRepo.findById(accepted.contractor_id);
+  await notify(contractor?.email, contractor?.business_name || contractor?.legal_name, {
+    subject: 'Your quote was accepted',
+    heading: 'Your quote was accepted',
+    message: `The customer accepted your quote for job #${String(job.id).slice(0, 8)} (${job.type_name || 'service'}, ${job.city || 'see the job'}). The job is now assigned to you.`,
+    amount: Number(accepted.total_amount).toFixed(2),
+    currency: accepted.currency
+  });
+  return { job: await scheduling.syncInvites(assigned.job), quote: await serialize(accepted) };
+}
+
+module.exports = {
+  STATUSES,
+  QuoteError,
+  inspectionFeeCents,
+  priceLines,
+  expireStale,
+  listForJob,
+  listForContractor,
+  submit,
+  withdraw,
+  decline,
+  accept
+};
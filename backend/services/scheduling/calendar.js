@@ -0,0 +1,151 @@
+/**
+ * Scheduling calendar – local times, time zones and weekly hours
+ *
+ * Appointments are stored as instants; everything a person reads or
+ * publishes (weekly hours, days off, slot times) is in the local time of
+ * the province it applies to. Weekly hours look like
+ *
+ *   { mon: [{ from: '08:00', to: '12:00' }, { from: '13:00', to: '17:00' }], sat: [] }
+ *
+ * with days missing from the object treated as days off.
+ */
+
+const ENV = require('../../config/env');
+const tax = require('../tax');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+// Most of each province keeps one time zone
+const PROVINCE_TIME_ZONES = {
+  BC: 'America/Vancouver',
+  AB: 'America/Edmonton',
+  SK: 'America/Regina',
+  MB: 'America/Winnipeg',
+  ON: 'America/Toronto',
+  QC: 'America/Toronto',
+  NB: 'America/Halifax',
+  NS: 'America/Halifax',
+  PE: 'America/Halifax',
+  NL: 'America/St_Johns',
+  YT: 'America/Whitehorse',
+  NT: 'America/Yellowknife',
+  NU: 'America/Iqaluit'
+};
+
+// Hours assumed for contractors who have not published their own
+const DEFAULT_WEEKLY_HOURS = Object.freeze({
+  mon: [{ from: '08:00', to: '17:00' }],
+  tue: [{ from: '08:00', to: '17:00' }],
+  wed: [{ from: '08:00', to: '17:00' }],
+  thu: [{ from: '08:00', to: '17:00' }],
+  fri: [{ from: '08:00', to: '17:00' }]
+});
+
+/**
+ * The time zone of a province (code or name), else PAYOUT_TIMEZONE
+ */
+function timeZoneFor(province) {
+  return PROVINCE_TIME_ZONES[tax.normalizeProvince(province)] || ENV.payoutTimezone;
+}
+
+/**
+ * 'HH:MM' as minutes after midnight ('24:00' is 1440), or null
+ */
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function zoneParts(at, timeZone) {
+  return Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(at).map(part => [part.type, part.value]));
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function offsetMinutes(timeZone, at) {
+  const parts = zoneParts(at, timeZone);
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return Math.round((asUtc - Math.floor(at.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant of a local date and time in a zone
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTime(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = wall - offsetMinutes(timeZone, new Date(wall)) * 60000;
+  // Near a daylight-saving change the offset at the answer can differ from the first guess
+  return new Date(wall - offsetMinutes(timeZone, new Date(first)) * 60000);
+}
+
+/**
+ * An instant in a zone's local time
+ * @returns {{ date: string, weekday: number, minutes: number }} weekday 0 = Sunday
+ */
+function localParts(at, timeZone) {
+  const parts = zoneParts(at, timeZone);
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Whether [start, end) falls inside one of the day's windows, in local time
+ * @param {Object} hours - Weekly hours
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} timeZone
+ */
+function withinHours(hours, start, end, timeZone) {
+  const from = localParts(start, timeZone);
+  const to = localParts(new Date(end.getTime() - 1), timeZone);
+  if (from.date !== to.date) return false;
+  const last = to.minutes + 1;
+  return (hours[DAY_KEYS[from.weekday]] || []).some(window =>
+    parseTime(window.from) <= from.minutes && parseTime(window.to) >= last);
+}
+
+/**
+ * A local time for people to read, e.g. 'Tue, Oct 20, 10:00 a.m. – 12:00 p.m. EDT'
+ */
+function describe(start, end, timeZone) {
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone, weekday: 'short', month: 'short', day: 'numeric' }).format(start);
+  const time = options => new Intl.DateTimeFormat('en-CA', { timeZone, hour: 'numeric', minute: '2-digit', ...options });
+  return `${day}, ${time().format(start)} – ${time({ timeZoneName: 'short' }).format(end)}`;
+}
+
+module.exports = {
+  DAY_KEYS,
+  DEFAULT_WEEKLY_HOURS,
+  timeZoneFor,
+  parseTime,
+  formatTime,
+  zonedTime,
+  localParts,
+  withinHours,
+  describe
+};
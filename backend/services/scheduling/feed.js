@@ -0,0 +1,148 @@
+/**
+ * Contractor calendar feeds – a private iCalendar URL per contractor
+ *
+ * Usage:
+ *   const feed = require('./services/scheduling/feed');
+ *   const { url } = await feed.issue(contractor, actor);   // shown once
+ *   const contractor = await feed.findContractor(token);  // GET /api/calendar/<token>.ics
+ *   const text = await feed.render(contractor);
+ *
+ * The URL carries a random token; like auth tokens, only its SHA-256 hash
+ * is stored, so the URL is shown once when it is made. Making a new one
+ * or revoking it stops the old URL working straight away.
+ *
+ * The feed lists the contractor's active jobs that have an appointment,
+ * with the full address, and the appointments of jobs they have a live
+ * offer for as tentative, with only the street and city until they take
+ * the job. Events share their UID and SEQUENCE with the emailed invites,
+ * so a calendar holding both keeps one copy.
+ */
+
+const crypto = require('crypto');
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  customers: customersRepo,
+  dispatchOffers: offersRepo
+} = require('../../repositories');
+const { logEvent } = require('../audit-service');
+const ranking = require('../dispatch/ranking');
+const invites = require('./invites');
+const ical = require('./ical');
+
+const REFRESH_MINUTES = 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function feedUrl(token) {
+  return `${ENV.webOrigin.replace(/\/+$/, '')}/api/calendar/${token}.ics`;
+}
+
+// '12 Main St' -> 'Main St'
+function streetName(addressLine1) {
+  const trimmed = String(addressLine1 || '').trim();
+  const match = trimmed.match(/^\d+[A-Za-z0-9\-/]*\s+(.*)$/);
+  return match && match[1] ? match[1] : trimmed;
+}
+
+/**
+ * { active, created_at } for the contractor's feed
+ */
+function status(contractor) {
+  return {
+    active: Boolean(contractor.calendar_feed_token_hash),
+    created_at: contractor.calendar_feed_created_at || null
+  };
+}
+
+/**
+ * Make a new feed URL, retiring any earlier one
+ * @returns {Promise<{ url: string, active: boolean, created_at: Date }>}
+ */
+async function issue(contractor, actor) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const updated = await contractorsRepo.update(contractor.id, {
+    calendar_feed_token_hash: hashToken(token),
+    calendar_feed_created_at: new Date()
+  });
+  await logEvent({
+    action: contractor.calendar_feed_token_hash ? 'contractor.calendar_feed_reset' : 'contractor.calendar_feed_created',
+    entity_type: 'contractor',
+    entity_id: contractor.id,
+    actor
+  });
+  return { url: feedUrl(token), ...status(updated) };
+}
+
+/**
+ * Stop the feed URL working; nothing to do when there is none
+ */
+async function revoke(contractor, actor) {
+  if (!contractor.calendar_feed_token_hash) return status(contractor);
+  const updated = await contractorsRepo.update(contractor.id, {
+    calendar_feed_token_hash: null,
+    calendar_feed_created_at: null
+  });
+  await logEvent({
+    action: 'contractor.calendar_feed_revoked',
+    entity_type: 'contractor',
+    entity_id: contractor.id,
+    actor
+  });
+  return status(updated);
+}
+
+/**
+ * The contractor a feed token belongs to, or null
+ */
+async function findContractor(token) {
+  if (!token || !/^[0-9a-f]{64}$/.test(String(token))) return null;
+  return contractorsRepo.findByCalendarFeedToken(hashToken(token));
+}
+
+/**
+ * The contractor's feed as iCalendar text
+ */
+async function render(contractor, at = new Date()) {
+  const held = (await jobsRepo.list({ contractorId: contractor.id, statuses: ranking.ACTIVE_STATUSES }))
+    .filter(job => job.appointment_start);
+  const offers = (await offersRepo.list({ contractorId: contractor.id, statuses: ['offered'] }))
+    .filter(offer => new Date(offer.expires_at) > at);
+
+  const events = [];
+  for (const job of held) {
+    const customer = await customersRepo.findById(job.customer_id);
+    const invitee = { role: 'contractor', id: contractor.id, start: job.appointment_start, end: job.appointment_end };
+    events.push({
+      ...invites.eventFor(job, invitee, { customer: customer ? { name: customer.full_name, phone: customer.phone } : null }),
+      organizer: null
+    });
+  }
+  for (const offer of offers) {
+    const job = await jobsRepo.findById(offer.job_id);
+    if (!job?.appointment_start || held.some(other => String(other.id) === String(job.id))) continue;
+    const invitee = { role: 'contractor', id: contractor.id, start: job.appointment_start, end: job.appointment_end };
+    const event = invites.eventFor(job, invitee);
+    events.push({
+      ...event,
+      summary: `Offer: ${event.summary}`,
+      description: 'Offered to you. Accept the offer on your dashboard before it closes to take the job.',
+      location: [streetName(job.address_line1), job.city, job.province].filter(Boolean).join(', '),
+      status: 'TENTATIVE',
+      organizer: null
+    });
+  }
+  events.sort((a, b) => new Date(a.start) - new Date(b.start));
+  return ical.calendar({ method: 'PUBLISH', name: 'FirstClick jobs', refreshMinutes: REFRESH_MINUTES, events });
+}
+
+module.exports = {
+  status,
+  issue,
+  revoke,
+  findContractor,
+  render
+};
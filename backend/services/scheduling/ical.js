@@ -0,0 +1,108 @@
+/**
+ * iCalendar (RFC 5545) text for appointment invites and calendar feeds
+ *
+ * Usage:
+ *   const ical = require('./services/scheduling/ical');
+ *   const text = ical.calendar({ method: 'REQUEST', events: [{ uid, sequence, start, end, summary }] });
+ *
+ * Times are written in UTC so no VTIMEZONE blocks are needed; calendar apps
+ * show them in the reader's own zone. Lines end in CRLF and are folded at
+ * 75 octets as the RFC requires.
+ */
+
+const PRODUCT_ID = '-//FirstClick//Jobs//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * 'YYYYMMDDTHHMMSSZ'
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values with separators in them are quoted; quotes cannot appear at all
+function paramValue(value) {
+  const text = String(value ?? '').replace(/"/g, "'");
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+}
+
+// Continuation lines start with a space, which counts towards their 75 octets
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * One VEVENT
+ * @param {Object} event - { uid, sequence, start, end, summary, description?, location?,
+ *   status? (CONFIRMED, TENTATIVE, CANCELLED), url?, organizer?: { name, email },
+ *   attendee?: { name, email }, stamp? }
+ * @returns {Array<string>} Unfolded lines
+ */
+function eventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+    `SEQUENCE:${Number(event.sequence) || 0}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  if (event.organizer) {
+    lines.push(`ORGANIZER;CN=${paramValue(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+  if (event.attendee) {
+    lines.push(`ATTENDEE;CN=${paramValue(event.attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${event.attendee.email}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A whole VCALENDAR
+ * @param {Object} calendar - { method? (PUBLISH, REQUEST, CANCEL), name?, refreshMinutes?, events }
+ * @returns {string}
+ */
+function calendar({ method = null, name = null, refreshMinutes = null, events = [] }) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  events.forEach(event => lines.push(...eventLines(event)));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  formatDateTime,
+  escapeText,
+  calendar
+};
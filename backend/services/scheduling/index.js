@@ -0,0 +1,467 @@
+/**
+ * Scheduling – contractor availability and booked appointment slots
+ *
+ * Usage:
+ *   const scheduling = require('./services/scheduling');
+ *   const { slots } = await scheduling.slots({ service_type_id, city, province });
+ *   const fields = await scheduling.checkSlot(place, '2026-10-21T14:00:00.000Z');  // on booking
+ *   await scheduling.reschedule(job, newStart, customerActor);
+ *   await scheduling.assertNoConflict(job, contractorId);                       // before assigning
+ *   job = await scheduling.syncInvites(job);                                    // after assigning, cancelling, ...
+ *
+ * Contractors publish weekly hours (calendar.js) and blackout days; until
+ * they publish, weekdays 08:00–17:00 are assumed. A slot is
+ * APPOINTMENT_SLOT_MINUTES long, on a grid from local midnight in the job's
+ * time zone, between APPOINTMENT_LEAD_HOURS from now and
+ * APPOINTMENT_HORIZON_DAYS ahead. It is offered when at least one
+ * contractor who could be dispatched the job (ranking.js) has it inside
+ * their hours, is not on a blackout day and holds no other job booked
+ * over it; for an assigned job only its contractor counts.
+ *
+ * Customers may move an appointment APPOINTMENT_MAX_RESCHEDULES times and
+ * move or cancel it until APPOINTMENT_CHANGE_CUTOFF_HOURS before it starts,
+ * and never once the contractor is on the way. Admins are held only to the
+ * slot being free. Everyone holding the appointment is emailed about every
+ * change, with a calendar invite (invites.js); contractors can also
+ * subscribe to a feed of their jobs (feed.js).
+ */
+
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  contractorBlackouts: blackoutsRepo
+} = require('../../repositories');
+const jobLifecycle = require('../job-lifecycle');
+const { logEvent } = require('../audit-service');
+const { addDays, isDate, toDateString, daysBetween } = require('../payouts/schedule');
+const ranking = require('../dispatch/ranking');
+const calendar = require('./calendar');
+const invites = require('./invites');
+const feed = require('./feed');
+
+const ADMINS = ['admin', 'super_admin'];
+// Jobs that take up their contractor's time
+const HOLDING_STATUSES = ranking.ACTIVE_STATUSES;
+// The appointment can change until the contractor sets off
+const CHANGEABLE_STATUSES = ['submitted', 'ready_to_assign', 'assigned'];
+const MAX_WINDOWS_PER_DAY = 4;
+const MAX_BLACKOUT_DAYS = 366;
+const REASON_MAX_LENGTH = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+class SchedulingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SchedulingError';
+    this.status = status;
+  }
+}
+
+function jobRef(job) {
+  return String(job.id).slice(0, 8).toUpperCase();
+}
+
+function contractorZone(contractor) {
+  return calendar.timeZoneFor(contractor.base_province);
+}
+
+/**
+ * A contractor's weekly hours: their own, or the default until they publish
+ */
+function weeklyHours(contractor) {
+  return contractor.weekly_availability || calendar.DEFAULT_WEEKLY_HOURS;
+}
+
+/**
+ * Check weekly hours sent by a contractor
+ * @param {Object|null} input - { mon: [{ from, to }], ... }; null goes back to the default
+ * @returns {Object|null} Sorted windows, days off left out
+ * @throws {SchedulingError} 400
+ */
+function normalizeWeeklyHours(input) {
+  if (input === null) return null;
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new SchedulingError('weekly must map days (mon … sun) to lists of { from, to } times');
+  }
+  const hours = {};
+  Object.entries(input).forEach(([day, windows]) => {
+    const key = String(day).trim().slice(0, 3).toLowerCase();
+    if (!calendar.DAY_KEYS.includes(key)) {
+      throw new SchedulingError(`Unknown day: ${day}`);
+    }
+    if (!Array.isArray(windows) || windows.length > MAX_WINDOWS_PER_DAY) {
+      throw new SchedulingError(`${key}: give a list of up to ${MAX_WINDOWS_PER_DAY} { from, to } windows`);
+    }
+    const parsed = windows
+      .map(window => ({ from: calendar.parseTime(window?.from), to: calendar.parseTime(window?.to) }))
+      .sort((a, b) => a.from - b.from);
+    if (parsed.some(window => window.from === null || window.to === null || window.to <= window.from)) {
+      throw new SchedulingError(`${key}: each window is { from: "HH:MM", to: "HH:MM" } with from before to`);
+    }
+    if (parsed.some((window, index) => index > 0 && window.from < parsed[index - 1].to)) {
+      throw new SchedulingError(`${key}: windows overlap`);
+    }
+    if (parsed.length) {
+      hours[key] = parsed.map(window => ({ from: calendar.formatTime(window.from), to: calendar.formatTime(window.to) }));
+    }
+  });
+  return hours;
+}
+
+function serializeBlackout(blackout) {
+  return {
+    ...blackout,
+    starts_on: toDateString(blackout.starts_on),
+    ends_on: toDateString(blackout.ends_on)
+  };
+}
+
+/**
+ * A contractor's hours and coming blackouts
+ * @returns {Promise<{ time_zone, published, weekly, blackouts }>}
+ */
+async function getAvailability(contractor) {
+  const timeZone = contractorZone(contractor);
+  const today = calendar.localParts(new Date(), timeZone).date;
+  const blackouts = await blackoutsRepo.list({ contractorId: contractor.id, from: today });
+  return {
+    time_zone: timeZone,
+    published: Boolean(contractor.weekly_availability),
+    weekly: weeklyHours(contractor),
+    blackouts: blackouts.map(serializeBlackout)
+  };
+}
+
+/**
+ * Publish a contractor's weekly hours (null goes back to the default)
+ */
+async function setWeeklyHours(contractor, weekly, actor) {
+  const hours = normalizeWeeklyHours(weekly);
+  const updated = await contractorsRepo.update(contractor.id, { weekly_availability: hours });
+  await logEvent({
+    action: 'contractor.availability_updated',
+    entity_type: 'contractor',
+    entity_id: contractor.id,
+    actor,
+    before: { weekly_availability: contractor.weekly_availability || null },
+    after: { weekly_availability: hours }
+  });
+  return getAvailability(updated);
+}
+
+// Booked jobs a contractor holds over a span, other than ignoreJobId
+async function heldJobs(contractorIds, from, to, ignoreJobId) {
+  if (!contractorIds.length) return [];
+  const held = await jobsRepo.list({
+    contractorIds: contractorIds.map(String),
+    statuses: HOLDING_STATUSES,
+    appointmentsFrom: from,
+    appointmentsTo: to
+  });
+  return held.filter(job => !ignoreJobId || String(job.id) !== String(ignoreJobId));
+}
+
+/**
+ * Add days off (inclusive). Jobs already booked on those days are returned
+ * as `conflicts` for the contractor to sort out; they are not moved.
+ * @param {Object} input - { starts_on, ends_on (defaults to starts_on), reason }
+ * @throws {SchedulingError} 400 invalid dates
+ */
+async function addBlackout(contractor, { starts_on, ends_on, reason } = {}, actor) {
+  const startsOn = String(starts_on || '').trim();
+  const endsOn = ends_on ? String(ends_on).trim() : startsOn;
+  if (!isDate(startsOn) || !isDate(endsOn)) {
+    throw new SchedulingError('starts_on and ends_on must be dates (YYYY-MM-DD)');
+  }
+  if (endsOn < startsOn) {
+    throw new SchedulingError('ends_on cannot be before starts_on');
+  }
+  const timeZone = contractorZone(contractor);
+  if (endsOn < calendar.localParts(new Date(), timeZone).date) {
+    throw new SchedulingError('A blackout cannot end in the past');
+  }
+  if (daysBetween(startsOn, endsOn) >= MAX_BLACKOUT_DAYS) {
+    throw new SchedulingError(`A blackout can last at most ${MAX_BLACKOUT_DAYS} days`);
+  }
+  const text = reason === undefined || reason === null ? '' : String(reason).trim();
+  const blackout = await blackoutsRepo.create({
+    contractor_id: contractor.id,
+    starts_on: startsOn,
+    ends_on: endsOn,
+    reason: text ? text.slice(0, REASON_MAX_LENGTH) : null
+  });
+  await logEvent({
+    action: 'contractor.blackout_added',
+    entity_type: 'contractor',
+    entity_id: contractor.id,
+    actor,
+    after: { blackout_id: blackout.id, starts_on: startsOn, ends_on: endsOn }
+  });
+  const held = await heldJobs([contractor.id],
+    calendar.zonedTime(startsOn, 0, timeZone), calendar.zonedTime(addDays(endsOn, 1), 0, timeZone));
+  return {
+    blackout: serializeBlackout(blackout),
+    conflicts: held.map(job => ({ job_id: job.id, appointment_start: job.appointment_start, appointment_end: job.appointment_end }))
+  };
+}
+
+/**
+ * @throws {SchedulingError} 404 not this contractor's blackout
+ */
+async function removeBlackout(contractor, blackoutId, actor) {
+  const blackout = await blackoutsRepo.findById(blackoutId);
+  if (!blackout || String(blackout.contractor_id) !== String(contractor.id)) {
+    throw new SchedulingError('Blackout not found', 404);
+  }
+  await blackoutsRepo.remove(blackout.id);
+  await logEvent({
+    action: 'contractor.blackout_removed',
+    entity_type: 'contractor',
+    entity_id: contractor.id,
+    actor,
+    before: { blackout_id: blackout.id, starts_on: toDateString(blackout.starts_on), ends_on: toDateString(blackout.ends_on) }
+  });
+  return serializeBlackout(blackout);
+}
+
+// Blackouts and booked jobs of some contractors over a span, by contractor id
+async function commitments(contractors, from, to, ignoreJobId) {
+  const ids = contractors.map(contractor => String(contractor.id));
+  // A day either side covers every contractor's local dates
+  const [blackouts, held] = await Promise.all([
+    ids.length
+      ? blackoutsRepo.list({
+        contractorIds: ids,
+        from: addDays(from.toISOString().slice(0, 10), -1),
+        to: addDays(to.toISOString().slice(0, 10), 1)
+      })
+      : [],
+    heldJobs(ids, from, to, ignoreJobId)
+  ]);
+  const byContractor = new Map(ids.map(id => [id, { blackouts: [], jobs: [] }]));
+  blackouts.forEach(blackout => byContractor.get(String(blackout.contractor_id))?.blackouts.push(serializeBlackout(blackout)));
+  held.forEach(job => byContractor.get(String(job.contractor_id))?.jobs.push(job));
+  return byContractor;
+}
+
+function isFree(contractor, start, end, busy) {
+  const timeZone = contractorZone(contractor);
+  if (!calendar.withinHours(weeklyHours(contractor), start, end, timeZone)) return false;
+  const { blackouts, jobs } = busy.get(String(contractor.id)) || { blackouts: [], jobs: [] };
+  const day = calendar.localParts(start, timeZone).date;
+  if (blackouts.some(blackout => blackout.starts_on <= day && blackout.ends_on >= day)) return false;
+  return !jobs.some(job => new Date(job.appointment_start) < end && new Date(job.appointment_end) > start);
+}
+
+// Contractors who could be dispatched a job at this place
+async function qualifiedContractors(place) {
+  const { candidates } = await ranking.rank(place);
+  const ids = new Set(candidates.map(candidate => String(candidate.contractor_id)));
+  return (await contractorsRepo.list()).filter(contractor => ids.has(String(contractor.id)));
+}
+
+/**
+ * Appointment slots a customer can book
+ * @param {Object} place - Job or booking: { service_type_id, city, province, latitude, longitude }
+ * @param {Object} [options] - { contractors: only these (e.g. the assigned one), ignoreJobId, at }
+ * @returns {Promise<{ time_zone: string, slot_minutes: number, slots: Array<{ start: Date, end: Date }> }>}
+ */
+async function slots(place, { contractors = null, ignoreJobId = null, at = new Date() } = {}) {
+  const timeZone = calendar.timeZoneFor(place.province);
+  const slotMs = ENV.appointmentSlotMinutes * 60 * 1000;
+  const result = { time_zone: timeZone, slot_minutes: ENV.appointmentSlotMinutes, slots: [] };
+  const pool = contractors || await qualifiedContractors(place);
+  if (!pool.length) return result;
+
+  const earliest = at.getTime() + ENV.appointmentLeadHours * HOUR_MS;
+  const today = calendar.localParts(at, timeZone).date;
+  const lastDay = addDays(today, ENV.appointmentHorizonDays);
+  const busy = await commitments(pool, new Date(at), calendar.zonedTime(lastDay, 0, timeZone), ignoreJobId);
+
+  for (let day = today; day < lastDay; day = addDays(day, 1)) {
+    for (let minutes = 0; minutes + ENV.appointmentSlotMinutes <= 24 * 60; minutes += ENV.appointmentSlotMinutes) {
+      const start = calendar.zonedTime(day, minutes, timeZone);
+      if (start.getTime() < earliest) continue;
+      const end = new Date(start.getTime() + slotMs);
+      if (pool.some(contractor => isFree(contractor, start, end, busy))) {
+        result.slots.push({ start, end });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * The appointment columns for a slot, if it can still be booked
+ * @param {Object} place - As for slots()
+ * @param {string|Date} start - The slot's start
+ * @param {Object} [options] - As for slots()
+ * @returns {Promise<{ appointment_start, appointment_end, appointment_time_zone }>}
+ * @throws {SchedulingError} 400 not a time, 409 not an open slot
+ */
+async function checkSlot(place, start, options = {}) {
+  const at = new Date(start);
+  if (!start || Number.isNaN(at.getTime())) {
+    throw new SchedulingError('appointment_start must be a date and time');
+  }
+  const open = await slots(place, options);
+  const slot = open.slots.find(candidate => candidate.start.getTime() === at.getTime());
+  if (!slot) {
+    throw new SchedulingError('That appointment time is not available; please choose another slot', 409);
+  }
+  return { appointment_start: slot.start, appointment_end: slot.end, appointment_time_zone: open.time_zone };
+}
+
+/**
+ * The ids of the contractors free at a job's appointment (all of them when it has none)
+ * @param {Array<string>} contractorIds
+ * @param {Object} job
+ * @returns {Promise<Set<string>>}
+ */
+async function freeAt(contractorIds, job) {
+  const ids = new Set(contractorIds.map(String));
+  if (!job.appointment_start || !ids.size) return ids;
+  const start = new Date(job.appointment_start);
+  const end = new Date(job.appointment_end);
+  const contractors = (await contractorsRepo.list()).filter(contractor => ids.has(String(contractor.id)));
+  const busy = await commitments(contractors, start, end, job.id);
+  return new Set(contractors.filter(contractor => isFree(contractor, start, end, busy)).map(contractor => String(contractor.id)));
+}
+
+/**
+ * Refuse to give a contractor a job booked over another of theirs
+ * @throws {SchedulingError} 409
+ */
+async function assertNoConflict(job, contractorId) {
+  if (!job.appointment_start || !contractorId) return;
+  const start = new Date(job.appointment_start);
+  const end = new Date(job.appointment_end);
+  const [clash] = await heldJobs([contractorId], start, end, job.id);
+  if (clash) {
+    throw new SchedulingError(
+      `This job's appointment (${calendar.describe(start, end, job.appointment_time_zone || calendar.timeZoneFor(job.province))}) clashes with job ${jobRef(clash)}`,
+      409
+    );
+  }
+}
+
+function assertChangeable(job, actor, at) {
+  const status = jobLifecycle.normalizeStatus(job.status);
+  if (!CHANGEABLE_STATUSES.includes(status)) {
+    throw new SchedulingError(`The appointment can no longer be changed: the job is ${job.status}`, 409);
+  }
+  if (ADMINS.includes(actor?.role) || !job.appointment_start) return;
+  if (new Date(job.appointment_start).getTime() - at.getTime() < ENV.appointmentChangeCutoffHours * HOUR_MS) {
+    throw new SchedulingError(
+      `Appointments can only be changed more than ${ENV.appointmentChangeCutoffHours} hours before they start; please contact support`,
+      409
+    );
+  }
+}
+
+// Email everyone holding the appointment, with the updated invite
+async function notifyChange(job, change) {
+  const title = `${job.category_name || 'Service'}${job.type_name ? ` – ${job.type_name}` : ''}`;
+  const messages = {
+    booked: `An appointment has been booked for job ${jobRef(job)} (${title}).`,
+    rescheduled: `The appointment for job ${jobRef(job)} (${title}) has moved.`,
+    cancelled: `The appointment for job ${jobRef(job)} (${title}) has been cancelled. The job stays open without a set time.`
+  };
+  return invites.sync(job, {
+    details: {
+      subject: `Appointment ${change}: job ${jobRef(job)}`,
+      heading: `Appointment ${change}`,
+      message: messages[change]
+    }
+  });
+}
+
+/**
+ * Book or move a job's appointment
+ * @param {Object} job
+ * @param {string|Date} start - The new slot's start
+ * @param {Object} actor - Customer or admin
+ * @throws {SchedulingError} 409 past the cutoff, out of moves, or the slot is not free
+ */
+async function reschedule(job, start, actor, at = new Date()) {
+  assertChangeable(job, actor, at);
+  const isAdmin = ADMINS.includes(actor?.role);
+  const moving = Boolean(job.appointment_start);
+  const moves = Number(job.appointment_reschedules) || 0;
+  if (moving && !isAdmin && moves >= ENV.appointmentMaxReschedules) {
+    throw new SchedulingError(
+      `An appointment can be moved ${ENV.appointmentMaxReschedules} times; please contact support to move it again`,
+      409
+    );
+  }
+  const assigned = job.contractor_id ? await contractorsRepo.findById(job.contractor_id) : null;
+  const fields = await checkSlot(job, start, {
+    contractors: assigned ? [assigned] : null,
+    ignoreJobId: job.id,
+    at
+  });
+  const updated = await jobsRepo.update(job.id, {
+    ...fields,
+    appointment_reschedules: moving && !isAdmin ? moves + 1 : moves
+  });
+  await logEvent({
+    action: moving ? 'appointment.rescheduled' : 'appointment.booked',
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    before: moving ? { appointment_start: job.appointment_start, appointment_end: job.appointment_end } : null,
+    after: { appointment_start: fields.appointment_start, appointment_end: fields.appointment_end }
+  });
+  return notifyChange(updated, moving ? 'rescheduled' : 'booked');
+}
+
+/**
+ * Drop a job's appointment; the job stays open without a set time
+ * @throws {SchedulingError} 409 no appointment or past the cutoff
+ */
+async function cancelAppointment(job, actor, at = new Date()) {
+  if (!job.appointment_start) {
+    throw new SchedulingError('This job has no appointment', 409);
+  }
+  assertChangeable(job, actor, at);
+  const updated = await jobsRepo.update(job.id, {
+    appointment_start: null,
+    appointment_end: null,
+    appointment_time_zone: null
+  });
+  await logEvent({
+    action: 'appointment.cancelled',
+    entity_type: 'job',
+    entity_id: job.id,
+    actor,
+    before: { appointment_start: job.appointment_start, appointment_end: job.appointment_end }
+  });
+  return notifyChange(updated, 'cancelled');
+}
+
+/**
+ * Slots a job's appointment could move to: its contractor's, or every qualified contractor's
+ */
+async function jobSlots(job) {
+  const assigned = job.contractor_id ? await contractorsRepo.findById(job.contractor_id) : null;
+  return slots(job, { contractors: assigned ? [assigned] : null, ignoreJobId: job.id });
+}
+
+module.exports = {
+  SchedulingError,
+  weeklyHours,
+  getAvailability,
+  setWeeklyHours,
+  addBlackout,
+  removeBlackout,
+  slots,
+  jobSlots,
+  checkSlot,
+  freeAt,
+  assertNoConflict,
+  reschedule,
+  cancelAppointment,
+  syncInvites: invites.sync,
+  feed
+};
@@ -0,0 +1,211 @@
+/**
+ * Calendar invites – .ics emails that keep appointments in people's calendars
+ *
+ * Usage:
+ *   const invites = require('./services/scheduling/invites');
+ *   const job = await invites.sync(updatedJob);        // after any change to the job
+ *
+ * A job with an appointment has one calendar event (UID job-<id>@<host>).
+ * The customer holds it from booking and the contractor from assignment.
+ * sync() works out who should hold it now and sends the difference: a
+ * REQUEST to anyone new or whose copy is out of date (time moved, another
+ * contractor), and a CANCEL to anyone who should no longer hold it (job
+ * cancelled or reassigned, contractor released, appointment dropped).
+ * Every send raises the job's calendar_sequence, so calendar apps apply
+ * them in order. Who holds which version is kept in calendar_invitees,
+ * which makes sync() safe to call more than once.
+ *
+ * Jobs being worked on or finished, and appointments already over, are
+ * left alone.
+ */
+
+const ENV = require('../../config/env');
+const {
+  jobs: jobsRepo,
+  contractors: contractorsRepo,
+  customers: customersRepo
+} = require('../../repositories');
+const jobLifecycle = require('../job-lifecycle');
+const { sendAppointmentEmail } = require('../../email-service');
+const calendar = require('./calendar');
+const ical = require('./ical');
+
+const { STATUSES } = jobLifecycle;
+// From here on the event is history and stays as it was sent
+const SETTLED_STATUSES = [STATUSES.IN_PROGRESS, STATUSES.COMPLETED];
+const METHODS = { REQUEST: 'REQUEST', CANCEL: 'CANCEL' };
+
+function jobRef(job) {
+  return String(job.id).slice(0, 8).toUpperCase();
+}
+
+function jobTitle(job) {
+  return `${job.category_name || 'Service'}${job.type_name ? ` – ${job.type_name}` : ''}`;
+}
+
+function webOrigin() {
+  return ENV.webOrigin.replace(/\/+$/, '');
+}
+
+/**
+ * The job's event UID, the same in every invite and feed
+ */
+function eventUid(job) {
+  return `job-${job.id}@${new URL(webOrigin()).hostname}`;
+}
+
+// The address in EMAIL_FROM, which may be written 'Name <address>'
+function organizer() {
+  const match = /<([^>]+)>/.exec(ENV.emailFrom);
+  return { name: 'FirstClick', email: (match ? match[1] : ENV.emailFrom).trim() };
+}
+
+function fullAddress(job) {
+  return [job.address_line1, job.address_line2, job.city, job.province, job.postal_code].filter(Boolean).join(', ');
+}
+
+/**
+ * Who should hold the job's event now, or null to leave the calendars as they are
+ * @returns {Array<Object>|null} [{ role, id, start, end, contractor_id }]
+ */
+function expectedInvitees(job, at) {
+  const status = jobLifecycle.normalizeStatus(job.status);
+  if (SETTLED_STATUSES.includes(status)) return null;
+  if (job.appointment_end && new Date(job.appointment_end) <= at) return null;
+  if (status === STATUSES.CANCELLED || !job.appointment_start) return [];
+  const version = {
+    start: new Date(job.appointment_start).toISOString(),
+    end: new Date(job.appointment_end).toISOString(),
+    contractor_id: job.contractor_id || null
+  };
+  const invitees = [{ role: 'customer', id: job.customer_id, ...version }];
+  if (job.contractor_id) invitees.push({ role: 'contractor', id: job.contractor_id, ...version });
+  return invitees;
+}
+
+function sameInvitee(a, b) {
+  return a.role === b.role && String(a.id) === String(b.id);
+}
+
+function sameVersion(a, b) {
+  return a.start === b.start && a.end === b.end && String(a.contractor_id ?? '') === String(b.contractor_id ?? '');
+}
+
+async function findPerson(invitee) {
+  const repo = invitee.role === 'contractor' ? contractorsRepo : customersRepo;
+  const person = await repo.findById(invitee.id);
+  if (!person?.email) return null;
+  return {
+    email: person.email,
+    name: invitee.role === 'contractor' ? person.business_name || person.legal_name : person.full_name,
+    phone: person.phone || null
+  };
+}
+
+/**
+ * The job's event as one invitee sees it
+ * @param {Object} job
+ * @param {Object} invitee - From calendar_invitees
+ * @param {Object} [people] - { recipient, customer, contractor } (name, email, phone)
+ */
+function eventFor(job, invitee, { recipient = null, customer = null, contractor = null } = {}) {
+  const forContractor = invitee.role === 'contractor';
+  const description = forContractor
+    ? [`Job ${jobRef(job)}: ${jobTitle(job)}`, customer ? `Customer: ${[customer.name, customer.phone].filter(Boolean).join(', ')}` : null, job.description]
+    : [`Job ${jobRef(job)}: ${jobTitle(job)}`, contractor ? `Contractor: ${contractor.name}` : 'A contractor will be confirmed before the visit.'];
+  return {
+    uid: eventUid(job),
+    sequence: job.calendar_sequence,
+    start: invitee.start,
+    end: invitee.end,
+    summary: forContractor ? `Job ${jobRef(job)}: ${jobTitle(job)}` : `FirstClick: ${jobTitle(job)}`,
+    description: description.filter(Boolean).join('\n'),
+    location: fullAddress(job),
+    url: `${webOrigin()}/${forContractor ? 'contractor/contractor-dashboard.html' : 'customer-dashboard.html'}`,
+    organizer: organizer(),
+    attendee: recipient ? { name: recipient.name || recipient.email, email: recipient.email } : null
+  };
+}
+
+// What the email says when the caller has nothing more specific
+function defaultDetails(job, invitee, method, isNew, contractor) {
+  const label = `job ${jobRef(job)} (${jobTitle(job)})`;
+  if (method === METHODS.CANCEL) {
+    return {
+      subject: `Appointment cancelled: job ${jobRef(job)}`,
+      heading: 'Appointment cancelled',
+      message: invitee.role === 'contractor'
+        ? `The appointment for ${label} is no longer yours. The attached cancellation takes it out of your calendar.`
+        : `The appointment for ${label} has been cancelled. The attached cancellation takes it out of your calendar.`
+    };
+  }
+  if (isNew) {
+    return invitee.role === 'contractor'
+      ? {
+        subject: `Job ${jobRef(job)} assigned to you`,
+        heading: 'Job assigned',
+        message: `You have the appointment for ${label}. Open the attached invite to add it to your calendar.`
+      }
+      : {
+        subject: `Appointment booked: job ${jobRef(job)}`,
+        heading: 'Appointment booked',
+        message: `Your appointment for ${label} is booked. Open the attached invite to add it to your calendar.`
+      };
+  }
+  return {
+    subject: `Appointment updated: job ${jobRef(job)}`,
+    heading: 'Appointment updated',
+    message: `The appointment for ${label} has changed${invitee.role === 'customer' && contractor ? `; your contractor is ${contractor.name}` : ''}. The attached invite updates your calendar.`
+  };
+}
+
+/**
+ * Bring every calendar holding the job's event up to date
+ * @param {Object} job - The job as it now stands
+ * @param {Object} [options] - { details: { subject, heading, message } for every email sent, at }
+ * @returns {Promise<Object>} The job, with its new calendar_sequence when anything was sent
+ */
+async function sync(job, { details = null, at = new Date() } = {}) {
+  const current = await jobsRepo.findById(job.id) || job;
+  const expected = expectedInvitees(current, at);
+  if (!expected) return current;
+
+  const held = Array.isArray(current.calendar_invitees) ? current.calendar_invitees : [];
+  const sends = [
+    ...held
+      .filter(invitee => !expected.some(other => sameInvitee(invitee, other)))
+      .map(invitee => ({ invitee, method: METHODS.CANCEL, isNew: false })),
+    ...expected
+      .map(invitee => ({ invitee, previous: held.find(other => sameInvitee(invitee, other)) }))
+      .filter(({ invitee, previous }) => !previous || !sameVersion(invitee, previous))
+      .map(({ invitee, previous }) => ({ invitee, method: METHODS.REQUEST, isNew: !previous }))
+  ];
+  if (!sends.length) return current;
+
+  const updated = await jobsRepo.update(current.id, {
+    calendar_sequence: (Number(current.calendar_sequence) || 0) + 1,
+    calendar_invitees: expected
+  });
+  const customer = await findPerson({ role: 'customer', id: updated.customer_id });
+  const contractor = updated.contractor_id ? await findPerson({ role: 'contractor', id: updated.contractor_id }) : null;
+
+  for (const { invitee, method, isNew } of sends) {
+    const recipient = invitee.role === 'customer' ? customer : await findPerson(invitee);
+    if (!recipient) continue;
+    const event = eventFor(updated, invitee, { recipient, customer, contractor });
+    if (method === METHODS.CANCEL) event.status = 'CANCELLED';
+    const content = ical.calendar({ method, events: [event] });
+    await sendAppointmentEmail(recipient.email, recipient.name, {
+      ...(details || defaultDetails(updated, invitee, method, isNew, contractor)),
+      when: calendar.describe(new Date(invitee.start), new Date(invitee.end),
+        updated.appointment_time_zone || calendar.timeZoneFor(updated.province))
+    }, { method, filename: `job-${jobRef(updated)}.ics`, content });
+  }
+  return updated;
+}
+
+module.exports = {
+  eventUid,
+  eventFor,
+  sync
+};
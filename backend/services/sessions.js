@@ -0,0 +1,264 @@
+/**
+ * Sessions – access tokens, rotating refresh tokens and logout
+ *
+ * Usage:
+ *   const sessions = require('./services/sessions');
+ *   const { token, refreshToken } = await sessions.issueToken(user, 'customer', req.audit);
+ *   const next = await sessions.refresh(refreshToken, req.audit);
+ *
+ * Access tokens are short-lived JWTs (ENV.jwtExpiresIn) naming their
+ * session in `sid`; authenticateToken rejects them once that session is
+ * revoked. Each session row also holds the hash of one refresh token. A
+ * refresh retires the row and opens a new one in the same token family, so
+ * presenting a refresh token that was already used means it was copied:
+ * the whole family is revoked and both holders have to sign in again.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ENV = require('../config/env');
+const {
+  sessions,
+  customers,
+  contractors,
+  admins
+} = require('../repositories');
+const { logEvent } = require('./audit-service');
+const mfa = require('./mfa');
+
+const SESSION_TTL_MS = ENV.sessionTtlDays * 24 * 60 * 60 * 1000;
+
+// Account table behind each session role
+const ACCOUNT_REPOS = {
+  customer: customers,
+  contractor: contractors,
+  admin: admins,
+  super_admin: admins
+};
+
+const BLOCKED_STATUSES = ['paused', 'frozen'];
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function signAccessToken(user, role, sessionId) {
+  return jwt.sign({ id: user.id, role, sid: sessionId, email: user.email }, ENV.jwtSecret, {
+    expiresIn: ENV.jwtExpiresIn
+  });
+}
+
+/**
+ * Open a session row and return its refresh token
+ * @param {Object} user - Account row
+ * @param {string} role
+ * @param {Object} options - { id, familyId, authenticatedAt, ip, userAgent }
+ */
+async function openSession(user, role, { id = crypto.randomUUID(), familyId, authenticatedAt, ip, userAgent } = {}) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const session = await sessions.create({
+    id,
+    family_id: familyId || id,
+    user_id: user.id,
+    user_role: role,
+    refresh_token_hash: hashToken(refreshToken),
+    authenticated_at: authenticatedAt || now,
+    created_at: now,
+    expires_at: new Date(now.getTime() + SESSION_TTL_MS),
+    revoked_at: null,
+    ip: ip || null,
+    user_agent: userAgent || null
+  });
+  return {
+    token: signAccessToken(user, role, session.id),
+    refreshToken,
+    sessionId: session.id,
+    familyId: session.family_id,
+    expiresAt: new Date(session.expires_at)
+  };
+}
+
+/**
+ * Sign a user in: new token family, access token and refresh token
+ * @param {Object} user - Account row
+ * @param {string} role
+ * @param {Object} [context] - req.audit ({ ip, userAgent })
+ * @returns {Promise<{ token, refreshToken, sessionId, familyId, expiresAt }>}
+ */
+async function issueToken(user, role, context = {}) {
+  return openSession(user, role, { ip: context.ip, userAgent: context.userAgent });
+}
+
+async function revokeFamily(familyId, reason) {
+  return sessions.revokeFamily(familyId, new Date(), reason);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * @param {string} refreshToken
+ * @param {Object} [context] - req.audit ({ ip, userAgent, requestId })
+ * @returns {Promise<{ token, refreshToken, sessionId, familyId, expiresAt }>}
+ */
+async function refresh(refreshToken, context = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new SessionError('Refresh token is required', 400);
+  }
+
+  const session = await sessions.findByRefreshHash(hashToken(refreshToken));
+  if (!session) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const replacementId = crypto.randomUUID();
+  const expired = session.expires_at && new Date(session.expires_at) <= new Date();
+  const rotated = !expired && !session.revoked_at
+    ? await sessions.rotate(session.id, replacementId)
+    : null;
+
+  if (!rotated) {
+    // An already-rotated token coming back means two parties hold the family
+    if (session.rotated_at || (!session.revoked_at && !expired)) {
+      const revoked = await revokeFamily(session.family_id, 'reuse_detected');
+      await logEvent({
+        action: 'auth.refresh_token_reused',
+        entity_type: 'session',
+        entity_id: session.family_id,
+        actor: { role: session.user_role, id: session.user_id },
+        meta: { ...context, session_id: session.id, sessions_revoked: revoked.length }
+      });
+    }
+    throw new SessionError('Session expired. Please sign in again.');
+  }
+
+  const repo = ACCOUNT_REPOS[session.user_role];
+  const user = repo ? await repo.findById(session.user_id) : null;
+  if (!user || BLOCKED_STATUSES.includes(user.status)) {
+    await revokeFamily(session.family_id, 'account_unavailable');
+    throw new SessionError('Account is not available. Please contact support.', 403);
+  }
+  // A 2FA policy switched on after this login applies from the next refresh
+  if (mfa.MFA_ROLES.includes(session.user_role) && !mfa.isEnabled(user) && await mfa.isRequired(session.user_role)) {
+    await revokeFamily(session.family_id, 'mfa_required');
+    throw new SessionError('Two-factor authentication is now required. Please sign in again.', 403);
+  }
+
+  return openSession(user, session.user_role, {
+    id: replacementId,
+    familyId: session.family_id,
+    authenticatedAt: session.authenticated_at,
+    ip: context.ip,
+    userAgent: context.userAgent
+  });
+}
+
+/**
+ * End one login: the family of the access token's session, or of the
+ * refresh token when the access token has already expired
+ * @param {Object} options - { sessionId, refreshToken }
+ * @returns {Promise<Object|null>} The session that was signed out
+ */
+async function logout({ sessionId, refreshToken } = {}) {
+  const session = sessionId
+    ? await sessions.findById(sessionId)
+    : refreshToken ? await sessions.findByRefreshHash(hashToken(refreshToken)) : null;
+  if (!session) return null;
+  await revokeFamily(session.family_id, 'logout');
+  return session;
+}
+
+/**
+ * End every login of a user
+ * @returns {Promise<number>} Sessions revoked
+ */
+async function logoutAll(userId, reason = 'logout_all') {
+  const revoked = await sessions.revokeForUser(userId, new Date(), reason);
+  return revoked.length;
+}
+
+/**
+ * Session row without its refresh token hash
+ */
+function toPublicSession(session) {
+  const { refresh_token_hash, ...rest } = session;
+  return rest;
+}
+
+/**
+ * A user's signed-in devices, newest first
+ * @param {string} userId
+ * @param {string} [currentSessionId] - Flags the caller's own session
+ */
+async function listForUser(userId, currentSessionId) {
+  const active = await sessions.listActiveForUser(userId);
+  return active.map(session => ({
+    id: session.id,
+    family_id: session.family_id,
+    user_role: session.user_role,
+    authenticated_at: session.authenticated_at,
+    last_refreshed_at: session.created_at,
+    expires_at: session.expires_at,
+    ip: session.ip,
+    user_agent: session.user_agent,
+    current: String(session.id) === String(currentSessionId)
+  }));
+}
+
+/**
+ * Group session rows by token family for the superadmin console
+ * @param {Array<Object>} rows - sessions rows
+ */
+function summarizeFamilies(rows) {
+  const now = new Date();
+  const families = new Map();
+  rows.forEach(session => {
+    const key = String(session.family_id || session.id);
+    const family = families.get(key) || {
+      family_id: key,
+      user_id: session.user_id,
+      user_role: session.user_role,
+      authenticated_at: session.authenticated_at || session.created_at,
+      sessions: 0,
+      active_session_id: null,
+      reuse_detected: false,
+      last_ip: null,
+      last_user_agent: null,
+      last_seen_at: null
+    };
+    family.sessions += 1;
+    if (!session.revoked_at && !(session.expires_at && new Date(session.expires_at) <= now)) {
+      family.active_session_id = session.id;
+    }
+    if (session.revoked_reason === 'reuse_detected') {
+      family.reuse_detected = true;
+    }
+    if (!family.last_seen_at || new Date(session.created_at) > new Date(family.last_seen_at)) {
+      family.last_seen_at = session.created_at;
+      family.last_ip = session.ip || null;
+      family.last_user_agent = session.user_agent || null;
+    }
+    families.set(key, family);
+  });
+  return Array.from(families.values())
+    .sort((a, b) => new Date(b.last_seen_at) - new Date(a.last_seen_at));
+}
+
+module.exports = {
+  SessionError,
+  issueToken,
+  refresh,
+  logout,
+  logoutAll,
+  revokeFamily,
+  listForUser,
+  toPublicSession,
+  summarizeFamilies
+};
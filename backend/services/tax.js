@@ -0,0 +1,393 @@
+/**
+ * Sales tax – Canadian GST/HST, PST/RST and QST on job prices
+ *
+ * Usage:
+ *   const tax = require('./services/tax');
+ *   const rules = await tax.getRules();
+ *   const cents = tax.calculate({ labourCents: 40000, materialCents: 5000, province: 'QC', date: '2026-10-19', rules });
+ *   const salesTax = await tax.forJob(job);            // stored on jobs.sales_tax at completion
+ *   const { taxCents, refundedTaxCents } = tax.jobTaxCents(job);
+ *
+ * Tax is charged on top of the job price: the customer pays the final price
+ * plus tax, and lib/financials.js keeps working on the pre-tax price (fees
+ * and payouts never include tax). Each tax is a percentage of a taxable
+ * amount, rounded half-up to the cent per tax:
+ *   labour    = final price − materials (taxed when rules.labour)
+ *   materials = material fees            (taxed when rules.materials)
+ * The rates are those in force in the job's province on its tax date (the
+ * day it was completed there). RATES keeps every rate a province has had
+ * since at least 2013 with the date it took effect; a legislated change is
+ * a new row.
+ * The taxability rules are a platform setting (superadmin), see DEFAULT_RULES.
+ */
+
+const financials = require('../lib/financials');
+const { contractors: contractorsRepo, platformSettings } = require('../repositories');
+const { localDate, isDate } = require('./payouts/schedule');
+
+const RULES_KEY = 'tax_rules';
+
+const PROVINCES = {
+  AB: { name: 'Alberta', timeZone: 'America/Edmonton' },
+  BC: { name: 'British Columbia', timeZone: 'America/Vancouver' },
+  MB: { name: 'Manitoba', timeZone: 'America/Winnipeg' },
+  NB: { name: 'New Brunswick', timeZone: 'America/Moncton' },
+  NL: { name: 'Newfoundland and Labrador', timeZone: 'America/St_Johns' },
+  NS: { name: 'Nova Scotia', timeZone: 'America/Halifax' },
+  NT: { name: 'Northwest Territories', timeZone: 'America/Yellowknife' },
+  NU: { name: 'Nunavut', timeZone: 'America/Iqaluit' },
+  ON: { name: 'Ontario', timeZone: 'America/Toronto' },
+  PE: { name: 'Prince Edward Island', timeZone: 'America/Halifax' },
+  QC: { name: 'Quebec', timeZone: 'America/Toronto' },
+  SK: { name: 'Saskatchewan', timeZone: 'America/Regina' },
+  YT: { name: 'Yukon', timeZone: 'America/Whitehorse' }
+};
+
+// Tax code → label and the contractor registration it is charged under
+// (null: charged whoever the contractor is)
+const TAXES = {
+  GST: { label: 'GST', registration: 'gst_hst_number' },
+  HST: { label: 'HST', registration: 'gst_hst_number' },
+  PST: { label: 'PST', registration: null },
+  RST: { label: 'RST', registration: null },
+  QST: { label: 'QST', registration: 'qst_number' }
+};
+
+// Rates in percent, oldest first; each row applies from its date until the next
+const RATES = {
+  AB: [{ from: '2008-01-01', taxes: { GST: 5 } }],
+  BC: [{ from: '2013-04-01', taxes: { GST: 5, PST: 7 } }],
+  MB: [
+    { from: '2013-07-01', taxes: { GST: 5, RST: 8 } },
+    { from: '2019-07-01', taxes: { GST: 5, RST: 7 } }
+  ],
+  NB: [
+    { from: '2010-07-01', taxes: { HST: 13 } },
+    { from: '2016-07-01', taxes: { HST: 15 } }
+  ],
+  NL: [
+    { from: '2013-01-01', taxes: { HST: 13 } },
+    { from: '2016-07-01', taxes: { HST: 15 } }
+  ],
+  NS: [
+    { from: '2010-07-01', taxes: { HST: 15 } },
+    { from: '2025-04-01', taxes: { HST: 14 } }
+  ],
+  NT: [{ from: '2008-01-01', taxes: { GST: 5 } }],
+  NU: [{ from: '2008-01-01', taxes: { GST: 5 } }],
+  ON: [{ from: '2010-07-01', taxes: { HST: 13 } }],
+  PE: [
+    { from: '2013-04-01', taxes: { HST: 14 } },
+    { from: '2016-10-01', taxes: { HST: 15 } }
+  ],
+  QC: [{ from: '2013-01-01', taxes: { GST: 5, QST: 9.975 } }],
+  SK: [
+    { from: '2013-01-01', taxes: { GST: 5, PST: 5 } },
+    { from: '2017-03-23', taxes: { GST: 5, PST: 6 } }
+  ],
+  YT: [{ from: '2008-01-01', taxes: { GST: 5 } }]
+};
+
+/**
+ * What is taxed (the tax_rules setting overrides any of these)
+ *   labour, materials        tax each part of the price
+ *   small_suppliers          false: a contractor without a GST/HST number
+ *                            charges no GST/HST, and one without a QST number
+ *                            no QST (the small-supplier rule); true charges
+ *                            them whatever the contractor's registration
+ *   exempt_service_types     service type ids whose labour is not taxed
+ *   overrides                per tax code, e.g. { PST: { labour: false } }
+ */
+const DEFAULT_RULES = {
+  labour: true,
+  materials: true,
+  small_suppliers: true,
+  exempt_service_types: [],
+  overrides: {}
+};
+
+const GST_HST_NUMBER = /^(\d{9})RT(\d{4})$/;
+const QST_NUMBER = /^\d{10}TQ\d{4}$/;
+
+class TaxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TaxError';
+    this.status = status;
+  }
+}
+
+/**
+ * A province code from a code or name ('on', 'Québec' → 'ON', 'QC')
+ * @returns {string|null}
+ */
+function normalizeProvince(value) {
+  if (!value) return null;
+  const text = String(value).trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+  if (PROVINCES[text]) return text;
+  const match = Object.entries(PROVINCES).find(([, province]) => province.name.toUpperCase() === text);
+  return match ? match[0] : null;
+}
+
+/**
+ * The rates in force in a province on a date
+ * @returns {{ from: string, taxes: Object<string, number> }|null}
+ */
+function ratesFor(province, date) {
+  const rows = RATES[normalizeProvince(province)] || [];
+  return rows.filter(row => row.from <= date).pop() || null;
+}
+
+// `rate` percent of `cents`, half-up (rates have at most three decimals)
+function taxOf(cents, rate) {
+  const units = Math.round(rate * 1000);
+  return Math.floor((cents * units + 50000) / 100000);
+}
+
+/**
+ * Tax on a price, in cents
+ * @param {Object} input - { labourCents, materialCents = 0, province, date ('YYYY-MM-DD'),
+ *   rules = DEFAULT_RULES, registration ({ gst_hst_number, qst_number }), serviceTypeId }
+ * @returns {{ province, tax_date, lines: Array<{ code, label, rate, taxable, amount }>, total }}
+ *   Lines with nothing taxable are left out
+ * @throws {TaxError} Unknown province, or no rates for the date
+ */
+function calculate({ labourCents, materialCents = 0, province, date, rules = DEFAULT_RULES, registration = {}, serviceTypeId }) {
+  const code = normalizeProvince(province);
+  if (!code) {
+    throw new TaxError(`Unknown province '${province}'`);
+  }
+  const rates = ratesFor(code, date);
+  if (!rates) {
+    throw new TaxError(`No sales tax rates for ${code} on ${date}`);
+  }
+  const exempt = (rules.exempt_service_types || []).map(String).includes(String(serviceTypeId ?? ''));
+
+  const lines = Object.entries(rates.taxes).map(([taxCode, rate]) => {
+    const rule = { labour: rules.labour, materials: rules.materials, ...((rules.overrides || {})[taxCode]) };
+    const registeredUnder = TAXES[taxCode].registration;
+    if (registeredUnder && !rules.small_suppliers && !registration[registeredUnder]) return null;
+    const taxable = (rule.labour && !exempt ? labourCents : 0) + (rule.materials ? materialCents : 0);
+    if (taxable <= 0) return null;
+    return { code: taxCode, label: TAXES[taxCode].label, rate, taxable, amount: taxOf(taxable, rate) };
+  }).filter(Boolean);
+
+  return {
+    province: code,
+    tax_date: date,
+    lines,
+    total: lines.reduce((sum, line) => sum + line.amount, 0)
+  };
+}
+
+/**
+ * Taxability rules (DEFAULT_RULES with the platform setting on top)
+ */
+async function getRules() {
+  const stored = await platformSettings.get(RULES_KEY);
+  return { ...DEFAULT_RULES, ...(stored && typeof stored === 'object' ? stored : {}) };
+}
+
+/**
+ * Change the taxability rules (only the keys given)
+ * @param {Object} changes - Any of the DEFAULT_RULES keys
+ * @param {string} [updatedBy] - Admin id
+ * @throws {TaxError} 400 invalid values
+ */
+async function updateRules(changes = {}, updatedBy = null) {
+  const current = await getRules();
+  const next = { ...current };
+  ['labour', 'materials', 'small_suppliers'].forEach(key => {
+    if (changes[key] === undefined) return;
+    if (typeof changes[key] !== 'boolean') {
+      throw new TaxError(`${key} must be true or false`);
+    }
+    next[key] = changes[key];
+  });
+  if (changes.exempt_service_types !== undefined) {
+    if (!Array.isArray(changes.exempt_service_types)) {
+      throw new TaxError('exempt_service_types must be a list of service type ids');
+    }
+    next.exempt_service_types = [...new Set(changes.exempt_service_types.map(String))];
+  }
+  if (changes.overrides !== undefined) {
+    const overrides = changes.overrides || {};
+    const valid = typeof overrides === 'object' && Object.entries(overrides).every(([code, rule]) =>
+      TAXES[code] && rule && typeof rule === 'object' &&
+      Object.entries(rule).every(([key, value]) => ['labour', 'materials'].includes(key) && typeof value === 'boolean'));
+    if (!valid) {
+      throw new TaxError(`overrides must map tax codes (${Object.keys(TAXES).join(', ')}) to { labour, materials } true/false`);
+    }
+    next.overrides = overrides;
+  }
+  await platformSettings.set(RULES_KEY, next, updatedBy);
+  return next;
+}
+
+/**
+ * Tidy and check contractor registration numbers
+ * @param {Object} numbers - { gst_hst_number, qst_number } (blank or null clears one)
+ * @returns {Object} The numbers to store (only the keys given)
+ * @throws {TaxError} 400 malformed number
+ */
+function normalizeRegistration(numbers = {}) {
+  const result = {};
+  const tidy = value => String(value || '').replace(/[\s-]/g, '').toUpperCase() || null;
+  if (numbers.gst_hst_number !== undefined) {
+    const number = tidy(numbers.gst_hst_number);
+    const match = number && number.match(GST_HST_NUMBER);
+    if (number && (!match || !luhnValid(match[1]))) {
+      throw new TaxError('gst_hst_number must be a business number with its RT account, e.g. 123456782RT0001');
+    }
+    result.gst_hst_number = number;
+  }
+  if (numbers.qst_number !== undefined) {
+    const number = tidy(numbers.qst_number);
+    if (number && !QST_NUMBER.test(number)) {
+      throw new TaxError('qst_number must look like 1234567890TQ0001');
+    }
+    result.qst_number = number;
+  }
+  return result;
+}
+
+// Business numbers end in a Luhn check digit
+function luhnValid(digits) {
+  const sum = [...digits].reverse().reduce((total, digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    return total + value;
+  }, 0);
+  return sum % 10 === 0;
+}
+
+function toDollarLines(lines) {
+  return lines.map(line => ({ ...line, taxable: financials.toDollars(line.taxable), amount: financials.toDollars(line.amount) }));
+}
+
+/**
+ * Tax on an estimate's price range (no materials yet; the contractor is
+ * assumed to be registered)
+ * @param {Object} estimate - buildEstimate() result
+ * @param {string} province
+ * @param {Object} rules - getRules()
+ * @returns {Object|null} { province, tax_date, lines (on the max), min, max } in dollars;
+ *   null when the estimate has no range or the province is unknown
+ */
+function forEstimate(estimate, province, rules, serviceTypeId) {
+  const code = normalizeProvince(province);
+  if (!estimate || estimate.mode !== 'fixed_range' || !code) return null;
+  const date = localDate(PROVINCES[code].timeZone);
+  const registration = { gst_hst_number: true, qst_number: true };
+  const taxOn = dollars => (dollars === null || dollars === undefined
+    ? null
+    : calculate({ labourCents: financials.toCents(dollars), province: code, date, rules, registration, serviceTypeId }));
+  const min = taxOn(estimate.min);
+  const max = taxOn(estimate.max ?? estimate.min);
+  return {
+    province: code,
+    tax_date: date,
+    lines: max ? toDollarLines(max.lines) : [],
+    min: min ? financials.toDollars(min.total) : null,
+    max: max ? financials.toDollars(max.total) : null
+  };
+}
+
+/**
+ * The sales tax snapshot for a job, in dollars, as stored on jobs.sales_tax
+ * @param {Object} job - Job row with its address (province) and final price
+ * @param {Object} [options] - { taxDate (default: the job's existing tax date, else today in
+ *   its province), materialCents (override the job's) }
+ * @returns {Promise<Object|null>} { province, tax_date, gst_hst_number, qst_number, lines, total };
+ *   null when the job has no price or no known province
+ */
+async function forJob(job, { taxDate, materialCents } = {}) {
+  const amounts = financials.resolveJobAmounts(job);
+  const province = normalizeProvince(job && job.province);
+  if (amounts.finalPriceCents === null || !province) return null;
+  const materials = materialCents ?? amounts.materialCents;
+  const date = taxDate || job.sales_tax?.tax_date || localDate(PROVINCES[province].timeZone);
+  const contractor = job.contractor_id ? await contractorsRepo.findById(job.contractor_id) : null;
+  const registration = {
+    gst_hst_number: contractor?.gst_hst_number || null,
+    qst_number: contractor?.qst_number || null
+  };
+  const cents = calculate({
+    labourCents: Math.max(0, amounts.finalPriceCents - materials),
+    materialCents: Math.min(materials, amounts.finalPriceCents),
+    province,
+    date,
+    rules: await getRules(),
+    registration,
+    serviceTypeId: job.service_type_id
+  });
+  return {
+    province,
+    tax_date: date,
+    ...registration,
+    lines: toDollarLines(cents.lines),
+    total: financials.toDollars(cents.total)
+  };
+}
+
+/**
+ * The tax charged on a job and how much of it has been refunded, in cents
+ * (zero for jobs completed before tax was charged)
+ */
+function jobTaxCents(job) {
+  const taxCents = financials.toCents(job && job.sales_tax && job.sales_tax.total) || 0;
+  const refunded = financials.toCents(job && job.refunded_tax) || 0;
+  return { taxCents, refundedTaxCents: Math.min(Math.max(0, refunded), taxCents) };
+}
+
+/**
+ * Split what has been refunded on a payment into price and tax, in the
+ * proportion the payment carried tax (half-up; a full refund returns all of it)
+ * @param {Object} input - { paidCents, taxCents (tax in the payment), refundedCents (all refunds so far) }
+ * @returns {{ priceCents, taxCents }}
+ */
+function splitRefund({ paidCents, taxCents, refundedCents }) {
+  if (!paidCents || !taxCents) return { priceCents: refundedCents, taxCents: 0 };
+  const refundedTax = Math.min(taxCents, Math.floor((refundedCents * taxCents * 2 + paidCents) / (2 * paidCents)));
+  return { priceCents: refundedCents - refundedTax, taxCents: refundedTax };
+}
+
+/**
+ * Provinces and their current rates, for display (GET /api/financials/tax-rates)
+ * @param {string} [date] - 'YYYY-MM-DD', default today
+ */
+function rateTable(date) {
+  return Object.entries(PROVINCES).map(([code, province]) => {
+    const on = date && isDate(date) ? date : localDate(province.timeZone);
+    const rates = ratesFor(code, on);
+    return {
+      province: code,
+      name: province.name,
+      effective_from: rates ? rates.from : null,
+      taxes: rates ? Object.entries(rates.taxes).map(([taxCode, rate]) => ({ code: taxCode, label: TAXES[taxCode].label, rate })) : [],
+      combined_rate: rates ? Object.values(rates.taxes).reduce((sum, rate) => sum + Math.round(rate * 1000), 0) / 1000 : null
+    };
+  });
+}
+
+module.exports = {
+  PROVINCES,
+  TAXES,
+  RATES,
+  DEFAULT_RULES,
+  TaxError,
+  normalizeProvince,
+  ratesFor,
+  calculate,
+  getRules,
+  updateRules,
+  normalizeRegistration,
+  forEstimate,
+  forJob,
+  jobTaxCents,
+  splitRefund,
+  rateTable
+};
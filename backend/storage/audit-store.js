@@ -8,8 +8,9 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const ENV = require('../config/env');
 
-const AUDIT_FILE = path.join(__dirname, '..', 'data', 'audit.jsonl');
+const AUDIT_FILE = ENV.auditLogFile;
 
 /**
  * Ensure the data directory exists
@@ -0,0 +1,21 @@
+/**
+ * Sign-in and recovery on Postgres (PGlite), every migration applied
+ */
+
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pglite = require('./support/pglite');
+
+pglite.install();
+const api = require('./support/app');
+
+before(async () => {
+  assert.equal(require('../repositories').implementation, 'postgres');
+  await pglite.migrate();
+  await api.start();
+});
+after(api.stop);
+
+require('./auth/password-reset')();
+require('./auth/sessions')();
+require('./auth/mfa')();
@@ -0,0 +1,14 @@
+/**
+ * Sign-in and recovery on the memory store (auth.postgres.test.js runs the same cases on Postgres)
+ */
+
+require('./support/env');
+const { before, after } = require('node:test');
+const api = require('./support/app');
+
+before(api.start);
+after(api.stop);
+
+require('./auth/password-reset')();
+require('./auth/sessions')();
+require('./auth/mfa')();
@@ -0,0 +1,62 @@
+/**
+ * Admin two-factor sign-in – an authenticator code is accepted once
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../support/app');
+const repos = require('../../repositories');
+const mfa = require('../../services/mfa');
+
+const PASSWORD = 'admin-password';
+
+function step() {
+  return Math.floor(Date.now() / 1000 / 30);
+}
+
+async function mfaToken(email) {
+  const { status, body } = await api.request('POST', '/api/auth/admin/login', { body: { email, password: PASSWORD } });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.mfaRequired, true);
+  return body.mfaToken;
+}
+
+module.exports = () => describe('two-factor sign-in', () => {
+  it('rejects a code that was already used in its time step', async () => {
+    const admin = await repos.admins.create({
+      email: `admin-${crypto.randomBytes(4).toString('hex')}@example.com`,
+      password_hash: await bcrypt.hash(PASSWORD, 10),
+      full_name: 'Test Admin',
+      role: 'admin',
+      is_active: true
+    });
+    const token = await api.login('admin', admin.email, PASSWORD);
+    const enrolled = await api.request('POST', '/api/auth/mfa/enroll', { token });
+    assert.equal(enrolled.status, 200, JSON.stringify(enrolled.body));
+    const { secret } = enrolled.body;
+    const enrollCode = mfa.generateCode(secret, step());
+    const confirmed = await api.request('POST', '/api/auth/mfa/enroll/confirm', { token, body: { code: enrollCode } });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+
+    // The code shown while enrolling cannot sign in again
+    const reusedEnrollCode = await api.request('POST', '/api/auth/mfa/verify', {
+      body: { mfaToken: await mfaToken(admin.email), code: enrollCode }
+    });
+    assert.equal(reusedEnrollCode.status, 401);
+
+    // The next step's code is inside the drift window: it works once
+    const code = mfa.generateCode(secret, step() + 1);
+    const first = await api.request('POST', '/api/auth/mfa/verify', {
+      body: { mfaToken: await mfaToken(admin.email), code }
+    });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.ok(first.body.token);
+    const replayed = await api.request('POST', '/api/auth/mfa/verify', {
+      body: { mfaToken: await mfaToken(admin.email), code }
+    });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.token, undefined);
+  });
+});
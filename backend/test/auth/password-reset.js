@@ -0,0 +1,77 @@
+/**
+ * Password reset – an emailed link works once, before it expires, and
+ * signs out every session of the account
+ */
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../support/app');
+const repos = require('../../repositories');
+const authTokens = require('../../services/auth-tokens');
+
+async function register() {
+  const email = `reset-${crypto.randomBytes(4).toString('hex')}@example.com`;
+  const { status, body } = await api.request('POST', '/api/auth/customer/register', {
+    body: { email, password: 'first-password' }
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return { email, ...body };
+}
+
+// Token from the newest reset email sent to `email`
+function resetToken(email) {
+  const sent = api.mail.filter(message => message.to === email && /reset_token=/.test(message.html));
+  assert.ok(sent.length, `no reset email for ${email}`);
+  return sent[sent.length - 1].html.match(/reset_token=([0-9a-f]+)/)[1];
+}
+
+module.exports = () => describe('password reset', () => {
+  it('accepts an emailed token once and signs out the old sessions', async () => {
+    const account = await register();
+    const requested = await api.request('POST', '/api/auth/password-reset/request', {
+      body: { email: account.email, role: 'customer' }
+    });
+    assert.equal(requested.status, 200);
+    const token = resetToken(account.email);
+
+    const first = await api.request('POST', '/api/auth/password-reset/confirm', {
+      body: { token, password: 'second-password' }
+    });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    const again = await api.request('POST', '/api/auth/password-reset/confirm', {
+      body: { token, password: 'third-password' }
+    });
+    assert.equal(again.status, 400);
+    assert.match(again.body.error, /invalid or has expired/);
+
+    assert.equal((await api.request('GET', '/api/auth/sessions', { token: account.token })).status, 401);
+    const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: account.refreshToken } });
+    assert.equal(refreshed.status, 401);
+    await api.login('customer', account.email, 'second-password');
+    await assert.rejects(api.login('customer', account.email, 'third-password'));
+  });
+
+  it('refuses an expired token and leaves the password alone', async () => {
+    const account = await register();
+    const customer = await repos.customers.findByEmail(account.email);
+    const token = crypto.randomBytes(32).toString('hex');
+    await repos.authTokens.create({
+      user_id: customer.id,
+      user_role: 'customer',
+      purpose: authTokens.PURPOSES.PASSWORD_RESET,
+      email: customer.email,
+      token_hash: authTokens.hashToken(token),
+      requested_ip: null,
+      expires_at: new Date(Date.now() - 60 * 1000)
+    });
+
+    const { status, body } = await api.request('POST', '/api/auth/password-reset/confirm', {
+      body: { token, password: 'second-password' }
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /invalid or has expired/);
+    await api.login('customer', account.email, 'first-password');
+    assert.equal((await api.request('GET', '/api/auth/sessions', { token: account.token })).status, 200);
+  });
+});
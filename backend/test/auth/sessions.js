@@ -0,0 +1,43 @@
+/**
+ * Refresh tokens – each one works once; presenting a used one signs out
+ * every session of its family
+ */
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../support/app');
+
+async function register() {
+  const email = `session-${crypto.randomBytes(4).toString('hex')}@example.com`;
+  const { status, body } = await api.request('POST', '/api/auth/customer/register', {
+    body: { email, password: 'first-password' }
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return { email, ...body };
+}
+
+async function refresh(refreshToken) {
+  return api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+}
+
+module.exports = () => describe('refresh tokens', () => {
+  it('revokes the whole family when a rotated token is replayed', async () => {
+    const account = await register();
+    const other = await register();
+
+    const rotated = await refresh(account.refreshToken);
+    assert.equal(rotated.status, 200, JSON.stringify(rotated.body));
+    assert.notEqual(rotated.body.refreshToken, account.refreshToken);
+
+    const replayed = await refresh(account.refreshToken);
+    assert.equal(replayed.status, 401);
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await api.request('GET', '/api/auth/sessions', { token: rotated.body.token })).status, 401);
+    assert.equal((await api.request('GET', '/api/auth/sessions', { token: account.token })).status, 401);
+
+    // Other accounts and later sign-ins are untouched
+    assert.equal((await refresh(other.refreshToken)).status, 200);
+    await api.login('customer', account.email, 'first-password');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Financials – the golden table of API_QUICK_REFERENCE.md ("Financial Rules"), run
+ *
+ * Keep the two in step: a change to lib/financials.js updates both.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const financials = require('../lib/financials');
+
+const { calculate, jobFinancials, toCents, FinancialsError } = financials;
+
+// [final price, materials, refunded, tier, net, processing fee, platform fee, contractor payout], in cents
+const GOLDEN = [
+  [45000, 0, 0, 'bronze', 45000, 1335, 9000, 34665],
+  [45000, 0, 0, 'silver', 45000, 1335, 6750, 36915],
+  [45000, 0, 0, 'gold', 45000, 1335, 4500, 39165],
+  [45000, 12500, 0, 'bronze', 32500, 1335, 6500, 24665],
+  [45000, 12500, 0, 'gold', 32500, 1335, 3250, 27915],
+  [33333, 1111, 0, 'silver', 32222, 997, 4833, 26392],
+  [10000, 0, 0, 'platinum', 10000, 320, 2000, 7680],
+  [1999, 0, 0, 'bronze', 1999, 88, 400, 1511],
+  [1750, 0, 0, 'gold', 1750, 81, 175, 1494],
+  [500, 0, 0, 'bronze', 500, 45, 100, 355],
+  [100, 0, 0, 'bronze', 100, 33, 20, 47],
+  [10000, 15000, 0, 'bronze', 0, 320, 0, 0],
+  [0, 0, 0, 'bronze', 0, 0, 0, 0],
+  [45000, 12500, 10000, 'bronze', 22500, 1335, 4500, 16665],
+  [45000, 0, 4500, 'gold', 40500, 1335, 4050, 35115],
+  [45000, 12500, 32500, 'silver', 0, 1335, 0, 0],
+  [45000, 12500, 45000, 'bronze', 0, 1335, 0, 0]
+];
+
+describe('financials.calculate', () => {
+  for (const [finalPriceCents, materialCents, refundedCents, tier, net, fee, platform, payout] of GOLDEN) {
+    it(`${finalPriceCents}¢ − ${materialCents}¢ materials − ${refundedCents}¢ refunded, ${tier}`, () => {
+      assert.deepEqual(calculate({ finalPriceCents, materialCents, refundedCents, tier }), {
+        final_price: finalPriceCents,
+        material_fees: materialCents,
+        refunded: refundedCents,
+        net_amount: net,
+        stripe_fee: fee,
+        platform_fee: platform,
+        contractor_payout: payout,
+        net_platform_revenue: platform
+      });
+    });
+  }
+
+  it('rounds the processing fee half-up (2.9% of $5.00 is 14.5¢)', () => {
+    assert.equal(calculate({ finalPriceCents: 500 }).stripe_fee, 45);
+  });
+
+  it('rounds the platform fee half-up', () => {
+    // 15% of 33.33 is 4.9995 → 5.00; 10% of 0.05 is 0.5¢ → 1¢
+    assert.equal(calculate({ finalPriceCents: 3333, tier: 'silver' }).platform_fee, 500);
+    assert.equal(calculate({ finalPriceCents: 5, tier: 'gold' }).platform_fee, 1);
+  });
+
+  it('defaults to bronze with no materials or refunds', () => {
+    assert.deepEqual(calculate({ finalPriceCents: 10000 }), calculate({
+      finalPriceCents: 10000, materialCents: 0, refundedCents: 0, tier: 'bronze'
+    }));
+  });
+
+  it('rejects negative inputs', () => {
+    assert.throws(() => calculate({ finalPriceCents: -100 }), { name: 'FinancialsError', message: 'Final price cannot be negative' });
+    assert.throws(() => calculate({ finalPriceCents: 10000, materialCents: -1 }), { message: 'Material cost cannot be negative' });
+    assert.throws(() => calculate({ finalPriceCents: 10000, refundedCents: -1 }), { message: 'Refund cannot be negative' });
+  });
+
+  it('rejects a refund above the final price', () => {
+    assert.throws(() => calculate({ finalPriceCents: 10000, refundedCents: 10001 }), (error) => {
+      assert.ok(error instanceof FinancialsError);
+      assert.equal(error.status, 400);
+      assert.equal(error.message, 'Refund cannot exceed the final price');
+      return true;
+    });
+  });
+
+  it('rejects fractions of a cent', () => {
+    assert.throws(() => calculate({ finalPriceCents: 100.5 }), { message: 'Final price must be a whole number of cents' });
+  });
+});
+
+describe('financials.toCents', () => {
+  it('parses decimals without float maths and rounds half-up', () => {
+    assert.equal(toCents('1.005'), 101);
+    assert.equal(toCents('1.004'), 100);
+    assert.equal(toCents(0.015), 2);
+    assert.equal(toCents('$1,234.56'), 123456);
+    assert.equal(toCents(450), 45000);
+    assert.equal(toCents('-1.005'), -101);
+  });
+
+  it('returns null for nothing or nonsense', () => {
+    assert.equal(toCents(null), null);
+    assert.equal(toCents(''), null);
+    assert.equal(toCents('abc'), null);
+    assert.equal(toCents(Infinity), null);
+  });
+});
+
+describe('financials.jobFinancials', () => {
+  it('reports dollars and the same figures in cents', () => {
+    const row = jobFinancials({ final_price: '450.00', material_fees: '125.00', contractor_tier: 'gold' });
+    assert.equal(row.currency, 'CAD');
+    assert.equal(row.contractor_tier, 'gold');
+    assert.equal(row.net_amount, 325);
+    assert.equal(row.stripe_fee, 13.35);
+    assert.equal(row.platform_fee, 32.5);
+    assert.equal(row.contractor_payout, 279.15);
+    assert.equal(row.cents.contractor_payout, 27915);
+  });
+
+  it('takes the completion payment first, then final_price, then the estimate', () => {
+    const job = {
+      completion_report: { payment: { final_price: 300 } },
+      final_price: 200,
+      estimate: { min: 80, max: 100 }
+    };
+    assert.equal(jobFinancials(job).final_price, 300);
+    assert.equal(jobFinancials({ ...job, completion_report: null }).final_price, 200);
+    assert.equal(jobFinancials({ estimate: job.estimate }).final_price, 100);
+  });
+
+  it('subtracts refunds, capped at the final price', () => {
+    assert.equal(jobFinancials({ final_price: 450, refunded_amount: 45, contractor_tier: 'gold' }).contractor_payout, 351.15);
+    const over = jobFinancials({ final_price: 100, refunded_amount: 150 });
+    assert.equal(over.refunded, 100);
+    assert.equal(over.contractor_payout, 0);
+  });
+
+  it('reports null figures for a job without a price, or with a negative one', () => {
+    for (const job of [{}, { final_price: -5 }, null]) {
+      const row = jobFinancials(job);
+      assert.equal(row.final_price, null);
+      assert.equal(row.contractor_payout, null);
+      assert.equal(row.cents, null);
+    }
+  });
+
+  it('counts negative stored materials and refunds as zero', () => {
+    const row = jobFinancials({ final_price: 100, material_fees: -10, refunded_amount: -5 });
+    assert.equal(row.material_fees, 0);
+    assert.equal(row.refunded, 0);
+    assert.equal(row.net_amount, 100);
+  });
+
+  it('treats an unknown tier as bronze', () => {
+    assert.equal(jobFinancials({ final_price: 100, contractor_tier: 'platinum' }).contractor_tier, 'bronze');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Guest bookings – an account is never claimed by knowing its email address
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('./support/app');
+const repos = require('../repositories');
+
+const GUEST_EMAIL = 'guest.booker@example.com';
+
+function booking(customer) {
+  return {
+    service_category_id: 1,
+    service_type_id: 1,
+    description: 'Blocked drain',
+    property_type: 'house',
+    address_line1: '200 Rue Test',
+    city: 'Montreal',
+    province: 'QC',
+    postal_code: 'H2X 1Y4',
+    customer
+  };
+}
+
+describe('guest accounts', () => {
+  before(async () => {
+    await api.start();
+    const first = await api.request('POST', '/api/jobs/create', {
+      body: booking({ email: GUEST_EMAIL, full_name: 'Guest Booker', phone: '514-555-0199' })
+    });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+  });
+  after(api.stop);
+
+  it('sends a set-password link instead of signing in a second guest booking', async () => {
+    const sentBefore = api.mail.length;
+    const { status, body } = await api.request('POST', '/api/jobs/create', {
+      body: booking({ email: GUEST_EMAIL, full_name: 'Someone Else' })
+    });
+    assert.equal(status, 401);
+    assert.equal(body.token, undefined);
+    const sent = api.mail.slice(sentBefore);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, GUEST_EMAIL);
+  });
+
+  it('does not let a booking set the password of a guest account', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs/create', {
+      body: booking({ email: GUEST_EMAIL, password: 'attacker-password' })
+    });
+    assert.equal(status, 401);
+    assert.equal(body.token, undefined);
+    const guest = await repos.customers.findByEmail(GUEST_EMAIL);
+    assert.equal(guest.password_hash, null);
+  });
+
+  it('does not let registering take over a guest account', async () => {
+    const { status, body } = await api.request('POST', '/api/auth/customer/register', {
+      body: { email: GUEST_EMAIL, password: 'attacker-password' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.token, undefined);
+    const guest = await repos.customers.findByEmail(GUEST_EMAIL);
+    assert.equal(guest.password_hash, null);
+  });
+
+  it('books for an account with a password only with that password', async () => {
+    const wrong = await api.request('POST', '/api/jobs/create', {
+      body: booking({ email: 'customer@firstclick.com', password: 'not-the-password' })
+    });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.token, undefined);
+
+    const right = await api.request('POST', '/api/jobs/create', {
+      body: booking({ email: 'customer@firstclick.com', password: 'customer123' })
+    });
+    assert.equal(right.status, 200, JSON.stringify(right.body));
+    assert.ok(right.body.token);
+  });
+
+  it('books as the signed-in customer whatever email the form carries', async () => {
+    const token = await api.login('customer', 'customer@firstclick.com', 'customer123');
+    const { status, body } = await api.request('POST', '/api/jobs/create', {
+      token,
+      body: booking({ email: GUEST_EMAIL })
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.customer.email, 'customer@firstclick.com');
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Job services on Postgres (PGlite), every migration applied
+ */
+
+const { before } = require('node:test');
+const assert = require('node:assert/strict');
+const pglite = require('./support/pglite');
+
+pglite.install();
+before(async () => {
+  assert.equal(require('../repositories').implementation, 'postgres');
+  await pglite.migrate();
+});
+
+require('./jobs/lifecycle')();
+require('./jobs/dispatch')();
+require('./jobs/scheduling')();
+require('./jobs/messages')();
+require('./jobs/notifications')();
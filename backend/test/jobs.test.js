@@ -0,0 +1,11 @@
+/**
+ * Job services on the memory store (jobs.postgres.test.js runs the same cases on Postgres)
+ */
+
+require('./support/env');
+
+require('./jobs/lifecycle')();
+require('./jobs/dispatch')();
+require('./jobs/scheduling')();
+require('./jobs/messages')();
+require('./jobs/notifications')();
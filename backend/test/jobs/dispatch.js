@@ -0,0 +1,89 @@
+/**
+ * Dispatch offers – of the contractors offered a job, only one gets it
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const dispatch = require('../../services/dispatch');
+const fixtures = require('../support/fixtures');
+const { initEmailService } = require('../../email-service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function actorOf(contractor) {
+  return { role: 'contractor', id: contractor.id };
+}
+
+// A job out to `contractors` in its first wave
+async function offeredJob(contractors, { expiresAt = new Date(Date.now() + HOUR_MS) } = {}) {
+  const job = await fixtures.job({ fields: { dispatch_status: 'offering', dispatch_wave: 1 } });
+  const offers = [];
+  for (const [index, contractor] of contractors.entries()) {
+    offers.push(await repos.dispatchOffers.create({
+      job_id: job.id,
+      contractor_id: contractor.id,
+      wave: 1,
+      rank: index + 1,
+      score: 0.5,
+      status: 'offered',
+      expires_at: expiresAt
+    }));
+  }
+  return { job, offers };
+}
+
+module.exports = () => describe('dispatch offers', () => {
+  before(initEmailService);
+
+  it('gives the job to one of two contractors accepting at once and withdraws the other offer', async () => {
+    const contractors = [await fixtures.contractor(), await fixtures.contractor()];
+    const { job, offers } = await offeredJob(contractors);
+
+    const results = await Promise.allSettled(offers.map((offer, index) => (
+      dispatch.acceptOffer(offer.id, actorOf(contractors[index]))
+    )));
+    const won = results.findIndex(result => result.status === 'fulfilled');
+    assert.notEqual(won, -1);
+    const lost = results.filter(result => result.status === 'rejected');
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].reason.status, 409);
+
+    const saved = await repos.jobs.findById(job.id);
+    assert.equal(saved.status, 'assigned');
+    assert.equal(saved.dispatch_status, 'assigned');
+    assert.equal(String(saved.contractor_id), String(contractors[won].id));
+    const statuses = (await repos.dispatchOffers.list({ jobId: job.id }))
+      .map(offer => [String(offer.contractor_id), offer.status]);
+    assert.deepEqual(new Map(statuses), new Map([
+      [String(contractors[won].id), 'accepted'],
+      [String(contractors[1 - won].id), 'withdrawn']
+    ]));
+  });
+
+  it('refuses an offer once another contractor has the job', async () => {
+    const contractors = [await fixtures.contractor(), await fixtures.contractor()];
+    const { job, offers } = await offeredJob(contractors);
+    await dispatch.acceptOffer(offers[0].id, actorOf(contractors[0]));
+
+    await assert.rejects(
+      dispatch.acceptOffer(offers[1].id, actorOf(contractors[1])),
+      error => error instanceof dispatch.DispatchError && error.status === 409
+    );
+    assert.equal(String((await repos.jobs.findById(job.id)).contractor_id), String(contractors[0].id));
+  });
+
+  it('refuses an expired offer and a job still being offered to others', async () => {
+    const offered = await fixtures.contractor();
+    const outsider = await fixtures.contractor();
+    const { job, offers } = await offeredJob([offered], { expiresAt: new Date(Date.now() - 60 * 1000) });
+
+    await assert.rejects(dispatch.acceptOffer(offers[0].id, actorOf(offered)), { status: 409 });
+    assert.equal((await repos.dispatchOffers.findById(offers[0].id)).status, 'expired');
+
+    const live = await offeredJob([offered]);
+    await assert.rejects(dispatch.acceptJob(live.job.id, actorOf(outsider)), { status: 409 });
+    assert.equal((await repos.jobs.findById(job.id)).contractor_id ?? null, null);
+    assert.equal((await repos.jobs.findById(live.job.id)).contractor_id ?? null, null);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Job lifecycle – a transition only leaves the states it declares, and
+ * only one of two racing transitions is written
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const jobLifecycle = require('../../services/job-lifecycle');
+const fixtures = require('../support/fixtures');
+const { initEmailService } = require('../../email-service');
+
+const ADMIN = { role: 'admin', id: null };
+
+module.exports = () => describe('job lifecycle', () => {
+  before(initEmailService);
+
+  it('refuses a transition the job is not in a state for with 409', async () => {
+    const job = await fixtures.job({ status: 'ready_to_assign' });
+
+    await assert.rejects(
+      jobLifecycle.transition(job.id, 'complete', { actor: ADMIN }),
+      error => error instanceof jobLifecycle.JobTransitionError && error.status === 409
+    );
+    const unchanged = await repos.jobs.findById(job.id);
+    assert.equal(unchanged.status, 'ready_to_assign');
+    assert.equal(unchanged.completed_at ?? null, null);
+    assert.deepEqual(await repos.jobEvents.listForJob(job.id), []);
+  });
+
+  it('lets one of two contractors accepting the same job win', async () => {
+    const job = await fixtures.job({ status: 'ready_to_assign' });
+    const first = await fixtures.contractor();
+    const second = await fixtures.contractor();
+
+    // Both requests validated the job while it was still open
+    const results = await Promise.allSettled([first, second].map(contractor => (
+      jobLifecycle.transition(job.id, 'assign', {
+        actor: { role: 'contractor', id: contractor.id },
+        contractorId: contractor.id,
+        job: { ...job }
+      })
+    )));
+
+    const won = results.filter(result => result.status === 'fulfilled');
+    const lost = results.filter(result => result.status === 'rejected');
+    assert.equal(won.length, 1);
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].reason.status, 409);
+
+    const saved = await repos.jobs.findById(job.id);
+    assert.equal(saved.status, 'assigned');
+    assert.equal(String(saved.contractor_id), String(won[0].value.job.contractor_id));
+    const events = await repos.jobEvents.listForJob(job.id);
+    assert.equal(events.filter(event => event.event === 'assign').length, 1);
+  });
+});
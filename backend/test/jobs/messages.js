@@ -0,0 +1,75 @@
+/**
+ * Job messages – contact details stay hidden from contractors who do not
+ * hold the job, whenever the messages were written
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const messages = require('../../services/messages');
+const jobLifecycle = require('../../services/job-lifecycle');
+const fixtures = require('../support/fixtures');
+
+const SYSTEM = { role: 'system', id: 'test' };
+
+function actorOf(row, role) {
+  return { role, id: row.id };
+}
+
+async function offer(job, contractor) {
+  return repos.dispatchOffers.create({
+    job_id: job.id,
+    contractor_id: contractor.id,
+    wave: 1,
+    rank: 1,
+    score: 0.5,
+    status: 'offered',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000)
+  });
+}
+
+module.exports = () => describe('job messages', () => {
+  it('masks contact details written before assignment', async () => {
+    const job = await fixtures.job();
+    const prospect = await fixtures.contractor();
+    await offer(job, prospect);
+
+    const sent = await messages.send(job, actorOf(job.customer, 'customer'), { body: 'Call me on 416-555-0123' });
+    assert.equal(sent.body, 'Call me on [phone hidden]');
+    assert.equal(sent.masked, true);
+    const { messages: [read] } = await messages.thread(job, actorOf(prospect, 'contractor'));
+    assert.equal(read.body, 'Call me on [phone hidden]');
+  });
+
+  it('masks the assigned period for prospects once the job is released', async () => {
+    const first = await fixtures.contractor();
+    const job = await fixtures.job({ status: 'assigned', contractor: first });
+    const customer = actorOf(job.customer, 'customer');
+    await messages.send(job, customer, { body: 'Gate code 1234, call 416-555-0123 or jane@example.com' });
+    await messages.send(job, actorOf(first, 'contractor'), { body: 'My cell is 514 555 0199' });
+
+    const held = await messages.thread(job, actorOf(first, 'contractor'));
+    assert.deepEqual(held.messages.map(message => message.masked), [false, false]);
+
+    const { job: released } = await jobLifecycle.transition(job.id, 'release', { actor: SYSTEM });
+    assert.equal(released.contractor_id ?? null, null);
+    const prospect = await fixtures.contractor();
+    await offer(released, prospect);
+
+    const seen = await messages.thread(released, actorOf(prospect, 'contractor'));
+    assert.equal(seen.masking, true);
+    assert.deepEqual(seen.messages.map(message => message.body), [
+      'Gate code 1234, call [phone hidden] or [email hidden]',
+      'My cell is [phone hidden]'
+    ]);
+    assert.ok(seen.messages.every(message => message.masked));
+
+    // The customer still reads their own thread as written; the old contractor is out
+    const own = await messages.thread(released, customer);
+    assert.equal(own.messages[0].body, 'Gate code 1234, call 416-555-0123 or jane@example.com');
+    await assert.rejects(messages.thread(released, actorOf(first, 'contractor')), { name: 'MessageError', status: 403 });
+    // Nothing stored was changed
+    const stored = await repos.jobMessages.list({ jobId: job.id });
+    assert.equal(stored[1].body, 'My cell is 514 555 0199');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Notifications – each event goes out on the recipient's channels, SMS and
+ * push wait out quiet hours, and failed sends are retried then given up
+ */
+
+const crypto = require('crypto');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const notifications = require('../../services/notifications');
+const channels = require('../../services/notifications/channels');
+const jobLifecycle = require('../../services/job-lifecycle');
+const fixtures = require('../support/fixtures');
+const { initEmailService } = require('../../email-service');
+
+function actorOf(row, role) {
+  return { role, id: row.id };
+}
+
+// A user's deliveries by channel, as [status, last_error]
+async function byChannel(role, user, eventType) {
+  const rows = await repos.notificationDeliveries.list({ userRole: role, userId: user.id, eventType });
+  return Object.fromEntries(rows.map(row => [row.channel, [row.status, row.last_error ?? null]]));
+}
+
+module.exports = () => describe('notifications', () => {
+  before(initEmailService);
+
+  it('tells the customer and the contractor about an assignment on their channels', async () => {
+    const job = await fixtures.job();
+    const contractor = await fixtures.contractor();
+    await notifications.preferences.update(actorOf(contractor, 'contractor'), {
+      channels: { job_assigned: ['email', 'sms'] }
+    });
+
+    await jobLifecycle.transition(job.id, 'assign', { actor: { role: 'admin', id: null }, contractorId: contractor.id });
+
+    assert.deepEqual(await byChannel('customer', job.customer, 'job_assigned'), {
+      email: ['sent', null],
+      push: ['skipped', 'No device registered for push']
+    });
+    assert.deepEqual(await byChannel('contractor', contractor, 'job_assigned'), {
+      email: ['sent', null],
+      sms: ['skipped', 'No mobile number']
+    });
+  });
+
+  it('holds SMS and push during quiet hours, or drops them when they would be stale', async () => {
+    const customer = await fixtures.customer();
+    const actor = actorOf(customer, 'customer');
+    await notifications.preferences.update(actor, {
+      time_zone: 'America/Toronto',
+      quiet_hours: { start: '21:00', end: '08:00' }
+    });
+    await notifications.preferences.addPushSubscription(actor, {
+      endpoint: `https://push.example.com/${crypto.randomBytes(4).toString('hex')}`,
+      keys: { p256dh: 'key', auth: 'secret' }
+    });
+    // 22:00 in Toronto
+    const at = new Date('2027-01-15T03:00:00Z');
+
+    await notifications.notify('contractor_en_route', actor, { job_ref: 'ABC12345' }, { at });
+    assert.deepEqual(await byChannel('customer', customer, 'contractor_en_route'), {
+      email: ['sent', null],
+      sms: ['skipped', 'Quiet hours'],
+      push: ['skipped', 'Quiet hours']
+    });
+
+    const [email] = await notifications.notify('job_assigned', actor, { job_ref: 'ABC12345' }, { at });
+    assert.equal(email.status, 'sent');
+    const [held] = await repos.notificationDeliveries.list({ userId: customer.id, eventType: 'job_assigned', channel: 'push' });
+    assert.equal(held.status, 'pending');
+    assert.equal(new Date(held.next_attempt_at).toISOString(), '2027-01-15T13:00:00.000Z');
+
+    await notifications.deliverDue(new Date('2027-01-15T12:59:00Z'));
+    assert.equal((await repos.notificationDeliveries.findById(held.id)).status, 'pending');
+    await notifications.deliverDue(new Date('2027-01-15T13:00:00Z'));
+    assert.equal((await repos.notificationDeliveries.findById(held.id)).status, 'sent');
+  });
+
+  it('retries a failed send with a growing delay, then gives up', async (t) => {
+    const customer = await fixtures.customer();
+    t.mock.method(channels.email, 'send', async () => {
+      throw new Error('SMTP unavailable');
+    });
+    const at = new Date();
+
+    const [delivery] = await notifications.notify('payment_received', actorOf(customer, 'customer'),
+      { job_ref: 'ABC12345', amount: 450, currency: 'CAD' }, { at });
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.last_error, 'SMTP unavailable');
+    assert.equal(new Date(delivery.next_attempt_at) - at, 60 * 1000);
+
+    let current = delivery;
+    const delays = [];
+    while (current.status === 'pending') {
+      const due = new Date(current.next_attempt_at);
+      await notifications.deliverDue(new Date(due.getTime() - 1000));
+      assert.equal(Number((await repos.notificationDeliveries.findById(current.id)).attempts), Number(current.attempts));
+      await notifications.deliverDue(due);
+      const next = await repos.notificationDeliveries.findById(current.id);
+      if (next.next_attempt_at) delays.push(new Date(next.next_attempt_at) - due);
+      current = next;
+    }
+    assert.deepEqual(delays, [120, 240, 480].map(seconds => seconds * 1000));
+    assert.equal(current.status, 'failed');
+    assert.equal(Number(current.attempts), 5);
+    assert.equal(channels.email.send.mock.callCount(), 5);
+  });
+});
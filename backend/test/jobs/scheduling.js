@@ -0,0 +1,112 @@
+/**
+ * Appointments – slots follow the contractor's hours, days off and other
+ * bookings, and customers move them within the cutoff and the move limit
+ *
+ * Times are in Toronto in March 2027 (UTC−5): the default weekday hours,
+ * 08:00–17:00, hold the two-hour slots starting 13:00, 15:00, 17:00 and
+ * 19:00 UTC.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const scheduling = require('../../services/scheduling');
+const fixtures = require('../support/fixtures');
+const { initEmailService } = require('../../email-service');
+
+// Friday 26 February 2027, 07:00 in Toronto
+const NOW = new Date('2027-02-26T12:00:00Z');
+const SLOT_MS = 2 * 60 * 60 * 1000;
+const ADMIN = { role: 'admin', id: null };
+
+function customerActor(job) {
+  return { role: 'customer', id: job.customer_id };
+}
+
+function appointment(start) {
+  return {
+    appointment_start: new Date(start),
+    appointment_end: new Date(new Date(start).getTime() + SLOT_MS),
+    appointment_time_zone: 'America/Toronto'
+  };
+}
+
+// A job assigned to `contractor`, booked at `start` when one is given
+async function assignedJob(contractor, start) {
+  return fixtures.job({ status: 'assigned', contractor, fields: start ? appointment(start) : {} });
+}
+
+function startsOn(result, day) {
+  return result.slots
+    .map(slot => slot.start.toISOString())
+    .filter(start => start.startsWith(day));
+}
+
+module.exports = () => describe('appointments', () => {
+  before(initEmailService);
+
+  it('offers the slots inside the contractor\'s hours that no booking or day off covers', async () => {
+    const contractor = await fixtures.contractor();
+    const job = await assignedJob(contractor);
+    await assignedJob(contractor, '2027-03-01T15:00:00Z');
+    await scheduling.addBlackout(contractor, { starts_on: '2027-03-02' }, { role: 'contractor', id: contractor.id });
+
+    const open = await scheduling.slots(job, { contractors: [contractor], ignoreJobId: job.id, at: NOW });
+    assert.equal(open.time_zone, 'America/Toronto');
+    assert.deepEqual(startsOn(open, '2027-03-01'), [
+      '2027-03-01T13:00:00.000Z',
+      '2027-03-01T17:00:00.000Z',
+      '2027-03-01T19:00:00.000Z'
+    ]);
+    assert.deepEqual(startsOn(open, '2027-03-02'), []);
+    assert.deepEqual(startsOn(open, '2027-02-27'), [], 'no weekend hours');
+    assert.equal(startsOn(open, '2027-03-03').length, 4);
+  });
+
+  it('moves an appointment only to a free slot, and a limited number of times', async () => {
+    const contractor = await fixtures.contractor();
+    await assignedJob(contractor, '2027-03-01T15:00:00Z');
+    const job = await assignedJob(contractor);
+    const reload = () => repos.jobs.findById(job.id);
+
+    await scheduling.reschedule(await reload(), '2027-03-01T13:00:00Z', customerActor(job), NOW);
+    await assert.rejects(
+      scheduling.reschedule(await reload(), '2027-03-01T15:00:00Z', customerActor(job), NOW),
+      { status: 409 }
+    );
+    await scheduling.reschedule(await reload(), '2027-03-01T17:00:00Z', customerActor(job), NOW);
+    await scheduling.reschedule(await reload(), '2027-03-01T19:00:00Z', customerActor(job), NOW);
+    await assert.rejects(
+      scheduling.reschedule(await reload(), '2027-03-03T13:00:00Z', customerActor(job), NOW),
+      { status: 409, message: /can be moved 2 times/ }
+    );
+    await scheduling.reschedule(await reload(), '2027-03-03T13:00:00Z', ADMIN, NOW);
+
+    const saved = await reload();
+    assert.equal(new Date(saved.appointment_start).toISOString(), '2027-03-03T13:00:00.000Z');
+    assert.equal(Number(saved.appointment_reschedules), 2);
+  });
+
+  it('refuses a customer change within the cutoff', async () => {
+    const contractor = await fixtures.contractor();
+    const job = await assignedJob(contractor, '2027-03-01T13:00:00Z');
+    const dayBefore = new Date('2027-03-01T00:00:00Z');
+
+    await assert.rejects(
+      scheduling.reschedule(job, '2027-03-01T17:00:00Z', customerActor(job), dayBefore),
+      { status: 409, message: /more than 24 hours before/ }
+    );
+    await assert.rejects(scheduling.cancelAppointment(job, customerActor(job), dayBefore), { status: 409 });
+    assert.equal(new Date((await repos.jobs.findById(job.id)).appointment_start).toISOString(), '2027-03-01T13:00:00.000Z');
+  });
+
+  it('does not give a contractor a job booked over another of theirs', async () => {
+    const contractor = await fixtures.contractor();
+    await assignedJob(contractor, '2027-03-01T15:00:00Z');
+    const clashing = await fixtures.job({ fields: appointment('2027-03-01T16:00:00Z') });
+    const later = await fixtures.job({ fields: appointment('2027-03-01T17:00:00Z') });
+
+    await assert.rejects(scheduling.assertNoConflict(clashing, contractor.id), { status: 409, message: /clashes with job/ });
+    await scheduling.assertNoConflict(later, contractor.id);
+  });
+});
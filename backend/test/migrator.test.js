@@ -0,0 +1,107 @@
+/**
+ * Migrations – every one applies, rolls back and applies again on a clean database
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./support/env');
+const { createPool } = require('./support/pglite');
+const migrator = require('../db/migrator');
+
+const quiet = { log: () => {} };
+
+// Tables, views, sequences, types and functions the migrations created
+async function schemaObjects(pool) {
+  const { rows } = await pool.query(`
+    SELECT 'relation ' || c.relname AS name FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = 'public' AND c.relkind IN ('r', 'v', 'm', 'S', 'i')
+        AND c.relname NOT LIKE 'schema_migrations%'
+    UNION ALL
+    SELECT 'type ' || t.typname FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname = 'public' AND t.typtype IN ('e', 'd')
+    UNION ALL
+    SELECT 'function ' || p.proname FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE n.nspname = 'public'
+    ORDER BY 1
+  `);
+  return rows.map(row => row.name);
+}
+
+describe('migrator', () => {
+  const migrations = migrator.loadMigrations();
+  let pool;
+
+  before(() => {
+    ({ pool } = createPool());
+  });
+  after(() => pool.end());
+
+  it('has a rollback script for every migration', () => {
+    assert.ok(migrations.length > 0);
+    assert.deepEqual(migrations.filter(m => !m.downSql).map(m => m.file), []);
+  });
+
+  it('migrates up, all the way down and up again', async () => {
+    const up = await migrator.migrate(pool, quiet);
+    assert.equal(up.applied.length, migrations.length);
+    const schema = await schemaObjects(pool);
+    assert.ok(schema.includes('relation jobs'));
+
+    const state = await migrator.status(pool);
+    assert.equal(state.pending.length, 0);
+    assert.equal(state.applied.length, migrations.length);
+
+    const down = await migrator.rollback(pool, { ...quiet, steps: migrations.length });
+    assert.deepEqual(
+      down.rolledBack.map(m => m.version),
+      migrations.map(m => m.version).reverse()
+    );
+    assert.deepEqual(await schemaObjects(pool), [], 'the down scripts leave objects behind');
+    assert.equal((await migrator.status(pool)).pending.length, migrations.length);
+
+    const again = await migrator.migrate(pool, quiet);
+    assert.equal(again.applied.length, migrations.length);
+    assert.deepEqual(await schemaObjects(pool), schema);
+  });
+
+  it('applies nothing twice', async () => {
+    const { applied } = await migrator.migrate(pool, quiet);
+    assert.deepEqual(applied, []);
+  });
+
+  it('lists pending migrations on a dry run without creating the ledger', async () => {
+    const { pool: empty } = createPool();
+    try {
+      const { pending, dryRun } = await migrator.migrate(empty, { ...quiet, dryRun: true });
+      assert.equal(dryRun, true);
+      assert.equal(pending.length, migrations.length);
+      const { rows } = await empty.query("SELECT to_regclass('schema_migrations') AS ledger");
+      assert.equal(rows[0].ledger, null);
+    } finally {
+      await empty.end();
+    }
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firstclick-migrations-'));
+    const { pool: scratch } = createPool();
+    try {
+      fs.writeFileSync(path.join(dir, '001-widgets.sql'), 'CREATE TABLE widgets (id SERIAL PRIMARY KEY);\n');
+      fs.writeFileSync(path.join(dir, '001-widgets.down.sql'), 'DROP TABLE widgets;\n');
+      await migrator.migrate(scratch, { ...quiet, dir });
+
+      fs.writeFileSync(path.join(dir, '001-widgets.sql'), 'CREATE TABLE widgets (id SERIAL PRIMARY KEY, name TEXT);\n');
+      await assert.rejects(migrator.migrate(scratch, { ...quiet, dir }), /changed since they ran: 001-widgets\.sql/);
+      await assert.rejects(migrator.rollback(scratch, { ...quiet, dir }), /changed since they ran/);
+    } finally {
+      await scratch.end();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
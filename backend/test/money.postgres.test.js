@@ -0,0 +1,23 @@
+/**
+ * Money paths on Postgres (PGlite), every migration applied
+ */
+
+const { before } = require('node:test');
+const assert = require('node:assert/strict');
+const pglite = require('./support/pglite');
+
+pglite.install();
+before(async () => {
+  assert.equal(require('../repositories').implementation, 'postgres');
+  await pglite.migrate();
+});
+
+require('./money/payments')();
+require('./money/refunds')();
+require('./money/ledger')();
+require('./money/payouts')();
+require('./money/payout-schedule')();
+require('./money/change-orders')();
+require('./money/quotes')();
+require('./money/tax')();
+require('./money/promotions')();
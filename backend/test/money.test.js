@@ -0,0 +1,15 @@
+/**
+ * Money paths on the memory store (money.postgres.test.js runs the same cases on Postgres)
+ */
+
+require('./support/env');
+
+require('./money/payments')();
+require('./money/refunds')();
+require('./money/ledger')();
+require('./money/payouts')();
+require('./money/payout-schedule')();
+require('./money/change-orders')();
+require('./money/quotes')();
+require('./money/tax')();
+require('./money/promotions')();
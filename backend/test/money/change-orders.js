@@ -0,0 +1,138 @@
+/**
+ * Change orders – photos stored and served behind the job's checks, and
+ * approvals that add to the job's price exactly once
+ */
+
+const fs = require('fs');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const changeOrders = require('../../services/change-orders');
+const { initEmailService } = require('../../email-service');
+const { mail } = require('../support/env');
+const fixtures = require('../support/fixtures');
+
+// A 1×1 transparent PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+async function jobInProgress(finalPrice = 300) {
+  return fixtures.completedJob({ finalPrice, fields: { status: 'in_progress', completed_at: null } });
+}
+
+function contractorOf(job) {
+  return { role: 'contractor', id: job.contractor_id };
+}
+
+function customerOf(job) {
+  return { role: 'customer', id: job.customer_id };
+}
+
+function lastMailTo(email) {
+  return mail.filter(message => message.to === email).pop();
+}
+
+module.exports = () => describe('change orders', () => {
+  before(initEmailService);
+
+  it('stores photos as files and lists them by URL, never as sent', async () => {
+    const job = await jobInProgress();
+    const order = await changeOrders.request(job, {
+      description: 'Replace the shut-off valve',
+      amount: '80.00',
+      photos: [{ filename: 'valve <1>.png', dataUrl: PNG }]
+    }, contractorOf(job));
+
+    const [photo] = order.photos;
+    assert.deepEqual(Object.keys(photo).sort(), ['filename', 'id', 'mime', 'size', 'url']);
+    assert.equal(photo.filename, 'valve__1_.png');
+    assert.equal(photo.mime, 'image/png');
+    assert.equal(photo.url, `/api/jobs/${job.id}/change-orders/${order.id}/attachments/${photo.id}`);
+
+    const file = await changeOrders.attachment(job, order.id, photo.id);
+    assert.equal(file.mime, 'image/png');
+    assert.equal(fs.readFileSync(file.path).length, photo.size);
+    const { change_orders: [listed] } = await changeOrders.summary(job.id);
+    assert.deepEqual(listed.photos, order.photos);
+
+    await assert.rejects(changeOrders.attachment(job, order.id, 'no-such-photo'), { status: 404 });
+    const other = await jobInProgress();
+    await assert.rejects(changeOrders.attachment(other, order.id, photo.id), { status: 404 });
+    fs.rmSync(file.path);
+  });
+
+  it('refuses photos that are not images', async () => {
+    const job = await jobInProgress();
+    for (const photos of [
+      ['javascript:alert(document.cookie)'],
+      [{ filename: 'x.png', dataUrl: 'javascript:alert(1)' }],
+      [{ filename: 'page.html', dataUrl: 'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==' }],
+      [{ filename: 'big.png', dataUrl: `data:image/png;base64,${Buffer.alloc(1024 * 1024 + 1).toString('base64')}` }]
+    ]) {
+      await assert.rejects(
+        changeOrders.request(job, { description: 'More work', amount: '10.00', photos }, contractorOf(job)),
+        { name: 'ChangeOrderError', status: 400, message: /JPEG, PNG, WebP or GIF/ }
+      );
+    }
+    assert.deepEqual(await repos.changeOrders.list({ jobId: job.id }), []);
+  });
+
+  it('escapes what either side wrote in the emails', async () => {
+    const job = await jobInProgress();
+    const order = await changeOrders.request(job, {
+      description: '<a href="https://evil.test">Pay here</a>',
+      reason: '<b>urgent</b>',
+      amount: '25.00'
+    }, contractorOf(job));
+    const request = lastMailTo(job.customer.email);
+    assert.ok(request, 'the customer is emailed');
+    assert.doesNotMatch(request.html, /<a href|<b>/);
+    assert.match(request.html, /&lt;a href=&quot;https:\/\/evil\.test&quot;&gt;Pay here&lt;\/a&gt;/);
+
+    await changeOrders.reject(job, order.id, customerOf(job), '<img src=x onerror=alert(1)>');
+    const decision = lastMailTo(job.contractor.email);
+    assert.ok(decision, 'the contractor is emailed');
+    assert.doesNotMatch(decision.html, /<img/);
+    assert.match(decision.html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  });
+
+  it('keeps both changes when two are approved at once', async () => {
+    const job = await jobInProgress(300);
+    const valve = await changeOrders.request(job, { description: 'New valve', amount: '80.00' }, contractorOf(job));
+    const trap = await changeOrders.request(job, { description: 'New trap', amount: '50.00' }, contractorOf(job));
+
+    // Both requests loaded the job at 300.00
+    const results = await Promise.allSettled([
+      changeOrders.approve(job, valve.id, customerOf(job)),
+      changeOrders.approve(job, trap.id, customerOf(job))
+    ]);
+    const won = results.filter(result => result.status === 'fulfilled');
+    const lost = results.filter(result => result.status === 'rejected');
+    assert.equal(won.length, 1);
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].reason.status, 409);
+
+    const winner = won[0].value.changeOrder;
+    const loser = winner.id === valve.id ? trap : valve;
+    assert.equal(Number((await repos.jobs.findById(job.id)).final_price), 300 + Number(winner.amount));
+    const pending = await repos.changeOrders.findById(loser.id);
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.price_after ?? null, null);
+
+    // Decided again on the job as it is now, both changes count
+    await changeOrders.approve(await repos.jobs.findById(job.id), loser.id, customerOf(job));
+    assert.equal(Number((await repos.jobs.findById(job.id)).final_price), 430);
+    const { approved_total: approvedTotal, pending_total: pendingTotal } = await changeOrders.summary(job.id);
+    assert.equal(approvedTotal, 130);
+    assert.equal(pendingTotal, 0);
+  });
+
+  it('does not change the price of a job completed meanwhile', async () => {
+    const job = await jobInProgress(300);
+    const order = await changeOrders.request(job, { description: 'Extra tap', amount: '60.00' }, contractorOf(job));
+    await repos.jobs.update(job.id, { status: 'completed', completed_at: new Date() });
+
+    await assert.rejects(changeOrders.approve(job, order.id, customerOf(job)), { name: 'ChangeOrderError', status: 409 });
+    assert.equal(Number((await repos.jobs.findById(job.id)).final_price), 300);
+    assert.equal((await repos.changeOrders.findById(order.id)).status, 'pending');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Ledger balances – what a paid, refunded job leaves on the books
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const payments = require('../../services/payments');
+const ledger = require('../../services/ledger');
+const fixtures = require('../support/fixtures');
+const webhooks = require('../support/webhooks');
+
+const ADMIN = { role: 'admin', id: 'admin-test' };
+
+// { account: balance in dollars } for one job's lines
+async function jobBalances(jobId) {
+  const rows = await ledger.balances({ jobId });
+  return Object.fromEntries(rows.map(row => [row.account, row.balance]));
+}
+
+async function assertJobBalanced(jobId) {
+  const [row] = await repos.ledger.sumLines({ jobId }, []);
+  assert.equal(row.debit, row.credit, 'debits equal credits');
+}
+
+module.exports = () => describe('ledger', () => {
+  it('books a paid job: receivable settled, fee and platform share split out', async () => {
+    const { job } = await fixtures.paidJob({ finalPrice: 450, materials: 125 });
+    // Bronze, $450 with $125 materials: payout 246.65, platform fee 65.00, processing fee 13.35
+    assert.deepEqual(await jobBalances(job.id), {
+      customer_receivables: 0,
+      processor_clearing: 436.65,
+      processing_fees: 13.35,
+      platform_revenue: 78.35,
+      contractor_payable: 246.65,
+      materials_reimbursement: 125,
+      sales_tax_payable: 0,
+      customer_discounts: 0,
+      customer_credit: 0
+    });
+    await assertJobBalanced(job.id);
+
+    const owed = await ledger.contractorBalances();
+    const contractor = owed.find(row => String(row.contractor_id) === String(job.contractor_id));
+    assert.deepEqual(contractor, { contractor_id: contractor.contractor_id, payable: 246.65, materials: 125, total: 371.65 });
+  });
+
+  it('re-accrues a refunded job and returns the money from the processor', async () => {
+    const { job, payment } = await fixtures.paidJob({ finalPrice: 450, materials: 125 });
+    await payments.requestRefund({ paymentId: payment.id, amount: '100.00', reasonCode: 'goodwill', actor: ADMIN });
+    await webhooks.flush();
+
+    // $100 off the net: payout 166.65, platform fee 45.00; materials still owed in full
+    const balances = await jobBalances(job.id);
+    assert.equal(balances.customer_receivables, 0);
+    assert.equal(balances.processor_clearing, 336.65);
+    assert.equal(balances.processing_fees, 13.35);
+    assert.equal(balances.platform_revenue, 58.35);
+    assert.equal(balances.contractor_payable, 166.65);
+    assert.equal(balances.materials_reimbursement, 125);
+    await assertJobBalanced(job.id);
+
+    const entries = await repos.ledger.listEntries({ jobId: job.id });
+    assert.deepEqual(
+      entries.map(entry => entry.entry_type).sort(),
+      ['job_accrual', 'job_accrual', 'payment_captured', 'refund']
+    );
+  });
+
+  it('posts nothing twice', async () => {
+    const { job, payment } = await fixtures.paidJob({ finalPrice: 200 });
+    const before = await jobBalances(job.id);
+    assert.equal(await ledger.accrueJob(await repos.jobs.findById(job.id)), null);
+    const again = await ledger.recordPaymentCaptured(await repos.payments.findById(payment.id));
+    assert.equal(again.duplicate, true);
+    assert.deepEqual(await jobBalances(job.id), before);
+  });
+
+  it('refuses entries that do not balance or split a cent', async () => {
+    await assert.rejects(
+      ledger.postEntry({ type: 'job_accrual', key: 'test:unbalanced' }, [
+        { account: 'processor_clearing', cents: 100 },
+        { account: 'platform_revenue', cents: -99 }
+      ]),
+      { name: 'LedgerError', message: /out of balance by 1 cents/ }
+    );
+    await assert.rejects(
+      ledger.postEntry({ type: 'job_accrual', key: 'test:fraction' }, [
+        { account: 'processor_clearing', cents: 0.5 },
+        { account: 'platform_revenue', cents: -0.5 }
+      ]),
+      { name: 'LedgerError', message: /whole cents/ }
+    );
+    const entries = await repos.ledger.listEntries({ limit: 1000 });
+    assert.equal(entries.filter(entry => entry.idempotency_key.startsWith('test:')).length, 0);
+  });
+
+  it('keeps the books append-only in Postgres', { skip: repos.implementation !== 'postgres' }, async () => {
+    const { query } = require('../../db/pool');
+    const { job } = await fixtures.paidJob({ finalPrice: 60 });
+    await assert.rejects(query('UPDATE ledger_lines SET debit = debit + 1 WHERE job_id = $1', [job.id]), /append-only/);
+    await assert.rejects(query('DELETE FROM ledger_entries WHERE job_id = $1', [job.id]), /append-only/);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Payment webhooks – the payment row and the job follow the provider's events
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const payments = require('../../services/payments');
+const fixtures = require('../support/fixtures');
+const webhooks = require('../support/webhooks');
+
+const CUSTOMER_ACTOR = job => ({ role: 'customer', id: job.customer_id });
+
+async function paymentFor(job) {
+  const rows = await repos.payments.list({ jobId: job.id });
+  assert.equal(rows.length, 1, 'one payment row per intent');
+  return rows[0];
+}
+
+module.exports = () => describe('payment webhooks', () => {
+  it('records a captured card payment and marks the job paid', async () => {
+    const job = await fixtures.completedJob({ finalPrice: 450 });
+    const intent = await payments.startCheckout(job, CUSTOMER_ACTOR(job));
+    assert.equal(intent.amount, 45000);
+    await payments.confirmCheckout(await repos.jobs.findById(job.id), 'pm_card_visa');
+    const events = await webhooks.flush();
+    assert.deepEqual(events.map(event => event.type), ['payment_intent.created', 'payment_intent.succeeded']);
+
+    const payment = await paymentFor(job);
+    assert.equal(payment.status, 'completed');
+    assert.equal(Number(payment.amount), 450);
+    assert.equal(payment.currency, 'CAD');
+    assert.equal(payment.payment_method, 'visa •••• 4242');
+    assert.ok(payment.paid_at);
+    assert.equal((await repos.jobs.findById(job.id)).payment_status, 'paid');
+  });
+
+  it('labels the payment with the card that paid, not the first card tried', async () => {
+    const job = await fixtures.completedJob({ finalPrice: 120 });
+    await payments.startCheckout(job, CUSTOMER_ACTOR(job));
+    const current = await repos.jobs.findById(job.id);
+    await assert.rejects(payments.confirmCheckout(current, 'pm_card_chargeDeclined'), { status: 402 });
+    await payments.confirmCheckout(current, 'pm_card_mastercard');
+    await webhooks.flush();
+
+    const payment = await paymentFor(job);
+    assert.equal(payment.status, 'completed');
+    assert.equal(payment.payment_method, 'mastercard •••• 4444');
+  });
+
+  it('records a declined card with its label and message', async () => {
+    const job = await fixtures.completedJob({ finalPrice: 80 });
+    await payments.startCheckout(job, CUSTOMER_ACTOR(job));
+    await assert.rejects(
+      payments.confirmCheckout(await repos.jobs.findById(job.id), 'pm_card_chargeDeclinedInsufficientFunds'),
+      { status: 402, code: 'card_declined' }
+    );
+    await webhooks.flush();
+
+    const payment = await paymentFor(job);
+    assert.equal(payment.status, 'failed');
+    assert.equal(payment.payment_method, 'visa •••• 9995');
+    assert.equal(payment.notes, 'Your card has insufficient funds.');
+    assert.equal((await repos.jobs.findById(job.id)).payment_status, 'failed');
+  });
+
+  it('applies a replayed event once', async () => {
+    const job = await fixtures.completedJob({ finalPrice: 200 });
+    await payments.startCheckout(job, CUSTOMER_ACTOR(job));
+    await payments.confirmCheckout(await repos.jobs.findById(job.id), 'pm_card_visa');
+    const events = await webhooks.flush();
+    const succeeded = events.find(event => event.type === 'payment_intent.succeeded');
+
+    const again = await webhooks.redeliver(succeeded);
+    assert.equal(again.duplicate, true);
+    const payment = await paymentFor(job);
+    assert.equal(payment.status, 'completed');
+  });
+
+  it('does not move a payment back when events arrive out of order', async () => {
+    const job = await fixtures.completedJob({ finalPrice: 300 });
+    await payments.startCheckout(job, CUSTOMER_ACTOR(job));
+    await payments.confirmCheckout(await repos.jobs.findById(job.id), 'pm_card_visa');
+    const [created, succeeded] = await webhooks.drain();
+    assert.equal(succeeded.type, 'payment_intent.succeeded');
+
+    await webhooks.redeliver(created);
+    await webhooks.redeliver(succeeded);
+    const late = {
+      ...succeeded,
+      id: `${succeeded.id}_late`,
+      type: 'payment_intent.processing',
+      data: { object: { ...succeeded.data.object, status: 'processing' } }
+    };
+    await webhooks.redeliver(late);
+
+    const payment = await paymentFor(job);
+    assert.equal(payment.status, 'completed');
+    assert.equal((await repos.jobs.findById(job.id)).payment_status, 'paid');
+  });
+
+  it('rejects an event with a bad signature', async () => {
+    const body = JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded', data: { object: {} } });
+    await assert.rejects(payments.handleWebhook(Buffer.from(body), 't=1,v1=00'), { name: 'PaymentError' });
+  });
+});
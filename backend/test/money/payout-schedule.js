@@ -0,0 +1,102 @@
+/**
+ * Payout scheduler – batches drafted on each contractor's due date, in their
+ * time zone, moved back off weekends and bank holidays
+ *
+ * The runs use dates in 2027 so they fall after anything run before them.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const scheduler = require('../../services/payouts/scheduler');
+const schedule = require('../../services/payouts/schedule');
+const fixtures = require('../support/fixtures');
+
+// The batch of a run that pays a contractor, if any
+function batchFor(result, contractorId) {
+  return result.batches.find(batch =>
+    batch.lines.some(line => String(line.contractor_id) === String(contractorId)));
+}
+
+async function readyJob(contractorFields = {}) {
+  const contractor = await fixtures.contractor(contractorFields);
+  const { job } = await fixtures.paidJob({ finalPrice: 450, contractor });
+  return { contractor, job };
+}
+
+module.exports = () => describe('payout scheduler', () => {
+  after(() => scheduler.updateSettings({ minimum_amount: 0, extra_holidays: [] }));
+
+  it('drafts a weekly payout on Friday, once', async () => {
+    const { contractor, job } = await readyJob({ payment_schedule: 'weekly' });
+    // Noon on Friday 15 January 2027 in Toronto
+    const at = new Date('2027-01-15T17:00:00Z');
+
+    const first = await scheduler.runDue({ at });
+    const batch = batchFor(first, contractor.id);
+    assert.ok(batch, 'a batch pays the contractor');
+    assert.equal(batch.status, 'draft');
+    assert.equal(schedule.toDateString(batch.scheduled_for), '2027-01-15');
+    assert.equal(batch.prepared_by.role, 'system');
+    assert.equal((await repos.jobs.findById(job.id)).payout_status, 'processing');
+    assert.equal(schedule.toDateString((await repos.contractors.findById(contractor.id)).payout_last_run_on), '2027-01-15');
+
+    const again = await scheduler.runDue({ at: new Date('2027-01-15T22:00:00Z') });
+    assert.equal(batchFor(again, contractor.id), undefined);
+  });
+
+  it('pays early when the due date is a bank holiday', async () => {
+    const { contractor } = await readyJob({ payment_schedule: 'weekly' });
+    // Good Friday, 26 March 2027: paid on the Thursday
+    const result = await scheduler.runDue({ at: new Date('2027-03-26T16:00:00Z') });
+    assert.equal(schedule.toDateString(batchFor(result, contractor.id).scheduled_for), '2027-03-25');
+  });
+
+  it('runs each contractor on the date in their own time zone', async () => {
+    const toronto = await readyJob({ payment_schedule: 'weekly' });
+    const auckland = await readyJob({ payment_schedule: 'weekly', payout_timezone: 'Pacific/Auckland' });
+    // Thursday 1 April 2027, 08:00 in Toronto and already Friday 01:00 in Auckland
+    const result = await scheduler.runDue({ at: new Date('2027-04-01T12:00:00Z') });
+    assert.equal(schedule.toDateString(batchFor(result, auckland.contractor.id).scheduled_for), '2027-04-02');
+    assert.equal(schedule.toDateString(batchFor(result, toronto.contractor.id).scheduled_for), '2027-03-25');
+  });
+
+  it('holds back contractors on hold and payouts under the minimum', async () => {
+    const held = await readyJob({ payment_schedule: 'monthly', payout_held_at: new Date(), payout_hold_reason: 'Audit' });
+    const small = await readyJob({ payment_schedule: 'monthly' });
+    await scheduler.updateSettings({ minimum_amount: 1000 });
+
+    // Wednesday 30 June 2027, the last day of the month
+    const result = await scheduler.runDue({ at: new Date('2027-06-30T16:00:00Z') });
+    assert.equal(batchFor(result, held.contractor.id), undefined);
+    assert.equal(batchFor(result, small.contractor.id), undefined);
+    const skipped = result.skipped.find(entry => String(entry.contractor_id) === String(small.contractor.id));
+    assert.equal(skipped.scheduled_for, '2027-06-30');
+    assert.match(skipped.message, /minimum of 1000\.00/);
+    assert.equal(result.skipped.some(entry => String(entry.contractor_id) === String(held.contractor.id)), false);
+
+    // Both jobs stay ready; the small payout rolls into the next due date
+    assert.equal((await repos.jobs.findById(held.job.id)).payout_status, 'ready');
+    assert.equal((await repos.jobs.findById(small.job.id)).payout_status, 'ready');
+    assert.equal(schedule.toDateString((await repos.contractors.findById(small.contractor.id)).payout_last_run_on), '2027-06-30');
+    assert.equal((await repos.contractors.findById(held.contractor.id)).payout_last_run_on ?? null, null);
+    await scheduler.updateSettings({ minimum_amount: 0 });
+  });
+
+  it('lists upcoming payouts with what each contractor is due next', async () => {
+    const { contractor } = await readyJob({ payment_schedule: 'weekly' });
+    const { days, holidays } = await scheduler.calendar();
+
+    const entries = days.flatMap(day => day.contractors.map(entry => ({ ...entry, date: day.date })))
+      .filter(entry => String(entry.contractor_id) === String(contractor.id));
+    const [next, ...later] = entries;
+    assert.equal(next.date, scheduler.nextDueDateFor(contractor));
+    assert.equal(next.ready_jobs, 1);
+    // Bronze, $450: 346.65
+    assert.equal(next.estimated_amount, 346.65);
+    assert.ok(later.every(entry => entry.ready_jobs === 0 && entry.estimated_amount === 0));
+    assert.ok(holidays.every(holiday => !days.some(day => day.date === holiday.date)));
+
+    await assert.rejects(scheduler.calendar({ from: '2027-01-01', to: '2026-01-01' }), { name: 'PayoutError', status: 400 });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Payout batches – drafted from ready jobs, approved by a second admin, paid
+ * through the stub provider and reconciled against the ledger
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const payments = require('../../services/payments');
+const payouts = require('../../services/payouts');
+const ledger = require('../../services/ledger');
+const fixtures = require('../support/fixtures');
+const webhooks = require('../support/webhooks');
+
+const PREPARER = { role: 'admin', id: 'admin-preparer' };
+const APPROVER = { role: 'admin', id: 'admin-approver' };
+
+async function approvedBatch(contractorIds) {
+  const draft = await payouts.draftBatch({ contractorIds, actor: PREPARER });
+  return payouts.approveBatch(draft.id, APPROVER);
+}
+
+async function payoutStatuses(jobIds) {
+  return Promise.all(jobIds.map(async jobId => (await repos.jobs.findById(jobId)).payout_status));
+}
+
+module.exports = () => describe('payout batches', () => {
+  it('pays a contractor their labour and materials, and reconciles', async () => {
+    const { job } = await fixtures.paidJob({ finalPrice: 450, materials: 125 });
+    const contractorId = job.contractor_id;
+
+    const draft = await payouts.draftBatch({ contractorIds: [contractorId], actor: PREPARER });
+    assert.equal(draft.status, 'draft');
+    assert.equal(draft.lines.length, 1);
+    // Bronze, $450 with $125 materials: 246.65 for the labour plus the 125.00 back
+    const [line] = draft.lines;
+    assert.equal(Number(line.gross_amount), 246.65);
+    assert.equal(Number(line.materials), 125);
+    assert.equal(Number(line.amount), 371.65);
+    assert.deepEqual(line.job_ids.map(String), [String(job.id)]);
+    assert.deepEqual(await payoutStatuses([job.id]), ['processing']);
+
+    await assert.rejects(payouts.approveBatch(draft.id, { ...PREPARER }), { name: 'PayoutError', status: 403 });
+    await assert.rejects(payouts.executeBatch(draft.id, PREPARER), { status: 409 });
+    const approved = await payouts.approveBatch(draft.id, APPROVER);
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.approved_by.id, APPROVER.id);
+
+    const executed = await payouts.executeBatch(draft.id, PREPARER);
+    assert.equal(executed.status, 'completed');
+    assert.equal(executed.lines[0].status, 'paid');
+    assert.match(executed.lines[0].provider_payout_id, /^tr_stub_/);
+    assert.deepEqual(await payoutStatuses([job.id]), ['paid']);
+    const owed = (await ledger.contractorBalances()).find(row => String(row.contractor_id) === String(contractorId));
+    assert.deepEqual({ payable: owed.payable, materials: owed.materials }, { payable: 0, materials: 0 });
+
+    const report = await payouts.reconcileBatch(draft.id);
+    assert.equal(report.reconciled, true, JSON.stringify(report.lines));
+    assert.deepEqual(report.totals, { approved: 371.65, paid: 371.65, provider: 371.65, ledger: 371.65 });
+  });
+
+  it('fails only the line the provider rejects, and pays it on retry', async () => {
+    const paid = await fixtures.paidJob({ finalPrice: 200 });
+    const closed = await fixtures.paidJob({
+      finalPrice: 300,
+      contractor: await fixtures.contractor({ payout_account_id: 'acct_stub_closed' })
+    });
+    const batch = await approvedBatch([paid.job.contractor_id, closed.job.contractor_id]);
+
+    const executed = await payouts.executeBatch(batch.id, PREPARER);
+    assert.equal(executed.status, 'partially_failed');
+    const failed = executed.lines.find(line => String(line.contractor_id) === String(closed.job.contractor_id));
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.failure_code, 'account_closed');
+    assert.ok(!failed.provider_payout_id);
+    assert.deepEqual(await payoutStatuses([paid.job.id, closed.job.id]), ['paid', 'processing']);
+    assert.equal((await payouts.reconcileBatch(batch.id)).reconciled, true);
+
+    await repos.contractors.update(closed.job.contractor_id, { payout_account_id: null });
+    const retried = await payouts.retryFailedLines(batch.id, { actor: PREPARER });
+    assert.equal(retried.status, 'completed');
+    const line = retried.lines.find(l => String(l.id) === String(failed.id));
+    assert.equal(line.status, 'paid');
+    assert.equal(Number(line.attempts), 2);
+    assert.deepEqual(await payoutStatuses([closed.job.id]), ['paid']);
+    await assert.rejects(payouts.retryFailedLines(batch.id, { actor: PREPARER }), { status: 409 });
+
+    const report = await payouts.reconcileBatch(batch.id);
+    assert.equal(report.reconciled, true, JSON.stringify(report.lines));
+    assert.equal(report.totals.provider, report.totals.ledger);
+  });
+
+  it('cancels a line refunded or put on hold after approval, and frees its jobs', async () => {
+    const refunded = await fixtures.paidJob({ finalPrice: 450 });
+    const held = await fixtures.paidJob({ finalPrice: 450 });
+    const batch = await approvedBatch([refunded.job.contractor_id, held.job.contractor_id]);
+
+    await payments.requestRefund({
+      paymentId: refunded.payment.id, amount: '100.00', reasonCode: 'goodwill', actor: APPROVER
+    });
+    await webhooks.flush();
+    await repos.contractors.update(held.job.contractor_id, { payout_held_at: new Date(), payout_hold_reason: 'Tax form missing' });
+
+    const executed = await payouts.executeBatch(batch.id, PREPARER);
+    assert.equal(executed.status, 'canceled');
+    const codes = Object.fromEntries(executed.lines.map(line => [String(line.contractor_id), line.failure_code]));
+    assert.deepEqual(codes, {
+      [String(refunded.job.contractor_id)]: 'amount_changed',
+      [String(held.job.contractor_id)]: 'on_hold'
+    });
+    assert.deepEqual(await payoutStatuses([refunded.job.id, held.job.id]), ['ready', 'ready']);
+
+    // The refunded job is drafted again at what is owed now; the held contractor is left out
+    const redraft = await payouts.draftBatch({
+      contractorIds: [refunded.job.contractor_id, held.job.contractor_id], actor: PREPARER
+    });
+    assert.equal(redraft.lines.length, 1);
+    assert.equal(Number(redraft.lines[0].amount), 266.65);
+    await payouts.cancelBatch(redraft.id, { actor: PREPARER, reason: 'Test' });
+    assert.deepEqual(await payoutStatuses([refunded.job.id]), ['ready']);
+  });
+
+  it('leaves out payouts under the minimum and refuses an empty batch', async () => {
+    const small = await fixtures.paidJob({ finalPrice: 20 });
+    const large = await fixtures.paidJob({ finalPrice: 450 });
+    const draft = await payouts.draftBatch({
+      contractorIds: [small.job.contractor_id, large.job.contractor_id], minimumCents: 5000, actor: PREPARER
+    });
+    assert.deepEqual(draft.lines.map(line => String(line.contractor_id)), [String(large.job.contractor_id)]);
+    assert.deepEqual(draft.skipped.map(entry => [String(entry.contractor_id), entry.reason]), [
+      [String(small.job.contractor_id), 'below_minimum']
+    ]);
+    assert.deepEqual(await payoutStatuses([small.job.id, large.job.id]), ['ready', 'processing']);
+
+    await assert.rejects(
+      payouts.draftBatch({ contractorIds: [small.job.contractor_id], minimumCents: 5000, actor: PREPARER }),
+      { name: 'PayoutError', status: 409 }
+    );
+    await assert.rejects(
+      payouts.draftBatch({ contractorIds: [large.job.contractor_id], actor: PREPARER }),
+      { status: 409, message: 'No ready jobs to pay out' }
+    );
+    await assert.rejects(payouts.draftBatch({ paymentSchedule: 'daily', actor: PREPARER }), { status: 400 });
+    await payouts.cancelBatch(draft.id, { actor: PREPARER });
+  });
+});
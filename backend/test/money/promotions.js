@@ -0,0 +1,77 @@
+/**
+ * Promo codes – the discount is capped, each customer uses a code once and
+ * a limited code is never put on more jobs than its limit
+ */
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const payments = require('../../services/payments');
+const promotions = require('../../services/promotions');
+const fixtures = require('../support/fixtures');
+const webhooks = require('../support/webhooks');
+
+const ADMIN = { role: 'admin', id: null };
+
+function customerActor(job) {
+  return { role: 'customer', id: job.customer_id };
+}
+
+async function promo(fields) {
+  return promotions.createPromoCode({
+    code: `TEST-${crypto.randomBytes(3).toString('hex')}`,
+    ...fields
+  }, ADMIN);
+}
+
+module.exports = () => describe('promo codes', () => {
+  it('takes a percentage off the card charge up to the cap', async () => {
+    const code = await promo({ kind: 'percent', value: 20, max_discount: 50 });
+    const job = await fixtures.completedJob({ finalPrice: 450 });
+    await promotions.applyToJob(job, code.code, customerActor(job));
+
+    const intent = await payments.startCheckout(await repos.jobs.findById(job.id), customerActor(job));
+    assert.equal(intent.amount, 40000);
+    await payments.confirmCheckout(await repos.jobs.findById(job.id), 'pm_card_visa');
+    await webhooks.flush();
+    const [payment] = await repos.payments.list({ jobId: job.id });
+    assert.equal(Number(payment.amount), 400);
+    assert.equal(Number(payment.discount_amount), 50);
+    assert.equal((await promotions.jobPromo(job.id)).redemption.status, 'redeemed');
+  });
+
+  it('lets each customer use a code once', async () => {
+    const code = await promo({ kind: 'fixed', value: 25 });
+    const first = await fixtures.completedJob();
+    const second = await fixtures.completedJob({ customer: first.customer });
+    await promotions.applyToJob(first, code.code, customerActor(first));
+
+    await assert.rejects(
+      promotions.applyToJob(second, code.code, customerActor(second)),
+      error => error instanceof promotions.PromotionError && error.status === 409
+    );
+    assert.equal(await promotions.jobPromo(second.id), null);
+    // Someone else can still use it
+    const other = await fixtures.completedJob();
+    await promotions.applyToJob(other, code.code, customerActor(other));
+  });
+
+  it('puts a code limited to one redemption on one of two racing jobs', async () => {
+    const code = await promo({ kind: 'fixed', value: 25, max_redemptions: 1 });
+    const jobs = [await fixtures.completedJob(), await fixtures.completedJob()];
+
+    const results = await Promise.allSettled(jobs.map(job => promotions.applyToJob(job, code.code, customerActor(job))));
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    const [lost] = results.filter(result => result.status === 'rejected');
+    assert.equal(lost.reason.status, 409);
+    assert.equal((await repos.promoCodes.findById(code.id)).redemption_count, 1);
+
+    // Taking it off the winning job frees the redemption
+    const winner = jobs[results.findIndex(result => result.status === 'fulfilled')];
+    const loser = jobs.find(job => job !== winner);
+    await promotions.removeFromJob(winner, customerActor(winner));
+    await promotions.applyToJob(loser, code.code, customerActor(loser));
+    assert.equal((await repos.promoCodes.findById(code.id)).redemption_count, 1);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Quotes – the customer's quote email carries the contractor's name as text
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const quotes = require('../../services/quotes');
+const { initEmailService } = require('../../email-service');
+const { mail } = require('../support/env');
+const fixtures = require('../support/fixtures');
+
+// Tankless water heater install/repair: quoted, not estimated
+const QUOTED_SERVICE_TYPE = 8;
+
+module.exports = () => describe('quotes', () => {
+  before(initEmailService);
+
+  it('escapes the contractor name in the quote email', async () => {
+    const contractor = await fixtures.contractor({ business_name: '<a href="https://evil.test">Acme</a>' });
+    await repos.specialties.replaceForContractor(contractor.id, [QUOTED_SERVICE_TYPE]);
+    const job = await fixtures.job({
+      fields: { service_category_id: 1, service_type_id: QUOTED_SERVICE_TYPE, estimate: { mode: 'quote_only' } }
+    });
+
+    const quote = await quotes.submit(job.id, {
+      lineItems: [{ description: 'Install the heater', unit_price: 900 }]
+    }, { role: 'contractor', id: contractor.id });
+    assert.equal(quote.status, 'submitted');
+
+    const sent = mail.filter(message => message.to === job.customer.email).pop();
+    assert.ok(sent, 'the customer is emailed');
+    assert.doesNotMatch(sent.html, /<a href/);
+    assert.match(sent.html, /&lt;a href=&quot;https:\/\/evil\.test&quot;&gt;Acme&lt;\/a&gt; has quoted/);
+  });
+});
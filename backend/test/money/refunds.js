@@ -0,0 +1,141 @@
+/**
+ * Refunds and clawbacks – a refund is settled once, from the provider's
+ * events, and a paid contractor owes back what their payout dropped
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../../repositories');
+const payments = require('../../services/payments');
+const payoutAdjustments = require('../../services/payout-adjustments');
+const fixtures = require('../support/fixtures');
+const webhooks = require('../support/webhooks');
+
+const ADMIN = { role: 'admin', id: 'admin-test', email: 'admin@example.com' };
+
+module.exports = () => describe('refunds', () => {
+  it('settles an admin refund from the webhook, keeping its reason and requester', async () => {
+    const { job, payment } = await fixtures.paidJob({ finalPrice: 450 });
+    const pending = await payments.requestRefund({
+      paymentId: payment.id, amount: '100.00', reasonCode: 'service_quality', note: 'Tap still drips', actor: ADMIN
+    });
+    assert.equal(pending.status, 'pending');
+    assert.equal(Number(pending.amount), 100);
+
+    const events = await webhooks.flush();
+    assert.deepEqual(events.map(event => event.type), ['refund.created', 'charge.refunded']);
+
+    const refund = await repos.refunds.findById(pending.id);
+    assert.equal(refund.status, 'succeeded');
+    assert.equal(refund.reason_code, 'service_quality');
+    assert.equal(refund.note, 'Tap still drips');
+    assert.equal(refund.requested_by.id, ADMIN.id);
+    assert.ok(refund.succeeded_at);
+    // Bronze, $450: the payout goes from 346.65 to 266.65 once $100 comes off the net
+    assert.equal(Number(refund.platform_fee_before), 90);
+    assert.equal(Number(refund.platform_fee_after), 70);
+    assert.equal(Number(refund.contractor_payout_before), 346.65);
+    assert.equal(Number(refund.contractor_payout_after), 266.65);
+
+    const updatedPayment = await repos.payments.findById(payment.id);
+    assert.equal(updatedPayment.status, 'partially_refunded');
+    assert.equal(Number(updatedPayment.amount_refunded), 100);
+    const updatedJob = await repos.jobs.findById(job.id);
+    assert.equal(updatedJob.payment_status, 'partially_refunded');
+    assert.equal(Number(updatedJob.refunded_amount), 100);
+    // The contractor had not been paid yet: nothing to claw back
+    assert.deepEqual(await repos.payoutAdjustments.list({ jobId: job.id }), []);
+  });
+
+  it('settles a replayed refund event once', async () => {
+    const { payment } = await fixtures.paidJob({ finalPrice: 200 });
+    await payments.requestRefund({ paymentId: payment.id, amount: '50.00', reasonCode: 'goodwill', actor: ADMIN });
+    const events = await webhooks.flush();
+    for (const event of events) {
+      await webhooks.redeliver({ ...event, id: `${event.id}_replay` });
+    }
+    const updated = await repos.payments.findById(payment.id);
+    assert.equal(Number(updated.amount_refunded), 50);
+    assert.equal((await repos.refunds.list({ paymentId: payment.id })).length, 1);
+  });
+
+  it('marks a payment refunded once everything has come back', async () => {
+    const { job, payment } = await fixtures.paidJob({ finalPrice: 120 });
+    await payments.requestRefund({ paymentId: payment.id, reasonCode: 'service_not_completed', actor: ADMIN });
+    await webhooks.flush();
+    assert.equal((await repos.payments.findById(payment.id)).status, 'refunded');
+    const updatedJob = await repos.jobs.findById(job.id);
+    assert.equal(updatedJob.payment_status, 'refunded');
+    assert.equal(Number(updatedJob.refunded_amount), 120);
+    await assert.rejects(
+      payments.requestRefund({ paymentId: payment.id, amount: '1.00', reasonCode: 'goodwill', actor: ADMIN }),
+      { status: 409 }
+    );
+  });
+
+  it('records a refund made outside the API with the provider\'s reason', async () => {
+    const { payment } = await fixtures.paidJob({ finalPrice: 90 });
+    await payments.provider.createRefund({ paymentIntentId: payment.transaction_id, amountCents: 1000, reason: 'duplicate' });
+    await webhooks.flush();
+    const [refund] = await repos.refunds.list({ paymentId: payment.id });
+    assert.equal(refund.status, 'succeeded');
+    assert.equal(refund.reason_code, 'duplicate');
+    assert.equal(Number(refund.amount), 10);
+  });
+
+  it('marks a failed refund without moving money', async () => {
+    const { payment } = await fixtures.paidJob({ finalPrice: 150 });
+    const pending = await payments.requestRefund({ paymentId: payment.id, amount: '20.00', reasonCode: 'pricing_error', actor: ADMIN });
+    const [created] = await webhooks.drain();
+    await webhooks.redeliver({
+      ...created,
+      id: `${created.id}_failed`,
+      type: 'refund.failed',
+      data: { object: { ...created.data.object, status: 'failed', failure_reason: 'expired_or_canceled_card' } }
+    });
+    const refund = await repos.refunds.findById(pending.id);
+    assert.equal(refund.status, 'failed');
+    assert.equal(refund.reason_code, 'pricing_error');
+    const updated = await repos.payments.findById(payment.id);
+    assert.equal(updated.status, 'completed');
+    assert.equal(Number(updated.amount_refunded || 0), 0);
+  });
+
+  describe('clawbacks', () => {
+    it('takes the payout drop back from a contractor who was already paid', async () => {
+      const { job, payment } = await fixtures.paidJob({ finalPrice: 450, tier: 'gold' });
+      await repos.jobs.update(job.id, { payout_status: 'paid' });
+      const refund = await payments.requestRefund({ paymentId: payment.id, amount: '45.00', reasonCode: 'goodwill', actor: ADMIN });
+      await webhooks.flush();
+
+      // Gold, $450: 391.65 before, 351.15 after $45 comes off the net
+      const adjustments = await repos.payoutAdjustments.list({ contractorId: job.contractor_id });
+      assert.equal(adjustments.length, 1);
+      assert.equal(adjustments[0].reason, 'refund_clawback');
+      assert.equal(Number(adjustments[0].amount), -40.5);
+      assert.equal(adjustments[0].status, 'pending');
+      assert.equal(String(adjustments[0].refund_id), String(refund.id));
+      assert.equal((await payoutAdjustments.pendingFor(job.contractor_id)).totalCents, -4050);
+    });
+
+    it('nets a clawback off the next payout and carries forward what it cannot absorb', async () => {
+      const { job, payment } = await fixtures.paidJob({ finalPrice: 450 });
+      await repos.jobs.update(job.id, { payout_status: 'paid' });
+      await payments.requestRefund({ paymentId: payment.id, amount: '200.00', reasonCode: 'goodwill', actor: ADMIN });
+      await webhooks.flush();
+      // Bronze: 346.65 → 186.65, so the contractor owes 160.00
+      assert.equal((await payoutAdjustments.pendingFor(job.contractor_id)).totalCents, -16000);
+
+      const first = await payoutAdjustments.applyToPayout(job.contractor_id, 10000, 'payout-test-1');
+      assert.equal(first.net_cents, 0);
+      assert.equal(first.adjustment_cents, -10000);
+      const carried = await payoutAdjustments.pendingFor(job.contractor_id);
+      assert.equal(carried.totalCents, -6000);
+      assert.equal(carried.adjustments[0].reason, 'carried_forward');
+
+      const second = await payoutAdjustments.applyToPayout(job.contractor_id, 10000, 'payout-test-2');
+      assert.equal(second.net_cents, 4000);
+      assert.equal((await payoutAdjustments.pendingFor(job.contractor_id)).totalCents, 0);
+    });
+  });
+});
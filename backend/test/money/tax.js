@@ -0,0 +1,68 @@
+/**
+ * Sales tax – each job is taxed at the rates of its province on its tax
+ * date, and the customer is charged the price plus that tax
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const tax = require('../../services/tax');
+const fixtures = require('../support/fixtures');
+
+// A completed $450 job ($125 of it materials) at an address in `province`
+async function jobIn(province, contractorFields = {}) {
+  return fixtures.job({
+    status: 'completed',
+    contractor: await fixtures.contractor(contractorFields),
+    address: { province },
+    fields: { final_price: 450, material_fees: 125, completed_at: new Date() }
+  });
+}
+
+function amounts(salesTax) {
+  return salesTax.lines.map(line => [line.code, line.amount]);
+}
+
+module.exports = () => describe('sales tax', () => {
+  it('taxes a job at the rates of its province', async () => {
+    const expected = {
+      ON: [[['HST', 58.5]], 58.5],
+      QC: [[['GST', 22.5], ['QST', 44.89]], 67.39],
+      BC: [[['GST', 22.5], ['PST', 31.5]], 54],
+      AB: [[['GST', 22.5]], 22.5]
+    };
+    for (const [province, [lines, total]] of Object.entries(expected)) {
+      const salesTax = await tax.forJob(await jobIn(province), { taxDate: '2026-10-19' });
+      assert.equal(salesTax.province, province);
+      assert.deepEqual(amounts(salesTax), lines, province);
+      assert.equal(salesTax.total, total, province);
+    }
+  });
+
+  it('uses the rate in force on the tax date', async () => {
+    const job = await jobIn('NS');
+    assert.equal((await tax.forJob(job, { taxDate: '2025-03-31' })).total, 67.5);
+    assert.equal((await tax.forJob(job, { taxDate: '2025-04-01' })).total, 63);
+  });
+
+  it('charges only the taxes an unregistered small supplier must collect', async () => {
+    await tax.updateRules({ small_suppliers: false });
+    try {
+      const unregistered = await tax.forJob(await jobIn('QC'), { taxDate: '2026-10-19' });
+      assert.deepEqual(amounts(unregistered), []);
+      const qstOnly = await tax.forJob(await jobIn('QC', { qst_number: '1234567890TQ0001' }), { taxDate: '2026-10-19' });
+      assert.deepEqual(amounts(qstOnly), [['QST', 44.89]]);
+      const withPst = await tax.forJob(await jobIn('BC'), { taxDate: '2026-10-19' });
+      assert.deepEqual(amounts(withPst), [['PST', 31.5]]);
+    } finally {
+      await tax.updateRules(tax.DEFAULT_RULES);
+    }
+  });
+
+  it('charges the customer the price plus the tax', async () => {
+    const salesTax = await tax.forJob(await jobIn('ON'), { taxDate: '2026-10-19' });
+    const { job, payment } = await fixtures.paidJob({ finalPrice: 450, materials: 125, fields: { sales_tax: salesTax } });
+    assert.equal(job.payment_status, 'paid');
+    assert.equal(Number(payment.amount), 508.5);
+    assert.equal(Number(payment.tax_amount), 58.5);
+  });
+});
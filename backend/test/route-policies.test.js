@@ -0,0 +1,350 @@
+/**
+ * Route policies – who may call what (API_QUICK_REFERENCE.md, Route Policies)
+ *
+ * Every route under /api is either listed in POLICIES, mounted behind an admin
+ * guard, or listed in PUBLIC_ROUTES; the last test fails when a new route is
+ * none of these. Each policy route is called by every kind of caller against a
+ * fresh job: an allowed caller must get past the policy (no 401/403, no 5xx),
+ * everyone else a 403 (or the route's `denied` status), and a caller without a
+ * valid token a 401.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('./support/app');
+const repos = require('../repositories');
+
+// Callers, besides anonymous and bad-token ones
+const CUSTOMER = 'customer';
+const OTHER_CUSTOMER = 'otherCustomer';
+const CONTRACTOR = 'contractor';
+const OTHER_CONTRACTOR = 'otherContractor';
+const ADMIN = 'admin';
+const SIGNED_IN = [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR, ADMIN];
+
+const CUSTOMER_OF_JOB = [CUSTOMER, ADMIN];
+const CONTRACTOR_OF_JOB = [CONTRACTOR, ADMIN];
+const PARTICIPANTS = [CUSTOMER, CONTRACTOR, ADMIN];
+
+/**
+ * [method, path, allowed callers, options]
+ * Path parameters are filled from the fixture; options: { body, denied }
+ */
+const POLICIES = [
+  ['GET', '/api/customer/jobs/:customerId', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs-by-email?email=:customerEmail', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/checkout', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs/:jobId/checkout', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/checkout/confirm', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs/:jobId/promo', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/promo', CUSTOMER_OF_JOB, { body: { code: 'NOSUCHCODE' } }],
+  ['DELETE', '/api/customer/jobs/:jobId/promo', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/credit', [CUSTOMER, OTHER_CUSTOMER]],
+  ['GET', '/api/customer/referral', [CUSTOMER, OTHER_CUSTOMER]],
+  ['POST', '/api/customer/jobs/:jobId/inspection-fee/checkout', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs/:jobId/inspection-fee/checkout', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/inspection-fee/checkout/confirm', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs/:jobId/quotes', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/quotes/:quoteId/accept', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/quotes/:quoteId/decline', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs/:jobId/change-orders', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/change-orders/:changeOrderId/approve', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/change-orders/:changeOrderId/reject', CUSTOMER_OF_JOB, { body: { reason: 'Too much' } }],
+  ['GET', '/api/customer/jobs/:jobId/appointment/slots', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/appointment', CUSTOMER_OF_JOB],
+  ['DELETE', '/api/customer/jobs/:jobId/appointment', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/rating', CUSTOMER_OF_JOB, { body: { rating: 5 } }],
+  ['GET', '/api/customer/jobs/:jobId/invoice', CUSTOMER_OF_JOB],
+  ['GET', '/api/customer/jobs/:jobId/invoice/pdf', CUSTOMER_OF_JOB],
+  ['POST', '/api/customer/jobs/:jobId/invoice/email', CUSTOMER_OF_JOB],
+
+  ['GET', '/api/contractor/available-jobs', [CONTRACTOR, OTHER_CONTRACTOR, ADMIN]],
+  ['POST', '/api/jobs/:jobId/accept', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['GET', '/api/contractor/offers', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['POST', '/api/contractor/offers/:offerId/accept', [CONTRACTOR], { denied: 404 }],
+  ['POST', '/api/contractor/offers/:offerId/decline', [CONTRACTOR], { denied: 404 }],
+  ['GET', '/api/contractor/availability', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['PUT', '/api/contractor/availability', [CONTRACTOR, OTHER_CONTRACTOR], { body: { weekly: {} } }],
+  ['POST', '/api/contractor/blackouts', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['DELETE', '/api/contractor/blackouts/:blackoutId', [CONTRACTOR], { denied: 404 }],
+  ['GET', '/api/contractor/calendar-feed', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['POST', '/api/contractor/calendar-feed', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['DELETE', '/api/contractor/calendar-feed', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['POST', '/api/contractor/jobs/:jobId/quotes', [CONTRACTOR, OTHER_CONTRACTOR]],
+  ['POST', '/api/contractor/quotes/:quoteId/withdraw', [CONTRACTOR], { denied: 404 }],
+  ['GET', '/api/contractor/jobs/:contractorId', CONTRACTOR_OF_JOB],
+  ['PATCH', '/api/jobs/:jobId/status', CONTRACTOR_OF_JOB, { body: { status: 'in_progress' } }],
+  ['GET', '/api/jobs/:jobId/events', PARTICIPANTS],
+  ['POST', '/api/contractor/jobs/:jobId/depart', CONTRACTOR_OF_JOB],
+  ['POST', '/api/contractor/jobs/:jobId/arrive', CONTRACTOR_OF_JOB],
+  ['POST', '/api/contractor/jobs/:jobId/leave', CONTRACTOR_OF_JOB],
+  ['GET', '/api/jobs/:jobId/check-ins', PARTICIPANTS],
+  ['GET', '/api/messages/unread', [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR]],
+  ['GET', '/api/jobs/:jobId/messages', PARTICIPANTS],
+  ['POST', '/api/jobs/:jobId/messages', [CUSTOMER, CONTRACTOR], { body: { body: 'Hello' } }],
+  ['POST', '/api/jobs/:jobId/messages/read', [CUSTOMER, CONTRACTOR]],
+  ['GET', '/api/jobs/:jobId/messages/:messageId/attachments/:attachmentId', PARTICIPANTS],
+  ['GET', '/api/notifications', [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR]],
+  ['GET', '/api/notifications/preferences', [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR]],
+  ['PUT', '/api/notifications/preferences', [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR], { body: { locale: 'en' } }],
+  ['POST', '/api/notifications/push-subscriptions', [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR]],
+  ['DELETE', '/api/notifications/push-subscriptions', [CUSTOMER, OTHER_CUSTOMER, CONTRACTOR, OTHER_CONTRACTOR]],
+  // Admins pass the policy, but only a contractor may request a cancel (admins cancel outright)
+  ['POST', '/api/contractor/jobs/:jobId/end', [CONTRACTOR], { body: { causeCode: 'customer_unavailable' } }],
+  ['POST', '/api/contractor/jobs/:jobId/start', CONTRACTOR_OF_JOB],
+  ['POST', '/api/contractor/jobs/:jobId/complete', CONTRACTOR_OF_JOB],
+  ['GET', '/api/contractor/jobs/:jobId/change-orders', CONTRACTOR_OF_JOB],
+  ['POST', '/api/contractor/jobs/:jobId/change-orders', CONTRACTOR_OF_JOB],
+  ['POST', '/api/contractor/jobs/:jobId/change-orders/:changeOrderId/withdraw', CONTRACTOR_OF_JOB],
+  ['GET', '/api/jobs/:jobId/change-orders/:changeOrderId/attachments/:attachmentId', PARTICIPANTS],
+  ['POST', '/api/contractor/jobs/:jobId/materials', CONTRACTOR_OF_JOB],
+
+  ['GET', '/api/contractors/:contractorId/profile', CONTRACTOR_OF_JOB],
+  ['GET', '/api/contractors/:contractorId/quotes', CONTRACTOR_OF_JOB],
+  ['GET', '/api/contractors/:contractorId/statements', CONTRACTOR_OF_JOB],
+  ['GET', '/api/contractors/:contractorId/statements/:documentId/pdf', CONTRACTOR_OF_JOB],
+  ['POST', '/api/contractors/:contractorId/statements/:documentId/email', CONTRACTOR_OF_JOB],
+  ['GET', '/api/contractors/:contractorId/audit-logs', CONTRACTOR_OF_JOB],
+  ['PATCH', '/api/contractors/:contractorId/profile', CONTRACTOR_OF_JOB, { body: { phone: '514-555-0100' } }],
+
+  ['PATCH', '/api/jobs/:jobId/payout-status', [ADMIN], { body: { payout_status: 'ready' } }]
+];
+
+// Open to anyone; each checks its own credentials or signature where it needs one
+const PUBLIC_ROUTES = [
+  'GET /api/services/estimate',
+  'GET /api/appointments/slots',
+  'GET /api/calendar/:file',
+  'POST /api/auth/admin/login',
+  'POST /api/auth/customer/register',
+  'POST /api/auth/customer/login',
+  'POST /api/auth/contractor/login',
+  'GET /api/services/categories',
+  'GET /api/services/types',
+  'POST /api/jobs/create',
+  'POST /api/contractors/apply',
+  'POST /api/expansion/proposals',
+  'POST /api/team/applications'
+];
+
+// Mounted routers: their own guard, or none
+const ROUTERS = {
+  '/api/admin': 'admin',
+  '/api/superadmin': 'superadmin',
+  '/api/audit': 'admin',
+  '/api/auth': 'public',
+  '/api/auth/mfa': 'public',
+  '/api/financials': 'public',
+  '/api/payments': 'public'
+};
+
+const ASSIGNED_CONTRACTOR_ID = 'contractor-001';
+const OTHER_CONTRACTOR_ID = 'contractor-006';
+
+const tokens = {};
+const ids = {};
+
+async function signIn() {
+  tokens[CUSTOMER] = await api.login('customer', 'customer@firstclick.com', 'customer123');
+  tokens[CONTRACTOR] = await api.login('contractor', 'john@smithplumbing.com', 'password123');
+  tokens[OTHER_CONTRACTOR] = await api.login('contractor', 'emma@emergencyplumbing.com', 'password123');
+  tokens[ADMIN] = await api.login('admin', 'admin@firstclick.com', 'admin123');
+  const registered = await api.request('POST', '/api/auth/customer/register', {
+    body: { email: 'other.customer@example.com', password: 'other-password-1', full_name: 'Other Customer' }
+  });
+  assert.equal(registered.status, 200, JSON.stringify(registered.body));
+  tokens[OTHER_CUSTOMER] = registered.body.token;
+  const customer = await repos.customers.findByEmail('customer@firstclick.com');
+  ids.customerId = customer.id;
+  ids.customerEmail = customer.email;
+}
+
+/**
+ * A job the customer booked, assigned to contractor-001, with an offer, a quote,
+ * a change order and a blackout for the routes that name one
+ */
+async function createFixture() {
+  const booked = await api.request('POST', '/api/jobs/create', {
+    token: tokens[CUSTOMER],
+    body: {
+      service_category_id: 1,
+      service_type_id: 1,
+      description: 'Leaking kitchen tap',
+      property_type: 'house',
+      address_line1: '100 Rue Test',
+      city: 'Montreal',
+      province: 'QC',
+      postal_code: 'H2X 1Y4',
+      urgency: 'scheduled',
+      time_window: 'flexible'
+    }
+  });
+  assert.equal(booked.status, 200, JSON.stringify(booked.body));
+  const job = await repos.jobs.update(booked.body.job.id, {
+    contractor_id: ASSIGNED_CONTRACTOR_ID,
+    status: 'assigned',
+    assigned_at: new Date()
+  });
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+  const offer = await repos.dispatchOffers.create({
+    job_id: job.id, contractor_id: ASSIGNED_CONTRACTOR_ID, rank: 1, score: 1, expires_at: expiresAt
+  });
+  const quote = await repos.quotes.create({
+    job_id: job.id, contractor_id: ASSIGNED_CONTRACTOR_ID, amount: 200, labour_amount: 150, materials_amount: 50, expires_at: expiresAt
+  });
+  const changeOrder = await repos.changeOrders.create({
+    job_id: job.id, contractor_id: ASSIGNED_CONTRACTOR_ID, description: 'Replace the valve', amount_delta: 40
+  });
+  const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const blackout = await repos.contractorBlackouts.create({
+    contractor_id: ASSIGNED_CONTRACTOR_ID, starts_at: start, ends_at: new Date(start.getTime() + 60 * 60 * 1000)
+  });
+  return {
+    ...ids,
+    jobId: job.id,
+    contractorId: ASSIGNED_CONTRACTOR_ID,
+    offerId: offer.id,
+    quoteId: quote.id,
+    changeOrderId: changeOrder.id,
+    blackoutId: blackout.id,
+    messageId: 'no-such-message',
+    attachmentId: 'no-such-photo',
+    documentId: 'no-such-document'
+  };
+}
+
+function fillPath(path, fixture) {
+  return path.replace(/:(\w+)/g, (match, name) => {
+    assert.ok(name in fixture, `No fixture value for :${name}`);
+    return encodeURIComponent(fixture[name]);
+  });
+}
+
+function routeKey(method, path) {
+  return `${method} ${path.split('?')[0]}`;
+}
+
+describe('route policies', () => {
+  before(async () => {
+    await api.start();
+    await signIn();
+  });
+  after(api.stop);
+
+  for (const [method, path, allowed, options = {}] of POLICIES) {
+    describe(routeKey(method, path), () => {
+      it('needs a valid token', async () => {
+        const fixture = await createFixture();
+        const url = fillPath(path, fixture);
+        const anonymous = await api.request(method, url, { body: options.body });
+        assert.equal(anonymous.status, 401, 'anonymous');
+        const forged = await api.request(method, url, { token: 'not-a-token', body: options.body });
+        assert.equal(forged.status, 401, 'bad token');
+      });
+
+      for (const caller of SIGNED_IN) {
+        const isAllowed = allowed.includes(caller);
+        it(`${isAllowed ? 'lets' : 'stops'} ${caller}`, async () => {
+          const fixture = await createFixture();
+          const { status, body } = await api.request(method, fillPath(path, fixture), {
+            token: tokens[caller],
+            body: options.body
+          });
+          if (isAllowed) {
+            assert.ok(status !== 401 && status !== 403, `${caller} got ${status}: ${JSON.stringify(body)}`);
+            assert.ok(status < 500, `${caller} got ${status}: ${JSON.stringify(body)}`);
+          } else if (caller === ADMIN || !options.denied) {
+            assert.equal(status, 403, `${caller} got ${status}: ${JSON.stringify(body)}`);
+          } else {
+            assert.ok([403, options.denied].includes(status), `${caller} got ${status}: ${JSON.stringify(body)}`);
+          }
+        });
+      }
+    });
+  }
+
+  it('ignores a contractor id sent in the header, query or body', async () => {
+    const fixture = await createFixture();
+    const header = await fetch(`http://127.0.0.1:${require('../config/env').port}/api/contractor/jobs/${ASSIGNED_CONTRACTOR_ID}`, {
+      headers: { authorization: `Bearer ${tokens[OTHER_CONTRACTOR]}`, 'x-contractor-id': ASSIGNED_CONTRACTOR_ID }
+    });
+    assert.equal(header.status, 403);
+
+    const events = await api.request('GET', `/api/jobs/${fixture.jobId}/events?contractor_id=${ASSIGNED_CONTRACTOR_ID}`, {
+      token: tokens[OTHER_CONTRACTOR]
+    });
+    assert.equal(events.status, 403);
+
+    const status = await api.request('PATCH', `/api/jobs/${fixture.jobId}/status`, {
+      token: tokens[OTHER_CONTRACTOR],
+      body: { status: 'in_progress', contractor_id: ASSIGNED_CONTRACTOR_ID }
+    });
+    assert.equal(status.status, 403);
+  });
+
+  describe('admin-only routes', () => {
+    let adminRoutes;
+    before(() => {
+      adminRoutes = listRoutes().filter(route => route.guard === 'admin' || route.guard === 'superadmin');
+    });
+
+    it('turn away anyone who is not an admin', async () => {
+      assert.ok(adminRoutes.length > 0);
+      const fixture = await createFixture();
+      const values = new Proxy(fixture, {
+        has: () => true,
+        get: (target, name) => (name in target ? target[name] : 'no-such-id')
+      });
+      for (const route of adminRoutes) {
+        const url = fillPath(route.path, values);
+        const anonymous = await api.request(route.method, url);
+        assert.equal(anonymous.status, 401, `${route.method} ${route.path} anonymous`);
+        for (const caller of [CUSTOMER, CONTRACTOR]) {
+          const { status } = await api.request(route.method, url, { token: tokens[caller] });
+          assert.equal(status, 403, `${route.method} ${route.path} ${caller}`);
+        }
+        if (route.guard === 'superadmin') {
+          const { status } = await api.request(route.method, url, { token: tokens[ADMIN] });
+          assert.equal(status, 403, `${route.method} ${route.path} admin`);
+        }
+      }
+    });
+  });
+
+  it('covers every /api route', () => {
+    const known = new Set([...POLICIES.map(([method, path]) => routeKey(method, path)), ...PUBLIC_ROUTES]);
+    const unclassified = listRoutes()
+      .filter(route => route.guard === 'none' && !known.has(`${route.method} ${route.path}`))
+      .map(route => `${route.method} ${route.path}`);
+    assert.deepEqual(unclassified, [], 'Add these routes to POLICIES or PUBLIC_ROUTES');
+  });
+});
+
+/**
+ * Every /api route the app serves, with the guard it is mounted behind:
+ * admin, superadmin, public (a router that checks its own credentials) or none
+ * @returns {Array<{ method: string, path: string, guard: string }>}
+ */
+function listRoutes() {
+  const { app } = require('../server');
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (layer.route) {
+      const { path } = layer.route;
+      if (!path.startsWith('/api/')) continue;
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method: method.toUpperCase(), path, guard: path.startsWith('/api/admin/') ? 'admin' : 'none' });
+      }
+    } else if (layer.name === 'router') {
+      const mount = Object.keys(ROUTERS).find(prefix => layer.regexp.test(prefix));
+      assert.ok(mount, `A router is mounted at an unknown path (${layer.regexp}); add it to ROUTERS`);
+      for (const inner of layer.handle.stack) {
+        if (!inner.route) continue;
+        for (const method of Object.keys(inner.route.methods)) {
+          routes.push({ method: method.toUpperCase(), path: mount + inner.route.path, guard: ROUTERS[mount] });
+        }
+      }
+    }
+  }
+  return routes;
+}
@@ -0,0 +1,80 @@
+/**
+ * Test harness – the whole API on a free port
+ *
+ * Usage:
+ *   const api = require('./support/app');
+ *   before(api.start);
+ *   after(api.stop);
+ *   const token = await api.login('customer', 'customer@firstclick.com', 'customer123');
+ *   const { status, body } = await api.request('GET', '/api/notifications', { token });
+ *
+ * The server binds port 0; once it listens, ENV.port and the stub payment
+ * provider's webhook URL are pointed at the port it got.
+ */
+
+const { once } = require('events');
+const { mail } = require('./env');
+const ENV = require('../../config/env');
+
+let server = null;
+let baseUrl = null;
+
+async function start() {
+  ({ server } = require('../../server'));
+  if (!server.listening) await once(server, 'listening');
+  const { port } = server.address();
+  ENV.port = port;
+  ENV.paymentWebhookUrl = `http://127.0.0.1:${port}/api/payments/webhook`;
+  baseUrl = `http://127.0.0.1:${port}`;
+}
+
+async function stop() {
+  if (!server) return;
+  server.closeAllConnections();
+  server.close();
+}
+
+/**
+ * @param {string} method
+ * @param {string} path - e.g. /api/jobs/1/events
+ * @param {Object} [options] - { token, body }
+ * @returns {Promise<{ status: number, body: * }>} body is parsed JSON when it can be
+ */
+async function request(method, path, { token, body } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Not JSON (a PDF, an .ics file): keep the text
+  }
+  return { status: response.status, body: parsed };
+}
+
+/**
+ * An access token for a seeded or registered account
+ * @param {string} role - customer, contractor or admin
+ */
+async function login(role, email, password) {
+  const { status, body } = await request('POST', `/api/auth/${role}/login`, { body: { email, password } });
+  if (status !== 200 || !body.token) {
+    throw new Error(`${role} login for ${email} failed with ${status}: ${JSON.stringify(body)}`);
+  }
+  return body.token;
+}
+
+module.exports = {
+  mail,
+  start,
+  stop,
+  request,
+  login
+};
@@ -0,0 +1,117 @@
+/**
+ * Rows for the money tests, made through the repositories so the same
+ * fixture works on the memory store and on Postgres
+ *
+ * Usage:
+ *   const fixtures = require('./support/fixtures');
+ *   const open = await fixtures.job({ status: 'ready_to_assign' });
+ *   const job = await fixtures.completedJob({ finalPrice: 450, materials: 125, tier: 'gold' });
+ *   // job.customer and job.contractor are the rows it was made for
+ *   const { job, payment } = await fixtures.paidJob({ finalPrice: 450 });
+ */
+
+const crypto = require('crypto');
+const repos = require('../../repositories');
+const payments = require('../../services/payments');
+const webhooks = require('./webhooks');
+
+function unique(prefix) {
+  return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+async function customer(fields = {}) {
+  return repos.customers.create({
+    email: `${unique('customer')}@example.com`,
+    full_name: 'Test Customer',
+    phone: '514-555-0101',
+    ...fields
+  });
+}
+
+async function contractor(fields = {}) {
+  return repos.contractors.create({
+    email: `${unique('contractor')}@example.com`,
+    password_hash: 'not-a-real-hash',
+    legal_name: 'Test Contractor',
+    business_name: 'Test Plumbing',
+    status: 'active',
+    vetting_status: 'APPROVED_ACTIVE',
+    contractor_tier: 'bronze',
+    ...fields
+  });
+}
+
+/**
+ * A job in Toronto in any status, held by `contractor` when one is given
+ * @param {Object} options - { status, customer, contractor, address, fields }
+ * @returns {Promise<Object>} Job row, plus `customer` and `contractor` (or null)
+ */
+async function job({ status = 'ready_to_assign', fields = {}, address = {}, ...rows } = {}) {
+  const owner = rows.customer || await customer();
+  const worker = rows.contractor || null;
+  const place = await repos.addresses.create({
+    address_line1: '100 Queen St W',
+    city: 'Toronto',
+    province: 'ON',
+    postal_code: 'M5H 2N2',
+    property_type: 'house',
+    ...address
+  });
+  const created = await repos.jobs.create({
+    customer_id: owner.id,
+    address_id: place.id,
+    description: 'Replace the kitchen tap',
+    status: 'submitted'
+  });
+  const updated = await repos.jobs.update(created.id, {
+    contractor_id: worker ? worker.id : null,
+    status,
+    ...fields
+  });
+  return { ...updated, customer: owner, contractor: worker };
+}
+
+/**
+ * A job the contractor has finished, with its price set and nothing paid yet
+ * @param {Object} options - { finalPrice, materials, tier, customer, contractor, fields }
+ * @returns {Promise<Object>} Job row, plus `customer` and `contractor`
+ */
+async function completedJob({ finalPrice = 450, materials = 0, tier = 'bronze', fields = {}, ...rows } = {}) {
+  return job({
+    customer: rows.customer,
+    contractor: rows.contractor || await contractor({ contractor_tier: tier }),
+    status: 'completed',
+    fields: {
+      final_price: finalPrice,
+      material_fees: materials,
+      completed_at: new Date(),
+      ...fields
+    }
+  });
+}
+
+/**
+ * A completed job the customer has paid by card, webhooks delivered
+ * @param {Object} options - As completedJob()
+ * @returns {Promise<{ job: Object, payment: Object }>} The job as it is now, and its payment row
+ */
+async function paidJob(options = {}) {
+  const completed = await completedJob(options);
+  await payments.startCheckout(completed, { role: 'customer', id: completed.customer_id });
+  await payments.confirmCheckout(await repos.jobs.findById(completed.id), 'pm_card_visa');
+  await webhooks.flush();
+  const [payment] = await repos.payments.list({ jobId: completed.id });
+  const job = await repos.jobs.findById(completed.id);
+  return {
+    job: { ...job, customer: completed.customer, contractor: completed.contractor },
+    payment
+  };
+}
+
+module.exports = {
+  customer,
+  contractor,
+  job,
+  completedJob,
+  paidJob
+};
@@ -0,0 +1,124 @@
+/**
+ * Postgres for the tests – PGlite (Postgres compiled to WebAssembly) behind
+ * the db/pool.js interface
+ *
+ * Usage, before any application module is required:
+ *   const pglite = require('./support/pglite');
+ *   pglite.install();          // DATA_STORE=postgres; db/pool.js answers from PGlite
+ *   before(pglite.migrate);    // every migration in db/migrations, and the service catalogue
+ *
+ * createPool() gives a separate empty database, e.g. for the migrator tests.
+ * Results look like pg's: { rows, rowCount }, with BIGINT and NUMERIC columns
+ * as strings. Every pool shares one connection, so connect() hands out one
+ * client at a time.
+ */
+
+const { PGlite, types } = require('@electric-sql/pglite');
+
+// pg returns these as strings; PGlite would make numbers of them
+const PARSERS = {
+  [types.INT8]: value => value,
+  [types.NUMERIC]: value => value
+};
+
+function toResult(result) {
+  return {
+    rows: result.rows,
+    rowCount: result.affectedRows || result.rows.length,
+    fields: result.fields
+  };
+}
+
+/**
+ * A pg-like pool over a new in-memory database
+ * @returns {{ pool: Object, db: PGlite }}
+ */
+function createPool() {
+  const db = new PGlite();
+  let checkedOut = Promise.resolve();
+
+  async function query(text, params) {
+    if (params && params.length) {
+      return toResult(await db.query(text, params, { parsers: PARSERS }));
+    }
+    // Like pg, a query without parameters may hold several statements (migrations)
+    const results = await db.exec(text, { parsers: PARSERS });
+    return toResult(results[results.length - 1]);
+  }
+
+  const pool = {
+    query,
+    async connect() {
+      let release;
+      const previous = checkedOut;
+      checkedOut = new Promise(resolve => { release = resolve; });
+      await previous;
+      return { query, release: () => release() };
+    },
+    async end() {
+      await db.close();
+    },
+    on() {}
+  };
+  return { pool, db };
+}
+
+let installed = null;
+
+/**
+ * Point db/pool.js at a PGlite database and the repositories at Postgres
+ * @returns {{ pool: Object, db: PGlite }}
+ */
+function install() {
+  if (installed) return installed;
+  process.env.DATA_STORE = 'postgres';
+  require('./env');
+
+  installed = createPool();
+  const { pool } = installed;
+  const file = require.resolve('../../db/pool');
+  require.cache[file] = {
+    id: file,
+    filename: file,
+    loaded: true,
+    exports: {
+      pool,
+      query: (text, params) => pool.query(text, params),
+      closePool: () => pool.end()
+    }
+  };
+  return installed;
+}
+
+/**
+ * Run every migration against the installed database, then load the service
+ * categories and types from service-taxonomy.json as db-setup.js does (the
+ * memory store has them from the start)
+ */
+async function migrate() {
+  const migrator = require('../../db/migrator');
+  const { pool } = install();
+  await migrator.migrate(pool, { log: () => {} });
+
+  const taxonomy = require('../../service-taxonomy.json');
+  for (const category of taxonomy.categories) {
+    await pool.query(
+      'INSERT INTO service_categories (id, name, slug, sort_order) VALUES ($1, $2, $3, $4)',
+      [category.id, category.name, category.slug, category.sort_order || 0]
+    );
+  }
+  for (const type of taxonomy.serviceTypes) {
+    await pool.query(
+      `INSERT INTO service_types (id, category_id, name, slug, is_emergency_supported, is_quote_only, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [type.id, type.category_id, type.name, type.slug, Boolean(type.is_emergency_supported),
+        Boolean(type.is_quote_only), type.sort_order || 0]
+    );
+  }
+}
+
+module.exports = {
+  createPool,
+  install,
+  migrate
+};
@@ -0,0 +1,64 @@
+/**
+ * The stub payment provider's webhooks, delivered in-process
+ *
+ * Usage:
+ *   const webhooks = require('./support/webhooks');
+ *   await payments.confirmCheckout(job, 'pm_card_visa');
+ *   await webhooks.flush();              // handleWebhook() for every event sent so far
+ *   await webhooks.redeliver(event);     // the same event again, freshly signed
+ *
+ * The stub posts its events to ENV.paymentWebhookUrl. Here fetch answers that
+ * URL itself and keeps the events until flush(), so a test decides when, and
+ * in which order, the webhook runs.
+ */
+
+const ENV = require('../../config/env');
+const payments = require('../../services/payments');
+const { signPayload } = require('../../services/payments/shared');
+
+ENV.paymentWebhookUrl = 'http://payments.test/webhook';
+
+const queue = [];
+const realFetch = global.fetch;
+
+global.fetch = async (url, options = {}) => {
+  if (String(url) !== ENV.paymentWebhookUrl) return realFetch(url, options);
+  queue.push(JSON.parse(options.body));
+  return new Response(null, { status: 200 });
+};
+
+async function deliver(event) {
+  const body = JSON.stringify(event);
+  return payments.handleWebhook(Buffer.from(body), signPayload(body));
+}
+
+/**
+ * Run every queued event through the webhook handler, oldest first
+ * @returns {Promise<Array<Object>>} The events delivered
+ */
+async function flush() {
+  // The stub sends on the next turn of the event loop
+  await new Promise(resolve => setImmediate(resolve));
+  const delivered = [];
+  while (queue.length) {
+    const event = queue.shift();
+    await deliver(event);
+    delivered.push(event);
+  }
+  return delivered;
+}
+
+/**
+ * Drop queued events without delivering them
+ * @returns {Promise<Array<Object>>} The events dropped
+ */
+async function drain() {
+  await new Promise(resolve => setImmediate(resolve));
+  return queue.splice(0, queue.length);
+}
+
+module.exports = {
+  flush,
+  drain,
+  redeliver: deliver
+};
@@ -1,3 +1,4 @@
+-- Reference only: this table is created by db/migrations/007-expansion-proposals.sql.
 -- Expansion Proposals Table
 CREATE TABLE expansion_proposals (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
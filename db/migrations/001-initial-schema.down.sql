@@ -0,0 +1,6 @@
+-- Rollback for 001-initial-schema.sql
+
+DROP TRIGGER IF EXISTS team_applications_update_updated_at ON team_applications;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS team_applications;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Rollback for 002-accounts.sql
+
+DROP TABLE IF EXISTS contractors;
+DROP TABLE IF EXISTS admins;
+DROP TABLE IF EXISTS customers;
@@ -0,0 +1,104 @@
+-- FirstClick PostgreSQL Schema
+-- Accounts: customers, admins, contractors
+
+-- ============================================================================
+-- TABLE: customers
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  full_name VARCHAR(255),
+  phone VARCHAR(50),
+  password_hash VARCHAR(255), -- NULL until the customer sets a password
+  role VARCHAR(50) NOT NULL DEFAULT 'customer',
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, paused, frozen
+  paused_at TIMESTAMP,
+  resumed_at TIMESTAMP,
+  terminated_at TIMESTAMP,
+  termination_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS customers_email_lower_idx ON customers(LOWER(email));
+
+-- ============================================================================
+-- TABLE: admins
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS admins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  full_name VARCHAR(255),
+  role VARCHAR(50) NOT NULL DEFAULT 'admin', -- admin, super_admin
+  tier VARCHAR(50),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  paused_at TIMESTAMP,
+  resumed_at TIMESTAMP,
+  terminated_at TIMESTAMP,
+  termination_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS admins_email_lower_idx ON admins(LOWER(email));
+
+-- ============================================================================
+-- TABLE: contractors
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS contractors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  legal_name VARCHAR(255),
+  business_name VARCHAR(255),
+  phone VARCHAR(50),
+  role VARCHAR(50) NOT NULL DEFAULT 'contractor',
+  status VARCHAR(30) NOT NULL DEFAULT 'pending_review',
+  vetting_status VARCHAR(30) NOT NULL DEFAULT 'UNDER_REVIEW', -- APPLIED, UNDER_REVIEW, PENDING_DOCUMENTS, APPROVED_ACTIVE, REJECTED
+  primary_trade VARCHAR(100),
+  secondary_trades TEXT[],
+  service_types INTEGER[],
+  experience_years INTEGER,
+  documents JSONB, -- { license, insurance, governmentId } file metadata
+  admin_notes TEXT,
+  contractor_tier VARCHAR(20) NOT NULL DEFAULT 'bronze', -- fee tier: bronze, silver, gold
+  tier VARCHAR(20), -- recognition tier managed by super admins
+  payment_schedule VARCHAR(20) NOT NULL DEFAULT 'weekly', -- per-job, weekly, biweekly, monthly
+  approved_at TIMESTAMP,
+  paused_at TIMESTAMP,
+  resumed_at TIMESTAMP,
+  terminated_at TIMESTAMP,
+  termination_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS contractors_email_lower_idx ON contractors(LOWER(email));
+CREATE INDEX IF NOT EXISTS contractors_vetting_status_idx ON contractors(vetting_status);
+
+-- ============================================================================
+-- TRIGGERS: keep updated_at current
+-- ============================================================================
+
+DROP TRIGGER IF EXISTS customers_update_updated_at ON customers;
+CREATE TRIGGER customers_update_updated_at
+  BEFORE UPDATE ON customers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS admins_update_updated_at ON admins;
+CREATE TRIGGER admins_update_updated_at
+  BEFORE UPDATE ON admins
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS contractors_update_updated_at ON contractors;
+CREATE TRIGGER contractors_update_updated_at
+  BEFORE UPDATE ON contractors
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- Rollback for 003-service-catalog.sql
+
+DROP TABLE IF EXISTS service_types;
+DROP TABLE IF EXISTS service_categories;
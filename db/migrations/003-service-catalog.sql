@@ -0,0 +1,53 @@
+-- FirstClick PostgreSQL Schema
+-- Service catalog: service_categories, service_types
+-- IDs are fixed by service-taxonomy.json, so they are not generated here.
+
+-- ============================================================================
+-- TABLE: service_categories
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS service_categories (
+  id INTEGER PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL UNIQUE,
+  icon VARCHAR(20),
+  description TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- TABLE: service_types
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS service_types (
+  id INTEGER PRIMARY KEY,
+  category_id INTEGER NOT NULL REFERENCES service_categories(id),
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL UNIQUE,
+  short_desc TEXT,
+  is_emergency_supported BOOLEAN NOT NULL DEFAULT FALSE,
+  requires_license BOOLEAN NOT NULL DEFAULT FALSE,
+  is_quote_only BOOLEAN NOT NULL DEFAULT FALSE,
+  tags TEXT[] DEFAULT ARRAY[]::TEXT[],
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS service_types_category_id_idx ON service_types(category_id);
+
+DROP TRIGGER IF EXISTS service_categories_update_updated_at ON service_categories;
+CREATE TRIGGER service_categories_update_updated_at
+  BEFORE UPDATE ON service_categories
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS service_types_update_updated_at ON service_types;
+CREATE TRIGGER service_types_update_updated_at
+  BEFORE UPDATE ON service_types
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- Rollback for 004-addresses-and-jobs.sql
+
+DROP TABLE IF EXISTS jobs;
+DROP TABLE IF EXISTS addresses;
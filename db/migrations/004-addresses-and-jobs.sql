@@ -0,0 +1,68 @@
+-- FirstClick PostgreSQL Schema
+-- Job intake: addresses, jobs
+
+-- ============================================================================
+-- TABLE: addresses
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS addresses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  address_line1 VARCHAR(255) NOT NULL,
+  address_line2 VARCHAR(255),
+  city VARCHAR(100),
+  province VARCHAR(50),
+  postal_code VARCHAR(20),
+  property_type VARCHAR(50), -- house, condo, townhouse, commercial
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================================
+-- TABLE: jobs
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  contractor_id UUID REFERENCES contractors(id),
+  service_category_id INTEGER REFERENCES service_categories(id),
+  service_type_id INTEGER REFERENCES service_types(id),
+  address_id UUID REFERENCES addresses(id),
+  description TEXT,
+  urgency VARCHAR(30) NOT NULL DEFAULT 'scheduled', -- emergency, same-day, next-day, scheduled
+  time_window VARCHAR(30) NOT NULL DEFAULT 'flexible',
+  status VARCHAR(30) NOT NULL DEFAULT 'submitted',
+  payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid',
+  payout_status VARCHAR(20) NOT NULL DEFAULT 'not_ready', -- not_ready, ready, processing, paid
+  final_price NUMERIC(12, 2),
+  material_fees NUMERIC(12, 2),
+  estimate JSONB,
+  problem_photo JSONB,
+  start_report JSONB,
+  completion_report JSONB,
+  cancellation JSONB,
+  relist_count INTEGER NOT NULL DEFAULT 0,
+  taxonomy_snapshot JSONB, -- service type as it was when the job was booked
+  has_dispute BOOLEAN NOT NULL DEFAULT FALSE,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS jobs_customer_id_idx ON jobs(customer_id);
+CREATE INDEX IF NOT EXISTS jobs_contractor_id_idx ON jobs(contractor_id);
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs(status);
+CREATE INDEX IF NOT EXISTS jobs_payout_status_idx ON jobs(payout_status);
+CREATE INDEX IF NOT EXISTS jobs_completed_at_idx ON jobs(completed_at DESC);
+
+DROP TRIGGER IF EXISTS addresses_update_updated_at ON addresses;
+CREATE TRIGGER addresses_update_updated_at
+  BEFORE UPDATE ON addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS jobs_update_updated_at ON jobs;
+CREATE TRIGGER jobs_update_updated_at
+  BEFORE UPDATE ON jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
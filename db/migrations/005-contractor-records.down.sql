@@ -0,0 +1,5 @@
+-- Rollback for 005-contractor-records.sql
+
+DROP TABLE IF EXISTS contractor_payments;
+DROP TABLE IF EXISTS contractor_documents;
+DROP TABLE IF EXISTS contractor_specialties;
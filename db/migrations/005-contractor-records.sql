@@ -0,0 +1,73 @@
+-- FirstClick PostgreSQL Schema
+-- Contractor records: contractor_specialties, contractor_documents, contractor_payments
+
+-- ============================================================================
+-- TABLE: contractor_specialties
+-- Service types a contractor is qualified to take
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS contractor_specialties (
+  contractor_id UUID NOT NULL REFERENCES contractors(id) ON DELETE CASCADE,
+  service_type_id INTEGER NOT NULL REFERENCES service_types(id),
+  is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (contractor_id, service_type_id)
+);
+
+CREATE INDEX IF NOT EXISTS contractor_specialties_service_type_id_idx ON contractor_specialties(service_type_id);
+
+-- ============================================================================
+-- TABLE: contractor_documents
+-- Licences, insurance and ID with expiry tracking
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS contractor_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contractor_id UUID NOT NULL REFERENCES contractors(id) ON DELETE CASCADE,
+  doc_type VARCHAR(50) NOT NULL, -- license, insurance, governmentId
+  filename VARCHAR(255),
+  mime VARCHAR(100),
+  size INTEGER,
+  path TEXT,
+  expiry_date DATE,
+  verified_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contractor_documents_contractor_id_idx ON contractor_documents(contractor_id);
+CREATE INDEX IF NOT EXISTS contractor_documents_expiry_date_idx ON contractor_documents(expiry_date);
+
+-- ============================================================================
+-- TABLE: contractor_payments
+-- Payouts sent to contractors
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS contractor_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contractor_id UUID NOT NULL REFERENCES contractors(id),
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  job_ids UUID[] NOT NULL DEFAULT ARRAY[]::UUID[],
+  payment_schedule VARCHAR(20),
+  payment_method VARCHAR(50) NOT NULL DEFAULT 'bank_transfer',
+  status VARCHAR(20) NOT NULL DEFAULT 'processing', -- processing, paid, failed
+  initiated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS contractor_payments_contractor_id_idx ON contractor_payments(contractor_id);
+
+DROP TRIGGER IF EXISTS contractor_documents_update_updated_at ON contractor_documents;
+CREATE TRIGGER contractor_documents_update_updated_at
+  BEFORE UPDATE ON contractor_documents
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS contractor_payments_update_updated_at ON contractor_payments;
+CREATE TRIGGER contractor_payments_update_updated_at
+  BEFORE UPDATE ON contractor_payments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
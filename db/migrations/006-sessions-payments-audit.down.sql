@@ -0,0 +1,7 @@
+-- Rollback for 006-sessions-payments-audit.sql
+
+DROP TRIGGER IF EXISTS payments_set_paid_at ON payments;
+DROP FUNCTION IF EXISTS set_payment_paid_at();
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,3 @@
+-- Rollback for 007-expansion-proposals.sql
+
+DROP TABLE IF EXISTS expansion_proposals;
@@ -0,0 +1,8 @@
+-- Rollback for 008-job-events.sql
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_contractor_id_fkey;
+ALTER TABLE jobs ADD CONSTRAINT jobs_contractor_id_fkey
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id);
+
+DROP TABLE IF EXISTS job_events;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
@@ -0,0 +1,51 @@
+-- FirstClick PostgreSQL Schema
+-- Job lifecycle: job_events history table and a constrained jobs.status
+-- Legal states and transitions live in backend/services/job-lifecycle.js.
+
+-- ============================================================================
+-- Normalise legacy free-form statuses before constraining the column
+-- ============================================================================
+
+UPDATE jobs SET status = 'ready_to_assign' WHERE status IN ('open', 'confirmed');
+UPDATE jobs SET status = 'assigned' WHERE status = 'accepted';
+UPDATE jobs SET status = 'on_site' WHERE status IN ('onsite', 'on-site', 'On Site');
+UPDATE jobs SET status = 'cancelled' WHERE status = 'canceled';
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check CHECK (status IN (
+  'submitted',
+  'ready_to_assign',
+  'assigned',
+  'en_route',
+  'on_site',
+  'in_progress',
+  'completed',
+  'cancel_requested',
+  'cancelled'
+));
+
+-- ============================================================================
+-- TABLE: job_events
+-- One row per status transition, written in the same transaction as the
+-- jobs.status update
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS job_events (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  event VARCHAR(40) NOT NULL, -- create, assign, start, complete, relist, ...
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  actor_role VARCHAR(50) NOT NULL,
+  actor_id VARCHAR(64),
+  details TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS job_events_job_id_idx ON job_events(job_id, created_at);
+
+-- Deleting a contractor keeps the history of jobs they finished
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_contractor_id_fkey;
+ALTER TABLE jobs ADD CONSTRAINT jobs_contractor_id_fkey
+  FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE SET NULL;
@@ -0,0 +1,6 @@
+-- Rollback for 009-auth-tokens.sql
+
+ALTER TABLE contractors DROP COLUMN IF EXISTS email_verified_at;
+ALTER TABLE customers DROP COLUMN IF EXISTS email_verified_at;
+
+DROP TABLE IF EXISTS auth_tokens;
@@ -0,0 +1,32 @@
+-- FirstClick PostgreSQL Schema
+-- Account tokens: password reset and email verification
+-- Only a SHA-256 hash of each token is stored; the raw value exists solely in
+-- the email sent to the account owner.
+
+-- ============================================================================
+-- TABLE: auth_tokens
+-- Single-use, time-limited tokens issued by backend/services/auth-tokens.js
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  user_role VARCHAR(50) NOT NULL,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+  email VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  requested_ip VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS auth_tokens_user_purpose_idx ON auth_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS auth_tokens_expires_at_idx ON auth_tokens(expires_at);
+
+-- ============================================================================
+-- Email verification state
+-- ============================================================================
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
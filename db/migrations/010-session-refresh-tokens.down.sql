@@ -0,0 +1,13 @@
+-- Rollback for 010-session-refresh-tokens.sql
+
+DROP INDEX IF EXISTS sessions_family_id_idx;
+DROP INDEX IF EXISTS sessions_refresh_token_hash_idx;
+
+ALTER TABLE sessions DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE sessions DROP COLUMN IF EXISTS ip;
+ALTER TABLE sessions DROP COLUMN IF EXISTS revoked_reason;
+ALTER TABLE sessions DROP COLUMN IF EXISTS replaced_by;
+ALTER TABLE sessions DROP COLUMN IF EXISTS rotated_at;
+ALTER TABLE sessions DROP COLUMN IF EXISTS authenticated_at;
+ALTER TABLE sessions DROP COLUMN IF EXISTS refresh_token_hash;
+ALTER TABLE sessions DROP COLUMN IF EXISTS family_id;
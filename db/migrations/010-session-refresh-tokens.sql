@@ -0,0 +1,28 @@
+-- FirstClick PostgreSQL Schema
+-- Refresh tokens: every sessions row holds one refresh token. Refreshing
+-- retires the row and starts a new one in the same token family, so a family
+-- is the chain of sessions descended from a single login.
+
+-- ============================================================================
+-- TABLE: sessions – token family, rotation and device columns
+-- ============================================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS family_id UUID;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS refresh_token_hash CHAR(64);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS authenticated_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS replaced_by UUID;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(40);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip VARCHAR(64);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+
+-- Sessions created before refresh tokens are each their own family
+UPDATE sessions SET family_id = id WHERE family_id IS NULL;
+UPDATE sessions SET authenticated_at = created_at WHERE authenticated_at IS NULL;
+
+ALTER TABLE sessions ALTER COLUMN family_id SET NOT NULL;
+ALTER TABLE sessions ALTER COLUMN authenticated_at SET NOT NULL;
+ALTER TABLE sessions ALTER COLUMN authenticated_at SET DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS sessions_refresh_token_hash_idx ON sessions(refresh_token_hash);
+CREATE INDEX IF NOT EXISTS sessions_family_id_idx ON sessions(family_id);
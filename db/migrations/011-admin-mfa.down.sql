@@ -0,0 +1,9 @@
+-- Rollback for 011-admin-mfa.sql
+
+DROP TABLE IF EXISTS platform_settings;
+
+ALTER TABLE admins DROP COLUMN IF EXISTS mfa_last_step;
+ALTER TABLE admins DROP COLUMN IF EXISTS mfa_recovery_codes;
+ALTER TABLE admins DROP COLUMN IF EXISTS mfa_enabled_at;
+ALTER TABLE admins DROP COLUMN IF EXISTS mfa_pending_secret;
+ALTER TABLE admins DROP COLUMN IF EXISTS mfa_secret;
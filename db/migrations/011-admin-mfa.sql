@@ -0,0 +1,28 @@
+-- FirstClick PostgreSQL Schema
+-- Two-factor authentication (TOTP) for admin and super admin accounts, plus a
+-- small key/value table for platform-wide settings such as the 2FA policy.
+
+-- ============================================================================
+-- TABLE: admins – TOTP enrollment
+-- Secrets are AES-256-GCM encrypted by backend/services/mfa.js; recovery
+-- codes are stored as SHA-256 hashes ([{ hash, used_at }]).
+-- ============================================================================
+
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS mfa_secret TEXT;
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT;
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP;
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS mfa_recovery_codes JSONB NOT NULL DEFAULT '[]';
+-- Last accepted TOTP time step, so a code cannot be replayed
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS mfa_last_step BIGINT;
+
+-- ============================================================================
+-- TABLE: platform_settings
+-- Settings changed from the superadmin console at runtime
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS platform_settings (
+  key VARCHAR(100) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by UUID,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
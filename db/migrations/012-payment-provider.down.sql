@@ -0,0 +1,9 @@
+-- Rollback for 012-payment-provider.sql
+
+DROP TABLE IF EXISTS payment_events;
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS payment_intent_id;
+
+DROP INDEX IF EXISTS payments_provider_transaction_idx;
+ALTER TABLE payments ALTER COLUMN currency SET DEFAULT 'USD';
+ALTER TABLE payments DROP COLUMN IF EXISTS provider;
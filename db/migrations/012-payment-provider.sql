@@ -0,0 +1,37 @@
+-- FirstClick PostgreSQL Schema
+-- Payment provider integration: payment rows are written from verified
+-- provider webhook events, which are recorded once each in payment_events.
+
+-- ============================================================================
+-- TABLE: payments – provider references
+-- transaction_id holds the provider's payment intent id
+-- ============================================================================
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(20);
+ALTER TABLE payments ALTER COLUMN currency SET DEFAULT 'CAD';
+
+CREATE UNIQUE INDEX IF NOT EXISTS payments_provider_transaction_idx
+  ON payments(provider, transaction_id);
+
+-- ============================================================================
+-- TABLE: jobs – open checkout
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payment_intent_id VARCHAR(120);
+
+-- ============================================================================
+-- TABLE: payment_events
+-- Webhook events by provider event id; a redelivered event is skipped once
+-- processed_at is set
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payment_events (
+  id VARCHAR(120) PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payment_events_received_at_idx ON payment_events(received_at);
@@ -0,0 +1,7 @@
+-- Rollback for 013-refunds.sql
+
+DROP TABLE IF EXISTS payout_adjustments;
+DROP TABLE IF EXISTS refunds;
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS refunded_amount;
+ALTER TABLE payments DROP COLUMN IF EXISTS amount_refunded;
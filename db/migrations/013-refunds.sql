@@ -0,0 +1,79 @@
+-- FirstClick PostgreSQL Schema
+-- Refunds: admin-initiated full and partial refunds of a job's payment, and
+-- the payout adjustments that claw an already-paid contractor payout back.
+
+-- ============================================================================
+-- TABLE: payments / jobs – running refund totals
+-- ============================================================================
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+-- ============================================================================
+-- TABLE: refunds
+-- One row per provider refund, written from verified webhook events.
+-- The *_before/*_after columns record the job's platform fee and contractor
+-- payout either side of the refund.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY,
+  payment_id UUID NOT NULL REFERENCES payments(id),
+  job_id UUID REFERENCES jobs(id),
+  provider VARCHAR(20) NOT NULL,
+  provider_refund_id VARCHAR(120) NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  reason_code VARCHAR(40) NOT NULL,
+  note TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, succeeded, failed, canceled
+  requested_by JSONB,
+  platform_fee_before NUMERIC(12, 2),
+  platform_fee_after NUMERIC(12, 2),
+  contractor_payout_before NUMERIC(12, 2),
+  contractor_payout_after NUMERIC(12, 2),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  succeeded_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS refunds_provider_refund_idx ON refunds(provider, provider_refund_id);
+CREATE INDEX IF NOT EXISTS refunds_payment_id_idx ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS refunds_job_id_idx ON refunds(job_id);
+
+-- ============================================================================
+-- TABLE: payout_adjustments
+-- Amounts (negative for a clawback) taken off a contractor's next payout
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payout_adjustments (
+  id UUID PRIMARY KEY,
+  contractor_id UUID NOT NULL REFERENCES contractors(id),
+  job_id UUID REFERENCES jobs(id),
+  refund_id UUID REFERENCES refunds(id),
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  reason VARCHAR(40) NOT NULL, -- refund_clawback, carried_forward
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, applied
+  applied_payout_id VARCHAR(120),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  applied_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payout_adjustments_contractor_status_idx
+  ON payout_adjustments(contractor_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS payout_adjustments_refund_idx
+  ON payout_adjustments(refund_id) WHERE reason = 'refund_clawback';
+
+DROP TRIGGER IF EXISTS refunds_update_updated_at ON refunds;
+CREATE TRIGGER refunds_update_updated_at
+  BEFORE UPDATE ON refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS payout_adjustments_update_updated_at ON payout_adjustments;
+CREATE TRIGGER payout_adjustments_update_updated_at
+  BEFORE UPDATE ON payout_adjustments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Rollback for 014-ledger.sql
+
+DROP TABLE IF EXISTS ledger_lines;
+DROP TABLE IF EXISTS ledger_entries;
+DROP FUNCTION IF EXISTS ledger_reject_change();
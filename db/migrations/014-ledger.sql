@@ -0,0 +1,78 @@
+-- FirstClick PostgreSQL Schema
+-- Ledger: append-only double-entry bookkeeping for customer charges,
+-- processing fees, platform revenue and contractor payouts.
+-- Accounts and posting rules live in backend/services/ledger.js.
+
+-- ============================================================================
+-- TABLE: ledger_entries
+-- One row per business event (job accrual, payment capture, refund, payout).
+-- idempotency_key makes re-posting the same event a no-op. job_id and
+-- contractor_id carry no foreign keys: the books outlive deleted records.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id UUID PRIMARY KEY,
+  entry_type VARCHAR(40) NOT NULL, -- job_accrual, payment_captured, refund, payout
+  description TEXT,
+  job_id UUID,
+  contractor_id UUID,
+  source_type VARCHAR(40), -- job, payment, refund, payout
+  source_id VARCHAR(120),
+  idempotency_key VARCHAR(200) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  actor JSONB,
+  meta JSONB,
+  occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_entries_idempotency_key_idx ON ledger_entries(idempotency_key);
+CREATE INDEX IF NOT EXISTS ledger_entries_occurred_at_idx ON ledger_entries(occurred_at);
+CREATE INDEX IF NOT EXISTS ledger_entries_job_id_idx ON ledger_entries(job_id);
+
+-- ============================================================================
+-- TABLE: ledger_lines
+-- The debits and credits of an entry; each entry's lines sum to zero.
+-- Exactly one of debit/credit is positive on a line.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ledger_lines (
+  id BIGSERIAL PRIMARY KEY,
+  entry_id UUID NOT NULL REFERENCES ledger_entries(id),
+  account VARCHAR(40) NOT NULL,
+  contractor_id UUID,
+  job_id UUID,
+  debit NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  credit NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  CONSTRAINT ledger_lines_one_side_check CHECK (
+    debit >= 0 AND credit >= 0 AND (debit = 0) <> (credit = 0)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS ledger_lines_entry_id_idx ON ledger_lines(entry_id);
+CREATE INDEX IF NOT EXISTS ledger_lines_account_contractor_idx ON ledger_lines(account, contractor_id);
+CREATE INDEX IF NOT EXISTS ledger_lines_job_id_idx ON ledger_lines(job_id);
+
+-- ============================================================================
+-- Append-only: corrections are new entries, never edits
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION ledger_reject_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Ledger rows are append-only (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+  BEFORE UPDATE OR DELETE ON ledger_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION ledger_reject_change();
+
+DROP TRIGGER IF EXISTS ledger_lines_append_only ON ledger_lines;
+CREATE TRIGGER ledger_lines_append_only
+  BEFORE UPDATE OR DELETE ON ledger_lines
+  FOR EACH ROW
+  EXECUTE FUNCTION ledger_reject_change();
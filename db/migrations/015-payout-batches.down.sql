@@ -0,0 +1,6 @@
+-- Rollback for 015-payout-batches.sql
+
+DROP TABLE IF EXISTS payout_batch_lines;
+DROP TABLE IF EXISTS payout_batches;
+
+ALTER TABLE contractors DROP COLUMN IF EXISTS payout_account_id;
@@ -0,0 +1,83 @@
+-- FirstClick PostgreSQL Schema
+-- Payout batches: contractor payouts drafted from ready jobs, approved by a
+-- second admin and sent through the payout provider one line per contractor.
+-- The workflow lives in backend/services/payouts/index.js.
+
+-- ============================================================================
+-- TABLE: contractors – where their payouts are sent
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS payout_account_id VARCHAR(120);
+
+-- ============================================================================
+-- TABLE: payout_batches
+-- prepared_by/approved_by/executed_by hold the acting admin ({ role, id, email });
+-- the approver must be a different admin from the preparer.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id UUID PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, approved, processing, completed, partially_failed, failed, canceled
+  payment_schedule VARCHAR(20), -- NULL when drafted for every schedule
+  provider VARCHAR(20) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  line_count INTEGER NOT NULL DEFAULT 0,
+  total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  note TEXT,
+  prepared_by JSONB NOT NULL,
+  approved_by JSONB,
+  approved_at TIMESTAMP,
+  executed_by JSONB,
+  executed_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  canceled_by JSONB,
+  canceled_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payout_batches_status_idx ON payout_batches(status);
+CREATE INDEX IF NOT EXISTS payout_batches_created_at_idx ON payout_batches(created_at);
+
+-- ============================================================================
+-- TABLE: payout_batch_lines
+-- One payout to one contractor: their ready jobs' labour less pending
+-- clawbacks, plus materials. The amount is fixed when the batch is drafted;
+-- the ledger's payout entry for a line is keyed payout:<line id>.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payout_batch_lines (
+  id UUID PRIMARY KEY,
+  batch_id UUID NOT NULL REFERENCES payout_batches(id),
+  contractor_id UUID NOT NULL REFERENCES contractors(id),
+  job_ids UUID[] NOT NULL DEFAULT ARRAY[]::UUID[],
+  gross_amount NUMERIC(12, 2) NOT NULL,
+  adjustments NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  materials NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, processing, paid, failed, canceled
+  destination VARCHAR(120),
+  provider_payout_id VARCHAR(120),
+  failure_code VARCHAR(60),
+  failure_message TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  paid_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payout_batch_lines_batch_id_idx ON payout_batch_lines(batch_id);
+CREATE INDEX IF NOT EXISTS payout_batch_lines_contractor_id_idx ON payout_batch_lines(contractor_id);
+
+DROP TRIGGER IF EXISTS payout_batches_update_updated_at ON payout_batches;
+CREATE TRIGGER payout_batches_update_updated_at
+  BEFORE UPDATE ON payout_batches
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS payout_batch_lines_update_updated_at ON payout_batch_lines;
+CREATE TRIGGER payout_batch_lines_update_updated_at
+  BEFORE UPDATE ON payout_batch_lines
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,10 @@
+-- Rollback for 016-payout-schedule.sql
+
+DROP INDEX IF EXISTS payout_batches_scheduled_for_idx;
+ALTER TABLE payout_batches DROP COLUMN IF EXISTS scheduled_for;
+
+ALTER TABLE contractors DROP COLUMN IF EXISTS payout_last_run_on;
+ALTER TABLE contractors DROP COLUMN IF EXISTS payout_held_by;
+ALTER TABLE contractors DROP COLUMN IF EXISTS payout_held_at;
+ALTER TABLE contractors DROP COLUMN IF EXISTS payout_hold_reason;
+ALTER TABLE contractors DROP COLUMN IF EXISTS payout_timezone;
@@ -0,0 +1,24 @@
+-- FirstClick PostgreSQL Schema
+-- Payout schedule: each contractor's payout time zone, payout holds and the
+-- last due date the scheduler drafted a batch for. Due dates, holidays and
+-- the run itself live in backend/services/payouts/schedule.js and scheduler.js.
+
+-- ============================================================================
+-- TABLE: contractors – schedule time zone and holds
+-- payout_held_by holds the acting admin ({ role, id, email }).
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS payout_timezone VARCHAR(64);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS payout_hold_reason TEXT;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS payout_held_at TIMESTAMP;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS payout_held_by JSONB;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS payout_last_run_on DATE;
+
+-- ============================================================================
+-- TABLE: payout_batches – the due date a scheduled batch was drafted for
+-- (NULL for batches drafted by hand)
+-- ============================================================================
+
+ALTER TABLE payout_batches ADD COLUMN IF NOT EXISTS scheduled_for DATE;
+
+CREATE INDEX IF NOT EXISTS payout_batches_scheduled_for_idx ON payout_batches(scheduled_for);
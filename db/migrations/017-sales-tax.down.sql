@@ -0,0 +1,10 @@
+-- Rollback for 017-sales-tax.sql
+
+ALTER TABLE refunds DROP COLUMN IF EXISTS tax_amount;
+ALTER TABLE payments DROP COLUMN IF EXISTS tax_amount;
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS refunded_tax;
+ALTER TABLE jobs DROP COLUMN IF EXISTS sales_tax;
+
+ALTER TABLE contractors DROP COLUMN IF EXISTS qst_number;
+ALTER TABLE contractors DROP COLUMN IF EXISTS gst_hst_number;
@@ -0,0 +1,31 @@
+-- FirstClick PostgreSQL Schema
+-- Canadian sales tax: contractors' tax registration numbers, the tax fixed
+-- on a job when it is completed, and the tax share of payments and refunds.
+-- Rates and taxability rules live in backend/services/tax.js.
+
+-- ============================================================================
+-- TABLE: contractors – GST/HST and QST registration numbers
+-- (123456789RT0001 and 1234567890TQ0001; NULL for unregistered small suppliers)
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS gst_hst_number VARCHAR(15);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS qst_number VARCHAR(16);
+
+-- ============================================================================
+-- TABLE: jobs – sales tax
+-- sales_tax is the tax charged on the job, fixed at completion:
+-- { province, tax_date, gst_hst_number, qst_number,
+--   lines: [{ code, label, rate, taxable, amount }], total }.
+-- refunded_tax is the part of refunded_amount's refunds that was tax
+-- (refunded_amount itself stays the pre-tax price refunded).
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS sales_tax JSONB;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS refunded_tax NUMERIC(10,2) DEFAULT 0;
+
+-- ============================================================================
+-- TABLES: payments, refunds – the tax included in amount
+-- ============================================================================
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(10,2) DEFAULT 0;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(10,2) DEFAULT 0;
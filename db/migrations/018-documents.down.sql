@@ -0,0 +1,4 @@
+-- Rollback for 018-documents.sql
+
+DROP TABLE IF EXISTS documents;
+DROP TABLE IF EXISTS document_sequences;
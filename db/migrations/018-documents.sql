@@ -0,0 +1,58 @@
+-- FirstClick PostgreSQL Schema
+-- Documents: customer invoices (one per job) and contractor payout
+-- statements (one per contractor and period), rendered to PDF by
+-- backend/services/documents and kept with the figures they show.
+
+-- ============================================================================
+-- TABLE: document_sequences
+-- The last number issued for each kind of document. Numbers are taken in
+-- the same transaction as the document row, so they never skip or repeat.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS document_sequences (
+  kind VARCHAR(30) PRIMARY KEY,
+  last_value INTEGER NOT NULL DEFAULT 0
+);
+
+-- ============================================================================
+-- TABLE: documents
+-- number is the printed number (INV-000001, PST-000001); sequence its
+-- counter. data holds the figures the PDF was rendered from. An invoice is
+-- rendered again (revision + 1) when the job's payments, refunds or
+-- materials change; it keeps its number and issue date.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS documents (
+  id UUID PRIMARY KEY,
+  kind VARCHAR(30) NOT NULL, -- invoice, payout_statement
+  sequence INTEGER NOT NULL,
+  number VARCHAR(30) NOT NULL UNIQUE,
+  job_id UUID REFERENCES jobs(id),
+  customer_id UUID REFERENCES customers(id),
+  contractor_id UUID REFERENCES contractors(id),
+  period_start DATE,
+  period_end DATE,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  data JSONB NOT NULL,
+  pdf BYTEA NOT NULL,
+  revision INTEGER NOT NULL DEFAULT 1,
+  issued_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  emailed_to VARCHAR(255),
+  emailed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (kind, sequence)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS documents_invoice_job_idx ON documents(job_id) WHERE kind = 'invoice';
+CREATE UNIQUE INDEX IF NOT EXISTS documents_statement_period_idx
+  ON documents(contractor_id, period_start, period_end) WHERE kind = 'payout_statement';
+CREATE INDEX IF NOT EXISTS documents_customer_id_idx ON documents(customer_id);
+CREATE INDEX IF NOT EXISTS documents_contractor_id_idx ON documents(contractor_id);
+
+DROP TRIGGER IF EXISTS documents_update_updated_at ON documents;
+CREATE TRIGGER documents_update_updated_at
+  BEFORE UPDATE ON documents
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- Rollback for 019-quotes.sql
+
+ALTER TABLE payments DROP COLUMN IF EXISTS purpose;
+ALTER TABLE jobs DROP COLUMN IF EXISTS inspection_fee_intent_id;
+ALTER TABLE jobs DROP COLUMN IF EXISTS inspection_fee_status;
+ALTER TABLE jobs DROP COLUMN IF EXISTS accepted_quote_id;
+DROP TABLE IF EXISTS quotes;
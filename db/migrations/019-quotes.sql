@@ -0,0 +1,62 @@
+-- FirstClick PostgreSQL Schema
+-- Quotes: contractors' line-item quotes on quote_only and inspection_fee
+-- jobs. The customer accepts one, which assigns the job and fixes its
+-- final price. Inspection fee jobs take the fee up front as a separate
+-- payment that is credited against the final invoice.
+
+-- ============================================================================
+-- TABLE: quotes
+-- line_items: [{ description, kind (labour|materials), quantity, unit_price, amount }].
+-- total_amount is the pre-tax price the job takes if the quote is accepted;
+-- sales_tax is the tax on it as estimated when the quote was submitted.
+-- A contractor has at most one open (submitted) quote per job.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS quotes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  contractor_id UUID NOT NULL REFERENCES contractors(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'submitted', -- submitted, accepted, declined, withdrawn, expired
+  line_items JSONB NOT NULL,
+  labour_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  materials_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  sales_tax JSONB,
+  notes TEXT,
+  valid_until TIMESTAMP NOT NULL,
+  decided_at TIMESTAMP,
+  decline_reason VARCHAR(500),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS quotes_open_per_contractor_idx
+  ON quotes(job_id, contractor_id) WHERE status = 'submitted';
+CREATE INDEX IF NOT EXISTS quotes_job_id_idx ON quotes(job_id);
+CREATE INDEX IF NOT EXISTS quotes_contractor_id_idx ON quotes(contractor_id);
+CREATE INDEX IF NOT EXISTS quotes_valid_until_idx ON quotes(valid_until) WHERE status = 'submitted';
+
+DROP TRIGGER IF EXISTS quotes_update_updated_at ON quotes;
+CREATE TRIGGER quotes_update_updated_at
+  BEFORE UPDATE ON quotes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: jobs – the accepted quote and the inspection fee
+-- inspection_fee_status follows the fee's payment (unpaid, processing,
+-- paid, failed, refunded; a partly refunded fee stays paid); NULL when no
+-- fee is due.
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS accepted_quote_id UUID REFERENCES quotes(id);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS inspection_fee_status VARCHAR(20);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS inspection_fee_intent_id VARCHAR(120);
+
+-- ============================================================================
+-- TABLE: payments – what a payment is for (job: the price and tax of a
+-- completed job; inspection_fee: the fee taken before quoting)
+-- ============================================================================
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) NOT NULL DEFAULT 'job';
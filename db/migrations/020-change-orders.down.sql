@@ -0,0 +1,3 @@
+-- Rollback for 020-change-orders.sql
+
+DROP TABLE IF EXISTS change_orders;
@@ -0,0 +1,39 @@
+-- FirstClick PostgreSQL Schema
+-- Change orders: extra (or reduced) scope a contractor raises while a job
+-- is in progress. The customer approves or rejects each one; an approved
+-- change order's amount is added to the job's final price.
+
+-- ============================================================================
+-- TABLE: change_orders
+-- amount is the pre-tax price delta (negative for reduced scope);
+-- price_before/price_after are the job's final price either side of the
+-- approval. photos: [{ dataUrl | path, filename }] as sent by the contractor.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS change_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  contractor_id UUID NOT NULL REFERENCES contractors(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, withdrawn
+  description TEXT NOT NULL,
+  reason VARCHAR(500),
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  photos JSONB NOT NULL DEFAULT '[]',
+  price_before NUMERIC(12, 2),
+  price_after NUMERIC(12, 2),
+  decided_at TIMESTAMP,
+  decided_by JSONB,
+  rejection_reason VARCHAR(500),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS change_orders_job_id_idx ON change_orders(job_id);
+CREATE INDEX IF NOT EXISTS change_orders_pending_idx ON change_orders(job_id) WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS change_orders_update_updated_at ON change_orders;
+CREATE TRIGGER change_orders_update_updated_at
+  BEFORE UPDATE ON change_orders
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- Rollback for 021-pricing-versions.sql
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS pricing_version_id;
+DROP TABLE IF EXISTS pricing_versions;
@@ -0,0 +1,44 @@
+-- FirstClick PostgreSQL Schema
+-- Pricing versions: the service price catalogue and its pricing rules as
+-- versioned records. Admins edit a draft and publish it with the date it
+-- takes effect; published versions never change. Each job records the
+-- version that produced its estimate.
+
+-- ============================================================================
+-- TABLE: pricing_versions
+-- catalogue has the shape of service-pricing.json: { globalRules, categories }
+-- (globalRules: urgency, property type, time-of-day and weekend multipliers
+-- and the city/province overrides). The version in force at a moment is the
+-- published one with the latest effective_from at or before it. The first
+-- version is created from service-pricing.json when the table is empty.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pricing_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version INTEGER NOT NULL UNIQUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, published
+  catalogue JSONB NOT NULL,
+  notes TEXT,
+  based_on UUID REFERENCES pricing_versions(id),
+  effective_from TIMESTAMP,
+  created_by JSONB,
+  published_by JSONB,
+  published_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS pricing_versions_effective_idx
+  ON pricing_versions(effective_from) WHERE status = 'published';
+
+DROP TRIGGER IF EXISTS pricing_versions_update_updated_at ON pricing_versions;
+CREATE TRIGGER pricing_versions_update_updated_at
+  BEFORE UPDATE ON pricing_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: jobs – the pricing version behind the job's estimate
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS pricing_version_id UUID REFERENCES pricing_versions(id);
@@ -0,0 +1,10 @@
+-- Rollback for 022-promotions.sql
+
+ALTER TABLE payments DROP COLUMN IF EXISTS credit_amount;
+ALTER TABLE payments DROP COLUMN IF EXISTS discount_amount;
+DROP TABLE IF EXISTS customer_credits;
+DROP TABLE IF EXISTS referrals;
+DROP INDEX IF EXISTS customers_referral_code_idx;
+ALTER TABLE customers DROP COLUMN IF EXISTS referral_code;
+DROP TABLE IF EXISTS promo_redemptions;
+DROP TABLE IF EXISTS promo_codes;
@@ -0,0 +1,131 @@
+-- FirstClick PostgreSQL Schema
+-- Promotions: promo codes customers apply to a job, referral links that
+-- credit both customers once the referred one's first job is completed,
+-- and the customer credit balance spent at checkout. The platform pays
+-- for all of them: contractor payouts are computed on the full price.
+
+-- ============================================================================
+-- TABLE: promo_codes
+-- kind 'percent' takes value % off the job's price before tax (capped at
+-- max_discount when set); 'fixed' takes value dollars off. An empty
+-- service_category_ids applies to every service. redemption_count counts
+-- the redemptions that are not released and never passes max_redemptions.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(40) NOT NULL UNIQUE, -- stored upper case
+  description VARCHAR(500),
+  kind VARCHAR(10) NOT NULL, -- percent, fixed
+  value NUMERIC(12, 2) NOT NULL,
+  max_discount NUMERIC(12, 2),
+  service_category_ids JSONB NOT NULL DEFAULT '[]',
+  first_job_only BOOLEAN NOT NULL DEFAULT FALSE,
+  max_redemptions INTEGER,
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT promo_codes_redemptions_check CHECK (max_redemptions IS NULL OR redemption_count <= max_redemptions)
+);
+
+DROP TRIGGER IF EXISTS promo_codes_update_updated_at ON promo_codes;
+CREATE TRIGGER promo_codes_update_updated_at
+  BEFORE UPDATE ON promo_codes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: promo_redemptions
+-- A code applied to a job. amount is the discount actually given, set when
+-- the job's payment is captured. A job has at most one live redemption and
+-- a customer uses each code once.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'applied', -- applied, redeemed, released
+  amount NUMERIC(12, 2),
+  payment_id UUID REFERENCES payments(id),
+  redeemed_at TIMESTAMP,
+  released_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS promo_redemptions_job_live_idx
+  ON promo_redemptions(job_id) WHERE status <> 'released';
+CREATE UNIQUE INDEX IF NOT EXISTS promo_redemptions_customer_live_idx
+  ON promo_redemptions(promo_code_id, customer_id) WHERE status <> 'released';
+
+DROP TRIGGER IF EXISTS promo_redemptions_update_updated_at ON promo_redemptions;
+CREATE TRIGGER promo_redemptions_update_updated_at
+  BEFORE UPDATE ON promo_redemptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: referrals
+-- One per referred customer, recorded when they sign up through a
+-- referral link and rewarded when their first job is completed.
+-- ============================================================================
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS referral_code VARCHAR(20);
+CREATE UNIQUE INDEX IF NOT EXISTS customers_referral_code_idx ON customers(referral_code);
+
+CREATE TABLE IF NOT EXISTS referrals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  referee_id UUID NOT NULL UNIQUE REFERENCES customers(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, rewarded
+  reward_job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+  referrer_credit NUMERIC(12, 2),
+  referee_credit NUMERIC(12, 2),
+  rewarded_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS referrals_referrer_id_idx ON referrals(referrer_id);
+
+DROP TRIGGER IF EXISTS referrals_update_updated_at ON referrals;
+CREATE TRIGGER referrals_update_updated_at
+  BEFORE UPDATE ON referrals
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: customer_credits
+-- Append-only movements of a customer's credit balance (the sum of amount):
+-- referral and grant add credit; applied holds it for a job's checkout
+-- (negative) and released gives a hold back.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS customer_credits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL, -- referral, grant, applied, released
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'CAD',
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+  referral_id UUID REFERENCES referrals(id) ON DELETE SET NULL,
+  reason VARCHAR(500),
+  created_by JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS customer_credits_customer_id_idx ON customer_credits(customer_id);
+CREATE INDEX IF NOT EXISTS customer_credits_job_id_idx ON customer_credits(job_id);
+
+-- ============================================================================
+-- payments: what came off the charge, paid for by the platform
+-- ============================================================================
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS credit_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,21 @@
+-- Rollback for 023-dispatch.sql
+
+DROP TABLE IF EXISTS dispatch_offers;
+DROP INDEX IF EXISTS jobs_dispatch_status_idx;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_customer_rating_check;
+ALTER TABLE jobs DROP COLUMN IF EXISTS rated_at;
+ALTER TABLE jobs DROP COLUMN IF EXISTS customer_review;
+ALTER TABLE jobs DROP COLUMN IF EXISTS customer_rating;
+ALTER TABLE jobs DROP COLUMN IF EXISTS dispatch_escalation_reason;
+ALTER TABLE jobs DROP COLUMN IF EXISTS dispatch_escalated_at;
+ALTER TABLE jobs DROP COLUMN IF EXISTS dispatch_opened_at;
+ALTER TABLE jobs DROP COLUMN IF EXISTS dispatch_wave;
+ALTER TABLE jobs DROP COLUMN IF EXISTS dispatch_status;
+ALTER TABLE addresses DROP COLUMN IF EXISTS longitude;
+ALTER TABLE addresses DROP COLUMN IF EXISTS latitude;
+ALTER TABLE contractors DROP COLUMN IF EXISTS max_active_jobs;
+ALTER TABLE contractors DROP COLUMN IF EXISTS service_radius_km;
+ALTER TABLE contractors DROP COLUMN IF EXISTS base_longitude;
+ALTER TABLE contractors DROP COLUMN IF EXISTS base_latitude;
+ALTER TABLE contractors DROP COLUMN IF EXISTS base_province;
+ALTER TABLE contractors DROP COLUMN IF EXISTS base_city;
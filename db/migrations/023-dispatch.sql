@@ -0,0 +1,78 @@
+-- FirstClick PostgreSQL Schema
+-- Dispatch: new jobs are offered to the best-ranked contractors in timed
+-- waves before they go to the open pool, and escalated to admins when
+-- nobody takes them.
+
+-- ============================================================================
+-- Where contractors work and how much they take on
+-- base_latitude/base_longitude (or the centre of base_city when unset) and
+-- service_radius_km bound the jobs they are offered; a contractor holding
+-- max_active_jobs active jobs is not offered more.
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS base_city VARCHAR(100);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS base_province VARCHAR(50);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS base_latitude NUMERIC(9, 6);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS base_longitude NUMERIC(9, 6);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS service_radius_km INTEGER NOT NULL DEFAULT 40;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS max_active_jobs INTEGER NOT NULL DEFAULT 5;
+
+-- Coordinates sent with the booking; the city's centre is used otherwise
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+
+-- ============================================================================
+-- jobs: dispatch state and the customer's rating of the work
+-- dispatch_status: offering (waves of offers out), open (in the pool for
+-- every matching contractor), escalated (open, and flagged to admins),
+-- assigned. NULL for jobs that were never dispatched (quoted jobs, older
+-- jobs): they are in the pool as before.
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dispatch_status VARCHAR(20);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dispatch_wave INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dispatch_opened_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dispatch_escalated_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dispatch_escalation_reason VARCHAR(500);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS customer_rating SMALLINT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS customer_review VARCHAR(2000);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS rated_at TIMESTAMP;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_customer_rating_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_customer_rating_check CHECK (customer_rating IS NULL OR customer_rating BETWEEN 1 AND 5);
+
+CREATE INDEX IF NOT EXISTS jobs_dispatch_status_idx ON jobs(dispatch_status);
+
+-- ============================================================================
+-- TABLE: dispatch_offers
+-- One per contractor offered a job, with the score that ranked them.
+-- A contractor is offered a job once.
+-- offered → accepted | declined | expired | withdrawn
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS dispatch_offers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  contractor_id UUID NOT NULL REFERENCES contractors(id) ON DELETE CASCADE,
+  wave INTEGER NOT NULL,
+  rank INTEGER NOT NULL,
+  score NUMERIC(6, 4) NOT NULL,
+  factors JSONB NOT NULL DEFAULT '{}',
+  distance_km NUMERIC(8, 1),
+  status VARCHAR(20) NOT NULL DEFAULT 'offered',
+  expires_at TIMESTAMP NOT NULL,
+  responded_at TIMESTAMP,
+  decline_reason VARCHAR(500),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT dispatch_offers_job_contractor_key UNIQUE (job_id, contractor_id)
+);
+
+CREATE INDEX IF NOT EXISTS dispatch_offers_contractor_id_idx ON dispatch_offers(contractor_id);
+CREATE INDEX IF NOT EXISTS dispatch_offers_live_idx ON dispatch_offers(expires_at) WHERE status = 'offered';
+
+DROP TRIGGER IF EXISTS dispatch_offers_update_updated_at ON dispatch_offers;
+CREATE TRIGGER dispatch_offers_update_updated_at
+  BEFORE UPDATE ON dispatch_offers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,10 @@
+-- Rollback for 024-scheduling.sql
+
+DROP INDEX IF EXISTS jobs_contractor_appointment_idx;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_appointment_check;
+ALTER TABLE jobs DROP COLUMN IF EXISTS appointment_reschedules;
+ALTER TABLE jobs DROP COLUMN IF EXISTS appointment_time_zone;
+ALTER TABLE jobs DROP COLUMN IF EXISTS appointment_end;
+ALTER TABLE jobs DROP COLUMN IF EXISTS appointment_start;
+DROP TABLE IF EXISTS contractor_blackouts;
+ALTER TABLE contractors DROP COLUMN IF EXISTS weekly_availability;
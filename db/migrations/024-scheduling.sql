@@ -0,0 +1,49 @@
+-- FirstClick PostgreSQL Schema
+-- Appointment scheduling: contractors publish their weekly hours and days
+-- off, customers book a concrete appointment slot, and a contractor cannot
+-- hold two jobs booked for the same time.
+
+-- ============================================================================
+-- contractors.weekly_availability
+-- { "mon": [{ "from": "08:00", "to": "17:00" }], "tue": [...], ... } in the
+-- contractor's local time (the time zone of base_province). NULL until they
+-- publish their hours: weekdays 08:00–17:00 are assumed.
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS weekly_availability JSONB;
+
+-- ============================================================================
+-- TABLE: contractor_blackouts
+-- Whole days a contractor does not work (holidays, time off), inclusive.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS contractor_blackouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contractor_id UUID NOT NULL REFERENCES contractors(id) ON DELETE CASCADE,
+  starts_on DATE NOT NULL,
+  ends_on DATE NOT NULL,
+  reason VARCHAR(200),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT contractor_blackouts_dates_check CHECK (ends_on >= starts_on)
+);
+
+CREATE INDEX IF NOT EXISTS contractor_blackouts_contractor_id_idx ON contractor_blackouts(contractor_id, ends_on);
+
+-- ============================================================================
+-- jobs: the booked appointment
+-- appointment_start/appointment_end bound the slot; appointment_time_zone is
+-- the zone of the job's address, for showing it in local time. Jobs without
+-- an appointment keep only urgency and time_window as before.
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS appointment_start TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS appointment_end TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS appointment_time_zone VARCHAR(50);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS appointment_reschedules INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_appointment_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_appointment_check
+  CHECK ((appointment_start IS NULL AND appointment_end IS NULL) OR appointment_end > appointment_start);
+
+CREATE INDEX IF NOT EXISTS jobs_contractor_appointment_idx ON jobs(contractor_id, appointment_start)
+  WHERE appointment_start IS NOT NULL;
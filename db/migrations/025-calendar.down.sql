@@ -0,0 +1,7 @@
+-- Rollback for 025-calendar.sql
+
+ALTER TABLE jobs DROP COLUMN IF EXISTS calendar_invitees;
+ALTER TABLE jobs DROP COLUMN IF EXISTS calendar_sequence;
+DROP INDEX IF EXISTS contractors_calendar_feed_token_hash_idx;
+ALTER TABLE contractors DROP COLUMN IF EXISTS calendar_feed_created_at;
+ALTER TABLE contractors DROP COLUMN IF EXISTS calendar_feed_token_hash;
@@ -0,0 +1,28 @@
+-- FirstClick PostgreSQL Schema
+-- Calendar invites and feeds: contractors subscribe to a private iCalendar
+-- feed of their jobs, and customers and contractors are emailed .ics
+-- invites that follow the appointment as it is booked, moved, reassigned
+-- or cancelled.
+
+-- ============================================================================
+-- contractors.calendar_feed_token_hash
+-- SHA-256 of the secret in the contractor's feed URL; the URL itself is only
+-- shown when it is created. NULL when they have no feed (or revoked it).
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS calendar_feed_token_hash VARCHAR(64);
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS calendar_feed_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS contractors_calendar_feed_token_hash_idx ON contractors(calendar_feed_token_hash)
+  WHERE calendar_feed_token_hash IS NOT NULL;
+
+-- ============================================================================
+-- jobs: the invite state
+-- calendar_sequence is the iCalendar SEQUENCE of the job's event, raised
+-- with every invite or cancellation sent. calendar_invitees lists who holds
+-- the event and the version they were sent:
+--   [{ "role": "customer", "id": "...", "fingerprint": "..." }, ...]
+-- ============================================================================
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS calendar_invitees JSONB;
@@ -0,0 +1,7 @@
+-- Rollback for 026-check-ins.sql
+
+ALTER TABLE contractors DROP COLUMN IF EXISTS arrival_location_mismatches;
+ALTER TABLE contractors DROP COLUMN IF EXISTS arrival_minutes_late;
+ALTER TABLE contractors DROP COLUMN IF EXISTS arrivals_late;
+ALTER TABLE contractors DROP COLUMN IF EXISTS arrivals_on_time;
+DROP TABLE IF EXISTS job_check_ins;
@@ -0,0 +1,45 @@
+-- FirstClick PostgreSQL Schema
+-- Contractor check-ins: the contractor reports setting off, arriving and
+-- leaving, optionally with their position, so customers know when to
+-- expect them and punctuality can be measured.
+
+-- ============================================================================
+-- TABLE: job_check_ins
+-- One row per report. distance_m and location_check compare the reported
+-- position with the job's address (verified, mismatch or unknown when
+-- either side has no exact position). eta is when a departing contractor
+-- expects to arrive; minutes_late is measured against the appointment
+-- (expected lateness on departure, actual lateness on arrival).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS job_check_ins (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  contractor_id UUID NOT NULL REFERENCES contractors(id) ON DELETE CASCADE,
+  kind VARCHAR(10) NOT NULL,
+  recorded_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  latitude NUMERIC(9, 6),
+  longitude NUMERIC(9, 6),
+  accuracy_m NUMERIC(8, 1),
+  distance_m INTEGER,
+  location_check VARCHAR(10) NOT NULL DEFAULT 'unknown',
+  eta TIMESTAMP,
+  minutes_late INTEGER,
+  notes TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT job_check_ins_kind_check CHECK (kind IN ('depart', 'arrive', 'leave')),
+  CONSTRAINT job_check_ins_location_check CHECK (location_check IN ('verified', 'mismatch', 'unknown'))
+);
+
+CREATE INDEX IF NOT EXISTS job_check_ins_job_id_idx ON job_check_ins(job_id, recorded_at);
+CREATE INDEX IF NOT EXISTS job_check_ins_contractor_id_idx ON job_check_ins(contractor_id, recorded_at);
+
+-- ============================================================================
+-- contractors: punctuality
+-- Counted on each arrival at a job with an appointment.
+-- ============================================================================
+
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS arrivals_on_time INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS arrivals_late INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS arrival_minutes_late INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE contractors ADD COLUMN IF NOT EXISTS arrival_location_mismatches INTEGER NOT NULL DEFAULT 0;
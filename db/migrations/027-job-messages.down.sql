@@ -0,0 +1,3 @@
+-- Rollback for 027-job-messages.sql
+
+DROP TABLE IF EXISTS job_messages;
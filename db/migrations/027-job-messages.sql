@@ -0,0 +1,29 @@
+-- FirstClick PostgreSQL Schema
+-- Job messages: one thread per job between the customer and the contractor.
+
+-- ============================================================================
+-- TABLE: job_messages
+-- masked is set when phone numbers or email addresses were taken out of the
+-- body because no contractor was assigned yet; the original text is not
+-- kept. attachments holds the photos ({ id, filename, mime, size, path }).
+-- read_at is when the other side first opened the thread after the message
+-- was sent. purged_at is set by the retention sweep, which clears the body
+-- and deletes the photos.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS job_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  sender_role VARCHAR(20) NOT NULL,
+  sender_id UUID NOT NULL,
+  body TEXT,
+  attachments JSONB NOT NULL DEFAULT '[]',
+  masked BOOLEAN NOT NULL DEFAULT FALSE,
+  read_at TIMESTAMP,
+  purged_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT job_messages_sender_role_check CHECK (sender_role IN ('customer', 'contractor'))
+);
+
+CREATE INDEX IF NOT EXISTS job_messages_job_id_idx ON job_messages(job_id, created_at);
+CREATE INDEX IF NOT EXISTS job_messages_unread_idx ON job_messages(job_id, sender_role) WHERE read_at IS NULL;
@@ -0,0 +1,5 @@
+-- Rollback for 028-notifications.sql
+
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS push_subscriptions;
+DROP TABLE IF EXISTS notification_preferences;
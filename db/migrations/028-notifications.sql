@@ -0,0 +1,83 @@
+-- FirstClick PostgreSQL Schema
+-- Notifications: per-user channel preferences, web push subscriptions and the
+-- delivery log.
+
+-- ============================================================================
+-- TABLE: notification_preferences
+-- One row per customer or contractor who has changed the defaults. channels
+-- maps an event type to the channels it goes out on ({ "job_assigned":
+-- ["email", "push"] }); event types missing from it use their defaults.
+-- Quiet hours are local times in time_zone (NULL: the time zone of the job
+-- or the platform); SMS and push are held back between them.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_role VARCHAR(20) NOT NULL,
+  user_id UUID NOT NULL,
+  locale VARCHAR(10) NOT NULL DEFAULT 'en',
+  time_zone VARCHAR(64),
+  quiet_start VARCHAR(5),
+  quiet_end VARCHAR(5),
+  channels JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_role, user_id),
+  CONSTRAINT notification_preferences_quiet_check CHECK ((quiet_start IS NULL) = (quiet_end IS NULL))
+);
+
+-- ============================================================================
+-- TABLE: push_subscriptions
+-- Browser push subscriptions (the PushSubscription endpoint and its keys).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_role VARCHAR(20) NOT NULL,
+  user_id UUID NOT NULL,
+  endpoint TEXT NOT NULL UNIQUE,
+  keys JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS push_subscriptions_user_idx ON push_subscriptions(user_role, user_id);
+
+-- ============================================================================
+-- TABLE: notification_deliveries
+-- One row per notification per channel (per device for push), rendered when
+-- it is created. pending rows are sent at next_attempt_at: straight away,
+-- after quiet hours, or after a failed attempt. Each attempt counts and
+-- moves next_attempt_at on before sending, so a crash mid-send is retried.
+-- A row fails for good after NOTIFY_MAX_ATTEMPTS; skipped rows had no
+-- address or fell in quiet hours for an event that would be stale later.
+-- dedupe_key stops reminders from going out twice.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_type VARCHAR(50) NOT NULL,
+  user_role VARCHAR(20) NOT NULL,
+  user_id UUID NOT NULL,
+  channel VARCHAR(10) NOT NULL,
+  address TEXT,
+  locale VARCHAR(10) NOT NULL DEFAULT 'en',
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  entity_type VARCHAR(50),
+  entity_id VARCHAR(100),
+  dedupe_key VARCHAR(200),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP,
+  last_error TEXT,
+  provider_message_id VARCHAR(200),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT notification_deliveries_channel_check CHECK (channel IN ('email', 'sms', 'push')),
+  CONSTRAINT notification_deliveries_status_check CHECK (status IN ('pending', 'sent', 'failed', 'skipped'))
+);
+
+CREATE INDEX IF NOT EXISTS notification_deliveries_due_idx ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS notification_deliveries_user_idx ON notification_deliveries(user_role, user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notification_deliveries_dedupe_idx ON notification_deliveries(dedupe_key) WHERE dedupe_key IS NOT NULL;
@@ -1,3 +1,6 @@
+-- Reference only: these tables are created by db/migrations/006-sessions-payments-audit.sql.
+-- Run `node backend/db-setup.js --migrate` instead of applying this file.
+--
 -- Core schema additions for FirstClick admin payments.
 -- If you already have a schema, append this payments table.
 
@@ -137,8 +137,22 @@ PG_IDLE_TIMEOUT_MS=30000
 
 # Authentication
 JWT_SECRET=GENERATE_A_STRONG_SECRET_HERE
-JWT_EXPIRES_IN=7d
+JWT_EXPIRES_IN=15m
 SESSION_TTL_DAYS=30
+PASSWORD_RESET_TTL_MINUTES=60
+EMAIL_VERIFICATION_TTL_HOURS=48
+AUTH_EMAIL_HOURLY_LIMIT=3
+MFA_ENCRYPTION_KEY=GENERATE_A_STRONG_SECRET_HERE
+
+# Payments (stub simulates Stripe locally; switch to stripe with real keys)
+PAYMENT_PROVIDER=stub
+PAYMENT_WEBHOOK_SECRET=GENERATE_A_STRONG_SECRET_HERE
+STRIPE_SECRET_KEY=
+STRIPE_PUBLISHABLE_KEY=
+# Contractor payouts (stub simulates transfers; stripe sends Connect transfers)
+PAYOUT_PROVIDER=stub
+PAYOUT_TIMEZONE=America/Toronto
+PAYOUT_SCHEDULER_INTERVAL_MINUTES=15
 
 # Rate limiting
 RATE_LIMIT_WINDOW_MS=60000
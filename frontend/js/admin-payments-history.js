@@ -1,9 +1,10 @@
 const API_BASE = 'http://localhost:3000/api';
 
+// Badge colours; fee rates come from the shared engine (FirstClickFinancials)
 const CONTRACTOR_TIERS = {
-  bronze: { platformFee: 0.20, color: '#cd7f32', label: 'Bronze' },
-  silver: { platformFee: 0.15, color: '#c0c0c0', label: 'Silver' },
-  gold: { platformFee: 0.10, color: '#ffd700', label: 'Gold' }
+  bronze: { color: '#cd7f32', label: 'Bronze' },
+  silver: { color: '#c0c0c0', label: 'Silver' },
+  gold: { color: '#ffd700', label: 'Gold' }
 };
 
 function formatCurrency(value) {
@@ -23,45 +24,18 @@ function formatDate(value) {
   return date.toLocaleDateString();
 }
 
-function clampMoney(n) {
-  const x = Number(n);
-  return Number.isFinite(x) ? x : 0;
-}
-
+// Same rules and rounding as the API: /api/financials/engine (backend/lib/financials.js)
 function getJobFinancials(job) {
-  const finalPrice = clampMoney(job.final_price);
-  const materialFees = clampMoney(job.material_fees);
-  const tierKey = (job.contractor_tier || 'bronze').toLowerCase();
-  const tier = CONTRACTOR_TIERS[tierKey] || CONTRACTOR_TIERS.bronze;
-
-  const hasBackend = (
-    job.contractor_payout != null &&
-    job.platform_fee != null
-  );
-
-  if (hasBackend) {
-    const netAmount = Math.max(0, finalPrice - materialFees);
-    return {
-      finalPrice,
-      materialFees,
-      netAmount,
-      platformFee: clampMoney(job.platform_fee),
-      contractorPayout: clampMoney(job.contractor_payout),
-      contractorTier: tierKey
-    };
-  }
-
-  const netAmount = Math.max(0, finalPrice - materialFees);
-  const platformFee = netAmount * tier.platformFee;
-  const contractorPayout = Math.max(0, netAmount - platformFee);
-
+  const f = FirstClickFinancials.jobFinancials(job);
   return {
-    finalPrice,
-    materialFees,
-    netAmount,
-    platformFee,
-    contractorPayout,
-    contractorTier: tierKey
+    finalPrice: f.final_price ?? 0,
+    materialFees: f.material_fees ?? 0,
+    refunded: f.refunded ?? 0,
+    stripeFee: f.stripe_fee ?? 0,
+    netAmount: f.net_amount ?? 0,
+    platformFee: f.platform_fee ?? 0,
+    contractorPayout: f.contractor_payout ?? 0,
+    contractorTier: f.contractor_tier
   };
 }
 
@@ -78,12 +52,7 @@ function tierBadge(tierKey) {
 }
 
 async function fetchHistory() {
-  const token = localStorage.getItem('token');
-  const response = await fetch(`${API_BASE}/admin/payouts/history`, {
-    headers: {
-      ...(token && { 'Authorization': `Bearer ${token}` })
-    }
-  });
+  const response = await authFetch(`${API_BASE}/admin/payouts/history`);
   if (!response.ok) {
     throw new Error('Failed to load payments history');
   }
@@ -126,7 +95,7 @@ function renderHistory(data) {
   `;
 
   if (items.length === 0) {
-    table.innerHTML = '<tr><td colspan="10" class="loading">No completed payouts yet.</td></tr>';
+    table.innerHTML = '<tr><td colspan="11" class="loading">No completed payouts yet.</td></tr>';
     return;
   }
 
@@ -140,6 +109,7 @@ function renderHistory(data) {
         <td>${item.city || '—'} / ${item.category || '—'}</td>
         <td>${formatCurrency(f.finalPrice)}</td>
         <td>${formatCurrency(f.materialFees)}</td>
+        <td>${f.refunded ? formatCurrency(f.refunded) : '—'}</td>
         <td>${formatCurrency(f.platformFee)}</td>
         <td>${formatCurrency(f.contractorPayout)}</td>
         <td>${formatDate(item.completed_at)}</td>
@@ -149,6 +119,119 @@ function renderHistory(data) {
   }).join('');
 }
 
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+async function fetchJson(path) {
+  const response = await authFetch(`${API_BASE}${path}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path}`);
+  }
+  return response.json();
+}
+
+function renderCustomerPayments(payments) {
+  const table = document.getElementById('customer-payments-table');
+  if (!table) return;
+  if (payments.length === 0) {
+    table.innerHTML = '<tr><td colspan="7" class="loading">No customer payments yet.</td></tr>';
+    return;
+  }
+  table.innerHTML = payments.map(payment => `
+    <tr>
+      <td>#${String(payment.job_id || '').substring(0, 8)}</td>
+      <td>${formatCurrency(payment.amount)} ${payment.currency || ''}</td>
+      <td>${Number(payment.amount_refunded) ? formatCurrency(payment.amount_refunded) : '—'}</td>
+      <td>${payment.payment_method || '—'}</td>
+      <td>${formatDate(payment.paid_at)}</td>
+      <td>${statusBadge(payment.status)}</td>
+      <td>${REFUNDABLE_STATUSES.includes(payment.status)
+        ? `<button class="btn btn-secondary btn-small" onclick="refundPayment('${payment.id}')">Refund</button>`
+        : ''}</td>
+    </tr>
+  `).join('');
+}
+
+function renderRefunds(refunds, reasons, adjustments) {
+  const badge = document.getElementById('refunds-badge');
+  const metrics = document.getElementById('refunds-metrics');
+  const table = document.getElementById('refunds-table');
+  if (!table) return;
+
+  const labels = new Map((reasons || []).map(reason => [reason.code, reason.label]));
+  const succeeded = refunds.filter(refund => refund.status === 'succeeded');
+  const totalRefunded = FirstClickFinancials.toDollars(FirstClickFinancials.sumAmountCents(succeeded, 'amount'));
+  const pendingAdjustments = adjustments.filter(adjustment => adjustment.status === 'pending');
+  const owed = FirstClickFinancials.toDollars(-FirstClickFinancials.sumAmountCents(pendingAdjustments, 'amount'));
+  const clawbackByRefund = new Map(adjustments.map(adjustment => [adjustment.refund_id, adjustment]));
+
+  if (badge) badge.textContent = `${refunds.length} REFUNDS`;
+  if (metrics) {
+    metrics.innerHTML = `
+      <div class="payout-metric">
+        <div class="metric-label">Total Refunded</div>
+        <div class="metric-value">${formatCurrency(totalRefunded)}</div>
+      </div>
+      <div class="payout-metric">
+        <div class="metric-label">Pending Refunds</div>
+        <div class="metric-value">${formatNumber(refunds.filter(refund => refund.status === 'pending').length)}</div>
+      </div>
+      <div class="payout-metric">
+        <div class="metric-label">Clawbacks Due</div>
+        <div class="metric-value">${formatCurrency(owed)}</div>
+      </div>
+    `;
+  }
+
+  if (refunds.length === 0) {
+    table.innerHTML = '<tr><td colspan="8" class="loading">No refunds yet.</td></tr>';
+    return;
+  }
+  table.innerHTML = refunds.map(refund => {
+    const clawback = clawbackByRefund.get(refund.id);
+    const change = (before, after) => (before === null || before === undefined
+      ? '—'
+      : `${formatCurrency(before)} → ${formatCurrency(after)}`);
+    return `
+      <tr>
+        <td>${formatDate(refund.created_at)}</td>
+        <td>#${String(refund.job_id || '').substring(0, 8)}</td>
+        <td>${formatCurrency(refund.amount)}</td>
+        <td title="${(refund.note || '').replace(/"/g, '&quot;')}">${labels.get(refund.reason_code) || refund.reason_code}</td>
+        <td>${change(refund.platform_fee_before, refund.platform_fee_after)}</td>
+        <td>${change(refund.contractor_payout_before, refund.contractor_payout_after)}</td>
+        <td>${clawback ? `${formatCurrency(clawback.amount)} (${clawback.status})` : '—'}</td>
+        <td>${statusBadge(refund.status)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function loadRefunds() {
+  try {
+    const [{ payments }, { refunds, reasons }, { adjustments }] = await Promise.all([
+      fetchJson('/admin/payments'),
+      fetchJson('/admin/refunds'),
+      fetchJson('/admin/payout-adjustments')
+    ]);
+    renderCustomerPayments(payments || []);
+    renderRefunds(refunds || [], reasons, adjustments || []);
+  } catch (error) {
+    console.error(error);
+    const table = document.getElementById('customer-payments-table');
+    if (table) {
+      table.innerHTML = '<tr><td colspan="7" class="loading">Failed to load customer payments.</td></tr>';
+    }
+  }
+}
+
+function refundPayment(paymentId) {
+  openRefundDialog(paymentId, {
+    onSettled: async () => {
+      await Promise.all([loadRefunds(), init()]);
+    }
+  });
+}
+
 async function init() {
   try {
     const data = await fetchHistory();
@@ -157,9 +240,12 @@ async function init() {
     console.error(error);
     const table = document.getElementById('history-table');
     if (table) {
-      table.innerHTML = '<tr><td colspan="10" class="loading">Failed to load payments history.</td></tr>';
+      table.innerHTML = '<tr><td colspan="11" class="loading">Failed to load payments history.</td></tr>';
     }
   }
 }
 
-document.addEventListener('DOMContentLoaded', init);
+document.addEventListener('DOMContentLoaded', () => {
+  init();
+  loadRefunds();
+});
@@ -1,16 +1,10 @@
 const API_BASE = 'http://localhost:3000/api';
 
-// Stripe payment processing fees (2.9% + $0.30 CAD per transaction)
-const STRIPE_FEES = {
-  percentage: 0.029,
-  fixedFee: 0.30,
-  description: '2.9% + $0.30 CAD'
-};
-
+// Badge colours; fee rates come from the shared engine (FirstClickFinancials)
 const CONTRACTOR_TIERS = {
-  bronze: { platformFee: 0.20, color: '#cd7f32', label: 'Bronze' },
-  silver: { platformFee: 0.15, color: '#c0c0c0', label: 'Silver' },
-  gold: { platformFee: 0.10, color: '#ffd700', label: 'Gold' }
+  bronze: { color: '#cd7f32', label: 'Bronze' },
+  silver: { color: '#c0c0c0', label: 'Silver' },
+  gold: { color: '#ffd700', label: 'Gold' }
 };
 
 const state = {
@@ -32,7 +26,8 @@ function formatCurrency(value) {
 
 function formatDate(value) {
   if (!value) return '—';
-  const date = new Date(value);
+  // A bare YYYY-MM-DD (payout due dates) is a calendar day, not UTC midnight
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
   if (Number.isNaN(date.getTime())) return '—';
   return date.toLocaleDateString();
 }
@@ -42,46 +37,17 @@ function clampMoney(n) {
   return Number.isFinite(x) ? x : 0;
 }
 
+// Same rules and rounding as the API: /api/financials/engine (backend/lib/financials.js)
 function getJobFinancials(job) {
-  const finalPrice = clampMoney(job.final_price);
-  const materialFees = clampMoney(job.material_fees);
-  const tierKey = (job.contractor_tier || 'bronze').toLowerCase();
-  const tier = CONTRACTOR_TIERS[tierKey] || CONTRACTOR_TIERS.bronze;
-
-  const hasBackend = (
-    job.contractor_payout != null &&
-    job.platform_fee != null
-  );
-
-  // Calculate Stripe processing fees (2.9% + $0.30 per transaction)
-  const stripeFee = (finalPrice * STRIPE_FEES.percentage) + STRIPE_FEES.fixedFee;
-
-  if (hasBackend) {
-    const netAmount = Math.max(0, finalPrice - materialFees);
-    return {
-      finalPrice,
-      materialFees,
-      stripeFee: clampMoney(job.stripe_fee || stripeFee),
-      netAmount,
-      platformFee: clampMoney(job.platform_fee),
-      contractorPayout: clampMoney(job.contractor_payout),
-      contractorTier: tierKey
-    };
-  }
-
-  const netAmount = Math.max(0, finalPrice - materialFees);
-  const platformFee = netAmount * tier.platformFee;
-  // Contractor payout = net amount - stripe fees - platform fee
-  const contractorPayout = Math.max(0, netAmount - stripeFee - platformFee);
-
+  const f = FirstClickFinancials.jobFinancials(job);
   return {
-    finalPrice,
-    materialFees,
-    stripeFee,
-    netAmount,
-    platformFee,
-    contractorPayout,
-    contractorTier: tierKey
+    finalPrice: f.final_price ?? 0,
+    materialFees: f.material_fees ?? 0,
+    stripeFee: f.stripe_fee ?? 0,
+    netAmount: f.net_amount ?? 0,
+    platformFee: f.platform_fee ?? 0,
+    contractorPayout: f.contractor_payout ?? 0,
+    contractorTier: f.contractor_tier
   };
 }
 
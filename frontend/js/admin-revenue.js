@@ -1,16 +1,10 @@
 const API_BASE = 'http://localhost:3000/api';
 
-// Stripe payment processing fees (2.9% + $0.30 CAD per transaction)
-const STRIPE_FEES = {
-  percentage: 0.029,
-  fixedFee: 0.30,
-  description: '2.9% + $0.30 CAD'
-};
-
+// Badge colours; fee rates come from the shared engine (FirstClickFinancials)
 const CONTRACTOR_TIERS = {
-  bronze: { platformFee: 0.20, color: '#cd7f32', label: 'Bronze' },
-  silver: { platformFee: 0.15, color: '#c0c0c0', label: 'Silver' },
-  gold: { platformFee: 0.10, color: '#ffd700', label: 'Gold' }
+  bronze: { color: '#cd7f32', label: 'Bronze' },
+  silver: { color: '#c0c0c0', label: 'Silver' },
+  gold: { color: '#ffd700', label: 'Gold' }
 };
 
 const state = {
@@ -50,61 +44,22 @@ function monthParam(date = new Date()) {
   return `${year}-${month}`;
 }
 
-function clampMoney(n) {
-  const x = Number(n);
-  return Number.isFinite(x) ? x : 0;
-}
-
+// Same rules and rounding as the API: /api/financials/engine (backend/lib/financials.js)
 function getJobFinancials(job) {
-  const finalPrice = clampMoney(job.final_price);
-  const materialFees = clampMoney(job.material_fees);
-  const tierKey = (job.contractor_tier || 'bronze').toLowerCase();
-  const tier = CONTRACTOR_TIERS[tierKey] || CONTRACTOR_TIERS.bronze;
-
-  const hasBackend = (
-    job.contractor_payout != null &&
-    job.platform_fee != null
-  );
-
-  // Calculate Stripe processing fees (2.9% + $0.30 per transaction)
-  const stripeFee = (finalPrice * STRIPE_FEES.percentage) + STRIPE_FEES.fixedFee;
-
-  if (hasBackend) {
-    const netAmount = Math.max(0, finalPrice - materialFees);
-    return {
-      finalPrice,
-      materialFees,
-      stripeFee: clampMoney(job.stripe_fee || stripeFee),
-      netAmount,
-      platformFee: clampMoney(job.platform_fee),
-      contractorPayout: clampMoney(job.contractor_payout),
-      contractorTier: tierKey
-    };
-  }
-
-  const netAmount = Math.max(0, finalPrice - materialFees);
-  const platformFee = netAmount * tier.platformFee;
-  // Contractor payout = net amount - stripe fees - platform fee
-  const contractorPayout = Math.max(0, netAmount - stripeFee - platformFee);
-
+  const f = FirstClickFinancials.jobFinancials(job);
   return {
-    finalPrice,
-    materialFees,
-    stripeFee,
-    netAmount,
-    platformFee,
-    contractorPayout,
-    contractorTier: tierKey
+    finalPrice: f.final_price ?? 0,
+    materialFees: f.material_fees ?? 0,
+    stripeFee: f.stripe_fee ?? 0,
+    netAmount: f.net_amount ?? 0,
+    platformFee: f.platform_fee ?? 0,
+    contractorPayout: f.contractor_payout ?? 0,
+    contractorTier: f.contractor_tier
   };
 }
 
 async function fetchJson(path) {
-  const token = localStorage.getItem('token');
-  const response = await fetch(`${API_BASE}${path}`, {
-    headers: {
-      ...(token && { 'Authorization': `Bearer ${token}` })
-    }
-  });
+  const response = await authFetch(`${API_BASE}${path}`);
   if (!response.ok) {
     throw new Error('Request failed');
   }
@@ -168,7 +123,7 @@ function renderKPIs(data) {
   const kpis = [
     { label: 'Gross Revenue', value: formatCurrency(grossRevenue) },
     { label: 'Material Fees', value: formatCurrency(materialFees) },
-    { label: 'Stripe Fees', value: formatCurrency(stripeFees), subtitle: STRIPE_FEES.description },
+    { label: 'Stripe Fees', value: formatCurrency(stripeFees), subtitle: FirstClickFinancials.PROCESSING_FEE.description },
     { label: 'Platform Fees', value: formatCurrency(platformFees) },
     { label: 'Contractor Payouts', value: formatCurrency(contractorPayouts) },
     { label: 'Net Platform Revenue', value: formatCurrency(netPlatformRevenue) },
@@ -522,22 +477,33 @@ function clearSelection() {
 }
 
 async function markReady(jobId) {
-  await fetch(`${API_BASE}/jobs/${jobId}/payout-status`, {
+  await authFetch(`${API_BASE}/jobs/${jobId}/payout-status`, {
     method: 'PATCH',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json'
+    },
     body: JSON.stringify({ payout_status: 'ready' })
   });
   await loadAll();
 }
 
+// Drafts a payout batch; another admin approves it before anything is sent
 async function batchProcessPayouts() {
   const jobIds = Array.from(state.selectedJobIds);
   if (jobIds.length === 0) return;
-  await fetch(`${API_BASE}/admin/payouts/batch-process`, {
+  const response = await authFetch(`${API_BASE}/admin/payout-batches`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json'
+    },
     body: JSON.stringify({ job_ids: jobIds })
   });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    window.alert(data.error || 'Could not draft the payout batch.');
+    return;
+  }
+  window.alert(`Payout batch drafted: ${data.batch.line_count} contractor payout(s), ${formatCurrency(data.batch.total_amount)}. Another admin must approve it before it is sent.`);
   clearSelection();
   await loadAll();
 }
@@ -8,6 +8,12 @@ const API_BASE_URL = window.location.hostname === 'localhost'
   : '/api';
 
 const api = {
+  /**
+   * fetch() that renews an expired access token when auth.js is loaded
+   */
+  _fetch(url, options) {
+    return typeof authFetch === 'function' ? authFetch(url, options) : fetch(url, options);
+  },
   async _parseResponse(response) {
     const contentType = response.headers.get('content-type') || '';
     if (contentType.includes('application/json')) {
@@ -21,7 +27,7 @@ const api = {
    */
   async get(endpoint) {
     const token = localStorage.getItem('token');
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await api._fetch(`${API_BASE_URL}${endpoint}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -44,7 +50,7 @@ const api = {
    */
   async post(endpoint, data) {
     const token = localStorage.getItem('token');
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await api._fetch(`${API_BASE_URL}${endpoint}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -68,7 +74,7 @@ const api = {
    */
   async patch(endpoint, data) {
     const token = localStorage.getItem('token');
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await api._fetch(`${API_BASE_URL}${endpoint}`, {
       method: 'PATCH',
       headers: {
         'Content-Type': 'application/json',
@@ -87,12 +93,36 @@ const api = {
     return api._parseResponse(response);
   },
 
+  /**
+   * PUT request
+   */
+  async put(endpoint, data) {
+    const token = localStorage.getItem('token');
+    const response = await api._fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: JSON.stringify(data)
+    });
+
+    if (!response.ok) {
+      const error = await api._parseResponse(response);
+      const err = new Error(error.error || 'Request failed');
+      err.status = response.status;
+      throw err;
+    }
+
+    return api._parseResponse(response);
+  },
+
   /**
    * DELETE request
    */
   async delete(endpoint) {
     const token = localStorage.getItem('token');
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await api._fetch(`${API_BASE_URL}${endpoint}`, {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json',
@@ -115,7 +145,7 @@ const api = {
    */
   async postFormData(endpoint, formData) {
     const token = localStorage.getItem('token');
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await api._fetch(`${API_BASE_URL}${endpoint}`, {
       method: 'POST',
       headers: {
         ...(token && { 'Authorization': `Bearer ${token}` })
@@ -1,10 +1,83 @@
 /**
  * Authentication Utilities
+ *
+ * The access token is short-lived; authFetch() renews it with the stored
+ * refresh token when the API answers 401 and retries the request once.
  */
 
-function saveUser(user, token) {
+const AUTH_API_BASE = window.location.hostname === 'localhost'
+  ? 'http://localhost:3000/api'
+  : '/api';
+
+function saveUser(user, token, refreshToken) {
   localStorage.setItem('user', JSON.stringify(user));
   localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+}
+
+function clearSession() {
+  localStorage.removeItem('user');
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+}
+
+let refreshInFlight = null;
+
+/**
+ * Swap the stored refresh token for a new token pair.
+ * Concurrent callers share one request: a refresh token works only once.
+ * @returns {Promise<boolean>} false when the session is over
+ */
+function refreshSession() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${AUTH_API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) {
+          if (response.status === 401 || response.status === 403) clearSession();
+          return false;
+        }
+        const data = await response.json();
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * fetch() with the current access token, refreshing it once on 401
+ */
+async function authFetch(url, options = {}) {
+  const send = () => {
+    const token = getToken();
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      }
+    });
+  };
+
+  const response = await send();
+  if (response.status === 401 && await refreshSession()) {
+    return send();
+  }
+  return response;
 }
 
 function getUser() {
@@ -27,8 +100,21 @@ function resolveLoginPath() {
 }
 
 function logout() {
-  localStorage.removeItem('user');
-  localStorage.removeItem('token');
+  const token = getToken();
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (token || refreshToken) {
+    // keepalive lets the request finish while the page navigates away
+    fetch(`${AUTH_API_BASE}/auth/logout`, {
+      method: 'POST',
+      keepalive: true,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: JSON.stringify({ refreshToken })
+    }).catch(() => {});
+  }
+  clearSession();
   window.location.href = resolveLoginPath();
 }
 
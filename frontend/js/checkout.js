@@ -0,0 +1,212 @@
+/**
+ * Checkout – pay for a completed job, or a job's inspection fee
+ *
+ * Usage (needs api.js and notifications.js):
+ *   openCheckout(jobId, { onPaid: () => loadJobs() });
+ *   openCheckout(jobId, { inspectionFee: true, onPaid: () => loadJobs() });
+ *
+ * Card numbers never reach the FirstClick API. With the local stub provider
+ * Stripe's test card numbers are mapped to test payment methods here; with
+ * Stripe, Stripe.js collects the card and confirms the payment. A job only
+ * shows as paid once the provider's webhook has been processed, so the
+ * dialog polls the job's payment status after the card is accepted.
+ */
+
+(function () {
+  const POLL_INTERVAL_MS = 1000;
+  const POLL_ATTEMPTS = 15;
+
+  let configRequest = null;
+  let stripeRequest = null;
+
+  function getPaymentConfig() {
+    if (!configRequest) {
+      configRequest = api.get('/payments/config').catch(error => {
+        configRequest = null;
+        throw error;
+      });
+    }
+    return configRequest;
+  }
+
+  function loadStripe(publishableKey) {
+    if (!stripeRequest) {
+      stripeRequest = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'https://js.stripe.com/v3/';
+        script.onload = () => resolve(window.Stripe(publishableKey));
+        script.onerror = () => {
+          stripeRequest = null;
+          reject(new Error('Could not load the payment form'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return stripeRequest;
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function formatAmount(amount, currency) {
+    return `$${Number(amount).toFixed(2)} ${currency}`;
+  }
+
+  function stubPaymentMethod(config, cardNumber) {
+    const digits = String(cardNumber).replace(/\D/g, '');
+    const card = (config.test_cards || []).find(c => c.number.replace(/\D/g, '') === digits);
+    return card ? card.payment_method : null;
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // The job's own checkout, or the inspection fee's (same API shape)
+  function checkoutTarget(jobId, inspectionFee) {
+    return inspectionFee
+      ? { path: `/customer/jobs/${jobId}/inspection-fee/checkout`, statusField: 'inspection_fee_status', title: 'Pay the inspection fee' }
+      : { path: `/customer/jobs/${jobId}/checkout`, statusField: 'payment_status', title: 'Pay for this job' };
+  }
+
+  async function waitUntilPaid(target) {
+    for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt += 1) {
+      const state = await api.get(target.path);
+      if (state[target.statusField] === 'paid') return true;
+      await sleep(POLL_INTERVAL_MS);
+    }
+    return false;
+  }
+
+  function buildDialog(checkout, config, title) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'checkoutModal';
+    const testCards = config.provider === 'stub'
+      ? `<p class="small" style="margin-top: 0.75rem; color: #6b7280;">Test mode – use ${
+        (config.test_cards || []).map(card => `<code>${escapeHtml(card.number)}</code> (${escapeHtml(card.outcome)})`).join(', ')
+      } with any future expiry and CVC.</p>`
+      : '';
+    const cardFields = config.provider === 'stripe'
+      ? '<div class="form-group"><label class="label">Card</label><div id="checkoutCardElement" class="input"></div></div>'
+      : `
+        <div class="form-group">
+          <label class="label" for="checkoutCardNumber">Card number</label>
+          <input id="checkoutCardNumber" class="input" inputmode="numeric" autocomplete="cc-number" placeholder="4242 4242 4242 4242" required>
+        </div>
+        <div class="form-row" style="display: flex; gap: 1rem;">
+          <div class="form-group" style="flex: 1;">
+            <label class="label" for="checkoutExpiry">Expiry</label>
+            <input id="checkoutExpiry" class="input" autocomplete="cc-exp" placeholder="MM/YY" required>
+          </div>
+          <div class="form-group" style="flex: 1;">
+            <label class="label" for="checkoutCvc">CVC</label>
+            <input id="checkoutCvc" class="input" inputmode="numeric" autocomplete="cc-csc" placeholder="123" required>
+          </div>
+        </div>`;
+
+    // Promo discount and account credit, already taken off the amount due
+    const allowances = [
+      Number(checkout.discount) > 0 ? `Promo discount −${formatAmount(checkout.discount, checkout.currency)}` : null,
+      Number(checkout.credit) > 0 ? `FirstClick credit −${formatAmount(checkout.credit, checkout.currency)}` : null
+    ].filter(Boolean);
+
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 28rem;">
+        <span class="modal-close" data-close>&times;</span>
+        <h3 class="card-title">${escapeHtml(title)}</h3>
+        <p class="card-subtitle">Amount due: <strong>${escapeHtml(formatAmount(checkout.amount, checkout.currency))}</strong></p>
+        ${allowances.length ? `<p class="small" style="color: #059669; margin-bottom: 0.75rem;">${allowances.map(escapeHtml).join('<br>')}</p>` : ''}
+        <form id="checkoutForm" class="form">
+          ${cardFields}
+          <div id="checkoutMessage" class="small" role="status" style="min-height: 1.25rem; margin-bottom: 0.75rem;"></div>
+          <button id="checkoutPay" type="submit" class="btn btn-primary" style="width: 100%;">
+            Pay ${escapeHtml(formatAmount(checkout.amount, checkout.currency))}
+          </button>
+        </form>
+        ${testCards}
+      </div>
+    `;
+    return modal;
+  }
+
+  async function openCheckout(jobId, { onPaid, inspectionFee = false } = {}) {
+    if (!jobId) {
+      notify.error('Cannot pay: missing job id.');
+      return;
+    }
+    const target = checkoutTarget(jobId, inspectionFee);
+    let checkout;
+    let config;
+    try {
+      [config, { checkout }] = await Promise.all([
+        getPaymentConfig(),
+        api.post(target.path, {})
+      ]);
+    } catch (error) {
+      notify.error('Payment unavailable: ' + (error.message || 'Please try again.'));
+      return;
+    }
+
+    const modal = buildDialog(checkout, config, target.title);
+    document.body.appendChild(modal);
+    const close = () => modal.remove();
+    modal.querySelector('[data-close]').addEventListener('click', close);
+
+    const message = modal.querySelector('#checkoutMessage');
+    const payButton = modal.querySelector('#checkoutPay');
+    const showMessage = (text, isError = false) => {
+      message.textContent = text;
+      message.style.color = isError ? '#dc2626' : '';
+    };
+
+    let stripe = null;
+    let cardElement = null;
+    if (config.provider === 'stripe') {
+      try {
+        stripe = await loadStripe(config.publishable_key);
+        cardElement = stripe.elements().create('card');
+        cardElement.mount(modal.querySelector('#checkoutCardElement'));
+      } catch (error) {
+        showMessage(error.message, true);
+        payButton.disabled = true;
+      }
+    }
+
+    modal.querySelector('#checkoutForm').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      payButton.disabled = true;
+      showMessage('Processing payment…');
+      try {
+        if (stripe) {
+          const result = await stripe.confirmCardPayment(checkout.client_secret, {
+            payment_method: { card: cardElement }
+          });
+          if (result.error) throw new Error(result.error.message);
+        } else {
+          const paymentMethod = stubPaymentMethod(config, modal.querySelector('#checkoutCardNumber').value);
+          if (!paymentMethod) throw new Error('Use one of the test card numbers below.');
+          await api.post(`${target.path}/confirm`, { payment_method: paymentMethod });
+        }
+
+        showMessage('Payment accepted. Confirming…');
+        const paid = await waitUntilPaid(target);
+        close();
+        if (paid) {
+          notify.success('Payment received. Thank you!');
+        } else {
+          notify.info('Payment accepted. It will show as paid in a moment.');
+        }
+        if (typeof onPaid === 'function') await onPaid();
+      } catch (error) {
+        showMessage(error.message || 'Payment failed. Please try again.', true);
+        payButton.disabled = false;
+      }
+    });
+  }
+
+  window.openCheckout = openCheckout;
+}());
@@ -1,16 +1,10 @@
 const API_BASE = 'http://localhost:3000/api';
 
-// Stripe payment processing fees (2.9% + $0.30 CAD per transaction)
-const STRIPE_FEES = {
-  percentage: 0.029,
-  fixedFee: 0.30,
-  description: '2.9% + $0.30 CAD'
-};
-
+// Badge colours; fee rates come from the shared engine (FirstClickFinancials)
 const CONTRACTOR_TIERS = {
-  bronze: { platformFee: 0.20, color: '#cd7f32', label: 'Bronze' },
-  silver: { platformFee: 0.15, color: '#c0c0c0', label: 'Silver' },
-  gold: { platformFee: 0.10, color: '#ffd700', label: 'Gold' }
+  bronze: { color: '#cd7f32', label: 'Bronze' },
+  silver: { color: '#c0c0c0', label: 'Silver' },
+  gold: { color: '#ffd700', label: 'Gold' }
 };
 
 const state = {
@@ -18,6 +12,7 @@ const state = {
   contractor: null,
   pendingPayouts: [],
   payoutHistory: [],
+  statements: [],
   pendingSort: { key: 'completed_at', dir: 'desc' },
   historySort: { key: 'completed_at', dir: 'desc' }
 };
@@ -29,55 +24,23 @@ function formatCurrency(value) {
 
 function formatDate(value) {
   if (!value) return '—';
-  const date = new Date(value);
+  // A bare YYYY-MM-DD (payout due dates) is a calendar day, not UTC midnight
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
   if (Number.isNaN(date.getTime())) return '—';
   return date.toLocaleDateString();
 }
 
-function clampMoney(n) {
-  const x = Number(n);
-  return Number.isFinite(x) ? x : 0;
-}
-
+// Same rules and rounding as the API: /api/financials/engine (backend/lib/financials.js)
 function getJobFinancials(job) {
-  const finalPrice = clampMoney(job.final_price);
-  const materialFees = clampMoney(job.material_fees);
-  const tierKey = (job.contractor_tier || 'bronze').toLowerCase();
-  const tier = CONTRACTOR_TIERS[tierKey] || CONTRACTOR_TIERS.bronze;
-
-  const hasBackend = (
-    job.contractor_payout != null &&
-    job.platform_fee != null
-  );
-
-  // Calculate Stripe processing fees (2.9% + $0.30 per transaction)
-  const stripeFee = (finalPrice * STRIPE_FEES.percentage) + STRIPE_FEES.fixedFee;
-
-  if (hasBackend) {
-    const netAmount = Math.max(0, finalPrice - materialFees);
-    return {
-      finalPrice,
-      materialFees,
-      stripeFee: clampMoney(job.stripe_fee || stripeFee),
-      netAmount,
-      platformFee: clampMoney(job.platform_fee),
-      contractorPayout: clampMoney(job.contractor_payout),
-      contractorTier: tierKey
-    };
-  }
-
-  const netAmount = Math.max(0, finalPrice - materialFees);
-  const platformFee = netAmount * tier.platformFee;
-  const contractorPayout = Math.max(0, netAmount - stripeFee - platformFee);
-
+  const f = FirstClickFinancials.jobFinancials(job);
   return {
-    finalPrice,
-    materialFees,
-    stripeFee,
-    netAmount,
-    platformFee,
-    contractorPayout,
-    contractorTier: tierKey
+    finalPrice: f.final_price ?? 0,
+    materialFees: f.material_fees ?? 0,
+    stripeFee: f.stripe_fee ?? 0,
+    netAmount: f.net_amount ?? 0,
+    platformFee: f.platform_fee ?? 0,
+    contractorPayout: f.contractor_payout ?? 0,
+    contractorTier: f.contractor_tier
   };
 }
 
@@ -94,11 +57,9 @@ function statusBadge(status) {
 }
 
 async function fetchJson(path) {
-  const token = localStorage.getItem('token');
-  const response = await fetch(`${API_BASE}${path}`, {
+  const response = await authFetch(`${API_BASE}${path}`, {
     headers: {
-      'Content-Type': 'application/json',
-      ...(token && { 'Authorization': `Bearer ${token}` })
+      'Content-Type': 'application/json'
     }
   });
   if (!response.ok) {
@@ -122,10 +83,11 @@ async function loadContractorPayouts() {
     const contractorResult = await fetchJson(`/admin/contractors/${contractorId}`);
     state.contractor = contractorResult;
 
-    // Fetch pending and history payouts
-    const [pending, history] = await Promise.all([
+    // Fetch pending and history payouts, and the monthly statements
+    const [pending, history, statements] = await Promise.all([
       fetchJson('/admin/payouts/pending'),
-      fetchJson('/admin/payouts/history')
+      fetchJson('/admin/payouts/history'),
+      fetchJson(`/admin/documents?kind=payout_statement&contractor_id=${encodeURIComponent(contractorId)}`)
     ]);
 
     // Filter to only this contractor's payouts
@@ -135,11 +97,14 @@ async function loadContractorPayouts() {
     state.payoutHistory = (Array.isArray(history) ? history : history.payouts || [])
       .filter(p => String(p.contractor_id) === String(contractorId));
 
+    state.statements = statements.documents || [];
+
     renderHeader();
     renderMetrics();
     renderContractorInfo();
     renderPendingPayouts();
     renderPayoutHistory();
+    renderStatements();
   } catch (error) {
     console.error('Error loading contractor payouts:', error);
     notify.error('Failed to load contractor payouts: ' + error.message);
@@ -169,7 +134,7 @@ function renderMetrics() {
     return sum + (f.contractorPayout || 0);
   }, 0);
 
-  const nextPaymentDate = new Date(state.contractor.next_payment_date || Date.now());
+  const nextPaymentDate = state.contractor.next_payment_date;
   const schedule = state.contractor.payment_schedule || 'weekly';
 
   document.getElementById('total-pending').textContent = formatCurrency(totalPending);
@@ -298,6 +263,44 @@ function renderPayoutHistory() {
   }).join('');
 }
 
+function renderStatements() {
+  const table = document.getElementById('statements-table');
+  if (!table) return;
+
+  if (state.statements.length === 0) {
+    table.innerHTML = '<tr><td colspan="6" class="loading">No statements issued yet.</td></tr>';
+    return;
+  }
+
+  table.innerHTML = state.statements.map((statement) => `
+      <tr>
+        <td>${statement.number}</td>
+        <td>${formatDate(statement.period_start)} – ${formatDate(statement.period_end)}</td>
+        <td>${formatCurrency(statement.total_amount)}</td>
+        <td>${formatDate(statement.issued_at)}</td>
+        <td>${statement.emailed_at ? formatDate(statement.emailed_at) : '—'}</td>
+        <td><button class="btn btn-secondary" onclick="downloadStatement('${statement.id}', '${statement.filename}')">PDF</button></td>
+      </tr>
+    `).join('');
+}
+
+// The PDF route needs the auth header, so fetch it and hand the browser a blob
+async function downloadStatement(documentId, filename) {
+  try {
+    const response = await authFetch(`${API_BASE}/admin/documents/${documentId}/pdf`);
+    if (!response.ok) throw new Error('Download failed');
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading statement:', error);
+    notify.error('Failed to download statement');
+  }
+}
+
 function getSortValue(item, key) {
   if (key === 'completed_at' || key === 'created_at' || key === 'paid_at') {
     return new Date(item[key] || 0).getTime();
@@ -6,7 +6,20 @@ let currentStep = 1;
 let serviceCategories = [];
 let serviceTypes = [];
 let currentEstimate = null;
+// Slots are looked up for this service and place; cleared when either changes
+let slotsKey = null;
 const MAX_PHOTO_SIZE_BYTES = 5 * 1024 * 1024;
+// Kept from a referral link (?ref=CODE) until the visitor signs up or books
+const REFERRAL_STORAGE_KEY = 'referral_code';
+
+function rememberReferralCode() {
+  const code = new URLSearchParams(window.location.search).get('ref');
+  if (code) localStorage.setItem(REFERRAL_STORAGE_KEY, code.trim());
+}
+
+function getReferralCode() {
+  return localStorage.getItem(REFERRAL_STORAGE_KEY) || undefined;
+}
 
 function readFileAsDataUrl(file) {
   return new Promise((resolve, reject) => {
@@ -113,6 +126,13 @@ document.getElementById('timeWindow')?.addEventListener('change', async () => {
   await fetchEstimate();
 });
 
+// Prices can vary by property type and city
+['propertyType', 'city', 'province'].forEach(id => {
+  document.getElementById(id)?.addEventListener('change', async () => {
+    await fetchEstimate();
+  });
+});
+
 function resetEstimate() {
   currentEstimate = null;
   const estimateValue = document.getElementById('estimateValue');
@@ -133,7 +153,12 @@ async function fetchEstimate() {
   }
 
   try {
-    const response = await api.get(`/services/estimate?service_type_id=${serviceTypeId}&urgency=${encodeURIComponent(urgency)}&time_window=${encodeURIComponent(timeWindow)}`);
+    const params = new URLSearchParams({ service_type_id: serviceTypeId, urgency, time_window: timeWindow });
+    Object.entries({ property_type: 'propertyType', city: 'city', province: 'province' }).forEach(([param, id]) => {
+      const value = document.getElementById(id)?.value;
+      if (value) params.set(param, value);
+    });
+    const response = await api.get(`/services/estimate?${params}`);
     currentEstimate = response.estimate || null;
     if (!estimateValue) return;
 
@@ -156,6 +181,45 @@ async function fetchEstimate() {
   }
 }
 
+// Appointment slots open for the chosen service and address
+async function loadAppointmentSlots() {
+  const select = document.getElementById('appointmentSlot');
+  const help = document.getElementById('appointmentHelp');
+  const serviceTypeId = parseInt(document.getElementById('serviceType')?.value);
+  if (!select || !serviceTypeId || Number.isNaN(serviceTypeId)) return;
+
+  const params = new URLSearchParams({ service_type_id: serviceTypeId });
+  ['city', 'province'].forEach(id => {
+    const value = document.getElementById(id)?.value;
+    if (value) params.set(id, value);
+  });
+  if (slotsKey === params.toString()) return;
+  slotsKey = params.toString();
+
+  try {
+    const response = await api.get(`/appointments/slots?${params}`);
+    const slots = response.slots || [];
+    const format = value => new Date(value).toLocaleString([], {
+      timeZone: response.time_zone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    select.innerHTML = '<option value="">No set time – use my preferred window</option>' +
+      slots.map(slot => `<option value="${slot.start}">${format(slot.start)} – ${new Date(slot.end).toLocaleTimeString([], { timeZone: response.time_zone, hour: 'numeric', minute: '2-digit' })}</option>`).join('');
+    if (help) {
+      help.textContent = slots.length
+        ? 'Pick a time to book a contractor for it.'
+        : 'No appointment times are open for this service nearby; we will match you within your preferred window.';
+    }
+  } catch (error) {
+    console.error('Error loading appointment slots:', error);
+    slotsKey = null;
+  }
+}
+
 // Step navigation
 function nextStep(step) {
   // Validate current step
@@ -183,6 +247,9 @@ function nextStep(step) {
   // Show next step
   currentStep = step;
   document.getElementById(`step${currentStep}`).classList.add('active');
+  if (currentStep === 3) {
+    loadAppointmentSlots();
+  }
   
   // Scroll to top
   window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -291,7 +358,7 @@ document.getElementById('jobForm')?.addEventListener('submit', async (e) => {
       try {
         const response = await api.post('/auth/customer/login', { email, password });
         if (response.user && response.token) {
-          saveUser(response.user, response.token);
+          saveUser(response.user, response.token, response.refreshToken);
           user = response.user;
           syncAuthModeUI();
         }
@@ -320,10 +387,11 @@ document.getElementById('jobForm')?.addEventListener('submit', async (e) => {
           email,
           password,
           full_name: fullName,
-          phone
+          phone,
+          referral_code: getReferralCode()
         });
         if (response.user && response.token) {
-          saveUser(response.user, response.token);
+          saveUser(response.user, response.token, response.refreshToken);
           user = response.user;
           syncAuthModeUI();
         }
@@ -352,7 +420,10 @@ document.getElementById('jobForm')?.addEventListener('submit', async (e) => {
     postal_code: document.getElementById('postalCode').value,
     urgency: document.getElementById('urgency').value,
     time_window: document.getElementById('timeWindow').value,
+    appointment_start: document.getElementById('appointmentSlot')?.value || undefined,
     problem_photo: problemPhoto,
+    promo_code: document.getElementById('promoCode')?.value?.trim() || undefined,
+    referral_code: getReferralCode(),
     customer: {
       full_name: user.full_name || document.getElementById('registerFullName')?.value?.trim() || '',
       email: user.email,
@@ -365,19 +436,27 @@ document.getElementById('jobForm')?.addEventListener('submit', async (e) => {
     
     // Save customer info for dashboard access
     if (response.customer && response.token) {
-      saveUser(response.customer, response.token);
+      saveUser(response.customer, response.token, response.refreshToken);
       syncAuthModeUI();
     }
+    localStorage.removeItem(REFERRAL_STORAGE_KEY);
+    if (response.promo_error) {
+      notify.warning(`Your request was submitted, but the promo code could not be applied: ${response.promo_error}`);
+    }
 
     // Show success message
     document.getElementById('jobForm').style.display = 'none';
     document.getElementById('successMessage').style.display = 'block';
   } catch (error) {
     notify.info('Error submitting request: ' + error.message);
+    // The slot may have been taken meanwhile
+    slotsKey = null;
+    loadAppointmentSlots();
   }
 });
 
 // Initialize
+rememberReferralCode();
 if (document.getElementById('serviceCategory')) {
   loadServiceCategories();
 }
@@ -0,0 +1,176 @@
+/**
+ * Message thread dialog – the job's messages between customer and contractor
+ *
+ * Usage (needs api.js and auth.js):
+ *   openMessageThread(jobId, { title: 'Plumbing – Leak repair', onClose: () => loadUnread() });
+ *   openMessageThread(jobId, { admin: true });   // read-only, for disputes
+ *
+ * Opening the thread marks what the other side sent as read. Photos are
+ * shrunk in the browser before sending, so they fit the request size
+ * limit, and are fetched with the auth header to be shown.
+ */
+
+(function () {
+  const MAX_PHOTOS = 4;
+  const MAX_PHOTO_EDGE = 1600;
+  const PHOTO_QUALITY = 0.8;
+  const SIDE_LABELS = { customer: 'Customer', contractor: 'Contractor' };
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function formatTime(value) {
+    return new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+
+  // A JPEG data URL no larger than MAX_PHOTO_EDGE on its longest side
+  function shrinkPhoto(file) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      const source = URL.createObjectURL(file);
+      image.onload = () => {
+        const scale = Math.min(1, MAX_PHOTO_EDGE / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(source);
+        resolve({
+          filename: file.name.replace(/\.[^.]+$/, '') + '.jpg',
+          dataUrl: canvas.toDataURL('image/jpeg', PHOTO_QUALITY)
+        });
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(source);
+        reject(new Error(`${file.name} is not an image we can send`));
+      };
+      image.src = source;
+    });
+  }
+
+  // Photo routes need the auth header, so they are loaded as blobs
+  async function loadPhotos(container) {
+    for (const img of container.querySelectorAll('img[data-src]')) {
+      try {
+        const response = await api._fetch(`${API_BASE_URL}${img.dataset.src.replace(/^\/api/, '')}`);
+        if (!response.ok) throw new Error('Photo unavailable');
+        img.src = URL.createObjectURL(await response.blob());
+      } catch (error) {
+        img.alt = 'Photo unavailable';
+      }
+      img.removeAttribute('data-src');
+    }
+  }
+
+  function renderMessage(message, admin) {
+    const who = message.mine ? 'You' : SIDE_LABELS[message.sender_role] || message.sender_role;
+    const receipt = message.mine ? (message.read_at ? ` · Seen ${escapeHtml(formatTime(message.read_at))}` : ' · Sent') : '';
+    const body = message.purged
+      ? '<em>Removed under our message retention policy.</em>'
+      : escapeHtml(message.body || '').replace(/\n/g, '<br>');
+    return `
+      <div class="message-item${message.mine ? ' message-mine' : ''}" style="margin-bottom: 0.75rem; ${message.mine ? 'text-align: right;' : ''}">
+        <div style="font-size: 0.8rem; opacity: 0.75;">${escapeHtml(who)} · ${escapeHtml(formatTime(message.created_at))}${receipt}${admin && !message.read_at ? ' · Unread' : ''}</div>
+        <div style="display: inline-block; max-width: 85%; padding: 0.5rem 0.75rem; border-radius: 0.75rem; background: ${message.mine ? 'rgba(59, 130, 246, 0.2)' : 'rgba(148, 163, 184, 0.2)'}; text-align: left;">
+          ${body}
+          ${message.attachments.map(photo => `
+            <div style="margin-top: 0.5rem;"><img data-src="${escapeHtml(photo.url)}" alt="${escapeHtml(photo.filename)}" style="max-width: 100%; max-height: 16rem; border-radius: 0.5rem;"></div>
+          `).join('')}
+          ${message.masked ? '<div style="font-size: 0.75rem; opacity: 0.75; margin-top: 0.25rem;">Contact details are hidden until a contractor is assigned.</div>' : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  function buildDialog(title, admin) {
+    const modal = document.createElement('div');
+    modal.className = 'modal message-thread';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 36rem;">
+        <span class="modal-close" data-close>&times;</span>
+        <h3>${escapeHtml(title || 'Messages')}</h3>
+        <div data-notice style="font-size: 0.85rem; opacity: 0.8; margin-bottom: 0.5rem;"></div>
+        <div data-list style="max-height: 50vh; overflow-y: auto; margin-bottom: 1rem;">Loading…</div>
+        ${admin ? '' : `
+          <form data-form style="display: none;">
+            <textarea data-body class="input" rows="3" maxlength="2000" placeholder="Write a message" style="width: 100%;"></textarea>
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; margin-top: 0.5rem;">
+              <input data-photos type="file" accept="image/*" multiple>
+              <button data-send type="submit" class="btn btn-primary btn-small">Send</button>
+            </div>
+          </form>
+        `}
+      </div>
+    `;
+    return modal;
+  }
+
+  async function openMessageThread(jobId, { title, admin = false, onClose } = {}) {
+    const modal = buildDialog(title, admin);
+    document.body.appendChild(modal);
+    const list = modal.querySelector('[data-list]');
+    const notice = modal.querySelector('[data-notice]');
+    const form = modal.querySelector('[data-form]');
+
+    const close = async () => {
+      modal.remove();
+      if (typeof onClose === 'function') await onClose();
+    };
+    modal.querySelector('[data-close]').addEventListener('click', close);
+
+    async function refresh() {
+      const thread = await api.get(admin ? `/admin/jobs/${jobId}/messages` : `/jobs/${jobId}/messages`);
+      list.innerHTML = thread.messages.length
+        ? thread.messages.map(message => renderMessage(message, admin)).join('')
+        : '<p style="opacity: 0.75;">No messages yet.</p>';
+      list.scrollTop = list.scrollHeight;
+      const notes = [];
+      if (admin) notes.push('Read-only. Viewing this thread is recorded in the audit log.');
+      if (!admin && thread.masking) notes.push('Phone numbers and email addresses are hidden until a contractor is assigned.');
+      if (!admin && !thread.can_post) notes.push('This job is closed to new messages.');
+      notice.textContent = notes.join(' ');
+      if (form) form.style.display = thread.can_post ? 'block' : 'none';
+      loadPhotos(list);
+      if (!admin && thread.messages.some(message => !message.mine && !message.read_at)) {
+        await api.post(`/jobs/${jobId}/messages/read`, {});
+      }
+    }
+
+    try {
+      await refresh();
+    } catch (error) {
+      list.innerHTML = `<p style="color: #f87171;">${escapeHtml(error.message || 'Could not load messages.')}</p>`;
+      return;
+    }
+
+    if (!form) return;
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const bodyInput = form.querySelector('[data-body]');
+      const photoInput = form.querySelector('[data-photos]');
+      const files = Array.from(photoInput.files || []);
+      if (files.length > MAX_PHOTOS) {
+        notify.warning(`Attach at most ${MAX_PHOTOS} photos to a message.`);
+        return;
+      }
+      const send = form.querySelector('[data-send]');
+      send.disabled = true;
+      try {
+        const photos = await Promise.all(files.map(shrinkPhoto));
+        await api.post(`/jobs/${jobId}/messages`, { body: bodyInput.value, photos });
+        bodyInput.value = '';
+        photoInput.value = '';
+        await refresh();
+      } catch (error) {
+        notify.error('Could not send the message: ' + (error.message || 'Please try again.'));
+      } finally {
+        send.disabled = false;
+      }
+    });
+  }
+
+  window.openMessageThread = openMessageThread;
+}());
@@ -0,0 +1,180 @@
+/**
+ * Notification settings dialog – which events reach the user on which
+ * channel, their language, time zone and quiet hours
+ *
+ * Usage (needs api.js and auth.js):
+ *   openNotificationSettings();
+ *
+ * Text messages and push notifications are held during quiet hours (or
+ * dropped when they would be out of date by then); email always goes out.
+ * The dialog also lists the user's recent notifications.
+ */
+
+(function () {
+  const EVENT_LABELS = {
+    job_assigned: 'A contractor is assigned',
+    contractor_en_route: 'The contractor is on the way',
+    job_completed: 'A job is completed',
+    payment_received: 'A payment is received',
+    payout_sent: 'A payout is sent',
+    document_expiring: 'A document is about to expire'
+  };
+  const CHANNEL_LABELS = { email: 'Email', sms: 'Text message', push: 'Push' };
+  const LOCALE_LABELS = { en: 'English', fr: 'Français' };
+  const STATUS_LABELS = { pending: 'Waiting', sent: 'Sent', failed: 'Not delivered', skipped: 'Not sent' };
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function formatTime(value) {
+    return new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+
+  function renderChannels(prefs) {
+    const { event_types: types, channels } = prefs.options;
+    return `
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 1rem;">
+        <thead>
+          <tr>
+            <th style="text-align: left;">Tell me when</th>
+            ${channels.map(channel => `<th>${escapeHtml(CHANNEL_LABELS[channel] || channel)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${types.map(type => `
+            <tr>
+              <td>${escapeHtml(EVENT_LABELS[type] || type)}</td>
+              ${channels.map(channel => `
+                <td style="text-align: center;">
+                  <input type="checkbox" data-event="${type}" data-channel="${channel}" ${prefs.channels[type].includes(channel) ? 'checked' : ''}>
+                </td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function renderRecent(list) {
+    if (!list.length) return '<p style="opacity: 0.75;">No notifications yet.</p>';
+    return list.map(item => `
+      <div style="margin-bottom: 0.5rem; font-size: 0.9rem;">
+        <strong>${escapeHtml(item.subject)}</strong>
+        <div style="font-size: 0.8rem; opacity: 0.75;">
+          ${escapeHtml(CHANNEL_LABELS[item.channel] || item.channel)} · ${escapeHtml(STATUS_LABELS[item.status] || item.status)} · ${escapeHtml(formatTime(item.sent_at || item.created_at))}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function buildDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'modal notification-settings';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 36rem;">
+        <span class="modal-close" data-close>&times;</span>
+        <h3>Notification Settings</h3>
+        <div data-body>Loading…</div>
+      </div>
+    `;
+    return modal;
+  }
+
+  function renderForm(prefs) {
+    const quiet = prefs.quiet_hours || { start: '21:00', end: '08:00' };
+    return `
+      <form data-form>
+        ${renderChannels(prefs)}
+        <p style="font-size: 0.85rem; opacity: 0.8; margin-bottom: 1rem;">
+          ${prefs.push_devices
+            ? `Push notifications go to ${prefs.push_devices} registered device${prefs.push_devices === 1 ? '' : 's'}.`
+            : 'No device is registered for push notifications yet.'}
+        </p>
+        <div class="form-group">
+          <label class="label" for="notifyLocale">Language</label>
+          <select id="notifyLocale" data-locale class="input">
+            ${prefs.options.locales.map(locale => `
+              <option value="${locale}" ${locale === prefs.locale ? 'selected' : ''}>${escapeHtml(LOCALE_LABELS[locale] || locale)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="label" for="notifyTimeZone">Time zone</label>
+          <input id="notifyTimeZone" data-time-zone class="input" placeholder="e.g. America/Toronto" value="${escapeHtml(prefs.time_zone || '')}">
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" data-quiet ${prefs.quiet_hours ? 'checked' : ''}> Quiet hours for text messages and push</label>
+          <div style="display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem;">
+            <input type="time" data-quiet-start class="input" value="${escapeHtml(quiet.start)}" style="max-width: 8rem;">
+            <span>to</span>
+            <input type="time" data-quiet-end class="input" value="${escapeHtml(quiet.end)}" style="max-width: 8rem;">
+          </div>
+        </div>
+        <button data-save type="submit" class="btn btn-primary btn-small">Save</button>
+      </form>
+      <h4 style="margin-top: 1.5rem;">Recent notifications</h4>
+      <div data-recent style="max-height: 30vh; overflow-y: auto;">Loading…</div>
+    `;
+  }
+
+  function readForm(form, prefs) {
+    const channels = Object.fromEntries(prefs.options.event_types.map(type => [
+      type,
+      Array.from(form.querySelectorAll(`input[data-event="${type}"]:checked`)).map(input => input.dataset.channel)
+    ]));
+    return {
+      channels,
+      locale: form.querySelector('[data-locale]').value,
+      time_zone: form.querySelector('[data-time-zone]').value.trim() || null,
+      quiet_hours: form.querySelector('[data-quiet]').checked
+        ? { start: form.querySelector('[data-quiet-start]').value, end: form.querySelector('[data-quiet-end]').value }
+        : null
+    };
+  }
+
+  async function openNotificationSettings() {
+    const modal = buildDialog();
+    document.body.appendChild(modal);
+    const body = modal.querySelector('[data-body]');
+    modal.querySelector('[data-close]').addEventListener('click', () => modal.remove());
+
+    let prefs;
+    try {
+      prefs = (await api.get('/notifications/preferences')).preferences;
+    } catch (error) {
+      body.innerHTML = `<p style="color: #f87171;">${escapeHtml(error.message || 'Could not load your notification settings.')}</p>`;
+      return;
+    }
+    if (!prefs.time_zone) {
+      prefs.time_zone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    }
+    body.innerHTML = renderForm(prefs);
+
+    const recent = body.querySelector('[data-recent]');
+    api.get('/notifications?limit=10')
+      .then(({ notifications }) => { recent.innerHTML = renderRecent(notifications); })
+      .catch(() => { recent.textContent = 'Could not load recent notifications.'; });
+
+    const form = body.querySelector('[data-form]');
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const save = form.querySelector('[data-save]');
+      save.disabled = true;
+      try {
+        prefs = (await api.put('/notifications/preferences', readForm(form, prefs))).preferences;
+        notify.success('Notification settings saved.');
+        modal.remove();
+      } catch (error) {
+        notify.error('Could not save your settings: ' + (error.message || 'Please try again.'));
+      } finally {
+        save.disabled = false;
+      }
+    });
+  }
+
+  window.openNotificationSettings = openNotificationSettings;
+}());
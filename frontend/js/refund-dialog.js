@@ -0,0 +1,138 @@
+/**
+ * Refund dialog – refund all or part of a customer payment (admins)
+ *
+ * Usage (needs api.js):
+ *   openRefundDialog(paymentId, { onSettled: (refund) => loadPayments() });
+ *
+ * Leaving the amount blank refunds everything not yet refunded. The refund
+ * is settled by the payment provider's webhook, so after the request is
+ * accepted the dialog polls the payment's refunds until this one leaves
+ * "pending" (or gives up and reports it as still processing).
+ */
+
+(function () {
+  const POLL_INTERVAL_MS = 1000;
+  const POLL_ATTEMPTS = 10;
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function formatAmount(amount, currency) {
+    return `$${Number(amount || 0).toFixed(2)} ${currency || ''}`.trim();
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async function waitUntilSettled(paymentId, refundId) {
+    for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt += 1) {
+      const { refunds } = await api.get(`/admin/payments/${paymentId}/refunds`);
+      const refund = (refunds || []).find(r => r.id === refundId);
+      if (refund && refund.status !== 'pending') return refund;
+      await sleep(POLL_INTERVAL_MS);
+    }
+    return null;
+  }
+
+  function buildDialog(info) {
+    const { payment, refunds, refundable_amount: refundable, reasons } = info;
+    const modal = document.createElement('div');
+    modal.className = 'modal refund-dialog';
+    const history = (refunds || []).length
+      ? `<ul class="refund-history">${refunds.map(refund => `
+          <li>${escapeHtml(formatAmount(refund.amount, refund.currency))} · ${escapeHtml(refund.reason_code.replaceAll('_', ' '))} · ${escapeHtml(refund.status)}</li>
+        `).join('')}</ul>`
+      : '';
+
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 30rem;">
+        <span class="modal-close" data-close>&times;</span>
+        <h3>Refund payment</h3>
+        <p>Paid ${escapeHtml(formatAmount(payment.amount, payment.currency))} for job #${escapeHtml(String(payment.job_id || '').slice(0, 8))}.
+          Refundable: <strong>${escapeHtml(formatAmount(refundable, payment.currency))}</strong></p>
+        ${history}
+        <form id="refundForm">
+          <label for="refundAmount">Amount (blank for the full ${escapeHtml(formatAmount(refundable, payment.currency))})</label>
+          <input id="refundAmount" class="input" type="number" min="0.01" step="0.01" max="${escapeHtml(refundable)}" placeholder="${escapeHtml(Number(refundable).toFixed(2))}">
+          <label for="refundReason">Reason</label>
+          <select id="refundReason" class="input" required>
+            <option value="">Choose a reason</option>
+            ${(reasons || []).map(reason => `<option value="${escapeHtml(reason.code)}">${escapeHtml(reason.label)}</option>`).join('')}
+          </select>
+          <label for="refundNote">Internal note (optional)</label>
+          <textarea id="refundNote" class="input" rows="2" maxlength="500"></textarea>
+          <p>The platform fee and contractor payout are recalculated. If the contractor has already been paid, the difference is taken off their next payout.</p>
+          <div id="refundMessage" role="status" style="min-height: 1.25rem;"></div>
+          <button id="refundSubmit" type="submit" class="btn btn-primary">Refund</button>
+        </form>
+      </div>
+    `;
+    return modal;
+  }
+
+  async function openRefundDialog(paymentId, { onSettled } = {}) {
+    let info;
+    try {
+      info = await api.get(`/admin/payments/${paymentId}/refunds`);
+    } catch (error) {
+      window.alert('Could not load the payment: ' + (error.message || 'Please try again.'));
+      return;
+    }
+    if (!(Number(info.refundable_amount) > 0)) {
+      window.alert('Nothing is left to refund on this payment.');
+      return;
+    }
+
+    const modal = buildDialog(info);
+    document.body.appendChild(modal);
+    const close = () => modal.remove();
+    modal.querySelector('[data-close]').addEventListener('click', close);
+
+    const message = modal.querySelector('#refundMessage');
+    const submit = modal.querySelector('#refundSubmit');
+    const showMessage = (text, isError = false) => {
+      message.textContent = text;
+      message.style.color = isError ? '#f87171' : '';
+    };
+
+    modal.querySelector('#refundForm').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const amount = modal.querySelector('#refundAmount').value.trim();
+      const reasonCode = modal.querySelector('#refundReason').value;
+      if (!reasonCode) {
+        showMessage('Choose a reason for the refund.', true);
+        return;
+      }
+      const shown = amount || info.refundable_amount;
+      if (!window.confirm(`Refund ${formatAmount(shown, info.payment.currency)} to the customer?`)) return;
+
+      submit.disabled = true;
+      showMessage('Requesting refund…');
+      try {
+        const { refund } = await api.post(`/admin/payments/${paymentId}/refunds`, {
+          amount: amount || undefined,
+          reason_code: reasonCode,
+          note: modal.querySelector('#refundNote').value.trim() || undefined
+        });
+        showMessage('Refund requested. Waiting for confirmation…');
+        const settled = await waitUntilSettled(paymentId, refund.id);
+        close();
+        if (!settled) {
+          window.alert('The refund is still processing; it will appear once the payment provider confirms it.');
+        } else if (settled.status !== 'succeeded') {
+          window.alert(`The refund ${settled.status === 'failed' ? 'failed' : 'was canceled'} at the payment provider.`);
+        }
+        if (typeof onSettled === 'function') await onSettled(settled || refund);
+      } catch (error) {
+        showMessage(error.message || 'Refund failed. Please try again.', true);
+        submit.disabled = false;
+      }
+    });
+  }
+
+  window.openRefundDialog = openRefundDialog;
+}());